@@ -133,6 +133,9 @@ var PhysicsDemo2 = function() {
          // world is stepped (updated) in sync with each frame generated
          this.renderContext.add(this.simulation);
 
+         // Draw the bodies, joints and contacts when in debug mode
+         this.simulation.setDebugDraw(R.physics.Simulation.DEBUG_ALL);
+
          // Draw an outline around the context
          this.renderContext.jQ().css({
             border: "1px solid red",
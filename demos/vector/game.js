@@ -303,12 +303,12 @@ var Spaceroids = function() {
        * @private
        */
       recordDemo: function() {
+         var seed = R.lang.Math2.randomInt();
          Spaceroids.rec = true;
-         Spaceroids.demoScript = {};
-         Spaceroids.demoScript.seed = R.lang.Math2.randomInt();
 
-         R.lang.Math2.seed(Spaceroids.demoScript.seed);
+         R.lang.Math2.seed(seed);
          Spaceroids.startGame();
+         R.engine.InputRecorder.startRecording({ seed: seed });
       },
 
       /**
@@ -318,9 +318,9 @@ var Spaceroids = function() {
       playDemo: function() {
          Spaceroids.play = true;
          var demoMode = Spaceroids.demoModes[0];
-         R.lang.Math2.seed(demoMode.seed);
+         R.lang.Math2.seed(demoMode.meta.seed);
          this.startGame();
-         this.playerObj.getComponent("input").playScript(demoMode.player);
+         R.engine.InputRecorder.play(demoMode);
       },
 
       /**
@@ -420,8 +420,7 @@ var Spaceroids = function() {
       gameOver: function() {
 
          if (Spaceroids.rec) {
-            this.playerObj.getComponent("input").stopRecording();
-            Spaceroids.demoScript.player = this.playerObj.getComponent("input").getScript();
+            Spaceroids.demoScript = R.engine.InputRecorder.stopRecording();
             console.debug(JSON.stringify(Spaceroids.demoScript));
             return;
          }
@@ -74,10 +74,6 @@ var SpaceroidsPlayer = function() {
          // Add components to draw the player and perform input
          this.add(R.components.input.Keyboard.create("input"));
 
-         if (Spaceroids.rec) {
-            this.getComponent("input").startRecording();
-         }
-
          // Add the drawing components for ship
          this.add(R.components.render.Vector2D.create("draw"));
 
@@ -0,0 +1,249 @@
+/**
+ * The Render Engine
+ * AStar
+ *
+ * @fileoverview A* path finding over a navigation grid.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ *
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.ai.AStar",
+   "requires": [
+      "R.ai.NavGrid"
+   ]
+});
+
+/**
+ * @class A static class which finds the cheapest path between two cells of a
+ *    {@link R.ai.NavGrid} using the A* algorithm.  Agents can move in 4 directions,
+ *    or in 8 directions where a diagonal step can't cut the corner of a blocked cell.
+ *    The cost of each step is the cost of the cell being entered, multiplied by the
+ *    length of the step.
+ * <pre>
+ *    var grid = R.ai.NavGrid.fromTileMap(tileMap);
+ *
+ *    // Find a path between two cells, removing the waypoints which can be skipped
+ *    var cells = R.ai.AStar.findPath(grid, start, goal, true, true);
+ *
+ *    // Or between two points in the world, getting the waypoints in world coordinates
+ *    var path = R.ai.AStar.findWorldPath(grid, player.getPosition(), target);
+ * </pre>
+ *
+ * @static
+ */
+R.ai.AStar = Base.extend(/** @scope R.ai.AStar.prototype */{
+
+   /** @private */
+   constructor: null,
+
+   /**
+    * Find the cheapest path between two cells.  The path is an array of cells from
+    * the start cell to the goal cell, including both.  When the path is smoothed, cells
+    * which can be skipped by moving in a straight line are removed, leaving only the
+    * cells where the path turns.
+    *
+    * @param grid {R.ai.NavGrid} The navigation grid
+    * @param start {R.math.Point2D} The starting cell
+    * @param goal {R.math.Point2D} The goal cell
+    * @param [diagonal=true] {Boolean} <code>false</code> to only move in 4 directions
+    * @param [smooth=false] {Boolean} <code>true</code> to smooth the path
+    * @return {Array} An array of {@link R.math.Point2D} cells, or <code>null</code> if there is
+    *    no path to the goal
+    * @memberOf R.ai.AStar
+    */
+   findPath: function(grid, start, goal, diagonal, smooth) {
+      if (!grid.isWalkable(start.x, start.y) || !grid.isWalkable(goal.x, goal.y)) {
+         return null;
+      }
+
+      diagonal = diagonal !== false;
+      var NavGrid = R.ai.NavGrid, w = grid.getWidth(), dirs = diagonal ? R.ai.AStar.DIRECTIONS_8 :
+          R.ai.AStar.DIRECTIONS_4, startIdx = start.x + start.y * w, goalIdx = goal.x + goal.y * w,
+          costs = {}, parents = {}, closed = {}, open = [];
+
+      costs[startIdx] = 0;
+      NavGrid.heapPush(open, R.ai.AStar.heuristic(start.x, start.y, goal.x, goal.y, diagonal), startIdx);
+
+      while (open.length > 0) {
+         var idx = NavGrid.heapPop(open);
+         if (closed[idx]) {
+            // A stale entry for a cell which was reached more cheaply
+            continue;
+         }
+
+         if (idx == goalIdx) {
+            var path = R.ai.AStar.buildPath(parents, goalIdx, w);
+            return smooth ? R.ai.AStar.smooth(grid, path) : path;
+         }
+
+         closed[idx] = true;
+         var x = idx % w, y = (idx - x) / w;
+         for (var d = 0; d < dirs.length; d++) {
+            var dx = dirs[d][0], dy = dirs[d][1], nx = x + dx, ny = y + dy, nIdx = nx + ny * w;
+            if (closed[nIdx] || !grid.isWalkable(nx, ny)) {
+               continue;
+            }
+
+            // Diagonal steps can't cut the corner of a blocked cell
+            var diag = dx != 0 && dy != 0;
+            if (diag && (!grid.isWalkable(x + dx, y) || !grid.isWalkable(x, y + dy))) {
+               continue;
+            }
+
+            var cost = costs[idx] + grid.getCost(nx, ny) * (diag ? Math.SQRT2 : 1);
+            if (costs[nIdx] === undefined || cost < costs[nIdx]) {
+               costs[nIdx] = cost;
+               parents[nIdx] = idx;
+               NavGrid.heapPush(open, cost + R.ai.AStar.heuristic(nx, ny, goal.x, goal.y, diagonal), nIdx);
+            }
+         }
+      }
+
+      // The goal can't be reached
+      return null;
+   },
+
+   /**
+    * Find the cheapest path between two points in the world.  The path is an array of
+    * world points, at the centers of the cells along the path, except for the last which
+    * is the destination itself.  The first cell, where the path starts, isn't included.
+    *
+    * @param grid {R.ai.NavGrid} The navigation grid
+    * @param from {R.math.Point2D} The starting point
+    * @param to {R.math.Point2D} The destination
+    * @param [diagonal=true] {Boolean} <code>false</code> to only move in 4 directions
+    * @param [smooth=true] {Boolean} <code>false</code> to keep every cell along the path
+    * @return {Array} An array of {@link R.math.Point2D}, or <code>null</code> if there is
+    *    no path to the destination
+    * @memberOf R.ai.AStar
+    */
+   findWorldPath: function(grid, from, to, diagonal, smooth) {
+      var start = grid.getCellAt(from), goal = grid.getCellAt(to),
+          cells = R.ai.AStar.findPath(grid, start, goal, diagonal, smooth !== false), path = null;
+
+      if (cells) {
+         path = [];
+         for (var c = 1; c < cells.length - 1; c++) {
+            path.push(grid.getCellCenter(cells[c].x, cells[c].y));
+         }
+         path.push(R.math.Point2D.create(to));
+         R.ai.AStar.destroyPath(cells);
+      }
+
+      start.destroy();
+      goal.destroy();
+      return path;
+   },
+
+   /**
+    * Smooth a path of cells, removing the cells which can be skipped by moving in a
+    * straight line to a later cell.  A line can only skip cells if it doesn't cross a
+    * cell which costs more than the cells it replaces, so smoothing won't cut across
+    * expensive terrain which the path went around.  The cells which are removed are
+    * destroyed.
+    *
+    * @param grid {R.ai.NavGrid} The navigation grid
+    * @param path {Array} An array of {@link R.math.Point2D} cells
+    * @return {Array} The smoothed path
+    * @memberOf R.ai.AStar
+    */
+   smooth: function(grid, path) {
+      if (path.length < 3) {
+         return path;
+      }
+
+      var smoothed = [path[0]], anchor = path[0], maxCost = grid.getCost(anchor.x, anchor.y);
+      for (var p = 1; p < path.length - 1; p++) {
+         var next = path[p + 1];
+         maxCost = Math.max(maxCost, grid.getCost(path[p].x, path[p].y), grid.getCost(next.x, next.y));
+         if (grid.hasLineOfSight(anchor.x, anchor.y, next.x, next.y, maxCost)) {
+            // The cell can be skipped
+            path[p].destroy();
+         } else {
+            anchor = path[p];
+            smoothed.push(anchor);
+            maxCost = Math.max(grid.getCost(anchor.x, anchor.y), grid.getCost(next.x, next.y));
+         }
+      }
+
+      smoothed.push(path[path.length - 1]);
+      return smoothed;
+   },
+
+   /**
+    * Destroy the points of a path.
+    * @param path {Array} An array of {@link R.math.Point2D}
+    * @memberOf R.ai.AStar
+    */
+   destroyPath: function(path) {
+      for (var p = 0; p < path.length; p++) {
+         path[p].destroy();
+      }
+   },
+
+   /**
+    * The estimated cost between two cells: the Manhattan distance when moving in 4
+    * directions, or the octile distance when moving in 8.
+    * @private
+    * @memberOf R.ai.AStar
+    */
+   heuristic: function(x0, y0, x1, y1, diagonal) {
+      var dx = Math.abs(x1 - x0), dy = Math.abs(y1 - y0);
+      return diagonal ? (dx + dy) + (Math.SQRT2 - 2) * Math.min(dx, dy) : dx + dy;
+   },
+
+   /**
+    * Walk the parents back from the goal to create the path.
+    * @private
+    * @memberOf R.ai.AStar
+    */
+   buildPath: function(parents, idx, w) {
+      var path = [];
+      while (idx !== undefined) {
+         path.unshift(R.math.Point2D.create(idx % w, Math.floor(idx / w)));
+         idx = parents[idx];
+      }
+      return path;
+   },
+
+   /**
+    * The steps when moving in 4 directions
+    * @private
+    * @memberOf R.ai.AStar
+    */
+   DIRECTIONS_4: [[1, 0], [-1, 0], [0, 1], [0, -1]],
+
+   /**
+    * The steps when moving in 8 directions
+    * @private
+    * @memberOf R.ai.AStar
+    */
+   DIRECTIONS_8: [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, 1], [1, -1], [-1, -1]]
+
+});
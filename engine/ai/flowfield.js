@@ -0,0 +1,271 @@
+/**
+ * The Render Engine
+ * FlowField
+ *
+ * @fileoverview A flow field which guides any number of agents toward a goal
+ *               over a navigation grid.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ *
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.ai.FlowField",
+   "requires": [
+      "R.engine.PooledObject",
+      "R.ai.NavGrid",
+      "R.math.Vector2D"
+   ]
+});
+
+/**
+ * @class A flow field stores, for every cell of a {@link R.ai.NavGrid}, the cheapest
+ *    cost to reach a goal and the direction to move in to get there.  Finding a path for
+ *    each agent gets expensive when many agents head for the same place.  A flow field is
+ *    computed once for the goal, and then each agent only has to look up the direction
+ *    of the cell it is in.
+ * <pre>
+ *    var field = R.ai.FlowField.create(grid);
+ *    field.setGoal(grid.getCellAt(base.getPosition()));
+ *
+ *    // Each agent follows the field
+ *    mover.addBehavior("follow", R.components.logic.behaviors.PathFollow.create(field));
+ * </pre>
+ *    The field must be updated, by setting the goal again, when the goal moves or the
+ *    costs of the grid change.
+ *
+ * @param grid {R.ai.NavGrid} The navigation grid
+ * @param [diagonal=true] {Boolean} <code>false</code> to only move in 4 directions
+ * @extends R.engine.PooledObject
+ * @constructor
+ * @description Create a flow field over a navigation grid
+ */
+R.ai.FlowField = function() {
+   return R.engine.PooledObject.extend(/** @scope R.ai.FlowField.prototype */{
+
+      grid: null,
+      diagonal: true,
+      distances: null,
+      directions: null,
+
+      /** @private */
+      constructor: function(grid, diagonal) {
+         this.base("FlowField");
+         this.grid = grid;
+         this.diagonal = diagonal !== false;
+         this.distances = null;
+         this.directions = null;
+      },
+
+      /**
+       * Release the flow field back into the pool for reuse
+       */
+      release: function() {
+         this.base();
+         this.grid = null;
+         this.diagonal = true;
+         this.distances = null;
+         this.directions = null;
+      },
+
+      /**
+       * Get the navigation grid the field is computed over.
+       * @return {R.ai.NavGrid}
+       */
+      getGrid: function() {
+         return this.grid;
+      },
+
+      /**
+       * Compute the field toward a single goal cell.
+       * @param goal {R.math.Point2D} The goal cell
+       */
+      setGoal: function(goal) {
+         this.setGoals([goal]);
+      },
+
+      /**
+       * Compute the field toward the nearest of several goal cells.  Goals which
+       * can't be entered are ignored.
+       * @param goals {Array} An array of {@link R.math.Point2D} cells
+       */
+      setGoals: function(goals) {
+         var grid = this.grid, NavGrid = R.ai.NavGrid, w = grid.getWidth(), h = grid.getHeight(),
+             dirs = this.diagonal ? R.ai.FlowField.DIRECTIONS_8 : R.ai.FlowField.DIRECTIONS_4,
+             open = [], idx, x, y, d;
+
+         this.distances = [];
+         R.engine.Support.fillArray(this.distances, w * h, Infinity);
+
+         for (var g = 0; g < goals.length; g++) {
+            if (grid.isWalkable(goals[g].x, goals[g].y)) {
+               idx = goals[g].x + goals[g].y * w;
+               this.distances[idx] = 0;
+               NavGrid.heapPush(open, 0, idx);
+            }
+         }
+
+         // Integrate the cost to reach the goals outward over the grid
+         var closed = {};
+         while (open.length > 0) {
+            idx = NavGrid.heapPop(open);
+            if (closed[idx]) {
+               continue;
+            }
+            closed[idx] = true;
+            x = idx % w;
+            y = (idx - x) / w;
+
+            for (d = 0; d < dirs.length; d++) {
+               var nx = x + dirs[d][0], ny = y + dirs[d][1];
+               if (!this.canStep(nx, ny, x, y)) {
+                  continue;
+               }
+
+               var nIdx = nx + ny * w, dist = this.distances[idx] +
+                   grid.getCost(nx, ny) * (dirs[d][0] != 0 && dirs[d][1] != 0 ? Math.SQRT2 : 1);
+               if (dist < this.distances[nIdx]) {
+                  this.distances[nIdx] = dist;
+                  NavGrid.heapPush(open, dist, nIdx);
+               }
+            }
+         }
+
+         // Point each cell toward its cheapest neighbor
+         this.directions = [];
+         R.engine.Support.fillArray(this.directions, w * h, null);
+         for (y = 0; y < h; y++) {
+            for (x = 0; x < w; x++) {
+               idx = x + y * w;
+               var best = this.distances[idx], dir = null;
+               if (best == 0 || best == Infinity) {
+                  continue;
+               }
+
+               for (d = 0; d < dirs.length; d++) {
+                  var tx = x + dirs[d][0], ty = y + dirs[d][1];
+                  if (this.canStep(x, y, tx, ty) && this.distances[tx + ty * w] < best) {
+                     best = this.distances[tx + ty * w];
+                     dir = dirs[d];
+                  }
+               }
+               this.directions[idx] = dir;
+            }
+         }
+      },
+
+      /**
+       * Returns <code>true</code> if an agent can step from one cell to a neighboring cell,
+       * without cutting the corner of a blocked cell.
+       * @private
+       */
+      canStep: function(x, y, tx, ty) {
+         var grid = this.grid;
+         if (!grid.isWalkable(x, y) || !grid.isWalkable(tx, ty)) {
+            return false;
+         }
+         return (x == tx || y == ty) || (grid.isWalkable(tx, y) && grid.isWalkable(x, ty));
+      },
+
+      /**
+       * Get the cost to reach the nearest goal from a cell.
+       * @param x {Number} The cell along the X axis
+       * @param y {Number} The cell along the Y axis
+       * @return {Number} The cost, or <code>Infinity</code> if the goal can't be reached
+       */
+      getDistance: function(x, y) {
+         if (!this.distances || !this.grid.inBounds(x, y)) {
+            return Infinity;
+         }
+         return this.distances[x + y * this.grid.getWidth()];
+      },
+
+      /**
+       * Returns <code>true</code> if a goal can be reached from a cell.
+       * @param x {Number} The cell along the X axis
+       * @param y {Number} The cell along the Y axis
+       * @return {Boolean}
+       */
+      isReachable: function(x, y) {
+         return this.getDistance(x, y) != Infinity;
+      },
+
+      /**
+       * Returns <code>true</code> if the cell is a goal.
+       * @param x {Number} The cell along the X axis
+       * @param y {Number} The cell along the Y axis
+       * @return {Boolean}
+       */
+      isGoal: function(x, y) {
+         return this.getDistance(x, y) == 0;
+      },
+
+      /**
+       * Get the direction to move in from a cell.  The direction is a unit vector, or
+       * a zero vector in a goal cell and in cells where no goal can be reached.
+       * @param x {Number} The cell along the X axis
+       * @param y {Number} The cell along the Y axis
+       * @return {R.math.Vector2D} The direction.  Destroy it when you are done with it.
+       */
+      getDirection: function(x, y) {
+         var dir = this.grid.inBounds(x, y) && this.directions ? this.directions[x + y * this.grid.getWidth()] : null,
+             v = R.math.Vector2D.create(0, 0);
+         if (dir) {
+            v.set(dir[0], dir[1]).normalize();
+         }
+         return v;
+      },
+
+      /**
+       * Get the direction to move in from a point in the world.
+       * @param point {R.math.Point2D} The world point
+       * @return {R.math.Vector2D} The direction.  Destroy it when you are done with it.
+       * @see #getDirection
+       */
+      getDirectionAt: function(point) {
+         var cell = this.grid.getCellAt(point), dir = this.getDirection(cell.x, cell.y);
+         cell.destroy();
+         return dir;
+      }
+
+   }, /** @scope R.ai.FlowField.prototype */{
+
+      /**
+       * Get the class name of this object
+       * @return {String} "R.ai.FlowField"
+       */
+      getClassName: function() {
+         return "R.ai.FlowField";
+      },
+
+      /** @private */
+      DIRECTIONS_4: [[1, 0], [-1, 0], [0, 1], [0, -1]],
+
+      /** @private */
+      DIRECTIONS_8: [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, 1], [1, -1], [-1, -1]]
+   });
+};
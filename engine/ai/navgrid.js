@@ -0,0 +1,425 @@
+/**
+ * The Render Engine
+ * NavGrid
+ *
+ * @fileoverview A grid of cells which agents can navigate, built from a tile map
+ *               or from collision fixtures.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ *
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.ai.NavGrid",
+   "requires": [
+      "R.engine.PooledObject",
+      "R.math.Point2D",
+      "R.math.Rectangle2D"
+   ]
+});
+
+/**
+ * @class A navigation grid divides the world into cells, each with a cost to move
+ *    through it.  A cost of {@link #BLOCKED} means the cell cannot be entered.  Moving
+ *    into a cell costs the cell's cost multiplied by the length of the step, so a cell
+ *    with a cost of 3 is treated as three times as far to cross as an open cell.  Costs
+ *    should be 1 or greater so that path searches find the shortest path.
+ *    <p/>
+ *    A grid is usually built from a {@link R.resources.types.TileMap} with {@link #fromTileMap},
+ *    or from the collider {@link R.objects.Fixture fixtures} of a level with {@link #fromFixtures}.
+ *    Paths are found over the grid with {@link R.ai.AStar}, and a {@link R.ai.FlowField} can
+ *    guide many agents toward the same goal.
+ *
+ * @param width {Number} The number of cells along the X axis
+ * @param height {Number} The number of cells along the Y axis
+ * @param cellWidth {Number} The width of a cell, in pixels
+ * @param cellHeight {Number} The height of a cell, in pixels
+ * @param [origin] {R.math.Point2D} The world position of the top-left corner of the grid
+ * @extends R.engine.PooledObject
+ * @constructor
+ * @description Create a navigation grid where every cell is open
+ */
+R.ai.NavGrid = function() {
+   return R.engine.PooledObject.extend(/** @scope R.ai.NavGrid.prototype */{
+
+      width: 0,
+      height: 0,
+      cellWidth: 0,
+      cellHeight: 0,
+      costs: null,
+      origin: null,
+
+      /** @private */
+      constructor: function(width, height, cellWidth, cellHeight, origin) {
+         this.base("NavGrid");
+         this.width = width;
+         this.height = height;
+         this.cellWidth = cellWidth || 1;
+         this.cellHeight = cellHeight || 1;
+         this.origin = R.math.Point2D.create(origin || R.math.Point2D.ZERO);
+         this.costs = [];
+         R.engine.Support.fillArray(this.costs, width * height, 1);
+      },
+
+      /**
+       * Destroy the navigation grid
+       */
+      destroy: function() {
+         this.origin.destroy();
+         this.base();
+      },
+
+      /**
+       * Release the navigation grid back into the pool for reuse
+       */
+      release: function() {
+         this.base();
+         this.width = 0;
+         this.height = 0;
+         this.cellWidth = 0;
+         this.cellHeight = 0;
+         this.costs = null;
+         this.origin = null;
+      },
+
+      /**
+       * Get the number of cells along the X axis.
+       * @return {Number}
+       */
+      getWidth: function() {
+         return this.width;
+      },
+
+      /**
+       * Get the number of cells along the Y axis.
+       * @return {Number}
+       */
+      getHeight: function() {
+         return this.height;
+      },
+
+      /**
+       * Get the width of a cell, in pixels.
+       * @return {Number}
+       */
+      getCellWidth: function() {
+         return this.cellWidth;
+      },
+
+      /**
+       * Get the height of a cell, in pixels.
+       * @return {Number}
+       */
+      getCellHeight: function() {
+         return this.cellHeight;
+      },
+
+      /**
+       * Get the world position of the top-left corner of the grid.
+       * @return {R.math.Point2D}
+       */
+      getOrigin: function() {
+         return this.origin;
+      },
+
+      /**
+       * Returns <code>true</code> if the cell is within the grid.
+       * @param x {Number} The cell along the X axis
+       * @param y {Number} The cell along the Y axis
+       * @return {Boolean}
+       */
+      inBounds: function(x, y) {
+         return x >= 0 && y >= 0 && x < this.width && y < this.height;
+      },
+
+      /**
+       * Get the cost of moving through a cell.  Cells outside of the grid
+       * are {@link #BLOCKED}.
+       * @param x {Number} The cell along the X axis
+       * @param y {Number} The cell along the Y axis
+       * @return {Number}
+       */
+      getCost: function(x, y) {
+         return this.inBounds(x, y) ? this.costs[x + y * this.width] : R.ai.NavGrid.BLOCKED;
+      },
+
+      /**
+       * Set the cost of moving through a cell.
+       * @param x {Number} The cell along the X axis
+       * @param y {Number} The cell along the Y axis
+       * @param cost {Number} The cost, or {@link #BLOCKED}
+       */
+      setCost: function(x, y, cost) {
+         if (this.inBounds(x, y)) {
+            this.costs[x + y * this.width] = cost;
+         }
+      },
+
+      /**
+       * Returns <code>true</code> if the cell can be entered.
+       * @param x {Number} The cell along the X axis
+       * @param y {Number} The cell along the Y axis
+       * @return {Boolean}
+       */
+      isWalkable: function(x, y) {
+         return this.getCost(x, y) > 0;
+      },
+
+      /**
+       * Block a cell, or open it with a cost of 1.
+       * @param x {Number} The cell along the X axis
+       * @param y {Number} The cell along the Y axis
+       * @param [blocked=true] {Boolean} <code>false</code> to open the cell
+       */
+      setBlocked: function(x, y, blocked) {
+         this.setCost(x, y, blocked === false ? 1 : R.ai.NavGrid.BLOCKED);
+      },
+
+      /**
+       * Set the cost of every cell which a rectangle, in world coordinates, overlaps.
+       * @param rect {R.math.Rectangle2D} The area
+       * @param [cost] {Number} The cost, or {@link #BLOCKED} if not given
+       */
+      setAreaCost: function(rect, cost) {
+         cost = cost === undefined ? R.ai.NavGrid.BLOCKED : cost;
+         var x1 = Math.floor((rect.x - this.origin.x) / this.cellWidth),
+             y1 = Math.floor((rect.y - this.origin.y) / this.cellHeight),
+             x2 = Math.ceil((rect.x + rect.w - this.origin.x) / this.cellWidth),
+             y2 = Math.ceil((rect.y + rect.h - this.origin.y) / this.cellHeight);
+
+         for (var y = Math.max(y1, 0); y < Math.min(y2, this.height); y++) {
+            for (var x = Math.max(x1, 0); x < Math.min(x2, this.width); x++) {
+               this.costs[x + y * this.width] = cost;
+            }
+         }
+      },
+
+      /**
+       * Get the cell which contains a point in the world.  The cell may be
+       * outside of the grid.
+       * @param point {R.math.Point2D} The world point
+       * @return {R.math.Point2D} The cell.  Destroy it when you are done with it.
+       */
+      getCellAt: function(point) {
+         return R.math.Point2D.create(Math.floor((point.x - this.origin.x) / this.cellWidth),
+                                      Math.floor((point.y - this.origin.y) / this.cellHeight));
+      },
+
+      /**
+       * Get the world position of the center of a cell.
+       * @param x {Number} The cell along the X axis
+       * @param y {Number} The cell along the Y axis
+       * @return {R.math.Point2D} The center.  Destroy it when you are done with it.
+       */
+      getCellCenter: function(x, y) {
+         return R.math.Point2D.create(this.origin.x + (x + 0.5) * this.cellWidth,
+                                      this.origin.y + (y + 0.5) * this.cellHeight);
+      },
+
+      /**
+       * Returns <code>true</code> if a straight line between the centers of two cells
+       * only crosses cells which can be entered.  A line which passes exactly through
+       * the corner of two cells needs both of the cells beside the corner to be open.
+       *
+       * @param x0 {Number} The starting cell along the X axis
+       * @param y0 {Number} The starting cell along the Y axis
+       * @param x1 {Number} The ending cell along the X axis
+       * @param y1 {Number} The ending cell along the Y axis
+       * @param [maxCost] {Number} If given, cells which cost more than this also block the line
+       * @return {Boolean}
+       */
+      hasLineOfSight: function(x0, y0, x1, y1, maxCost) {
+         var self = this, nx = Math.abs(x1 - x0), ny = Math.abs(y1 - y0),
+             sx = x1 > x0 ? 1 : -1, sy = y1 > y0 ? 1 : -1, x = x0, y = y0;
+
+         function open(cx, cy) {
+            var cost = self.getCost(cx, cy);
+            return cost > 0 && (maxCost === undefined || cost <= maxCost);
+         }
+
+         if (!open(x, y)) {
+            return false;
+         }
+
+         // Walk every cell the line passes through
+         for (var ix = 0, iy = 0; ix < nx || iy < ny;) {
+            var decision = (1 + 2 * ix) * ny - (1 + 2 * iy) * nx;
+            if (decision == 0) {
+               if (!open(x + sx, y) || !open(x, y + sy)) {
+                  return false;
+               }
+               x += sx;
+               y += sy;
+               ix++;
+               iy++;
+            } else if (decision < 0) {
+               x += sx;
+               ix++;
+            } else {
+               y += sy;
+               iy++;
+            }
+
+            if (!open(x, y)) {
+               return false;
+            }
+         }
+
+         return true;
+      }
+
+   }, /** @scope R.ai.NavGrid.prototype */{
+
+      /**
+       * Get the class name of this object
+       * @return {String} "R.ai.NavGrid"
+       */
+      getClassName: function() {
+         return "R.ai.NavGrid";
+      },
+
+      /**
+       * The cost of a cell which cannot be entered
+       * @type {Number}
+       */
+      BLOCKED: 0,
+
+      /**
+       * Build a navigation grid from the solidity of the tiles in a tile map.  There is
+       * a cell for each tile position, the size of the map's base tile.  Tiles which are
+       * completely opaque block their cell, and empty positions and transparent tiles
+       * are open.  Tiles which are partly opaque block their cell unless <code>blockMixed</code>
+       * is <code>false</code>.
+       *
+       * @param tileMap {R.resources.types.TileMap} The tile map
+       * @param [blockMixed=true] {Boolean} <code>false</code> to leave partly opaque tiles open
+       * @param [costFn] {Function} A function which is passed the tile (or <code>null</code>) and
+       *    the cell's X and Y, and returns the cost of the cell or <code>undefined</code> to use
+       *    the tile's solidity.
+       * @return {R.ai.NavGrid}
+       * @static
+       */
+      fromTileMap: function(tileMap, blockMixed, costFn) {
+         var base = tileMap.getBaseTile();
+         Assert(base != null, "NavGrid cannot be built from a tile map which contains no tiles");
+
+         var grid = R.ai.NavGrid.create(tileMap.width, tileMap.height, base.getBoundingBox().w,
+            base.getBoundingBox().h), Tile = R.resources.types.Tile;
+
+         for (var y = 0; y < tileMap.height; y++) {
+            for (var x = 0; x < tileMap.width; x++) {
+               var tile = tileMap.getTile(x, y), cost = costFn ? costFn(tile, x, y) : undefined;
+               if (cost === undefined) {
+                  var status = tile && tile.solidityMap ? tile.solidityMap.status : Tile.ALL_TRANSPARENT;
+                  cost = (status == Tile.ALL_OPAQUE || (status == Tile.ALL_MIXED && blockMixed !== false)) ?
+                     R.ai.NavGrid.BLOCKED : 1;
+               }
+               grid.setCost(x, y, cost);
+            }
+         }
+
+         return grid;
+      },
+
+      /**
+       * Build a navigation grid from the collider boxes of a level.  Every cell which a
+       * {@link R.objects.Fixture} of type {@link R.objects.Fixture#TYPE_COLLIDER} overlaps is
+       * blocked.  Trigger fixtures don't block movement.
+       *
+       * @param fixtures {Array|R.struct.Container} The fixtures
+       * @param width {Number} The number of cells along the X axis
+       * @param height {Number} The number of cells along the Y axis
+       * @param cellWidth {Number} The width of a cell, in pixels
+       * @param cellHeight {Number} The height of a cell, in pixels
+       * @param [origin] {R.math.Point2D} The world position of the top-left corner of the grid
+       * @return {R.ai.NavGrid}
+       * @static
+       */
+      fromFixtures: function(fixtures, width, height, cellWidth, cellHeight, origin) {
+         var grid = R.ai.NavGrid.create(width, height, cellWidth, cellHeight, origin),
+             list = fixtures.getAll ? fixtures.getAll() : fixtures,
+             rect = R.math.Rectangle2D.create(0, 0, 1, 1);
+
+         for (var f = 0; f < list.length; f++) {
+            var fixture = list[f];
+            if (fixture.getType() == R.objects.Fixture.TYPE_COLLIDER) {
+               var pos = fixture.getPosition(), box = fixture.boxRect;
+               rect.set(pos.x, pos.y, box.w, box.h);
+               grid.setAreaCost(rect, R.ai.NavGrid.BLOCKED);
+            }
+         }
+
+         rect.destroy();
+         return grid;
+      },
+
+      /**
+       * Push a cell onto a binary heap, ordered by score.
+       * @private
+       */
+      heapPush: function(heap, score, index) {
+         var node = [score, index], i = heap.length;
+         heap.push(node);
+         while (i > 0) {
+            var parent = (i - 1) >> 1;
+            if (heap[parent][0] <= score) {
+               break;
+            }
+            heap[i] = heap[parent];
+            i = parent;
+         }
+         heap[i] = node;
+      },
+
+      /**
+       * Pop the cell with the lowest score from a binary heap.
+       * @private
+       */
+      heapPop: function(heap) {
+         var top = heap[0], last = heap.pop();
+         if (heap.length > 0) {
+            var i = 0, len = heap.length;
+            while (true) {
+               var c = 2 * i + 1;
+               if (c >= len) {
+                  break;
+               }
+               if (c + 1 < len && heap[c + 1][0] < heap[c][0]) {
+                  c++;
+               }
+               if (heap[c][0] >= last[0]) {
+                  break;
+               }
+               heap[i] = heap[c];
+               i = c;
+            }
+            heap[i] = last;
+         }
+         return top[1];
+      }
+   });
+};
@@ -309,6 +309,7 @@ R.engine.BaseObject = function(){
 		 */
 		removeEvent: function(ref, type){
          var fn;
+         type = R.isString(ref) ? ref : type;
          ref = R.isString(ref) ? this : ref;
 			if (ref == null) {
 				// This was a global assignment to the document body.  Clean it up
@@ -330,7 +331,7 @@ R.engine.BaseObject = function(){
 				} else {
                var listeners = this.eventListeners[type.toUpperCase()];
                if (listeners) {
-                  listeners = R.engine.Support.filter(listeners, function(e) {
+                  this.eventListeners[type.toUpperCase()] = R.engine.Support.filter(listeners, function(e) {
                      return e.id !== id;
                   });
                }
@@ -42,6 +42,7 @@ R.Engine.defaultOptions = {
 	"transientMathObject": false,									   // Transient (non-pooled) MathObjects
 	"useDirtyRectangles": false,										// Enable canvas dirty rectangles redraws
    "nativeAnimationFrame": true,                            // Enable the use of "requestAnimationFrame"
+   "headless": false,                                       // Running without a DOM (set by the headless boot)
    "disableParticleEngine": false,                          // Disable particle engines (if used)
    "maxParticles": 250,                                     // Default maximum particles engine will allow
    "useVirtualControlPad": false,                           // Show the virtual d-pad (for touch)
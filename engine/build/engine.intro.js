@@ -275,7 +275,22 @@ R.global.nativeFrame = (function(){
            R.global.oRequestAnimationFrame      ||
            R.global.msRequestAnimationFrame     ||
            function(/* function */ callback, /* DOMElement */ element){
-             R.global.setTimeout(callback, 1000 / 60);
+             return R.global.setTimeout(callback, 1000 / 60);
+           };
+ })();
+
+/**
+ * Method to cancel an animation frame requested with <tt>nativeFrame</tt>
+ */
+R.global.cancelNativeFrame = (function(){
+   return  R.global.cancelAnimationFrame          ||
+           R.global.webkitCancelAnimationFrame    ||
+           R.global.webkitCancelRequestAnimationFrame ||
+           R.global.mozCancelAnimationFrame       ||
+           R.global.oCancelAnimationFrame         ||
+           R.global.msCancelAnimationFrame        ||
+           function(/* Number */ handle){
+             R.global.clearTimeout(handle);
            };
  })();
 
@@ -287,6 +302,7 @@ R.bind = function(obj, fn) {
 };
 
 // Define the engine's default namespaces
+R.namespace("ai");
 R.namespace("debug");
 R.namespace("lang");
 R.namespace("struct");
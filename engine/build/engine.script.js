@@ -476,10 +476,11 @@ R.engine.Script = Base.extend(/** @scope R.engine.Script.prototype */{
       R.engine.Script.loadGameOptions(gameSource);
 
       R.engine.Script.gameLoadTimer = setInterval(function() {
+         var defaultCtx = R.Engine.isHeadless() ? R.rendercontexts.NullContext : R.rendercontexts.DocumentContext;
          if (R.engine.Script.optionsLoaded &&
              R.engine.Script.gameOptionsLoaded &&
-				 R.rendercontexts.DocumentContext &&
-				 R.rendercontexts.DocumentContext.started) {
+				 defaultCtx &&
+				 defaultCtx.started) {
 
             // Show the virtual D-pad if the option is on
             R.engine.Support.showDPad();
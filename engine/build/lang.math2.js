@@ -34,7 +34,9 @@
 /**
  * @class A static class which provides methods for generating random integers
  * 		 and floats between 0 and 1.  The class also provides a way to seed the
- * 		 random number generator for repeatable results.
+ * 		 random number generator for repeatable results.  Once {@link R.math.Random}
+ * 		 has been loaded, the random methods draw from the engine-wide generator,
+ * 		 {@link R.math.Random#getDefault}.
  * 
  * @static
  */
@@ -51,6 +53,14 @@ R.lang.Math2 = /** @scope R.lang.Math2.prototype */{
 	 * @memberOf R.lang.Math2
 	 */
 	MAX_INT: 0xFFFFFFFF,		// 64-bits
+
+	/**
+	 * Get the engine-wide random number generator, if it has been loaded.
+	 * @private
+	 */
+	getGenerator: function() {
+		return (R.math.Random && R.math.Random.getDefault) ? R.math.Random.getDefault() : null;
+	},
 	
 	/**
 	 * Seed the random number generator with a known number.  This
@@ -60,6 +70,12 @@ R.lang.Math2 = /** @scope R.lang.Math2.prototype */{
 	 * @memberOf R.lang.Math2
 	 */
 	seed: function(seed) {
+		var rng = R.lang.Math2.getGenerator();
+		if (rng) {
+			rng.seed(seed);
+			return;
+		}
+
 		// LCG using GCC's constants
 		R.lang.Math2.state = seed ? seed : Math.floor(Math.random() * (R.lang.Math2.m-1));
 	},
@@ -70,6 +86,11 @@ R.lang.Math2 = /** @scope R.lang.Math2.prototype */{
 	 * @memberOf R.lang.Math2
 	 */
 	randomInt: function() {
+		var rng = R.lang.Math2.getGenerator();
+		if (rng) {
+			return rng.randomInt();
+		}
+
 		R.lang.Math2.state = (R.lang.Math2.a * R.lang.Math2.state + R.lang.Math2.c) % R.lang.Math2.m;
 		return R.lang.Math2.state;
 	},
@@ -80,6 +101,11 @@ R.lang.Math2 = /** @scope R.lang.Math2.prototype */{
 	 * @memberOf R.lang.Math2
 	 */
 	random: function() {
+		var rng = R.lang.Math2.getGenerator();
+		if (rng) {
+			return rng.random();
+		}
+
 		// returns in range [0,1]
 		return R.lang.Math2.randomInt() / (R.lang.Math2.m - 1);
 	},
@@ -36,7 +36,10 @@ R.Engine.define({
 	"class": "R.collision.broadphase.AbstractCollisionModel",
 	"requires": [
 		"R.engine.BaseObject",
-		"R.struct.Container"
+		"R.struct.Container",
+		"R.struct.RayInfo",
+		"R.struct.CollisionData",
+		"R.math.Math2D"
 	]
 });
 
@@ -59,6 +62,7 @@ R.collision.broadphase.AbstractCollisionModel = function(){
 		width: 0,
 		height: 0,
 		pcl: null,
+		sweptPCL: null,
 		
 		/** @private */
 		constructor: function(name, width, height){
@@ -66,6 +70,7 @@ R.collision.broadphase.AbstractCollisionModel = function(){
 			this.width = width;
 			this.height = height;
 			this.pcl = R.struct.Container.create();
+			this.sweptPCL = R.struct.Container.create();
 		},
 		
 		/**
@@ -77,6 +82,7 @@ R.collision.broadphase.AbstractCollisionModel = function(){
 			this.width = 0;
 			this.height = 0;
 			this.pcl = null;
+			this.sweptPCL = null;
 		},
 		
 		/**
@@ -236,11 +242,57 @@ R.collision.broadphase.AbstractCollisionModel = function(){
 		 * within the defined sub-space of the container.
 		 *
 	    * @param point {R.math.Point2D} The point to begin the search at.
+		 * @param [time] {Number} The engine time
+		 * @param [dt] {Number} The delta between the world time and the last time the world was updated
+		 * @param [obj] {R.engine.BaseObject} The object the PCL is for.  Models which index objects by
+		 *    their world box search the object's box, rather than the point.
 		 * @return {R.struct.Container} An empty PCL
 		 */
-		getPCL: function(point){
+		getPCL: function(point, time, dt, obj){
 			return this.pcl;
 		},
+
+      /**
+       * Returns a potential collision list (PCL) which covers the path an object took
+       * between two points, for continuous collision detection.  By default, the PCLs
+       * for points spaced along the path are combined so that each node is only listed
+       * once.  Models which index objects by their world box should override this to
+       * search the area swept by the box instead.  The PCL is reused by the next call.
+       *
+       * @param from {R.math.Point2D} Where the object started
+       * @param to {R.math.Point2D} Where the object ended up
+       * @param [time] {Number} The engine time
+       * @param [dt] {Number} The delta between the world time and the last time the world was updated
+       * @param [obj] {R.engine.BaseObject} The object the PCL is for
+       * @return {R.struct.Container} A container of nodes found that could be collision targets
+       */
+      getSweptPCL: function(from, to, time, dt, obj) {
+         var nodes = this.sweptPCL, dx = to.x - from.x, dy = to.y - from.y,
+             steps = Math.ceil(Math.sqrt(dx * dx + dy * dy) / this.getSweepStep()),
+             pt = R.math.Point2D.create(0, 0);
+
+         nodes.clear();
+         for (var s = 0; s <= steps; s++) {
+            var t = steps == 0 ? 1 : s / steps;
+            this.getPCL(pt.set(from.x + dx * t, from.y + dy * t), time, dt).forEach(function(node) {
+               if (!nodes.contains(node)) {
+                  nodes.add(node);
+               }
+            });
+         }
+
+         pt.destroy();
+         return nodes;
+      },
+
+      /**
+       * The distance between the points sampled by {@link #getSweptPCL}.
+       * @return {Number}
+       * @private
+       */
+      getSweepStep: function() {
+         return R.collision.broadphase.AbstractCollisionModel.SWEEP_STEP;
+      },
 		
 		/**
 		 * Returns all objects within the collision model.
@@ -288,56 +340,106 @@ R.collision.broadphase.AbstractCollisionModel = function(){
             var pos = obj.getPosition();
             var distSqr = (point.x - pos.x) * (point.x - pos.x) +
                           (point.y - pos.y) * (point.y - pos.y);
-            return (distSqr < radius);
+            return (distSqr < radius * radius);
          });
       },
 
       /**
-       * Cast a ray through the collision model, looking for collisions along the
-       * ray.  If a collision is found, a {@link R.struct.CollisionData} object
-       * will be returned or <code>null</code> if otherwise.  If the object being
-       * tested has a convex hull, that will be used to test for collision with
-       * the ray.  Otherwise, its world box will be used.
+       * Get the box which an object occupies in the world.  For an object with an
+       * {@link R.objects.Object2D#getAABB axis aligned bounding box}, the box encompasses the
+       * entire object in world coordinates.  Other objects occupy the point at their position.
+       *
+       * @param obj {R.engine.BaseObject} The object
+       * @param box {R.math.Rectangle2D} The rectangle to store the box in
+       * @return {R.math.Rectangle2D} The box
+       */
+      getObjectBox: function(obj, box) {
+         var ctx = obj.getRenderContext ? obj.getRenderContext() : null, pos;
+         if (obj.getAABB && ctx) {
+            // The AABB is relative to the viewport, so move it back into the world
+            box.set(obj.getAABB());
+            pos = ctx.getWorldPosition();
+            box.offset(pos.x, pos.y);
+         } else {
+            pos = obj.getPosition();
+            box.set(pos.x, pos.y, 0, 0);
+         }
+         return box;
+      },
+
+      /**
+       * Cast a ray through the collision model, looking for objects which the ray
+       * strikes.  The ray is tested exactly against each object's convex hull, or its
+       * world box if it doesn't have one.  The nearest impact is stored in the ray info,
+       * along with the object struck, the distance to the impact, and the normal of the
+       * surface struck.  If the ray info was created to find all hits, every impact is
+       * also stored in {@link R.struct.RayInfo#hits}.
        * <p/>
-       * If a collision occurs, the value stored in {@link R.struct.CollisionData#shape1}
-       * is the object which was collided with.  The value in {@link R.struct.CollisionData#impulseVector}
-       * is the point at which the intersection was determined.
+       * For compatibility, a ray can also be cast from a point in a direction, in which case
+       * a {@link R.struct.CollisionData} object is returned, or <code>null</code> if no collision
+       * would occur.  The value stored in {@link R.struct.CollisionData#shape1} is the object
+       * which was collided with, and {@link R.struct.CollisionData#impulseVector} is the point at
+       * which the intersection was determined.
        *
-       * @param fromPoint {R.math.Point2D} The origination of the ray
-       * @param direction {R.math.Vector2D} A vector whose magnitude specifies the direction and
-       *    length of the ray being cast.  The ray will be truncated at {@link #MAX_RAY_LENGTH}.
-       * @param [testFn] {Function} A test function which will be executed when a collision occurs.  The
-       *    argument to the function will be a {@link R.struct.CollisionData}.  Returning <code>true</code> will indicate
-       *    that the raycast testing should stop, <code>false</code> to continue testing.
-       * @return {R.struct.CollisionData} The collision info, or <code>null</code> if
-       *    no collision would occur.
+       * @param rayInfo {R.struct.RayInfo|R.math.Point2D} The ray to cast, or the origination of the ray
+       * @param [direction] {R.math.Vector2D} When casting from a point, a vector whose magnitude specifies
+       *    the direction and length of the ray
+       * @param [testFn] {Function} A test function which is passed each object the ray strikes.  Returning
+       *    <code>true</code> indicates the object should be considered, <code>false</code> to ignore it.
+       * @return {R.struct.RayInfo|R.struct.CollisionData} The ray info which was passed in, or the
+       *    collision info when casting from a point
        */
-      castRay: function(fromPoint, direction, testFn) {
-         // Get all of the points along the line and test them against the
-         // collision model.  At the first collision, we stop performing any more checks.
-         var begin = R.math.Point2D.create(fromPoint), end = R.math.Point2D.create(fromPoint),
-             dir = R.math.Vector2D.create(direction), line,
-             pt = 0, test, node, itr, object, wt = R.Engine.worldTime, dt = R.Engine.lastTime,
-             vec = R.math.Vector2D.create(direction).neg(), did = false;
-
-         // Create the collision structure only once
-         var collision = R.struct.CollisionData.create(0, vec, null, null, null, wt, dt);
-
-         // Make sure the length isn't greater than the max
-         if (dir.len() > R.collision.broadphase.AbstractCollisionModel.MAX_RAY_LENGTH) {
-            dir.normalize().mul(R.collision.broadphase.AbstractCollisionModel.MAX_RAY_LENGTH);
+      castRay: function(rayInfo, direction, testFn) {
+         if (!(rayInfo instanceof R.struct.RayInfo)) {
+            return this.castRayFromPoint(rayInfo, direction, testFn, arguments[3]);
          }
 
-         // Use Bresenham's algorithm to calculate the points along the line
-         end.add(dir);
-         line = R.math.Math2D.bresenham(begin, end);
+         testFn = direction;
+         var start = rayInfo.startPoint, dir = rayInfo.direction,
+             end = R.math.Point2D.create(start).add(dir), impact = R.math.Point2D.create(0, 0),
+             normal = R.math.Vector2D.create(0, 0), tested = {}, nearest = 2;
+
+         this.traceRay(start, end, function(objects, tEnter) {
+            if (!rayInfo.findAll && nearest <= tEnter) {
+               // Nothing left can be nearer than what was hit
+               return true;
+            }
+
+            for (var o = 0; o < objects.length; o++) {
+               var obj = objects[o];
+               if (tested[obj.getId()]) {
+                  continue;
+               }
+               tested[obj.getId()] = true;
+
+               var t = this.intersectObject(obj, start, dir, normal);
+               if (t != -1 && (rayInfo.findAll || t < nearest) && (!testFn || testFn(obj))) {
+                  nearest = Math.min(nearest, t);
+                  rayInfo.addHit(impact.set(start.x + dir.x * t, start.y + dir.y * t), obj, null, normal);
+               }
+            }
+            return false;
+         });
+
+         end.destroy();
+         impact.destroy();
+         normal.destroy();
+         return rayInfo;
+      },
+
+      /**
+       * Cast a ray from a point, returning collision data for the nearest object struck.
+       * @private
+       */
+      castRayFromPoint: function(fromPoint, direction, testFn, renderContext) {
+         var rayInfo = R.struct.RayInfo.create(fromPoint, direction), collision = null;
 
          /* pragma:DEBUG_START */
-         if (R.Engine.getDebugMode() && arguments[3])
+         if (R.Engine.getDebugMode() && renderContext)
          {
-            var start = R.math.Point2D.create(begin), finish = R.math.Point2D.create(end);
+            var start = R.math.Point2D.create(fromPoint), end = R.math.Point2D.create(fromPoint).add(direction);
 
-            arguments[3].postRender(function() {
+            renderContext.postRender(function() {
                this.setLineStyle("yellow");
                this.setLineWidth(1);
                this.drawLine(start, end);
@@ -347,77 +449,59 @@ R.collision.broadphase.AbstractCollisionModel = function(){
          }
          /* pragma:DEBUG_END */
 
-
-         while (!collision.shape1 && pt < line.length) {
-            test = line[pt++];
-
-            // If the point is outside our boundaries, we can move to the next point
-            if (test.x < 0 || test.y < 0 || test.x > this.width || test.y > this.height) {
-               continue;
-            }
-
-            // Find the node for the current point
-            node = this.findNodePoint(test);
-
-            // Get all of the objects in the node
-            for (itr = node.getObjects().iterator(); itr.hasNext(); ) {
-               object = itr.next();
-               did = false;
-
-               // If the object has a collision hull, we'll test against that
-               // otherwise we'll use its world box
-               if (object.getCollisionHull) {
-                  var hull = object.getCollisionHull();
-                  if (hull.getType() == R.collision.ConvexHull.CONVEX_CIRCLE) {
-                     // Point to circle hull test
-                     did = R.math.Math2D.pointInCircle(test, hull.getCenter(), hull.getRadius());
-                  } else {
-                     // Point to polygon hull test
-                     did = R.math.Math2D.pointInPoly(test, hull.getVertexes());
-                  }
-               } else if (object.getWorldBox && object.getWorldBox().containsPoint(test)) {
-                  did = true;
-               }
-
-               // If we find a collision, prep collision structure
-               if (did) {
-                  collision.shape1 = object;
-                  collision.impulseVector = R.math.Vector2D.create(test);
-
-                  if (!testFn) {
-                     // No test function, just return the collision
-                     break;
-                  } else if (testFn(collision.shape1)) {
-                     // Test function returned true, return the collision
-                     break;
-                  } else {
-                     // Test function returned false, move onto another test
-                     collision.shape1 = null;
-                     collision.impulseVector.destroy();
-                  }
-               }
-            }
-
-            // Clean up the iterator over the objects in the node
-            itr.destroy();
+         this.castRay(rayInfo, testFn);
+         if (rayInfo.shape) {
+            collision = R.struct.CollisionData.create(rayInfo.overlap, R.math.Vector2D.create(rayInfo.normal),
+                  rayInfo.shape, null, R.math.Vector2D.create(rayInfo.impactPoint), rayInfo.worldTime,
+                  rayInfo.delta, 1, R.math.Point2D.create(rayInfo.impactPoint));
          }
 
-         // Clean up a bit
-         begin.destroy();
-         end.destroy();
-         dir.destroy();
+         rayInfo.destroy();
+         return collision;
+      },
 
-         // Destroy the points in the line
-         while (line.length > 0) {
-            line.shift().destroy();
-         }
+      /**
+       * Pass the objects which could be struck by a ray to a function, in batches ordered
+       * from the start of the ray to its end.  The function is given an array of objects
+       * and the fraction along the ray where the batch begins.  It returns <code>true</code>
+       * to stop tracing the ray.  By default, every object is passed in one batch.  Objects
+       * may be passed more than once.
+       *
+       * @param start {R.math.Point2D} The start of the ray
+       * @param end {R.math.Point2D} The end of the ray
+       * @param fn {Function} The function to pass the objects to
+       * @private
+       */
+      traceRay: function(start, end, fn) {
+         fn.call(this, this.getObjects().getAll(), 0);
+      },
 
-         if (collision.shape1 == null) {
-            collision.destroy();
-            collision = null;
+      /**
+       * Find where a ray intersects an object's collision hull or world box.  The ray is
+       * in world coordinates, but hulls are transformed into their render context.
+       *
+       * @param obj {R.engine.BaseObject} The object
+       * @param start {R.math.Point2D} The start of the ray
+       * @param dir {R.math.Vector2D} The direction and length of the ray
+       * @param normal {R.math.Vector2D} Set to the surface normal at the intersection
+       * @return {Number} The fraction along the ray where it intersects, or -1 if it doesn't
+       * @private
+       */
+      intersectObject: function(obj, start, dir, normal) {
+         var ctx = obj.getRenderContext ? obj.getRenderContext() : null, t,
+             hull = obj.getCollisionHull ? obj.getCollisionHull() : null;
+
+         if (hull) {
+            var wp = ctx ? ctx.getWorldPosition() : R.math.Point2D.ZERO,
+                local = R.math.Point2D.create(start.x - wp.x, start.y - wp.y);
+            t = hull.intersectRay(local, dir, normal);
+            local.destroy();
+         } else {
+            var box = this.getObjectBox(obj, R.math.Rectangle2D.create(0, 0, 0, 0));
+            t = R.math.Math2D.rayBox(start, dir, box, normal);
+            box.destroy();
          }
-
-         return collision;
+         return t;
       }
 		
 	}, /** @scope R.collision.broadphase.AbstractCollisionModel.prototype */ {
@@ -436,8 +520,16 @@ R.collision.broadphase.AbstractCollisionModel = function(){
       /**
        * The maximum length of a cast ray (1000)
        * @type {Number}
+       * @deprecated Rays are no longer truncated
+       */
+      MAX_RAY_LENGTH: 1000,
+
+      /**
+       * The distance between the points along a path whose PCLs are combined
+       * by {@link #getSweptPCL} (32)
+       * @type {Number}
        */
-      MAX_RAY_LENGTH: 1000
+      SWEEP_STEP: 32
 	});
 	
 };
\ No newline at end of file
@@ -0,0 +1,440 @@
+/**
+ * The Render Engine
+ * Quadtree
+ *
+ * @fileoverview A collision model which divides space into a tree of quadrants,
+ *               indexing objects by their world boxes.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ *
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.collision.broadphase.Quadtree",
+   "requires": [
+      "R.collision.broadphase.AbstractCollisionModel",
+      "R.collision.broadphase.QuadtreeNode",
+      "R.math.Rectangle2D",
+      "R.math.Point2D"
+   ]
+});
+
+/**
+ * @class A dynamic quadtree which indexes objects by their {@link R.objects.Object2D#getAABB world box},
+ *        so objects which span more than one area of the space are found by any query which
+ *        touches them.  Each object is kept in the deepest node which completely contains its
+ *        box.  When a node holds more than the maximum number of objects, it splits into four
+ *        quadrants and pushes down the objects which fit in them.  Empty quadrants are joined
+ *        back together as objects leave them.
+ *        <p/>
+ *        Objects outside of the model's space are kept in the root node, so they are still
+ *        found, but the tree is most effective when the space covers the whole world.
+ *        The PCL returned by {@link #getPCL} contains a single node with only the objects
+ *        whose boxes overlap the box of the object being tested.
+ *
+ * @constructor
+ * @description Create an instance of a quadtree model
+ * @param width {Number} The width of the area
+ * @param height {Number} The height of the area
+ * @param [maxObjects] {Number} The number of objects a node can hold before it splits
+ * @param [maxDepth] {Number} The maximum depth of the tree
+ * @extends R.collision.broadphase.AbstractCollisionModel
+ */
+R.collision.broadphase.Quadtree = function() {
+   return R.collision.broadphase.AbstractCollisionModel.extend(/** @scope R.collision.broadphase.Quadtree.prototype */{
+
+      maxObjects: 0,
+      maxDepth: 0,
+      resultNode: null,
+      pclResult: null,
+      searchBox: null,
+
+      /** @private */
+      constructor: function(width, height, maxObjects, maxDepth) {
+         this.base("Quadtree", width, height);
+         this.maxObjects = maxObjects || R.collision.broadphase.Quadtree.MAX_OBJECTS;
+         this.maxDepth = maxDepth || R.collision.broadphase.Quadtree.MAX_DEPTH;
+         this.setRoot(new R.collision.broadphase.QuadtreeNode(R.math.Rectangle2D.create(0, 0, width, height), 0, null));
+
+         // The node which holds the results of queries
+         this.resultNode = new R.collision.broadphase.AbstractCollisionNode();
+         this.pclResult = R.struct.Container.create();
+         this.pclResult.add(this.resultNode);
+         this.searchBox = R.math.Rectangle2D.create(0, 0, 0, 0);
+      },
+
+      /**
+       * Releases the quadtree back into the object pool.  See {@link PooledObject#release}
+       * for more information.
+       */
+      release: function() {
+         this.base();
+         this.maxObjects = 0;
+         this.maxDepth = 0;
+         this.resultNode = null;
+         this.pclResult = null;
+         this.searchBox = null;
+      },
+
+      /**
+       * Reset the collision model, removing all of the objects from the tree.
+       */
+      reset: function() {
+         var objs = this.getObjects().getAll();
+         for (var o = 0; o < objs.length; o++) {
+            this.getObjectSpatialData(objs[o], "box").destroy();
+            this.clearObjectSpatialData(objs[o]);
+         }
+
+         var root = this.getRoot();
+         if (!root.isLeaf()) {
+            this.joinAll(root);
+         }
+         root.getObjects().clear();
+      },
+
+      /**
+       * Get the number of objects a node can hold before it splits.
+       * @return {Number}
+       */
+      getMaxObjects: function() {
+         return this.maxObjects;
+      },
+
+      /**
+       * Get the maximum depth of the tree.
+       * @return {Number}
+       */
+      getMaxDepth: function() {
+         return this.maxDepth;
+      },
+
+      /**
+       * Find the deepest node that contains the specified point.  Objects which
+       * contain the point may also be in the node's ancestors.
+       *
+       * @param point {R.math.Point2D} The point to locate the node for
+       * @return {R.collision.broadphase.QuadtreeNode}
+       */
+      findNodePoint: function(point) {
+         var node = this.getRoot(), children;
+         while ((children = node.getChildren()) != null) {
+            var c = 0;
+            while (c < 4 && !children[c].contains(point)) {
+               c++;
+            }
+            if (c == 4) {
+               break;
+            }
+            node = children[c];
+         }
+         return node;
+      },
+
+      /**
+       * Add an object to the tree, or update its place in the tree after it has moved
+       * or changed size.  The object is indexed by its world box, rather than the point.
+       *
+       * @param obj {R.engine.BaseObject} The object to add to the collision model
+       * @param point {R.math.Point2D} The world position where the object is
+       */
+      addObject: function(obj, point) {
+         var box = this.getObjectSpatialData(obj, "box");
+         if (!box) {
+            box = R.math.Rectangle2D.create(0, 0, 0, 0);
+            this.setObjectSpatialData(obj, "box", box);
+         }
+         this.getObjectBox(obj, box);
+
+         var node = this.getObjectSpatialData(obj, "lastNode");
+         if (node) {
+            if ((node === this.getRoot() || box.isContained(node.getRect())) && node.getChildFor(box) == null) {
+               // The object is still in the right node
+               return;
+            }
+            node.removeObject(obj);
+            this.collapse(node);
+         }
+
+         this.insert(this.getRoot(), obj, box);
+      },
+
+      /**
+       * Remove an object from the collision model.
+       *
+       * @param obj {R.engine.BaseObject} The object to remove
+       */
+      removeObject: function(obj) {
+         var node = this.getObjectSpatialData(obj, "lastNode"), box = this.getObjectSpatialData(obj, "box");
+         if (node) {
+            node.removeObject(obj);
+            this.collapse(node);
+         }
+         if (box) {
+            box.destroy();
+         }
+         this.clearObjectSpatialData(obj);
+      },
+
+      /**
+       * Insert an object into the deepest node below <code>node</code> which contains its
+       * box, splitting the node if it has too many objects.
+       * @private
+       */
+      insert: function(node, obj, box) {
+         var child;
+         while ((child = node.getChildFor(box)) != null) {
+            node = child;
+         }
+
+         node.addObject(obj);
+         this.setObjectSpatialData(obj, "lastNode", node);
+
+         if (node.isLeaf() && node.getCount() > this.maxObjects && node.getDepth() < this.maxDepth) {
+            node.split();
+
+            // Push the objects which fit in a quadrant down into it
+            var objs = node.getObjects().getAll().slice(0);
+            for (var o = 0; o < objs.length; o++) {
+               var oBox = this.getObjectSpatialData(objs[o], "box");
+               child = node.getChildFor(oBox);
+               if (child) {
+                  node.removeObject(objs[o]);
+                  this.insert(child, objs[o], oBox);
+               }
+            }
+         }
+      },
+
+      /**
+       * Join the quadrants above a node which an object has left, while they are
+       * all empty.
+       * @private
+       */
+      collapse: function(node) {
+         var parent = node.isLeaf() ? node.getParent() : null;
+         while (parent) {
+            var children = parent.getChildren();
+            for (var c = 0; c < 4; c++) {
+               if (!children[c].isLeaf() || children[c].getCount() != 0) {
+                  return;
+               }
+            }
+            parent.join();
+            parent = parent.getParent();
+         }
+      },
+
+      /**
+       * Join every node below a node.
+       * @private
+       */
+      joinAll: function(node) {
+         var children = node.getChildren();
+         for (var c = 0; c < 4; c++) {
+            children[c].getObjects().clear();
+            if (!children[c].isLeaf()) {
+               this.joinAll(children[c]);
+            }
+         }
+         node.join();
+      },
+
+      /**
+       * Collect the objects whose boxes overlap a rectangle.
+       * @private
+       */
+      collect: function(node, rect, out) {
+         var objs = node.getObjects().getAll(), children = node.getChildren();
+         for (var o = 0; o < objs.length; o++) {
+            if (this.getObjectSpatialData(objs[o], "box").isIntersecting(rect)) {
+               out.push(objs[o]);
+            }
+         }
+
+         if (children) {
+            for (var c = 0; c < 4; c++) {
+               if (children[c].getRect().isIntersecting(rect)) {
+                  this.collect(children[c], rect, out);
+               }
+            }
+         }
+      },
+
+      /**
+       * Find the objects whose world boxes overlap a rectangle.
+       *
+       * @param rect {R.math.Rectangle2D} The rectangle, in world coordinates
+       * @return {Array} The objects
+       */
+      queryRect: function(rect) {
+         var out = [];
+         this.collect(this.getRoot(), rect, out);
+         return out;
+      },
+
+      /**
+       * Get the list of objects which could collide with an object.  When the object
+       * is given, the PCL contains the objects whose boxes overlap the object's box.
+       * Otherwise, it contains the objects whose boxes contain the point.  The PCL
+       * contains a single node with those objects, and is reused by the next call.
+       *
+       * @param point {R.math.Point2D} The point to begin the search at
+       * @param [time] {Number} The engine time
+       * @param [dt] {Number} The delta between the world time and the last time the world was updated
+       * @param [obj] {R.engine.BaseObject} The object the PCL is for
+       * @return {R.struct.Container} A container with a node of objects which could be collision targets
+       */
+      getPCL: function(point, time, dt, obj) {
+         var box = obj ? this.getObjectSpatialData(obj, "box") : null;
+         if (!box) {
+            box = this.searchBox.set(point.x, point.y, 0, 0);
+         }
+
+         var objs = this.resultNode.getObjects();
+         objs.clear();
+         objs.addAll(this.queryRect(box));
+         return this.pclResult;
+      },
+
+      /**
+       * Get the list of objects which could collide with an object as it moved between
+       * two points.  The PCL contains the objects whose boxes overlap the area swept
+       * by the object's box, and is reused by the next call.
+       *
+       * @param from {R.math.Point2D} Where the object started
+       * @param to {R.math.Point2D} Where the object ended up
+       * @param [time] {Number} The engine time
+       * @param [dt] {Number} The delta between the world time and the last time the world was updated
+       * @param [obj] {R.engine.BaseObject} The object the PCL is for
+       * @return {R.struct.Container} A container with a node of objects which could be collision targets
+       */
+      getSweptPCL: function(from, to, time, dt, obj) {
+         var box = obj ? this.getObjectSpatialData(obj, "box") : null;
+         var dx = to.x - from.x, dy = to.y - from.y, swept = this.searchBox;
+         if (box) {
+            swept.set(Math.min(box.x, box.x - dx), Math.min(box.y, box.y - dy), box.w + Math.abs(dx), box.h + Math.abs(dy));
+         } else {
+            swept.set(Math.min(from.x, to.x), Math.min(from.y, to.y), Math.abs(dx), Math.abs(dy));
+         }
+
+         var objs = this.resultNode.getObjects();
+         objs.clear();
+         objs.addAll(this.queryRect(swept));
+         return this.pclResult;
+      },
+
+      /**
+       * Query the collision model for objects near a point.  Only the objects whose boxes
+       * are within the radius of the point are tested, and the test is performed against
+       * the position of the object being tested.
+       * @param point {R.math.Point2D}
+       * @param radius {Number}
+       * @return {R.struct.Container} A container of objects which satisfy the query
+       */
+      queryNear: function(point, radius) {
+         var near = R.engine.Support.filter(this.queryRect(this.searchBox.set(point.x - radius, point.y - radius,
+             radius * 2, radius * 2)), function(obj) {
+            var pos = obj.getPosition();
+            return ((point.x - pos.x) * (point.x - pos.x) + (point.y - pos.y) * (point.y - pos.y)) < radius * radius;
+         });
+         return R.struct.Container.fromArray(near);
+      },
+
+      /**
+       * Pass the objects whose boxes overlap the box around a ray to the function.
+       * @private
+       */
+      traceRay: function(start, end, fn) {
+         fn.call(this, this.queryRect(this.searchBox.set(Math.min(start.x, end.x), Math.min(start.y, end.y),
+               Math.abs(end.x - start.x), Math.abs(end.y - start.y))), 0);
+      },
+
+      /**
+       * Returns all objects within the quadtree.
+       * @return {R.struct.Container} A container with all objects in the quadtree
+       */
+      getObjects: function() {
+         var objs = this.base();
+         (function walk(node) {
+            objs.addAll(node.getObjects());
+            if (node.getChildren()) {
+               R.engine.Support.forEach(node.getChildren(), walk);
+            }
+         })(this.getRoot());
+         return objs;
+      }
+
+      /* pragma:DEBUG_START */
+      ,update: function(renderContext, time, dt) {
+         if (!R.Engine.getDebugMode()) {
+            return;
+         }
+
+         renderContext.pushTransform();
+         this.base(renderContext, time, dt);
+
+         // Draw the quadrants, shading those which contain objects
+         (function draw(node) {
+            if (node.getCount() != 0) {
+               renderContext.setFillStyle("rgba(192,192,192,0.4)");
+               renderContext.drawFilledRectangle(node.getRect());
+            }
+            renderContext.setLineStyle("gray");
+            renderContext.drawRectangle(node.getRect());
+            if (node.getChildren()) {
+               R.engine.Support.forEach(node.getChildren(), draw);
+            }
+         })(this.getRoot());
+
+         renderContext.popTransform();
+      }
+      /* pragma:DEBUG_END */
+
+   }, /** @scope R.collision.broadphase.Quadtree.prototype */{
+      /**
+       * Get the class name of this object
+       *
+       * @return {String} "R.collision.broadphase.Quadtree"
+       */
+      getClassName: function() {
+         return "R.collision.broadphase.Quadtree";
+      },
+
+      /**
+       * The default number of objects a node can hold before it splits (8)
+       * @type {Number}
+       */
+      MAX_OBJECTS: 8,
+
+      /**
+       * The default maximum depth of the tree (6)
+       * @type {Number}
+       */
+      MAX_DEPTH: 6
+   });
+};
@@ -0,0 +1,174 @@
+/**
+ * The Render Engine
+ * QuadtreeNode
+ *
+ * @fileoverview A node within a quadtree collision model.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ *
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.collision.broadphase.QuadtreeNode",
+   "requires": [
+      "R.collision.broadphase.AbstractCollisionNode",
+      "R.math.Rectangle2D"
+   ]
+});
+
+/**
+ * @class A single node within a {@link R.collision.broadphase.Quadtree}.  A node covers
+ *        a rectangle of the model's space, and contains the objects whose world boxes fit
+ *        within the rectangle, but not within any of the node's four children.
+ *
+ * @extends R.collision.broadphase.AbstractCollisionNode
+ * @constructor
+ * @description Create a node for use within a {@link R.collision.broadphase.Quadtree}
+ * @param rect {R.math.Rectangle2D} The rectangle which defines this node
+ * @param depth {Number} The depth of the node in the tree, where the root is zero
+ * @param parent {R.collision.broadphase.QuadtreeNode} The parent node, or <code>null</code> for the root
+ */
+R.collision.broadphase.QuadtreeNode = function() {
+   return R.collision.broadphase.AbstractCollisionNode.extend(/** @scope R.collision.broadphase.QuadtreeNode.prototype */{
+
+      rect: null,
+      depth: 0,
+      parent: null,
+      children: null,
+
+      /** @private */
+      constructor: function(rect, depth, parent) {
+         this.base();
+         this.rect = rect;
+         this.depth = depth;
+         this.parent = parent;
+         this.children = null;
+      },
+
+      /**
+       * Get the rectangle which defines this node.
+       * @return {R.math.Rectangle2D}
+       */
+      getRect: function() {
+         return this.rect;
+      },
+
+      /**
+       * Get the depth of the node in the tree.  The root node is at depth zero.
+       * @return {Number}
+       */
+      getDepth: function() {
+         return this.depth;
+      },
+
+      /**
+       * Get the parent of this node, or <code>null</code> for the root node.
+       * @return {R.collision.broadphase.QuadtreeNode}
+       */
+      getParent: function() {
+         return this.parent;
+      },
+
+      /**
+       * Get the four children of this node, or <code>null</code> if the node hasn't
+       * been split.
+       * @return {Array}
+       */
+      getChildren: function() {
+         return this.children;
+      },
+
+      /**
+       * Returns <code>true</code> if the node has not been split.
+       * @return {Boolean}
+       */
+      isLeaf: function() {
+         return this.children == null;
+      },
+
+      /**
+       * Split the node into four children which divide its rectangle into quarters.
+       */
+      split: function() {
+         var r = this.rect, hw = r.w / 2, hh = r.h / 2, d = this.depth + 1;
+         this.children = [
+            new R.collision.broadphase.QuadtreeNode(R.math.Rectangle2D.create(r.x, r.y, hw, hh), d, this),
+            new R.collision.broadphase.QuadtreeNode(R.math.Rectangle2D.create(r.x + hw, r.y, hw, hh), d, this),
+            new R.collision.broadphase.QuadtreeNode(R.math.Rectangle2D.create(r.x, r.y + hh, hw, hh), d, this),
+            new R.collision.broadphase.QuadtreeNode(R.math.Rectangle2D.create(r.x + hw, r.y + hh, hw, hh), d, this)
+         ];
+      },
+
+      /**
+       * Remove the children of this node.
+       */
+      join: function() {
+         for (var c = 0; c < 4; c++) {
+            this.children[c].getRect().destroy();
+         }
+         this.children = null;
+      },
+
+      /**
+       * Get the child which completely contains a box, or <code>null</code> if the
+       * box doesn't fit within a single child.
+       * @param box {R.math.Rectangle2D} The box
+       * @return {R.collision.broadphase.QuadtreeNode}
+       */
+      getChildFor: function(box) {
+         if (this.children) {
+            for (var c = 0; c < 4; c++) {
+               if (box.isContained(this.children[c].getRect())) {
+                  return this.children[c];
+               }
+            }
+         }
+         return null;
+      },
+
+      /**
+       * Returns true if the node contains the point specified.
+       * @param point {R.math.Point2D} The point to check
+       * @return {Boolean}
+       */
+      contains: function(point) {
+         return this.rect.containsPoint(point);
+      }
+
+   }, /** @scope R.collision.broadphase.QuadtreeNode.prototype */{
+
+      /**
+       * Get the class name of this object
+       *
+       * @return {String} "R.collision.broadphase.QuadtreeNode"
+       */
+      getClassName: function() {
+         return "R.collision.broadphase.QuadtreeNode";
+      }
+
+   });
+};
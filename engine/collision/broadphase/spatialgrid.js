@@ -248,10 +248,9 @@ R.collision.broadphase.SpatialGrid = function() {
        * @private
        */
       checkNode: function(nodeList, x, y, id) {
-         var node = this.getNode(x, y);
-         if (node.isDirty()) {
-            nodeList.push(node);
-         }
+         // Every node is included, even when it isn't dirty.  A node's dirty flag is cleared
+         // by the first PCL which is rebuilt with it, so other PCLs would otherwise lose it.
+         nodeList.push(this.getNode(x, y));
       },
 
       /**
@@ -395,6 +394,37 @@ R.collision.broadphase.SpatialGrid = function() {
          return R.struct.Container.EMPTY;
       },
 
+      /**
+       * Walk the grid cells along a ray, passing the objects in each cell and the cells
+       * around it to the function.  Objects are located by their position, so the
+       * surrounding cells catch objects which reach into the cell.
+       * @private
+       */
+      traceRay: function(start, end, fn) {
+         var gX = 1 / this.xLocator, gY = 1 / this.yLocator, divs = this.divisions, root = this.getRoot(), self = this;
+         R.math.Math2D.gridTraversal(start, end, gX, gY, function(x, y, tEnter) {
+            if (x < -1 || y < -1 || x > divs || y > divs) {
+               return false;
+            }
+
+            var objs = [];
+            for (var ny = Math.max(0, y - 1); ny <= Math.min(divs - 1, y + 1); ny++) {
+               for (var nx = Math.max(0, x - 1); nx <= Math.min(divs - 1, x + 1); nx++) {
+                  objs = objs.concat(root[nx + ny * divs].getObjects().getAll());
+               }
+            }
+            return fn.call(self, objs, tEnter);
+         });
+      },
+
+      /**
+       * Sample the path of a moving object once per grid cell.
+       * @private
+       */
+      getSweepStep: function() {
+         return Math.min(1 / this.xLocator, 1 / this.yLocator);
+      },
+
       /**
        * Returns all objects within every node of the spatial grid.
        * @return {R.struct.Container} A container with all objects in the spatial grid
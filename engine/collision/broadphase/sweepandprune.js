@@ -0,0 +1,319 @@
+/**
+ * The Render Engine
+ * SweepAndPrune
+ *
+ * @fileoverview A collision model which keeps the world boxes of objects sorted
+ *               along the X axis, to quickly find the boxes which overlap.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ *
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.collision.broadphase.SweepAndPrune",
+   "requires": [
+      "R.collision.broadphase.AbstractCollisionModel",
+      "R.collision.broadphase.AbstractCollisionNode",
+      "R.math.Rectangle2D",
+      "R.math.Point2D"
+   ]
+});
+
+/**
+ * @class A sweep and prune (sort and sweep) model, which indexes objects by their
+ *        {@link R.objects.Object2D#getAABB world box}.  The boxes are kept in a list sorted by
+ *        their left edge.  Objects usually move a small distance each frame, so when an object
+ *        is updated it only moves a few places in the list.  A query searches the list for the
+ *        boxes which start before the right edge of the area, and stops once the boxes can no
+ *        longer reach the area.  {@link #getPairs} sweeps the whole list to find every pair of
+ *        overlapping boxes at once.
+ *        <p/>
+ *        The model has no fixed boundaries, so it works well for worlds of any size.  It is
+ *        less effective when many objects share the same range along the X axis, such as a
+ *        column of stacked objects.  The width and height are only used to keep points within
+ *        the model when casting rays.
+ *
+ * @constructor
+ * @description Create an instance of a sweep and prune model
+ * @param width {Number} The width of the area
+ * @param height {Number} The height of the area
+ * @extends R.collision.broadphase.AbstractCollisionModel
+ */
+R.collision.broadphase.SweepAndPrune = function() {
+   return R.collision.broadphase.AbstractCollisionModel.extend(/** @scope R.collision.broadphase.SweepAndPrune.prototype */{
+
+      entries: null,
+      maxWidth: 0,
+      resultNode: null,
+      pclResult: null,
+      searchBox: null,
+
+      /** @private */
+      constructor: function(width, height) {
+         this.base("SweepAndPrune", width, height);
+         this.entries = [];
+         this.maxWidth = 0;
+
+         // The node which holds the results of queries
+         this.resultNode = new R.collision.broadphase.AbstractCollisionNode();
+         this.pclResult = R.struct.Container.create();
+         this.pclResult.add(this.resultNode);
+         this.searchBox = R.math.Rectangle2D.create(0, 0, 0, 0);
+      },
+
+      /**
+       * Releases the model back into the object pool.  See {@link PooledObject#release}
+       * for more information.
+       */
+      release: function() {
+         this.base();
+         this.entries = null;
+         this.maxWidth = 0;
+         this.resultNode = null;
+         this.pclResult = null;
+         this.searchBox = null;
+      },
+
+      /**
+       * Reset the collision model, removing all of the objects from it.
+       */
+      reset: function() {
+         for (var e = 0; e < this.entries.length; e++) {
+            this.entries[e].box.destroy();
+            this.clearObjectSpatialData(this.entries[e].obj);
+         }
+         this.entries = [];
+         this.maxWidth = 0;
+      },
+
+      /**
+       * Add an object to the model, or update its place in the sorted list after it has
+       * moved or changed size.  The object is indexed by its world box, rather than the point.
+       *
+       * @param obj {R.engine.BaseObject} The object to add to the collision model
+       * @param point {R.math.Point2D} The world position where the object is
+       */
+      addObject: function(obj, point) {
+         var entry = this.getObjectSpatialData(obj, "sapEntry");
+         if (!entry) {
+            entry = { obj: obj, box: R.math.Rectangle2D.create(0, 0, 0, 0), idx: this.entries.length };
+            this.entries.push(entry);
+            this.setObjectSpatialData(obj, "sapEntry", entry);
+         }
+
+         this.getObjectBox(obj, entry.box);
+         if (entry.box.w > this.maxWidth) {
+            this.maxWidth = entry.box.w;
+         }
+
+         // Move the entry to its sorted place, shifting the entries it passes
+         var e = this.entries, i = entry.idx, x = entry.box.x;
+         while (i > 0 && e[i - 1].box.x > x) {
+            e[i] = e[i - 1];
+            e[i].idx = i;
+            i--;
+         }
+         while (i < e.length - 1 && e[i + 1].box.x < x) {
+            e[i] = e[i + 1];
+            e[i].idx = i;
+            i++;
+         }
+         e[i] = entry;
+         entry.idx = i;
+      },
+
+      /**
+       * Remove an object from the collision model.
+       *
+       * @param obj {R.engine.BaseObject} The object to remove
+       */
+      removeObject: function(obj) {
+         var entry = this.getObjectSpatialData(obj, "sapEntry");
+         if (entry) {
+            this.entries.splice(entry.idx, 1);
+            for (var i = entry.idx; i < this.entries.length; i++) {
+               this.entries[i].idx = i;
+            }
+
+            // The widest box may have left
+            if (entry.box.w == this.maxWidth) {
+               this.maxWidth = 0;
+               for (i = 0; i < this.entries.length; i++) {
+                  this.maxWidth = Math.max(this.maxWidth, this.entries[i].box.w);
+               }
+            }
+            entry.box.destroy();
+         }
+         this.clearObjectSpatialData(obj);
+      },
+
+      /**
+       * Find the objects whose world boxes overlap a rectangle.
+       *
+       * @param rect {R.math.Rectangle2D} The rectangle, in world coordinates
+       * @return {Array} The objects
+       */
+      queryRect: function(rect) {
+         var e = this.entries, lo = 0, hi = e.length, out = [];
+
+         // Find the first box which starts after the right edge of the rectangle
+         while (lo < hi) {
+            var mid = (lo + hi) >> 1;
+            if (e[mid].box.x <= rect.r) {
+               lo = mid + 1;
+            } else {
+               hi = mid;
+            }
+         }
+
+         // Sweep back until the boxes are too far left to reach the rectangle
+         for (var i = lo - 1, stop = rect.x - this.maxWidth; i >= 0 && e[i].box.x >= stop; i--) {
+            if (e[i].box.isIntersecting(rect)) {
+               out.push(e[i].obj);
+            }
+         }
+         return out;
+      },
+
+      /**
+       * Find every pair of objects whose world boxes overlap, in a single sweep of
+       * the sorted list.
+       *
+       * @return {Array} An array of pairs, each an array of two objects
+       */
+      getPairs: function() {
+         var e = this.entries, pairs = [];
+         for (var i = 0; i < e.length; i++) {
+            var box = e[i].box;
+            for (var j = i + 1; j < e.length && e[j].box.x <= box.r; j++) {
+               if (e[j].box.y <= box.b && e[j].box.b >= box.y) {
+                  pairs.push([e[i].obj, e[j].obj]);
+               }
+            }
+         }
+         return pairs;
+      },
+
+      /**
+       * Get the list of objects which could collide with an object.  When the object
+       * is given, the PCL contains the objects whose boxes overlap the object's box.
+       * Otherwise, it contains the objects whose boxes contain the point.  The PCL
+       * contains a single node with those objects, and is reused by the next call.
+       *
+       * @param point {R.math.Point2D} The point to begin the search at
+       * @param [time] {Number} The engine time
+       * @param [dt] {Number} The delta between the world time and the last time the world was updated
+       * @param [obj] {R.engine.BaseObject} The object the PCL is for
+       * @return {R.struct.Container} A container with a node of objects which could be collision targets
+       */
+      getPCL: function(point, time, dt, obj) {
+         var entry = obj ? this.getObjectSpatialData(obj, "sapEntry") : null,
+             box = entry ? entry.box : this.searchBox.set(point.x, point.y, 0, 0);
+
+         var objs = this.resultNode.getObjects();
+         objs.clear();
+         objs.addAll(this.queryRect(box));
+         return this.pclResult;
+      },
+
+      /**
+       * Get the list of objects which could collide with an object as it moved between
+       * two points.  The PCL contains the objects whose boxes overlap the area swept
+       * by the object's box, and is reused by the next call.
+       *
+       * @param from {R.math.Point2D} Where the object started
+       * @param to {R.math.Point2D} Where the object ended up
+       * @param [time] {Number} The engine time
+       * @param [dt] {Number} The delta between the world time and the last time the world was updated
+       * @param [obj] {R.engine.BaseObject} The object the PCL is for
+       * @return {R.struct.Container} A container with a node of objects which could be collision targets
+       */
+      getSweptPCL: function(from, to, time, dt, obj) {
+         var entry = obj ? this.getObjectSpatialData(obj, "sapEntry") : null,
+             box = entry ? entry.box : null;
+         var dx = to.x - from.x, dy = to.y - from.y, swept = this.searchBox;
+         if (box) {
+            swept.set(Math.min(box.x, box.x - dx), Math.min(box.y, box.y - dy), box.w + Math.abs(dx), box.h + Math.abs(dy));
+         } else {
+            swept.set(Math.min(from.x, to.x), Math.min(from.y, to.y), Math.abs(dx), Math.abs(dy));
+         }
+
+         var objs = this.resultNode.getObjects();
+         objs.clear();
+         objs.addAll(this.queryRect(swept));
+         return this.pclResult;
+      },
+
+      /**
+       * Query the collision model for objects near a point.  Only the objects whose boxes
+       * are within the radius of the point are tested, and the test is performed against
+       * the position of the object being tested.
+       * @param point {R.math.Point2D}
+       * @param radius {Number}
+       * @return {R.struct.Container} A container of objects which satisfy the query
+       */
+      queryNear: function(point, radius) {
+         var near = R.engine.Support.filter(this.queryRect(this.searchBox.set(point.x - radius, point.y - radius,
+             radius * 2, radius * 2)), function(obj) {
+            var pos = obj.getPosition();
+            return ((point.x - pos.x) * (point.x - pos.x) + (point.y - pos.y) * (point.y - pos.y)) < radius * radius;
+         });
+         return R.struct.Container.fromArray(near);
+      },
+
+      /**
+       * Pass the objects whose boxes overlap the box around a ray to the function.
+       * @private
+       */
+      traceRay: function(start, end, fn) {
+         fn.call(this, this.queryRect(this.searchBox.set(Math.min(start.x, end.x), Math.min(start.y, end.y),
+               Math.abs(end.x - start.x), Math.abs(end.y - start.y))), 0);
+      },
+
+      /**
+       * Returns all objects within the model.
+       * @return {R.struct.Container} A container with all objects in the model
+       */
+      getObjects: function() {
+         var objs = this.base();
+         for (var e = 0; e < this.entries.length; e++) {
+            objs.add(this.entries[e].obj);
+         }
+         return objs;
+      }
+
+   }, /** @scope R.collision.broadphase.SweepAndPrune.prototype */{
+      /**
+       * Get the class name of this object
+       *
+       * @return {String} "R.collision.broadphase.SweepAndPrune"
+       */
+      getClassName: function() {
+         return "R.collision.broadphase.SweepAndPrune";
+      }
+   });
+};
@@ -71,17 +71,20 @@ R.collision.CircleHull = function() {
 			var rect;
 			if (center instanceof R.math.Rectangle2D) {
 				rect = center;
+				this.base([R.math.Point2D.create(0,0),
+							  R.math.Point2D.create(rect.w,0),
+							  R.math.Point2D.create(rect.w,rect.h),
+							  R.math.Point2D.create(0,rect.h)]);
 			} else {
+				// The square around the circle, keeping the circle's radius rather than the square's
 				var p = center;
-				rect = R.math.Rectangle2D.create(R.math.Point2D.create(p.x - radius, p.y - radius),
-							  		R.math.Point2D.create(p.x + radius, p.y - radius),
-							  		R.math.Point2D.create(p.x + radius, p.y + radius),
-							  		R.math.Point2D.create(p.x - radius, p.y + radius));
+				rect = R.math.Rectangle2D.create(p.x - radius, p.y - radius, radius * 2, radius * 2);
+				this.base([R.math.Point2D.create(rect.x,rect.y),
+							  R.math.Point2D.create(rect.r,rect.y),
+							  R.math.Point2D.create(rect.r,rect.b),
+							  R.math.Point2D.create(rect.x,rect.b)]);
+				this.radius = radius;
 			}
-			this.base([R.math.Point2D.create(0,0),
-						  R.math.Point2D.create(rect.w,0),
-						  R.math.Point2D.create(rect.w,rect.h),
-						  R.math.Point2D.create(0,rect.h)]);
 			rect.destroy();
 		}
 	},
@@ -92,6 +95,18 @@ R.collision.CircleHull = function() {
 	 */
 	getType: function() {
 		return R.collision.ConvexHull.CONVEX_CIRCLE;
+	},
+
+	/**
+	 * Find where a ray first intersects the circle.
+	 *
+	 * @param start {R.math.Point2D} The starting point of the ray
+	 * @param dir {R.math.Vector2D} The direction and length of the ray
+	 * @param [normal] {R.math.Vector2D} If provided, set to the surface normal at the intersection
+	 * @return {Number} The fraction along the ray where it intersects, or -1 if it doesn't
+	 */
+	intersectRay: function(start, dir, normal) {
+		return R.math.Math2D.rayCircle(start, dir, this.getCenter(), this.getRadius(), normal);
 	}
 
 }, /** @scope R.collision.CircleHull.prototype */{ 
@@ -0,0 +1,324 @@
+/**
+ * The Render Engine
+ * CollisionLayers
+ *
+ * @fileoverview Named collision layers, and the matrix of which layers interact.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ *
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.collision.CollisionLayers",
+   "requires": []
+});
+
+/**
+ * @class A static class which registers named collision layers for the whole engine, and
+ *    keeps a matrix of which layers interact with each other.  Rather than juggling bitmasks,
+ *    a collider or physical body is placed on a layer and the matrix decides what it collides
+ *    with.  Layers can be solid, or sensors which detect other objects without blocking them.
+ *    An interaction with a sensor layer is a trigger.
+ *    <p/>
+ *    Each layer is a bit in a 16-bit mask, so the same layers are used for the Box2D category
+ *    and mask bits of fixtures in a {@link R.physics.Simulation}.  The {@link #DEFAULT} layer
+ *    is always registered, using the bit which fixtures without a layer have.  Newly registered
+ *    layers interact with every layer until told otherwise.
+ * <pre>
+ *    R.collision.CollisionLayers.configure({
+ *       layers: ["player", "enemy", "bullet", { name: "pickup", sensor: true }],
+ *       ignore: [["enemy", "enemy"], ["bullet", "bullet"], ["bullet", "pickup"]]
+ *    });
+ *
+ *    // Engine collisions
+ *    playerCollider.setCollisionLayer("player");
+ *
+ *    // Physics collisions
+ *    crateBody.setCollisionLayer("enemy");
+ * </pre>
+ *
+ * @static
+ */
+R.collision.CollisionLayers = Base.extend(/** @scope R.collision.CollisionLayers.prototype */{
+
+   /** @private */
+   constructor: null,
+
+   /** @private */
+   layers: {},
+
+   /** @private */
+   masks: [],
+
+   /** @private */
+   sensors: [],
+
+   /**
+    * Register a collision layer.  If the layer is already registered, only whether
+    * it is a sensor is updated.
+    *
+    * @param name {String} The name of the layer
+    * @param [sensor=false] {Boolean} <code>true</code> if the layer detects other objects without
+    *    blocking them
+    * @return {Number} The layer's bit
+    * @memberOf R.collision.CollisionLayers
+    */
+   register: function(name, sensor) {
+      var CL = R.collision.CollisionLayers, idx = CL.layers[name];
+      if (idx === undefined) {
+         idx = CL.masks.length;
+         Assert(idx < CL.MAX_LAYERS, "Cannot register more than " + CL.MAX_LAYERS + " collision layers");
+
+         // A new layer interacts with every layer, including itself
+         var bit = 1 << idx;
+         CL.layers[name] = idx;
+         CL.masks.push(0);
+         for (var l = 0; l < CL.masks.length; l++) {
+            CL.masks[l] |= bit;
+            CL.masks[idx] |= 1 << l;
+         }
+      }
+      CL.sensors[idx] = !!sensor;
+      return 1 << idx;
+   },
+
+   /**
+    * Remove every layer, and interactions between them, leaving only the
+    * {@link #DEFAULT} layer.
+    * @memberOf R.collision.CollisionLayers
+    */
+   reset: function() {
+      var CL = R.collision.CollisionLayers;
+      CL.layers = {};
+      CL.masks = [];
+      CL.sensors = [];
+      CL.register(CL.DEFAULT);
+   },
+
+   /**
+    * Configure the layers and their interactions from an object.  The object can
+    * have the following fields:
+    * <ul>
+    * <li><tt>layers</tt> - An array of layer names, or objects with a <tt>name</tt> and <tt>sensor</tt> flag</li>
+    * <li><tt>ignore</tt> - An array of layer name pairs which don't interact</li>
+    * </ul>
+    *
+    * @param config {Object} The configuration
+    * @memberOf R.collision.CollisionLayers
+    */
+   configure: function(config) {
+      var CL = R.collision.CollisionLayers, i;
+      for (i = 0; config.layers && i < config.layers.length; i++) {
+         var layer = config.layers[i];
+         if (typeof layer === "string") {
+            CL.register(layer);
+         } else {
+            CL.register(layer.name, layer.sensor);
+         }
+      }
+      for (i = 0; config.ignore && i < config.ignore.length; i++) {
+         CL.setInteraction(config.ignore[i][0], config.ignore[i][1], false);
+      }
+   },
+
+   /**
+    * Returns <code>true</code> if the layer has been registered.
+    * @param name {String} The name of the layer
+    * @return {Boolean}
+    * @memberOf R.collision.CollisionLayers
+    */
+   isRegistered: function(name) {
+      return R.collision.CollisionLayers.layers[name] !== undefined;
+   },
+
+   /**
+    * Get the bit which represents a layer.
+    * @param name {String} The name of the layer
+    * @return {Number}
+    * @memberOf R.collision.CollisionLayers
+    */
+   getBit: function(name) {
+      return 1 << R.collision.CollisionLayers.getIndex(name);
+   },
+
+   /**
+    * Get the mask of layer bits which a layer interacts with.
+    * @param name {String} The name of the layer
+    * @return {Number}
+    * @memberOf R.collision.CollisionLayers
+    */
+   getMask: function(name) {
+      return R.collision.CollisionLayers.masks[R.collision.CollisionLayers.getIndex(name)];
+   },
+
+   /**
+    * Set whether two layers interact.  Interactions go both ways, and a layer can be
+    * set to not interact with itself.
+    *
+    * @param layer1 {String} The name of a layer
+    * @param layer2 {String} The name of the other layer
+    * @param interacts {Boolean} <code>true</code> if objects on the layers collide
+    * @memberOf R.collision.CollisionLayers
+    */
+   setInteraction: function(layer1, layer2, interacts) {
+      var CL = R.collision.CollisionLayers, i1 = CL.getIndex(layer1), i2 = CL.getIndex(layer2);
+      if (interacts) {
+         CL.masks[i1] |= 1 << i2;
+         CL.masks[i2] |= 1 << i1;
+      } else {
+         CL.masks[i1] &= ~(1 << i2);
+         CL.masks[i2] &= ~(1 << i1);
+      }
+   },
+
+   /**
+    * Returns <code>true</code> if objects on the two layers interact.
+    * @param layer1 {String} The name of a layer
+    * @param layer2 {String} The name of the other layer
+    * @return {Boolean}
+    * @memberOf R.collision.CollisionLayers
+    */
+   interacts: function(layer1, layer2) {
+      var CL = R.collision.CollisionLayers;
+      return (CL.masks[CL.getIndex(layer1)] & (1 << CL.getIndex(layer2))) != 0;
+   },
+
+   /**
+    * Set whether a layer is a sensor, which detects other objects without blocking them.
+    * @param name {String} The name of the layer
+    * @param sensor {Boolean} <code>true</code> for a sensor layer
+    * @memberOf R.collision.CollisionLayers
+    */
+   setSensor: function(name, sensor) {
+      R.collision.CollisionLayers.sensors[R.collision.CollisionLayers.getIndex(name)] = !!sensor;
+   },
+
+   /**
+    * Returns <code>true</code> if the layer is a sensor.
+    * @param name {String} The name of the layer
+    * @return {Boolean}
+    * @memberOf R.collision.CollisionLayers
+    */
+   isSensor: function(name) {
+      return R.collision.CollisionLayers.sensors[R.collision.CollisionLayers.getIndex(name)];
+   },
+
+   /**
+    * Get how objects on two layers interact: {@link #NONE} if they don't,
+    * {@link #TRIGGER} if either layer is a sensor, otherwise {@link #SOLID}.
+    *
+    * @param layer1 {String} The name of a layer
+    * @param layer2 {String} The name of the other layer
+    * @return {Number}
+    * @memberOf R.collision.CollisionLayers
+    */
+   getInteraction: function(layer1, layer2) {
+      var CL = R.collision.CollisionLayers;
+      if (!CL.interacts(layer1, layer2)) {
+         return CL.NONE;
+      }
+      return CL.isSensor(layer1) || CL.isSensor(layer2) ? CL.TRIGGER : CL.SOLID;
+   },
+
+   /**
+    * Set the Box2D category and mask bits, and the sensor flag, of a fixture definition
+    * from a layer.  Without a layer, the fixture gets the Box2D defaults, which are the
+    * same as the {@link #DEFAULT} layer interacting with everything.
+    *
+    * @param fixtureDef {Box2D.Dynamics.b2FixtureDef|Box2D.Dynamics.b2Fixture} The fixture definition, or fixture
+    * @param [name] {String} The name of the layer
+    * @memberOf R.collision.CollisionLayers
+    */
+   applyToFixture: function(fixtureDef, name) {
+      var CL = R.collision.CollisionLayers, category = 1, mask = 0xFFFF, sensor = false;
+      if (name) {
+         category = CL.getBit(name);
+         mask = CL.getMask(name);
+         sensor = CL.isSensor(name);
+      }
+
+      if (fixtureDef.SetFilterData) {
+         // A fixture which is already in the simulation
+         var filter = fixtureDef.GetFilterData();
+         filter.categoryBits = category;
+         filter.maskBits = mask;
+         fixtureDef.SetFilterData(filter);
+         fixtureDef.SetSensor(sensor);
+      } else {
+         fixtureDef.filter.categoryBits = category;
+         fixtureDef.filter.maskBits = mask;
+         fixtureDef.isSensor = sensor;
+      }
+   },
+
+   /**
+    * @private
+    */
+   getIndex: function(name) {
+      var idx = R.collision.CollisionLayers.layers[name];
+      Assert(idx !== undefined, "Collision layer '" + name + "' is not registered");
+      return idx;
+   },
+
+   /**
+    * The name of the layer which is always registered
+    * @type {String}
+    * @memberOf R.collision.CollisionLayers
+    */
+   DEFAULT: "default",
+
+   /**
+    * The most layers which can be registered (16), limited by Box2D's 16-bit filters
+    * @type {Number}
+    * @memberOf R.collision.CollisionLayers
+    */
+   MAX_LAYERS: 16,
+
+   /**
+    * The layers don't interact
+    * @type {Number}
+    * @memberOf R.collision.CollisionLayers
+    */
+   NONE: 0,
+
+   /**
+    * The layers collide, and block each other
+    * @type {Number}
+    * @memberOf R.collision.CollisionLayers
+    */
+   SOLID: 1,
+
+   /**
+    * At least one of the layers is a sensor, which detects the other without blocking it
+    * @type {Number}
+    * @memberOf R.collision.CollisionLayers
+    */
+   TRIGGER: 2
+
+});
+
+R.collision.CollisionLayers.reset();
@@ -233,6 +233,18 @@ R.collision.ConvexHull = function() {
        */
       getType: function() {
          return R.collision.ConvexHull.CONVEX_NGON;
+      },
+
+      /**
+       * Find where a ray first intersects the hull, using the hull's transformed vertexes.
+       *
+       * @param start {R.math.Point2D} The starting point of the ray
+       * @param dir {R.math.Vector2D} The direction and length of the ray
+       * @param [normal] {R.math.Vector2D} If provided, set to the surface normal at the intersection
+       * @return {Number} The fraction along the ray where it intersects, or -1 if it doesn't
+       */
+      intersectRay: function(start, dir, normal) {
+         return R.math.Math2D.rayPoly(start, dir, this.getVertexes(), normal);
       }
 
    }, /** @scope R.collision.ConvexHull.prototype */{
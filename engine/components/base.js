@@ -196,11 +196,16 @@ R.components.Base = function() {
     * updating its state.  Not all components will need an execute
     * method.  However, it is important to include one if you need to 
     * update the state of the component for each engine cycle.
+    * <p/>
+    * When the engine is in {@link R.Engine#setFixedTimestep fixed timestep} mode, render
+    * components are executed once per frame and are passed the interpolation alpha.  All
+    * other components are executed once per simulation step.
     *
     * @param renderContext {R.rendercontexts.AbstractRenderContext} The context the component will render within.
     * @param time {Number} The global engine time
     * @param dt {Number} The delta between the world time and the last time the world was updated
     *          in milliseconds.
+    * @param [alpha] {Number} The interpolation alpha between simulation steps (render components only)
     */
    execute: function(renderContext, time, dt) {
       // ABSTRACT METHOD DECLARATION
@@ -35,7 +35,10 @@
 R.Engine.define({
    "class": "R.components.Collider",
    "requires": [
-      "R.components.Base"
+      "R.components.Base",
+      "R.math.Point2D",
+      "R.math.Vector2D",
+      "R.collision.CollisionLayers"
    ]
 });
 
@@ -73,6 +76,13 @@ R.Engine.define({
  *              Additionally, a game object can implement <tt>onCollideEnd()</tt> to be notified
  *              when collisions have stopped.  The time the collisions stopped and the time since
  *              the last frame was generated will be the only arguments.
+ *              <p/>
+ *              Rather than managing masks by hand, the collider can be placed on a named layer
+ *              with {@link #setCollisionLayer}.  When both objects are on layers, the
+ *              {@link R.collision.CollisionLayers} matrix decides whether they interact.  If
+ *              either layer is a sensor, the interaction is a trigger, and the game object's
+ *              <tt>onTrigger()</tt> method is called (if declared) instead of <tt>onCollide()</tt>,
+ *              with the same arguments.
  *
  * @param name {String} Name of the component
  * @param collisionModel {SpatialCollection} The collision model
@@ -93,6 +103,10 @@ R.components.Collider = function() {
       testMode: null,
       cData: null,
       physicalBody: null,
+      continuous: false,
+      resolveAtImpact: false,
+      lastPos: null,
+      motion: null,
 
       /**
        * @private
@@ -101,11 +115,15 @@ R.components.Collider = function() {
          this.base(name, R.components.Base.TYPE_COLLIDER, priority || 1.0);
          this.collisionModel = collisionModel;
          this.collideSame = false;
-         this.hasCollideMethods = [false,false];	// onCollide, onCollideEnd
+         this.hasCollideMethods = [false,false,false];	// onCollide, onCollideEnd, onTrigger
          this.didCollide = false;
          this.testMode = R.components.Collider.SIMPLE_TEST;
          this.cData = null;
          this.physicalBody = null;
+         this.continuous = false;
+         this.resolveAtImpact = false;
+         this.lastPos = null;
+         this.motion = R.math.Vector2D.create(0, 0);
       },
 
       /**
@@ -115,6 +133,10 @@ R.components.Collider = function() {
          if (this.cData != null) {
             this.cData.destroy();
          }
+         if (this.lastPos != null) {
+            this.lastPos.destroy();
+         }
+         this.motion.destroy();
          this.base();
       },
 
@@ -137,7 +159,8 @@ R.components.Collider = function() {
       setGameObject: function(gameObject) {
          this.base(gameObject);
          this.setCollisionMask(0x7FFFFFFF);
-         this.hasCollideMethods = [gameObject.onCollide != undefined, gameObject.onCollideEnd != undefined];
+         this.hasCollideMethods = [gameObject.onCollide != undefined, gameObject.onCollideEnd != undefined,
+            gameObject.onTrigger != undefined];
       },
 
       // TODO: Should destroy() remove the object from the collision model??
@@ -155,6 +178,10 @@ R.components.Collider = function() {
          this.testMode = null;
          this.cData = null;
          this.physicalBody = null;
+         this.continuous = false;
+         this.resolveAtImpact = false;
+         this.lastPos = null;
+         this.motion = null;
       },
 
       /**
@@ -176,6 +203,62 @@ R.components.Collider = function() {
          return this.testMode;
       },
 
+      /**
+       * Enable continuous collision detection.  Rather than only testing where the
+       * host object is now, the potential collision list covers the whole path the
+       * host travelled since the last frame and colliders which support it sweep the
+       * host's shape along that path.  This keeps fast objects, like bullets, from
+       * passing through thin objects between frames.
+       *
+       * @param state {Boolean} <code>true</code> to sweep the host along its movement
+       */
+      setContinuous: function(state) {
+         this.continuous = state;
+         if (!state && this.lastPos != null) {
+            this.lastPos.destroy();
+            this.lastPos = null;
+            this.motion.set(0, 0);
+         }
+      },
+
+      /**
+       * Returns <code>true</code> if continuous collision detection is enabled.
+       * @return {Boolean}
+       */
+      isContinuous: function() {
+         return this.continuous;
+      },
+
+      /**
+       * When a continuous test finds the time of impact, move the host object back
+       * to where it was at that time before its <tt>onCollide()</tt> method is called,
+       * rather than leaving it wherever it ended up after the frame.  The time of impact
+       * is read from the {@link R.struct.CollisionData} set by the collider's test.
+       *
+       * @param state {Boolean} <code>true</code> to resolve collisions at the time of impact
+       */
+      setResolveAtImpact: function(state) {
+         this.resolveAtImpact = state;
+      },
+
+      /**
+       * Returns <code>true</code> if the host is moved to the time of impact when
+       * a continuous test detects a collision.
+       * @return {Boolean}
+       */
+      isResolveAtImpact: function() {
+         return this.resolveAtImpact;
+      },
+
+      /**
+       * Get how far the host object moved since the last frame.  This is only tracked
+       * while continuous collision detection is enabled, otherwise it is always zero.
+       * @return {R.math.Vector2D}
+       */
+      getMotion: function() {
+         return this.motion;
+      },
+
       /**
        * Returns the collision data object, or <code>null</code>.
        * @return {R.struct.CollisionData}
@@ -237,6 +320,54 @@ R.components.Collider = function() {
                0;
       },
 
+      /**
+       * Place the host object on a named collision layer, which must be registered with
+       * {@link R.collision.CollisionLayers}.  The collision mask is set to the layer's bit.
+       * If a physical body is linked to the collider, it is placed on the same layer.
+       *
+       * @param name {String} The name of the layer, or <code>null</code> to remove the object
+       *    from its layer
+       */
+      setCollisionLayer: function(name) {
+         if (this.collisionModel) {
+            this.collisionModel.setObjectSpatialData(this.getGameObject(), "collisionLayer", name);
+         }
+         this.setCollisionMask(name ? R.collision.CollisionLayers.getBit(name) : 0x7FFFFFFF);
+         if (this.physicalBody) {
+            this.physicalBody.setCollisionLayer(name);
+         }
+      },
+
+      /**
+       * Get the name of the collision layer the host object is on, or <code>null</code>.
+       * @return {String}
+       */
+      getCollisionLayer: function() {
+         return this.collisionModel ? this.collisionModel.getObjectSpatialData(this.getGameObject(), "collisionLayer") || null :
+               null;
+      },
+
+      /**
+       * Determine how the host object interacts with another object.  When both objects are
+       * on collision layers, the layer matrix decides.  Otherwise, objects with the same mask
+       * only collide if {@link #setCollideSame} is <code>true</code>.
+       *
+       * @param collisionObj {R.engine.GameObject} The other object
+       * @param hostMask {Number} The collision mask for the host object
+       * @param targetMask {Number} The collision mask for <tt>collisionObj</tt>
+       * @return {Number} {@link R.collision.CollisionLayers#NONE}, {@link R.collision.CollisionLayers#SOLID},
+       *    or {@link R.collision.CollisionLayers#TRIGGER}
+       */
+      getInteraction: function(collisionObj, hostMask, targetMask) {
+         var hostLayer = this.getCollisionLayer(),
+             targetLayer = hostLayer ? this.collisionModel.getObjectSpatialData(collisionObj, "collisionLayer") : null;
+         if (hostLayer && targetLayer) {
+            return R.collision.CollisionLayers.getInteraction(hostLayer, targetLayer);
+         }
+         return hostMask == targetMask && !this.collideSame ? R.collision.CollisionLayers.NONE :
+               R.collision.CollisionLayers.SOLID;
+      },
+
       /**
        * Get the object type that this collider component will respond to.  If
        * the value is <tt>null</tt>, all objects are potential collision objects.
@@ -342,16 +473,28 @@ R.components.Collider = function() {
          // Update the collision model
          this.updateModel();
 
+         // Track how far the host moved since the last frame
+         if (this.continuous) {
+            if (this.lastPos == null) {
+               this.lastPos = R.math.Point2D.create(host.getPosition());
+            }
+            this.motion.set(host.getPosition()).sub(this.lastPos);
+         }
+
          // If the host object needs to know about collisions...
          var pclNodes = null;
 
-         // onCollide
-         if (this.hasCollideMethods[0]) {
+         // onCollide or onTrigger
+         if (this.hasCollideMethods[0] || this.hasCollideMethods[2]) {
             // Get the host's collision mask once
             var hostMask = this.collisionModel.getObjectSpatialData(host, "collisionMask");
 
             // Get the PCL and check for collisions
-            pclNodes = this.getCollisionModel().getPCL(host.getPosition(), time, dt);
+            if (this.continuous && !this.motion.isZero()) {
+               pclNodes = this.getCollisionModel().getSweptPCL(this.lastPos, host.getPosition(), time, dt, host);
+            } else {
+               pclNodes = this.getCollisionModel().getPCL(host.getPosition(), time, dt, host);
+            }
             var status = R.components.Collider.CONTINUE;
             var collisionsReported = 0;
 
@@ -367,9 +510,9 @@ R.components.Collider = function() {
                       targetMask = this.collisionModel.getObjectSpatialData(obj, "collisionMask");
 
                   if (obj !== this.getGameObject() && // Cannot collide with itself
-                        (hostMask & targetMask) <= hostMask &&
-                        status == R.components.Collider.CONTINUE ||
-                        status == R.components.Collider.COLLIDE_AND_CONTINUE) {
+                        this.getInteraction(obj, hostMask, targetMask) != R.collision.CollisionLayers.NONE &&
+                        (status == R.components.Collider.CONTINUE ||
+                        status == R.components.Collider.COLLIDE_AND_CONTINUE)) {
 
                      // Test for a collision
                      status = this.testCollision(time, dt, obj, hostMask, targetMask);
@@ -393,6 +536,24 @@ R.components.Collider = function() {
             }
             this.didCollide = false;
          }
+
+         if (this.continuous && !this.isDestroyed()) {
+            this.lastPos.set(host.getPosition());
+         }
+      },
+
+      /**
+       * Move the host object back along its motion to where it was at the time of impact.
+       * The rest of the PCL is tested against the shortened motion.
+       * @param toi {Number} The time of impact, between 0 and 1
+       * @private
+       */
+      moveToImpact: function(toi) {
+         var host = this.getGameObject(), pos = R.math.Point2D.create(host.getPosition());
+         pos.set(pos.x - this.motion.x * (1 - toi), pos.y - this.motion.y * (1 - toi));
+         host.setPosition(pos);
+         this.motion.mul(toi);
+         pos.destroy();
       },
 
       /**
@@ -413,11 +574,24 @@ R.components.Collider = function() {
        * @return {Number} A status indicating whether to continue checking, or to stop
        */
       testCollision: function(time, dt, collisionObj, hostMask, targetMask) {
-         if (hostMask == targetMask && !this.collideSame) {
+         var interaction = this.getInteraction(collisionObj, hostMask, targetMask), test;
+         if (interaction == R.collision.CollisionLayers.NONE) {
+            return R.components.Collider.CONTINUE;
+         }
+
+         if (interaction == R.collision.CollisionLayers.TRIGGER && this.hasCollideMethods[2]) {
+            // Triggers don't block, so there's nothing to resolve
+            test = this.getGameObject().onTrigger(collisionObj, time, dt, targetMask);
+         } else if (this.hasCollideMethods[0]) {
+            if (interaction == R.collision.CollisionLayers.SOLID && this.resolveAtImpact &&
+                  this.cData != null && this.cData.timeOfImpact < 1) {
+               this.moveToImpact(this.cData.timeOfImpact);
+            }
+            test = this.getGameObject().onCollide(collisionObj, time, dt, targetMask);
+         } else {
             return R.components.Collider.CONTINUE;
          }
 
-         var test = this.getGameObject().onCollide(collisionObj, time, dt, targetMask);
          this.didCollide |= (test == R.components.Collider.STOP || R.components.Collider.COLLIDE_AND_CONTINUE);
          return test;
       }
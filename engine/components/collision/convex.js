@@ -59,6 +59,12 @@ R.Engine.define({
  *        <p/>
  *        The data can also be manipulated to simulate physical forces such as
  *        bounciness and friction.
+ *        <p/>
+ *        Fast moving objects, such as bullets, can pass completely through thin objects
+ *        between frames.  Enabling {@link #setContinuous} sweeps the host's hull along the
+ *        path it moved during the frame, so the collision data also reports the time of impact
+ *        and contact point.  With {@link #setResolveAtImpact}, the host is moved back to where
+ *        it was at the time of impact before its <tt>onCollide()</tt> method is called.
  *
  * @param name {String} Name of the component
  * @param collisionModel {R.spatial.AbstractSpatialContainer} The collision model
@@ -162,15 +168,32 @@ R.components.collision.Convex = function() {
          var tRad = hull1.getRadius() + hull2.getRadius();
          var c1 = hull1.getCenter();
          var c2 = hull2.getCenter();
-         var distSqr = (c1.x - c2.x) * (c1.x - c2.x) +
-               (c1.y - c2.y) * (c1.y - c2.y);
+         var motion = this.getMotion();
+         var swept = this.isContinuous() && !motion.isZero();
+         var distSqr;
+         if (swept) {
+            // Distance from the target to the path the host's center took
+            var mLen = motion.x * motion.x + motion.y * motion.y,
+                t = ((c2.x - c1.x) * motion.x + (c2.y - c1.y) * motion.y) / mLen;
+            t = Math.min(0, Math.max(-1, t));
+            distSqr = (c1.x + motion.x * t - c2.x) * (c1.x + motion.x * t - c2.x) +
+                  (c1.y + motion.y * t - c2.y) * (c1.y + motion.y * t - c2.y);
+         } else {
+            distSqr = (c1.x - c2.x) * (c1.x - c2.x) +
+                  (c1.y - c2.y) * (c1.y - c2.y);
+         }
          if (distSqr > tRad * tRad) {
             // Too far apart to be colliding
             return R.components.Collider.CONTINUE;
          }
 
-         // Perform the test, passing along the circle data so we don't recalc
-         this.setCollisionData(R.components.collision.Convex.test(hull1, hull2, time, dt, distSqr, tRad));
+         if (swept) {
+            // Sweep the host along its movement to find the time of impact
+            this.setCollisionData(R.components.collision.Convex.sweep(hull1, motion, hull2, time, dt));
+         } else {
+            // Perform the test, passing along the circle data so we don't recalc
+            this.setCollisionData(R.components.collision.Convex.test(hull1, hull2, time, dt, distSqr, tRad));
+         }
 
          // If a collision occurred, there will be a data structure describing it
          if (this.getCollisionData() != null) {
@@ -543,6 +566,339 @@ R.components.collision.Convex = function() {
 
          // Return the collision data
          return cData;
+      },
+
+      /**
+       * Performs a swept test of <code>shape1</code> against <code>shape2</code>, moving
+       * <code>shape1</code> along the distance it travelled during the frame to find the
+       * first time the shapes touched.  Both shapes are given at their current positions,
+       * so <code>shape1</code> started the frame at its current position less <code>motion</code>.
+       * <code>shape2</code> is treated as stationary.
+       * <p/>
+       * If a collision is found, the returned {@link R.struct.CollisionData} contains the time
+       * of impact, the contact point and the collision normal, which points from <code>shape1</code>
+       * toward <code>shape2</code>.  The impulse vector will move <code>shape1</code> back to
+       * where it was at the time of impact.  If the shapes were already touching at the start
+       * of the movement, the result of {@link #test} at their current positions is returned.
+       *
+       * @param shape1 {R.collision.ConvexHull} The moving shape
+       * @param motion {R.math.Vector2D} How far <code>shape1</code> moved during the frame
+       * @param shape2 {R.collision.ConvexHull}
+       * @param time {Number} The world time
+       * @param dt {Number} The delta between the world time and the last time the world was updated
+       *          in milliseconds.
+       * @return {R.struct.CollisionData} The collision data, or <code>null</code>
+       */
+      sweep: function(shape1, motion, shape2, time, dt) {
+         var circle = R.collision.ConvexHull.CONVEX_CIRCLE, hit;
+         if (shape1.getType() == circle && shape2.getType() == circle) {
+            hit = R.components.collision.Convex.ccSweep(shape1, motion, shape2);
+         } else if (shape1.getType() != circle && shape2.getType() != circle) {
+            hit = R.components.collision.Convex.ppSweep(shape1, motion, shape2);
+         } else {
+            hit = R.components.collision.Convex.cpSweep(shape1, motion, shape2);
+         }
+
+         if (hit == null) {
+            return null;
+         }
+
+         if (hit.toi <= 0) {
+            // Already touching when the movement started, so test where they are now
+            var c1 = shape1.getCenter(), c2 = shape2.getCenter(),
+                tRad = shape1.getRadius() + shape2.getRadius(),
+                distSqr = (c1.x - c2.x) * (c1.x - c2.x) + (c1.y - c2.y) * (c1.y - c2.y);
+            return distSqr > tRad * tRad ? null :
+                  R.components.collision.Convex.test(shape1, shape2, time, dt, distSqr, tRad);
+         }
+
+         var back = 1 - hit.toi;
+         return R.struct.CollisionData.create(0,
+               R.math.Vector2D.create(hit.nx, hit.ny),
+               shape1.getGameObject(),
+               shape2.getGameObject(),
+               R.math.Vector2D.create(-motion.x * back, -motion.y * back),
+               time,
+               dt,
+               hit.toi,
+               R.math.Point2D.create(hit.cx, hit.cy));
+      },
+
+      /**
+       * Circle-circle sweep
+       * @private
+       */
+      ccSweep: function(shape1, motion, shape2) {
+         var c1 = shape1.getCenter(), c2 = shape2.getCenter(), r1 = shape1.getRadius(),
+             ox = c1.x - motion.x, oy = c1.y - motion.y;
+
+         // Cast the center of shape1 against shape2 grown by the radius of shape1
+         var t = R.components.collision.Convex.rayCircle(ox, oy, motion.x, motion.y, c2.x, c2.y,
+               r1 + shape2.getRadius());
+         if (t == null || t <= 0) {
+            return t == null ? null : { toi: 0 };
+         }
+
+         var px = ox + motion.x * t, py = oy + motion.y * t,
+             nx = c2.x - px, ny = c2.y - py, len = Math.sqrt(nx * nx + ny * ny);
+         nx /= len;
+         ny /= len;
+         return { toi: t, nx: nx, ny: ny, cx: px + nx * r1, cy: py + ny * r1 };
+      },
+
+      /**
+       * Poly-poly sweep.  The projections of both polygons onto each axis give the
+       * interval of time they overlap on that axis.  The polygons touch when the
+       * intervals for every axis overlap.
+       * @private
+       */
+      ppSweep: function(shape1, motion, shape2) {
+         var v1 = R.components.collision.Convex.startVerts(shape1.getVertexes(), motion),
+             v2 = R.components.collision.Convex.startVerts(shape2.getVertexes()),
+             tEnter = -Infinity, tExit = Infinity, nx = 0, ny = 0;
+
+         for (var s = 0; s < 2; s++) {
+            var verts = s == 0 ? v1 : v2;
+            for (var i = 0; i < verts.length; i += 2) {
+               var j = (i + 2) % verts.length, ax = -(verts[j + 1] - verts[i + 1]), ay = verts[j] - verts[i],
+                   len = Math.sqrt(ax * ax + ay * ay);
+               if (len == 0) {
+                  continue;
+               }
+               ax /= len;
+               ay /= len;
+
+               var p1 = R.components.collision.Convex.project(v1, ax, ay),
+                   p2 = R.components.collision.Convex.project(v2, ax, ay),
+                   speed = ax * motion.x + ay * motion.y;
+
+               if (Math.abs(speed) < 1e-9) {
+                  if (p1.max < p2.min || p2.max < p1.min) {
+                     // Separated on an axis they never move along
+                     return null;
+                  }
+                  continue;
+               }
+
+               var t0 = (p2.min - p1.max) / speed, t1 = (p2.max - p1.min) / speed;
+               if (t0 > t1) {
+                  var tmp = t0;
+                  t0 = t1;
+                  t1 = tmp;
+               }
+
+               if (t0 > tEnter) {
+                  tEnter = t0;
+                  nx = speed > 0 ? ax : -ax;
+                  ny = speed > 0 ? ay : -ay;
+               }
+               tExit = Math.min(tExit, t1);
+               if (tEnter > tExit) {
+                  return null;
+               }
+            }
+         }
+
+         if (tEnter > 1 || tExit < 0) {
+            return null;
+         } else if (tEnter <= 0) {
+            return { toi: 0 };
+         }
+
+         // Move shape1 to the time of impact to find the contact point
+         for (i = 0; i < v1.length; i += 2) {
+            v1[i] += motion.x * tEnter;
+            v1[i + 1] += motion.y * tEnter;
+         }
+
+         var hit = { toi: tEnter, nx: nx, ny: ny },
+             sup1 = R.components.collision.Convex.support(v1, nx, ny),
+             sup2 = R.components.collision.Convex.support(v2, -nx, -ny);
+         if (sup1.length == 1 || sup2.length == 1) {
+            // A vertex struck a face
+            var sup = sup1.length == 1 ? v1 : v2, k = sup1.length == 1 ? sup1[0] : sup2[0];
+            hit.cx = sup[k];
+            hit.cy = sup[k + 1];
+         } else {
+            // Two faces struck, use the middle of where they overlap
+            var tx = -ny, ty = nx, e1 = R.components.collision.Convex.project(v1, tx, ty, sup1),
+                e2 = R.components.collision.Convex.project(v2, tx, ty, sup2),
+                mid = (Math.max(e1.min, e2.min) + Math.min(e1.max, e2.max)) / 2,
+                d = nx * v1[sup1[0]] + ny * v1[sup1[0] + 1];
+            hit.cx = nx * d + tx * mid;
+            hit.cy = ny * d + ty * mid;
+         }
+         return hit;
+      },
+
+      /**
+       * Circle-poly sweep.  The center of the circle is cast against the polygon grown
+       * by the circle's radius, which is made of the polygon's edges pushed out along
+       * their normals and circles around each vertex.
+       * @private
+       */
+      cpSweep: function(shape1, motion, shape2) {
+         var circleFirst = shape1.getType() == R.collision.ConvexHull.CONVEX_CIRCLE,
+             circ = circleFirst ? shape1 : shape2, poly = circleFirst ? shape2 : shape1,
+             r = circ.getRadius(), c = circ.getCenter(), verts, ox, oy, vx, vy;
+
+         if (circleFirst) {
+            verts = R.components.collision.Convex.startVerts(poly.getVertexes());
+            ox = c.x - motion.x;
+            oy = c.y - motion.y;
+            vx = motion.x;
+            vy = motion.y;
+         } else {
+            // Work relative to the polygon where it started, with the circle moving the other way
+            verts = R.components.collision.Convex.startVerts(poly.getVertexes(), motion);
+            ox = c.x;
+            oy = c.y;
+            vx = -motion.x;
+            vy = -motion.y;
+         }
+
+         var i, cx = 0, cy = 0, count = verts.length / 2;
+         for (i = 0; i < verts.length; i += 2) {
+            cx += verts[i] / count;
+            cy += verts[i + 1] / count;
+         }
+
+         var best = null, nx, ny, hx, hy, inside = true;
+         for (i = 0; i < verts.length; i += 2) {
+            var j = (i + 2) % verts.length, ax = verts[i], ay = verts[i + 1],
+                ex = verts[j] - ax, ey = verts[j + 1] - ay, lenSqr = ex * ex + ey * ey;
+            if (lenSqr == 0) {
+               continue;
+            }
+
+            // Outward normal of the edge
+            var len = Math.sqrt(lenSqr), enx = ey / len, eny = -ex / len;
+            if (enx * (ax - cx) + eny * (ay - cy) < 0) {
+               enx = -enx;
+               eny = -eny;
+            }
+
+            // Is the circle already touching the edge?
+            var s = Math.min(1, Math.max(0, ((ox - ax) * ex + (oy - ay) * ey) / lenSqr)),
+                dx = ox - (ax + ex * s), dy = oy - (ay + ey * s);
+            if (dx * dx + dy * dy <= r * r) {
+               return { toi: 0 };
+            }
+            inside = inside && (enx * (ox - ax) + eny * (oy - ay) <= 0);
+
+            // Cast against the edge pushed out by the radius
+            var dn = vx * enx + vy * eny;
+            if (dn >= 0) {
+               continue;
+            }
+
+            var t = (enx * ax + eny * ay + r - (enx * ox + eny * oy)) / dn;
+            if (t < 0 || t > 1 || (best != null && t >= best)) {
+               continue;
+            }
+
+            var qx = ox + vx * t - enx * r, qy = oy + vy * t - eny * r;
+            s = ((qx - ax) * ex + (qy - ay) * ey) / lenSqr;
+            if (s >= 0 && s <= 1) {
+               best = t;
+               nx = enx;
+               ny = eny;
+               hx = qx;
+               hy = qy;
+            }
+         }
+
+         if (inside) {
+            return { toi: 0 };
+         }
+
+         // Cast against the circles around each vertex
+         for (i = 0; i < verts.length; i += 2) {
+            t = R.components.collision.Convex.rayCircle(ox, oy, vx, vy, verts[i], verts[i + 1], r);
+            if (t != null && t > 0 && (best == null || t < best)) {
+               best = t;
+               nx = (ox + vx * t - verts[i]) / r;
+               ny = (oy + vy * t - verts[i + 1]) / r;
+               hx = verts[i];
+               hy = verts[i + 1];
+            }
+         }
+
+         if (best == null) {
+            return null;
+         }
+
+         // The normal points out of the polygon, turn it to point from shape1 to shape2.
+         // When the polygon moved, the contact moved along with it.
+         return circleFirst ? { toi: best, nx: -nx, ny: -ny, cx: hx, cy: hy } :
+               { toi: best, nx: nx, ny: ny, cx: hx + motion.x * best, cy: hy + motion.y * best };
+      },
+
+      /**
+       * Cast a ray from the origin along a vector, returning the fraction of the vector
+       * where it enters the circle, <code>0</code> if the origin is within the circle,
+       * or <code>null</code> if it doesn't reach the circle.
+       * @private
+       */
+      rayCircle: function(ox, oy, vx, vy, cx, cy, r) {
+         var px = ox - cx, py = oy - cy, c = px * px + py * py - r * r;
+         if (c <= 0) {
+            return 0;
+         }
+
+         var a = vx * vx + vy * vy, b = px * vx + py * vy;
+         if (a == 0 || b >= 0) {
+            // Not moving, or moving away
+            return null;
+         }
+
+         var disc = b * b - a * c;
+         if (disc < 0) {
+            return null;
+         }
+
+         var t = (-b - Math.sqrt(disc)) / a;
+         return t <= 1 ? t : null;
+      },
+
+      /**
+       * Copy the vertexes into a flat array of coordinates, moved back by the motion.
+       * @private
+       */
+      startVerts: function(vertexes, motion) {
+         var mx = motion ? motion.x : 0, my = motion ? motion.y : 0, verts = [];
+         for (var i = 0; i < vertexes.length; i++) {
+            verts.push(vertexes[i].x - mx, vertexes[i].y - my);
+         }
+         return verts;
+      },
+
+      /**
+       * Project the coordinates (or only those at the given indexes) onto an axis.
+       * @private
+       */
+      project: function(verts, ax, ay, indexes) {
+         var min = Infinity, max = -Infinity;
+         for (var i = 0, n = indexes ? indexes.length : verts.length / 2; i < n; i++) {
+            var k = indexes ? indexes[i] : i * 2, d = verts[k] * ax + verts[k + 1] * ay;
+            min = Math.min(min, d);
+            max = Math.max(max, d);
+         }
+         return { min: min, max: max };
+      },
+
+      /**
+       * Get the indexes of the coordinates which are farthest along a direction.
+       * @private
+       */
+      support: function(verts, dx, dy) {
+         var max = R.components.collision.Convex.project(verts, dx, dy).max, out = [];
+         for (var i = 0; i < verts.length; i += 2) {
+            if (max - (verts[i] * dx + verts[i + 1] * dy) < 0.01) {
+               out.push(i);
+            }
+         }
+         return out;
       }
    });
 };
\ No newline at end of file
@@ -34,13 +34,15 @@
 R.Engine.define({
    "class": "R.components.Input",
    "requires": [
-      "R.components.Base"
+      "R.components.Base",
+      "R.engine.InputRecorder"
    ]
 });
 
 /**
  * @class A component which can read an input device and make those inputs
- *        available to a {@link R.engine.GameObject}.
+ *        available to a {@link R.engine.GameObject}.  Input which is received by
+ *        the component can be recorded, and played back, with the {@link R.engine.InputRecorder}.
  *
  * @param name {String} The name of the component
  * @param [priority=1.0] {Number} The component's priority
@@ -51,89 +53,80 @@ R.Engine.define({
 R.components.Input = function() {
    return R.components.Base.extend(/** @scope R.components.Input.prototype */{
 
-      recording: false,
-      playback: false,
-      script: null,
-      lastInputTime: 0,
+      inputKey: null,
 
       /** @private */
       constructor: function(name, priority) {
          this.base(name, R.components.Base.TYPE_INPUT, priority || 1.0);
-         this.recording = false;
-         this.playback = false;
+         this.inputKey = null;
       },
 
-      /** @private */
-      startRecording: function() {
-         R.debug.Console.debug("RECORDING INPUT");
-         this.recording = true;
-         this.lastInputTime = R.Engine.worldTime;
-         this.script = [];
+      /**
+       * Destroy the component, removing it from the input recorder.
+       */
+      destroy: function() {
+         if (this.inputKey) {
+            R.engine.InputRecorder.unregister(this.inputKey);
+         }
+         this.base();
       },
 
-      /** @private */
-      stopRecording: function() {
-         R.debug.Console.debug("RECORDING STOPPED");
-         this.recording = false;
+      /**
+       * Releases the component back into the object pool.
+       */
+      release: function() {
+         this.base();
+         this.inputKey = null;
       },
 
-      /** @private */
-      getScript: function() {
-         return this.script;
+      /**
+       * Set the game object this component exists within.  The component is registered
+       * with the {@link R.engine.InputRecorder} so that its input can be recorded and
+       * played back.
+       *
+       * @param gameObject {R.engine.GameObject} The object which hosts the component
+       */
+      setGameObject: function(gameObject) {
+         this.base(gameObject);
+         if (this.inputKey) {
+            R.engine.InputRecorder.unregister(this.inputKey);
+         }
+         this.inputKey = R.engine.InputRecorder.register(this);
       },
 
-      /** @private */
-      setScript: function(script) {
-         this.script = script;
+      /**
+       * Returns <code>true</code> if recorded input is being played back.  Input
+       * components should ignore live input while this is <code>true</code>.
+       * @return {Boolean}
+       */
+      isPlayback: function() {
+         return R.engine.InputRecorder.isPlaying();
       },
 
-      /** @private */
-      playEvent: function() {
+      /**
+       * Play back an event which was recorded with {@link #record}.  Components
+       * which extend this class should deliver the event to their game object
+       * exactly as they would have when it was recorded.
+       *
+       * @param type {String} The type of event
+       * @param data {Object} The data recorded with the event
+       */
+      playEvent: function(type, data) {
          // ABSTRACT
       },
 
-      /** @private */
-      playScript: function(script) {
-         this.recording = false;
-         this.playback = true;
-         this.script = script;
-
-          var scriptObj = {
-              script:script,
-              playEvent:R.Bind(this, this.playEvent),
-              evt:null
-          }, popCall;
-
-          popCall = R.bind(scriptObj, function () {
-              if (this.script.length == 0) {
-                  return;
-              }
-              if (this.evt != null) {
-                  R.debug.Console.log("PLAYBACK:", this.evt.type);
-                  this.playEvent(this.evt);
-              }
-              this.evt = this.script.shift();
-              setTimeout(popCall, this.evt.delay);
-          });
-
-          popCall();
-      },
-
-      /** @private */
-      record: function(eventObj, parts, time, dt) {
-         // TODO: Now with engine time and delta we should be able
-         // to accurately record and playback demos
-         if (!this.recording) {
-            return;
-         }
-         var evtCall = {};
-         for (var x in parts) {
-            evtCall[parts[x]] = eventObj[parts[x]];
+      /**
+       * Record an event which the component has received, if input is being
+       * recorded.  The data should be a simple object which contains everything
+       * {@link #playEvent} needs to deliver the event again.
+       *
+       * @param type {String} The type of event
+       * @param data {Object} The data to record with the event
+       */
+      record: function(type, data) {
+         if (this.inputKey) {
+            R.engine.InputRecorder.record(this.inputKey, type, data);
          }
-         evtCall.delay = R.Engine.worldTime - this.lastInputTime;
-         this.lastInputTime = R.Engine.worldTime;
-         evtCall.type = eventObj.type;
-         this.script.push(evtCall);
       }
 
    }, /** @scope R.components.Input.prototype */{
@@ -0,0 +1,196 @@
+/**
+ * The Render Engine
+ * FakeGamepadSource
+ *
+ * @fileoverview A scriptable source of gamepads, for testing without
+ *               controllers.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.components.input.FakeGamepadSource",
+   "requires": [
+      "R.components.input.Gamepad"
+   ]
+});
+
+/**
+ * @class A source of gamepads which is driven by a script, rather than by controllers.
+ *        Set it as the source for the {@link R.components.input.Gamepad} component, and
+ *        then connect pads and press their buttons to test how a game responds.  The
+ *        gamepads it provides look like those provided by the browser's Gamepad API.
+ * <pre>
+ *    var source = new R.components.input.FakeGamepadSource();
+ *    R.components.input.Gamepad.setSource(source);
+ *
+ *    var pad = source.connect("Test Pad");
+ *    source.press(pad, R.components.input.Gamepad.BUTTON_A);
+ *    source.setAxis(pad, R.components.input.Gamepad.AXIS_LEFT_X, -1);
+ * </pre>
+ *
+ * @constructor
+ * @description Create a fake gamepad source
+ */
+R.components.input.FakeGamepadSource = function() {
+   return Base.extend(/** @scope R.components.input.FakeGamepadSource.prototype */{
+
+      pads: null,
+
+      /** @private */
+      constructor: function() {
+         this.pads = [];
+      },
+
+      /**
+       * Connect a gamepad, in the first free slot.
+       *
+       * @param [id="Fake Gamepad"] {String} The identifier of the gamepad
+       * @param [mapping="standard"] {String} The mapping of the gamepad.  Any other
+       *    value than "standard" means the buttons and axes are in the device's own layout.
+       * @param [buttons=17] {Number} The number of buttons
+       * @param [axes=4] {Number} The number of axes
+       * @return {Number} The index of the gamepad
+       */
+      connect: function(id, mapping, buttons, axes) {
+         var index = 0;
+         while (this.pads[index]) {
+            index++;
+         }
+
+         var pad = {
+            id: id || "Fake Gamepad",
+            index: index,
+            connected: true,
+            mapping: mapping === undefined ? "standard" : mapping,
+            timestamp: 0,
+            buttons: [],
+            axes: []
+         }, b;
+
+         for (b = 0; b < (buttons || 17); b++) {
+            pad.buttons.push({ pressed: false, touched: false, value: 0 });
+         }
+         for (b = 0; b < (axes || 4); b++) {
+            pad.axes.push(0);
+         }
+
+         this.pads[index] = pad;
+         return index;
+      },
+
+      /**
+       * Disconnect the gamepad, freeing its slot.
+       * @param index {Number} The index of the gamepad
+       */
+      disconnect: function(index) {
+         if (this.pads[index]) {
+            this.pads[index].connected = false;
+            this.pads[index] = null;
+         }
+      },
+
+      /**
+       * Get the gamepad in a slot.
+       * @param index {Number} The index of the gamepad
+       * @return {Object} The gamepad, or <code>null</code> if the slot is empty
+       * @private
+       */
+      getPad: function(index) {
+         var pad = this.pads[index];
+         Assert(pad, "FakeGamepadSource has no gamepad at index " + index);
+         return pad;
+      },
+
+      /**
+       * Set the value of a button.  A button with a value greater than zero is pressed.
+       *
+       * @param index {Number} The index of the gamepad
+       * @param button {Number} The button
+       * @param value {Number} The value, from 0 to 1
+       */
+      setButton: function(index, button, value) {
+         var pad = this.getPad(index);
+         pad.buttons[button].value = value;
+         pad.buttons[button].pressed = pad.buttons[button].touched = value > 0;
+         pad.timestamp++;
+      },
+
+      /**
+       * Press a button.
+       *
+       * @param index {Number} The index of the gamepad
+       * @param button {Number} The button
+       * @param [value=1] {Number} The value of the button, from 0 to 1
+       */
+      press: function(index, button, value) {
+         this.setButton(index, button, value === undefined ? 1 : value);
+      },
+
+      /**
+       * Release a button.
+       *
+       * @param index {Number} The index of the gamepad
+       * @param button {Number} The button
+       */
+      release: function(index, button) {
+         this.setButton(index, button, 0);
+      },
+
+      /**
+       * Set the value of an axis.
+       *
+       * @param index {Number} The index of the gamepad
+       * @param axis {Number} The axis
+       * @param value {Number} The value, from -1 to 1
+       */
+      setAxis: function(index, axis, value) {
+         var pad = this.getPad(index);
+         pad.axes[axis] = value;
+         pad.timestamp++;
+      },
+
+      /**
+       * Get the gamepads, the same way as <tt>navigator.getGamepads()</tt>.  Empty
+       * slots are <code>null</code>.
+       * @return {Array}
+       */
+      getGamepads: function() {
+         return this.pads.concat();
+      }
+
+   }, /** @scope R.components.input.FakeGamepadSource.prototype */{
+      /**
+       * Get the class name of this object
+       *
+       * @return {String} "R.components.input.FakeGamepadSource"
+       */
+      getClassName: function() {
+         return "R.components.input.FakeGamepadSource";
+      }
+   });
+};
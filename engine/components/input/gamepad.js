@@ -0,0 +1,542 @@
+/**
+ * The Render Engine
+ * GamepadInputComponent
+ *
+ * @fileoverview An extension of the input component for dealing with
+ *               gamepads.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.components.input.Gamepad",
+   "requires": [
+      "R.components.Input",
+      "R.engine.Events"
+   ]
+});
+
+/**
+ * @class A component which reads the gamepads connected to the computer, through the
+ *        browser's Gamepad API, and notifies its {@link R.engine.GameObject} when their
+ *        state changes.  The gamepads are read each frame, when the component executes.
+ *        The <tt>R.engine.GameObject</tt> should add event handlers for any of the following:
+ * <ul>
+ * <li><tt>connect</tt> - A gamepad was connected</li>
+ * <li><tt>disconnect</tt> - A gamepad was disconnected</li>
+ * <li><tt>buttondown</tt> - A button was pressed</li>
+ * <li><tt>buttonup</tt> - A button was released</li>
+ * <li><tt>axis</tt> - The value of an axis changed</li>
+ * </ul>
+ * Each event handler is passed the event object, followed by the index of the gamepad.  The
+ * <tt>connect</tt> event is then passed the identifier of the gamepad.  The <tt>buttondown</tt>
+ * and <tt>buttonup</tt> events are passed the button and its value, and the <tt>axis</tt>
+ * event is passed the axis and its value.
+ * <p/>
+ * Buttons and axes are numbered in the standard gamepad layout, which has constants such as
+ * {@link #BUTTON_A} and {@link #AXIS_LEFT_X}.  Gamepads which the browser doesn't present
+ * in the standard layout can be converted to it with a mapping, added with {@link #addMapping}.
+ * Small movements of the sticks are ignored, within the {@link #setDeadZone dead zone}.
+ * <p/>
+ * The gamepads can be provided by another source, such as the
+ * {@link R.components.input.FakeGamepadSource}, with {@link #setSource}.
+ *
+ * @param name {String} The unique name of the component.
+ * @param [priority] {Number} The priority of the component among other input components.
+ * @extends R.components.Input
+ * @constructor
+ * @description Create an instance of a gamepad input component.
+ */
+R.components.input.Gamepad = function() {
+   return R.components.Input.extend(/** @scope R.components.input.Gamepad.prototype */{
+
+      pads: null,
+      deadZone: 0,
+      buttonThreshold: 0,
+      playState: null,
+      lastRecord: null,
+
+      /**
+       * @private
+       */
+      constructor: function(name, priority) {
+         this.base(name, priority);
+         this.pads = [];
+         this.deadZone = R.components.input.Gamepad.DEFAULT_DEAD_ZONE;
+         this.buttonThreshold = R.components.input.Gamepad.DEFAULT_BUTTON_THRESHOLD;
+         this.playState = [];
+         this.lastRecord = null;
+      },
+
+      /**
+       * Releases the component back into the object pool.
+       */
+      release: function() {
+         this.base();
+         this.pads = null;
+         this.playState = null;
+         this.lastRecord = null;
+      },
+
+      /**
+       * Set the dead zone of the sticks.  When a stick is moved less than this distance
+       * from its center, it reads as centered.  Beyond the dead zone, the value is scaled
+       * so that it still moves smoothly from 0 to 1.
+       *
+       * @param deadZone {Number} The dead zone, from 0 to 1
+       */
+      setDeadZone: function(deadZone) {
+         this.deadZone = Math.max(0, Math.min(deadZone, 0.99));
+      },
+
+      /**
+       * Get the dead zone of the sticks.
+       * @return {Number}
+       */
+      getDeadZone: function() {
+         return this.deadZone;
+      },
+
+      /**
+       * Set the value at which an analog button, such as a trigger, is considered
+       * to be pressed.
+       *
+       * @param threshold {Number} The threshold, from 0 to 1
+       */
+      setButtonThreshold: function(threshold) {
+         this.buttonThreshold = threshold;
+      },
+
+      /**
+       * Get the value at which an analog button is considered to be pressed.
+       * @return {Number}
+       */
+      getButtonThreshold: function() {
+         return this.buttonThreshold;
+      },
+
+      /**
+       * Returns <code>true</code> if a gamepad is connected at the index.
+       * @param index {Number} The index of the gamepad
+       * @return {Boolean}
+       */
+      isConnected: function(index) {
+         return !!this.pads[index];
+      },
+
+      /**
+       * Get the indexes of the connected gamepads.
+       * @return {Array}
+       */
+      getConnected: function() {
+         var connected = [];
+         for (var p = 0; p < this.pads.length; p++) {
+            if (this.pads[p]) {
+               connected.push(p);
+            }
+         }
+         return connected;
+      },
+
+      /**
+       * Get the identifier of a connected gamepad.
+       * @param index {Number} The index of the gamepad
+       * @return {String} The identifier, or <code>null</code> if it isn't connected
+       */
+      getId: function(index) {
+         return this.pads[index] ? this.pads[index].id : null;
+      },
+
+      /**
+       * Returns <code>true</code> if the button is pressed.
+       *
+       * @param index {Number} The index of the gamepad
+       * @param button {Number} The button
+       * @return {Boolean}
+       */
+      isButtonDown: function(index, button) {
+         var pad = this.pads[index];
+         return pad ? !!pad.d[button] : false;
+      },
+
+      /**
+       * Get the value of a button, from 0 to 1.
+       *
+       * @param index {Number} The index of the gamepad
+       * @param button {Number} The button
+       * @return {Number}
+       */
+      getButton: function(index, button) {
+         var pad = this.pads[index];
+         return pad ? (pad.b[button] || 0) : 0;
+      },
+
+      /**
+       * Get the value of an axis, from -1 to 1, after the dead zone is applied.
+       *
+       * @param index {Number} The index of the gamepad
+       * @param axis {Number} The axis
+       * @return {Number}
+       */
+      getAxis: function(index, axis) {
+         var pad = this.pads[index];
+         return pad ? (pad.a[axis] || 0) : 0;
+      },
+
+      /**
+       * Play back a recorded state of the gamepads.
+       *
+       * @param type {String} The type of event
+       * @param data {Object} The data recorded with the event
+       */
+      playEvent: function(type, data) {
+         this.playState = data.p;
+      },
+
+      /**
+       * Record the state of the gamepads if it has changed since it was last recorded.
+       * @private
+       */
+      recordState: function(state) {
+         var key = JSON.stringify(state);
+         if (key !== this.lastRecord) {
+            this.lastRecord = key;
+            this.record("state", { p: state });
+         }
+      },
+
+      /**
+       * Read the gamepads from the source, converting them to the standard layout
+       * and applying the dead zone.
+       * @private
+       */
+      poll: function() {
+         var gamepads = R.components.input.Gamepad.getGamepads(), state = [];
+         for (var g = 0; g < gamepads.length; g++) {
+            var pad = gamepads[g];
+            if (pad && pad.connected !== false) {
+               state[pad.index !== undefined ? pad.index : g] = this.normalize(pad);
+            }
+         }
+         return state;
+      },
+
+      /**
+       * Convert a gamepad to the standard layout.  The state has the identifier, and
+       * arrays of button values, button pressed flags, and axis values.
+       * @private
+       */
+      normalize: function(pad) {
+         var mapping = pad.mapping === "standard" ? null : R.components.input.Gamepad.getMapping(pad.id),
+             state = { id: pad.id, b: [], d: [], a: [] }, b, a, value;
+
+         if (!mapping) {
+            for (b = 0; b < pad.buttons.length; b++) {
+               this.readButton(state, b, pad.buttons[b]);
+            }
+            for (a = 0; a < pad.axes.length; a++) {
+               state.a[a] = pad.axes[a];
+            }
+         } else {
+            for (b = 0; b < mapping.buttons.length; b++) {
+               var src = mapping.buttons[b];
+               if (R.isString(src)) {
+                  // A button read from the direction of an axis, such as a hat switch
+                  value = (pad.axes[parseInt(src.substring(2), 10)] || 0) * (src.charAt(0) == "-" ? -1 : 1);
+                  this.readButton(state, b, value > 0.5 ? 1 : 0);
+               } else {
+                  this.readButton(state, b, src == null || src < 0 ? 0 : pad.buttons[src]);
+               }
+            }
+            for (a = 0; a < mapping.axes.length; a++) {
+               state.a[a] = mapping.axes[a] == null || mapping.axes[a] < 0 ? 0 : (pad.axes[mapping.axes[a]] || 0);
+            }
+         }
+
+         this.applyDeadZone(state.a);
+         return state;
+      },
+
+      /**
+       * Read the value and pressed state of a button.  Older browsers report buttons as
+       * numbers, rather than objects.  Analog buttons are pressed past the threshold.
+       * @private
+       */
+      readButton: function(state, b, button) {
+         var value = button ? (R.isNumber(button) ? button : button.value) : 0;
+         state.b[b] = value;
+         state.d[b] = (value > 0 && value < 1) ? value >= this.buttonThreshold :
+               (value > 0 || !!(button && button.pressed));
+      },
+
+      /**
+       * Apply the dead zone to the axes.  The two sticks use a radial dead zone, so
+       * that small movements in any direction are ignored, and other axes are
+       * treated individually.
+       * @private
+       */
+      applyDeadZone: function(axes) {
+         var dz = this.deadZone, a, mag, scale;
+         for (a = 0; a < axes.length; a++) {
+            if (a < 4 && a % 2 == 0 && a + 1 < axes.length) {
+               mag = Math.sqrt(axes[a] * axes[a] + axes[a + 1] * axes[a + 1]);
+               scale = mag <= dz ? 0 : Math.min(1, (mag - dz) / (1 - dz)) / mag;
+               axes[a] *= scale;
+               axes[a + 1] *= scale;
+               a++;
+            } else {
+               mag = Math.abs(axes[a]);
+               axes[a] = mag <= dz ? 0 : (axes[a] < 0 ? -1 : 1) * Math.min(1, (mag - dz) / (1 - dz));
+            }
+         }
+      },
+
+      /**
+       * Read the gamepads and notify the game object of what has changed since
+       * the last frame.
+       *
+       * @param renderContext {R.rendercontexts.AbstractRenderContext} The render context
+       * @param time {Number} The current world time
+       * @param dt {Number} The delta between the world time and the last time the world was updated
+       *          in milliseconds.
+       */
+      execute: function(renderContext, time, dt) {
+         var state;
+         if (this.isPlayback()) {
+            state = this.playState;
+         } else {
+            state = this.poll();
+            if (R.engine.InputRecorder.isRecording()) {
+               this.recordState(state);
+            }
+         }
+
+         var gameObject = this.getGameObject(), count = Math.max(state.length, this.pads.length),
+             empty = { b: [], d: [], a: [] }, p, i;
+
+         for (p = 0; p < count; p++) {
+            var last = this.pads[p], pad = state[p];
+            if (!last && !pad) {
+               continue;
+            }
+
+            if (pad && !last) {
+               gameObject.triggerEvent("connect", [p, pad.id]);
+            }
+
+            // A disconnected gamepad releases its buttons and centers its axes first
+            var now = pad || empty, was = last || empty;
+            for (i = 0; i < Math.max(now.d.length, was.d.length); i++) {
+               if (now.d[i] && !was.d[i]) {
+                  gameObject.triggerEvent("buttondown", [p, i, now.b[i]]);
+               } else if (!now.d[i] && was.d[i]) {
+                  gameObject.triggerEvent("buttonup", [p, i, now.b[i] || 0]);
+               }
+            }
+            for (i = 0; i < Math.max(now.a.length, was.a.length); i++) {
+               if ((now.a[i] || 0) != (was.a[i] || 0)) {
+                  gameObject.triggerEvent("axis", [p, i, now.a[i] || 0]);
+               }
+            }
+
+            if (last && !pad) {
+               gameObject.triggerEvent("disconnect", [p]);
+            }
+         }
+
+         this.pads = state;
+      }
+
+   }, /** @scope R.components.input.Gamepad.prototype */{
+      /**
+       * Get the class name of this object
+       *
+       * @return {String} "R.components.input.Gamepad"
+       */
+      getClassName: function() {
+         return "R.components.input.Gamepad";
+      },
+
+      /** @private */
+      source: null,
+
+      /** @private */
+      mappings: [],
+
+      /**
+       * Set the source of the gamepads.  The source is an object with a <tt>getGamepads()</tt>
+       * method which returns gamepads the way the Gamepad API does, such as the
+       * {@link R.components.input.FakeGamepadSource}.  Setting it to <code>null</code> reads
+       * the gamepads from the browser.
+       *
+       * @param source {Object} The source of gamepads
+       */
+      setSource: function(source) {
+         R.components.input.Gamepad.source = source;
+      },
+
+      /**
+       * Get the source of the gamepads, or <code>null</code> if they are read from the browser.
+       * @return {Object}
+       */
+      getSource: function() {
+         return R.components.input.Gamepad.source;
+      },
+
+      /**
+       * Get the gamepads from the source, or from the browser.
+       * @return {Array} The gamepads.  Empty slots may be <code>null</code>.
+       */
+      getGamepads: function() {
+         var source = R.components.input.Gamepad.source;
+         if (source) {
+            return source.getGamepads();
+         }
+         if (typeof navigator !== "undefined") {
+            if (navigator.getGamepads) {
+               return navigator.getGamepads() || [];
+            } else if (navigator.webkitGetGamepads) {
+               return navigator.webkitGetGamepads() || [];
+            }
+         }
+         return [];
+      },
+
+      /**
+       * Add a mapping which converts a gamepad that the browser doesn't present in the
+       * standard layout.  The buttons and axes are arrays in the order of the standard layout,
+       * giving the gamepad's own button or axis for each.  A button can also be read from the
+       * direction of an axis, such as a hat switch, with "+a" or "-a" and the axis, such as "-a9".
+       * Use <code>null</code> for inputs the gamepad doesn't have.
+       * <pre>
+       *    R.components.input.Gamepad.addMapping(/Retro Pad/,
+       *       [1, 2, 0, 3, 4, 5, null, null, 8, 9, null, null, "-a1", "+a1", "-a0", "+a0"],
+       *       []);
+       * </pre>
+       *
+       * @param id {String|RegExp} Matched against the identifier of the gamepad
+       * @param buttons {Array} The gamepad's buttons in standard order
+       * @param axes {Array} The gamepad's axes in standard order
+       */
+      addMapping: function(id, buttons, axes) {
+         R.components.input.Gamepad.mappings.unshift({ id: id, buttons: buttons || [], axes: axes || [] });
+      },
+
+      /**
+       * Get the mapping for a gamepad identifier.
+       * @param id {String} The identifier of the gamepad
+       * @return {Object} The mapping, or <code>null</code>
+       * @private
+       */
+      getMapping: function(id) {
+         var mappings = R.components.input.Gamepad.mappings;
+         for (var m = 0; m < mappings.length; m++) {
+            if (R.isString(mappings[m].id) ? id.indexOf(mappings[m].id) != -1 : mappings[m].id.test(id)) {
+               return mappings[m];
+            }
+         }
+         return null;
+      },
+
+      /**
+       * The default dead zone of the sticks
+       * @type {Number}
+       */
+      DEFAULT_DEAD_ZONE: 0.2,
+
+      /**
+       * The default value at which an analog button is pressed
+       * @type {Number}
+       */
+      DEFAULT_BUTTON_THRESHOLD: 0.5,
+
+      /** Bottom face button (A on Xbox controllers, Cross on PlayStation controllers)
+       * @type {Number} */
+      BUTTON_A: 0,
+      /** Right face button (B, Circle)
+       * @type {Number} */
+      BUTTON_B: 1,
+      /** Left face button (X, Square)
+       * @type {Number} */
+      BUTTON_X: 2,
+      /** Top face button (Y, Triangle)
+       * @type {Number} */
+      BUTTON_Y: 3,
+      /** Left shoulder button
+       * @type {Number} */
+      BUTTON_LEFT_SHOULDER: 4,
+      /** Right shoulder button
+       * @type {Number} */
+      BUTTON_RIGHT_SHOULDER: 5,
+      /** Left trigger
+       * @type {Number} */
+      BUTTON_LEFT_TRIGGER: 6,
+      /** Right trigger
+       * @type {Number} */
+      BUTTON_RIGHT_TRIGGER: 7,
+      /** Select, or back, button
+       * @type {Number} */
+      BUTTON_SELECT: 8,
+      /** Start button
+       * @type {Number} */
+      BUTTON_START: 9,
+      /** Left stick pressed
+       * @type {Number} */
+      BUTTON_LEFT_STICK: 10,
+      /** Right stick pressed
+       * @type {Number} */
+      BUTTON_RIGHT_STICK: 11,
+      /** Direction pad up
+       * @type {Number} */
+      BUTTON_DPAD_UP: 12,
+      /** Direction pad down
+       * @type {Number} */
+      BUTTON_DPAD_DOWN: 13,
+      /** Direction pad left
+       * @type {Number} */
+      BUTTON_DPAD_LEFT: 14,
+      /** Direction pad right
+       * @type {Number} */
+      BUTTON_DPAD_RIGHT: 15,
+      /** Home, or guide, button
+       * @type {Number} */
+      BUTTON_HOME: 16,
+
+      /** Left stick, horizontal
+       * @type {Number} */
+      AXIS_LEFT_X: 0,
+      /** Left stick, vertical
+       * @type {Number} */
+      AXIS_LEFT_Y: 1,
+      /** Right stick, horizontal
+       * @type {Number} */
+      AXIS_RIGHT_X: 2,
+      /** Right stick, vertical
+       * @type {Number} */
+      AXIS_RIGHT_Y: 3
+   });
+};
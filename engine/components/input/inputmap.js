@@ -0,0 +1,609 @@
+/**
+ * The Render Engine
+ * InputMap
+ *
+ * @fileoverview An input component which maps keys, mouse buttons, and touches
+ *               to named actions.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.components.input.InputMap",
+   "requires": [
+      "R.components.Input",
+      "R.engine.Events"
+   ]
+});
+
+/**
+ * @class A component which maps the keyboard, mouse buttons, and touches to named actions, so
+ *        that a game can ask whether "jump" or "fire" is down, rather than checking key codes.
+ *        Each action can be bound to any number of inputs, and an axis is a pair of actions which
+ *        produces a value from -1 to 1.  The state of each action is updated once per frame, when
+ *        the component executes, and can be checked with {@link #isDown}, {@link #wasPressed}, and
+ *        {@link #wasReleased}.  A binding is a string which names the device and the input:
+ * <ul>
+ * <li><tt>key:32</tt> - A key code, a key code name from {@link R.engine.Events} such as
+ *     <tt>key:SPACE</tt> or <tt>key:UP_ARROW</tt>, or a single character such as <tt>key:W</tt></li>
+ * <li><tt>mouse:left</tt> - A mouse button: <tt>left</tt>, <tt>middle</tt>, <tt>right</tt>, or its number</li>
+ * <li><tt>touch</tt> - A touch anywhere, or <tt>touch:x,y,w,h</tt> for a touch within a region of the
+ *     render context</li>
+ * </ul>
+ * <pre>
+ *    var input = R.components.input.InputMap.create("input");
+ *    input.addAction("jump", ["key:SPACE", "key:W", "touch:0,200,100,100"]);
+ *    input.addAction("fire", ["key:X", "mouse:left"]);
+ *    input.addAxis("moveX", ["key:LEFT_ARROW", "key:A"], ["key:RIGHT_ARROW", "key:D"]);
+ *    this.add(input);
+ *
+ *    // In the game object's update method
+ *    if (input.wasPressed("jump")) {
+ *       this.jump();
+ *    }
+ *    this.walk(input.getAxis("moveX"));
+ * </pre>
+ *        The game object is also notified of changes with the <tt>actionpressed</tt> and
+ *        <tt>actionreleased</tt> events, which are passed the name of the action.
+ *        <p/>
+ *        Players can change the bindings with {@link #rebind}, or by having the next input
+ *        they press bound to an action with {@link #listenForBinding}.  The bindings can be
+ *        kept between sessions with {@link #saveBindings} and {@link #loadBindings}.
+ *        <p/>
+ *        <i>Note: The rendering context that the object is contained within needs to enable mouse
+ *        or touch capturing, with {@link R.rendercontexts.AbstractRenderContext#captureMouse} or
+ *        {@link R.rendercontexts.AbstractRenderContext#captureTouch}, for those bindings to work.</i>
+ *
+ * @param name {String} The unique name of the component.
+ * @param [priority] {Number} The priority of the component among other input components.
+ * @extends R.components.Input
+ * @constructor
+ * @description Create an instance of an input map component.
+ */
+R.components.input.InputMap = function() {
+   return R.components.Input.extend(/** @scope R.components.input.InputMap.prototype */{
+
+      actions: null,
+      keys: null,
+      tapped: null,
+      pointer: null,
+      lastRecord: null,
+      lastButton: 0,
+      listening: null,
+      handlers: null,
+
+      /**
+       * @private
+       */
+      constructor: function(name, priority) {
+         this.base(name, priority);
+         this.actions = {};
+         this.keys = {};
+         this.tapped = {};
+         this.pointer = { b: R.engine.Events.MOUSE_NO_BUTTON, t: [] };
+         this.lastRecord = null;
+         this.lastButton = R.engine.Events.MOUSE_NO_BUTTON;
+         this.listening = null;
+
+         // Listen to the keyboard directly so other keyboard handlers are left in place
+         var self = this;
+         this.handlers = {
+            "keydown": function(evt) {
+               self.handleKeyEvent("keydown", evt.keyCode || evt.which);
+            },
+            "keyup": function(evt) {
+               self.handleKeyEvent("keyup", evt.keyCode || evt.which);
+            }
+         };
+         for (var h in this.handlers) {
+            R.engine.Events.setHandler(R.Engine.getDefaultContext().getElement(), h, this.handlers[h]);
+         }
+      },
+
+      /**
+       * Destroy this instance and remove all references.
+       */
+      destroy: function() {
+         for (var h in this.handlers) {
+            R.engine.Events.clearHandler(R.Engine.getDefaultContext().getElement(), h, this.handlers[h]);
+         }
+         this.base();
+      },
+
+      /**
+       * Releases the component back into the object pool.
+       */
+      release: function() {
+         this.base();
+         this.actions = null;
+         this.keys = null;
+         this.tapped = null;
+         this.pointer = null;
+         this.lastRecord = null;
+         this.listening = null;
+         this.handlers = null;
+      },
+
+      /**
+       * Add an action, with the inputs which are bound to it by default.  Adding an action
+       * which already exists replaces it.
+       *
+       * @param name {String} The name of the action
+       * @param [bindings] {Array|String} The bindings, or a single binding
+       */
+      addAction: function(name, bindings) {
+         bindings = R.isArray(bindings) ? bindings.concat() : (bindings ? [bindings] : []);
+         this.actions[name] = {
+            defaults: bindings.concat(),
+            bindings: [],
+            parsed: [],
+            down: false,
+            pressed: false,
+            released: false
+         };
+         this.rebind(name, bindings);
+      },
+
+      /**
+       * Add an axis, which is a value from -1 to 1 read with {@link #getAxis}.  An axis is made
+       * of two actions, named after the axis with a "-" and a "+", such as <tt>moveX-</tt> and
+       * <tt>moveX+</tt>.  Those actions can be checked and rebound like any other action.
+       *
+       * @param name {String} The name of the axis
+       * @param negative {Array|String} The bindings which move the axis toward -1
+       * @param positive {Array|String} The bindings which move the axis toward 1
+       */
+      addAxis: function(name, negative, positive) {
+         this.addAction(name + "-", negative);
+         this.addAction(name + "+", positive);
+      },
+
+      /**
+       * Returns <code>true</code> if the action exists.
+       * @param name {String} The name of the action
+       * @return {Boolean}
+       */
+      hasAction: function(name) {
+         return !!this.actions[name];
+      },
+
+      /**
+       * Get the names of all of the actions.
+       * @return {Array}
+       */
+      getActions: function() {
+         var names = [];
+         for (var a in this.actions) {
+            names.push(a);
+         }
+         return names;
+      },
+
+      /**
+       * Get the action, asserting that it exists.
+       * @private
+       */
+      getAction: function(name) {
+         var action = this.actions[name];
+         Assert(action, "InputMap '" + this.getName() + "' has no action named '" + name + "'");
+         return action;
+      },
+
+      /**
+       * Get the inputs which are bound to the action.
+       * @param name {String} The name of the action
+       * @return {Array} An array of binding strings
+       */
+      getBindings: function(name) {
+         return this.getAction(name).bindings.concat();
+      },
+
+      /**
+       * Replace the inputs which are bound to the action.
+       *
+       * @param name {String} The name of the action
+       * @param bindings {Array|String} The new bindings, or a single binding
+       */
+      rebind: function(name, bindings) {
+         var action = this.getAction(name);
+         bindings = R.isArray(bindings) ? bindings : [bindings];
+         action.bindings = [];
+         action.parsed = [];
+         for (var b = 0; b < bindings.length; b++) {
+            this.addBinding(name, bindings[b]);
+         }
+      },
+
+      /**
+       * Bind another input to the action.  Invalid bindings are reported and ignored.
+       *
+       * @param name {String} The name of the action
+       * @param binding {String} The binding to add
+       */
+      addBinding: function(name, binding) {
+         var action = this.getAction(name),
+             parsed = R.components.input.InputMap.parseBinding(binding);
+         if (!parsed) {
+            R.debug.Console.warn("InputMap: invalid binding '" + binding + "' for action '" + name + "'");
+            return;
+         }
+         if (R.engine.Support.indexOf(action.bindings, binding) == -1) {
+            action.bindings.push(binding);
+            action.parsed.push(parsed);
+         }
+      },
+
+      /**
+       * Remove an input from the action.
+       *
+       * @param name {String} The name of the action
+       * @param binding {String} The binding to remove
+       */
+      removeBinding: function(name, binding) {
+         var action = this.getAction(name), idx = R.engine.Support.indexOf(action.bindings, binding);
+         if (idx != -1) {
+            action.bindings.splice(idx, 1);
+            action.parsed.splice(idx, 1);
+         }
+      },
+
+      /**
+       * Restore the bindings each action was created with.
+       */
+      resetBindings: function() {
+         for (var a in this.actions) {
+            this.rebind(a, this.actions[a].defaults);
+         }
+      },
+
+      /**
+       * Bind the next key or mouse button the player presses to the action, replacing its
+       * bindings.  This is used to let players choose their own controls.  The callback is passed
+       * the name of the action and the new binding.
+       *
+       * @param name {String} The name of the action
+       * @param [callback] {Function} Called when the action has been rebound
+       */
+      listenForBinding: function(name, callback) {
+         this.getAction(name);
+         this.listening = { action: name, callback: callback };
+      },
+
+      /**
+       * Stop waiting for an input to bind, started with {@link #listenForBinding}.
+       */
+      cancelListening: function() {
+         this.listening = null;
+      },
+
+      /**
+       * Returns <code>true</code> if the component is waiting for an input to bind.
+       * @return {Boolean}
+       */
+      isListening: function() {
+         return this.listening != null;
+      },
+
+      /**
+       * Complete a binding which was started with {@link #listenForBinding}.
+       * @private
+       */
+      bindListened: function(binding) {
+         var listening = this.listening;
+         this.listening = null;
+         this.rebind(listening.action, [binding]);
+         if (listening.callback) {
+            listening.callback.call(this, listening.action, binding);
+         }
+      },
+
+      /**
+       * Returns <code>true</code> if any input bound to the action is down this frame.
+       * @param name {String} The name of the action
+       * @return {Boolean}
+       */
+      isDown: function(name) {
+         return this.getAction(name).down;
+      },
+
+      /**
+       * Returns <code>true</code> if the action went down this frame.
+       * @param name {String} The name of the action
+       * @return {Boolean}
+       */
+      wasPressed: function(name) {
+         return this.getAction(name).pressed;
+      },
+
+      /**
+       * Returns <code>true</code> if the action was released this frame.
+       * @param name {String} The name of the action
+       * @return {Boolean}
+       */
+      wasReleased: function(name) {
+         return this.getAction(name).released;
+      },
+
+      /**
+       * Get the value of an axis which was added with {@link #addAxis}.  The value is
+       * -1 or 1 when only one direction is down, otherwise zero.
+       *
+       * @param name {String} The name of the axis
+       * @return {Number}
+       */
+      getAxis: function(name) {
+         return (this.isDown(name + "+") ? 1 : 0) - (this.isDown(name + "-") ? 1 : 0);
+      },
+
+      /**
+       * Save the bindings of every action to a storage object, such as
+       * {@link R.storage.PersistentStorage}, so they can be restored with {@link #loadBindings}.
+       *
+       * @param storage {R.storage.BrowserStorage} The storage object
+       * @param [key] {String} The key to store the bindings with.  Defaults to "InputMap:" and the name of the component.
+       */
+      saveBindings: function(storage, key) {
+         var bindings = {};
+         for (var a in this.actions) {
+            bindings[a] = this.actions[a].bindings;
+         }
+         storage.save(key || "InputMap:" + this.getName(), bindings);
+      },
+
+      /**
+       * Restore the bindings which were saved with {@link #saveBindings}.  Actions which
+       * weren't saved keep their bindings, and saved actions which no longer exist are ignored.
+       *
+       * @param storage {R.storage.BrowserStorage} The storage object
+       * @param [key] {String} The key the bindings were stored with.  Defaults to "InputMap:" and the name of the component.
+       * @return {Boolean} <code>true</code> if saved bindings were found
+       */
+      loadBindings: function(storage, key) {
+         var bindings = storage.load(key || "InputMap:" + this.getName(), null);
+         if (!bindings) {
+            return false;
+         }
+         for (var a in bindings) {
+            if (this.actions[a]) {
+               this.rebind(a, bindings[a]);
+            }
+         }
+         return true;
+      },
+
+      /**
+       * Play back a recorded key event, or state of the mouse and touches.
+       *
+       * @param type {String} The type of event
+       * @param data {Object} The data recorded with the event
+       */
+      playEvent: function(type, data) {
+         if (type === "pointer") {
+            this.pointer = data;
+         } else {
+            this.keyEvent(type, data.k);
+         }
+      },
+
+      /**
+       * Record a live key event, then apply it.  Live events are ignored
+       * while recorded input is being played back.
+       * @private
+       */
+      handleKeyEvent: function(type, keyCode) {
+         if (this.isPlayback()) {
+            return;
+         }
+         this.record(type, { k: keyCode });
+         this.keyEvent(type, keyCode);
+      },
+
+      /**
+       * Track the state of a key.  A key which is pressed and released between frames
+       * is still reported as down for one frame.
+       * @private
+       */
+      keyEvent: function(type, keyCode) {
+         if (type === "keydown") {
+            if (this.listening && !this.keys[keyCode]) {
+               this.bindListened("key:" + keyCode);
+            }
+            this.keys[keyCode] = true;
+            this.tapped[keyCode] = true;
+         } else {
+            this.keys[keyCode] = false;
+         }
+      },
+
+      /**
+       * Read the state of the mouse and touches from the render context, recording it
+       * if it has changed since it was last recorded.
+       * @private
+       */
+      readPointer: function(renderContext) {
+         var mouseInfo = renderContext.getMouseInfo(), touchInfo = renderContext.getTouchInfo(),
+             touches = [], t;
+
+         if (touchInfo && touchInfo.button != R.engine.Events.MOUSE_NO_BUTTON) {
+            for (t = 0; t < touchInfo.touches.length; t++) {
+               touches.push([touchInfo.touches[t].getX(), touchInfo.touches[t].getY()]);
+            }
+            if (touches.length == 0) {
+               touches.push([touchInfo.position.x, touchInfo.position.y]);
+            }
+         }
+
+         this.pointer = {
+            b: mouseInfo ? mouseInfo.button : R.engine.Events.MOUSE_NO_BUTTON,
+            t: touches
+         };
+
+         var key = this.pointer.b + ":" + touches.join(";");
+         if (key !== this.lastRecord) {
+            this.lastRecord = key;
+            this.record("pointer", this.pointer);
+         }
+      },
+
+      /**
+       * Returns <code>true</code> if the parsed binding is down.
+       * @private
+       */
+      isBindingDown: function(binding) {
+         switch (binding.device) {
+            case "key":
+               return !!(this.keys[binding.code] || this.tapped[binding.code]);
+            case "mouse":
+               return this.pointer.b == binding.code;
+            case "touch":
+               var r = binding.region, t = this.pointer.t;
+               for (var i = 0; i < t.length; i++) {
+                  if (!r || (t[i][0] >= r[0] && t[i][0] < r[0] + r[2] && t[i][1] >= r[1] && t[i][1] < r[1] + r[3])) {
+                     return true;
+                  }
+               }
+               return false;
+         }
+         return false;
+      },
+
+      /**
+       * Update the state of every action for the frame, notifying the game object of
+       * actions which were pressed or released.
+       *
+       * @param renderContext {R.rendercontexts.AbstractRenderContext} The render context
+       * @param time {Number} The current world time
+       * @param dt {Number} The delta between the world time and the last time the world was updated
+       *          in milliseconds.
+       */
+      execute: function(renderContext, time, dt) {
+         if (!this.isPlayback()) {
+            this.readPointer(renderContext);
+         }
+
+         // A mouse button pressed while listening becomes the new binding
+         if (this.listening && this.pointer.b != R.engine.Events.MOUSE_NO_BUTTON &&
+             this.lastButton == R.engine.Events.MOUSE_NO_BUTTON) {
+            this.bindListened("mouse:" + this.pointer.b);
+         }
+         this.lastButton = this.pointer.b;
+
+         var gameObject = this.getGameObject();
+         for (var a in this.actions) {
+            var action = this.actions[a], down = false;
+            for (var b = 0; b < action.parsed.length && !down; b++) {
+               down = this.isBindingDown(action.parsed[b]);
+            }
+
+            action.pressed = down && !action.down;
+            action.released = !down && action.down;
+            action.down = down;
+
+            if (action.pressed) {
+               gameObject.triggerEvent("actionpressed", [a]);
+            } else if (action.released) {
+               gameObject.triggerEvent("actionreleased", [a]);
+            }
+         }
+
+         this.tapped = {};
+      }
+
+   }, /** @scope R.components.input.InputMap.prototype */{
+      /**
+       * Get the class name of this object
+       *
+       * @return {String} "R.components.input.InputMap"
+       */
+      getClassName: function() {
+         return "R.components.input.InputMap";
+      },
+
+      /**
+       * Parse a binding string into the device and input it refers to.
+       *
+       * @param binding {String} The binding
+       * @return {Object} An object with the <tt>device</tt>, and either the <tt>code</tt> of the
+       *    key or mouse button, or the <tt>region</tt> of a touch.  <code>null</code> if the
+       *    binding isn't valid.
+       */
+      parseBinding: function(binding) {
+         if (!R.isString(binding)) {
+            return null;
+         }
+
+         var sep = binding.indexOf(":"),
+             device = (sep == -1 ? binding : binding.substring(0, sep)).toLowerCase(),
+             input = sep == -1 ? "" : binding.substring(sep + 1), code;
+
+         switch (device) {
+            case "key":
+               if (/^\d+$/.test(input)) {
+                  code = parseInt(input, 10);
+               } else if (R.engine.Events["KEYCODE_" + input.toUpperCase()] !== undefined) {
+                  code = R.engine.Events["KEYCODE_" + input.toUpperCase()];
+               } else if (input.length == 1) {
+                  code = R.engine.Events.keyCodeForChar(input);
+               } else {
+                  return null;
+               }
+               return { device: device, code: code };
+
+            case "mouse":
+               code = R.components.input.InputMap.MOUSE_BUTTONS[input.toLowerCase()];
+               if (code === undefined) {
+                  code = /^\d+$/.test(input) ? parseInt(input, 10) : null;
+               }
+               return code == null ? null : { device: device, code: code };
+
+            case "touch":
+               if (input === "") {
+                  return { device: device, region: null };
+               }
+               var region = input.split(",");
+               for (var r = 0; r < region.length; r++) {
+                  region[r] = parseFloat(region[r]);
+                  if (isNaN(region[r])) {
+                     return null;
+                  }
+               }
+               return region.length == 4 ? { device: device, region: region } : null;
+         }
+         return null;
+      },
+
+      /**
+       * The mouse button names which can be used in a binding
+       * @private
+       */
+      MOUSE_BUTTONS: {
+         "left": R.engine.Events.MOUSE_LEFT_BUTTON,
+         "middle": R.engine.Events.MOUSE_MIDDLE_BUTTON,
+         "right": R.engine.Events.MOUSE_RIGHT_BUTTON
+      }
+   });
+};
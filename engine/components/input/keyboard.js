@@ -114,29 +114,56 @@ R.components.input.Keyboard = function() {
          this.setGameObject(hostObj);
       },
 
+      /**
+       * Play back a recorded keyboard event, delivering it to the game object.
+       *
+       * @param type {String} The type of event
+       * @param data {Object} The data recorded with the event
+       */
+      playEvent: function(type, data) {
+         var eventObj = $.Event(type);
+         for (var p in data) {
+            eventObj[p] = data[p];
+         }
+         this.notify(type, eventObj);
+      },
+
+      /**
+       * Record the event, then notify the game object.  Live events are ignored
+       * while recorded input is being played back.
+       * @private
+       */
+      handleKeyEvent: function(type, eventObj) {
+         if (this.isPlayback()) {
+            return;
+         }
+
+         var data = {}, parts = R.components.input.Keyboard.RECORD_PART;
+         for (var p = 0; p < parts.length; p++) {
+            data[parts[p]] = eventObj[parts[p]];
+         }
+         this.record(type, data);
+         return this.notify(type, eventObj);
+      },
+
       /** @private */
-      playEvent: function(e) {
-         var evt = document.createEvent("KeyboardEvent");
-         evt.initKeyEvent(e.type, true, false, null, e.ctrlKey, false, e.shiftKey, false, e.keyCode, 0);
-         R.Engine.getDefaultContext().getSurface().dispatchEvent(evt);
+      notify: function(type, eventObj) {
+         return this.getGameObject().triggerEvent(type, eventObj, [eventObj.which, eventObj.keyCode, eventObj.ctrlKey, eventObj.altKey, eventObj.shiftKey]);
       },
 
       /** @private */
       _keyDownListener: function(eventObj) {
-         this.record(eventObj, R.components.input.Keyboard.RECORD_PART);
-         return this.getGameObject().triggerEvent("keydown", eventObj, [eventObj.which, eventObj.keyCode, eventObj.ctrlKey, eventObj.altKey, eventObj.shiftKey]);
+         return this.handleKeyEvent("keydown", eventObj);
       },
 
       /** @private */
       _keyUpListener: function(eventObj) {
-         this.record(eventObj, R.components.input.Keyboard.RECORD_PART);
-         return this.getGameObject().triggerEvent("keyup", eventObj, [eventObj.which, eventObj.keyCode, eventObj.ctrlKey, eventObj.altKey, eventObj.shiftKey]);
+         return this.handleKeyEvent("keyup", eventObj);
       },
 
       /** @private */
       _keyPressListener: function(eventObj) {
-         this.record(eventObj, R.components.input.Keyboard.RECORD_PART);
-         return this.getGameObject().triggerEvent("keypress", eventObj, [eventObj.which, eventObj.keyCode, eventObj.ctrlKey, eventObj.altKey, eventObj.shiftKey]);
+         return this.handleKeyEvent("keypress", eventObj);
       }
 
    }, /** @scope R.components.input.Keyboard.prototype */{
@@ -150,6 +177,6 @@ R.components.input.Keyboard = function() {
       },
 
       /** @private */
-      RECORD_PART: ["shiftKey","ctrlKey","altKey","keyCode"]
+      RECORD_PART: ["which","keyCode","ctrlKey","altKey","shiftKey"]
    });
 };
\ No newline at end of file
@@ -40,7 +40,8 @@ R.Engine.define({
       "R.lang.Timeout",
       "R.math.Point2D",
       "R.math.Vector2D",
-      "R.math.Math2D"
+      "R.math.Math2D",
+      "R.struct.MouseInfo"
    ]
 });
 
@@ -73,11 +74,16 @@ R.Engine.define({
 R.components.input.Mouse = function() {
    return R.components.Input.extend(/** @scope R.components.input.Mouse.prototype */{
 
+      mouseInfo: null,
+      lastRecord: null,
+
       /**
        * @private
        */
       constructor: function(name, priority) {
          this.base(name, priority);
+         this.mouseInfo = null;
+         this.lastRecord = null;
       },
 
       /**
@@ -87,9 +93,21 @@ R.components.input.Mouse = function() {
          if (this.getGameObject()) {
             delete this.getGameObject().getObjectDataModel()[R.components.input.Mouse.MOUSE_DATA_MODEL];
          }
+         if (this.mouseInfo) {
+            this.mouseInfo.destroy();
+         }
          this.base();
       },
 
+      /**
+       * Releases the component back into the object pool.
+       */
+      release: function() {
+         this.base();
+         this.mouseInfo = null;
+         this.lastRecord = null;
+      },
+
       /**
        * Deprecated in favor of {@link #setGameObject}
        * @deprecated
@@ -116,48 +134,93 @@ R.components.input.Mouse = function() {
          });
 
          // Add event pass-thru for DOM objects
-         var el = gameObject.jQ();
-         if (el) {
-            var mI = R.struct.MouseInfo.create();
+         var el = gameObject.jQ(), self = this;
+
+         // Objects with an element track the mouse here, other objects play back into it
+         this.mouseInfo = this.mouseInfo || R.struct.MouseInfo.create();
 
+         if (el) {
             // Wire up event handlers for the DOM element to mimic what is done for
             // canvas objects
-            el.bind("mousemove", function(evt) {
-               mI.lastPosition.set(mI.position);
-               mI.position.set(evt.pageX, evt.pageY);
-               gameObject.triggerEvent("mousemove", [mI]);
+            el.bind("mousemove mouseover mouseout mousedown mouseup click", function(evt) {
+               if (self.isPlayback()) {
+                  return;
+               }
+               self.record(evt.type, { x: evt.pageX, y: evt.pageY, b: evt.which });
+               self.elementEvent(evt.type, evt.pageX, evt.pageY, evt.which);
             });
+         }
+      },
 
-            el.bind("mouseover", function(evt) {
+      /**
+       * Update the mouse info for an object with an element and notify the
+       * game object of the event.
+       * @private
+       */
+      elementEvent: function(type, x, y, which) {
+         var mI = this.mouseInfo, gameObject = this.getGameObject();
+         switch (type) {
+            case "mouseout":
+               mI.lastOver = gameObject;
+               // fall through
+            case "mousemove":
+            case "mouseover":
                mI.lastPosition.set(mI.position);
-               mI.position.set(evt.pageX, evt.pageY);
-               gameObject.triggerEvent("mousover", [mI]);
-            });
+               mI.position.set(x, y);
+               break;
+            case "mousedown":
+            case "click":
+               mI.button = which;
+               mI.downPosition.set(x, y);
+               break;
+            case "mouseup":
+               mI.button = R.engine.Events.MOUSE_NO_BUTTON;
+               mI.dragVec.set(0, 0);
+               break;
+         }
+         gameObject.triggerEvent(type, [mI]);
+      },
 
-            el.bind("mouseout", function(evt) {
-               mI.lastPosition.set(mI.position);
-               mI.position.set(evt.pageX, evt.pageY);
-               mI.lastOver = gameObject;
-               gameObject.triggerEvent("mouseout", [mI]);
-            });
+      /**
+       * Play back a recorded mouse event.  For objects with an element, the event is
+       * delivered to the game object.  For other objects, the recorded state of the
+       * mouse is restored and the events are determined when the component executes.
+       *
+       * @param type {String} The type of event
+       * @param data {Object} The data recorded with the event
+       */
+      playEvent: function(type, data) {
+         if (type !== "state") {
+            this.elementEvent(type, data.x, data.y, data.b);
+            return;
+         }
 
-            el.bind("mousedown", function(evt) {
-               mI.button = evt.which;
-               mI.downPosition.set(evt.pageX, evt.pageY);
-               gameObject.triggerEvent("mousedown", [mI]);
-            });
+         var mI = this.mouseInfo;
+         mI.position.set(data.p[0], data.p[1]);
+         mI.lastPosition.set(data.l[0], data.l[1]);
+         mI.downPosition.set(data.d[0], data.d[1]);
+         mI.moveVec.set(data.m[0], data.m[1]);
+         mI.dragVec.set(data.g[0], data.g[1]);
+         mI.button = data.b;
+      },
 
-            el.bind("mouseup", function(evt) {
-               mI.button = R.engine.Events.MOUSE_NO_BUTTON;
-               mI.dragVec.set(0, 0);
-               gameObject.triggerEvent("mouseup", [mI]);
-            });
+      /**
+       * Record the state of the mouse if it has changed since it was last recorded.
+       * @private
+       */
+      recordState: function(mI) {
+         var state = {
+            p: [mI.position.x, mI.position.y],
+            l: [mI.lastPosition.x, mI.lastPosition.y],
+            d: [mI.downPosition.x, mI.downPosition.y],
+            m: [mI.moveVec.x, mI.moveVec.y],
+            g: [mI.dragVec.x, mI.dragVec.y],
+            b: mI.button
+         }, key = [state.p, state.l, state.d, state.m, state.g, state.b].join(",");
 
-            el.bind("click", function(evt) {
-               mI.button = evt.which;
-               mI.downPosition.set(evt.pageX, evt.pageY);
-               gameObject.triggerEvent("click", [mI]);
-            });
+         if (key !== this.lastRecord) {
+            this.lastRecord = key;
+            this.record("state", state);
          }
       },
 
@@ -178,12 +241,20 @@ R.components.input.Mouse = function() {
          // this component will have intervened and wired up special handlers to fake
          // the mouseInfo object.
          if (!gameObject.getElement()) {
-            var mouseInfo = renderContext.getMouseInfo(),
+            var mouseInfo = this.isPlayback() ? this.mouseInfo : renderContext.getMouseInfo(),
                 bBox = gameObject.getWorldBox(),
                 mouseOver = false,
                 dataModel = gameObject.getObjectDataModel(R.components.input.Mouse.MOUSE_DATA_MODEL);
 
-            if (mouseInfo && bBox) {
+            if (!mouseInfo) {
+               return;
+            }
+
+            if (!this.isPlayback() && R.engine.InputRecorder.isRecording()) {
+               this.recordState(mouseInfo);
+            }
+
+            if (bBox) {
                mouseOver = R.math.Math2D.boxPointCollision(bBox, mouseInfo.position);
             }
 
@@ -37,7 +37,8 @@ R.Engine.define({
    "requires": [
       "R.components.Input",
       "R.engine.Events",
-      "R.struct.Touch"
+      "R.struct.Touch",
+      "R.struct.TouchInfo"
    ]
 });
 
@@ -67,12 +68,16 @@ R.components.input.Touch = function() {
    return R.components.Input.extend(/** @scope R.components.input.Touch.prototype */{
 
       hasTouchMethods: null,
+      touchInfo: null,
+      lastRecord: null,
 
       /**
        * @private
        */
       constructor: function(name, passThru, priority) {
          this.base(name, priority);
+         this.touchInfo = null;
+         this.lastRecord = null;
       },
 
       /**
@@ -82,7 +87,19 @@ R.components.input.Touch = function() {
          if (this.getGameObject()) {
             delete this.getGameObject().getObjectDataModel()[R.components.input.Touch.TOUCH_DATA_MODEL];
          }
+         if (this.touchInfo) {
+            this.touchInfo.destroy();
+         }
+         this.base();
+      },
+
+      /**
+       * Releases the component back into the object pool.
+       */
+      release: function() {
          this.base();
+         this.touchInfo = null;
+         this.lastRecord = null;
       },
 
       /**
@@ -105,38 +122,114 @@ R.components.input.Touch = function() {
          this.base(gameObject);
 
          // Set some flags we can check
-         var dataModel = gameObject.setObjectDataModel(R.components.input.Mouse.TOUCH_DATA_MODEL, {
+         var dataModel = gameObject.setObjectDataModel(R.components.input.Touch.TOUCH_DATA_MODEL, {
             touchDown: false
          });
 
          // Add event pass-thru for DOM objects
-         var el = gameObject.jQ();
-         if (el) {
-            var tI = R.struct.TouchInfo.create();
+         var el = gameObject.jQ(), self = this;
+
+         // Objects with an element track touches here, other objects play back into it
+         this.touchInfo = this.touchInfo || R.struct.TouchInfo.create();
 
+         if (el) {
             // Wire up event handlers for the DOM element to mimic what is done for
             // canvas objects
-            el.bind("touchmove", function(evt) {
-               tI.lastPosition.set(tI.position);
-               tI.position.set(evt.pageX, evt.pageY);
-               gameObject.triggerEvent("touchmove", [tI]);
-            });
+            el.bind("touchmove touchstart touchend", function(evt) {
+               if (self.isPlayback()) {
+                  return;
+               }
 
-            el.bind("touchstart", function(evt) {
-               tI.touches = tI.processTouches(evt);
-               tI.button = R.engine.Events.MOUSE_LEFT_BUTTON;
-               tI.downPosition.set(evt.pageX, evt.pageY);
-               gameObject.triggerEvent("touchstart", [tI]);
+               var touches = R.struct.TouchInfo.processTouches(evt), t = [];
+               for (var i = 0; i < touches.length; i++) {
+                  t.push([touches[i].getX(), touches[i].getY()]);
+               }
+               self.record(evt.type, { x: evt.pageX, y: evt.pageY, t: t });
+               self.elementEvent(evt.type, evt.pageX, evt.pageY, touches);
             });
+         }
 
-            el.bind("touchend", function(evt) {
-               tI.touches = tI.processTouches(evt);
+      },
+
+      /**
+       * Update the touch info for an object with an element and notify the
+       * game object of the event.
+       * @private
+       */
+      elementEvent: function(type, x, y, touches) {
+         var tI = this.touchInfo;
+         switch (type) {
+            case "touchmove":
+               tI.lastPosition.set(tI.position);
+               tI.position.set(x, y);
+               break;
+            case "touchstart":
+               tI.touches = touches;
+               tI.button = R.engine.Events.MOUSE_LEFT_BUTTON;
+               tI.downPosition.set(x, y);
+               break;
+            case "touchend":
+               tI.touches = touches;
                tI.button = R.engine.Events.MOUSE_NO_BUTTON;
                tI.dragVec.set(0, 0);
-               gameObject.triggerEvent("touchend", [tI]);
-            });
+               break;
+         }
+         this.getGameObject().triggerEvent(type, [tI]);
+      },
+
+      /**
+       * Play back a recorded touch event.  For objects with an element, the event is
+       * delivered to the game object.  For other objects, the recorded state of the
+       * touches is restored and the events are determined when the component executes.
+       *
+       * @param type {String} The type of event
+       * @param data {Object} The data recorded with the event
+       */
+      playEvent: function(type, data) {
+         var touches = [];
+         for (var i = 0; i < data.t.length; i++) {
+            touches.push(new R.struct.Touch({ pageX: data.t[i][0], pageY: data.t[i][1] }));
          }
 
+         if (type !== "state") {
+            this.elementEvent(type, data.x, data.y, touches);
+            return;
+         }
+
+         var tI = this.touchInfo;
+         tI.touches = touches;
+         tI.position.set(data.p[0], data.p[1]);
+         tI.lastPosition.set(data.l[0], data.l[1]);
+         tI.downPosition.set(data.d[0], data.d[1]);
+         tI.moveVec.set(data.m[0], data.m[1]);
+         tI.dragVec.set(data.g[0], data.g[1]);
+         tI.button = data.b;
+      },
+
+      /**
+       * Record the state of the touches if it has changed since it was last recorded.
+       * @private
+       */
+      recordState: function(tI) {
+         var t = [];
+         for (var i = 0; i < tI.touches.length; i++) {
+            t.push([tI.touches[i].getX(), tI.touches[i].getY()]);
+         }
+
+         var state = {
+            p: [tI.position.x, tI.position.y],
+            l: [tI.lastPosition.x, tI.lastPosition.y],
+            d: [tI.downPosition.x, tI.downPosition.y],
+            m: [tI.moveVec.x, tI.moveVec.y],
+            g: [tI.dragVec.x, tI.dragVec.y],
+            b: tI.button,
+            t: t
+         }, key = [state.p, state.l, state.d, state.m, state.g, state.b, t.join(";")].join(",");
+
+         if (key !== this.lastRecord) {
+            this.lastRecord = key;
+            this.record("state", state);
+         }
       },
 
       /**
@@ -157,12 +250,20 @@ R.components.input.Touch = function() {
          // this component will have intervened and wired up special handlers to fake
          // the mouseInfo object.
          if (!gameObject.getElement()) {
-            var touchInfo = renderContext.getTouchInfo(),
+            var touchInfo = this.isPlayback() ? this.touchInfo : renderContext.getTouchInfo(),
                   bBox = gameObject.getWorldBox(),
                   touchOn = false,
                   dataModel = gameObject.getObjectDataModel(R.components.input.Touch.TOUCH_DATA_MODEL);
 
-            if (touchInfo && bBox) {
+            if (!touchInfo) {
+               return;
+            }
+
+            if (!this.isPlayback() && R.engine.InputRecorder.isRecording()) {
+               this.recordState(touchInfo);
+            }
+
+            if (bBox) {
                touchOn = R.math.Math2D.boxPointCollision(bBox, touchInfo.position);
             }
 
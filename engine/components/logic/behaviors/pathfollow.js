@@ -0,0 +1,212 @@
+/**
+ * The Render Engine
+ * PathFollowBehavior
+ *
+ * @fileoverview Path following behavior, based on Craig Reynolds "Autonomous Steering Behaviors"
+ *               article.  The path follow behavior moves the game object along a path of
+ *               waypoints, or along a flow field.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE
+ */
+
+// Load all required engine components
+R.Engine.define({
+   "class": "R.components.logic.behaviors.PathFollow",
+   "requires": [
+      "R.components.logic.behaviors.BaseBehavior"
+   ]
+});
+
+   // Add behavior options
+   if (R.Engine.options.behaviors === undefined) {
+      R.Engine.options.behaviors = {};
+   }
+
+   $.extend(R.Engine.options.behaviors, {
+      "pathFollowWaypointRadius": 16,
+      "pathFollowSlowingDistance": 50
+   });
+
+/**
+ * @class The path follow behavior component.  Causes an object to move along a path
+ *    of waypoints, such as a path found by {@link R.ai.AStar#findWorldPath}, slowing down
+ *    as it arrives at the last one.  A waypoint is reached when the object comes within
+ *    the waypoint radius of it.  The behavior can also follow a {@link R.ai.FlowField},
+ *    steering in the direction of the cell the object is in until it reaches a goal cell.
+ *
+ * @param path {Array|R.ai.FlowField} An array of {@link R.math.Point2D} waypoints, or a flow field
+ * @param [waypointRadius] {Number} The distance at which a waypoint is reached
+ * @extends R.components.logic.behaviors.BaseBehavior
+ * @constructor
+ */
+R.components.logic.behaviors.PathFollow = function() {
+   return R.components.logic.behaviors.BaseBehavior.extend(/** @scope R.components.logic.behaviors.PathFollow.prototype */{
+
+      path: null,
+      flowField: null,
+      waypoint: 0,
+      radius: 0,
+      slowDist: 0,
+      arrived: false,
+
+      /** @private */
+      constructor: function(path, waypointRadius) {
+         this.base("pathfollow");
+         this.radius = waypointRadius || R.Engine.options.behaviors.pathFollowWaypointRadius;
+         this.slowDist = R.Engine.options.behaviors.pathFollowSlowingDistance;
+         this.setPath(path);
+      },
+
+      reset: function() {
+         this.path = null;
+         this.flowField = null;
+         this.waypoint = 0;
+         this.arrived = false;
+         this.base();
+      },
+
+      /**
+       * Set the path to follow, starting from its first waypoint.  The path isn't
+       * copied or destroyed by the behavior.
+       * @param path {Array|R.ai.FlowField} An array of {@link R.math.Point2D} waypoints,
+       *    or a flow field
+       */
+      setPath: function(path) {
+         if (path && path.getDirectionAt) {
+            this.flowField = path;
+            this.path = null;
+         } else {
+            this.flowField = null;
+            this.path = path;
+         }
+         this.waypoint = 0;
+         this.arrived = false;
+      },
+
+      /**
+       * Get the path being followed.
+       * @return {Array|R.ai.FlowField}
+       */
+      getPath: function() {
+         return this.flowField || this.path;
+      },
+
+      /**
+       * Get the index of the waypoint the object is moving toward.
+       * @return {Number}
+       */
+      getWaypoint: function() {
+         return this.waypoint;
+      },
+
+      /**
+       * This method is called by the game object to run the component,
+       * updating its state.
+       *
+       * @param time {Number} The global engine time
+       * @param dt {Number} The delta between the world time and the last time the world was updated
+       *          in milliseconds.
+       */
+      execute: function(time, dt) {
+         var gO = this.getGameObject();
+         if (this.arrived || !gO || gO.isDestroyed() || !(this.flowField || (this.path && this.path.length > 0))) {
+            return R.math.Vector2D.ZERO;
+         }
+
+         var mC = this.getTransformComponent(), pt = R.clone(gO.getOriginPosition()),
+             desired = this.flowField ? this.followField(pt) : this.followPath(pt), steering = R.math.Vector2D.ZERO;
+
+         pt.destroy();
+         if (desired) {
+            steering = R.math.Vector2D.create(desired).sub(mC.getVelocity());
+            desired.destroy();
+         }
+         return steering;
+      },
+
+      /**
+       * Get the desired velocity toward the current waypoint, moving on to the
+       * next waypoint when it is reached.
+       * @private
+       */
+      followPath: function(pt) {
+         var mC = this.getTransformComponent(), offs = R.math.Vector2D.create(0, 0), distance, last;
+         while (true) {
+            last = this.waypoint == this.path.length - 1;
+            offs.set(this.path[this.waypoint]).sub(pt);
+            distance = offs.len();
+            if (last || distance >= this.radius) {
+               break;
+            }
+            this.waypoint++;
+         }
+
+         if (last && distance <= 5) {
+            this.arrived = true;
+            offs.destroy();
+            return null;
+         }
+
+         offs.normalize();
+         if (last && distance < this.slowDist) {
+            offs.mul(mC.getMaxSpeed() * (distance / this.slowDist));
+         } else {
+            offs.mul(mC.getMaxSpeed());
+         }
+         return offs;
+      },
+
+      /**
+       * Get the desired velocity from the flow field.
+       * @private
+       */
+      followField: function(pt) {
+         var dir = this.flowField.getDirectionAt(pt);
+         if (dir.len() == 0) {
+            // In a goal cell, or somewhere the goal can't be reached
+            var cell = this.flowField.getGrid().getCellAt(pt);
+            this.arrived = this.flowField.isGoal(cell.x, cell.y);
+            cell.destroy();
+            dir.destroy();
+            return null;
+         }
+         return dir.mul(this.getTransformComponent().getMaxSpeed());
+      },
+
+      /**
+       * True if the object has arrived at the end of the path, or at a goal
+       * cell of the flow field.  Setting a new path clears the arrived state.
+       * @return {Boolean}
+       */
+      isArrived: function() {
+         return this.arrived;
+      }
+
+   }, /** @scope R.components.logic.behaviors.PathFollow.prototype */{
+      getClassName: function() {
+         return "R.components.logic.behaviors.PathFollow";
+      }
+   });
+};
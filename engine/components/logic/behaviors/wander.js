@@ -2,7 +2,8 @@
 R.Engine.define({
    "class": "R.components.logic.behaviors.Wander",
    "requires": [
-      "R.components.logic.behaviors.BaseBehavior"
+      "R.components.logic.behaviors.BaseBehavior",
+      "R.math.Random"
    ]
 });
 
@@ -58,7 +59,7 @@ R.components.logic.behaviors.Wander = function() {
          wForce.setLen(mC.getMaxSpeed());
          wForce.setAngle(this.wanderAngle);
 
-         this.wanderAngle += Math.random() * this.wanderChange - this.wanderChange * 0.5;
+         this.wanderAngle += R.math.Random.getDefault().random() * this.wanderChange - this.wanderChange * 0.5;
          var force = R.clone(cMiddle.add(wForce));
          cMiddle.destroy();
          return force;
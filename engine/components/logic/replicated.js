@@ -0,0 +1,151 @@
+/**
+ * The Render Engine
+ * Replicated
+ *
+ * @fileoverview A component which drives a game object from replicated state.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.components.logic.Replicated",
+   "requires": [
+      "R.components.Logic",
+      "R.util.Snapshot"
+   ]
+});
+
+/**
+ * @class A component which moves its game object with the state of an object in a networked
+ *        world, received by a {@link R.util.ReplicationClient}.  Other players' objects are
+ *        interpolated, and the local player's object is predicted.
+ *        <p/>
+ *        Game objects which declare their replicated properties (see {@link R.util.Snapshot}) have
+ *        them set from the state.  Otherwise, the <tt>x</tt> and <tt>y</tt> properties of the state set
+ *        the position of the game object, and the <tt>r</tt> property sets its rotation.  A game object which needs
+ *        more than that can implement <tt>setReplicatedState(state)</tt>, which will be called
+ *        instead.  The game object of the local player should implement <tt>getNetworkInput()</tt>,
+ *        returning its input for the frame, which is predicted and sent to the server.
+ *
+ * @param name {String} The name of the component
+ * @param client {R.util.ReplicationClient} The client which receives the world
+ * @param id {String} The identifier of the object in the world
+ * @param [priority=1.0] {Number} The priority of the component
+ * @extends R.components.Logic
+ * @constructor
+ * @description Create a replicated component
+ */
+R.components.logic.Replicated = function() {
+   return R.components.Logic.extend(/** @scope R.components.logic.Replicated.prototype */{
+
+      client: null,
+      entityId: null,
+      lastState: null,
+
+      /** @private */
+      constructor: function(name, client, id, priority) {
+         this.base(name, priority || 1.0);
+         this.client = client;
+         this.entityId = id;
+         this.lastState = null;
+      },
+
+      /**
+       * Releases the component back into the object pool.
+       */
+      release: function() {
+         this.base();
+         this.client = null;
+         this.entityId = null;
+         this.lastState = null;
+      },
+
+      /**
+       * Get the identifier of the object in the world.
+       * @return {String}
+       */
+      getEntityId: function() {
+         return this.entityId;
+      },
+
+      /**
+       * Returns <code>true</code> if the object is the local player.
+       * @return {Boolean}
+       */
+      isLocal: function() {
+         return this.entityId == this.client.getLocalId();
+      },
+
+      /**
+       * Send the local player's input, then update the game object with the
+       * state of the object in the world.
+       *
+       * @param renderContext {R.rendercontexts.AbstractRenderContext} The render context
+       * @param time {Number} The engine time in milliseconds
+       * @param dt {Number} The delta between the world time and the last time the world was updated
+       *          in milliseconds.
+       */
+      execute: function(renderContext, time, dt) {
+         var gameObject = this.getGameObject();
+         if (this.isLocal() && gameObject.getNetworkInput) {
+            this.client.sendInput(gameObject.getNetworkInput(), dt);
+         }
+
+         var state = this.client.getState(this.entityId);
+         if (!state) {
+            return;
+         }
+
+         if (gameObject.setReplicatedState) {
+            gameObject.setReplicatedState(state);
+            return;
+         }
+
+         if (state.c) {
+            R.util.Snapshot.writeObject(gameObject, state, this.lastState);
+            this.lastState = state;
+            return;
+         }
+
+         if (state.x !== undefined && state.y !== undefined) {
+            gameObject.setPosition(state.x, state.y);
+         }
+         if (state.r !== undefined && gameObject.setRotation) {
+            gameObject.setRotation(state.r);
+         }
+      }
+
+   }, /** @scope R.components.logic.Replicated.prototype */{
+      /**
+       * Get the class name of this object
+       *
+       * @return {String} "R.components.logic.Replicated"
+       */
+      getClassName: function() {
+         return "R.components.logic.Replicated";
+      }
+   });
+};
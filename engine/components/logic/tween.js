@@ -0,0 +1,663 @@
+/**
+ * The Render Engine
+ * TweenComponent
+ *
+ * @fileoverview A logic component which animates the properties of an
+ *               object over time, using easing functions.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+	"class": "R.components.logic.Tween",
+	"requires": [
+		"R.components.Logic",
+		"R.math.Easing"
+	]
+});
+
+/**
+ * @class A component which animates properties of its game object, or of another
+ *        object such as one of the game object's components, over time.  A property
+ *        is a getter and setter pair, so the "Rotation" property is read with
+ *        <tt>getRotation()</tt> and written with <tt>setRotation()</tt>.  Properties
+ *        can hold a number, a point (any object with <tt>x</tt> and <tt>y</tt>, such as
+ *        {@link R.math.Point2D}), or an HTML color string.  Points are written by
+ *        passing the X and Y coordinates to the setter, which is what methods such as
+ *        <tt>setPosition()</tt> and <tt>setScale()</tt> expect.
+ *        <p/>
+ *        A tween is a sequence of steps, each of which animates one or more properties
+ *        from the value they had when the tween started (or at the end of an earlier
+ *        step) to a new value.  Properties added with {@link #parallel} animate at the
+ *        same time as the step before them:
+ * <pre>
+ *    var tween = R.components.logic.Tween.create("bob");
+ *    ship.add(tween);
+ *
+ *    tween.to({ "Position": R.math.Point2D.create(100, 50) }, 1000, "quadOut")
+ *         .parallel({ "Rotation": 180 }, 500)
+ *         .wait(250)
+ *         .to({ "FillStyle": "#ff0000" }, 400, "linear", ship.getComponent("draw"))
+ *         .setRepeat(2)
+ *         .setYoyo(true)
+ *         .play();
+ * </pre>
+ *        When the tween completes, the game object triggers the <tt>tweencomplete</tt>
+ *        event, and the tween triggers the <tt>complete</tt> event.  Both are passed the
+ *        tween.  Each time the tween repeats, the <tt>tweenrepeat</tt> and <tt>repeat</tt>
+ *        events are triggered in the same way.
+ *        <p/>
+ *        For a quick, one-off animation, use {@link R.components.logic.Tween#to} which
+ *        creates the tween, adds it to the game object, and removes it when it completes.
+ *
+ * @param name {String} The name of the component
+ * @param [priority=1.0] {Number} The priority of the component
+ * @extends R.components.Logic
+ * @constructor
+ * @description Create a tween component
+ */
+R.components.logic.Tween = function() {
+	return R.components.Logic.extend(/** @scope R.components.logic.Tween.prototype */{
+
+   steps: null,
+   groups: null,
+   delay: 0,
+   repeat: 0,
+   yoyo: false,
+   playing: false,
+   paused: false,
+   prepared: false,
+   autoDestroy: false,
+   elapsed: 0,
+   iteration: 0,
+   iterationStart: 0,
+   totalDuration: 0,
+
+   /**
+    * @private
+    */
+   constructor: function(name, priority) {
+      this.base(name, priority || 1.0);
+      this.steps = [];
+      this.groups = [];
+      this.delay = 0;
+      this.repeat = 0;
+      this.yoyo = false;
+      this.playing = false;
+      this.paused = false;
+      this.prepared = false;
+      this.autoDestroy = false;
+      this.elapsed = 0;
+      this.iteration = 0;
+      this.iterationStart = 0;
+      this.totalDuration = 0;
+   },
+
+   /**
+    * Releases the component back into the object pool. See {@link R.engine.PooledObject#release}
+    * for more information.
+    */
+   release: function() {
+      this.base();
+      this.steps = null;
+      this.groups = null;
+      this.delay = 0;
+      this.repeat = 0;
+      this.yoyo = false;
+      this.playing = false;
+      this.paused = false;
+      this.prepared = false;
+      this.autoDestroy = false;
+      this.elapsed = 0;
+      this.iteration = 0;
+      this.iterationStart = 0;
+      this.totalDuration = 0;
+   },
+
+   /**
+    * Add a step to the end of the tween which animates the properties to the
+    * given values.  The values are copied, so points passed in may be destroyed.
+    *
+    * @param properties {Object} An object whose keys are the property names, and whose
+    *    values are the values to animate them to
+    * @param duration {Number} The duration of the step, in milliseconds
+    * @param [easing] {String|Function} The name of an {@link R.math.Easing} function, or an
+    *    easing function.  Defaults to linear.
+    * @param [target] {Object} The object to animate.  Defaults to the game object.
+    * @return {R.components.logic.Tween} This tween
+    */
+   to: function(properties, duration, easing, target) {
+      Assert(!this.prepared, "Steps cannot be added to a Tween which has started");
+      this.steps.push({
+         start: 0,
+         duration: 0,
+         tracks: []
+      });
+      return this.parallel(properties, duration, easing, target);
+   },
+
+   /**
+    * Animate the properties to the given values at the same time as the last
+    * step which was added.  The step lasts as long as the longest animation within it.
+    *
+    * @param properties {Object} An object whose keys are the property names, and whose
+    *    values are the values to animate them to
+    * @param duration {Number} The duration of the animation, in milliseconds
+    * @param [easing] {String|Function} The name of an {@link R.math.Easing} function, or an
+    *    easing function.  Defaults to linear.
+    * @param [target] {Object} The object to animate.  Defaults to the game object.
+    * @return {R.components.logic.Tween} This tween
+    */
+   parallel: function(properties, duration, easing, target) {
+      Assert(!this.prepared, "Steps cannot be added to a Tween which has started");
+      if (this.steps.length == 0) {
+         return this.to(properties, duration, easing, target);
+      }
+
+      var step = this.steps[this.steps.length - 1], Tween = R.components.logic.Tween;
+      easing = R.math.Easing.get(easing);
+      duration = duration || 0;
+      step.duration = Math.max(step.duration, duration);
+
+      for (var p in properties) {
+         step.tracks.push({
+            target: target || null,
+            property: p,
+            to: Tween.toValue(properties[p]),
+            from: null,
+            duration: duration,
+            easing: easing,
+            start: 0
+         });
+      }
+      return this;
+   },
+
+   /**
+    * Add a step to the end of the tween which does nothing for the given duration.
+    *
+    * @param duration {Number} The time to wait, in milliseconds
+    * @return {R.components.logic.Tween} This tween
+    */
+   wait: function(duration) {
+      Assert(!this.prepared, "Steps cannot be added to a Tween which has started");
+      this.steps.push({
+         start: 0,
+         duration: duration,
+         tracks: []
+      });
+      return this;
+   },
+
+   /**
+    * Set the time to wait, after the tween is played, before it starts.  The delay
+    * isn't repeated.
+    *
+    * @param delay {Number} The delay in milliseconds
+    * @return {R.components.logic.Tween} This tween
+    */
+   setDelay: function(delay) {
+      this.delay = delay;
+      return this;
+   },
+
+   /**
+    * Get the delay before the tween starts.
+    * @return {Number}
+    */
+   getDelay: function() {
+      return this.delay;
+   },
+
+   /**
+    * Set the number of times to repeat the tween after it has played once.
+    *
+    * @param repeat {Number} The number of repeats, or <tt>-1</tt> to repeat forever
+    * @return {R.components.logic.Tween} This tween
+    */
+   setRepeat: function(repeat) {
+      this.repeat = repeat;
+      return this;
+   },
+
+   /**
+    * Get the number of times the tween will repeat.
+    * @return {Number}
+    */
+   getRepeat: function() {
+      return this.repeat;
+   },
+
+   /**
+    * Set whether the tween plays backward on every other repeat, so the properties
+    * animate back to where they started.
+    *
+    * @param yoyo {Boolean} <tt>true</tt> to alternate the direction of the tween
+    * @return {R.components.logic.Tween} This tween
+    */
+   setYoyo: function(yoyo) {
+      this.yoyo = yoyo;
+      return this;
+   },
+
+   /**
+    * Returns <tt>true</tt> if the tween alternates direction when it repeats.
+    * @return {Boolean}
+    */
+   isYoyo: function() {
+      return this.yoyo;
+   },
+
+   /**
+    * Set whether the tween removes itself from the game object, and is destroyed,
+    * when it completes.
+    *
+    * @param autoDestroy {Boolean} <tt>true</tt> to destroy the tween when it completes
+    * @return {R.components.logic.Tween} This tween
+    */
+   setAutoDestroy: function(autoDestroy) {
+      this.autoDestroy = autoDestroy;
+      return this;
+   },
+
+   /**
+    * Get the duration of one play through the tween, without the delay or repeats.
+    * @return {Number}
+    */
+   getDuration: function() {
+      var duration = 0;
+      R.engine.Support.forEach(this.steps, function(step) {
+         duration += step.duration;
+      });
+      return duration;
+   },
+
+   /**
+    * Play the tween from the beginning.  The properties animate from the values
+    * they have when the tween starts, after the delay.
+    * @return {R.components.logic.Tween} This tween
+    */
+   play: function() {
+      this.playing = true;
+      this.paused = false;
+      this.prepared = false;
+      this.elapsed = 0;
+      this.iteration = 0;
+      this.iterationStart = 0;
+      return this;
+   },
+
+   /**
+    * Stop the tween.  A stopped tween doesn't trigger its completion events.
+    *
+    * @param [finish=false] {Boolean} <tt>true</tt> to set the properties to the values
+    *    they would have when the tween completes
+    */
+   stop: function(finish) {
+      if (finish && this.prepared) {
+         this.seek(this.getEndPosition());
+      }
+      this.playing = false;
+      this.paused = false;
+   },
+
+   /**
+    * Pause the tween, leaving the properties where they are.
+    */
+   pause: function() {
+      this.paused = true;
+   },
+
+   /**
+    * Resume a paused tween.
+    */
+   resume: function() {
+      this.paused = false;
+   },
+
+   /**
+    * Returns <tt>true</tt> if the tween is playing, even if it is paused.
+    * @return {Boolean}
+    */
+   isPlaying: function() {
+      return this.playing;
+   },
+
+   /**
+    * Returns <tt>true</tt> if the tween is paused.
+    * @return {Boolean}
+    */
+   isPaused: function() {
+      return this.paused;
+   },
+
+   /**
+    * Get the number of times the tween has repeated.
+    * @return {Number}
+    */
+   getIteration: function() {
+      return this.iteration;
+   },
+
+   /**
+    * Advance the tween and update the properties.
+    *
+    * @param renderContext {R.rendercontexts.AbstractRenderContext} The render context for the component
+    * @param time {Number} The engine time in milliseconds
+    * @param dt {Number} The delta between the world time and the last time the world was updated
+    *          in milliseconds.
+    */
+   execute: function(renderContext, time, dt) {
+      if (!this.playing || this.paused) {
+         return;
+      }
+
+      this.elapsed += dt;
+      if (this.elapsed < this.delay) {
+         return;
+      }
+
+      if (!this.prepared) {
+         this.prepare();
+      }
+
+      var position = this.elapsed - this.delay - this.iterationStart;
+      while (position >= this.totalDuration) {
+         // Make sure the iteration ends exactly at the end values
+         this.seek(this.getEndPosition());
+         if (this.totalDuration == 0 || (this.repeat != -1 && this.iteration >= this.repeat)) {
+            this.complete(renderContext);
+            return;
+         }
+
+         this.iteration++;
+         this.iterationStart += this.totalDuration;
+         position -= this.totalDuration;
+         this.getGameObject().triggerEvent("tweenrepeat", [this]);
+         this.triggerEvent("repeat", [this]);
+
+         if (!this.playing) {
+            // A repeat listener stopped the tween
+            return;
+         }
+      }
+
+      this.seek(this.isReversed() ? this.totalDuration - position : position);
+   },
+
+   /**
+    * Returns <tt>true</tt> if the current iteration plays backward.
+    * @private
+    */
+   isReversed: function() {
+      return this.yoyo && (this.iteration % 2 == 1);
+   },
+
+   /**
+    * Get the position of the end of the current iteration.
+    * @private
+    */
+   getEndPosition: function() {
+      return this.isReversed() ? 0 : this.totalDuration;
+   },
+
+   /**
+    * Lay out the steps, and determine the value each property starts from.  A
+    * property starts from the value it ended with in an earlier step, or the value
+    * it has now.
+    * @private
+    */
+   prepare: function() {
+      var start = 0, host = this.getGameObject(), Tween = R.components.logic.Tween;
+      this.groups = [];
+
+      R.engine.Support.forEach(this.steps, function(step) {
+         step.start = start;
+         R.engine.Support.forEach(step.tracks, function(track) {
+            var target = track.target || host,
+                group = this.getGroup(target, track.property);
+
+            track.start = start;
+            if (group.tracks.length > 0) {
+               track.from = group.tracks[group.tracks.length - 1].to;
+            } else {
+               var getter = target["get" + track.property];
+               Assert(typeof getter === "function", "Tween cannot get the property " + track.property);
+               track.from = Tween.toValue(getter.call(target));
+            }
+
+            Assert(typeof track.from === typeof track.to && R.isArray(track.from) == R.isArray(track.to),
+                   "Tween cannot animate " + track.property + " between different types of values");
+            group.tracks.push(track);
+         }, this);
+         start += step.duration;
+      }, this);
+
+      this.totalDuration = start;
+      this.prepared = true;
+   },
+
+   /**
+    * Find, or create, the group of tracks which animate a property of a target.
+    * @private
+    */
+   getGroup: function(target, property) {
+      for (var g = 0; g < this.groups.length; g++) {
+         if (this.groups[g].target === target && this.groups[g].property === property) {
+            return this.groups[g];
+         }
+      }
+
+      var setter = target["set" + property];
+      Assert(typeof setter === "function", "Tween cannot set the property " + property);
+
+      var group = {
+         target: target,
+         property: property,
+         setter: setter,
+         integer: !!R.components.logic.Tween.INTEGER_PROPERTIES[property],
+         tracks: [],
+         track: null,
+         progress: -1
+      };
+      this.groups.push(group);
+      return group;
+   },
+
+   /**
+    * Set the properties to their values at a position within the tween.  Each property
+    * takes its value from the last track which has started, or the first track if none have.
+    * @private
+    */
+   seek: function(position) {
+      for (var g = 0; g < this.groups.length; g++) {
+         var group = this.groups[g], track = group.tracks[0];
+         for (var t = 1; t < group.tracks.length && group.tracks[t].start <= position; t++) {
+            track = group.tracks[t];
+         }
+
+         var progress = track.duration > 0 ? (position - track.start) / track.duration :
+               (position >= track.start ? 1 : 0);
+         progress = Math.max(0, Math.min(1, progress));
+
+         if (group.track === track && group.progress === progress) {
+            // Nothing has changed
+            continue;
+         }
+
+         group.track = track;
+         group.progress = progress;
+         R.components.logic.Tween.applyValue(group, track.from, track.to, track.easing(progress));
+      }
+   },
+
+   /**
+    * Complete the tween, triggering its completion events.
+    * @private
+    */
+   complete: function(renderContext) {
+      var host = this.getGameObject(), self = this;
+      this.playing = false;
+      host.triggerEvent("tweencomplete", [this]);
+      this.triggerEvent("complete", [this]);
+
+      if (this.autoDestroy && !this.playing) {
+         // The game object is still running its components, so wait for the frame to end
+         var dispose = function() {
+            if (!self.isDestroyed()) {
+               host.remove(self);
+               self.destroy();
+            }
+         };
+
+         if (renderContext.postRender) {
+            renderContext.postRender(dispose);
+         } else {
+            dispose();
+         }
+      }
+   }
+
+}, /** @scope R.components.logic.Tween.prototype */{
+   /**
+    * Get the class name of this object
+    *
+    * @return {String} "R.components.logic.Tween"
+    */
+   getClassName: function() {
+      return "R.components.logic.Tween";
+   },
+
+   /**
+    * Animate properties of a game object, or of another object, with a new tween.  The
+    * tween is added to the game object and plays immediately.  When it completes, the
+    * tween is removed from the game object and destroyed.
+    * <pre>
+    *    R.components.logic.Tween.to(ship, { "Scale": R.math.Vector2D.create(2, 2) }, 300, "backOut", {
+    *       repeat: 1,
+    *       yoyo: true
+    *    });
+    * </pre>
+    *
+    * @param gameObject {R.engine.GameObject} The game object the tween is added to
+    * @param properties {Object} An object whose keys are the property names, and whose
+    *    values are the values to animate them to
+    * @param duration {Number} The duration of the animation, in milliseconds
+    * @param [easing] {String|Function} The name of an {@link R.math.Easing} function, or an
+    *    easing function.  Defaults to linear.
+    * @param [options] {Object} The <tt>delay</tt>, <tt>repeat</tt>, and <tt>yoyo</tt> of the
+    *    tween, and a <tt>target</tt> object to animate other than the game object
+    * @return {R.components.logic.Tween} The tween, to which more steps can be added until it starts
+    * @static
+    */
+   to: function(gameObject, properties, duration, easing, options) {
+      options = options || {};
+      var tween = R.components.logic.Tween.create("TWEEN" + R.components.logic.Tween.nextTween++);
+      gameObject.add(tween);
+      return tween.to(properties, duration, easing, options.target)
+            .setDelay(options.delay || 0)
+            .setRepeat(options.repeat || 0)
+            .setYoyo(!!options.yoyo)
+            .setAutoDestroy(true)
+            .play();
+   },
+
+   /**
+    * Properties which only accept whole numbers.  Values of these properties are
+    * rounded as they animate.
+    * @type {Object}
+    */
+   INTEGER_PROPERTIES: {
+      "ZIndex": true
+   },
+
+   /** @private */
+   nextTween: 0,
+
+   /**
+    * Convert a property value into the form the tween animates: a number, a point
+    * <tt>{x, y}</tt>, or a color <tt>[r, g, b, a]</tt>.
+    * @private
+    */
+   toValue: function(value) {
+      if (typeof value === "number") {
+         return value;
+      } else if (typeof value === "string") {
+         return R.components.logic.Tween.parseColor(value);
+      }
+
+      Assert(value != null && value.x !== undefined && value.y !== undefined,
+             "Tween can only animate numbers, points, and colors");
+      return { x: value.x, y: value.y };
+   },
+
+   /**
+    * Parse an HTML color in the form <tt>#rgb</tt>, <tt>#rrggbb</tt>, <tt>rgb(r,g,b)</tt>,
+    * or <tt>rgba(r,g,b,a)</tt>.
+    * @private
+    */
+   parseColor: function(color) {
+      var c = $.trim(color).toLowerCase(), m;
+      if (c.charAt(0) == "#") {
+         if (c.length == 4) {
+            c = "#" + c.charAt(1) + c.charAt(1) + c.charAt(2) + c.charAt(2) + c.charAt(3) + c.charAt(3);
+         }
+         Assert(c.length == 7, "Tween cannot parse the color " + color);
+         return [parseInt(c.substr(1, 2), 16), parseInt(c.substr(3, 2), 16), parseInt(c.substr(5, 2), 16), 1];
+      }
+
+      m = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(c);
+      Assert(m != null, "Tween cannot parse the color " + color);
+      return [parseFloat(m[1]), parseFloat(m[2]), parseFloat(m[3]), m[4] !== undefined ? parseFloat(m[4]) : 1];
+   },
+
+   /**
+    * Set a property to the value between two values.
+    * @private
+    */
+   applyValue: function(group, from, to, amount) {
+      var target = group.target, v;
+      if (typeof from === "number") {
+         v = from + (to - from) * amount;
+         group.setter.call(target, group.integer ? Math.round(v) : v);
+      } else if (R.isArray(from)) {
+         var r = Math.round(from[0] + (to[0] - from[0]) * amount),
+             g = Math.round(from[1] + (to[1] - from[1]) * amount),
+             b = Math.round(from[2] + (to[2] - from[2]) * amount),
+             a = from[3] + (to[3] - from[3]) * amount;
+         r = Math.max(0, Math.min(255, r));
+         g = Math.max(0, Math.min(255, g));
+         b = Math.max(0, Math.min(255, b));
+         a = Math.max(0, Math.min(1, a));
+         group.setter.call(target, a < 1 ? "rgba(" + r + "," + g + "," + b + "," + a.toFixed(3) + ")" :
+               "rgb(" + r + "," + g + "," + b + ")");
+      } else {
+         group.setter.call(target, from.x + (to.x - from.x) * amount, from.y + (to.y - from.y) * amount);
+      }
+   }
+});
+}
@@ -40,7 +40,8 @@ R.Engine.define({
       "R.math.Point2D",
       "R.math.Vector2D",
       "R.math.Rectangle2D",
-      "R.physics.Simulation"
+      "R.physics.Simulation",
+      "R.collision.CollisionLayers"
    ]
 });
 
@@ -55,6 +56,16 @@ R.Engine.define({
  * @constructor
  * @description All physical body components should extend from this component type
  *              to inherit such values as density and friction, and gain access to position and rotation.
+ *              <p/>
+ *              Contacts with other bodies are reported to the game object with the
+ *              <code>beginContact</code>, <code>endContact</code>, <code>preSolve</code> and
+ *              <code>postSolve</code> events.  Each event is passed a {@link R.struct.ContactInfo}
+ *              which describes the contact from this body's point of view, including the body
+ *              and game object which were hit, the normal, the contact points, and (for
+ *              <code>postSolve</code>) the impulse which resolved the contact.
+ *              <p/>
+ *              A body can be made a sensor, which detects contacts as a trigger volume without
+ *              colliding, or a one-way platform which other bodies can pass through from one side.
  */
 R.components.physics.BaseBody = function() {
    return R.components.Transform2D.extend(/** @scope R.components.physics.BaseBody.prototype */{
@@ -67,6 +78,11 @@ R.components.physics.BaseBody = function() {
       bodyPos: null,
       renderComponent: null,
       origin: null,
+      collisionLayer: null,
+      sensor: false,
+      oneWay: null,
+      filter: null,
+      degrees: 0,
 
       scaledPoint: null,
       _states: null,
@@ -84,6 +100,11 @@ R.components.physics.BaseBody = function() {
          this.fixtureDef.restitution = R.components.physics.BaseBody.DEFAULT_RESTITUTION;
          this.fixtureDef.density = R.components.physics.BaseBody.DEFAULT_DENSITY;
          this.fixtureDef.friction = R.components.physics.BaseBody.DEFAULT_FRICTION;
+         this.collisionLayer = null;
+         this.sensor = false;
+         this.oneWay = null;
+         this.filter = null;
+         this.degrees = 0;
          this.simulation = null;
          this.rotVec = R.math.Vector2D.create(0, 0);
          this.bodyPos = R.math.Point2D.create(0, 0);
@@ -110,6 +131,9 @@ R.components.physics.BaseBody = function() {
          this.bodyPos.destroy();
          this.origin.destroy();
          this.scaledPoint.destroy();
+         if (this.oneWay) {
+            this.oneWay.destroy();
+         }
 
          this.base();
       },
@@ -123,6 +147,8 @@ R.components.physics.BaseBody = function() {
          this.rotVec = null;
          this.bodyPos = null;
          this.origin = null;
+         this.oneWay = null;
+         this.filter = null;
          this._states = null;
       },
 
@@ -305,6 +331,193 @@ R.components.physics.BaseBody = function() {
          return this.fixtureDef.friction;
       },
 
+      /**
+       * Place the body on a named collision layer, registered with {@link R.collision.CollisionLayers}.
+       * The layer determines the Box2d category and mask bits of the body's fixtures, and whether
+       * they are sensors.  A body which is already simulating is updated immediately.
+       *
+       * @param name {String} The name of the layer, or <code>null</code> for the Box2d defaults
+       */
+      setCollisionLayer: function(name) {
+         this.collisionLayer = name || null;
+         this.updateFilter();
+      },
+
+      /**
+       * Get the name of the collision layer the body is on, or <code>null</code>.
+       * @return {String}
+       */
+      getCollisionLayer: function() {
+         return this.collisionLayer;
+      },
+
+      /**
+       * Set the Box2d collision filter of the body directly, rather than with a
+       * {@link #setCollisionLayer collision layer}.  The layer takes precedence over the
+       * category and mask bits, but not the group.
+       *
+       * @param categoryBits {Number} The categories the body belongs to
+       * @param maskBits {Number} The categories the body collides with
+       * @param [groupIndex=0] {Number} Bodies in the same positive group always collide, and
+       *    bodies in the same negative group never collide
+       */
+      setCollisionFilter: function(categoryBits, maskBits, groupIndex) {
+         this.filter = {
+            categoryBits: categoryBits,
+            maskBits: maskBits,
+            groupIndex: groupIndex || 0
+         };
+         this.updateFilter();
+      },
+
+      /**
+       * Get the Box2d collision filter of the body, an object with <tt>categoryBits</tt>,
+       * <tt>maskBits</tt> and <tt>groupIndex</tt>.
+       * @return {Object}
+       */
+      getCollisionFilter: function() {
+         var filter = this.fixtureDef.filter;
+         return {
+            categoryBits: filter.categoryBits,
+            maskBits: filter.maskBits,
+            groupIndex: filter.groupIndex
+         };
+      },
+
+      /**
+       * Make the body a sensor.  A sensor detects contacts with other bodies, reporting the
+       * <code>beginContact</code> and <code>endContact</code> events, but doesn't collide with them.
+       * Bodies on a sensor {@link #setCollisionLayer collision layer} are always sensors.
+       *
+       * @param sensor {Boolean} <code>true</code> to make the body a sensor
+       */
+      setSensor: function(sensor) {
+         this.sensor = sensor;
+         this.updateFilter();
+      },
+
+      /**
+       * Returns <code>true</code> if the body is a sensor.
+       * @return {Boolean}
+       */
+      isSensor: function() {
+         return this.fixtureDef.isSensor;
+      },
+
+      /**
+       * Apply the collision layer and sensor flag to the fixture definition, and to the fixtures
+       * of the body if it is simulating.
+       * @private
+       */
+      updateFilter: function() {
+         var fixtureDef = this.fixtureDef,
+             layerSensor = this.collisionLayer ? R.collision.CollisionLayers.isSensor(this.collisionLayer) : false;
+         R.collision.CollisionLayers.applyToFixture(fixtureDef, this.collisionLayer);
+         if (this.filter && !this.collisionLayer) {
+            fixtureDef.filter.categoryBits = this.filter.categoryBits;
+            fixtureDef.filter.maskBits = this.filter.maskBits;
+         }
+         fixtureDef.filter.groupIndex = this.filter ? this.filter.groupIndex : 0;
+         fixtureDef.isSensor = this.sensor || layerSensor;
+         if (this.simulation) {
+            for (var fixture = this.getBody().GetFixtureList(); fixture; fixture = fixture.GetNext()) {
+               fixture.SetFilterData(fixtureDef.filter);
+               fixture.SetSensor(fixtureDef.isSensor);
+            }
+         }
+      },
+
+      /**
+       * Make the body a one-way platform.  Other bodies can only land on the side of the
+       * platform that <tt>direction</tt> points out of, and pass through it from any other side.
+       * For a platform which can be jumped through from below, use {@link R.math.Vector2D#UP}.
+       *
+       * @param direction {R.math.Vector2D} The direction of the solid side, or <code>null</code>
+       *    to make the body solid from all sides
+       */
+      setOneWay: function(direction) {
+         if (this.oneWay) {
+            this.oneWay.destroy();
+            this.oneWay = null;
+         }
+         if (direction) {
+            this.oneWay = R.math.Vector2D.create(direction).normalize();
+         }
+      },
+
+      /**
+       * Get the direction of the solid side of a one-way platform, or <code>null</code> if the
+       * body is solid from all sides.
+       * @return {R.math.Vector2D}
+       */
+      getOneWay: function() {
+         return this.oneWay;
+      },
+
+      /**
+       * Called by the simulation when this body starts touching another body.  Triggers the
+       * <code>beginContact</code> event on the game object.
+       * @param contactInfo {R.struct.ContactInfo} The contact
+       */
+      beginContact: function(contactInfo) {
+         if (this.oneWay) {
+            // Contacts are pooled, so clear the pass-through state of a reused contact
+            contactInfo.contact.__$passThrough$__ = false;
+         }
+         this.triggerContactEvent("beginContact", contactInfo);
+      },
+
+      /**
+       * Called by the simulation when this body stops touching another body.  Triggers the
+       * <code>endContact</code> event on the game object.
+       * @param contactInfo {R.struct.ContactInfo} The contact
+       */
+      endContact: function(contactInfo) {
+         if (this.oneWay) {
+            contactInfo.contact.__$passThrough$__ = false;
+         }
+         this.triggerContactEvent("endContact", contactInfo);
+      },
+
+      /**
+       * Called by the simulation before a contact is solved.  One-way platforms disable contacts
+       * from bodies which didn't land on their solid side, until the bodies separate.  Triggers
+       * the <code>preSolve</code> event on the game object, whose handler may also disable the
+       * contact with {@link R.struct.ContactInfo#setEnabled}.
+       * @param contactInfo {R.struct.ContactInfo} The contact
+       */
+      preSolve: function(contactInfo) {
+         if (this.oneWay) {
+            var contact = contactInfo.contact;
+            if (!contact.__$passThrough$__ &&
+                  contactInfo.normal.dot(this.oneWay) < R.components.physics.BaseBody.ONE_WAY_THRESHOLD) {
+               contact.__$passThrough$__ = true;
+            }
+            if (contact.__$passThrough$__) {
+               contact.SetEnabled(false);
+            }
+         }
+         this.triggerContactEvent("preSolve", contactInfo);
+      },
+
+      /**
+       * Called by the simulation after a contact is solved.  Triggers the <code>postSolve</code>
+       * event on the game object.
+       * @param contactInfo {R.struct.ContactInfo} The contact, with the impulse which resolved it
+       */
+      postSolve: function(contactInfo) {
+         this.triggerContactEvent("postSolve", contactInfo);
+      },
+
+      /**
+       * @private
+       */
+      triggerContactEvent: function(eventName, contactInfo) {
+         if (this.getGameObject()) {
+            this.getGameObject().triggerEvent(eventName, [contactInfo]);
+         }
+      },
+
       /**
        * Set the initial position of the body.  Once a body is in motion, updating
        * its position should be avoided since it doesn't fit with physical simulation.
@@ -345,11 +558,11 @@ R.components.physics.BaseBody = function() {
        * @return {Number}
        */
       getRotation: function() {
-         if (this.simulation) {
-            return R.math.Math2D.radToDeg(this.getBody().GetAngle());
-         } else {
-            return this.getBodyDef().angle;
-         }
+         var angle = this.simulation ? this.getBody().GetAngle() : this.getBodyDef().angle;
+
+         // Converting the angle back from radians isn't exact, so until the body turns,
+         // the rotation is returned as it was set
+         return angle === R.math.Math2D.degToRad(this.degrees) ? this.degrees : R.math.Math2D.radToDeg(angle);
       },
 
       /**
@@ -357,6 +570,7 @@ R.components.physics.BaseBody = function() {
        * @param angle {Number} The rotation angle in degrees
        */
       setRotation: function(angle) {
+         this.degrees = angle;
          if (this.simulation) {
             this.getBody().SetAngle(R.math.Math2D.degToRad(angle));
          } else {
@@ -622,7 +836,14 @@ R.components.physics.BaseBody = function() {
        * The default friction of a body
        * @type {Number}
        */
-      DEFAULT_FRICTION: 0.5
+      DEFAULT_FRICTION: 0.5,
+
+      /**
+       * The least a contact's normal may point along the solid side of a one-way platform for
+       * the contact to be solved.  A value of 0.5 allows a landing up to 60 degrees off.
+       * @type {Number}
+       */
+      ONE_WAY_THRESHOLD: 0.5
 
    });
 };
\ No newline at end of file
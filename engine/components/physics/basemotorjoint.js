@@ -104,7 +104,7 @@ R.components.physics.BaseMotorJoint = function() {
          if (this.simulation) {
             return this.getJoint().GetMotorTorque(1 / R.Engine.getFPS());
          } else {
-            return this.mTorque;
+            return this.mForce;
          }
       },
 
@@ -126,9 +126,12 @@ R.components.physics.DistanceJoint = function() {
             anchor1.Set(a1.x, a1.y);
             anchor2.Set(a2.x, a2.y);
 
-            // Initialize the joint
-            this.getJointDef().Initialize(this.getBody1().getBody(), this.getBody2().getBody(),
-                                          anchor1, anchor2);
+            // Initialize the joint.  Box2d resets the joint softness when initializing, so
+            // restore the frequency and damping ratio afterwards
+            var jointDef = this.getJointDef(), hz = jointDef.frequencyHz, dampingRatio = jointDef.dampingRatio;
+            jointDef.Initialize(this.getBody1().getBody(), this.getBody2().getBody(), anchor1, anchor2);
+            jointDef.frequencyHz = hz;
+            jointDef.dampingRatio = dampingRatio;
          }
 
          this.base();
@@ -89,7 +89,9 @@ R.components.physics.MouseJoint = function() {
          if (!this.getSimulation()) {
             // The initial target is important, otherwise it's assumed to be 0,0
             this.getJointDef().target = this.getBody().getBody().GetPosition();
-            this.getJointDef().maxForce = this.getBody().getMass() * R.components.physics.MouseJoint.FORCE_FACTOR;
+            if (!this.getJointDef().maxForce) {
+               this.getJointDef().maxForce = this.getBody().getMass() * R.components.physics.MouseJoint.FORCE_FACTOR;
+            }
             this.setCollideBodies(true);
          }
          this.base();
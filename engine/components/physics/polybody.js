@@ -106,16 +106,31 @@ R.components.physics.PolyBody = function() {
       setGameObject: function(gameObject) {
          this.base(gameObject);
 
-         var scaled = [], pt = R.math.Point2D.create(0,0);
+         var scaled = [], pt = R.math.Point2D.create(0,0), area = 0, next;
          for (var p = 0; p < this.points.length; p++) {
+            next = this.points[(p + 1) % this.points.length];
+            area += this.points[p].x * next.y - next.x * this.points[p].y;
             pt.set(this.points[p]);
             pt.div(R.physics.Simulation.WORLD_SIZE);
             scaled.push(new Box2D.Common.Math.b2Vec2(pt.x, pt.y));
          }
+
+         // Box2d expects counter-clockwise vertexes
+         if (area < 0) {
+            scaled.reverse();
+         }
          this.getFixtureDef().shape.SetAsArray(scaled);
          pt.destroy();
       },
 
+      /**
+       * Get the points which define the shape of the body.
+       * @return {Array} An array of {@link R.math.Point2D}
+       */
+      getPoints: function() {
+         return this.points;
+      },
+
       /**
        * Get a box which bounds the body, local to the body.
        * @return {R.math.Rectangle2D}
@@ -52,6 +52,10 @@ R.Engine.define({
  * @param anchor2 {R.math.Point2D} A point, in world coordinates relative to the two
  *    bodies, to use as one of the joint's anchor points
  * @param [ratio=1] {Number} The ratio between the two anchors.
+ * @param [groundAnchor1] {R.math.Point2D} The point, in world coordinates, which the rope from
+ *    <tt>anchor1</tt> hangs from.  Default: {@link #DEFAULT_LENGTH} pixels above <tt>anchor1</tt>
+ * @param [groundAnchor2] {R.math.Point2D} The point, in world coordinates, which the rope from
+ *    <tt>anchor2</tt> hangs from.  Default: {@link #DEFAULT_LENGTH} pixels above <tt>anchor2</tt>
  *
  * @extends R.components.physics.BaseJoint
  * @constructor
@@ -62,16 +66,24 @@ R.components.physics.PulleyJoint = function() {
 
       anchor1: null,
       anchor2: null,
+      groundAnchor1: null,
+      groundAnchor2: null,
       ratio: 0,
 
       /**
        * @private
        */
-      constructor: function(name, body1, body2, anchor1, anchor2, ratio) {
+      constructor: function(name, body1, body2, anchor1, anchor2, ratio, groundAnchor1, groundAnchor2) {
          var jointDef = new Box2D.Dynamics.Joints.b2PulleyJointDef();
 
          this.anchor1 = R.math.Point2D.create(anchor1).div(R.physics.Simulation.WORLD_SIZE);
          this.anchor2 = R.math.Point2D.create(anchor2).div(R.physics.Simulation.WORLD_SIZE);
+         this.groundAnchor1 = groundAnchor1 ? R.math.Point2D.create(groundAnchor1) :
+               R.math.Point2D.create(anchor1.x, anchor1.y - R.components.physics.PulleyJoint.DEFAULT_LENGTH);
+         this.groundAnchor2 = groundAnchor2 ? R.math.Point2D.create(groundAnchor2) :
+               R.math.Point2D.create(anchor2.x, anchor2.y - R.components.physics.PulleyJoint.DEFAULT_LENGTH);
+         this.groundAnchor1.div(R.physics.Simulation.WORLD_SIZE);
+         this.groundAnchor2.div(R.physics.Simulation.WORLD_SIZE);
          this.ratio = ratio || 1;
 
          this.base(name || "PulleyJoint", body1, body2, jointDef);
@@ -85,24 +97,32 @@ R.components.physics.PulleyJoint = function() {
          var ofs = R.clone(pt).div(R.physics.Simulation.WORLD_SIZE);
          this.anchor1.add(ofs);
          this.anchor2.add(ofs);
+         this.groundAnchor1.add(ofs);
+         this.groundAnchor2.add(ofs);
          ofs.destroy();
       },
 
+      /**
+       * Get the ratio between the two anchors.
+       * @return {Number}
+       */
+      getRatio: function() {
+         return this.ratio;
+      },
+
       /**
        * When simulation starts offset the anchor point by the position of rigid body 1 (the "from" body).
        * @private
        */
       startSimulation: function() {
          if (!this.getSimulation()) {
-            var sim = this.getGameObject().getSimulation();
-
-            var anchor1 = new Box2D.Common.Math.b2Vec2(), anchor2 = new Box2D.Common.Math.b2Vec2();
-            anchor1.Set(this.anchor1.x, this.anchor1.y);
-            anchor2.Set(this.anchor2.x, this.anchor2.y);
+            var anchor1 = new Box2D.Common.Math.b2Vec2(this.anchor1.x, this.anchor1.y),
+                anchor2 = new Box2D.Common.Math.b2Vec2(this.anchor2.x, this.anchor2.y),
+                ground1 = new Box2D.Common.Math.b2Vec2(this.groundAnchor1.x, this.groundAnchor1.y),
+                ground2 = new Box2D.Common.Math.b2Vec2(this.groundAnchor2.x, this.groundAnchor2.y);
 
             this.getJointDef().Initialize(this.getBody1().getBody(), this.getBody2().getBody(),
-                                          sim.getGroundBody(), sim.getGroundBody(),
-                                          anchor1, anchor2, this.ratio);
+                                          ground1, ground2, anchor1, anchor2, this.ratio);
          }
 
          this.base();
@@ -117,6 +137,12 @@ R.components.physics.PulleyJoint = function() {
        */
       getClassName: function() {
          return "R.components.physics.PulleyJoint";
-      }
+      },
+
+      /**
+       * The distance, in pixels, above each anchor of the ground anchors when they aren't specified
+       * @type {Number}
+       */
+      DEFAULT_LENGTH: 100
    });
 };
\ No newline at end of file
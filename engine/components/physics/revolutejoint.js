@@ -62,6 +62,7 @@ R.components.physics.RevoluteJoint = function() {
 
       anchor: null,
       limits: null,
+      limitAngles: null,
 
       /**
        * @private
@@ -70,6 +71,7 @@ R.components.physics.RevoluteJoint = function() {
          var jointDef = new Box2D.Dynamics.Joints.b2RevoluteJointDef();
 
          this.limits = [];
+         this.limitAngles = [];
          this.anchor = R.math.Point2D.create(anchor).div(R.physics.Simulation.WORLD_SIZE);
          this.base(name || "RevoluteJoint", body1, body2, jointDef);
       },
@@ -86,8 +88,8 @@ R.components.physics.RevoluteJoint = function() {
             this.getJointDef().Initialize(this.getBody1().getBody(), this.getBody2().getBody(), anchor);
 
             if (this.limits.length != 0) {
-               this.getJointDef().upperAngle = R.math.Math2D.degToRad(Math.max(this.limits[1], this.limits[0]));
-               this.getJointDef().lowerAngle = R.math.Math2D.degToRad(Math.min(this.limits[0], this.limits[1]));
+               this.getJointDef().upperAngle = Math.max(this.limits[1], this.limits[0]);
+               this.getJointDef().lowerAngle = Math.min(this.limits[0], this.limits[1]);
                this.getJointDef().enableLimit = true;
             }
          }
@@ -110,6 +112,7 @@ R.components.physics.RevoluteJoint = function() {
        */
       clearLimits: function() {
          this.limits = [];
+         this.limitAngles = [];
       },
 
       /**
@@ -117,7 +120,8 @@ R.components.physics.RevoluteJoint = function() {
        * @return {Number} The angle, or <code>undefined</code>
        */
       getUpperLimitAngle: function() {
-         return this.limits.length != 0 ? R.math.Math2D.radToDeg(this.limits[1]) : undefined;
+         // The angle is returned as it was set, since converting it back from radians isn't exact
+         return this.limits.length != 0 ? this.limitAngles[1] : undefined;
       },
 
       /**
@@ -128,6 +132,7 @@ R.components.physics.RevoluteJoint = function() {
        * @param angle {Number} An angle in degrees
        */
       setUpperLimitAngle: function(angle) {
+         this.limitAngles[1] = angle;
          this.limits[1] = R.math.Math2D.degToRad(angle);
       },
 
@@ -136,7 +141,7 @@ R.components.physics.RevoluteJoint = function() {
        * @return {Number} The angle, or <code>undefined</code>
        */
       getLowerLimitAngle: function() {
-         return this.limits.length != 0 ? R.math.Math2D.radToDeg(this.limits[0]) : undefined;
+         return this.limits.length != 0 ? this.limitAngles[0] : undefined;
       },
 
       /**
@@ -147,6 +152,7 @@ R.components.physics.RevoluteJoint = function() {
        * @param angle {Number} An angle in degrees
        */
       setLowerLimitAngle: function(angle) {
+         this.limitAngles[0] = angle;
          this.limits[0] = R.math.Math2D.degToRad(angle);
       },
 
@@ -59,6 +59,8 @@ R.components.Transform2D = function() {
    lastPosition: null,
    lastRenderPosition: null,
 	worldPos: null,
+   stepPosition: null,
+   stepRotation: 0,
 	
 	/* pragma:DEBUG_START */
 	_up: null,
@@ -74,6 +76,8 @@ R.components.Transform2D = function() {
 		this.worldPos = R.math.Point2D.create(0,0);
       this.lastPosition = R.math.Point2D.create(0,0);
       this.lastRenderPosition = R.math.Point2D.create(0,0);
+      this.stepPosition = R.math.Point2D.create(0,0);
+      this.stepRotation = 0;
       this.rotation = 0;
       this.scale = R.math.Vector2D.create(1, 1);
 
@@ -92,6 +96,7 @@ R.components.Transform2D = function() {
 		this.worldPos.destroy();
 		this.lastPosition.destroy();
 		this.lastRenderPosition.destroy();
+		this.stepPosition.destroy();
 
 		/* pragma:DEBUG_START */
 		this._up.destroy();
@@ -113,6 +118,8 @@ R.components.Transform2D = function() {
       this.lastPosition = null;
       this.lastRenderPosition = null;
 		this.worldPos = null;
+      this.stepPosition = null;
+      this.stepRotation = 0;
    },
 
    /**
@@ -279,8 +286,61 @@ R.components.Transform2D = function() {
     *          in milliseconds.
     */
    execute: function(renderContext, time, dt) {
-      renderContext.setPosition(this.getRenderPosition());
-      renderContext.setRotation(this.getRenderRotation());
+      this.applyTransform(renderContext, this.getRenderPosition(), this.getRenderRotation());
+   },
+
+   /**
+    * Store the position and rotation of the transformation at the start of a
+    * fixed timestep simulation step.  The stored state is blended with the current
+    * state when the frame is rendered.
+    * @see R.Engine#setFixedTimestep
+    */
+   storeStepState: function() {
+      this.stepPosition.set(this.getPosition());
+      this.stepRotation = this.getRotation();
+   },
+
+   /**
+    * Get the position of the transformation at the start of the last fixed
+    * timestep simulation step.
+    * @return {R.math.Point2D}
+    * @see #storeStepState
+    */
+   getStepPosition: function() {
+      return this.stepPosition;
+   },
+
+   /**
+    * Apply the transformation to the rendering context, blending between the state
+    * at the start of the last simulation step and the current state.  This is called
+    * instead of {@link #execute} when rendering a fixed timestep frame.
+    *
+    * @param renderContext {R.rendercontexts.AbstractRenderContext} The rendering context
+    * @param alpha {Number} The interpolation alpha, between 0 and 1
+    */
+   interpolate: function(renderContext, alpha) {
+      var p = this.getPosition(), s = this.stepPosition, dR = this.getRotation() - this.stepRotation;
+
+      // Blend the rotation along the shortest arc
+      dR = (dR > 180 ? dR - 360 : (dR < -180 ? dR + 360 : dR));
+
+      this.worldPos.set(s.x + ((p.x - s.x) * alpha), s.y + ((p.y - s.y) * alpha));
+      this.worldPos.sub(this.getGameObject().getRenderContext().getWorldPosition());
+      this.applyTransform(renderContext, this.worldPos,
+         this.getGameObject().getRenderContext().getWorldRotation() + this.stepRotation + (dR * alpha));
+   },
+
+   /**
+    * Set the position, rotation, and scale of the rendering context.
+    *
+    * @param renderContext {R.rendercontexts.AbstractRenderContext} The rendering context
+    * @param renderPosition {R.math.Point2D} The position relative to the viewport
+    * @param renderRotation {Number} The rotation relative to the viewport
+    * @private
+    */
+   applyTransform: function(renderContext, renderPosition, renderRotation) {
+      renderContext.setPosition(renderPosition);
+      renderContext.setRotation(renderRotation);
       renderContext.setScale(this.scale.x, this.scale.y);
 
       /* pragma:DEBUG_START */
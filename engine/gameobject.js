@@ -173,11 +173,22 @@ R.engine.GameObject = function(){
 		 */
 		update: function(renderContext, time, dt){
 		
-			// Run the components
-			var components = this.iterator();
+			// Run the components.  When rendering a fixed timestep frame, the simulation
+			// has already been run so only the render components are executed.
+			var components = this.iterator(), component,
+				 renderOnly = (R.Engine.getUpdatePhase() === R.Engine.PHASE_RENDER),
+				 alpha = R.Engine.getInterpolationAlpha();
 			
 			while (components.hasNext()) {
-				components.next().execute(renderContext, time, dt);
+				component = components.next();
+				if (!renderOnly) {
+					component.execute(renderContext, time, dt);
+				} else if (component.getType() == R.components.Base.TYPE_RENDERING) {
+					component.execute(renderContext, time, dt, alpha);
+				} else if (component.interpolate) {
+					// Transform components apply their interpolated state
+					component.interpolate(renderContext, alpha);
+				}
 			}
 			
 			components.destroy();
@@ -187,6 +198,39 @@ R.engine.GameObject = function(){
 			this.base(renderContext, time, dt);
 		},
 
+		/**
+		 * Run a fixed timestep simulation step for this object.  Every component, except
+		 * render components, is executed with the simulation time and the step time.  Before
+		 * the components execute, those which can be interpolated are given the chance to
+		 * store their state so it can be blended when the frame is rendered.
+		 *
+		 * @param renderContext {R.rendercontexts.AbstractRenderContext} The context the object is within.
+		 * @param time {Number} The simulation time within the engine.
+		 * @param dt {Number} The duration of the simulation step in milliseconds.
+		 */
+		simulate: function(renderContext, time, dt){
+			var components = this.iterator(), component;
+			while (components.hasNext()) {
+				component = components.next();
+				if (component.storeStepState) {
+					component.storeStepState();
+				}
+			}
+
+			// Components may alter the transform of the context
+			renderContext.pushTransform();
+			components.reset();
+			while (components.hasNext()) {
+				component = components.next();
+				if (component.getType() != R.components.Base.TYPE_RENDERING) {
+					component.execute(renderContext, time, dt);
+				}
+			}
+			renderContext.popTransform();
+
+			components.destroy();
+		},
+
       /**
        * Keep object alive, even when outside viewport.  Setting an object to the "keep alive"
        * state will keep the object from being put into the render context's inactive bin,
@@ -0,0 +1,307 @@
+/**
+ * The Render Engine
+ * InputRecorder
+ *
+ * @fileoverview A static class which records and replays the input delivered
+ *               through the input components.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.engine.InputRecorder",
+   "requires": []
+});
+
+/**
+ * @class A static class which records the input delivered through the
+ *        {@link R.components.Input input components} (such as {@link R.components.input.Keyboard},
+ *        {@link R.components.input.Mouse}, and {@link R.components.input.Touch}) along with
+ *        the engine frame number it was delivered in.  The recording can be played back later,
+ *        delivering the same input to the same components in the same frames.
+ *        <p/>
+ *        Input components register themselves with the recorder when they are added to a
+ *        game object.  Each component is identified by the name of its game object and the
+ *        name of the component, so a replay can be played back in a new session as long as
+ *        the game creates its objects in the same way.
+ *        <p/>
+ *        A replay is a simple object which can be converted to JSON and saved to a file:
+ * <pre>
+ *    R.engine.InputRecorder.startRecording();
+ *
+ *    // ...later
+ *    var replay = R.engine.InputRecorder.stopRecording();
+ *    var json = JSON.stringify(replay);
+ *
+ *    // ...and in a new session
+ *    R.engine.InputRecorder.play(json, function() {
+ *       R.debug.Console.log("Replay complete");
+ *    });
+ * </pre>
+ *        For playback to produce the same game state, the engine should be in
+ *        {@link R.Engine#setFixedTimestep fixed timestep} mode, where the frame number is
+ *        the simulation step.  The state of the engine-wide {@link R.math.Random random number
+ *        generator} is stored with the replay and restored when it is played back, so the game
+ *        should draw its random numbers from it rather than <tt>Math.random()</tt>.
+ *
+ * @static
+ */
+R.engine.InputRecorder = Base.extend(/** @scope R.engine.InputRecorder.prototype */{
+
+   /** @private */
+   constructor: null,
+
+   /** @private */
+   recording: false,
+
+   /** @private */
+   playing: false,
+
+   /** @private */
+   replay: null,
+
+   /** @private */
+   startFrame: 0,
+
+   /** @private */
+   playIndex: 0,
+
+   /** @private */
+   playDone: null,
+
+   /** @private */
+   components: {},
+
+   /**
+    * Register an input component with the recorder so it can receive events
+    * during playback.  Components are registered automatically when they are
+    * added to a game object.
+    *
+    * @param component {R.components.Input} The input component
+    * @return {String} The key which identifies the component in a replay
+    * @memberOf R.engine.InputRecorder
+    */
+   register: function(component) {
+      var baseKey = component.getGameObject().getName() + ":" + component.getName(), key = baseKey, dup = 1;
+
+      // Objects with the same name are told apart by the order they were created in
+      while (R.engine.InputRecorder.components[key] && R.engine.InputRecorder.components[key] !== component) {
+         key = baseKey + "#" + (dup++);
+      }
+
+      R.engine.InputRecorder.components[key] = component;
+      return key;
+   },
+
+   /**
+    * Remove an input component from the recorder.
+    * @param key {String} The key returned from {@link #register}
+    * @memberOf R.engine.InputRecorder
+    */
+   unregister: function(key) {
+      delete R.engine.InputRecorder.components[key];
+   },
+
+   /**
+    * Start recording input.  Any recording, or playback, in progress is stopped.
+    *
+    * @param [meta] {Object} Optional data to store with the replay, such as a
+    *    description or the state the game was in when recording started.
+    * @memberOf R.engine.InputRecorder
+    */
+   startRecording: function(meta) {
+      R.engine.InputRecorder.stop();
+      R.debug.Console.debug("RECORDING INPUT");
+      R.engine.InputRecorder.startFrame = R.Engine.getFrameNumber();
+      R.engine.InputRecorder.replay = {
+         "version": R.engine.InputRecorder.REPLAY_VERSION,
+         "fixedStep": R.Engine.isFixedTimestep(),
+         "stepTime": R.Engine.isFixedTimestep() ? R.Engine.getStepTime() : R.Engine.getFrameTime(),
+         "frames": 0,
+         "random": R.engine.InputRecorder.getRandom() ? R.engine.InputRecorder.getRandom().getState() : null,
+         "meta": meta || {},
+         "events": []
+      };
+      R.engine.InputRecorder.recording = true;
+   },
+
+   /**
+    * Stop recording input and return the replay.
+    * @return {Object} The replay, or <code>null</code> if not recording
+    * @memberOf R.engine.InputRecorder
+    */
+   stopRecording: function() {
+      if (!R.engine.InputRecorder.recording) {
+         return null;
+      }
+
+      R.debug.Console.debug("RECORDING STOPPED");
+      R.engine.InputRecorder.recording = false;
+      R.engine.InputRecorder.replay.frames = R.Engine.getFrameNumber() - R.engine.InputRecorder.startFrame;
+      return R.engine.InputRecorder.replay;
+   },
+
+   /**
+    * Returns <code>true</code> if input is being recorded.
+    * @return {Boolean}
+    * @memberOf R.engine.InputRecorder
+    */
+   isRecording: function() {
+      return R.engine.InputRecorder.recording;
+   },
+
+   /**
+    * Record an event for an input component.  This is called by the input
+    * components as events are delivered to them.
+    *
+    * @param key {String} The key of the input component
+    * @param type {String} The type of event
+    * @param data {Object} The data needed to play the event back
+    * @memberOf R.engine.InputRecorder
+    */
+   record: function(key, type, data) {
+      if (!R.engine.InputRecorder.recording) {
+         return;
+      }
+
+      R.engine.InputRecorder.replay.events.push({
+         "f": R.Engine.getFrameNumber() - R.engine.InputRecorder.startFrame,
+         "k": key,
+         "t": type,
+         "d": data
+      });
+   },
+
+   /**
+    * Play back a replay.  While playing back, live input is ignored by the input
+    * components.  Any recording, or playback, in progress is stopped.
+    *
+    * @param replay {Object|String} The replay, or the replay in JSON form
+    * @param [callback] {Function} A function to call when playback completes
+    * @memberOf R.engine.InputRecorder
+    */
+   play: function(replay, callback) {
+      if (R.isString(replay)) {
+         replay = R.engine.Support.parseJSON(replay);
+      }
+
+      Assert((replay.version <= R.engine.InputRecorder.REPLAY_VERSION), "Unsupported replay version: " + replay.version);
+      AssertWarn((replay.fixedStep == R.Engine.isFixedTimestep()), "Replay was recorded with a different timestep mode");
+
+      R.engine.InputRecorder.stop();
+      R.debug.Console.debug("PLAYBACK STARTED");
+
+      // Restore the random number generator so the game makes the same choices
+      if (replay.random != null && R.engine.InputRecorder.getRandom()) {
+         R.engine.InputRecorder.getRandom().setState(replay.random);
+      }
+
+      R.engine.InputRecorder.replay = replay;
+      R.engine.InputRecorder.startFrame = R.Engine.getFrameNumber();
+      R.engine.InputRecorder.playIndex = 0;
+      R.engine.InputRecorder.playDone = callback || null;
+      R.engine.InputRecorder.playing = true;
+   },
+
+   /**
+    * Returns <code>true</code> if a replay is being played back.
+    * @return {Boolean}
+    * @memberOf R.engine.InputRecorder
+    */
+   isPlaying: function() {
+      return R.engine.InputRecorder.playing;
+   },
+
+   /**
+    * Stop recording or playing back.  Stopping playback early will not trigger
+    * the playback callback.
+    * @memberOf R.engine.InputRecorder
+    */
+   stop: function() {
+      R.engine.InputRecorder.stopRecording();
+      R.engine.InputRecorder.playing = false;
+      R.engine.InputRecorder.playDone = null;
+   },
+
+   /**
+    * Get the replay that was last recorded or played.
+    * @return {Object}
+    * @memberOf R.engine.InputRecorder
+    */
+   getReplay: function() {
+      return R.engine.InputRecorder.replay;
+   },
+
+   /**
+    * Get the engine-wide random number generator, if it has been loaded.
+    * @private
+    * @memberOf R.engine.InputRecorder
+    */
+   getRandom: function() {
+      return (R.math.Random && R.math.Random.getDefault) ? R.math.Random.getDefault() : null;
+   },
+
+   /**
+    * Deliver the events recorded for the current frame to their input components.
+    * This is called by the engine before each frame, or each simulation step in fixed
+    * timestep mode, is generated.
+    * @private
+    * @memberOf R.engine.InputRecorder
+    */
+   processFrame: function() {
+      var replay = R.engine.InputRecorder.replay, events = replay.events,
+          frame = R.Engine.getFrameNumber() - R.engine.InputRecorder.startFrame, evt, component;
+
+      while (R.engine.InputRecorder.playIndex < events.length &&
+             events[R.engine.InputRecorder.playIndex].f <= frame) {
+         evt = events[R.engine.InputRecorder.playIndex++];
+         component = R.engine.InputRecorder.components[evt.k];
+         if (component) {
+            component.playEvent(evt.t, evt.d);
+         } else {
+            R.debug.Console.warn("InputRecorder: No input component '" + evt.k + "' for playback");
+         }
+      }
+
+      if (frame >= replay.frames && R.engine.InputRecorder.playIndex >= events.length) {
+         R.debug.Console.debug("PLAYBACK COMPLETE");
+         var cb = R.engine.InputRecorder.playDone;
+         R.engine.InputRecorder.playing = false;
+         R.engine.InputRecorder.playDone = null;
+         if (cb) {
+            cb(replay);
+         }
+      }
+   },
+
+   /**
+    * The version of the replay format
+    * @type {Number}
+    * @memberOf R.engine.InputRecorder
+    */
+   REPLAY_VERSION: 1
+
+});
@@ -70,6 +70,7 @@ R.lang.IntervalTimer = function(){
 		 * Restart this interval timer.
 		 */
 		restart: function(){
+			this.base();
 			this.setTimer(R.global.setInterval(this.getCallback(), this.getInterval()));
 		}
 	}, /** @scope R.lang.IntervalTimer.prototype */ {
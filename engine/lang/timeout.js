@@ -71,7 +71,14 @@ R.lang.Timeout = function(){
 		 * Restart this timeout timer
 		 */
 		restart: function(){
-			this.setTimer(R.global.setTimeout(this.getCallback(), this.getInterval()));
+			this.base();
+
+			// The timer is no longer running once it has fired, unless the callback restarts it
+			var self = this, cb = this.getCallback();
+			this.setTimer(R.global.setTimeout(function() {
+				self.running = false;
+				cb();
+			}, this.getInterval()));
 		}
 	}, /** @scope R.lang.Timeout.prototype */ {
 		/**
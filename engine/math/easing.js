@@ -0,0 +1,437 @@
+/**
+ * The Render Engine
+ * Easing
+ *
+ * @fileoverview A static library of easing functions.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1570 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+	"class": "R.math.Easing",
+	"requires": []
+});
+
+/**
+ * @class A static library of the standard easing functions.  An easing function
+ *        takes the progress of an animation, from 0 to 1, and returns the eased
+ *        progress.  Most of the functions return a value from 0 to 1, but the
+ *        <tt>back</tt> and <tt>elastic</tt> functions overshoot that range.
+ *        <p/>
+ *        Each curve has an "in" form, which starts slowly, an "out" form, which
+ *        ends slowly, and an "in-out" form which does both:
+ * <pre>
+ *    var y = R.math.Easing.quadInOut(0.25);
+ *
+ *    // Easing functions can also be looked up by name
+ *    var fn = R.math.Easing.get("bounceOut");
+ * </pre>
+ *
+ * @static
+ */
+R.math.Easing = /** @scope R.math.Easing.prototype */{
+
+   /**
+    * Get an easing function by name, such as "cubicOut".  If <tt>easing</tt>
+    * is already a function, it is returned as is.  If no easing is provided,
+    * {@link #linear} is returned.
+    *
+    * @param [easing] {String|Function} The name of the easing function, or a function
+    * @return {Function}
+    * @memberOf R.math.Easing
+    */
+   get: function(easing) {
+      if (!easing) {
+         return R.math.Easing.linear;
+      }
+      if (typeof easing === "function") {
+         return easing;
+      }
+      var fn = R.math.Easing[easing];
+      Assert(fn && easing !== "get", "Unknown easing function: " + easing);
+      return fn;
+   },
+
+   /**
+    * No easing.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   linear: function(t) {
+      return t;
+   },
+
+   /**
+    * Quadratic ease in.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   quadIn: function(t) {
+      return t * t;
+   },
+
+   /**
+    * Quadratic ease out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   quadOut: function(t) {
+      return t * (2 - t);
+   },
+
+   /**
+    * Quadratic ease in and out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   quadInOut: function(t) {
+      return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+   },
+
+   /**
+    * Cubic ease in.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   cubicIn: function(t) {
+      return t * t * t;
+   },
+
+   /**
+    * Cubic ease out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   cubicOut: function(t) {
+      var f = t - 1;
+      return f * f * f + 1;
+   },
+
+   /**
+    * Cubic ease in and out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   cubicInOut: function(t) {
+      return t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1;
+   },
+
+   /**
+    * Quartic ease in.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   quartIn: function(t) {
+      return t * t * t * t;
+   },
+
+   /**
+    * Quartic ease out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   quartOut: function(t) {
+      var f = t - 1;
+      return 1 - f * f * f * f;
+   },
+
+   /**
+    * Quartic ease in and out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   quartInOut: function(t) {
+      var f = t - 1;
+      return t < 0.5 ? 8 * t * t * t * t : 1 - 8 * f * f * f * f;
+   },
+
+   /**
+    * Quintic ease in.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   quintIn: function(t) {
+      return t * t * t * t * t;
+   },
+
+   /**
+    * Quintic ease out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   quintOut: function(t) {
+      var f = t - 1;
+      return 1 + f * f * f * f * f;
+   },
+
+   /**
+    * Quintic ease in and out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   quintInOut: function(t) {
+      var f = t - 1;
+      return t < 0.5 ? 16 * t * t * t * t * t : 1 + 16 * f * f * f * f * f;
+   },
+
+   /**
+    * Sinusoidal ease in.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   sineIn: function(t) {
+      return 1 - Math.cos(t * Math.PI * 0.5);
+   },
+
+   /**
+    * Sinusoidal ease out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   sineOut: function(t) {
+      return Math.sin(t * Math.PI * 0.5);
+   },
+
+   /**
+    * Sinusoidal ease in and out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   sineInOut: function(t) {
+      return 0.5 * (1 - Math.cos(Math.PI * t));
+   },
+
+   /**
+    * Exponential ease in.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   expoIn: function(t) {
+      return t === 0 ? 0 : Math.pow(2, 10 * (t - 1));
+   },
+
+   /**
+    * Exponential ease out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   expoOut: function(t) {
+      return t === 1 ? 1 : 1 - Math.pow(2, -10 * t);
+   },
+
+   /**
+    * Exponential ease in and out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   expoInOut: function(t) {
+      if (t === 0 || t === 1) {
+         return t;
+      }
+      return t < 0.5 ? 0.5 * Math.pow(2, 20 * t - 10) : 1 - 0.5 * Math.pow(2, -20 * t + 10);
+   },
+
+   /**
+    * Circular ease in.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   circIn: function(t) {
+      return 1 - Math.sqrt(1 - t * t);
+   },
+
+   /**
+    * Circular ease out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   circOut: function(t) {
+      var f = t - 1;
+      return Math.sqrt(1 - f * f);
+   },
+
+   /**
+    * Circular ease in and out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   circInOut: function(t) {
+      var f = 2 * t - 2;
+      return t < 0.5 ? 0.5 * (1 - Math.sqrt(1 - 4 * t * t)) : 0.5 * (Math.sqrt(1 - f * f) + 1);
+   },
+
+   /**
+    * Ease in, backing up slightly before moving forward.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   backIn: function(t) {
+      var s = R.math.Easing.BACK_OVERSHOOT;
+      return t * t * ((s + 1) * t - s);
+   },
+
+   /**
+    * Ease out, overshooting the end slightly before settling.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   backOut: function(t) {
+      var s = R.math.Easing.BACK_OVERSHOOT, f = t - 1;
+      return f * f * ((s + 1) * f + s) + 1;
+   },
+
+   /**
+    * Ease in and out, backing up at the start and overshooting the end.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   backInOut: function(t) {
+      var s = R.math.Easing.BACK_OVERSHOOT * 1.525, f;
+      if (t < 0.5) {
+         f = 2 * t;
+         return 0.5 * (f * f * ((s + 1) * f - s));
+      }
+      f = 2 * t - 2;
+      return 0.5 * (f * f * ((s + 1) * f + s) + 2);
+   },
+
+   /**
+    * Elastic ease in, like a spring being wound up.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   elasticIn: function(t) {
+      if (t === 0 || t === 1) {
+         return t;
+      }
+      return -Math.pow(2, 10 * (t - 1)) * Math.sin((t - 1.075) * (2 * Math.PI) / 0.3);
+   },
+
+   /**
+    * Elastic ease out, like a spring being released.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   elasticOut: function(t) {
+      if (t === 0 || t === 1) {
+         return t;
+      }
+      return Math.pow(2, -10 * t) * Math.sin((t - 0.075) * (2 * Math.PI) / 0.3) + 1;
+   },
+
+   /**
+    * Elastic ease in and out.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   elasticInOut: function(t) {
+      if (t === 0 || t === 1) {
+         return t;
+      }
+      var f = 2 * t - 1;
+      if (f < 0) {
+         return -0.5 * Math.pow(2, 10 * f) * Math.sin((f - 0.1125) * (2 * Math.PI) / 0.45);
+      }
+      return 0.5 * Math.pow(2, -10 * f) * Math.sin((f - 0.1125) * (2 * Math.PI) / 0.45) + 1;
+   },
+
+   /**
+    * Ease in with a bounce at the start.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   bounceIn: function(t) {
+      return 1 - R.math.Easing.bounceOut(1 - t);
+   },
+
+   /**
+    * Ease out with a bounce at the end, like a ball dropped on the floor.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   bounceOut: function(t) {
+      if (t < 1 / 2.75) {
+         return 7.5625 * t * t;
+      } else if (t < 2 / 2.75) {
+         t -= 1.5 / 2.75;
+         return 7.5625 * t * t + 0.75;
+      } else if (t < 2.5 / 2.75) {
+         t -= 2.25 / 2.75;
+         return 7.5625 * t * t + 0.9375;
+      }
+      t -= 2.625 / 2.75;
+      return 7.5625 * t * t + 0.984375;
+   },
+
+   /**
+    * Ease in and out with a bounce at both ends.
+    * @param t {Number} The progress, from 0 to 1
+    * @return {Number}
+    * @memberOf R.math.Easing
+    */
+   bounceInOut: function(t) {
+      return t < 0.5 ? 0.5 * R.math.Easing.bounceIn(t * 2) : 0.5 * R.math.Easing.bounceOut(t * 2 - 1) + 0.5;
+   },
+
+   /**
+    * The amount the <tt>back</tt> easing functions overshoot by
+    * @type {Number}
+    * @memberOf R.math.Easing
+    */
+   BACK_OVERSHOOT: 1.70158
+
+};
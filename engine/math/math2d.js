@@ -36,7 +36,8 @@ R.Engine.define({
 	"requires": [
 		"R.math.Rectangle2D",
 		"R.math.Point2D",
-		"R.math.Vector2D"
+		"R.math.Vector2D",
+		"R.math.Random"
 	],
 
     "includes": [
@@ -201,9 +202,9 @@ R.math.Math2D = /** @scope R.math.Math2D.prototype */{
     * @return {R.math.Point2D} A random point within the rectangle
     */
    randomPoint: function(rect) {
-      var r = rect.get();
-      return R.math.Point2D.create(Math.floor(r.x + R.lang.Math2.random() * r.w),
-                    					  Math.floor(r.y + R.lang.Math2.random() * r.h));
+      var r = rect.get(), rng = R.math.Random.getDefault();
+      return R.math.Point2D.create(Math.floor(r.x + rng.random() * r.w),
+                    					  Math.floor(r.y + rng.random() * r.h));
    },
 
 	/**
@@ -754,6 +755,211 @@ R.math.Math2D = /** @scope R.math.Math2D.prototype */{
       var distSqr = (point.x - center.x) * (point.x - center.x) +
                     (point.y - center.y) * (point.y - center.y);
       return (distSqr < (radius * radius));
+   },
+
+   /**
+    * Walk the cells of a grid which a line passes through, in order from the start of the
+    * line to its end, using a digital differential analyzer (DDA).  For each cell, the
+    * callback is passed the cell's X and Y coordinates, the fractions along the line where
+    * it enters and leaves the cell, and the normal of the cell face the line entered
+    * through (zero for the first cell).  Returning <code>true</code> from the callback
+    * stops the walk.
+    *
+    * @param start {R.math.Point2D} The starting point of the line
+    * @param end {R.math.Point2D} The ending point of the line
+    * @param cellWidth {Number} The width of each cell
+    * @param cellHeight {Number} The height of each cell
+    * @param fn {Function} The callback <code>fn(x, y, tEnter, tExit, normalX, normalY)</code>
+    * @return {Boolean} <code>true</code> if the callback stopped the walk
+    */
+   gridTraversal: function(start, end, cellWidth, cellHeight, fn) {
+      var dx = end.x - start.x, dy = end.y - start.y,
+          stepX = dx > 0 ? 1 : (dx < 0 ? -1 : 0), stepY = dy > 0 ? 1 : (dy < 0 ? -1 : 0),
+          cx = Math.floor(start.x / cellWidth), cy = Math.floor(start.y / cellHeight),
+          ex = Math.floor(end.x / cellWidth), ey = Math.floor(end.y / cellHeight);
+
+      // A line which starts or ends on a cell edge doesn't visit the cell on the other side
+      if (stepX < 0 && cx * cellWidth == start.x) { cx--; }
+      if (stepY < 0 && cy * cellHeight == start.y) { cy--; }
+      if (stepX > 0 && ex * cellWidth == end.x) { ex--; }
+      if (stepY > 0 && ey * cellHeight == end.y) { ey--; }
+
+      var tDeltaX = stepX != 0 ? cellWidth / Math.abs(dx) : Infinity,
+          tDeltaY = stepY != 0 ? cellHeight / Math.abs(dy) : Infinity,
+          tMaxX = stepX != 0 ? ((cx + (stepX > 0 ? 1 : 0)) * cellWidth - start.x) / dx : Infinity,
+          tMaxY = stepY != 0 ? ((cy + (stepY > 0 ? 1 : 0)) * cellHeight - start.y) / dy : Infinity,
+          t = 0, nx = 0, ny = 0;
+
+      for (var n = Math.abs(ex - cx) + Math.abs(ey - cy); n >= 0; n--) {
+         if (fn(cx, cy, t, Math.min(tMaxX, tMaxY, 1), nx, ny)) {
+            return true;
+         }
+
+         if (tMaxX < tMaxY) {
+            cx += stepX;
+            t = tMaxX;
+            tMaxX += tDeltaX;
+            nx = -stepX;
+            ny = 0;
+         } else {
+            cy += stepY;
+            t = tMaxY;
+            tMaxY += tDeltaY;
+            nx = 0;
+            ny = -stepY;
+         }
+      }
+      return false;
+   },
+
+   /**
+    * Find where a ray first intersects a circle.  If the ray starts within the circle,
+    * the intersection is at the start of the ray.
+    *
+    * @param start {R.math.Point2D} The starting point of the ray
+    * @param dir {R.math.Vector2D} The direction and length of the ray
+    * @param center {R.math.Point2D} The center of the circle
+    * @param radius {Number} The radius of the circle
+    * @param [normal] {R.math.Vector2D} If provided, set to the surface normal at the intersection
+    * @return {Number} The fraction along the ray where it intersects, or -1 if it doesn't
+    */
+   rayCircle: function(start, dir, center, radius, normal) {
+      var px = start.x - center.x, py = start.y - center.y, c = px * px + py * py - radius * radius,
+          a = dir.x * dir.x + dir.y * dir.y, b = px * dir.x + py * dir.y, t;
+
+      if (c <= 0) {
+         t = 0;
+      } else if (a == 0 || b >= 0 || b * b - a * c < 0) {
+         // Not moving, pointing away, or passing by
+         return -1;
+      } else {
+         t = (-b - Math.sqrt(b * b - a * c)) / a;
+         if (t > 1) {
+            return -1;
+         }
+      }
+
+      if (normal) {
+         R.math.Math2D.surfaceNormal(normal, t == 0 ? null : px + dir.x * t, py + dir.y * t, dir);
+      }
+      return t;
+   },
+
+   /**
+    * Find where a ray first intersects a convex polygon.  The polygon's points can be
+    * given in either winding order.  If the ray starts within the polygon, the intersection
+    * is at the start of the ray.
+    *
+    * @param start {R.math.Point2D} The starting point of the ray
+    * @param dir {R.math.Vector2D} The direction and length of the ray
+    * @param poly {Array} An array of <code>R.math.Point2D</code>
+    * @param [normal] {R.math.Vector2D} If provided, set to the surface normal at the intersection
+    * @return {Number} The fraction along the ray where it intersects, or -1 if it doesn't
+    */
+   rayPoly: function(start, dir, poly, normal) {
+      var tEnter = 0, tExit = 1, nx = null, ny = 0, sides = poly.length, area = 0, i, j;
+      for (i = 0, j = sides - 1; i < sides; j = i++) {
+         area += (poly[j].x * poly[i].y) - (poly[i].x * poly[j].y);
+      }
+
+      // Clip the ray against each edge (Cyrus-Beck)
+      for (i = 0, j = sides - 1; i < sides; j = i++) {
+         var ex = poly[i].x - poly[j].x, ey = poly[i].y - poly[j].y,
+             ox = area > 0 ? ey : -ey, oy = area > 0 ? -ex : ex,
+             denom = ox * dir.x + oy * dir.y, dist = ox * (start.x - poly[j].x) + oy * (start.y - poly[j].y);
+
+         if (denom == 0) {
+            if (dist > 0) {
+               // Parallel to and outside of the edge
+               return -1;
+            }
+            continue;
+         }
+
+         var t = -dist / denom;
+         if (denom < 0) {
+            if (t > tEnter) {
+               tEnter = t;
+               nx = ox;
+               ny = oy;
+            }
+         } else if (t < tExit) {
+            tExit = t;
+         }
+
+         if (tEnter > tExit) {
+            return -1;
+         }
+      }
+
+      if (normal) {
+         R.math.Math2D.surfaceNormal(normal, nx, ny, dir);
+      }
+      return tEnter;
+   },
+
+   /**
+    * Find where a ray first intersects an axis aligned box.  If the ray starts within
+    * the box, the intersection is at the start of the ray.
+    *
+    * @param start {R.math.Point2D} The starting point of the ray
+    * @param dir {R.math.Vector2D} The direction and length of the ray
+    * @param rect {R.math.Rectangle2D} The box
+    * @param [normal] {R.math.Vector2D} If provided, set to the surface normal at the intersection
+    * @return {Number} The fraction along the ray where it intersects, or -1 if it doesn't
+    */
+   rayBox: function(start, dir, rect, normal) {
+      var tEnter = 0, tExit = 1, nx = null, ny = 0,
+          slabs = [[start.x, dir.x, rect.x, rect.r], [start.y, dir.y, rect.y, rect.b]];
+
+      for (var s = 0; s < 2; s++) {
+         var o = slabs[s][0], d = slabs[s][1], min = slabs[s][2], max = slabs[s][3];
+         if (d == 0) {
+            if (o < min || o > max) {
+               return -1;
+            }
+            continue;
+         }
+
+         var t0 = (min - o) / d, t1 = (max - o) / d, side = -1;
+         if (t0 > t1) {
+            var tmp = t0;
+            t0 = t1;
+            t1 = tmp;
+            side = 1;
+         }
+
+         if (t0 > tEnter) {
+            tEnter = t0;
+            nx = s == 0 ? side : 0;
+            ny = s == 0 ? 0 : side;
+         }
+         tExit = Math.min(tExit, t1);
+         if (tEnter > tExit) {
+            return -1;
+         }
+      }
+
+      if (normal) {
+         R.math.Math2D.surfaceNormal(normal, nx, ny, dir);
+      }
+      return tEnter;
+   },
+
+   /**
+    * Set the normal to the given direction, or opposite the ray when the ray
+    * started inside the shape (<code>nx</code> is <code>null</code>).
+    * @private
+    */
+   surfaceNormal: function(normal, nx, ny, dir) {
+      if (nx === null) {
+         normal.set(-dir.x, -dir.y);
+      } else {
+         normal.set(nx, ny);
+      }
+      if (!normal.isZero()) {
+         normal.normalize();
+      }
    }
 	
 };
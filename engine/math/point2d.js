@@ -35,7 +35,8 @@ R.Engine.define({
 	"class": "R.math.Point2D",
 	"requires": [
 		"R.math.PooledMathObject",
-		"R.math.Math2D"
+		"R.math.Math2D",
+		"R.math.Random"
 	]
 });
 
@@ -267,8 +268,8 @@ R.math.Point2D = function(){
 		},
 
       jitter: function(amt) {
-         var j = R.math.Point2D.create(R.lang.Math2.randomRange(-amt,amt,true),
-             R.lang.Math2.randomRange(-amt,amt,true));
+         var rng = R.math.Random.getDefault(),
+             j = R.math.Point2D.create(rng.range(-amt,amt,true), rng.range(-amt,amt,true));
 
          this.add(j);
          j.destroy();
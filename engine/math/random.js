@@ -0,0 +1,235 @@
+/**
+ * The Render Engine
+ * Random
+ *
+ * @fileoverview A seedable pseudo-random number generator.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori@gmail.com $
+ * @version: $Revision: 1570 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.math.Random",
+   "requires": []
+});
+
+/**
+ * @class A pseudo-random number generator which can be seeded, so that it produces
+ *        the same sequence of numbers each time it is given the same seed.  The state of
+ *        the generator is a single integer which can be read with {@link #getState} and
+ *        restored with {@link #setState}, making it simple to store with a saved game or
+ *        a recorded replay.
+ *        <p/>
+ *        The engine's subsystems draw their random numbers from the engine-wide generator
+ *        returned by {@link R.math.Random#getDefault}.  Seeding that generator makes the
+ *        engine's behavior repeatable:
+ * <pre>
+ *    R.math.Random.getDefault().seed(12345);
+ *
+ *    // Or provide a generator of your own
+ *    R.math.Random.setDefault(new R.math.Random(12345));
+ * </pre>
+ *
+ * @param [seed] {Number} The seed for the generator.  If not provided, a seed is
+ *    chosen from the system's random number generator.
+ * @constructor
+ * @description Create a random number generator.
+ */
+R.math.Random = Base.extend(/** @scope R.math.Random.prototype */{
+
+   initialSeed: 0,
+   state: 0,
+
+   /** @private */
+   constructor: function(seed) {
+      this.seed(seed);
+   },
+
+   /**
+    * Seed the generator.  If a seed isn't provided, a seed is chosen from the
+    * system's random number generator.
+    *
+    * @param [seed] {Number} An integer to seed the generator with
+    * @return {Number} The seed that was used
+    */
+   seed: function(seed) {
+      this.initialSeed = (seed !== undefined && seed !== null) ? (seed >>> 0) :
+            Math.floor(Math.random() * R.math.Random.MAX_STATE) >>> 0;
+      this.state = this.initialSeed;
+      return this.initialSeed;
+   },
+
+   /**
+    * Get the seed the generator was last seeded with.
+    * @return {Number}
+    */
+   getSeed: function() {
+      return this.initialSeed;
+   },
+
+   /**
+    * Get the current state of the generator.  Passing the state to {@link #setState}
+    * will continue the sequence of numbers from this point.
+    * @return {Number}
+    */
+   getState: function() {
+      return this.state;
+   },
+
+   /**
+    * Restore the state of the generator, which was retrieved with {@link #getState}.
+    * @param state {Number} The state of the generator
+    */
+   setState: function(state) {
+      this.state = state >>> 0;
+   },
+
+   /**
+    * Returns a random integer between 0 (inclusive) and 4,294,967,296 (exclusive).
+    * @return {Number}
+    */
+   randomInt: function() {
+      // Mulberry32
+      var t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return (t ^ (t >>> 14)) >>> 0;
+   },
+
+   /**
+    * Returns a random number between 0 (inclusive) and 1 (exclusive), the same as
+    * <tt>Math.random()</tt> does.
+    * @return {Number}
+    */
+   random: function() {
+      return this.randomInt() / R.math.Random.MAX_STATE;
+   },
+
+   /**
+    * Returns a random number between <tt>low</tt> (inclusive) and <tt>high</tt> (exclusive),
+    * optionally as an integer value only.
+    *
+    * @param low {Number} The low end of the range
+    * @param high {Number} The high end of the range
+    * @param [whole] {Boolean} Return whole values only
+    * @return {Number}
+    */
+   range: function(low, high, whole) {
+      var v = low + this.random() * (high - low);
+      return (whole ? Math.floor(v) : v);
+   },
+
+   /**
+    * Returns a random number with a normal distribution around the <tt>mean</tt>.
+    *
+    * @param [mean=0] {Number} The mean of the distribution
+    * @param [stdDev=1] {Number} The standard deviation of the distribution
+    * @return {Number}
+    */
+   gaussian: function(mean, stdDev) {
+      // Box-Muller transform, one value per call so the state remains a single integer
+      var u = 1 - this.random(), v = this.random();
+      var n = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+      return (mean || 0) + n * (stdDev === undefined ? 1 : stdDev);
+   },
+
+   /**
+    * Returns <tt>true</tt> with the given probability.
+    *
+    * @param [chance=0.5] {Number} The probability, between 0 and 1, of returning <tt>true</tt>
+    * @return {Boolean}
+    */
+   chance: function(chance) {
+      return this.random() < (chance === undefined ? 0.5 : chance);
+   },
+
+   /**
+    * Returns a random element of the array.
+    *
+    * @param arr {Array} The array to pick from
+    * @return {Object} An element of the array, or <tt>undefined</tt> if the array is empty
+    */
+   pick: function(arr) {
+      return arr[Math.floor(this.random() * arr.length)];
+   },
+
+   /**
+    * Shuffle the elements of the array in place.
+    *
+    * @param arr {Array} The array to shuffle
+    * @return {Array} The array that was shuffled
+    */
+   shuffle: function(arr) {
+      for (var i = arr.length - 1; i > 0; i--) {
+         var j = Math.floor(this.random() * (i + 1)), t = arr[i];
+         arr[i] = arr[j];
+         arr[j] = t;
+      }
+      return arr;
+   }
+
+}, /** @scope R.math.Random.prototype */{
+
+   /**
+    * Get the class name of this object
+    * @return {String} "R.math.Random"
+    */
+   getClassName: function() {
+      return "R.math.Random";
+   },
+
+   /** @private */
+   defaultRandom: null,
+
+   /**
+    * Get the engine-wide random number generator.  The engine's subsystems draw
+    * their random numbers from this generator.
+    * @return {R.math.Random}
+    * @static
+    */
+   getDefault: function() {
+      if (R.math.Random.defaultRandom == null) {
+         R.math.Random.defaultRandom = new R.math.Random();
+      }
+      return R.math.Random.defaultRandom;
+   },
+
+   /**
+    * Set the engine-wide random number generator.
+    * @param random {R.math.Random} The generator to use
+    * @static
+    */
+   setDefault: function(random) {
+      Assert(random instanceof R.math.Random, "Default random number generator must be an R.math.Random");
+      R.math.Random.defaultRandom = random;
+   },
+
+   /**
+    * The number of states the generator can be in (2^32)
+    * @type {Number}
+    */
+   MAX_STATE: 0x100000000
+});
@@ -132,7 +132,7 @@ R.math.Rectangle2D = function() {
             this.x = x.x; this.y = x.y; this.w = x.w; this.h = x.h;
          } else if (x.__POINT2D) {
             this.x = 0; this.y = 0;
-            this.w = x.x; this.h = w.y;
+            this.w = x.x; this.h = x.y;
          } else {
             this.x = x; this.y = y;
             this.w = width; this.h = height;
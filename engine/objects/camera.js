@@ -0,0 +1,696 @@
+/**
+ * The Render Engine
+ * Camera
+ *
+ * @fileoverview A camera which controls the view of the world that a render context displays.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ *
+ * @author: $Author: bfattori@gmail.com $
+ * @version: $Revision: 1562 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.objects.Camera",
+   "requires": [
+      "R.engine.BaseObject",
+      "R.math.Point2D",
+      "R.math.Rectangle2D"
+   ]
+});
+
+/**
+ * @class A camera controls the part of the world that a render context displays.  Rather
+ *        than moving the world position and viewport of the context by hand, the camera
+ *        is given a target object to follow.  Each frame, before the context is rendered,
+ *        the camera updates the context's {@link R.rendercontexts.AbstractRenderContext#setWorldPosition world position},
+ *        {@link R.rendercontexts.AbstractRenderContext#setWorldScale world scale}, and
+ *        {@link R.rendercontexts.AbstractRenderContext#setViewport viewport}.
+ *        <p/>
+ *        The camera keeps its target centered in the view.  A dead zone allows the target to
+ *        move around the center of the view without the camera moving, and smoothing causes
+ *        the camera to ease towards the target rather than lock to it.  The view is kept within
+ *        the context's {@link R.rendercontexts.AbstractRenderContext#getWorldBoundary world boundary},
+ *        if it has one, or the bounds set on the camera.
+ *        <p/>
+ *        The camera can be shaken by adding trauma to it.  The amount of shake is the square
+ *        of the trauma, which decays over time, so small hits produce a small jolt while
+ *        large hits shake the view hard before settling.
+ * <pre>
+ *    var camera = R.objects.Camera.create("PlayerCam", this.renderContext);
+ *    camera.setTarget(player);
+ *    camera.setDeadZone(64, 48);
+ *    camera.setSmoothing(0.85);
+ *
+ *    // ...when the player is hit
+ *    camera.addTrauma(0.4);
+ * </pre>
+ *        A camera can also be defined by a level.  See {@link R.objects.Camera#deserialize}.
+ *        The render context doesn't destroy its camera, so a camera you create should be
+ *        destroyed when you're done with it.  A level destroys the camera it defines.
+ *
+ * @param name {String} The name of the camera
+ * @param renderContext {R.rendercontexts.RenderContext2D} The render context the camera controls
+ * @extends R.engine.BaseObject
+ * @constructor
+ * @description Create a camera for a render context
+ */
+R.objects.Camera = function() {
+   return R.engine.BaseObject.extend(/** @scope R.objects.Camera.prototype */{
+
+      renderContext: null,
+      target: null,
+      offset: null,
+      position: null,
+      goal: null,
+      focus: null,
+      deadZone: null,
+      smoothing: 0,
+      bounds: null,
+      clamp: true,
+      zoom: 1,
+      zoomFrom: 1,
+      zoomTo: 1,
+      zoomDuration: 0,
+      zoomElapsed: 0,
+      switchFrom: null,
+      switchDuration: 0,
+      switchElapsed: 0,
+      trauma: 0,
+      traumaDecay: 1,
+      maxShake: null,
+      shakeFrequency: 20,
+      shakeTime: 0,
+      topLeft: null,
+      viewRect: null,
+
+      /** @private */
+      constructor: function(name, renderContext) {
+         this.base(name || "Camera");
+         this.target = null;
+         this.offset = R.math.Point2D.create(0, 0);
+         this.position = R.math.Point2D.create(0, 0);
+         this.goal = R.math.Point2D.create(0, 0);
+         this.focus = R.math.Point2D.create(0, 0);
+         this.deadZone = R.math.Point2D.create(0, 0);
+         this.smoothing = 0;
+         this.bounds = null;
+         this.clamp = true;
+         this.zoom = 1;
+         this.zoomTo = 1;
+         this.zoomDuration = 0;
+         this.switchFrom = R.math.Point2D.create(0, 0);
+         this.switchDuration = 0;
+         this.trauma = 0;
+         this.traumaDecay = 1;
+         this.maxShake = R.math.Point2D.create(16, 16);
+         this.shakeFrequency = 20;
+         this.shakeTime = 0;
+         this.topLeft = R.math.Point2D.create(0, 0);
+         this.viewRect = R.math.Rectangle2D.create(0, 0, 1, 1);
+
+         this.renderContext = renderContext;
+         if (renderContext) {
+            // Start centered on the current view of the context
+            this.zoom = this.zoomTo = renderContext.getWorldScale();
+            this.position.set(renderContext.getViewport().getCenter());
+            this.goal.set(this.position);
+            renderContext.setCamera(this);
+         }
+      },
+
+      /**
+       * Destroy the camera, detaching it from its render context.
+       */
+      destroy: function() {
+         if (this.renderContext && this.renderContext.getCamera() === this) {
+            this.renderContext.setCamera(null);
+         }
+
+         this.offset.destroy();
+         this.position.destroy();
+         this.goal.destroy();
+         this.focus.destroy();
+         this.deadZone.destroy();
+         this.switchFrom.destroy();
+         this.maxShake.destroy();
+         this.topLeft.destroy();
+         this.viewRect.destroy();
+         if (this.bounds) {
+            this.bounds.destroy();
+         }
+         this.base();
+      },
+
+      /**
+       * Release the camera back into the pool for reuse
+       */
+      release: function() {
+         this.base();
+         this.renderContext = null;
+         this.target = null;
+         this.offset = null;
+         this.position = null;
+         this.goal = null;
+         this.focus = null;
+         this.deadZone = null;
+         this.bounds = null;
+         this.switchFrom = null;
+         this.maxShake = null;
+         this.topLeft = null;
+         this.viewRect = null;
+         this.trauma = 0;
+         this.zoomElapsed = 0;
+         this.switchElapsed = 0;
+      },
+
+      /**
+       * Get the render context the camera controls.
+       * @return {R.rendercontexts.RenderContext2D}
+       */
+      getRenderContext: function() {
+         return this.renderContext;
+      },
+
+      /**
+       * Set the object the camera follows.  If a duration is given, the camera pans from
+       * what it is looking at now to the new target over that many milliseconds.  Otherwise,
+       * the camera moves to the target as it normally would.
+       *
+       * @param target {R.objects.Object2D} The object to follow, or <code>null</code> to stop following
+       * @param [duration=0] {Number} The time, in milliseconds, to take switching to the new target
+       */
+      setTarget: function(target, duration) {
+         this.target = target;
+         this.switchDuration = duration || 0;
+         this.switchElapsed = 0;
+         this.switchFrom.set(this.position);
+      },
+
+      /**
+       * Get the object the camera follows.
+       * @return {R.objects.Object2D}
+       */
+      getTarget: function() {
+         return this.target;
+      },
+
+      /**
+       * Set the offset from the target's position that the camera centers on.  Use this
+       * to center on the middle of the target, or to look ahead of it.
+       *
+       * @param ptOrX {R.math.Point2D|Number} The offset, or the X offset
+       * @param [y] {Number} The Y offset, if <code>ptOrX</code> is a number
+       */
+      setOffset: function(ptOrX, y) {
+         this.offset.set(ptOrX, y);
+      },
+
+      /**
+       * Get the offset from the target's position that the camera centers on.
+       * @return {R.math.Point2D}
+       */
+      getOffset: function() {
+         return this.offset;
+      },
+
+      /**
+       * Set the size of the dead zone, in world units.  The dead zone is centered on the
+       * view, and the camera won't move while its target is within it.
+       *
+       * @param width {Number} The width of the dead zone
+       * @param height {Number} The height of the dead zone
+       */
+      setDeadZone: function(width, height) {
+         this.deadZone.set(width, height);
+      },
+
+      /**
+       * Get the size of the dead zone, where <code>x</code> is the width and <code>y</code>
+       * is the height.
+       * @return {R.math.Point2D}
+       */
+      getDeadZone: function() {
+         return this.deadZone;
+      },
+
+      /**
+       * Set how smoothly the camera moves towards its target.  The value is the fraction of
+       * the distance to the target which remains after a sixtieth of a second.  Zero locks the
+       * camera to its target, while values closer to one make the camera slower to follow.
+       *
+       * @param smoothing {Number} A value from zero (inclusive) to one (exclusive)
+       */
+      setSmoothing: function(smoothing) {
+         Assert((smoothing >= 0 && smoothing < 1), "Camera smoothing must be from zero to less than one");
+         this.smoothing = smoothing;
+      },
+
+      /**
+       * Get how smoothly the camera moves towards its target.
+       * @return {Number}
+       */
+      getSmoothing: function() {
+         return this.smoothing;
+      },
+
+      /**
+       * Set the bounds which the view is kept within.  By default, the view is kept within
+       * the render context's world boundary.
+       *
+       * @param rect {R.math.Rectangle2D} The bounds, or <code>null</code> to use the world boundary
+       */
+      setBounds: function(rect) {
+         if (this.bounds) {
+            this.bounds.destroy();
+         }
+         this.bounds = rect ? R.math.Rectangle2D.create(rect) : null;
+      },
+
+      /**
+       * Get the bounds which the view is kept within.  This is either the bounds set on the
+       * camera, or the render context's world boundary.
+       * @return {R.math.Rectangle2D} The bounds, or <code>null</code> if there are none
+       */
+      getBounds: function() {
+         return this.bounds || (this.renderContext ? this.renderContext.getWorldBoundary() : null);
+      },
+
+      /**
+       * Set whether the view is kept within the camera's {@link #getBounds bounds}.
+       * @param state {Boolean} <code>true</code> to keep the view within bounds
+       */
+      setClampToBounds: function(state) {
+         this.clamp = state;
+      },
+
+      /**
+       * Returns <code>true</code> if the view is kept within the camera's bounds.
+       * @return {Boolean}
+       */
+      isClampedToBounds: function() {
+         return this.clamp;
+      },
+
+      /**
+       * Set the zoom level of the camera.  A zoom of 2 makes everything appear twice as large,
+       * showing half as much of the world.  If a duration is given, the camera zooms to the new
+       * level over that many milliseconds.
+       *
+       * @param zoom {Number} The zoom level, greater than zero
+       * @param [duration=0] {Number} The time, in milliseconds, to take zooming
+       */
+      setZoom: function(zoom, duration) {
+         Assert((zoom > 0), "Camera zoom must be greater than zero");
+         this.zoomFrom = this.zoom;
+         this.zoomTo = zoom;
+         this.zoomDuration = duration || 0;
+         this.zoomElapsed = 0;
+         if (!duration) {
+            this.zoom = zoom;
+         }
+      },
+
+      /**
+       * Get the current zoom level of the camera.
+       * @return {Number}
+       */
+      getZoom: function() {
+         return this.zoom;
+      },
+
+      /**
+       * Add trauma to the camera, which causes it to shake.  Trauma is clamped between
+       * zero and one.
+       *
+       * @param amount {Number} The amount of trauma to add
+       */
+      addTrauma: function(amount) {
+         this.setTrauma(this.trauma + amount);
+      },
+
+      /**
+       * Set the trauma of the camera, between zero and one.
+       * @param trauma {Number} The trauma level
+       */
+      setTrauma: function(trauma) {
+         this.trauma = trauma < 0 ? 0 : (trauma > 1 ? 1 : trauma);
+      },
+
+      /**
+       * Get the current trauma of the camera.
+       * @return {Number}
+       */
+      getTrauma: function() {
+         return this.trauma;
+      },
+
+      /**
+       * Set how much trauma is removed each second.
+       * @param decay {Number} The amount of trauma removed per second.  Defaults to 1.
+       */
+      setTraumaDecay: function(decay) {
+         this.traumaDecay = decay;
+      },
+
+      /**
+       * Set how far the view can be moved, in world units, when the camera is shaking
+       * with full trauma.
+       *
+       * @param ptOrX {R.math.Point2D|Number} The maximum offset, or the maximum X offset
+       * @param [y] {Number} The maximum Y offset, if <code>ptOrX</code> is a number
+       */
+      setMaxShake: function(ptOrX, y) {
+         this.maxShake.set(ptOrX, y);
+      },
+
+      /**
+       * Get how far the view can be moved when the camera is shaking with full trauma.
+       * @return {R.math.Point2D}
+       */
+      getMaxShake: function() {
+         return this.maxShake;
+      },
+
+      /**
+       * Move the center of the camera's view immediately.  If the camera has a target,
+       * it will move back to the target.
+       *
+       * @param ptOrX {R.math.Point2D|Number} The point, or X coordinate, to center the view on
+       * @param [y] {Number} The Y coordinate, if <code>ptOrX</code> is a number
+       */
+      setPosition: function(ptOrX, y) {
+         this.position.set(ptOrX, y);
+         this.goal.set(this.position);
+      },
+
+      /**
+       * Get the center of the camera's view, in world coordinates.
+       * @return {R.math.Point2D}
+       */
+      getPosition: function() {
+         return this.position;
+      },
+
+      /**
+       * Move the camera to its target immediately, ignoring the dead zone and smoothing.
+       */
+      snapToTarget: function() {
+         if (this.target) {
+            this.switchDuration = 0;
+            this.setPosition(this.getTargetFocus());
+         }
+      },
+
+      /**
+       * Convert a point on the render context's surface, such as the mouse position,
+       * to a point in the world.
+       *
+       * @param point {R.math.Point2D} The point on the surface
+       * @return {R.math.Point2D} A new point in world coordinates
+       */
+      screenToWorld: function(point) {
+         return R.math.Point2D.create(point).div(this.zoom).add(this.topLeft);
+      },
+
+      /**
+       * Convert a point in the world to a point on the render context's surface.
+       *
+       * @param point {R.math.Point2D} The point in the world
+       * @return {R.math.Point2D} A new point in surface coordinates
+       */
+      worldToScreen: function(point) {
+         return R.math.Point2D.create(point).sub(this.topLeft).mul(this.zoom);
+      },
+
+      /**
+       * Get the position the camera's target will be rendered at, plus the offset.
+       * @private
+       */
+      getTargetFocus: function() {
+         var p = this.target.getPosition();
+         if (R.Engine.isFixedTimestep() && this.target.getDefaultTransformComponent) {
+            // Follow the target where it's drawn, between the last two simulation steps
+            var s = this.target.getDefaultTransformComponent().getStepPosition(),
+                a = R.Engine.getInterpolationAlpha();
+            this.focus.set(s.x + ((p.x - s.x) * a), s.y + ((p.y - s.y) * a));
+         } else {
+            this.focus.set(p);
+         }
+         return this.focus.add(this.offset);
+      },
+
+      /**
+       * Update the camera, moving it towards its target and applying the view to the
+       * render context.  This is called by the render context before it renders.
+       *
+       * @param renderContext {R.rendercontexts.RenderContext2D} The render context
+       * @param time {Number} The engine time in milliseconds
+       * @param dt {Number} The delta between the world time and the last time the world was updated
+       *          in milliseconds.
+       */
+      update: function(renderContext, time, dt) {
+         var t;
+
+         if (this.target && this.target.isDestroyed && this.target.isDestroyed()) {
+            this.target = null;
+         }
+
+         // Zoom
+         if (this.zoomDuration > 0) {
+            this.zoomElapsed += dt;
+            t = Math.min(this.zoomElapsed / this.zoomDuration, 1);
+            this.zoom = this.zoomFrom + ((this.zoomTo - this.zoomFrom) * R.objects.Camera.ease(t));
+            if (t == 1) {
+               this.zoomDuration = 0;
+            }
+         }
+
+         var vw = renderContext.getWidth() / this.zoom, vh = renderContext.getHeight() / this.zoom;
+
+         if (this.target) {
+            var f = this.getTargetFocus();
+
+            if (this.switchDuration > 0) {
+               // Pan from the last target to the new one
+               this.switchElapsed += dt;
+               t = Math.min(this.switchElapsed / this.switchDuration, 1);
+               this.goal.set(this.switchFrom.x + ((f.x - this.switchFrom.x) * R.objects.Camera.ease(t)),
+                             this.switchFrom.y + ((f.y - this.switchFrom.y) * R.objects.Camera.ease(t)));
+               this.position.set(this.goal);
+               if (t == 1) {
+                  this.switchDuration = 0;
+               }
+            } else {
+               // Only move the goal when the focus leaves the dead zone
+               var hw = this.deadZone.x * 0.5, hh = this.deadZone.y * 0.5;
+               if (f.x < this.goal.x - hw) {
+                  this.goal.setX(f.x + hw);
+               } else if (f.x > this.goal.x + hw) {
+                  this.goal.setX(f.x - hw);
+               }
+               if (f.y < this.goal.y - hh) {
+                  this.goal.setY(f.y + hh);
+               } else if (f.y > this.goal.y + hh) {
+                  this.goal.setY(f.y - hh);
+               }
+            }
+         }
+
+         var b = this.getBounds();
+         if (this.clamp && b) {
+            R.objects.Camera.clampCenter(this.goal, b, vw, vh);
+         }
+
+         // Ease towards the goal, independent of the frame rate
+         t = this.smoothing > 0 ? 1 - Math.pow(this.smoothing, dt / R.objects.Camera.SMOOTHING_TIME) : 1;
+         this.position.set(this.position.x + ((this.goal.x - this.position.x) * t),
+                           this.position.y + ((this.goal.y - this.position.y) * t));
+         if (this.clamp && b) {
+            R.objects.Camera.clampCenter(this.position, b, vw, vh);
+         }
+
+         this.topLeft.set(this.position.x - (vw * 0.5), this.position.y - (vh * 0.5));
+
+         // Shake
+         if (this.trauma > 0) {
+            var shake = this.trauma * this.trauma;
+            this.shakeTime += (dt / 1000) * this.shakeFrequency;
+            this.topLeft.set(this.topLeft.x + (this.maxShake.x * shake * R.objects.Camera.noise(this.shakeTime, 0)),
+                             this.topLeft.y + (this.maxShake.y * shake * R.objects.Camera.noise(this.shakeTime, 100)));
+            this.setTrauma(this.trauma - (this.traumaDecay * dt / 1000));
+         }
+
+         // Apply the view to the context
+         if (renderContext.getWorldScale() != this.zoom) {
+            renderContext.setWorldScale(this.zoom);
+         }
+         renderContext.setWorldPosition(this.topLeft);
+         this.viewRect.set(this.topLeft.x, this.topLeft.y, vw, vh);
+         renderContext.setViewport(this.viewRect);
+      }
+
+   }, /** @scope R.objects.Camera.prototype */{
+
+      /**
+       * Get the class name of this object
+       *
+       * @return {String} "R.objects.Camera"
+       */
+      getClassName: function() {
+         return "R.objects.Camera";
+      },
+
+      /**
+       * The time, in milliseconds, which camera smoothing is measured over
+       * @type {Number}
+       */
+      SMOOTHING_TIME: 1000 / 60,
+
+      /**
+       * Ease in and out
+       * @private
+       */
+      ease: function(t) {
+         return t * t * (3 - (2 * t));
+      },
+
+      /**
+       * Smooth noise, between -1 and 1, used to shake the camera
+       * @private
+       */
+      noise: function(t, seed) {
+         return (Math.sin((t * 1.0) + seed) + (Math.sin((t * 2.3) + (seed * 1.7)) * 0.6) +
+                 (Math.sin((t * 4.1) + (seed * 3.1)) * 0.3)) / 1.9;
+      },
+
+      /**
+       * Keep a view centered on the point within the bounds.  If the bounds are smaller
+       * than the view, the view is centered on the bounds.
+       * @private
+       */
+      clampCenter: function(pt, bounds, vw, vh) {
+         var x = pt.x, y = pt.y;
+         if (bounds.w <= vw) {
+            x = bounds.x + (bounds.w * 0.5);
+         } else {
+            x = Math.max(bounds.x + (vw * 0.5), Math.min(x, bounds.r - (vw * 0.5)));
+         }
+         if (bounds.h <= vh) {
+            y = bounds.y + (bounds.h * 0.5);
+         } else {
+            y = Math.max(bounds.y + (vh * 0.5), Math.min(y, bounds.b - (vh * 0.5)));
+         }
+         pt.set(x, y);
+      },
+
+      /**
+       * Generate an object which represents the camera's settings, such as is
+       * stored with a level.
+       *
+       * @param camera {R.objects.Camera} The camera
+       * @return {Object}
+       */
+      serialize: function(camera) {
+         var b = camera.bounds;
+         return {
+            "target": camera.getTarget() ? camera.getTarget().getName() : null,
+            "offset": [camera.getOffset().x, camera.getOffset().y],
+            "deadZone": [camera.getDeadZone().x, camera.getDeadZone().y],
+            "smoothing": camera.getSmoothing(),
+            "zoom": camera.zoomTo,
+            "bounds": b ? [b.x, b.y, b.w, b.h] : null,
+            "clamp": camera.isClampedToBounds(),
+            "maxShake": [camera.getMaxShake().x, camera.getMaxShake().y],
+            "traumaDecay": camera.traumaDecay
+         };
+      },
+
+      /**
+       * Create a camera for a render context from an object which describes its
+       * settings.  All of the fields are optional:
+       * <pre>
+       *    {
+       *       "target": "player",        // The name of the level actor to follow
+       *       "offset": [16, 16],        // Offset from the target's position
+       *       "deadZone": [64, 48],      // Width and height of the dead zone
+       *       "smoothing": 0.85,
+       *       "zoom": 1,
+       *       "bounds": [0, 0, 2048, 768], // Defaults to the world boundary
+       *       "clamp": true,
+       *       "maxShake": [16, 16],
+       *       "traumaDecay": 1
+       *    }
+       * </pre>
+       *
+       * @param obj {Object} The camera's settings
+       * @param renderContext {R.rendercontexts.RenderContext2D} The render context the camera controls
+       * @param [level] {R.resources.types.Level} The level whose actors the target is found in
+       * @return {R.objects.Camera}
+       */
+      deserialize: function(obj, renderContext, level) {
+         var camera = R.objects.Camera.create(obj.name || "Camera", renderContext);
+         if (obj.offset) {
+            camera.setOffset(obj.offset[0], obj.offset[1]);
+         }
+         if (obj.deadZone) {
+            camera.setDeadZone(obj.deadZone[0], obj.deadZone[1]);
+         }
+         if (obj.smoothing !== undefined) {
+            camera.setSmoothing(obj.smoothing);
+         }
+         if (obj.zoom !== undefined) {
+            camera.setZoom(obj.zoom);
+         }
+         if (obj.bounds) {
+            var bounds = R.math.Rectangle2D.create(obj.bounds);
+            camera.setBounds(bounds);
+            bounds.destroy();
+         }
+         if (obj.clamp !== undefined) {
+            camera.setClampToBounds(obj.clamp);
+         }
+         if (obj.maxShake) {
+            camera.setMaxShake(obj.maxShake[0], obj.maxShake[1]);
+         }
+         if (obj.traumaDecay !== undefined) {
+            camera.setTraumaDecay(obj.traumaDecay);
+         }
+
+         if (obj.target && level) {
+            var target = level.getActors().getObjects(function(actor) {
+               return actor.getName() === obj.target;
+            })[0];
+            AssertWarn(target, "Camera target '" + obj.target + "' is not an actor in the level");
+            if (target) {
+               camera.setTarget(target);
+               camera.snapToTarget();
+            }
+         }
+
+         return camera;
+      }
+   });
+};
@@ -66,6 +66,7 @@ R.objects.Fixture = function(){
          this.visible = visible;
 			this.setPosition(R.math.Point2D.create(rect.getTopLeft()));
          rect.setTopLeft(0,0);
+			this.boxRect = rect;
 			this.setBoundingBox(rect);
 			this.type = R.objects.Fixture.TYPE_COLLIDER;
 			this.action = "";
@@ -157,7 +158,7 @@ R.objects.Fixture = function(){
 		 */
 		setType: function(type) {
 			this.type = type;
-			if (type == R.objects.CollisionBox.TYPE_TRIGGER) {
+			if (type == R.objects.Fixture.TYPE_TRIGGER) {
 				this.setName("TriggerBlock");
 			} else {
 				this.setName("CollisionBlock");
@@ -328,25 +328,25 @@ R.objects.Object2D = function(){
 		 */
 		getAABB: function(){
 			// Start with the world bounding box and transform it
-			var bb = R.math.Rectangle2D.create(this.getBoundingBox());
+			var bb = this.getBoundingBox();
 			
 			// Transform the world box
 			var txfm = this.getTransformationMatrix();
 			
-			var p1 = bb.getTopLeft();
-			var p2 = R.math.Point2D.create(bb.getTopLeft());
-			p2.x += bb.getDims().x;
-			var p3 = bb.getBottomRight();
-			var p4 = R.math.Point2D.create(bb.getTopLeft());
-			p4.y += bb.getDims().y;
-			var pts = [p1.transform(txfm), p2.transform(txfm), p3.transform(txfm), p4.transform(txfm)];
+			var pts = [R.math.Point2D.create(bb.x, bb.y), R.math.Point2D.create(bb.r, bb.y),
+			           R.math.Point2D.create(bb.r, bb.b), R.math.Point2D.create(bb.x, bb.b)];
 			
 			// Now find the AABB of the points
-         R.math.Math2D.getBoundingBox(pts, this.AABB);
-
-			bb.destroy();
-			p2.destroy();
-			p3.destroy();
+			var x1 = R.lang.Math2.MAX_INT, y1 = R.lang.Math2.MAX_INT, x2 = -R.lang.Math2.MAX_INT, y2 = -R.lang.Math2.MAX_INT;
+			for (var p = 0; p < pts.length; p++) {
+				pts[p].transform(txfm);
+				x1 = Math.min(x1, pts[p].x);
+				y1 = Math.min(y1, pts[p].y);
+				x2 = Math.max(x2, pts[p].x);
+				y2 = Math.max(y2, pts[p].y);
+				pts[p].destroy();
+			}
+			this.AABB.set(x1, y1, x2 - x1, y2 - y1);
 			
 			return this.AABB;
 		},
@@ -374,6 +374,7 @@ R.objects.Object2D = function(){
 		getCollisionHull: function(){
 			if (this.collisionHull == null) {
 				this.collisionHull = R.collision.OBBHull.create(this.getBoundingBox());
+				this.collisionHull.setGameObject(this);
 
             // A flag indicating the hull was auto-generated
 				this.genHull = true;
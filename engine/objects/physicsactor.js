@@ -45,6 +45,7 @@ R.Engine.define({
       "R.components.physics.PrismaticJoint",
       "R.components.physics.PulleyJoint",
       "R.components.physics.MouseJoint",
+      "R.components.render.Sprite",
 
       "R.math.Math2D",
       "R.objects.Object2D",
@@ -57,6 +58,11 @@ var toP2d = function(arr) {
    return R.math.Point2D.create(arr[0], arr[1]);
 };
 
+/** @private */
+var toArr = function(pt) {
+   return [pt.x, pt.y];
+};
+
 /** @private */
 var getRelativePosition = function(aV, obj) {
    if ($.isArray(aV) && aV.length == 2) {
@@ -71,7 +77,7 @@ var getRelativePosition = function(aV, obj) {
       var rPos = R.math.Point2D.create(0, 0);
 
       // Calculate the anchor, relative to the position of the object provided
-      var bb = obj.getBoundingBox().offset(obj.getPosition());
+      var bb = R.clone(obj.getBoundingBox()).offset(obj.getPosition());
       var c = obj.getCenter();
       switch (rel.toLowerCase()) {
          case "center":
@@ -99,20 +105,42 @@ var getRelativePosition = function(aV, obj) {
             rPos.set(bb.x, c.y);
             break;
          case "rightmiddle":
-            rPos.set(bb.x + bb.h, c.y);
+            rPos.set(bb.x + bb.w, c.y);
             break;
       }
 
       // Perform the offset
-      return rPos.add(offs);
+      rPos.add(offs);
+      bb.destroy();
+      offs.destroy();
+      return rPos;
    }
 };
 
-/** @private */
-var makeJoint = function(args) {
-   return args[3].create(args[0], args[1], args[2], arguments[1], arguments[2], arguments[3])
+/**
+ * Get an anchor in world coordinates from an offset relative to a body.  If the
+ * offset isn't defined, the position of the body is used.
+ * @private
+ */
+var getAnchor = function(offset, body, scale) {
+   var anchor = offset ? toP2d(offset) : R.math.Point2D.create(0, 0);
+   return anchor.mul(scale).add(body.getPosition());
 };
 
+/**
+ * Get the offset of a joint anchor from a body.  During simulation the anchor is read
+ * from the Box2D joint, otherwise it comes from the joint's anchor, in meters.
+ * @private
+ */
+var getAnchorOffset = function(anchor, body) {
+   if (!anchor) {
+      return undefined;
+   }
+   var pt = R.math.Point2D.create(anchor.x, anchor.y).mul(R.physics.Simulation.WORLD_SIZE).sub(body.getPosition()),
+       arr = toArr(pt);
+   pt.destroy();
+   return arr;
+};
 
 /**
  * @class A <tt>R.objects.PhysicsActor</tt> is an actor object within a game represented by
@@ -423,13 +451,73 @@ R.objects.PhysicsActor = function() {
          R.objects.PhysicsActor.actorLoader = R.resources.loaders.ObjectLoader.create("ActorLoader");
       },
 
+      /**
+       * Named materials which parts of an actor definition can refer to
+       * @private
+       */
+      materials: {},
+
+      /**
+       * Register a named material which can be referenced by the parts of any physics
+       * actor definition.  Materials declared within an actor definition (in its <tt>materials</tt>
+       * object) take precedence over the materials registered here.
+       *
+       * @param name {String} The name of the material
+       * @param material {Object} An object with any of <tt>friction</tt>, <tt>restitution</tt>
+       *    and <tt>density</tt>
+       * @static
+       */
+      setMaterial: function(name, material) {
+         R.objects.PhysicsActor.materials[name] = material;
+      },
+
+      /**
+       * Get a material registered with {@link #setMaterial}.
+       *
+       * @param name {String} The name of the material
+       * @return {Object} The material, or <code>undefined</code>
+       * @static
+       */
+      getMaterial: function(name) {
+         return R.objects.PhysicsActor.materials[name];
+      },
+
       /**
        * Helper method to load a physics object file which describes the objects
-       * and joints which comprise the object.  The format consists of "parts"
-       * which define the types of physical object ("circle", "box") and other
-       * parameters required by each part.  Additionally, the format will load
-       * joints which are used to link the parts together.
+       * and joints which comprise the object.  The format is a JSON object with the
+       * following fields:
+       * <ul>
+       * <li><tt>root</tt> - The name of the part which is the root body of the actor</li>
+       * <li><tt>scale</tt> - A multiplier applied to all sizes and positions (default: 1)</li>
+       * <li><tt>friction</tt>, <tt>restitution</tt>, <tt>density</tt>, <tt>material</tt> - Defaults for every part</li>
+       * <li><tt>materials</tt> - An object of named materials, each with <tt>friction</tt>,
+       *    <tt>restitution</tt> and <tt>density</tt></li>
+       * <li><tt>parts</tt> - An array of the bodies of the actor</li>
+       * <li><tt>joints</tt> - An array of the joints between parts</li>
+       * </ul>
+       * Each part has a <tt>name</tt> and a <tt>type</tt> which is one of "circle" (with a <tt>radius</tt>),
+       * "box" (with <tt>extents</tt>) or "polygon" (with an array of <tt>points</tt>, in either winding
+       * order).  A part is positioned absolutely with a two element <tt>position</tt>, or relative to
+       * another part with <tt>relativeTo</tt> and a position string ("center", "topleft", "rightmiddle", etc.)
+       * optionally preceded by an offset.  A part may also declare a <tt>material</tt>, <tt>friction</tt>,
+       * <tt>restitution</tt>, <tt>density</tt>, <tt>static</tt>, <tt>rotation</tt> (in degrees), <tt>sensor</tt>,
+       * a collision <tt>layer</tt> or a <tt>filter</tt> (with <tt>categoryBits</tt>, <tt>maskBits</tt> and
+       * <tt>groupIndex</tt>), and a <tt>sprite</tt> to render it with, as "resource:sprite".
        * <p/>
+       * Joints are either declared in the <tt>joint</tt> field of a part, in which case <tt>linkFrom</tt>
+       * and <tt>linkTo</tt> default to the part, or in the <tt>joints</tt> array.  Each joint has a
+       * <tt>type</tt> and optional <tt>name</tt> and <tt>collideBodies</tt> flag.  Anchors are offsets from
+       * the body they are attached to:
+       * <ul>
+       * <li>"distance" - <tt>anchor1</tt>, <tt>anchor2</tt>, <tt>frequency</tt>, <tt>dampingRatio</tt></li>
+       * <li>"revolute" - <tt>anchor</tt>, <tt>minAngle</tt>, <tt>maxAngle</tt>, <tt>motorForce</tt>, <tt>motorSpeed</tt></li>
+       * <li>"prismatic" - <tt>anchor</tt>, <tt>axis</tt>, <tt>minLimit</tt>, <tt>maxLimit</tt>, <tt>motorForce</tt>,
+       *    <tt>motorSpeed</tt></li>
+       * <li>"weld" - <tt>anchor</tt></li>
+       * <li>"pulley" - <tt>anchor1</tt>, <tt>anchor2</tt>, <tt>groundAnchor1</tt> and <tt>groundAnchor2</tt>
+       *    (offsets from the anchors), <tt>ratio</tt></li>
+       * <li>"mouse" - <tt>linkTo</tt>, <tt>maxForce</tt>, <tt>frequency</tt>, <tt>dampingRatio</tt></li>
+       * </ul>
        * The actor object is loaded asynchronously which means it isn't immediately
        * available.  You get a reference to the object by calling {@link R.objects.PhysicsActor#get}.
        * <p/>
@@ -456,63 +544,51 @@ R.objects.PhysicsActor = function() {
       },
 
       /**
-       * Factory method to create an instance of a physics actor by name.
+       * Factory method to create an instance of a physics actor by name.  Parts which declare
+       * a sprite are given a {@link R.components.render.Sprite} using the sprite loader passed in
+       * the options.  Mouse joints require the simulation to be passed in the options.
        *
        * @param name {String} The unique reference name of the actor object
        * @param [objName] {String} The name to assign to the instance when created
+       * @param [options] {Object} An object with the <tt>spriteLoader</tt> used to resolve part sprites,
+       *    and the <tt>simulation</tt> used to create mouse joints
        * @return {R.objects.PhysicsActor} A new instance of the actor defined by "name"
        * @static
        */
-      get: function(name, objName) {
+      get: function(name, objName, options) {
+         return R.objects.PhysicsActor.build(R.objects.PhysicsActor.actorLoader.get(name), objName, options);
+      },
 
-         var def = R.objects.PhysicsActor.actorLoader.get(name),
-         actor = R.objects.PhysicsActor.create(objName), jointParts = [], relParts = [], bc, p, part;
-         var props = {"friction":"setFriction","restitution":"setRestitution","density":"setDensity",
-                      "static":"setStatic","rotation":"setRotation"};
+      /**
+       * Create an instance of a physics actor from a definition object, in the format
+       * described in {@link #load}.
+       *
+       * @param def {Object} The actor definition
+       * @param [objName] {String} The name to assign to the instance when created
+       * @param [options] {Object} See {@link #get}
+       * @return {R.objects.PhysicsActor}
+       * @static
+       */
+      build: function(def, objName, options) {
+         options = options || {};
+         var actor = R.objects.PhysicsActor.create(objName), scale = def.scale != undefined ? def.scale : 1,
+             joints = [], relParts = [], bc, p, part, pos;
 
          // Loop through the parts and build each component
-         for (p in def.parts) {
-            part = def.parts[p], bc;
-            if (part.type == "circle") {
-               part.radius *= (def.scale ? def.scale : 1);
-               bc = R.components.physics.CircleBody.create(part.name, part.radius);
-            } else if (part.type == "box") {
-               var ext = toP2d(part.extents);
-               ext.mul(def.scale ? def.scale : 1);
-               bc = R.components.physics.BoxBody.create(part.name, ext);
-               ext.destroy();
-            } else {
-               var points = [];
-               for (var d = 0; d < part.points.length; d++) {
-                  points.push(toP2d(parts.points[d]));
-               }
-               bc = R.components.physics.PolyBody.create(part.name, points);
-            }
+         for (p = 0; p < def.parts.length; p++) {
+            part = def.parts[p];
+            bc = R.objects.PhysicsActor.buildPart(def, part, scale);
 
-            // Set friction, restitution, or density properties.  Both
-            // defaults and per-part
-            for (p in props) {
-               if (def[p]) {
-                  bc[props[p]](def[p]);
-               }
-
-               if (part[p]) {
-                  bc[props[p]](part[p]);
-               }
-            }
-
-            // Add the component to the actor.  We'll let the developer set the renderer
-            // for each body component.
-            actor.add(bc);
+            // Add the component to the actor, with its renderer if one was declared
+            actor.add(bc, R.objects.PhysicsActor.buildRenderer(part, options.spriteLoader));
 
             // Position the parts relative to each other, in world coordinates with the
             // origin at the top left corner of the world
             if ($.isArray(part.position) && part.position.length == 2) {
                // Set the position of the part in absolute coordinates
-               var pt = toP2d(part.position);
-               pt.mul(def.scale ? def.scale : 1);
-               bc.setPosition(pt);
-               pt.destroy();
+               pos = toP2d(part.position).mul(scale);
+               bc.setPosition(pos);
+               pos.destroy();
             } else if (part.relativeTo) {
                // The position is either a string or a 3 element array.  In either case
                // the value contains a relative positioning string and possibly an offset
@@ -522,114 +598,33 @@ R.objects.PhysicsActor = function() {
             // Is there a joint defined?  Defer it until later when all the parts are loaded
             // This way we don't have to worry about invalid body references
             if (part.joint) {
-               jointParts.push(part);
+               joints.push($.extend({ linkFrom: part.name, linkTo: part.name }, part.joint));
             }
          }
 
          // Now that all the parts are created we need to perform 2 final steps
          // 1) Position any parts that are relative to others
-         for (var rp in relParts) {
+         for (p = 0; p < relParts.length; p++) {
             // Get the component it is relative to and calculate it's position
-            part = relParts[rp];
-            var relTo = actor.getComponent(part.relativeTo);
-            var rPos = part.position;
-            var pos = getRelativePosition(rPos, relTo);
-            bc = actor.getComponent(part.name);
-            pos.mul(def.scale ? def.scale : 1);
-            bc.setPosition(pos);
+            part = relParts[p];
+            pos = getRelativePosition(part.position, actor.getComponent(part.relativeTo));
+            if ($.isArray(part.position)) {
+               // Only the offset is scaled, the position of the other part already is
+               var offs = toP2d(part.position);
+               pos.add(offs.mul(scale - 1));
+               offs.destroy();
+            }
+            actor.getComponent(part.name).setPosition(pos);
             pos.destroy();
          }
 
          // 2) link the parts with any joints that were deferred until now
-         for (var j = 0; j < jointParts.length; j++) {
-            part = jointParts[j];
-
-            var jc, fromPart = (part.joint.linkFrom ? part.joint.linkFrom : part.name),
-            toPart = (part.joint.linkTo ? part.joint.linkTo : part.name),
-            jointName = fromPart + "_" + toPart, anchor, axis, upLim, lowLim, type, anchor1, anchor2,
-            args = [jointName, actor.getComponent(fromPart), actor.getComponent(toPart)];
-
-            switch (part.joint.type) {
-               case "distance":
-                  args.push(R.components.physics.DistanceJoint);
-                  anchor1 = part.joint.anchor ? toP2d(part.joint.anchor1): null;
-                  if (anchor1)
-                     anchor1.add(actor.getComponent(fromPart).getPosition())
-                        .mul(def.scale != undefined ? def.scale : 1);
-
-                  anchor2 = part.joint.anchor ? toP2d(part.joint.anchor2): null;
-                  if (anchor2)
-                     anchor2.add(actor.getComponent(fromPart).getPosition())
-                        .mul(def.scale != undefined ? def.scale : 1);
-
-                  jc = makeJoint(args, anchor1, anchor2);
-                  break;
-               case "revolute":
-                  args.push(R.components.physics.RevoluteJoint);
-                  anchor = part.joint.anchor ? toP2d(part.joint.anchor): toP2d([0,0]);
-                  anchor.add(actor.getComponent(fromPart).getPosition());
-                  anchor.mul(def.scale != undefined ? def.scale : 1);
-                  jc = makeJoint(args, anchor);
-
-                  // Joint rotational limits
-                  if (part.joint.maxLim && part.joint.minLim) {
-                     upLim = part.joint.maxAngle;
-                     lowLim = part.joint.minAngle;
-                     jc.setUpperLimitAngle(upLim ? upLim : 0);
-                     jc.setLowerLimitAngle(lowLim ? lowLim : 0);
-                  }
-                  anchor.destroy();
-                  break;
-               case "prismatic":
-                  args.push(R.components.physics.PrismaticJoint);
-                  anchor = part.joint.anchor ? toP2d(part.joint.anchor): toP2d([0,0]);
-                  anchor.add(actor.getComponent(fromPart).getPosition());
-                  anchor.mul(def.scale != undefined ? def.scale : 1);
-                  axis = part.joint.axis ? toP2d(part.joint.axis) : R.math.Vector2D.UP;
-                  jc = makeJoint(args, anchor, axis);
-
-                  // Joint translation limits
-                  if (part.joint.maxLim && part.joint.minLim) {
-                     upLim = part.joint.maxLim;
-                     lowLim = part.joint.minLim;
-                     jc.setUpperLimit(upLim ? upLim : 0);
-                     jc.setLowerLimit(lowLim ? lowLim : 0);
-                  }
-                  anchor.destroy();
-                  break;
-               case "weld":
-                  args.push(R.components.physics.WeldJoint);
-                  anchor = part.joint.anchor ? toP2d(part.joint.anchor): toP2d([0,0]);
-                  anchor.add(actor.getComponent(fromPart).getPosition());
-                  anchor.mul(def.scale != undefined ? def.scale : 1);
-                  jc = makeJoint(args, anchor, axis);
-                  anchor.destroy();
-                  break;
-               case "pulley":
-                  args.push(R.components.physics.PulleyJoint);
-                  anchor1 = part.joint.anchor1 ? toP2d(part.joint.anchor1): toP2d([0,0]);
-                  anchor1.add(actor.getComponent(fromPart).getPosition());
-                  anchor1.mul(def.scale != undefined ? def.scale : 1);
-                  anchor2 = part.joint.anchor2 ? toP2d(part.joint.anchor2): toP2d([0,0]);
-                  anchor2.add(actor.getComponent(fromPart).getPosition());
-                  anchor2.mul(def.scale != undefined ? def.scale : 1);
-                  jc = makeJoint(args, anchor1, anchor2, part.joint.ratio);
-                  anchor1.destroy();
-                  anchor2.destroy();
-                  break;
+         joints = joints.concat(def.joints || []);
+         for (var j = 0; j < joints.length; j++) {
+            var jc = R.objects.PhysicsActor.buildJoint(actor, joints[j], scale, options.simulation);
+            if (jc) {
+               actor.add(jc);
             }
-
-            // Motor force/torque and speed (applies to revolute & prismatic joints
-            if (part.joint.motorForce) {
-               jc.setMotorForce(part.joint.motorForce);
-            }
-
-            if (part.joint.motorSpeed) {
-               jc.setMotorSpeed(part.joint.motorSpeed);
-            }
-
-            // Add the joint to the actor
-            actor.add(jc);
          }
 
          Assert(actor.getComponent(def.root) != null, "'root' of actor definition is not a valid part");
@@ -639,6 +634,346 @@ R.objects.PhysicsActor = function() {
 
          // Done, give them their actor
          return actor;
+      },
+
+      /**
+       * Create the body component for a part of an actor definition.
+       * @private
+       */
+      buildPart: function(def, part, scale) {
+         var bc, pt, p;
+         if (part.type == "circle") {
+            bc = R.components.physics.CircleBody.create(part.name, part.radius * scale);
+         } else if (part.type == "box") {
+            pt = toP2d(part.extents).mul(scale);
+            bc = R.components.physics.BoxBody.create(part.name, pt);
+            pt.destroy();
+         } else {
+            Assert(part.type == "polygon", "Unknown physics actor part type '" + part.type + "'");
+            var points = [];
+            for (p = 0; p < part.points.length; p++) {
+               points.push(toP2d(part.points[p]).mul(scale));
+            }
+            bc = R.components.physics.PolyBody.create(part.name, points);
+         }
+
+         // Set friction, restitution, density, and other properties.  The defaults of
+         // the definition, then the part's material, then the part's own values
+         var props = $.extend({},
+             R.objects.PhysicsActor.getPartMaterial(def, def.material),
+             R.objects.PhysicsActor.getPartMaterial(def, part.material)),
+             setters = R.objects.PhysicsActor.PART_PROPERTIES;
+         for (p in setters) {
+            if (def[p] != undefined && props[p] == undefined) {
+               props[p] = def[p];
+            }
+            if (part[p] != undefined) {
+               props[p] = part[p];
+            }
+            if (props[p] != undefined) {
+               bc[setters[p]](props[p]);
+            }
+         }
+
+         // Collision filtering
+         if (part.layer) {
+            bc.setCollisionLayer(part.layer);
+         } else if (part.filter) {
+            bc.setCollisionFilter(part.filter.categoryBits, part.filter.maskBits, part.filter.groupIndex);
+         }
+
+         return bc;
+      },
+
+      /**
+       * Look up a material by name, first within the definition and then in the
+       * materials registered with {@link #setMaterial}.
+       * @private
+       */
+      getPartMaterial: function(def, name) {
+         if (!name) {
+            return null;
+         }
+         var material = (def.materials && def.materials[name]) || R.objects.PhysicsActor.getMaterial(name);
+         AssertWarn(material != null, "Physics actor material '" + name + "' is not defined");
+         return material;
+      },
+
+      /**
+       * Create the sprite render component for a part which declares a sprite.
+       * @private
+       */
+      buildRenderer: function(part, spriteLoader) {
+         if (!part.sprite) {
+            return null;
+         }
+
+         if (!spriteLoader) {
+            AssertWarn(false, "Physics actor part '" + part.name + "' has a sprite, but no sprite loader was provided");
+            return null;
+         }
+
+         var spr = part.sprite.split(":");
+         return R.components.render.Sprite.create(part.name + "Sprite", spriteLoader.getSprite(spr[0], spr[1]));
+      },
+
+      /**
+       * Create a joint component from a joint definition.  Anchors in the definition are
+       * offsets from the bodies they are attached to.
+       * @private
+       */
+      buildJoint: function(actor, joint, scale, simulation) {
+         var jc, from = joint.linkFrom ? actor.getComponent(joint.linkFrom) : null, to = actor.getComponent(joint.linkTo),
+             name = joint.name || (joint.linkFrom || joint.type) + "_" + joint.linkTo, anchor, anchor1, anchor2, ground1, ground2, axis;
+
+         Assert(to != null && (from != null || joint.type == "mouse"), "Joint '" + name + "' links a part which doesn't exist");
+
+         switch (joint.type) {
+            case "distance":
+               anchor1 = joint.anchor1 ? getAnchor(joint.anchor1, from, scale) : null;
+               anchor2 = joint.anchor2 ? getAnchor(joint.anchor2, to, scale) : null;
+               jc = R.components.physics.DistanceJoint.create(name, from, to, anchor1, anchor2);
+               if (joint.frequency != undefined) {
+                  jc.setFrequency(joint.frequency);
+               }
+               if (joint.dampingRatio != undefined) {
+                  jc.setDampingRatio(joint.dampingRatio);
+               }
+               break;
+            case "revolute":
+               anchor = getAnchor(joint.anchor, from, scale);
+               jc = R.components.physics.RevoluteJoint.create(name, from, to, anchor);
+
+               // Joint rotational limits
+               if (joint.minAngle != undefined || joint.maxAngle != undefined) {
+                  jc.setLowerLimitAngle(joint.minAngle || 0);
+                  jc.setUpperLimitAngle(joint.maxAngle || 0);
+               }
+               break;
+            case "prismatic":
+               anchor = getAnchor(joint.anchor, from, scale);
+               axis = joint.axis ? R.math.Vector2D.create(joint.axis[0], joint.axis[1]) : null;
+               jc = R.components.physics.PrismaticJoint.create(name, from, to, anchor, axis);
+
+               // Joint translation limits, in pixels.  "minLim" and "maxLim" are the older
+               // names of the limits, which were in meters
+               var ws = R.physics.Simulation.WORLD_SIZE,
+                   lower = joint.minLimit != undefined ? joint.minLimit * scale / ws : joint.minLim,
+                   upper = joint.maxLimit != undefined ? joint.maxLimit * scale / ws : joint.maxLim;
+               if (lower != undefined || upper != undefined) {
+                  jc.setLowerLimit(lower || 0);
+                  jc.setUpperLimit(upper || 0);
+               }
+               break;
+            case "weld":
+               anchor = getAnchor(joint.anchor, from, scale);
+               jc = R.components.physics.WeldJoint.create(name, from, to, anchor);
+               break;
+            case "pulley":
+               anchor1 = getAnchor(joint.anchor1, from, scale);
+               anchor2 = getAnchor(joint.anchor2, to, scale);
+               if (joint.groundAnchor1) {
+                  ground1 = toP2d(joint.groundAnchor1).mul(scale).add(anchor1);
+               }
+               if (joint.groundAnchor2) {
+                  ground2 = toP2d(joint.groundAnchor2).mul(scale).add(anchor2);
+               }
+               jc = R.components.physics.PulleyJoint.create(name, from, to, anchor1, anchor2, joint.ratio, ground1, ground2);
+               break;
+            case "mouse":
+               if (!simulation) {
+                  AssertWarn(false, "Mouse joint '" + name + "' requires the simulation option");
+                  return null;
+               }
+               jc = R.components.physics.MouseJoint.create(name, to, simulation);
+               if (joint.maxForce != undefined) {
+                  jc.setMaxForce(joint.maxForce);
+               }
+               if (joint.frequency != undefined) {
+                  jc.setFrequency(joint.frequency);
+               }
+               if (joint.dampingRatio != undefined) {
+                  jc.setDampingRatio(joint.dampingRatio);
+               }
+               break;
+            default:
+               AssertWarn(false, "Unknown joint type '" + joint.type + "' for joint '" + name + "'");
+               return null;
+         }
+
+         // Motor force/torque and speed (applies to revolute & prismatic joints)
+         var force = joint.motorForce != undefined ? joint.motorForce : joint.motorTorque;
+         if (force != undefined) {
+            jc.setMotorForce(force);
+            jc.setMotorSpeed(joint.motorSpeed || 0);
+         }
+
+         if (joint.collideBodies) {
+            jc.setCollideBodies(true);
+         }
+
+         var pts = [anchor, anchor1, anchor2, ground1, ground2, axis];
+         for (var p = 0; p < pts.length; p++) {
+            if (pts[p]) {
+               pts[p].destroy();
+            }
+         }
+
+         return jc;
+      },
+
+      /**
+       * Write a live physics actor out in the format read by {@link #load}.  The parts are
+       * written at their current positions and rotations, and joint anchors are written as
+       * offsets from the bodies they are attached to.
+       *
+       * @param actor {R.objects.PhysicsActor} The actor to serialize
+       * @return {Object} The actor definition
+       * @static
+       */
+      serialize: function(actor) {
+         var def = { root: actor.getRootBody().getName(), scale: 1, parts: [], joints: [] },
+             bodies = actor.getRigidBodies(), joints = actor.getJoints(), p;
+
+         for (p = 0; p < bodies.length; p++) {
+            def.parts.push(R.objects.PhysicsActor.serializePart(bodies[p]));
+         }
+
+         for (p = 0; p < joints.length; p++) {
+            def.joints.push(R.objects.PhysicsActor.serializeJoint(joints[p]));
+         }
+
+         return def;
+      },
+
+      /**
+       * Write a body component as a part definition.
+       * @private
+       */
+      serializePart: function(bc) {
+         var part = { name: bc.getName() }, p;
+         if (bc instanceof R.components.physics.CircleBody) {
+            part.type = "circle";
+            part.radius = bc.getRadius() * R.physics.Simulation.WORLD_SIZE;
+         } else if (bc instanceof R.components.physics.BoxBody) {
+            var ext = R.clone(bc.getExtents()).mul(R.physics.Simulation.WORLD_SIZE);
+            part.type = "box";
+            part.extents = toArr(ext);
+            ext.destroy();
+         } else {
+            part.type = "polygon";
+            part.points = [];
+            for (p = 0; p < bc.getPoints().length; p++) {
+               part.points.push(toArr(bc.getPoints()[p]));
+            }
+         }
+
+         part.position = toArr(bc.getPosition());
+         part.rotation = bc.getRotation();
+         part.friction = bc.getFriction();
+         part.restitution = bc.getRestitution();
+         part.density = bc.getDensity();
+         part["static"] = bc.isStatic();
+
+         if (bc.isSensor()) {
+            part.sensor = true;
+         }
+
+         if (bc.getCollisionLayer()) {
+            part.layer = bc.getCollisionLayer();
+         } else if (bc.filter) {
+            part.filter = bc.getCollisionFilter();
+         }
+
+         var rc = bc.getRenderComponent();
+         if (rc instanceof R.components.render.Sprite && rc.getSprite()) {
+            var sprite = rc.getSprite();
+            part.sprite = sprite.getSpriteResource().resourceName + ":" + sprite.getName();
+         }
+
+         return part;
+      },
+
+      /**
+       * Write a joint component as a joint definition.
+       * @private
+       */
+      serializeJoint: function(jc) {
+         var from = jc.getBody1(), to = jc.getBody2(), live = jc.getSimulation() ? jc.getJoint() : null,
+             joint = { name: jc.getName(), linkFrom: from.getName(), linkTo: to.getName() }, pt;
+
+         if (jc instanceof R.components.physics.MouseJoint) {
+            joint.type = "mouse";
+            delete joint.linkFrom;
+            joint.maxForce = jc.getMaxForce();
+            joint.frequency = jc.getFrequency();
+            joint.dampingRatio = jc.getDampingRatio();
+            return joint;
+         }
+
+         if (jc instanceof R.components.physics.DistanceJoint) {
+            joint.type = "distance";
+            joint.anchor1 = getAnchorOffset(live ? live.GetAnchorA() : jc.anchor1, from);
+            joint.anchor2 = getAnchorOffset(live ? live.GetAnchorB() : jc.anchor2, to);
+            joint.frequency = jc.getFrequency();
+            joint.dampingRatio = jc.getDampingRatio();
+         } else if (jc instanceof R.components.physics.RevoluteJoint) {
+            joint.type = "revolute";
+            joint.anchor = getAnchorOffset(live ? live.GetAnchorA() : jc.anchor, from);
+            if (jc.limits.length != 0) {
+               joint.minAngle = jc.getLowerLimitAngle();
+               joint.maxAngle = jc.getUpperLimitAngle();
+            }
+         } else if (jc instanceof R.components.physics.PrismaticJoint) {
+            joint.type = "prismatic";
+            joint.anchor = getAnchorOffset(live ? live.GetAnchorA() : jc.anchor, from);
+            joint.axis = toArr(jc.axis);
+            if (jc.limits.length != 0) {
+               joint.minLimit = jc.getLowerLimit() * R.physics.Simulation.WORLD_SIZE;
+               joint.maxLimit = jc.getUpperLimit() * R.physics.Simulation.WORLD_SIZE;
+            }
+         } else if (jc instanceof R.components.physics.WeldJoint) {
+            joint.type = "weld";
+            joint.anchor = getAnchorOffset(live ? live.GetAnchorA() : jc.anchor, from);
+         } else if (jc instanceof R.components.physics.PulleyJoint) {
+            joint.type = "pulley";
+            joint.anchor1 = getAnchorOffset(live ? live.GetAnchorA() : jc.anchor1, from);
+            joint.anchor2 = getAnchorOffset(live ? live.GetAnchorB() : jc.anchor2, to);
+
+            // Ground anchors are offsets from the body anchors
+            var g1 = live ? live.GetGroundAnchorA() : jc.groundAnchor1,
+                g2 = live ? live.GetGroundAnchorB() : jc.groundAnchor2,
+                a1 = live ? live.GetAnchorA() : jc.anchor1,
+                a2 = live ? live.GetAnchorB() : jc.anchor2,
+                ws = R.physics.Simulation.WORLD_SIZE;
+            joint.groundAnchor1 = [(g1.x - a1.x) * ws, (g1.y - a1.y) * ws];
+            joint.groundAnchor2 = [(g2.x - a2.x) * ws, (g2.y - a2.y) * ws];
+            joint.ratio = jc.getRatio();
+         }
+
+         if (jc instanceof R.components.physics.BaseMotorJoint && jc.mForce != null) {
+            joint.motorForce = jc.mForce;
+            joint.motorSpeed = jc.mSpeed;
+         }
+
+         if (jc.getCollideBodies()) {
+            joint.collideBodies = true;
+         }
+
+         return joint;
+      },
+
+      /**
+       * The part properties of an actor definition, and the body methods which set them
+       * @private
+       */
+      PART_PROPERTIES: {
+         "friction": "setFriction",
+         "restitution": "setRestitution",
+         "density": "setDensity",
+         "static": "setStatic",
+         "rotation": "setRotation",
+         "sensor": "setSensor"
       }
    });
 };
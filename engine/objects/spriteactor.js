@@ -70,6 +70,7 @@ R.objects.SpriteActor = function(){
 			this.base(name || "Actor", R.components.transform.PlatformMover2D.create("move", tileMap));
 			
 			this.editing = false;
+			this.sprite = null;
 			
 			this.actorId = "";
 			this.collisionMask = "0";
@@ -395,6 +396,11 @@ R.objects.SpriteActor = function(){
 			this.sprite = sprite;
 			this.setBoundingBox(sprite.getBoundingBox());
 			this.getComponent("draw").setSprite(sprite);
+
+			// Sprites from an atlas may define the point the actor is positioned by
+			if (sprite.getPivot()) {
+				this.setOrigin(sprite.getPivot().x, sprite.getPivot().y);
+			}
 			
 			// Set the collision hull
 			this.setCollisionHull(R.collision.OBBHull.create(sprite.getBoundingBox()));
@@ -556,7 +562,9 @@ R.objects.SpriteActor = function(){
          if (!clazz.getSprite()) {
             var resourceName = obj.Sprite.split(":")[0], spriteName = obj.Sprite.split(":")[1];
             for (var sl = 0; sl < spriteLoaders.length; sl++) {
-               if (spriteLoaders[sl].get(resourceName)) {
+               // A loader which doesn't hold the resource returns null
+               var res = spriteLoaders[sl].get(resourceName);
+               if (res && res.info) {
                   clazz.setSprite(spriteLoaders[sl].getSprite(resourceName, spriteName));
                   break;
                }
@@ -36,7 +36,9 @@ R.Engine.define({
    "requires": [
       "R.engine.BaseObject",
       "R.math.Math2D",
-      "R.components.physics.BaseBody"
+      "R.components.physics.BaseBody",
+      "R.collision.CollisionLayers",
+      "R.struct.ContactInfo"
    ],
    "includes": [
       "/libs/Box2dWeb-2.1.a.3.js"
@@ -52,6 +54,16 @@ R.Engine.define({
  *        <p/>
  *        See either "/demos/physics/" or "/demos/physics2" for examples
  *        of utilizing the <tt>R.physics.Simulation</tt> object with rigid body components.
+ *        <p/>
+ *        The simulation listens for Box2dWeb contacts and reports each one to the
+ *        {@link R.components.physics.BaseBody} components on both sides of the contact.
+ *        The body components trigger <code>beginContact</code>, <code>endContact</code>,
+ *        <code>preSolve</code>, and <code>postSolve</code> events on their game objects,
+ *        passed a {@link R.struct.ContactInfo}.  Contacts are reported while the world is
+ *        being stepped, so bodies shouldn't be added or removed while handling them.
+ *        <p/>
+ *        When the engine is in debug mode, the simulation can draw the shapes, joints,
+ *        bounding boxes and contacts of the world.  See {@link #setDebugDraw}.
  *
  * @param name {String} The name of the object
  * @param viewport {R.math.Rectangle2D} Your rendering context's viewport
@@ -68,6 +80,9 @@ R.physics.Simulation = function() {
       doSleep: true,
       integrations: 0,
       _groundBody: null,
+      contactInfo: null,
+      worldManifold: null,
+      debugDraw: 0,
 
       /** @private */
       constructor: function(name, gravity) {
@@ -76,31 +91,112 @@ R.physics.Simulation = function() {
 
          this.doSleep = true;
          this.integrations = R.physics.Simulation.DEFAULT_INTEGRATIONS;
+         this.debugDraw = 0;
          var b2Gravity = new Box2D.Common.Math.b2Vec2(this.gravity.x, this.gravity.y);
 
          // Create the world and get the ground body
          this.world = new Box2D.Dynamics.b2World(b2Gravity, this.doSleep);
          this._groundBody = R.components.physics.BaseBody.create("WORLD_GROUND", new Box2D.Dynamics.b2FixtureDef());
          this._groundBody.body = this.world.GetGroundBody();
+
+         // Route contacts to the body components
+         var self = this, listener = new Box2D.Dynamics.b2ContactListener();
+         listener.BeginContact = function(contact) {
+            self.dispatchContact("beginContact", contact);
+         };
+         listener.EndContact = function(contact) {
+            self.dispatchContact("endContact", contact);
+         };
+         listener.PreSolve = function(contact, oldManifold) {
+            self.dispatchContact("preSolve", contact);
+         };
+         listener.PostSolve = function(contact, impulse) {
+            self.dispatchContact("postSolve", contact, impulse);
+         };
+         this.world.SetContactListener(listener);
+         this.contactInfo = [R.struct.ContactInfo.create(), R.struct.ContactInfo.create()];
+         this.worldManifold = new Box2D.Collision.b2WorldManifold();
       },
 
       destroy: function() {
          this.gravity.destroy();
+         this.contactInfo[0].destroy();
+         this.contactInfo[1].destroy();
          this.base();
       },
 
       release: function() {
+         this.contactInfo = null;
+         this.worldManifold = null;
          this.worldAABB = null;
          this.gravity = null,
          this.world = null;
          this.base();
       },
 
+      /**
+       * Update the simulation, stepping the physical world once per frame.  When the engine
+       * is in fixed timestep mode, the world is stepped by {@link #simulate} instead.
+       *
+       * @param renderContext {R.rendercontexts.AbstractRenderContext} The context the object exists within
+       * @param time {Number} The current engine time, in milliseconds
+       * @param dt {Number} The delta between the world time and the last time the world was updated
+       *          in milliseconds.
+       */
       update: function(renderContext, time, dt) {
-         this.world.Step(R.physics.Simulation.FIXED_TIMESTEP, this.integrations, this.integrations);
+         if (R.Engine.getUpdatePhase() !== R.Engine.PHASE_RENDER) {
+            this.step();
+         }
+
+         /* pragma:DEBUG_START */
+         if (R.Engine.getDebugMode() && this.debugDraw != 0 && renderContext) {
+            this.drawDebug(renderContext);
+         }
+         /* pragma:DEBUG_END */
+      },
+
+      /**
+       * Step the physical world once for each fixed timestep simulation step, advancing
+       * it by the duration of the step.
+       *
+       * @param renderContext {R.rendercontexts.AbstractRenderContext} The context the object exists within
+       * @param time {Number} The simulation time, in milliseconds
+       * @param dt {Number} The duration of the simulation step in milliseconds.
+       */
+      simulate: function(renderContext, time, dt) {
+         this.step(dt / 1000);
+      },
+
+      /**
+       * Advance the physical world.
+       * @param [timeStep] {Number} The time to advance the world by, in seconds.  Defaults
+       *    to {@link #FIXED_TIMESTEP}.
+       * @private
+       */
+      step: function(timeStep) {
+         this.world.Step(timeStep || R.physics.Simulation.FIXED_TIMESTEP, this.integrations, this.integrations);
          this.world.ClearForces();
       },
 
+      /**
+       * Report a contact to the body components on each side of it.
+       *
+       * @param type {String} The name of the body component method to call
+       * @param contact {Box2D.Dynamics.Contacts.b2Contact} The contact
+       * @param [impulse] {Box2D.Dynamics.b2ContactImpulse} The impulse which resolved the contact
+       * @private
+       */
+      dispatchContact: function(type, contact, impulse) {
+         contact.GetWorldManifold(this.worldManifold);
+         for (var side = 0; side < 2; side++) {
+            var info = this.contactInfo[side];
+            info.set(contact, side == 1, this.worldManifold, impulse);
+            if (info.body) {
+               info.body[type](info);
+            }
+         }
+      },
+
       /**
        * Support method to get the ground body for the world.
        * @return {R.components.physics.BaseBody} The world's ground body
@@ -111,20 +207,22 @@ R.physics.Simulation = function() {
       },
 
       /**
-       * Query the world within the given rectangle returning all of the
-       * bodies found.
+       * Query the world within the given rectangle returning the dynamic bodies found.
        * @param rect {R.math.Rectangle2D} The area to query
-       * @return {Array} An array of <tt>Box2D.Dynamics.b2Body</tt> objects
+       * @param [category] {Number|String|Array} Only find bodies in these collision categories.
+       *    See {@link #raycast}.
+       * @return {Array} An array of {@link R.components.physics.BaseBody} components
        */
-      getBodiesInArea: function(rect) {
-         var aabb = new Box2D.Collision.b2AABB(), bodies = [];
-         aabb.lowerBound.Set(rect.x, rect.y);
-         aabb.upperBound.Set(rect.w, rect.h);
+      getBodiesInArea: function(rect, category) {
+         var aabb = new Box2D.Collision.b2AABB(), bodies = [],
+             mask = this.getCategoryMask(category), ws = R.physics.Simulation.WORLD_SIZE;
+         aabb.lowerBound.Set(rect.x / ws, rect.y / ws);
+         aabb.upperBound.Set((rect.x + rect.w) / ws, (rect.y + rect.h) / ws);
 
          // Query the world
          this.world.QueryAABB(function(fixture) {
             if (fixture.GetBody().GetType() != Box2D.Dynamics.b2Body.b2_staticBody) {
-               bodies.push(fixture.GetBody());
+               R.physics.Simulation.collectBody(fixture, mask, bodies);
             }
             return true;
          }, aabb);
@@ -133,12 +231,33 @@ R.physics.Simulation = function() {
       },
 
       /**
-       * Query the world for the body that lies at the given point.
+       * Query the world for the dynamic body that lies at the given point.
+       * @param point {R.math.Point2D} The point to query
+       * @param [category] {Number|String|Array} Only find bodies in these collision categories.
+       *    See {@link #raycast}.
+       * @return {R.components.physics.BaseBody} The body found, or <tt>null</tt>
+       */
+      getBodyAtPoint: function(point, category) {
+         var bodies = this.queryPoint(point, category, true);
+         return bodies.length > 0 ? bodies[0] : null;
+      },
+
+      /**
+       * Query the world for all of the bodies, static or dynamic, that contain the given point.
        * @param point {R.math.Point2D} The point to query
-       * @return {Box2D.Dynamics.b2Body} The body found, or <tt>null</tt>
+       * @param [category] {Number|String|Array} Only find bodies in these collision categories.
+       *    See {@link #raycast}.
+       * @return {Array} An array of {@link R.components.physics.BaseBody} components
+       */
+      getBodiesAtPoint: function(point, category) {
+         return this.queryPoint(point, category, false);
+      },
+
+      /**
+       * @private
        */
-      getBodyAtPoint: function(point) {
-         var aabb = new Box2D.Collision.b2AABB(), body = null,
+      queryPoint: function(point, category, dynamicOnly) {
+         var aabb = new Box2D.Collision.b2AABB(), bodies = [], mask = this.getCategoryMask(category),
              qP = R.clone(point).div(R.physics.Simulation.WORLD_SIZE),
              b2P = new Box2D.Common.Math.b2Vec2(qP.x, qP.y);
 
@@ -149,15 +268,154 @@ R.physics.Simulation = function() {
 
          // Query the world
          this.world.QueryAABB(function(fixture) {
-            if (fixture.GetBody().GetType() != Box2D.Dynamics.b2Body.b2_staticBody &&
+            if ((!dynamicOnly || fixture.GetBody().GetType() != Box2D.Dynamics.b2Body.b2_staticBody) &&
                   fixture.GetShape().TestPoint(fixture.GetBody().GetTransform(), b2P)) {
-               body = fixture.GetBody();
-               return false;
+               R.physics.Simulation.collectBody(fixture, mask, bodies);
+               return !dynamicOnly || bodies.length == 0;
             }
             return true;
          }, aabb);
 
-         return body;
+         return bodies;
+      },
+
+      /**
+       * Cast a ray through the world.  The nearest hit is stored in the ray info.  If the
+       * ray info was created to find all hits, every body along the ray is also stored in
+       * its {@link R.struct.RayInfo#hits}.  For each hit, the <tt>shape</tt> is the game object
+       * of the body which was hit, the <tt>normal</tt> is the surface normal, and the
+       * <tt>data</tt> is an object with the <tt>body</tt> component which was hit and the
+       * <tt>fraction</tt> of the ray at the impact point.
+       * <p/>
+       * Sensors, and bodies which aren't owned by a body component (such as those added with
+       * {@link #addSimpleBoxBody}), aren't hit.
+       *
+       * @param rayInfo {R.struct.RayInfo} The ray to cast, in world coordinates
+       * @param [category] {Number|String|Array} Only hit bodies in these collision categories.
+       *    This can be the Box2d category bits, or the name (or an array of names) of
+       *    {@link R.collision.CollisionLayers collision layers}.  Default: all categories
+       * @return {R.struct.RayInfo} The ray info
+       */
+      raycast: function(rayInfo, category) {
+         var ws = R.physics.Simulation.WORLD_SIZE, mask = this.getCategoryMask(category),
+             start = rayInfo.startPoint, dir = rayInfo.direction;
+         if (dir.x == 0 && dir.y == 0) {
+            return rayInfo;
+         }
+
+         var p1 = new Box2D.Common.Math.b2Vec2(start.x / ws, start.y / ws),
+             p2 = new Box2D.Common.Math.b2Vec2((start.x + dir.x) / ws, (start.y + dir.y) / ws),
+             impact = R.math.Point2D.create(0, 0), normal = R.math.Vector2D.create(0, 0);
+
+         this.world.RayCast(function(fixture, point, n, fraction) {
+            var body = fixture.GetBody().__$backRef$__;
+            if (!body || fixture.IsSensor() || (fixture.GetFilterData().categoryBits & mask) == 0) {
+               // Ignore the fixture
+               return -1;
+            }
+
+            impact.set(point.x * ws, point.y * ws);
+            normal.set(n.x, n.y);
+            rayInfo.addHit(impact, body.getGameObject() || body, { body: body, fraction: fraction }, normal);
+
+            // Clip the ray to the nearest hit, unless all of the hits are wanted
+            return rayInfo.findAll ? 1 : fraction;
+         }, p1, p2);
+
+         impact.destroy();
+         normal.destroy();
+         return rayInfo;
+      },
+
+      /**
+       * Find the bodies which overlap a circle.
+       *
+       * @param center {R.math.Point2D} The center of the circle, in world coordinates
+       * @param radius {Number} The radius of the circle
+       * @param [category] {Number|String|Array} Only find bodies in these collision categories.
+       *    See {@link #raycast}.
+       * @return {Array} An array of {@link R.components.physics.BaseBody} components
+       */
+      overlapCircle: function(center, radius, category) {
+         var ws = R.physics.Simulation.WORLD_SIZE,
+             shape = new Box2D.Collision.Shapes.b2CircleShape(radius / ws);
+         shape.SetLocalPosition(new Box2D.Common.Math.b2Vec2(center.x / ws, center.y / ws));
+         return this.queryShape(shape, category);
+      },
+
+      /**
+       * Find the bodies which overlap a box.
+       *
+       * @param rect {R.math.Rectangle2D} The box, in world coordinates
+       * @param [angle] {Number} The rotation of the box around its center, in degrees
+       * @param [category] {Number|String|Array} Only find bodies in these collision categories.
+       *    See {@link #raycast}.
+       * @return {Array} An array of {@link R.components.physics.BaseBody} components
+       */
+      overlapBox: function(rect, angle, category) {
+         var ws = R.physics.Simulation.WORLD_SIZE, shape = new Box2D.Collision.Shapes.b2PolygonShape(),
+             center = new Box2D.Common.Math.b2Vec2((rect.x + rect.w / 2) / ws, (rect.y + rect.h / 2) / ws);
+         shape.SetAsOrientedBox(rect.w / 2 / ws, rect.h / 2 / ws, center, R.math.Math2D.degToRad(angle || 0));
+         return this.queryShape(shape, category);
+      },
+
+      /**
+       * Find the bodies which overlap a convex polygon.
+       *
+       * @param points {Array} An array of {@link R.math.Point2D} which are the vertexes of the
+       *    polygon, in world coordinates, in either winding order
+       * @param [category] {Number|String|Array} Only find bodies in these collision categories.
+       *    See {@link #raycast}.
+       * @return {Array} An array of {@link R.components.physics.BaseBody} components
+       */
+      overlapPolygon: function(points, category) {
+         var ws = R.physics.Simulation.WORLD_SIZE, shape = new Box2D.Collision.Shapes.b2PolygonShape(),
+             verts = [], area = 0, p, q;
+         for (p = 0; p < points.length; p++) {
+            q = points[(p + 1) % points.length];
+            area += points[p].x * q.y - q.x * points[p].y;
+            verts.push(new Box2D.Common.Math.b2Vec2(points[p].x / ws, points[p].y / ws));
+         }
+
+         // Box2d expects counter-clockwise vertexes
+         if (area < 0) {
+            verts.reverse();
+         }
+         shape.SetAsArray(verts, verts.length);
+         return this.queryShape(shape, category);
+      },
+
+      /**
+       * Find the bodies which overlap a shape.
+       * @private
+       */
+      queryShape: function(shape, category) {
+         var bodies = [], mask = this.getCategoryMask(category);
+         this.world.QueryShape(function(fixture) {
+            R.physics.Simulation.collectBody(fixture, mask, bodies);
+            return true;
+         }, shape);
+         return bodies;
+      },
+
+      /**
+       * Convert a category filter to Box2d category bits.
+       * @private
+       */
+      getCategoryMask: function(category) {
+         if (category === undefined || category === null) {
+            return 0xFFFF;
+         }
+         if (typeof category === "number") {
+            return category;
+         }
+
+         var mask = 0;
+         category = R.isArray(category) ? category : [category];
+         for (var c = 0; c < category.length; c++) {
+            mask |= R.collision.CollisionLayers.getBit(category[c]);
+         }
+         return mask;
       },
 
       /**
@@ -225,17 +483,49 @@ R.physics.Simulation = function() {
          return this.integrations;
       },
 
+      /**
+       * Set the layers of the physical world which are drawn when the engine is in
+       * debug mode.  The flags are any combination of {@link #DEBUG_SHAPES},
+       * {@link #DEBUG_JOINTS}, {@link #DEBUG_AABBS} and {@link #DEBUG_CONTACTS}.
+       * The layers are drawn in world coordinates, into the render context the
+       * simulation was added to.
+       *
+       * @param flags {Number} The layers to draw, or zero to draw nothing
+       */
+      setDebugDraw: function(flags) {
+         this.debugDraw = flags;
+      },
+
+      /**
+       * Get the layers of the physical world which are drawn in debug mode.
+       * @return {Number}
+       */
+      getDebugDraw: function() {
+         return this.debugDraw;
+      },
+
+      /**
+       * Turn one layer of the debug drawing on or off, leaving the others as they are.
+       *
+       * @param flag {Number} One of the debug drawing flags, such as {@link #DEBUG_JOINTS}
+       * @param state {Boolean} <code>true</code> to draw the layer
+       */
+      setDebugDrawLayer: function(flag, state) {
+         this.debugDraw = state ? (this.debugDraw | flag) : (this.debugDraw & ~flag);
+      },
+
       /**
        * Add a simple box body to the simulation.  The body doesn't have a visual
        * representation, but exists in the simulation and can be interacted with.
        *
        * @param pos {R.math.Point2D} The position where the body's top/left is located
        * @param extents {R.math.Point2D} The width and height of the body
-       * @param properties {Object} An object with up to three properties: <ul>
+       * @param properties {Object} An object with any of the following properties: <ul>
        *       <li>restitution - The bounciness of the body</li>
        *         <li>friction - Friction against this body</li>
        *         <li>density - The density of the object (default: 0)</li>
-       *         <li>isStatic - <tt>false</tt> for a dynamic body (default: <tt>true</tt>)</li></ul>
+       *         <li>isStatic - <tt>false</tt> for a dynamic body (default: <tt>true</tt>)</li>
+       *         <li>layer - The name of a {@link R.collision.CollisionLayers collision layer}</li></ul>
        *
        * @return {Box2D.Dynamics.b2Body} A Box2dWeb body definition object representing the box
        */
@@ -255,6 +545,7 @@ R.physics.Simulation = function() {
          fixDef.restitution = properties.restitution || R.components.physics.BaseBody.DEFAULT_RESTITUTION;
          fixDef.friction = properties.friction || R.components.physics.BaseBody.DEFAULT_FRICTION;
          fixDef.density = properties.density || 1.0;
+         R.collision.CollisionLayers.applyToFixture(fixDef, properties.layer);
 
          var scaled = R.math.Point2D.create(pos.x, pos.y).div(R.physics.Simulation.WORLD_SIZE);
 
@@ -270,11 +561,12 @@ R.physics.Simulation = function() {
        *
        * @param pos {Point2D} The position where the body's center is located
        * @param radius {Point2D} The radius of the circle body
-       * @param properties {Object} An object with up to three properties: <ul>
+       * @param properties {Object} An object with any of the following properties: <ul>
        *       <li>restitution - The bounciness of the body</li>
        *         <li>friction - Friction against this body</li>
        *         <li>density - The density of the object (default: 0)</li>
-       *         <li>isStatic - <tt>false</tt> for a dynamic body (default: <tt>true</tt>)</li></ul>
+       *         <li>isStatic - <tt>false</tt> for a dynamic body (default: <tt>true</tt>)</li>
+       *         <li>layer - The name of a {@link R.collision.CollisionLayers collision layer}</li></ul>
        *
        * @return {b2BodyDef} A Box2D-JS body definition object representing the circle
        */
@@ -294,6 +586,7 @@ R.physics.Simulation = function() {
          fixDef.restitution = properties.restitution || R.components.physics.BaseBody.DEFAULT_RESTITUTION;
          fixDef.friction = properties.friction || R.components.physics.BaseBody.DEFAULT_FRICTION;
          fixDef.density = properties.density || 1.0;
+         R.collision.CollisionLayers.applyToFixture(fixDef, properties.layer);
 
          var scaled = R.math.Point2D.create(pos.x, pos.y).div(R.physics.Simulation.WORLD_SIZE);
 
@@ -303,6 +596,55 @@ R.physics.Simulation = function() {
          return this.addBody(bodyDef, fixDef);
       }
 
+      /* pragma:DEBUG_START */
+      /**
+       * Draw the enabled debug layers of the world.
+       * @private
+       */
+      ,drawDebug: function(renderContext) {
+         var S = R.physics.Simulation, flags = this.debugDraw, ws = S.WORLD_SIZE,
+             rect = R.math.Rectangle2D.create(0, 0, 1, 1), body, fixture, joint, contact, aabb;
+
+         renderContext.pushTransform();
+         renderContext.setLineWidth(1);
+
+         for (body = this.world.GetBodyList(); body; body = body.GetNext()) {
+            for (fixture = body.GetFixtureList(); fixture; fixture = fixture.GetNext()) {
+               if (flags & S.DEBUG_SHAPES) {
+                  renderContext.setLineStyle(S.getDebugColor(body));
+                  S.drawDebugShape(renderContext, body, fixture.GetShape());
+               }
+
+               if (flags & S.DEBUG_AABBS) {
+                  aabb = fixture.GetAABB();
+                  renderContext.setLineStyle(S.DEBUG_COLORS.aabb);
+                  renderContext.drawRectangle(rect.set(aabb.lowerBound.x * ws, aabb.lowerBound.y * ws,
+                        (aabb.upperBound.x - aabb.lowerBound.x) * ws, (aabb.upperBound.y - aabb.lowerBound.y) * ws));
+               }
+            }
+         }
+
+         if (flags & S.DEBUG_JOINTS) {
+            for (joint = this.world.GetJointList(); joint; joint = joint.GetNext()) {
+               S.drawDebugJoint(renderContext, joint);
+            }
+         }
+
+         if (flags & S.DEBUG_CONTACTS) {
+            renderContext.setLineStyle(S.DEBUG_COLORS.contact);
+            for (contact = this.world.GetContactList(); contact; contact = contact.GetNext()) {
+               if (contact.IsTouching()) {
+                  contact.GetWorldManifold(this.worldManifold);
+                  S.drawDebugContact(renderContext, this.worldManifold, contact.GetManifold().m_pointCount);
+               }
+            }
+         }
+
+         renderContext.popTransform();
+         rect.destroy();
+      }
+      /* pragma:DEBUG_END */
+
    }, /** @scope R.physics.Simulation.prototype */{
 
       /**
@@ -313,6 +655,141 @@ R.physics.Simulation = function() {
          return "R.physics.Simulation";
       },
 
+      /**
+       * Add the body component which owns a fixture to a list of bodies, if the fixture is
+       * in the category mask and the body isn't already in the list.
+       * @private
+       */
+      collectBody: function(fixture, mask, bodies) {
+         var body = fixture.GetBody().__$backRef$__;
+         if (body && (fixture.GetFilterData().categoryBits & mask) != 0 && R.engine.Support.indexOf(bodies, body) == -1) {
+            bodies.push(body);
+         }
+      },
+
+      /* pragma:DEBUG_START */
+      /**
+       * Get the color a body's shapes are drawn with, based on its type and state.
+       * @private
+       */
+      getDebugColor: function(body) {
+         var colors = R.physics.Simulation.DEBUG_COLORS;
+         if (!body.IsActive()) {
+            return colors.inactive;
+         } else if (body.GetType() == Box2D.Dynamics.b2Body.b2_staticBody) {
+            return colors["static"];
+         } else if (body.GetType() == Box2D.Dynamics.b2Body.b2_kinematicBody) {
+            return colors.kinematic;
+         } else {
+            return body.IsAwake() ? colors.awake : colors.asleep;
+         }
+      },
+
+      /**
+       * Draw the outline of a fixture's shape.  Circles are drawn with a line from their
+       * center to show the rotation of the body.
+       * @private
+       */
+      drawDebugShape: function(renderContext, body, shape) {
+         var ws = R.physics.Simulation.WORLD_SIZE, p, pts, verts;
+         if (shape.GetType() == Box2D.Collision.Shapes.b2Shape.e_circleShape) {
+            var center = R.physics.Simulation.toPixels(body.GetWorldPoint(shape.m_p)),
+                edge = R.physics.Simulation.toPixels(body.GetWorldVector(new Box2D.Common.Math.b2Vec2(shape.GetRadius(), 0)));
+            renderContext.drawCircle(center, shape.GetRadius() * ws);
+            renderContext.drawLine(center, edge.add(center));
+            center.destroy();
+            edge.destroy();
+         } else {
+            pts = [];
+            verts = shape.GetVertices();
+            for (p = 0; p < shape.GetVertexCount(); p++) {
+               pts.push(R.physics.Simulation.toPixels(body.GetWorldPoint(verts[p])));
+            }
+            renderContext.drawPolygon(pts);
+            for (p = 0; p < pts.length; p++) {
+               pts[p].destroy();
+            }
+         }
+      },
+
+      /**
+       * Draw a joint, its anchors, and its limits if they are enabled.
+       * @private
+       */
+      drawDebugJoint: function(renderContext, joint) {
+         var S = R.physics.Simulation, J = Box2D.Dynamics.Joints.b2Joint, type = joint.GetType(),
+             a = S.toPixels(joint.GetAnchorA()), b = S.toPixels(joint.GetAnchorB()),
+             xA = S.toPixels(joint.GetBodyA().GetPosition()), xB = S.toPixels(joint.GetBodyB().GetPosition()),
+             len = S.DEBUG_LIMIT_LENGTH, pt = R.math.Point2D.create(0, 0), angle, axis, p;
+
+         renderContext.setLineStyle(S.DEBUG_COLORS.joint);
+         if (type == J.e_distanceJoint || type == J.e_mouseJoint) {
+            renderContext.drawLine(a, b);
+         } else if (type == J.e_pulleyJoint) {
+            var gA = S.toPixels(joint.GetGroundAnchorA()), gB = S.toPixels(joint.GetGroundAnchorB());
+            renderContext.drawLine(gA, a);
+            renderContext.drawLine(gB, b);
+            renderContext.drawLine(gA, gB);
+            gA.destroy();
+            gB.destroy();
+         } else {
+            renderContext.drawLine(xA, a);
+            renderContext.drawLine(a, b);
+            renderContext.drawLine(b, xB);
+         }
+
+         renderContext.drawCircle(a, S.DEBUG_POINT_SIZE);
+         renderContext.drawCircle(b, S.DEBUG_POINT_SIZE);
+
+         renderContext.setLineStyle(S.DEBUG_COLORS.limit);
+         if (type == J.e_revoluteJoint && joint.IsLimitEnabled()) {
+            // The limits are relative to the angle of the first body
+            angle = joint.GetBodyA().GetAngle() + joint.m_referenceAngle;
+            renderContext.drawLine(a, pt.set(Math.cos(angle + joint.GetLowerLimit()), Math.sin(angle + joint.GetLowerLimit())).mul(len).add(a));
+            renderContext.drawLine(a, pt.set(Math.cos(angle + joint.GetUpperLimit()), Math.sin(angle + joint.GetUpperLimit())).mul(len).add(a));
+         } else if (type == J.e_prismaticJoint && joint.IsLimitEnabled()) {
+            // The limits are distances along the axis, through the first anchor
+            axis = joint.GetBodyA().GetWorldVector(joint.m_localXAxis1);
+            p = R.math.Point2D.create(axis.x, axis.y).mul(joint.GetLowerLimit() * S.WORLD_SIZE).add(a);
+            pt.set(axis.x, axis.y).mul(joint.GetUpperLimit() * S.WORLD_SIZE).add(a);
+            renderContext.drawLine(p, pt);
+            renderContext.drawCircle(p, S.DEBUG_POINT_SIZE);
+            renderContext.drawCircle(pt, S.DEBUG_POINT_SIZE);
+            p.destroy();
+         }
+
+         a.destroy();
+         b.destroy();
+         xA.destroy();
+         xB.destroy();
+         pt.destroy();
+      },
+
+      /**
+       * Draw the points of a contact, with the contact normal at each point.
+       * @private
+       */
+      drawDebugContact: function(renderContext, worldManifold, pointCount) {
+         var S = R.physics.Simulation, normal = worldManifold.m_normal,
+             end = R.math.Point2D.create(0, 0);
+         for (var p = 0; p < pointCount; p++) {
+            var pt = S.toPixels(worldManifold.m_points[p]);
+            renderContext.drawCircle(pt, S.DEBUG_POINT_SIZE);
+            renderContext.drawLine(pt, end.set(normal.x, normal.y).mul(S.DEBUG_NORMAL_LENGTH).add(pt));
+            pt.destroy();
+         }
+         end.destroy();
+      },
+
+      /**
+       * Convert a Box2d vector, in meters, to a point in pixels.
+       * @private
+       */
+      toPixels: function(vec) {
+         return R.math.Point2D.create(vec.x, vec.y).mul(R.physics.Simulation.WORLD_SIZE);
+      },
+      /* pragma:DEBUG_END */
+
       /**
        * Reusable definition for fixtures
        * @private
@@ -351,7 +828,72 @@ R.physics.Simulation = function() {
        * some truly odd behavior in the simulation.
        * @type {Number}
        */
-      FIXED_TIMESTEP: 1/60
+      FIXED_TIMESTEP: 1/60,
+
+      /**
+       * Debug drawing flag to draw the shapes of the bodies, colored by the type and
+       * state of each body.  See {@link #setDebugDraw}.
+       * @type {Number}
+       */
+      DEBUG_SHAPES: 1,
+
+      /**
+       * Debug drawing flag to draw the joints, their anchors and their limits
+       * @type {Number}
+       */
+      DEBUG_JOINTS: 2,
+
+      /**
+       * Debug drawing flag to draw the axis-aligned bounding box of each shape
+       * @type {Number}
+       */
+      DEBUG_AABBS: 4,
+
+      /**
+       * Debug drawing flag to draw the contact points and contact normals
+       * @type {Number}
+       */
+      DEBUG_CONTACTS: 8,
+
+      /**
+       * Debug drawing flag to draw every layer
+       * @type {Number}
+       */
+      DEBUG_ALL: 15,
+
+      /**
+       * The colors used to draw each part of the debug layers
+       * @type {Object}
+       */
+      DEBUG_COLORS: {
+         "static": "rgb(127,230,127)",
+         kinematic: "rgb(127,127,230)",
+         awake: "rgb(230,178,178)",
+         asleep: "rgb(153,153,153)",
+         inactive: "rgb(127,127,76)",
+         joint: "rgb(127,204,204)",
+         limit: "orange",
+         aabb: "rgb(230,76,230)",
+         contact: "red"
+      },
+
+      /**
+       * The size, in pixels, of anchor and contact points in the debug layers
+       * @type {Number}
+       */
+      DEBUG_POINT_SIZE: 2,
+
+      /**
+       * The length, in pixels, of contact normals in the debug layers
+       * @type {Number}
+       */
+      DEBUG_NORMAL_LENGTH: 10,
+
+      /**
+       * The length, in pixels, of the lines showing revolute joint limits in the debug layers
+       * @type {Number}
+       */
+      DEBUG_LIMIT_LENGTH: 15
 
    });
 };
@@ -49,7 +49,8 @@ R.Engine.define({
  * with it, the root of the scene graph is always located at {@link R.Engine#getDefaultContext}.
  *
  * @param contextName {String} The name of this context.  Default: RenderContext
- * @param [surface] {HTMLElement} The surface node that all objects will be rendered to.
+ * @param [surface] {HTMLElement} The surface node that all objects will be rendered to, or
+ *        <tt>null</tt> for a context which has no surface.
  * @extends R.struct.Container
  * @constructor
  * @description Creates a render context
@@ -66,6 +67,7 @@ R.rendercontexts.AbstractRenderContext = function() {
       worldRotation: null,
       worldScale: null,
       staticCtx: null,
+      camera: null,
       safeRemoveList: null,
       _handlers: null,
 
@@ -78,17 +80,22 @@ R.rendercontexts.AbstractRenderContext = function() {
          this.viewport = R.math.Rectangle2D.create(0, 0, 100, 100);
          this.expViewport = R.math.Rectangle2D.create(-25, -25, 125, 125);
          this.staticCtx = false;
+         this.camera = null;
          this.safeRemoveList = [];
          this._handlers = [];
 
          this.base(contextName || "RenderContext");
          this.surface = surface;
-         this.setElement(surface);
 
-         var pType = this.jQ().css("position");
-         if (pType === "" || pType === "auto" || pType === "static") {
-            // Make it relative so we can get it's offset in the document
-            this.jQ().css("position", "relative");
+         // Contexts which don't draw, such as the NullContext, have no surface
+         if (surface) {
+            this.setElement(surface);
+
+            var pType = this.jQ().css("position");
+            if (pType === "" || pType === "auto" || pType === "static") {
+               // Make it relative so we can get it's offset in the document
+               this.jQ().css("position", "relative");
+            }
          }
       },
 
@@ -103,6 +110,7 @@ R.rendercontexts.AbstractRenderContext = function() {
          this.worldPosition = null;
          this.worldRotation = null;
          this.staticCtx = null;
+         this.camera = null;
          this.safeRemoveList = null;
          this.viewport = null;
          this.expViewport = null;
@@ -117,6 +125,9 @@ R.rendercontexts.AbstractRenderContext = function() {
       destroy: function() {
          // Destroy all of the objects
          this.cleanUp();
+
+         // The camera belongs to whoever created it, so it is only detached
+         this.setCamera(null);
          this.surface = null;
          this.viewport.destroy();
          this.expViewport.destroy();
@@ -319,6 +330,26 @@ R.rendercontexts.AbstractRenderContext = function() {
          return this.worldBoundary;
       },
 
+      /**
+       * Set the camera which controls the view of the world.  The camera is updated
+       * before the context renders each frame, and sets the world position, scale,
+       * and viewport of the context.  The context doesn't take ownership of the camera,
+       * and won't destroy it when the context is destroyed.
+       *
+       * @param camera {R.objects.Camera} The camera, or <code>null</code> to control the view by hand
+       */
+      setCamera: function(camera) {
+         this.camera = camera;
+      },
+
+      /**
+       * Get the camera which controls the view of the world.
+       * @return {R.objects.Camera} The camera, or <code>null</code> if there isn't one
+       */
+      getCamera: function() {
+         return this.camera;
+      },
+
       /**
        * Set the viewport of the render context.  The viewport is a window
        * upon the world so that not all of the world is rendered at one time.
@@ -455,12 +486,57 @@ R.rendercontexts.AbstractRenderContext = function() {
        */
       update: function(parentContext, time, dt) {
          if (!this.staticCtx) {
+            if (this.camera) {
+               this.camera.update(this, time, dt);
+            }
+
             // Clear and render world
             this.reset();
             this.render(time, dt);
          }
       },
 
+      /**
+       * Run a fixed timestep simulation step on the objects in the context.  This is called
+       * by the engine, instead of {@link #update}, for each simulation step when the engine
+       * is in {@link R.Engine#setFixedTimestep fixed timestep} mode.  Nothing is drawn
+       * during a simulation step.  Static contexts are not simulated.
+       *
+       * @param parentContext {R.rendercontexts.AbstractRenderContext} A parent context, or <tt>null</tt>
+       * @param time {Number} The current simulation time in milliseconds from the engine.
+       * @param dt {Number} The duration of the simulation step in milliseconds.
+       */
+      simulate: function(parentContext, time, dt) {
+         if (this.staticCtx) {
+            return;
+         }
+
+         var objs = this.iterator();
+         while (objs.hasNext()) {
+            this.simulateObject(objs.next(), time, dt);
+         }
+         objs.destroy();
+
+         // Safely remove any objects that were removed from
+         // the context while it was simulating
+         if (this.safeRemoveList.length > 0) {
+            this._safeRemove();
+         }
+      },
+
+      /**
+       * Run a simulation step on a single object.  Only objects which have a
+       * <tt>simulate()</tt> method take part in the simulation.
+       * @param obj {R.engine.BaseObject} An object to simulate
+       * @param time {Number} The simulation time, in milliseconds
+       * @param dt {Number} The duration of the simulation step in milliseconds.
+       */
+      simulateObject: function(obj, time, dt) {
+         if (obj.simulate) {
+            obj.simulate(this, time, dt);
+         }
+      },
+
       /**
        * Called to render all of the objects to the context.
        *
@@ -160,9 +160,12 @@ R.rendercontexts.CanvasContext = function() {
        */
       reset: function(rect) {
          if (!R.Engine.options.useDirtyRectangles) {
-            var cRect = (rect != null ? rect : this.getViewport());
-            var d = cRect.get();
-            this.get2DContext().clearRect(d.x, d.y, d.w, d.h);
+            if (rect != null) {
+               this.get2DContext().clearRect(rect.x, rect.y, rect.w, rect.h);
+            } else {
+               // The viewport is in world coordinates, so clear the whole surface instead
+               this.get2DContext().clearRect(0, 0, this.getWidth(), this.getHeight());
+            }
          }
       },
 
@@ -428,8 +431,17 @@ R.rendercontexts.CanvasContext = function() {
        *          in milliseconds.
        */
       drawSprite: function(sprite, time, dt) {
-         var f = sprite.getFrame(time, dt);
-         this.get2DContext().drawImage(sprite.getSourceImage(), f.x, f.y, f.w, f.h, 0, 0, f.w, f.h);
+         var f = sprite.getFrame(time, dt), o = sprite.getFrameOffset(), ctx = this.get2DContext();
+         if (sprite.isFrameRotated()) {
+            // The frame is stored rotated clockwise, so turn it back as it's drawn
+            ctx.save();
+            ctx.translate(o.x, o.y + f.w);
+            ctx.rotate(-Math.PI / 2);
+            ctx.drawImage(sprite.getSourceImage(), f.x, f.y, f.w, f.h, 0, 0, f.w, f.h);
+            ctx.restore();
+         } else {
+            ctx.drawImage(sprite.getSourceImage(), f.x, f.y, f.w, f.h, o.x, o.y, f.w, f.h);
+         }
          this.base(sprite, time);
          f.destroy();
       },
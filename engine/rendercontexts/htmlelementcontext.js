@@ -462,11 +462,17 @@ R.rendercontexts.HTMLElementContext = function(){
 			// will give us a reference to the HTML element which we can then
 			// just modify the displayed image for.  If no ref was provided,
          // create a new image.
-         var obj = ref && ref.jQ() ? ref.jQ() : this._createElement("<div>");
+         var obj = ref && ref.jQ() ? ref.jQ() : this._createElement("<div>"),
+             o = sprite.getFrameOffset();
 
+         // Trimmed atlas frames are moved to where they were trimmed from.  Rotated
+         // atlas frames can't be turned back with a background image.
+         AssertWarn(!sprite.isFrameRotated(), "HTMLElementContext cannot draw rotated sprite frames");
          var css = this._mergeTransform(ref, {
             width: f.w,
             height: f.h,
+            marginLeft: o.x,
+            marginTop: o.y,
             backgroundPosition: -f.x + "px " + -f.y + "px",
             backgroundImage: 'url:(' + sprite.getSourceImage().src + ')'
          });
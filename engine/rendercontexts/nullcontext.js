@@ -0,0 +1,128 @@
+/**
+ * The Render Engine
+ * NullContext
+ *
+ * @fileoverview A render context which has no surface and does no drawing.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.rendercontexts.NullContext",
+   "requires": [
+      "R.rendercontexts.RenderContext2D",
+      "R.math.Rectangle2D",
+      "R.struct.MouseInfo",
+      "R.struct.TouchInfo"
+   ]
+});
+
+/**
+ * @class A render context which has no surface and does no drawing.  Objects added to
+ *        the context are updated, and simulated, just as they would be in any other 2D
+ *        context, but every drawing method is a no-op.  This is the engine's default context
+ *        when it is running headless, such as under Node, where there is no DOM to render to.
+ *        It can also be used in the browser to run game logic that shouldn't be displayed.
+ *        <p/>
+ *        Mouse and touch capturing only create the {@link R.struct.MouseInfo} and
+ *        {@link R.struct.TouchInfo} objects, since there are no DOM events to listen for.
+ *        Input can be delivered to objects in the context with the {@link R.engine.InputRecorder}.
+ *
+ * @param [name=NullContext] {String} The name of the context
+ * @param [width=0] {Number} The width of the context's viewport, in pixels
+ * @param [height=0] {Number} The height of the context's viewport, in pixels
+ * @extends R.rendercontexts.RenderContext2D
+ * @constructor
+ * @description Create a render context which does no drawing.
+ */
+R.rendercontexts.NullContext = function() {
+   return R.rendercontexts.RenderContext2D.extend(/** @scope R.rendercontexts.NullContext.prototype */{
+
+      /** @private */
+      constructor: function(name, width, height) {
+         this.setWidth(width || 0);
+         this.setHeight(height || 0);
+         this.base(name || "NullContext", null);
+         this.setViewport(R.math.Rectangle2D.create(0, 0, this.getWidth(), this.getHeight()));
+      },
+
+      /**
+       * Create the mouse info object for the context.  There are no mouse events
+       * to capture, so the mouse info is only changed by playing back input.
+       */
+      captureMouse: function() {
+         if (!this.getMouseInfo()) {
+            this.setObjectDataModel(R.rendercontexts.AbstractRenderContext.MOUSE_DATA_MODEL,
+                  R.struct.MouseInfo.create());
+         }
+      },
+
+      /**
+       * There are no mouse events to stop capturing.
+       */
+      uncaptureMouse: function() {
+      },
+
+      /**
+       * Create the touch info object for the context.  There are no touch events
+       * to capture, so the touch info is only changed by playing back input.
+       */
+      captureTouch: function() {
+         if (!this.getTouchInfo()) {
+            this.setObjectDataModel(R.rendercontexts.AbstractRenderContext.TOUCH_DATA_MODEL,
+                  R.struct.TouchInfo.create());
+         }
+      },
+
+      /**
+       * There are no touch events to stop capturing.
+       */
+      uncaptureTouch: function() {
+      },
+
+      /**
+       * Reset the context.  There is no surface to clear.
+       * @param rect {R.math.Rectangle2D} Ignored
+       */
+      reset: function(rect) {
+      }
+
+   }, /** @scope R.rendercontexts.NullContext.prototype */{
+
+      /**
+       * Get the class name of this object
+       *
+       * @return {String} "R.rendercontexts.NullContext"
+       */
+      getClassName: function() {
+         return "R.rendercontexts.NullContext";
+      },
+
+      // The engine looks for this field to know when to startup
+      started: true
+   });
+};
@@ -220,7 +220,8 @@ R.rendercontexts.RenderContext2D = function() {
          if (oldBin != R.rendercontexts.RenderContext2D.NO_ZBIN) {
             // Remove the object from the old zBin
             zBin = this.zBins[oldBin];
-            zBin.remove(obj);
+            zBin.all.remove(obj);
+            R.engine.Support.arrayRemove(zBin.vis, obj);
          }
 
          // We'll need to know the sorted order of bin numbers since there may be gaps
@@ -287,6 +288,31 @@ R.rendercontexts.RenderContext2D = function() {
          }
       },
 
+      /**
+       * Run a fixed timestep simulation step on the objects in the context.  Only
+       * objects within the expanded viewport, or which are kept alive, are simulated.
+       *
+       * @param parentContext {R.rendercontexts.AbstractRenderContext} A parent context, or <tt>null</tt>
+       * @param time {Number} The current simulation time in milliseconds from the engine.
+       * @param dt {Number} The duration of the simulation step in milliseconds.
+       */
+      simulate: function(parentContext, time, dt) {
+         if (this.staticCtx) {
+            return;
+         }
+
+         for (var zbin in this.zBins.activeBins) {
+            this.processBin(this.zBins.activeBins[zbin]);
+            R.engine.Support.forEach(this.zBins[this.zBins.activeBins[zbin]].vis, function(e) {
+               this.simulateObject(e, time, dt);
+            }, this);
+         }
+
+         if (this.safeRemoveList.length > 0) {
+            this._safeRemove();
+         }
+      },
+
       /**
        * A rendering function to perform in world coordinates.  After the world has
        * been rendered, and all transformations have been reset to world coordinates,
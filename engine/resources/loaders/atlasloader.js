@@ -0,0 +1,281 @@
+/**
+ * The Render Engine
+ * AtlasLoader
+ *
+ * @fileoverview An extension of the sprite loader which imports texture
+ *               atlases written by sprite packing tools.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1556 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+	"class": "R.resources.loaders.AtlasLoader",
+	"requires": [
+		"R.resources.loaders.SpriteLoader"
+	]
+});
+
+/**
+ * @class Loads texture atlases written by sprite packing tools, such as TexturePacker, and
+ *        makes their frames available as {@link R.resources.types.Sprite sprites}.  Three
+ *        formats are supported:
+ *        <ul>
+ *           <li><b>JSON (hash)</b> - The "frames" of the file are an object keyed by frame name</li>
+ *           <li><b>JSON (array)</b> - The "frames" of the file are an array, and each frame
+ *              has a "filename"</li>
+ *           <li><b>Sparrow/Starling XML</b> - A <tt>TextureAtlas</tt> element containing
+ *              <tt>SubTexture</tt> elements.  Files ending with ".xml" are read as XML.</li>
+ *        </ul>
+ *        Frames which were trimmed of their transparent edges, rotated to pack them more
+ *        tightly, or given a pivot point are all supported.  Each frame is available as a
+ *        single frame sprite by the name it has in the atlas.  Frames whose names end with
+ *        a number, such as "walk_01.png" and "walk_02.png", are also collected into an
+ *        animation named by the rest of the name ("walk").  Animations listed in the
+ *        "animations" of a JSON atlas, or passed as an option, replace those found by name.
+ * <pre>
+ *    var loader = R.resources.loaders.AtlasLoader.create();
+ *    loader.load("hero", game.getFilePath("resources/hero.json"), {
+ *       speed: 120,
+ *       mode: "loop",
+ *       animations: {
+ *          "jump": ["hero_jump1.png", "hero_jump2.png", "hero_land.png"]
+ *       }
+ *    });
+ *
+ *    // Once the loader is ready
+ *    actor.setSprite(loader.getSprite("hero", "walk"));
+ * </pre>
+ *        The atlas is converted to a version 3 sprite definition, which is described with
+ *        the {@link R.resources.loaders.SpriteLoader}.
+ *
+ * @constructor
+ * @param name {String=AtlasLoader} The name of the resource loader
+ * @extends R.resources.loaders.SpriteLoader
+ */
+R.resources.loaders.AtlasLoader = function(){
+	return R.resources.loaders.SpriteLoader.extend(/** @scope R.resources.loaders.AtlasLoader.prototype */{
+
+		/** @private */
+		constructor: function(name){
+			this.base(name || "AtlasLoader");
+		},
+
+		/**
+		 * Load a texture atlas from a URL.  The options can contain the default <tt>speed</tt>
+		 * (in milliseconds per frame) and <tt>mode</tt> ("loop", "toggle", or "once") of the
+		 * animations, and <tt>animations</tt> which maps animation names to arrays of frame names.
+		 *
+		 * @param name {String} The name of the resource
+		 * @param url {String} The URL where the atlas file is located
+		 * @param [options] {Object} Options for the animations in the atlas
+		 */
+		load: function(name, url, options /*, path */){
+			if (arguments[3]) {
+				// 2nd pass - the atlas has been converted to a sprite definition
+				this.base(name, url, options, arguments[3]);
+				return;
+			}
+
+			var loc = window.location;
+			if (url.indexOf(loc.protocol) != -1 && url.indexOf(loc.hostname) == -1) {
+				Assert(false, "Sprites must be located on this server");
+			}
+
+			this.queuedSprites++;
+			options = options || {};
+			var thisObj = this, path = url.substring(0, url.lastIndexOf("/")) + "/",
+				 loaded = function(info) {
+					 thisObj.load(name, url, info, path);
+					 thisObj.afterLoad(name, info, path);
+				 };
+
+			// Get the file from the server
+			if (/\.xml(\?|$)/i.test(url)) {
+				$.get(url, function(doc){
+					loaded(R.resources.loaders.AtlasLoader.fromSparrow(doc, options));
+				}, "xml");
+			} else {
+				R.engine.Script.loadJSON(url, function(atlas){
+					loaded(R.resources.loaders.AtlasLoader.fromJSON(atlas, options));
+				});
+			}
+		}
+
+	}, /** @scope R.resources.loaders.AtlasLoader.prototype */ {
+		/**
+		 * Get the class name of this object.
+		 * @return {String} The string "R.resources.loaders.AtlasLoader"
+		 */
+		getClassName: function(){
+			return "R.resources.loaders.AtlasLoader";
+		},
+
+		/**
+		 * Convert a JSON texture atlas, in either the hash or array format, to a
+		 * version 3 sprite definition.
+		 *
+		 * @param atlas {Object} The parsed atlas file
+		 * @param [options] {Object} Options for the animations in the atlas
+		 * @return {Object} The sprite definition
+		 */
+		fromJSON: function(atlas, options){
+			var frames = {}, names = [], meta = atlas.meta || {};
+
+			var addFrame = function(name, data) {
+				var f = data.frame, rotated = !!data.rotated,
+					 def = {
+						 frame: rotated ? [f.x, f.y, f.h, f.w] : [f.x, f.y, f.w, f.h],
+						 rotated: rotated
+					 };
+
+				if (data.spriteSourceSize) {
+					def.offset = [data.spriteSourceSize.x, data.spriteSourceSize.y];
+				}
+				def.size = data.sourceSize ? [data.sourceSize.w, data.sourceSize.h] : [f.w, f.h];
+				if (data.pivot) {
+					// Pivots are stored as a fraction of the frame size
+					def.pivot = [data.pivot.x * def.size[0], data.pivot.y * def.size[1]];
+				}
+
+				frames[name] = def;
+				names.push(name);
+			};
+
+			if (R.isArray(atlas.frames)) {
+				R.engine.Support.forEach(atlas.frames, function(data){
+					addFrame(data.filename, data);
+				});
+			} else {
+				for (var f in atlas.frames) {
+					addFrame(f, atlas.frames[f]);
+				}
+			}
+
+			return R.resources.loaders.AtlasLoader.buildDefinition(meta.image,
+					meta.size ? [meta.size.w, meta.size.h] : null, frames, names, atlas.animations, options);
+		},
+
+		/**
+		 * Convert a Sparrow (or Starling) XML texture atlas to a version 3 sprite definition.
+		 *
+		 * @param doc {Document} The XML document
+		 * @param [options] {Object} Options for the animations in the atlas
+		 * @return {Object} The sprite definition
+		 */
+		fromSparrow: function(doc, options){
+			var frames = {}, names = [], atlas = $(doc).find("TextureAtlas"),
+				 num = function(el, attr) {
+					 return parseFloat(el.attr(attr));
+				 };
+
+			atlas.find("SubTexture").each(function(){
+				var el = $(this), rotated = (el.attr("rotated") == "true"),
+					 def = {
+						 frame: [num(el, "x"), num(el, "y"), num(el, "width"), num(el, "height")],
+						 rotated: rotated
+					 };
+
+				if (el.attr("frameX") !== undefined) {
+					// The frame position is the negative of the offset of the trimmed frame
+					def.offset = [-num(el, "frameX"), -num(el, "frameY")];
+					def.size = [num(el, "frameWidth"), num(el, "frameHeight")];
+				}
+				if (el.attr("pivotX") !== undefined) {
+					def.pivot = [num(el, "pivotX"), num(el, "pivotY")];
+				}
+
+				frames[el.attr("name")] = def;
+				names.push(el.attr("name"));
+			});
+
+			return R.resources.loaders.AtlasLoader.buildDefinition(atlas.attr("imagePath"), null,
+					frames, names, null, options);
+		},
+
+		/**
+		 * Build the sprite definition from the frames of an atlas, collecting numbered
+		 * frames into animations.
+		 * @private
+		 */
+		buildDefinition: function(image, size, frames, names, animations, options){
+			options = options || {};
+			var sprites = {}, found = {}, n, m, anim;
+
+			for (n = 0; n < names.length; n++) {
+				sprites[names[n]] = frames[names[n]];
+
+				// Find the frames whose names end with a number
+				m = /^(.*?)[_\-\. \/]?(\d+)$/.exec(names[n].replace(/\.[^.\/]+$/, ""));
+				if (m && m[1].length > 0 && !frames[m[1]]) {
+					found[m[1]] = found[m[1]] || [];
+					found[m[1]].push({ name: names[n], index: parseInt(m[2], 10) });
+				}
+			}
+
+			var makeAnimation = function(frameNames) {
+				var animFrames = [];
+				for (var f = 0; f < frameNames.length; f++) {
+					Assert(frames[frameNames[f]], "Atlas animation refers to unknown frame: " + frameNames[f]);
+					animFrames.push(frames[frameNames[f]]);
+				}
+				return {
+					frames: animFrames,
+					speed: options.speed || R.resources.types.Sprite.DEFAULT_SPEED,
+					mode: options.mode || "loop"
+				};
+			};
+
+			for (anim in found) {
+				if (found[anim].length > 1) {
+					found[anim].sort(function(a, b) {
+						return a.index - b.index;
+					});
+					var frameNames = [];
+					R.engine.Support.forEach(found[anim], function(f) {
+						frameNames.push(f.name);
+					});
+					sprites[anim] = makeAnimation(frameNames);
+				}
+			}
+
+			// Animations which were named explicitly
+			for (anim in animations) {
+				sprites[anim] = makeAnimation(animations[anim]);
+			}
+			for (anim in options.animations) {
+				sprites[anim] = makeAnimation(options.animations[anim]);
+			}
+
+			return {
+				bitmapImage: image,
+				bitmapSize: size,
+				version: 3,
+				sprites: sprites
+			};
+		}
+	});
+};
@@ -86,13 +86,26 @@ R.resources.loaders.LevelLoader = function(){
 
          // Levels actually deserialize themselves, so we just wire to the level's "loaded" event
          var self = this;
-         this.levels[name] = R.resources.types.Level.deserialize(obj);
+         this.levels[name] = this.createLevel(name, obj);
          this.levels[name].addEvent(this, "loaded", function() {
             self.queuedLevels--;
             self.setReady(name, true);
          });
       },
 
+      /**
+       * Create the level from the loaded object.  The level must trigger its "loaded"
+       * event when it, and all of its resources, are ready.  Loaders for other level
+       * formats override this method to convert the object they loaded.
+       *
+       * @param name {String} The name of the level
+       * @param obj {Object} The object which was loaded
+       * @return {R.resources.types.Level}
+       */
+      createLevel: function(name, obj) {
+         return R.resources.types.Level.deserialize(obj);
+      },
+
 		/**
 		 * Creates a {@link R.resources.types.Level} object representing the named level.
 		 *
@@ -44,8 +44,8 @@ R.Engine.define({
  * 		 system.  Sounds resource that are loaded are cached with the loader.
  *
  * @constructor
- * @param soundSystem {R.sound.AbstractSoundSystem} A sound system instance, either {@link R.sound.SM2} or
- * 	{@link R.sound.HTML5}.
+ * @param soundSystem {R.sound.AbstractSoundSystem} A sound system instance, either {@link R.sound.WebAudio},
+ * 	{@link R.sound.SM2}, or {@link R.sound.HTML5}.
  * @extends R.resources.loaders.RemoteLoader
  */
 R.resources.loaders.SoundLoader = function(){
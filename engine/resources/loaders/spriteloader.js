@@ -74,6 +74,28 @@ R.Engine.define({
  *        <i>Note:</i> The new file structure is a bit more compact, and is indicated with
  *        the "version" key in the file, set to the value 2.  Version 1 will be deprecated
  *        and will not be supported in a future release of The Render Engine.
+ *        <p/>
+ *        Version 3 describes sprites packed into a texture atlas, where frames can be any
+ *        size and anywhere in the bitmap.  Each frame gives its area in the bitmap, and
+ *        optionally whether it is stored rotated 90 degrees clockwise, the offset and
+ *        size of the frame before transparent pixels were trimmed from it, and a pivot
+ *        point.  Animations list their frames, with an optional speed and mode.  The
+ *        {@link R.resources.loaders.AtlasLoader} creates version 3 definitions from the
+ *        files written by texture packing tools.
+ * <pre>
+ * {
+ *    "bitmapImage": "atlas.png",
+ *    "bitmapSize": [512, 512],
+ *    "version": 3,
+ *    "sprites": {
+ *        "stand": { "frame": [0, 0, 30, 28], "offset": [1, 4], "size": [32, 32], "pivot": [16, 32] },
+ *        "walk": { "frames": [
+ *           { "frame": [30, 0, 28, 30], "rotated": true },
+ *           { "frame": [58, 0, 32, 30] }
+ *        ], "speed": 150, "mode": "loop" }
+ *    }
+ * }
+ * </pre>
  *
  * @constructor
  * @param name {String=SpriteLoader} The name of the resource loader
@@ -125,8 +147,9 @@ R.resources.loaders.SpriteLoader = function(){
 				// Load the sprite image file
 				if (!info.version || info.version == 1) {
 					this.base(name, info.bitmapImage, info.bitmapWidth, info.bitmapHeight);
-				} else if (info.version == 2) {
-					this.base(name, info.bitmapImage, info.bitmapSize[0], info.bitmapSize[1]);
+				} else {
+					this.base(name, info.bitmapImage, info.bitmapSize ? info.bitmapSize[0] : null,
+						info.bitmapSize ? info.bitmapSize[1] : null);
 				}
 				
 				// Store the sprite info
@@ -140,6 +163,22 @@ R.resources.loaders.SpriteLoader = function(){
 			}
 		},
 
+		/**
+		 * Load a sprite resource from a definition which has already been created, rather
+		 * than fetching it from the server.  This is used by loaders which convert other
+		 * formats into sprite definitions.
+		 *
+		 * @param name {String} The name of the resource
+		 * @param url {String} The URL to associate with the resource
+		 * @param info {Object} The sprite definition
+		 * @param path {String} The path the bitmap image is relative to, ending with a slash
+		 */
+		loadDefinition: function(name, url, info, path) {
+			this.queuedSprites++;
+			this.load(name, url, info, path);
+			this.afterLoad(name, info, path);
+		},
+
 		/**
 		 * Called after the data has been loaded, passing along the info object and name
 		 * of the sprite resource.
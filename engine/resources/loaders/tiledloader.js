@@ -0,0 +1,709 @@
+/**
+ * The Render Engine
+ * TiledLoader
+ *
+ * @fileoverview An extension of the level loader which imports maps
+ *               created with the Tiled map editor.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1556 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+	"class": "R.resources.loaders.TiledLoader",
+	"requires": [
+		"R.resources.loaders.LevelLoader",
+		"R.resources.types.Level",
+		"R.resources.types.TileMap",
+		"R.objects.SpriteActor",
+		"R.objects.Fixture",
+		"R.math.Rectangle2D",
+		"R.lang.Timeout",
+		"R.util.Inflate"
+	]
+});
+
+/**
+ * @class Loads maps created with the <a href="http://www.mapeditor.org">Tiled</a> map editor,
+ *        saved either as TMX (XML) or as JSON, and converts them to {@link R.resources.types.Level levels}.
+ *        Files ending with ".tmx" are read as XML.  Only orthogonal maps of a fixed size
+ *        are supported.  The parts of the map are converted as follows:
+ *        <ul>
+ *           <li><b>Tilesets</b> become tile resources in the level's tile loader, with a
+ *              tile for each tile in the tileset, named by its id within the tileset.  Tile
+ *              animations become animated tiles, which run at the speed of their first frame.
+ *              Tilesets in external files (".tsx" or ".json") are loaded with the map.
+ *              Tilesets made of a collection of images are not supported.</li>
+ *           <li><b>Tile layers</b> become {@link R.resources.types.TileMap tile maps}.  Layers
+ *              named "background", "playfield", and "foreground" fill the level's tile maps
+ *              of the same name, and other layers are added to the level.  Each tile map is
+ *              given a z-index from the position of its layer in the map, unless the layer
+ *              has a "zIndex" property, and the layer's parallax factor is converted to the
+ *              tile map's parallax.  Layer data may be stored as CSV, or base64 encoded and
+ *              optionally compressed with zlib or gzip.  Layers which are hidden are skipped.</li>
+ *           <li><b>Object layers</b> become actors and fixtures.  Tile objects, and objects
+ *              with a "sprite" property (in the form "resource:sprite"), become
+ *              {@link R.objects.SpriteActor sprite actors}.  Their "actorId" and "bitMask"
+ *              properties set the actor's id and collision mask, properties named for an
+ *              actor script (such as "onInit") set the script, and any other properties become
+ *              actor variables.  Other rectangles, ellipses, and polygons become
+ *              {@link R.objects.Fixture fixtures} the size of their bounds.  Objects with the
+ *              type (or class) "trigger" become trigger fixtures, with the script in their
+ *              "action" property.</li>
+ *        </ul>
+ * <pre>
+ *    var loader = R.resources.loaders.TiledLoader.create();
+ *    loader.load("level1", game.getFilePath("resources/level1.tmx"), {
+ *       // Loaders for the sprites named by "sprite" properties
+ *       spriteLoaders: [game.spriteLoader]
+ *    });
+ *
+ *    // Once the loader is ready
+ *    var level = loader.getLevel("level1");
+ *    level.setRenderContext(game.renderContext);
+ * </pre>
+ *
+ * @constructor
+ * @param name {String=TiledLoader} The name of the resource loader
+ * @extends R.resources.loaders.LevelLoader
+ */
+R.resources.loaders.TiledLoader = function(){
+	return R.resources.loaders.LevelLoader.extend(/** @scope R.resources.loaders.TiledLoader.prototype */{
+
+		options: null,
+		urls: null,
+
+		/** @private */
+		constructor: function(name){
+			this.base(name || "TiledLoader");
+			this.options = {};
+			this.urls = {};
+		},
+
+		/**
+		 * Load a Tiled map from a URL.
+		 *
+		 * @param name {String} The name of the level
+		 * @param url {String} The URL where the map is located
+		 * @param [options] {Object} Options for the import.  <tt>spriteLoaders</tt> is an array
+		 *    of sprite loaders which contain the sprites named by object properties.
+		 */
+		load: function(name, url, options /*, map */){
+			if (arguments[3] !== undefined) {
+				// 2nd pass - the map and its tilesets are loaded
+				this.base(name, url, arguments[3]);
+				return;
+			}
+
+			var loc = window.location;
+			if (url.indexOf(loc.protocol) != -1 && url.indexOf(loc.hostname) == -1) {
+				Assert(false, "Maps must be located on this server");
+			}
+
+			this.queuedLevels++;
+			this.options[name] = options || {};
+			this.urls[name] = url;
+
+			var thisObj = this, path = url.substring(0, url.lastIndexOf("/") + 1);
+
+			// Get the file from the server
+			R.resources.loaders.TiledLoader.loadFile(url, R.resources.loaders.TiledLoader.fromTMX, function(map) {
+				// Load any tilesets which are stored in external files
+				var pending = 1, done = function() {
+					if (--pending == 0) {
+						thisObj.load(name, url, null, map);
+					}
+				};
+
+				R.engine.Support.forEach(map.tilesets, function(tileset, idx) {
+					if (!tileset.source) {
+						return;
+					}
+
+					pending++;
+					R.resources.loaders.TiledLoader.loadFile(path + tileset.source,
+						R.resources.loaders.TiledLoader.parseTileset, function(external) {
+							// The image is relative to the tileset file
+							external.image = tileset.source.substring(0, tileset.source.lastIndexOf("/") + 1) +
+								external.image;
+							map.tilesets[idx] = $.extend(external, { firstgid: tileset.firstgid });
+							done();
+						});
+				});
+				done();
+			});
+		},
+
+		/**
+		 * Convert the loaded map into a level.
+		 * @private
+		 */
+		createLevel: function(name, map) {
+			return R.resources.loaders.TiledLoader.toLevel(name, map, this.urls[name], this.options[name]);
+		}
+
+	}, /** @scope R.resources.loaders.TiledLoader.prototype */ {
+		/**
+		 * Get the class name of this object.
+		 * @return {String} The string "R.resources.loaders.TiledLoader"
+		 */
+		getClassName: function(){
+			return "R.resources.loaders.TiledLoader";
+		},
+
+		/**
+		 * Load a Tiled file, either as XML which is converted with the given function,
+		 * or as JSON.
+		 * @private
+		 */
+		loadFile: function(url, fromXML, callback) {
+			if (/\.(tmx|tsx)(\?|$)/i.test(url)) {
+				$.get(url, function(doc) {
+					callback(fromXML($(doc).children().get(0)));
+				}, "xml");
+			} else {
+				R.engine.Script.loadJSON(url, function(data) {
+					if (data) {
+						callback(data);
+					} else {
+						R.debug.Console.error("File at '" + url + "' returned no data.");
+					}
+				});
+			}
+		},
+
+		/**
+		 * Convert the root element of a TMX document into the same structure as a map
+		 * saved as JSON.  Layer data is left in its encoded form.
+		 *
+		 * @param el {Element} The <tt>map</tt> element
+		 * @return {Object} The map
+		 */
+		fromTMX: function(el) {
+			var Tiled = R.resources.loaders.TiledLoader, map = Tiled.readAttributes(el);
+			map.properties = Tiled.readProperties(el);
+			map.tilesets = [];
+			$(el).children("tileset").each(function() {
+				map.tilesets.push(Tiled.parseTileset(this));
+			});
+			map.layers = Tiled.readLayers(el);
+			return map;
+		},
+
+		/**
+		 * Read the layers which are children of an element in a TMX document.
+		 * @private
+		 */
+		readLayers: function(el) {
+			var Tiled = R.resources.loaders.TiledLoader, layers = [];
+			$(el).children("layer,objectgroup,group,imagelayer").each(function() {
+				var layer = Tiled.readAttributes(this);
+				layer.type = Tiled.LAYER_TYPES[this.nodeName];
+				layer.properties = Tiled.readProperties(this);
+
+				if (this.nodeName == "layer") {
+					// Data is either encoded text, or a list of tiles
+					var data = $(this).children("data");
+					layer.encoding = data.attr("encoding") || null;
+					layer.compression = data.attr("compression") || null;
+					if (layer.encoding) {
+						layer.data = data.text();
+					} else {
+						layer.data = [];
+						data.children("tile").each(function() {
+							layer.data.push(Number($(this).attr("gid") || 0));
+						});
+					}
+				} else if (this.nodeName == "objectgroup") {
+					layer.objects = [];
+					$(this).children("object").each(function() {
+						var obj = Tiled.readAttributes(this), shape = $(this);
+						obj.properties = Tiled.readProperties(this);
+						obj.ellipse = shape.children("ellipse").length > 0;
+						obj.point = shape.children("point").length > 0;
+						if (shape.children("polygon,polyline").length > 0) {
+							obj.polygon = [];
+							R.engine.Support.forEach(shape.children("polygon,polyline").attr("points").split(" "), function(pt) {
+								pt = pt.split(",");
+								obj.polygon.push({ x: Number(pt[0]), y: Number(pt[1]) });
+							});
+						}
+						layer.objects.push(obj);
+					});
+				} else if (this.nodeName == "group") {
+					layer.layers = Tiled.readLayers(this);
+				}
+
+				layers.push(layer);
+			});
+			return layers;
+		},
+
+		/**
+		 * Convert a <tt>tileset</tt> element, either within a TMX document or at the root
+		 * of a TSX document, into the same structure as a tileset saved as JSON.  A tileset
+		 * which is already an object is returned as it is.
+		 *
+		 * @param el {Element|Object} The <tt>tileset</tt> element
+		 * @return {Object} The tileset
+		 */
+		parseTileset: function(el) {
+			if (!el.nodeName) {
+				return el;
+			}
+
+			var Tiled = R.resources.loaders.TiledLoader, tileset = Tiled.readAttributes(el),
+				 image = $(el).children("image");
+
+			tileset.properties = Tiled.readProperties(el);
+			if (image.length > 0) {
+				tileset.image = image.attr("source");
+				tileset.imagewidth = Number(image.attr("width"));
+				tileset.imageheight = Number(image.attr("height"));
+			}
+
+			tileset.tiles = [];
+			$(el).children("tile").each(function() {
+				var tile = { id: Number($(this).attr("id")), properties: Tiled.readProperties(this) },
+					 frames = $(this).children("animation").children("frame");
+				if (frames.length > 0) {
+					tile.animation = [];
+					frames.each(function() {
+						tile.animation.push({ tileid: Number($(this).attr("tileid")),
+							duration: Number($(this).attr("duration")) });
+					});
+				}
+				tileset.tiles.push(tile);
+			});
+			return tileset;
+		},
+
+		/**
+		 * Read the attributes of an element, converting numbers.
+		 * @private
+		 */
+		readAttributes: function(el) {
+			var obj = {}, attr, value;
+			for (var a = 0; a < el.attributes.length; a++) {
+				attr = el.attributes[a];
+				value = attr.value;
+				obj[attr.name] = (value !== "" && !isNaN(value) && !R.resources.loaders.TiledLoader.TEXT_ATTRIBUTES[attr.name]) ?
+					Number(value) : value;
+			}
+			return obj;
+		},
+
+		/**
+		 * Read the <tt>properties</tt> of an element into an object.
+		 * @private
+		 */
+		readProperties: function(el) {
+			var props = [];
+			$(el).children("properties").children("property").each(function() {
+				var p = $(this);
+				props.push({
+					name: p.attr("name"),
+					type: p.attr("type") || "string",
+					// Multi-line strings are stored as the text of the property
+					value: p.attr("value") !== undefined ? p.attr("value") : p.text()
+				});
+			});
+			return props;
+		},
+
+		/**
+		 * Get the custom properties of a part of a map as an object of names and values.
+		 * Properties can be in either the form used by current versions of Tiled, an array
+		 * of names, types, and values, or the form used by older versions, an object of
+		 * names and values.
+		 *
+		 * @param obj {Object} The map, tileset, layer, or object
+		 * @return {Object}
+		 */
+		getProperties: function(obj) {
+			var props = {}, p, prop, value;
+			if (!obj.properties) {
+				return props;
+			}
+
+			if (!R.isArray(obj.properties)) {
+				return $.extend(props, obj.properties);
+			}
+
+			for (p = 0; p < obj.properties.length; p++) {
+				prop = obj.properties[p];
+				value = prop.value;
+				if (typeof value == "string") {
+					// Values read from TMX are all strings
+					if (prop.type == "int" || prop.type == "float" || prop.type == "object") {
+						value = Number(value);
+					} else if (prop.type == "bool") {
+						value = (value == "true");
+					}
+				}
+				props[prop.name] = value;
+			}
+			return props;
+		},
+
+		/**
+		 * Decode the tiles of a tile layer, returning an array of global tile ids with
+		 * one entry for each tile in the layer.  The ids still include the bits that
+		 * indicate how a tile is flipped.
+		 *
+		 * @param layer {Object} The tile layer
+		 * @return {Array}
+		 */
+		decodeLayerData: function(layer) {
+			var data = layer.data, gids = [], b;
+			if (R.isArray(data)) {
+				return data;
+			}
+
+			if (layer.encoding == "csv") {
+				R.engine.Support.forEach($.trim(data).split(","), function(gid) {
+					gids.push(Number($.trim(gid)));
+				});
+				return gids;
+			}
+
+			Assert(layer.encoding == "base64", "Unknown encoding '" + layer.encoding + "' for layer '" + layer.name + "'");
+			var bytes = R.util.Inflate.decodeBase64(data);
+			if (layer.compression == "zlib") {
+				bytes = R.util.Inflate.zlib(bytes);
+			} else if (layer.compression == "gzip") {
+				bytes = R.util.Inflate.gunzip(bytes);
+			} else {
+				Assert(!layer.compression, "Unsupported compression '" + layer.compression + "' for layer '" + layer.name + "'");
+			}
+
+			// Each id is an unsigned, little-endian, 32-bit integer
+			for (b = 0; b < bytes.length; b += 4) {
+				gids.push((bytes[b] | (bytes[b + 1] << 8) | (bytes[b + 2] << 16) | (bytes[b + 3] << 24)) >>> 0);
+			}
+			return gids;
+		},
+
+		/**
+		 * Create a tile definition, as read by the {@link R.resources.loaders.TileLoader},
+		 * from a tileset.
+		 *
+		 * @param tileset {Object} The tileset
+		 * @return {Object} The tile definition
+		 */
+		toTileDefinition: function(tileset) {
+			var props = R.resources.loaders.TiledLoader.getProperties(tileset),
+				 margin = tileset.margin || 0, spacing = tileset.spacing || 0,
+				 w = tileset.tilewidth, h = tileset.tileheight,
+				 columns = tileset.columns || Math.floor((tileset.imagewidth - margin * 2 + spacing) / (w + spacing)),
+				 count = tileset.tilecount || columns * Math.floor((tileset.imageheight - margin * 2 + spacing) / (h + spacing)),
+				 def = {
+					 bitmapImage: tileset.image,
+					 bitmapSize: [tileset.imagewidth, tileset.imageheight],
+					 version: 3,
+					 sparsity: props.sparsity || 1,
+					 transparencyThreshold: props.transparencyThreshold || 0,
+					 assumeOpaque: !!props.assumeOpaque,
+					 sprites: {}
+				 }, id, t, a;
+
+			function frame(id) {
+				return { frame: [margin + (id % columns) * (w + spacing),
+									  margin + Math.floor(id / columns) * (h + spacing), w, h] };
+			}
+
+			for (id = 0; id < count; id++) {
+				def.sprites[String(id)] = frame(id);
+			}
+
+			// Animated tiles replace the tile with an animation
+			for (t = 0; tileset.tiles && t < tileset.tiles.length; t++) {
+				var anim = tileset.tiles[t].animation;
+				if (anim && anim.length > 0) {
+					var frames = [];
+					for (a = 0; a < anim.length; a++) {
+						frames.push(frame(anim[a].tileid));
+					}
+					def.sprites[String(tileset.tiles[t].id)] = { frames: frames, speed: anim[0].duration, mode: "loop" };
+				}
+			}
+
+			return def;
+		},
+
+		/**
+		 * Create a level from a map.  The tilesets are loaded as tile resources, and
+		 * the level triggers its "loaded" event once they are ready and the level has been
+		 * populated.
+		 *
+		 * @param name {String} The name of the level
+		 * @param map {Object} The map, as saved in JSON or returned by {@link #fromTMX}
+		 * @param url {String} The URL of the map, which images are relative to
+		 * @param [options] {Object} Options for the import.  See {@link #load}.
+		 * @return {R.resources.types.Level}
+		 */
+		toLevel: function(name, map, url, options) {
+			Assert(!map.orientation || map.orientation == "orthogonal", "TiledLoader only supports orthogonal maps");
+			Assert(!map.infinite, "TiledLoader does not support infinite maps");
+			options = options || {};
+
+			var Tiled = R.resources.loaders.TiledLoader,
+				 level = R.resources.types.Level.create(name, map.width, map.height),
+				 tileLoader = level.resourceLoaders.tile[0], path = url.substring(0, url.lastIndexOf("/") + 1),
+				 tilesets = [], t, tileset;
+
+			R.engine.Support.forEach(options.spriteLoaders || [], function(loader) {
+				level.addResourceLoader(loader);
+			});
+
+			// Tilesets become tile resources named for the level and the tileset
+			for (t = 0; t < map.tilesets.length; t++) {
+				tileset = map.tilesets[t];
+				if (!tileset.image) {
+					AssertWarn(false, "Tileset '" + tileset.name + "' is a collection of images, which is not supported");
+					continue;
+				}
+
+				var resource = name + "_" + (tileset.name || t);
+				tileLoader.loadDefinition(resource, url, Tiled.toTileDefinition(tileset), path);
+				tilesets.push({ firstgid: tileset.firstgid, resource: resource, tileset: tileset });
+			}
+
+			// Tilesets are searched from the highest first id down
+			tilesets.sort(function(a, b) {
+				return b.firstgid - a.firstgid;
+			});
+
+			// Wait until the tiles are loaded before populating the level
+			R.lang.Timeout.create("lvlResourceWait", 250, function() {
+				if (tileLoader.isReady()) {
+					this.destroy();
+					Tiled.populate(level, map, tilesets);
+				} else {
+					this.restart();
+				}
+			});
+
+			return level;
+		},
+
+		/**
+		 * Populate the level with the layers of the map
+		 * @private
+		 */
+		populate: function(level, map, tilesets) {
+			var Tiled = R.resources.loaders.TiledLoader, tileLoader = level.resourceLoaders.tile[0],
+				 used = {}, zIndex = 0;
+
+			// Find the tileset and tile for a global tile id
+			function findTile(gid) {
+				gid &= Tiled.GID_MASK;
+				for (var ts = 0; gid > 0 && ts < tilesets.length; ts++) {
+					if (gid >= tilesets[ts].firstgid) {
+						return { set: tilesets[ts], name: String(gid - tilesets[ts].firstgid) };
+					}
+				}
+				return null;
+			}
+
+			function addTileLayer(layer, parallax) {
+				var props = Tiled.getProperties(layer), layerName = layer.name,
+					 gids = Tiled.decodeLayerData(layer), tilemap, found, tile, i;
+
+				// The level's own tile maps are filled by the layers with the same names,
+				// and any other layers with the same name are made unique
+				if (used[layerName]) {
+					layerName += "_" + layer.id;
+				}
+				tilemap = level.getTileMap(layerName);
+				if (!tilemap) {
+					tilemap = R.resources.types.TileMap.create(layerName, level.getWidth(), level.getHeight());
+					level.addTileMap(layerName, tilemap);
+				}
+				used[layerName] = true;
+
+				tilemap.setZIndex(props.zIndex !== undefined ? props.zIndex : zIndex);
+
+				// Tiled scrolls a layer by its parallax factor, where the tile map is offset
+				// from the middle plane
+				tilemap.setParallax(2 - parallax.x, 2 - parallax.y);
+
+				for (i = 0; i < gids.length; i++) {
+					found = findTile(gids[i]);
+					tile = found ? tileLoader.getTile(found.set.resource, found.name) : null;
+					if (tile) {
+						// Animated tiles are cloned so they animate individually
+						tilemap.setTile(tile.isAnimation() ? R.clone(tile) : tile, i % layer.width, Math.floor(i / layer.width));
+					}
+				}
+			}
+
+			function addObjects(layer) {
+				var objects = layer.objects || [], o, obj, props, type, rect;
+				for (o = 0; o < objects.length; o++) {
+					obj = objects[o];
+					props = Tiled.getProperties(obj);
+					type = obj.type || obj["class"] || "";
+
+					if (obj.gid || props.sprite) {
+						level.addActor(Tiled.createActor(level, obj, props, findTile(obj.gid || 0), zIndex));
+					} else if (obj.point) {
+						R.debug.Console.warn("TiledLoader: point object '" + obj.name + "' was not imported");
+					} else {
+						// The bounds of the shape become a fixture
+						rect = R.math.Rectangle2D.create(obj.x, obj.y, obj.width || 0, obj.height || 0);
+						if (obj.polygon) {
+							Tiled.getPolygonBounds(obj, rect);
+						}
+
+						var fixture = R.objects.Fixture.create(rect, false);
+						fixture.setType(type.toLowerCase() == "trigger" ? R.objects.Fixture.TYPE_TRIGGER : R.objects.Fixture.TYPE_COLLIDER);
+						if (obj.name) {
+							fixture.setName(obj.name);
+						}
+						if (props.action) {
+							fixture.setAction(props.action);
+						}
+						level.addFixture(fixture);
+					}
+				}
+			}
+
+			// Layers within groups take on the parallax and visibility of the group
+			function addLayers(layers, parallax, visible) {
+				for (var l = 0; l < layers.length; l++) {
+					var layer = layers[l],
+						 p = { x: parallax.x * (layer.parallaxx !== undefined ? layer.parallaxx : 1),
+								 y: parallax.y * (layer.parallaxy !== undefined ? layer.parallaxy : 1) },
+						 shown = visible && layer.visible !== false && layer.visible !== 0;
+
+					if (layer.type == "group") {
+						addLayers(layer.layers, p, shown);
+						continue;
+					}
+
+					if (layer.type == "tilelayer" && shown) {
+						addTileLayer(layer, p);
+					} else if (layer.type == "objectgroup") {
+						addObjects(layer);
+					}
+					zIndex++;
+				}
+			}
+
+			addLayers(map.layers, { x: 1, y: 1 }, true);
+
+			// Done
+			level.triggerEvent("loaded");
+		},
+
+		/**
+		 * Create a sprite actor for a tile object, or an object with a "sprite" property
+		 * @private
+		 */
+		createActor: function(level, obj, props, tile, zIndex) {
+			var sprite = props.sprite || (tile ? tile.set.resource + ":" + tile.name : ""),
+				 y = obj.gid ? obj.y - obj.height : obj.y, actor, p, script;
+
+			actor = R.objects.SpriteActor.deserialize({
+				Name: obj.name || "Actor",
+				Position: obj.x + "," + y,
+				Rotation: String(obj.rotation || 0),
+				Sprite: sprite,
+				ACTOR_CONFIG: {
+					actorId: props.actorId !== undefined ? String(props.actorId) : "",
+					bitMask: props.bitMask !== undefined ? String(props.bitMask) : "0"
+				}
+			}, level.resourceLoaders.sprite.concat(level.resourceLoaders.tile));
+
+			if (obj.gid && tile && obj.width && tile.set.tileset.tilewidth != obj.width) {
+				// The tile has been resized in the map
+				actor.setScale(obj.width / tile.set.tileset.tilewidth, obj.height / tile.set.tileset.tileheight);
+			}
+			actor.setZIndex(props.zIndex !== undefined ? props.zIndex : zIndex);
+
+			// Properties named for scripts become scripts, and the rest are variables
+			for (p in props) {
+				if (p == "sprite" || p == "actorId" || p == "bitMask" || p == "zIndex") {
+					continue;
+				}
+				script = actor.getConfig()[p] == "script";
+				if (script) {
+					actor.setActorEvent(p, props[p]);
+				} else {
+					actor.setVariable(p, props[p]);
+				}
+			}
+
+			return actor;
+		},
+
+		/**
+		 * Set the rectangle to the bounds of a polygon object
+		 * @private
+		 */
+		getPolygonBounds: function(obj, rect) {
+			var minX = 0, minY = 0, maxX = 0, maxY = 0;
+			R.engine.Support.forEach(obj.polygon, function(pt) {
+				minX = Math.min(minX, pt.x);
+				minY = Math.min(minY, pt.y);
+				maxX = Math.max(maxX, pt.x);
+				maxY = Math.max(maxY, pt.y);
+			});
+			rect.set(obj.x + minX, obj.y + minY, maxX - minX, maxY - minY);
+		},
+
+		/**
+		 * Attributes in a TMX document which are never converted to numbers
+		 * @private
+		 */
+		TEXT_ATTRIBUTES: {
+			"name": true,
+			"type": true,
+			"class": true,
+			"source": true
+		},
+
+		/**
+		 * The layer types of the elements in a TMX document
+		 * @private
+		 */
+		LAYER_TYPES: {
+			"layer": "tilelayer",
+			"objectgroup": "objectgroup",
+			"group": "group",
+			"imagelayer": "imagelayer"
+		},
+
+		/**
+		 * The bits of a global tile id which identify the tile.  The remaining bits
+		 * indicate how the tile is flipped.
+		 * @type {Number}
+		 */
+		GID_MASK: 0x1FFFFFFF
+	});
+
+}
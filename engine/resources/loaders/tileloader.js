@@ -120,10 +120,10 @@ R.resources.loaders.TileLoader = function(){
 		getTile: function(resource, tile){
 			var info = this.get(resource).info;
          if (info != null && info.sprites[tile]) {
-            var aTile = this.tiles[tile];
+            var aTile = this.tiles[resource + ":" + tile];
             if (!aTile) {
                // We want to make sure we only create a tile singleton, not instances for each tile
-               aTile = this.tiles[tile] = R.resources.types.Tile.create(tile, info.sprites[tile], this.get(resource), this);
+               aTile = this.tiles[resource + ":" + tile] = R.resources.types.Tile.create(tile, info.sprites[tile], this.get(resource), this);
             }
 		      return aTile;
          } else {
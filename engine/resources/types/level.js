@@ -38,7 +38,8 @@ R.Engine.define({
       "R.resources.loaders.SpriteLoader",
       "R.resources.loaders.TileLoader",
       "R.resources.types.Sound",
-      "R.resources.types.TileMap"
+      "R.resources.types.TileMap",
+      "R.objects.Camera"
 	]
 });
 
@@ -58,9 +59,13 @@ R.resources.types.Level = function(){
       fixtures: null,
       tilemaps: null,
       backgroundMusic: null,
+      musicPlaying: false,
+      musicFade: null,
       width: 0,
       height: 0,
       renderContext: null,
+      camera: null,
+      cameraDef: null,
       notAdded: null,
       version: 0,
       resourceLoaders: null,
@@ -72,9 +77,13 @@ R.resources.types.Level = function(){
          this.fixtures = R.struct.Container.create("Fixtures");
          this.tilemaps = R.struct.HashContainer.create("Tilemaps");
          this.backgroundMusic = null;
+         this.musicPlaying = false;
+         this.musicFade = null;
          this.width = width;
          this.height = height;
          this.renderContext = null;
+         this.camera = null;
+         this.cameraDef = null;
          this.notAdded = [];
          this.version = 0;
          this.resourceLoaders = {
@@ -115,6 +124,10 @@ R.resources.types.Level = function(){
          this.tilemaps.cleanUp();
          this.tilemaps.destroy();
 
+         if (this.camera) {
+            this.camera.destroy();
+         }
+
          // If there's background music, get rid of that too
          if (this.backgroundMusic) {
             this.backgroundMusic.destroy();
@@ -132,7 +145,11 @@ R.resources.types.Level = function(){
 			this.fixtures = null;
          this.tilemaps = null;
          this.backgroundMusic = null;
+         this.musicPlaying = false;
+         this.musicFade = null;
          this.renderContext = null;
+         this.camera = null;
+         this.cameraDef = null;
          this.width = 0;
          this.height = 0;
          this.version = 0;
@@ -181,17 +198,50 @@ R.resources.types.Level = function(){
       setRenderContext: function(renderContext) {
          if (!this.renderContext) {
             this.renderContext = renderContext;
-            renderContext.add(this.getTileMap("background"));
-            renderContext.add(this.getTileMap("playfield"));
-            renderContext.add(this.getTileMap("foreground"));
+            for (var itr = this.tilemaps.iterator(); itr.hasNext(); ) {
+               renderContext.add(itr.next());
+            }
+            itr.destroy();
 
             while (this.notAdded.length > 0) {
                // Add objects which aren't a part of the render context yet
                this.renderContext.add(this.notAdded.shift());
             }
+
+            if (this.cameraDef) {
+               this.setCameraDefinition(this.cameraDef);
+            }
+         }
+      },
+
+      /**
+       * Set the camera settings for the level.  When the level is associated with its
+       * render context, a camera is created for the context from the settings.  See
+       * {@link R.objects.Camera#deserialize} for the format of the settings.
+       *
+       * @param cameraDef {Object} The camera settings, or <code>null</code> for no camera
+       */
+      setCameraDefinition: function(cameraDef) {
+         this.cameraDef = cameraDef;
+         if (this.camera) {
+            this.camera.destroy();
+            this.camera = null;
+         }
+
+         if (cameraDef && this.renderContext) {
+            this.camera = R.objects.Camera.deserialize(cameraDef, this.renderContext, this);
          }
       },
 
+      /**
+       * Get the camera created for the level, if the level defines one and has been
+       * associated with its render context.
+       * @return {R.objects.Camera}
+       */
+      getCamera: function() {
+         return this.camera;
+      },
+
 		/**
 		 * Get the width of the level, in tiles.
 		 * @return {Number} The width of the level in tiles
@@ -249,8 +299,124 @@ R.resources.types.Level = function(){
          return this.tilemaps.get(name);
       },
 
-      setBackgroundMusic: function(sound) {
+      /**
+       * Add a tile map to the level, in addition to the background, playfield, and
+       * foreground tile maps every level has.  The tile map is rendered in the order
+       * determined by its z-index.
+       *
+       * @param name {String} The name of the tile map
+       * @param tilemap {R.resources.types.TileMap} The tile map to add
+       */
+      addTileMap: function(name, tilemap) {
+         Assert(!this.tilemaps.isInHash(name), "Level already has a tile map named '" + name + "'");
+         this.tilemaps.add(name, tilemap);
+         if (this.renderContext) {
+            this.renderContext.add(tilemap);
+         }
+      },
+
+      /**
+       * Get the container of all of the tile maps in the level.
+       * @return {R.struct.HashContainer}
+       */
+      getTileMaps: function() {
+         return this.tilemaps;
+      },
+
+      /**
+       * Set the background music of the level.  The music is routed through the "music"
+       * bus of the sound system, and loops.  If the level's music is playing, the new music
+       * starts playing in its place, cross-fading from the old music when a fade time is given.
+       *
+       * @param sound {R.resources.types.Sound} The music, or <code>null</code> for no music
+       * @param [fadeTime] {Number} The time, in milliseconds, to cross-fade between the music
+       */
+      setBackgroundMusic: function(sound, fadeTime) {
+         if (sound === this.backgroundMusic) {
+            return;
+         }
+
+         var playing = this.musicPlaying;
+         if (playing) {
+            this.stopBackgroundMusic(fadeTime);
+         }
+
          this.backgroundMusic = sound;
+         if (sound) {
+            sound.setBus("music");
+            sound.setLoop(true);
+            if (playing) {
+               this.playBackgroundMusic(fadeTime);
+            }
+         }
+      },
+
+      /**
+       * Get the background music of the level.
+       * @return {R.resources.types.Sound}
+       */
+      getBackgroundMusic: function() {
+         return this.backgroundMusic;
+      },
+
+      /**
+       * Start playing the background music of the level.
+       * @param [fadeTime] {Number} The time, in milliseconds, to fade in the music
+       */
+      playBackgroundMusic: function(fadeTime) {
+         var music = this.backgroundMusic;
+         if (!music || this.musicPlaying) {
+            return;
+         }
+
+         // If the music is still fading out, take over from the fade at the volume it
+         // will be restored to
+         var volume = music.getVolume();
+         if (this.musicFade && this.musicFade.music === music) {
+            volume = this.musicFade.volume;
+         }
+         this.musicFade = null;
+
+         this.musicPlaying = true;
+         if (fadeTime) {
+            music.setVolume(0);
+            music.play();
+            music.fadeTo(volume, fadeTime);
+         } else {
+            music.setVolume(volume);
+            music.play();
+         }
+      },
+
+      /**
+       * Stop playing the background music of the level.
+       * @param [fadeTime] {Number} The time, in milliseconds, to fade out the music
+       */
+      stopBackgroundMusic: function(fadeTime) {
+         var music = this.backgroundMusic;
+         if (!music || !this.musicPlaying) {
+            return;
+         }
+
+         this.musicPlaying = false;
+         if (fadeTime) {
+            // Restore the volume once the music has faded out, so it can be played again.
+            // If the music is played again before the fade completes, the fade is abandoned.
+            var self = this, fade = { music: music, volume: music.getVolume() };
+            this.musicFade = fade;
+            music.fadeTo(0, fadeTime, function() {
+               if (self.musicFade === fade) {
+                  self.musicFade = null;
+               }
+               if (fade.music === self.backgroundMusic && self.musicPlaying) {
+                  return;
+               }
+               music.stop();
+               music.setVolume(fade.volume);
+            });
+         } else {
+            music.stop();
+         }
       },
 
       /**
@@ -293,11 +459,8 @@ R.resources.types.Level = function(){
             },
             actors: [],
             fixtures: [],
-            tilemaps: {
-               background: null,
-               playfield: null,
-               foreground: null
-            }
+            tilemaps: {},
+            camera: level.getCamera() ? R.objects.Camera.serialize(level.getCamera()) : level.cameraDef
          };
 
          // Get all of the resource URLs
@@ -327,9 +490,9 @@ R.resources.types.Level = function(){
          }
 
          // TILES & TILEMAPS
-         $.each(["background", "playfield", "foreground"], function(i,e) {
+         for (itr = level.getTileMaps().iterator(); itr.hasNext(); ) {
             var tile;
-            obj = level.getTileMap(e);
+            obj = itr.next();
             for (t = 0; t < obj.getTileMap().length; t++) {
                tile = obj.getTileMap()[t];
                if (tile) {
@@ -346,8 +509,9 @@ R.resources.types.Level = function(){
             }
 
             // Do the tile map at the same time
-            lvl.tilemaps[e] = R.resources.types.TileMap.serialize(obj);
-         });
+            lvl.tilemaps[obj.getName()] = R.resources.types.TileMap.serialize(obj);
+         }
+         itr.destroy();
 
          // SOUNDS
          // ...
@@ -397,6 +561,9 @@ R.resources.types.Level = function(){
       finishDeserialize: function(level, obj) {
          // Deserialize the tile maps
          for (var tilemap in obj.tilemaps) {
+            if (!level.getTileMap(tilemap)) {
+               level.addTileMap(tilemap, R.resources.types.TileMap.create(tilemap, level.width, level.height));
+            }
             R.resources.types.TileMap.deserialize(obj.tilemaps[tilemap], level.resourceLoaders.tile,
                level.getTileMap(tilemap));
          }
@@ -410,6 +577,11 @@ R.resources.types.Level = function(){
          // Deserialize the fixtures
 
 
+         // The camera's target is one of the actors
+         if (obj.camera) {
+            level.setCameraDefinition(obj.camera);
+         }
+
          // Done
          level.triggerEvent("loaded");
       }
@@ -34,7 +34,8 @@
 R.Engine.define({
 	"class": "R.resources.types.Sound",
 	"requires": [
-		"R.engine.PooledObject"
+		"R.engine.PooledObject",
+		"R.math.Point2D"
 	]
 });
 
@@ -57,6 +58,9 @@ R.resources.types.Sound = function(){
 		soundObj: null,
 		soundSystem: null,
       supportedType: false,
+		loop: false,
+		bus: null,
+		worldPosition: null,
 
 		/** @private */
 		constructor: function(soundSystem, soundObj){
@@ -68,14 +72,19 @@ R.resources.types.Sound = function(){
 			this.soundSystem = soundSystem;
          this.supportedType = true;
          this.loop = false;
-			return this.base(name);
+			this.bus = null;
+			this.worldPosition = null;
+			return this.base("Sound");
 		},
 		
 		/**
 		 * Destroy the sound object
 		 */
 		destroy: function(){
-			this.soundSystem.destroySound(this.sound);
+			this.soundSystem.destroySound(this.soundObj);
+			if (this.worldPosition) {
+				this.worldPosition.destroy();
+			}
 			this.base();
 		},
 		
@@ -90,6 +99,9 @@ R.resources.types.Sound = function(){
 			this.muted = false;
 			this.soundObj = null;
 			this.soundSystem = null;
+			this.loop = false;
+			this.bus = null;
+			this.worldPosition = null;
 		},
 
       /**
@@ -236,6 +248,85 @@ R.resources.types.Sound = function(){
 			return this.pan;
 		},
 		
+		/**
+		 * Fade the volume of the sound to an integer between 0 (muted) and 100 (full volume)
+		 * over a period of time.
+		 *
+		 * @param volume {Number} The volume to fade to
+		 * @param duration {Number} The length of the fade, in milliseconds
+		 * @param [callback] {Function} A function to call when the fade is complete
+		 */
+		fadeTo: function(volume, duration, callback){
+			volume = (volume < 0 ? 0 : volume > 100 ? 100 : volume);
+			var from = this.volume;
+			this.volume = volume;
+			this.soundSystem.fadeSound(this.soundObj, from, volume, duration, callback);
+		},
+
+		/**
+		 * Set whether the sound repeats from the beginning when it reaches its end.
+		 *
+		 * @param loop {Boolean} <code>true</code> to repeat the sound
+		 */
+		setLoop: function(loop){
+			this.loop = loop;
+			this.soundSystem.setSoundLoop(this.soundObj, loop);
+		},
+
+		/**
+		 * Returns <tt>true</tt> if the sound repeats when it reaches its end.
+		 * @return {Boolean}
+		 */
+		getLoop: function(){
+			return this.loop;
+		},
+
+		/**
+		 * Route the sound through a mixer bus, such as "music", "sfx", or "ui".  The
+		 * volume of the bus is applied to every sound routed through it.
+		 *
+		 * @param bus {String} The name of the bus
+		 */
+		setBus: function(bus){
+			this.bus = bus;
+			this.soundSystem.setSoundBus(this.soundObj, bus);
+		},
+
+		/**
+		 * Get the name of the mixer bus the sound is routed through, or <code>null</code>
+		 * if the sound system's default bus is used.
+		 * @return {String}
+		 */
+		getBus: function(){
+			return this.bus;
+		},
+
+		/**
+		 * Position the sound in the world.  A positioned sound is attenuated and panned
+		 * depending on where it is relative to the {@link R.sound.Listener}.
+		 *
+		 * @param point {R.math.Point2D} The position of the sound, or <code>null</code> to
+		 * 	stop positioning the sound
+		 */
+		setWorldPosition: function(point){
+			if (point) {
+				this.worldPosition = this.worldPosition || R.math.Point2D.create(0, 0);
+				this.worldPosition.set(point);
+			} else if (this.worldPosition) {
+				this.worldPosition.destroy();
+				this.worldPosition = null;
+			}
+			this.soundSystem.setSoundWorldPosition(this.soundObj, this.worldPosition);
+		},
+
+		/**
+		 * Get the position of the sound in the world, or <code>null</code> if it isn't positioned.
+		 * @return {R.math.Point2D}
+		 */
+		getWorldPosition: function(){
+			return this.worldPosition;
+		},
+
 		/**
 		 * Set the sound offset in milliseconds.
 		 *
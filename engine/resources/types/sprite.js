@@ -35,7 +35,8 @@ R.Engine.define({
    "class": "R.resources.types.Sprite",
    "requires": [
       "R.engine.PooledObject",
-      "R.math.Rectangle2D"
+      "R.math.Rectangle2D",
+      "R.math.Point2D"
    ]
 });
 
@@ -54,6 +55,12 @@ R.Engine.define({
  *           <li><tt>loopRestarted</tt> - A looping animation has begun a new cycle</li>
  *           <li><tt>toggled</tt> - A toggle animation has changed animation direction</li>
  *        </ul>
+ *        <p/>
+ *        Sprites which come from a texture atlas (sprite definition version 3) may have
+ *        frames of differing sizes, which were trimmed of transparent pixels or rotated
+ *        to pack them tightly.  The render contexts use {@link #getFrameOffset} and
+ *        {@link #isFrameRotated} to draw such frames where they belong within the
+ *        sprite's {@link #getBoundingBox bounding box}.
  *
  * @constructor
  * @param name {String} The name of the sprite within the resource
@@ -86,6 +93,14 @@ R.resources.types.Sprite = function() {
       // The bounding box for the sprite
       bbox: null,
 
+      // The frame definitions of an atlas sprite, the frame last drawn, and its offset
+      frames: null,
+      currentFrame: null,
+      offset: null,
+
+      // The pivot point of an atlas sprite
+      pivot: null,
+
       lastTime: null,
       sync: false,
       finished: false,
@@ -113,6 +128,16 @@ R.resources.types.Sprite = function() {
             s = (this.type == R.resources.types.Sprite.TYPE_ANIMATION ? spriteObj["a"] : spriteObj["f"]);
          } else if (fileVersion == 2) {
             s = spriteObj;
+         } else if (fileVersion == 3) {
+            // Atlas sprites define each frame, so describe the first frame and the animation
+            // in the same way as a version 2 sprite
+            this.frames = spriteObj.frames || [spriteObj];
+            this.type = (spriteObj.frames ? R.resources.types.Sprite.TYPE_ANIMATION : R.resources.types.Sprite.TYPE_SINGLE);
+            s = this.frames[0].frame.concat([this.frames.length,
+                  spriteObj.speed || R.resources.types.Sprite.DEFAULT_SPEED, spriteObj.mode || "loop"]);
+            if (spriteObj.sync) {
+               s.push(true);
+            }
          }
 
          if (this.type == R.resources.types.Sprite.TYPE_ANIMATION) {
@@ -146,6 +171,16 @@ R.resources.types.Sprite = function() {
          this.image = spriteResource.image;
          this.frame = R.math.Rectangle2D.create(s[R.resources.types.Sprite.INDEX_LEFT], s[R.resources.types.Sprite.INDEX_TOP], s[R.resources.types.Sprite.INDEX_WIDTH], s[R.resources.types.Sprite.INDEX_HEIGHT]);
          this.bbox = R.math.Rectangle2D.create(0, 0, s[R.resources.types.Sprite.INDEX_WIDTH], s[R.resources.types.Sprite.INDEX_HEIGHT]);
+         this.offset = R.math.Point2D.create(0, 0);
+
+         if (this.frames) {
+            // The bounding box is the size of the frame before it was trimmed
+            var first = this.frames[0], size = R.resources.types.Sprite.getSourceSize(first);
+            this.bbox.set(0, 0, size[0], size[1]);
+            if (first.pivot) {
+               this.pivot = R.math.Point2D.create(first.pivot[0], first.pivot[1]);
+            }
+         }
       },
 
       /**
@@ -154,6 +189,10 @@ R.resources.types.Sprite = function() {
       destroy: function() {
          this.bbox.destroy();
          this.frame.destroy();
+         this.offset.destroy();
+         if (this.pivot) {
+            this.pivot.destroy();
+         }
          this.base();
       },
 
@@ -171,6 +210,10 @@ R.resources.types.Sprite = function() {
          this.bbox = null;
          this.resource = null;
          this.loader = null;
+         this.frames = null;
+         this.currentFrame = null;
+         this.offset = null;
+         this.pivot = null;
       },
 
       /**
@@ -285,7 +328,13 @@ R.resources.types.Sprite = function() {
        *         the source image map.
        */
       getFrame: function(time, dt) {
-         if (!this.isAnimation()) {
+         if (this.frames) {
+            var fn = this.isAnimation() ? this.calcFrameNumber(time, dt) : 0;
+            this.currentFrame = this.frames[Math.max(0, Math.min(this.count - 1, fn))];
+            this.offset.set(this.currentFrame.offset ? this.currentFrame.offset[0] : 0,
+                            this.currentFrame.offset ? this.currentFrame.offset[1] : 0);
+            return R.math.Rectangle2D.create(this.currentFrame.frame);
+         } else if (!this.isAnimation()) {
             return R.math.Rectangle2D.create(this.frame);
          } else {
             var f = R.math.Rectangle2D.create(this.frame);
@@ -294,6 +343,40 @@ R.resources.types.Sprite = function() {
          }
       },
 
+      /**
+       * Get the offset, within the sprite's bounding box, at which the frame last
+       * returned by {@link #getFrame} is drawn.  Frames which were trimmed of their
+       * transparent edges are offset to the position they were trimmed from.  The
+       * point belongs to the sprite and shouldn't be destroyed.
+       *
+       * @return {R.math.Point2D}
+       */
+      getFrameOffset: function() {
+         return this.offset;
+      },
+
+      /**
+       * Returns <tt>true</tt> if the frame last returned by {@link #getFrame} is stored
+       * rotated 90 degrees clockwise within the image.  The frame rectangle is the area
+       * of the image, so its width and height are swapped compared to the drawn frame.
+       *
+       * @return {Boolean}
+       */
+      isFrameRotated: function() {
+         return !!(this.currentFrame && this.currentFrame.rotated);
+      },
+
+      /**
+       * Get the pivot point of the sprite, relative to the top left of its bounding box,
+       * or <tt>null</tt> if the sprite doesn't define one.  The point belongs to the
+       * sprite and shouldn't be destroyed.
+       *
+       * @return {R.math.Point2D}
+       */
+      getPivot: function() {
+         return this.pivot;
+      },
+
       /**
        * Calculate the frame number for the type of animation.
        * @param time {Number} The current world time
@@ -420,6 +503,26 @@ R.resources.types.Sprite = function() {
          return "R.resources.types.Sprite";
       },
 
+      /**
+       * Get the size of an atlas frame, as <tt>[width, height]</tt>, before it was
+       * trimmed or rotated.
+       * @private
+       */
+      getSourceSize: function(frameDef) {
+         if (frameDef.size) {
+            return frameDef.size;
+         }
+         var f = frameDef.frame;
+         return frameDef.rotated ? [f[3], f[2]] : [f[2], f[3]];
+      },
+
+      /**
+       * The speed, in milliseconds per frame, of an atlas animation which doesn't
+       * specify its speed
+       * @type {Number}
+       */
+      DEFAULT_SPEED: 100,
+
       /** The sprite animation loops
        * @type {Number}
        */
@@ -66,7 +66,7 @@ R.resources.types.Tile = function() {
 
       /** @private */
       constructor: function(name, tileObj, tileResource, tileLoader) {
-         this.base(name, tileObj, tileResource, 2, tileLoader);
+         this.base(name, tileObj, tileResource, tileResource.info.version == 3 ? 3 : 2, tileLoader);
          this.tileObj = tileObj;
          this.solidityMap = null;
          this.renderedFlag = false;
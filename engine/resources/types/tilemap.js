@@ -38,6 +38,7 @@ R.Engine.define({
 		"R.resources.types.Tile",
       "R.rendercontexts.CanvasContext",
 		"R.math.Rectangle2D",
+		"R.math.Math2D",
 		"R.util.RenderUtil"
 	]
 });
@@ -119,6 +120,8 @@ R.resources.types.TileMap = function() {
        */
       setDimensions: function(x, y) {
          this.dimensions.set(x, y);
+         this.width = this.dimensions.x;
+         this.height = this.dimensions.y;
          this.tilemap = [];
          R.engine.Support.fillArray(this.tilemap, this.dimensions.x * this.dimensions.y, null);
       },
@@ -273,7 +276,7 @@ R.resources.types.TileMap = function() {
             // we'll render all tiles each frame.
             if (!this.isHTMLContext || ((tile.isAnimation() || !this.isRendered) && this.isHTMLContext)) {
 
-               var x = (t % this.width) * tileWidth, y = Math.floor(t / this.height) * tileHeight;
+               var x = (t % this.width) * tileWidth, y = Math.floor(t / this.width) * tileHeight;
                rect.set(x - wp.x, y - wp.y, tileWidth, tileHeight);
 
                rect.add(topLeft);
@@ -435,31 +438,26 @@ R.resources.types.TileMap = function() {
 
       /**
        * Cast a ray through the tile map, looking for collisions along the
-       * ray.  If a collision is found, a {@link R.struct.CollisionData} object
-       * will be returned or <code>null</code> if otherwise.
+       * ray.  The cells of the map which the ray passes through are visited in
+       * order.  Opaque tiles are struck where the ray enters the cell, while tiles
+       * which are partly transparent are walked pixel by pixel.
        * <p/>
-       * If a collision occurs, the value stored in {@link R.struct.CollisionData#shape1}
-       * is the tile which was collided with.  The value in {@link R.struct.CollisionData#impulseVector}
-       * is a vector to separate the game object from the tile.
+       * If a collision occurs, the value stored in {@link R.struct.RayInfo#shape}
+       * is the tile which was collided with, the impact point, distance and the normal of
+       * the tile's face are set, and the data is the point within the tile which was struck.
+       * If the ray info was created to find all hits, each tile struck is stored in
+       * {@link R.struct.RayInfo#hits}.
        *
        * @param tileMap {R.resources.types.TileMap} The tile map to test against
-       * @param rayInfo {R.start.rayInfo} The ray info structure that defines the ray to test
-       * @return {R.struct.rayInfo} The ray info structure passed into the cast method.  If
+       * @param rayInfo {R.struct.RayInfo} The ray info structure that defines the ray to test
+       * @return {R.struct.RayInfo} The ray info structure passed into the cast method.  If
        *    a collision occurred, the shape and impact point will be set.
        */
       castRay: function(tileMap, rayInfo) {
-         // Get all of the points along the line and test them against the
-         // collision model.  At the first collision, we stop performing any more checks.
          var begin = R.math.Point2D.create(rayInfo.startPoint), end = R.math.Point2D.create(rayInfo.startPoint),
-             line, pt = 0, tile, test = R.math.Vector2D.create(0,0);
+             dir = rayInfo.direction, impact = R.math.Point2D.create(0, 0), normal = R.math.Vector2D.create(0, 0);
 
-
-         // Make sure the length isn't greater than the max
-         if (rayInfo.direction.len() > R.resources.types.TileMap.MAX_RAY_LENGTH) {
-            rayInfo.direction.normalize().mul(R.resources.types.TileMap.MAX_RAY_LENGTH);
-         }
-
-         end.add(rayInfo.direction);
+         end.add(dir);
 
          /* pragma:DEBUG_START */
          if (R.Engine.getDebugMode() && arguments[2])
@@ -476,32 +474,67 @@ R.resources.types.TileMap = function() {
          }
          /* pragma:DEBUG_END */
 
-         // Use Bresenham's algorithm to calculate the points along the line
-         line = R.math.Math2D.bresenham(begin, end);
+         if (tileMap.baseTile) {
+            var bw = tileMap.baseTile.getBoundingBox().w, bh = tileMap.baseTile.getBoundingBox().h;
+
+            // Report a tile that was struck at the fraction along the ray, and the point within the tile
+            var hit = function(tile, cx, cy, t, nx, ny, local) {
+               var tb = tile.getBoundingBox();
+               impact.set(begin.x + dir.x * t, begin.y + dir.y * t);
+               if (nx == 0 && ny == 0) {
+                  normal.set(dir).neg().normalize();
+               } else {
+                  normal.set(nx, ny);
+               }
 
-         while (!tile && pt < line.length) {
-            test.set(line[pt]);
+               if (!local) {
+                  local = R.math.Point2D.create(
+                        (tb.w - bw) + Math.min(bw - 1, Math.max(0, Math.floor(impact.x - cx * bw))),
+                        (tb.h - bh) + Math.min(bh - 1, Math.max(0, Math.floor(impact.y - cy * bh))));
+               }
+               rayInfo.addHit(impact, tile, local, normal);
+               return !rayInfo.findAll;
+            };
 
-            // Find the tile for the current point
-            tile = tileMap.getTileAtPoint(test);
+            R.math.Math2D.gridTraversal(begin, end, bw, bh, function(cx, cy, tEnter, tExit, nx, ny) {
+               if (cx < 0 || cy < 0 || cx >= tileMap.width || cy >= tileMap.height) {
+                  return false;
+               }
 
-            if (tile && tile.testPoint(test)) {
-               // A collision occurs at the adjusted point within the tile
-               rayInfo.set(line[pt], tile, R.clone(test));
-            }
+               var tile = tileMap.getTile(cx, cy);
+               if (tile == null || tile.solidityMap.status == R.resources.types.Tile.ALL_TRANSPARENT) {
+                  return false;
+               } else if (tile.solidityMap.status == R.resources.types.Tile.ALL_OPAQUE) {
+                  return hit(tile, cx, cy, tEnter, nx, ny);
+               }
+
+               // Walk the pixels of the tile which the ray passes through
+               var tb = tile.getBoundingBox(), from = R.math.Point2D.create(begin.x + dir.x * tEnter, begin.y + dir.y * tEnter),
+                   to = R.math.Point2D.create(begin.x + dir.x * tExit, begin.y + dir.y * tExit), pt = R.math.Point2D.create(0, 0),
+                   span = tExit - tEnter, struck = false;
 
-            pt++;
+               R.math.Math2D.gridTraversal(from, to, 1, 1, function(px, py, pEnter, pExit, pnx, pny) {
+                  pt.set((tb.w - bw) + (px - cx * bw), (tb.h - bh) + (py - cy * bh));
+                  if (pt.x < 0 || pt.y < 0 || pt.x >= tb.w || pt.y >= tb.h || !tile.testPoint(pt)) {
+                     return false;
+                  }
+                  var first = pnx == 0 && pny == 0;
+                  struck = hit(tile, cx, cy, tEnter + span * pEnter, first ? nx : pnx, first ? ny : pny, R.clone(pt));
+                  return true;
+               });
+
+               from.destroy();
+               to.destroy();
+               pt.destroy();
+               return struck;
+            });
          }
 
          // Clean up a bit
          begin.destroy();
          end.destroy();
-         test.destroy();
-
-         // Destroy the points in the line
-         while (line.length > 0) {
-            line.shift().destroy();
-         }
+         impact.destroy();
+         normal.destroy();
 
          return rayInfo;
       },
@@ -598,6 +631,7 @@ R.resources.types.TileMap = function() {
       /**
        * The maximum length of a cast ray (1000)
        * @type {Number}
+       * @deprecated Rays are no longer truncated
        */
       MAX_RAY_LENGTH: 1000
 
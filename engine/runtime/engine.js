@@ -275,7 +275,22 @@ R.global.nativeFrame = (function(){
            R.global.oRequestAnimationFrame      ||
            R.global.msRequestAnimationFrame     ||
            function(/* function */ callback, /* DOMElement */ element){
-             R.global.setTimeout(callback, 1000 / 60);
+             return R.global.setTimeout(callback, 1000 / 60);
+           };
+ })();
+
+/**
+ * Method to cancel an animation frame requested with <tt>nativeFrame</tt>
+ */
+R.global.cancelNativeFrame = (function(){
+   return  R.global.cancelAnimationFrame          ||
+           R.global.webkitCancelAnimationFrame    ||
+           R.global.webkitCancelRequestAnimationFrame ||
+           R.global.mozCancelAnimationFrame       ||
+           R.global.oCancelAnimationFrame         ||
+           R.global.msCancelAnimationFrame        ||
+           function(/* Number */ handle){
+             R.global.clearTimeout(handle);
            };
  })();
 
@@ -287,6 +302,7 @@ R.bind = function(obj, fn) {
 };
 
 // Define the engine's default namespaces
+R.namespace("ai");
 R.namespace("debug");
 R.namespace("lang");
 R.namespace("struct");
@@ -790,7 +806,9 @@ var AssertWarn = function(test, warning) {
 /**
  * @class A static class which provides methods for generating random integers
  * 		 and floats between 0 and 1.  The class also provides a way to seed the
- * 		 random number generator for repeatable results.
+ * 		 random number generator for repeatable results.  Once {@link R.math.Random}
+ * 		 has been loaded, the random methods draw from the engine-wide generator,
+ * 		 {@link R.math.Random#getDefault}.
  * 
  * @static
  */
@@ -807,6 +825,14 @@ R.lang.Math2 = /** @scope R.lang.Math2.prototype */{
 	 * @memberOf R.lang.Math2
 	 */
 	MAX_INT: 0xFFFFFFFF,		// 64-bits
+
+	/**
+	 * Get the engine-wide random number generator, if it has been loaded.
+	 * @private
+	 */
+	getGenerator: function() {
+		return (R.math.Random && R.math.Random.getDefault) ? R.math.Random.getDefault() : null;
+	},
 	
 	/**
 	 * Seed the random number generator with a known number.  This
@@ -816,6 +842,12 @@ R.lang.Math2 = /** @scope R.lang.Math2.prototype */{
 	 * @memberOf R.lang.Math2
 	 */
 	seed: function(seed) {
+		var rng = R.lang.Math2.getGenerator();
+		if (rng) {
+			rng.seed(seed);
+			return;
+		}
+
 		// LCG using GCC's constants
 		R.lang.Math2.state = seed ? seed : Math.floor(Math.random() * (R.lang.Math2.m-1));
 	},
@@ -826,6 +858,11 @@ R.lang.Math2 = /** @scope R.lang.Math2.prototype */{
 	 * @memberOf R.lang.Math2
 	 */
 	randomInt: function() {
+		var rng = R.lang.Math2.getGenerator();
+		if (rng) {
+			return rng.randomInt();
+		}
+
 		R.lang.Math2.state = (R.lang.Math2.a * R.lang.Math2.state + R.lang.Math2.c) % R.lang.Math2.m;
 		return R.lang.Math2.state;
 	},
@@ -836,6 +873,11 @@ R.lang.Math2 = /** @scope R.lang.Math2.prototype */{
 	 * @memberOf R.lang.Math2
 	 */
 	random: function() {
+		var rng = R.lang.Math2.getGenerator();
+		if (rng) {
+			return rng.random();
+		}
+
 		// returns in range [0,1]
 		return R.lang.Math2.randomInt() / (R.lang.Math2.m - 1);
 	},
@@ -1963,6 +2005,19 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
    droppedFrames: 0,
    pclRebuilds: 0,
 
+   /*
+    * Fixed timestep info
+    */
+   fixedStep: false,          // Fixed timestep simulation flag
+   stepTime: 16,              // Duration of a simulation step (ms)
+   maxFrameSteps: 5,          // Maximum simulation steps per frame
+   stepAccumulator: 0,        // Time not yet consumed by simulation steps
+   stepAlpha: 0,              // Interpolation between the last two simulation steps
+   simTime: 0,                // The time of the simulation
+   totalSteps: 0,
+   droppedSteps: 0,
+   updatePhase: 0,            // The phase of the frame being generated
+
    /*
     * Sound engine info
     */
@@ -2154,6 +2209,17 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
       return R.Engine.fpsClock;
    },
 
+   /**
+    * Get the number of the frame being generated.  In {@link #setFixedTimestep fixed timestep}
+    * mode, this is the number of simulation steps run since the engine started, otherwise it
+    * is the number of frames generated.  Input is recorded and played back against this number.
+    * @return {Number}
+    * @memberOf R.Engine
+    */
+   getFrameNumber: function() {
+      return R.Engine.fixedStep ? R.Engine.totalSteps : R.Engine.totalFrames;
+   },
+
    /**
     * Get the amount of time it took to draw the last frame.  This value
     * varies per frame drawn, based on visible objects, number of operations
@@ -2183,16 +2249,113 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
       return (R.Engine.frameTime / R.Engine.fpsClock);
    },
 
+   /**
+    * The update phase used when the engine isn't in fixed timestep mode.  Objects
+    * are updated and rendered in a single pass with a variable time delta.
+    * @type {Number}
+    * @memberOf R.Engine
+    */
+   PHASE_FRAME: 0,
+
+   /**
+    * The update phase during which a fixed timestep simulation step is being run.
+    * Render contexts call <tt>simulate()</tt> on their objects instead of <tt>update()</tt>.
+    * @type {Number}
+    * @memberOf R.Engine
+    */
+   PHASE_SIMULATE: 1,
+
+   /**
+    * The update phase during which a fixed timestep frame is being rendered.  Only
+    * render components are executed, and they are passed the interpolation alpha.
+    * @type {Number}
+    * @memberOf R.Engine
+    */
+   PHASE_RENDER: 2,
+
+   /**
+    * Enable or disable fixed timestep mode.  In fixed timestep mode, game objects are
+    * simulated at a constant logical rate, independent of the frame rate.  Each frame
+    * will run as many simulation steps as are needed to catch up to the world time (up to
+    * <tt>maxSteps</tt>), and then render once.  Render components are passed an interpolation
+    * alpha, between zero and one, which indicates how far the world time is between the
+    * last two simulation steps.
+    * <p/>
+    * During a simulation step, objects which have a <tt>simulate()</tt> method are called
+    * with the render context, the simulation time, and the step time.  For
+    * {@link R.engine.GameObject game objects}, this executes every component which isn't a
+    * render component.  The normal <tt>update()</tt> is called once per frame to render.
+    *
+    * @param state {Boolean} <tt>true</tt> to enable fixed timestep mode
+    * @param [stepsPerSecond] {Number} The logical rate of the simulation. Defaults to the
+    *    frame rate set with {@link #setFPS}
+    * @param [maxSteps=5] {Number} The maximum number of simulation steps that can be run
+    *    to catch up in a single frame
+    * @memberOf R.Engine
+    */
+   setFixedTimestep: function(state, stepsPerSecond, maxSteps) {
+      Assert((stepsPerSecond !== 0), "You cannot have a step rate of zero!");
+      R.Engine.fixedStep = state;
+      R.Engine.stepTime = stepsPerSecond ? 1000 / stepsPerSecond : R.Engine.fpsClock;
+      R.Engine.maxFrameSteps = maxSteps || 5;
+      R.Engine.stepAccumulator = 0;
+      R.Engine.stepAlpha = 0;
+      R.Engine.simTime = R.Engine.worldTime;
+   },
+
+   /**
+    * Returns <tt>true</tt> if the engine is simulating with a fixed timestep.
+    * @return {Boolean}
+    * @memberOf R.Engine
+    */
+   isFixedTimestep: function() {
+      return R.Engine.fixedStep;
+   },
+
+   /**
+    * Get the duration of a single simulation step, in milliseconds, when in
+    * fixed timestep mode.
+    * @return {Number}
+    * @memberOf R.Engine
+    */
+   getStepTime: function() {
+      return R.Engine.stepTime;
+   },
+
+   /**
+    * Get the interpolation alpha for the frame being rendered.  The value is between
+    * zero and one, where zero is the state of the previous simulation step and one is
+    * the state of the last simulation step.  When the engine isn't in fixed timestep
+    * mode, this is always one.
+    * @return {Number}
+    * @memberOf R.Engine
+    */
+   getInterpolationAlpha: function() {
+      return R.Engine.fixedStep ? R.Engine.stepAlpha : 1;
+   },
+
+   /**
+    * Get the current update phase of the engine.  One of {@link #PHASE_FRAME},
+    * {@link #PHASE_SIMULATE}, or {@link #PHASE_RENDER}.
+    * @return {Number}
+    * @memberOf R.Engine
+    */
+   getUpdatePhase: function() {
+      return R.Engine.updatePhase;
+   },
+
    /**
     * Get the default rendering context for the Engine.  This
-    * is the <tt>document.body</tt> element in the browser.
+    * is the <tt>document.body</tt> element in the browser.  When the engine
+    * is {@link #isHeadless headless}, it is a {@link R.rendercontexts.NullContext}.
     *
     * @return {RenderContext} The default rendering context
     * @memberOf R.Engine
     */
    getDefaultContext: function() {
       if (R.Engine.defaultContext == null) {
-         R.Engine.defaultContext = R.rendercontexts.DocumentContext.create();
+         R.Engine.defaultContext = R.Engine.isHeadless() ? R.rendercontexts.NullContext.create() :
+               R.rendercontexts.DocumentContext.create();
       }
 
       return R.Engine.defaultContext;
@@ -2211,6 +2374,19 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
       R.Engine.defaultContext = defaultContext;
    },
 
+   /**
+    * Returns <tt>true</tt> if the engine is running without a DOM, such as under Node.
+    * In headless mode, the default context is a {@link R.rendercontexts.NullContext} which
+    * does no drawing.  Headless mode is enabled by the <tt>headless</tt> engine option,
+    * which is set by the headless boot script in <tt>/tools/headless</tt>.
+    *
+    * @return {Boolean}
+    * @memberOf R.Engine
+    */
+   isHeadless: function() {
+      return !!R.Engine.options.headless;
+   },
+
    /**
     * Get the game object that has been loaded by the engine.  The game object isn't valid until the game is loaded.
     * @return {R.engine.Game}
@@ -2361,7 +2537,9 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
     */
    loadEngineScripts: function() {
       // Engine stylesheet
-      R.engine.Script.loadStylesheet("/css/engine.css");
+      if (!R.Engine.isHeadless()) {
+         R.engine.Script.loadStylesheet("/css/engine.css");
+      }
 
       // The basics needed by the engine to get started
       R.engine.Linker._doLoad("R.engine.Game");
@@ -2369,8 +2547,12 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
       R.engine.Linker._doLoad("R.lang.Iterator");
       R.engine.Linker._doLoad("R.rendercontexts.AbstractRenderContext");
       R.engine.Linker._doLoad("R.rendercontexts.RenderContext2D");
-      R.engine.Linker._doLoad("R.rendercontexts.HTMLElementContext");
-      R.engine.Linker._doLoad("R.rendercontexts.DocumentContext");
+      if (R.Engine.isHeadless()) {
+         R.engine.Linker._doLoad("R.rendercontexts.NullContext");
+      } else {
+         R.engine.Linker._doLoad("R.rendercontexts.HTMLElementContext");
+         R.engine.Linker._doLoad("R.rendercontexts.DocumentContext");
+      }
 
       // Load the timers so that we don't require developers to do it
       R.engine.Linker._doLoad("R.lang.AbstractTimer");
@@ -2436,6 +2618,8 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
       R.Engine._pauseTime = R.now();
       R.Engine._stepOne = 0;
       R.Engine.lastTime = R.now() - R.Engine.fpsClock;
+      R.Engine.simTime = R.Engine.lastTime;
+      R.Engine.stepAccumulator = 0;
 
       // Start world timer
       R.Engine.engineTimer();
@@ -2443,6 +2627,7 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
 
    /**
     * Steps the engine when paused.  Any timers that were paused, stay paused while stepping.
+    * In fixed timestep mode, exactly one simulation step is run before the frame is rendered.
     * @memberOf R.Engine
     */
    step: function() {
@@ -2452,6 +2637,7 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
       }
 
       R.Engine._stepOne = 1;
+      R.Engine.stepAccumulator = 0;
       R.Engine.engineTimer();
    },
 
@@ -2471,7 +2657,7 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
       }
 
       R.debug.Console.warn(">>> Engine paused <<<");
-      window.clearTimeout(R.Engine.globalTimer);
+      R.Engine.cancelEngineTimer();
       R.Engine.running = false;
       R.Engine._pauseTime = R.now();
    },
@@ -2520,7 +2706,7 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
       R.debug.Console.warn(">>> Engine shutting down...");
 
       // Stop world timer
-      R.global.clearTimeout(R.Engine.globalTimer);
+      R.Engine.cancelEngineTimer();
 
       // Run through shutdown callbacks to allow unreferenced objects
       // to clean up references, etc.
@@ -2647,7 +2833,7 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
     * Check the current browser to see if it is supported by the
     * engine.  If it isn't, there's no reason to load the remainder of
     * the engine.  This check can be disabled with the <tt>disableBrowserCheck</tt>
-    * query parameter set to <tt>true</tt>.
+    * query parameter set to <tt>true</tt>, and is skipped when the engine is running headless.
     * <p/>
     * If the browser isn't supported, the engine is shutdown and a message is
     * displayed.
@@ -2655,7 +2841,7 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
     * @private
     */
    browserSupportCheck: function() {
-      if (R.engine.Support.checkBooleanParam("disableBrowserCheck")) {
+      if (R.Engine.isHeadless() || R.engine.Support.checkBooleanParam("disableBrowserCheck")) {
          return true;
       }
       var sInfo = R.engine.Support.sysInfo();
@@ -2722,11 +2908,19 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
          //R.Engine.pclRebuilds = 0;
 
          // Render a frame
+         var stepDelta = R.Engine.fixedStep ? R.Engine.stepTime : R.Engine.fpsClock;
          R.Engine.worldTime = R.Engine._stepOne == 1 ? R.Engine._pauseTime : R.now();
-         R.Engine.lastTime = R.Engine._stepOne == 1 ? R.Engine.worldTime - R.Engine.fpsClock : R.Engine.lastTime;
+         R.Engine.lastTime = R.Engine._stepOne == 1 ? R.Engine.worldTime - stepDelta : R.Engine.lastTime;
+
+         if (R.Engine.fixedStep) {
+            // Run the simulation steps, then render the frame
+            R.Engine.simulateFrame(R.Engine.worldTime - R.Engine.lastTime);
+         } else {
+            R.Engine.playInput();
 
-         // Pass parent context, world time, delta time
-         R.Engine.getDefaultContext().update(null, R.Engine.worldTime, R.Engine.worldTime - R.Engine.lastTime);
+            // Pass parent context, world time, delta time
+            R.Engine.getDefaultContext().update(null, R.Engine.worldTime, R.Engine.worldTime - R.Engine.lastTime);
+         }
          R.Engine.lastTime = R.Engine.worldTime;
          R.Engine.frameTime = R.now() - R.Engine.worldTime;
 
@@ -2757,7 +2951,7 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
 
       // When the process is done, start all over again
       if (R.Engine.options.nativeAnimationFrame) {
-         R.global.nativeFrame(R.Engine.engineTimer /*, R.Engine.getDefaultContext().getSurface()*/);
+         R.Engine.animationFrame = R.global.nativeFrame(R.Engine.engineTimer /*, R.Engine.getDefaultContext().getSurface()*/);
       } else {
          R.Engine.globalTimer = setTimeout(function _engineTimer() {
             R.Engine.engineTimer();
@@ -2765,6 +2959,70 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
       }
    },
 
+   /**
+    * Runs the simulation steps for a frame in fixed timestep mode and then renders
+    * the frame.  The time delta of the frame is accumulated and consumed in fixed
+    * size steps.  Any time that remains is used to calculate the interpolation alpha.
+    *
+    * @param frameDelta {Number} The time, in milliseconds, since the last frame
+    * @private
+    * @memberOf R.Engine
+    */
+   simulateFrame: function(frameDelta) {
+      var ctx = R.Engine.getDefaultContext(), steps = 0;
+
+      // Clamp the delta so a long stall doesn't spiral into more and more catch-up steps
+      R.Engine.stepAccumulator += Math.min(frameDelta, R.Engine.stepTime * R.Engine.maxFrameSteps);
+
+      R.Engine.updatePhase = R.Engine.PHASE_SIMULATE;
+      while (R.Engine.stepAccumulator >= R.Engine.stepTime && steps < R.Engine.maxFrameSteps) {
+         R.Engine.playInput();
+         R.Engine.simTime += R.Engine.stepTime;
+         ctx.simulate(null, R.Engine.simTime, R.Engine.stepTime);
+         R.Engine.stepAccumulator -= R.Engine.stepTime;
+         R.Engine.totalSteps++;
+         steps++;
+      }
+
+      if (R.Engine.stepAccumulator >= R.Engine.stepTime) {
+         // Couldn't catch up, drop the whole steps that remain
+         R.Engine.droppedSteps += Math.floor(R.Engine.stepAccumulator / R.Engine.stepTime);
+         R.Engine.stepAccumulator %= R.Engine.stepTime;
+      }
+
+      R.Engine.stepAlpha = R.Engine.stepAccumulator / R.Engine.stepTime;
+
+      // Render the frame
+      R.Engine.updatePhase = R.Engine.PHASE_RENDER;
+      ctx.update(null, R.Engine.worldTime, frameDelta);
+      R.Engine.updatePhase = R.Engine.PHASE_FRAME;
+   },
+
+   /**
+    * Cancel the next scheduled run of the world timer.
+    * @private
+    * @memberOf R.Engine
+    */
+   cancelEngineTimer: function() {
+      R.global.clearTimeout(R.Engine.globalTimer);
+      if (R.Engine.animationFrame != null) {
+         R.global.cancelNativeFrame(R.Engine.animationFrame);
+         R.Engine.animationFrame = null;
+      }
+   },
+
+   /**
+    * Deliver recorded input for the frame, or simulation step, about to be generated
+    * when a replay is being played back.
+    * @private
+    * @memberOf R.Engine
+    */
+   playInput: function() {
+      if (R.engine.InputRecorder && R.engine.InputRecorder.isPlaying()) {
+         R.engine.InputRecorder.processFrame();
+      }
+   },
+
    /**
     * @private
     */
@@ -2817,7 +3075,10 @@ R.Engine = Base.extend(/** @scope R.Engine.prototype */{
 
 }, { // Interface
    /** @private */
-   globalTimer: null
+   globalTimer: null,
+
+   /** @private */
+   animationFrame: null
 });
 
 /**
@@ -3298,10 +3559,11 @@ R.engine.Script = Base.extend(/** @scope R.engine.Script.prototype */{
       R.engine.Script.loadGameOptions(gameSource);
 
       R.engine.Script.gameLoadTimer = setInterval(function() {
+         var defaultCtx = R.Engine.isHeadless() ? R.rendercontexts.NullContext : R.rendercontexts.DocumentContext;
          if (R.engine.Script.optionsLoaded &&
              R.engine.Script.gameOptionsLoaded &&
-				 R.rendercontexts.DocumentContext &&
-				 R.rendercontexts.DocumentContext.started) {
+				 defaultCtx &&
+				 defaultCtx.started) {
 
             // Show the virtual D-pad if the option is on
             R.engine.Support.showDPad();
@@ -3649,6 +3911,7 @@ R.Engine.defaultOptions = {
 	"transientMathObject": false,									   // Transient (non-pooled) MathObjects
 	"useDirtyRectangles": false,										// Enable canvas dirty rectangles redraws
    "nativeAnimationFrame": true,                            // Enable the use of "requestAnimationFrame"
+   "headless": false,                                       // Running without a DOM (set by the headless boot)
    "disableParticleEngine": false,                          // Disable particle engines (if used)
    "maxParticles": 250,                                     // Default maximum particles engine will allow
    "useVirtualControlPad": false,                           // Show the virtual d-pad (for touch)
@@ -0,0 +1,321 @@
+/**
+ * The Render Engine
+ * Scene
+ *
+ * @fileoverview A scene is one state of a game, such as a menu or a level, which
+ *               is managed by the scene manager.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.engine.Scene",
+   "requires": [
+      "R.engine.BaseObject"
+   ]
+});
+
+/**
+ * @class A scene is one state of a game, such as the title screen, the menu, a level
+ *        being played, or the pause screen.  Scenes are managed by the {@link R.engine.SceneManager},
+ *        which keeps a stack of scenes.  The scene at the top of the stack is the active scene,
+ *        while the scenes below it are paused.
+ *        <p/>
+ *        A scene owns the render contexts, timers, and resource loaders that it adds to itself.
+ *        When a scene is paused, its render contexts are made {@link R.rendercontexts.AbstractRenderContext#setStatic static}
+ *        (so they remain visible, but aren't updated) and its timers are paused.  When the scene
+ *        is removed from the stack, everything it owns is destroyed.
+ *        <p/>
+ *        Extend the scene, and override the {@link #enter}, {@link #exit}, {@link #pause},
+ *        and {@link #resume} methods to set up and tear down the scene:
+ * <pre>
+ *    var TitleScene = function() {
+ *       return R.engine.Scene.extend({
+ *          enter: function(data) {
+ *             var ctx = this.addRenderContext(R.rendercontexts.CanvasContext.create("Title", 480, 480));
+ *             ctx.add(TitleText.create());
+ *          }
+ *       }, {
+ *          getClassName: function() {
+ *             return "TitleScene";
+ *          }
+ *       });
+ *    };
+ *
+ *    R.engine.SceneManager.push(TitleScene.create("Title"));
+ * </pre>
+ *        The scene triggers the <tt>enter</tt>, <tt>exit</tt>, <tt>pause</tt>, and <tt>resume</tt>
+ *        events after the matching method is called.
+ *
+ * @param name {String} The name of the scene
+ * @extends R.engine.BaseObject
+ * @constructor
+ * @description Create a scene
+ */
+R.engine.Scene = function() {
+   return R.engine.BaseObject.extend(/** @scope R.engine.Scene.prototype */{
+
+      renderContexts: null,
+      timers: null,
+      resourceLoaders: null,
+      staticStates: null,
+      paused: false,
+
+      /** @private */
+      constructor: function(name) {
+         this.base(name || "Scene");
+         this.renderContexts = [];
+         this.timers = [];
+         this.resourceLoaders = [];
+         this.staticStates = [];
+         this.paused = false;
+      },
+
+      /**
+       * Destroy the scene, and the render contexts, timers, and resource loaders it owns.
+       * Scenes are destroyed by the scene manager when they are removed from the stack.
+       */
+      destroy: function() {
+         R.engine.Support.forEach(this.renderContexts, function(ctx) {
+            R.engine.Scene.disposeContext(ctx);
+         });
+         R.engine.Support.forEach(this.timers, function(timer) {
+            if (!timer.isDestroyed()) {
+               timer.destroy();
+            }
+         });
+         R.engine.Support.forEach(this.resourceLoaders, function(loader) {
+            if (!loader.isDestroyed()) {
+               loader.destroy();
+            }
+         });
+         this.base();
+      },
+
+      /**
+       * Release the scene back into the pool for reuse
+       */
+      release: function() {
+         this.base();
+         this.renderContexts = null;
+         this.timers = null;
+         this.resourceLoaders = null;
+         this.staticStates = null;
+         this.paused = false;
+      },
+
+      /**
+       * Add a render context to the scene.  The context is added to the engine's
+       * default context so it will be rendered, and is destroyed with the scene.
+       *
+       * @param renderContext {R.rendercontexts.AbstractRenderContext} The render context
+       * @return {R.rendercontexts.AbstractRenderContext} The render context that was added
+       */
+      addRenderContext: function(renderContext) {
+         R.Engine.getDefaultContext().add(renderContext);
+         this.renderContexts.push(renderContext);
+         return renderContext;
+      },
+
+      /**
+       * Remove a render context from the scene, and destroy it.
+       * @param renderContext {R.rendercontexts.AbstractRenderContext} The render context
+       */
+      removeRenderContext: function(renderContext) {
+         R.engine.Support.arrayRemove(this.renderContexts, renderContext);
+         R.engine.Scene.disposeContext(renderContext);
+      },
+
+      /**
+       * Get the render contexts owned by the scene, in the order they were added.
+       * @return {Array}
+       */
+      getRenderContexts: function() {
+         return this.renderContexts;
+      },
+
+      /**
+       * Add a timer to the scene.  The timer is paused while the scene is paused,
+       * and destroyed with the scene.
+       *
+       * @param timer {R.lang.AbstractTimer} The timer
+       * @return {R.lang.AbstractTimer} The timer that was added
+       */
+      addTimer: function(timer) {
+         this.timers.push(timer);
+         return timer;
+      },
+
+      /**
+       * Add a resource loader to the scene.  The loader, and the resources it has
+       * loaded, are destroyed with the scene.
+       *
+       * @param resourceLoader {R.resources.loaders.AbstractResourceLoader} The resource loader
+       * @return {R.resources.loaders.AbstractResourceLoader} The resource loader that was added
+       */
+      addResourceLoader: function(resourceLoader) {
+         this.resourceLoaders.push(resourceLoader);
+         return resourceLoader;
+      },
+
+      /**
+       * Returns <tt>true</tt> if the scene is paused because another scene is above it
+       * on the stack.
+       * @return {Boolean}
+       */
+      isPaused: function() {
+         return this.paused;
+      },
+
+      /**
+       * [ABSTRACT] Called when the scene is pushed onto the stack and becomes the
+       * active scene.  Create the scene's render contexts and objects here.
+       *
+       * @param [data] {Object} The data passed to {@link R.engine.SceneManager#push}
+       */
+      enter: function(data) {
+      },
+
+      /**
+       * [ABSTRACT] Called when the scene is removed from the stack, before the
+       * render contexts, timers, and resource loaders it owns are destroyed.
+       */
+      exit: function() {
+      },
+
+      /**
+       * [ABSTRACT] Called when another scene is pushed on top of this scene.
+       */
+      pause: function() {
+      },
+
+      /**
+       * [ABSTRACT] Called when this scene becomes the active scene again because
+       * the scene above it was removed.
+       *
+       * @param [data] {Object} The data passed to {@link R.engine.SceneManager#pop}
+       */
+      resume: function(data) {
+      },
+
+      /**
+       * Enter the scene.
+       * @private
+       */
+      _enterScene: function(data) {
+         this.enter(data);
+         this.triggerEvent("enter");
+      },
+
+      /**
+       * Exit the scene.
+       * @private
+       */
+      _exitScene: function() {
+         this.exit();
+         this.triggerEvent("exit");
+      },
+
+      /**
+       * Freeze the scene's render contexts and timers, then notify the scene.
+       * @private
+       */
+      _pauseScene: function() {
+         if (this.paused) {
+            return;
+         }
+
+         this.paused = true;
+         this.staticStates = [];
+         R.engine.Support.forEach(this.renderContexts, function(ctx) {
+            this.staticStates.push(ctx.isStatic());
+            ctx.setStatic(true);
+         }, this);
+         R.engine.Support.forEach(this.timers, function(timer) {
+            if (!timer.isDestroyed() && timer.isRunning()) {
+               timer.pause();
+            }
+         });
+
+         this.pause();
+         this.triggerEvent("pause");
+      },
+
+      /**
+       * Restore the scene's render contexts and timers, then notify the scene.
+       * @private
+       */
+      _resumeScene: function(data) {
+         if (!this.paused) {
+            return;
+         }
+
+         this.paused = false;
+         R.engine.Support.forEach(this.renderContexts, function(ctx, idx) {
+            ctx.setStatic(this.staticStates[idx] || false);
+         }, this);
+         R.engine.Support.forEach(this.timers, function(timer) {
+            if (!timer.isDestroyed() && timer.paused) {
+               timer.restart();
+            }
+         });
+
+         this.resume(data);
+         this.triggerEvent("resume");
+      }
+
+   }, /** @scope R.engine.Scene.prototype */{
+
+      /**
+       * Get the class name of this object
+       * @return {String} "R.engine.Scene"
+       */
+      getClassName: function() {
+         return "R.engine.Scene";
+      },
+
+      /**
+       * Remove an object from the default context and destroy it once the current
+       * frame is done with it.  Scenes can be changed by the objects within them, so
+       * the object may still be being updated.
+       * @private
+       */
+      disposeContext: function(obj) {
+         if (R.Engine.shuttingDown) {
+            // The default context destroys everything within it at shutdown
+            return;
+         }
+
+         var defaultCtx = R.Engine.getDefaultContext();
+         defaultCtx.remove(obj);
+         defaultCtx.postRender(function() {
+            if (!obj.isDestroyed()) {
+               obj.destroy();
+            }
+         });
+      }
+   });
+};
@@ -0,0 +1,236 @@
+/**
+ * The Render Engine
+ * SceneManager
+ *
+ * @fileoverview A static class which manages the stack of scenes in a game.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.engine.SceneManager",
+   "requires": [
+      "R.engine.Scene",
+      "R.engine.SceneTransition"
+   ]
+});
+
+/**
+ * @class A static class which manages a stack of {@link R.engine.Scene scenes}.  The scene
+ *        at the top of the stack is the active scene.  Pushing a scene pauses the active
+ *        scene and enters the new one, while popping a scene exits and destroys it, and
+ *        resumes the scene below it.  A typical game flow looks like this:
+ * <pre>
+ *    // In the game's setup()
+ *    R.engine.SceneManager.push(TitleScene.create());
+ *
+ *    // Start playing, replacing the title
+ *    R.engine.SceneManager.replace(PlayScene.create(), { level: 1 },
+ *       R.engine.SceneTransition.fade(600));
+ *
+ *    // Pause the game, showing the pause menu over it
+ *    R.engine.SceneManager.push(PauseScene.create());
+ *
+ *    // Return to the game
+ *    R.engine.SceneManager.pop();
+ * </pre>
+ *        When a {@link R.engine.SceneTransition transition} is given, the change happens
+ *        while the transition covers the display.  Scene changes requested while a transition
+ *        is playing are queued, and performed in order when it completes.
+ *
+ * @static
+ */
+R.engine.SceneManager = Base.extend(/** @scope R.engine.SceneManager.prototype */{
+
+   /** @private */
+   constructor: null,
+
+   /** @private */
+   scenes: [],
+
+   /** @private */
+   queue: [],
+
+   /** @private */
+   transition: null,
+
+   /**
+    * Push a scene onto the stack, pausing the active scene.  The new scene's
+    * {@link R.engine.Scene#enter} method is passed the data.
+    *
+    * @param scene {R.engine.Scene} The scene to push
+    * @param [data] {Object} Data to pass to the scene
+    * @param [transition] {R.engine.SceneTransition} A transition to play
+    * @memberOf R.engine.SceneManager
+    */
+   push: function(scene, data, transition) {
+      Assert((scene instanceof R.engine.Scene), "SceneManager can only push an R.engine.Scene");
+      R.engine.SceneManager.change(function() {
+         var current = R.engine.SceneManager.getCurrent();
+         if (current) {
+            current._pauseScene();
+         }
+         R.engine.SceneManager.scenes.push(scene);
+         scene._enterScene(data);
+      }, transition);
+   },
+
+   /**
+    * Pop the active scene off the stack.  The scene exits, and is destroyed along
+    * with everything it owns.  The scene below it is resumed, and its {@link R.engine.Scene#resume}
+    * method is passed the data.
+    *
+    * @param [data] {Object} Data to pass to the scene being resumed
+    * @param [transition] {R.engine.SceneTransition} A transition to play
+    * @memberOf R.engine.SceneManager
+    */
+   pop: function(data, transition) {
+      R.engine.SceneManager.change(function() {
+         R.engine.SceneManager.removeCurrent();
+         var current = R.engine.SceneManager.getCurrent();
+         if (current) {
+            current._resumeScene(data);
+         }
+      }, transition);
+   },
+
+   /**
+    * Replace the active scene with another scene.  The active scene exits and is
+    * destroyed, without resuming the scene below it, and the new scene is entered.
+    *
+    * @param scene {R.engine.Scene} The scene to replace the active scene with
+    * @param [data] {Object} Data to pass to the new scene
+    * @param [transition] {R.engine.SceneTransition} A transition to play
+    * @memberOf R.engine.SceneManager
+    */
+   replace: function(scene, data, transition) {
+      Assert((scene instanceof R.engine.Scene), "SceneManager can only push an R.engine.Scene");
+      R.engine.SceneManager.change(function() {
+         R.engine.SceneManager.removeCurrent();
+         R.engine.SceneManager.scenes.push(scene);
+         scene._enterScene(data);
+      }, transition);
+   },
+
+   /**
+    * Remove every scene from the stack, from the top down, without transitions.
+    * Any queued scene changes are discarded.
+    * @memberOf R.engine.SceneManager
+    */
+   clear: function() {
+      R.engine.SceneManager.queue = [];
+      while (R.engine.SceneManager.scenes.length > 0) {
+         R.engine.SceneManager.removeCurrent();
+      }
+   },
+
+   /**
+    * Get the active scene.
+    * @return {R.engine.Scene} The scene at the top of the stack, or <code>null</code>
+    * @memberOf R.engine.SceneManager
+    */
+   getCurrent: function() {
+      var scenes = R.engine.SceneManager.scenes;
+      return scenes.length > 0 ? scenes[scenes.length - 1] : null;
+   },
+
+   /**
+    * Get the number of scenes on the stack.
+    * @return {Number}
+    * @memberOf R.engine.SceneManager
+    */
+   size: function() {
+      return R.engine.SceneManager.scenes.length;
+   },
+
+   /**
+    * Returns <code>true</code> if a transition is playing.
+    * @return {Boolean}
+    * @memberOf R.engine.SceneManager
+    */
+   isTransitioning: function() {
+      return R.engine.SceneManager.transition != null;
+   },
+
+   /**
+    * Exit and destroy the scene at the top of the stack.
+    * @private
+    * @memberOf R.engine.SceneManager
+    */
+   removeCurrent: function() {
+      var scene = R.engine.SceneManager.scenes.pop();
+      if (scene) {
+         scene._exitScene();
+         scene.destroy();
+      }
+   },
+
+   /**
+    * Perform a scene change, with an optional transition, or queue it if a
+    * transition is already playing.
+    * @private
+    * @memberOf R.engine.SceneManager
+    */
+   change: function(changeFn, transition) {
+      if (R.engine.SceneManager.transition) {
+         R.engine.SceneManager.queue.push([changeFn, transition]);
+         return;
+      }
+
+      if (!transition) {
+         changeFn();
+         R.engine.SceneManager.next();
+         return;
+      }
+
+      R.engine.SceneManager.transition = transition;
+      transition.start(changeFn, function() {
+         R.engine.SceneManager.transition = null;
+         R.engine.SceneManager.next();
+      });
+   },
+
+   /**
+    * Perform the next queued scene change
+    * @private
+    * @memberOf R.engine.SceneManager
+    */
+   next: function() {
+      if (R.engine.SceneManager.queue.length > 0) {
+         var change = R.engine.SceneManager.queue.shift();
+         R.engine.SceneManager.change(change[0], change[1]);
+      }
+   },
+
+   /** @private */
+   resolved: function() {
+      // Give the scenes a chance to exit before the engine destroys everything
+      R.Engine.onShutdown(function() {
+         R.engine.SceneManager.clear();
+      });
+   }
+
+});
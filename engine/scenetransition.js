@@ -0,0 +1,243 @@
+/**
+ * The Render Engine
+ * SceneTransition
+ *
+ * @fileoverview A visual transition between two scenes.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.engine.SceneTransition",
+   "requires": [
+      "R.engine.BaseObject",
+      "R.engine.Scene"
+   ]
+});
+
+/**
+ * @class A transition which is played when the {@link R.engine.SceneManager} changes
+ *        scenes.  The transition covers the display with an overlay, the scenes are
+ *        changed while the display is covered, and then the overlay is removed to
+ *        reveal the new scene.  Half of the duration is spent covering the display,
+ *        and half revealing it.
+ *        <p/>
+ *        There are two types of transition: a fade, where the overlay fades in and out,
+ *        and a wipe, where the overlay slides across the display.  Other transitions
+ *        can be created by extending this class and overriding {@link #apply}.
+ * <pre>
+ *    R.engine.SceneManager.push(GameScene.create("Level1"), null,
+ *       R.engine.SceneTransition.fade(500, "black"));
+ * </pre>
+ *
+ * @param [type=R.engine.SceneTransition.TYPE_FADE] {Number} The type of transition
+ * @param [duration=500] {Number} The duration of the transition, in milliseconds
+ * @param [color="black"] {String} The color of the overlay
+ * @param [direction="right"] {String} The direction of a wipe: "left", "right", "up", or "down"
+ * @extends R.engine.BaseObject
+ * @constructor
+ * @description Create a scene transition
+ */
+R.engine.SceneTransition = function() {
+   return R.engine.BaseObject.extend(/** @scope R.engine.SceneTransition.prototype */{
+
+      type: 0,
+      duration: 0,
+      direction: null,
+      elapsed: 0,
+      swapped: false,
+      swapFn: null,
+      doneFn: null,
+
+      /** @private */
+      constructor: function(type, duration, color, direction) {
+         this.base("SceneTransition");
+         this.type = type || R.engine.SceneTransition.TYPE_FADE;
+         this.duration = duration || 500;
+         this.direction = direction || "right";
+         this.elapsed = 0;
+         this.swapped = false;
+
+         // The overlay which covers the display.  When running headless there's no DOM,
+         // so the transition only keeps time.
+         this.setElement($("<div>").css({
+            "position": "fixed",
+            "left": 0,
+            "top": 0,
+            "width": "100%",
+            "height": "100%",
+            "zIndex": 10000,
+            "background": color || "black",
+            "opacity": 0
+         }));
+      },
+
+      /**
+       * Release the transition back into the pool for reuse
+       */
+      release: function() {
+         this.base();
+         this.swapFn = null;
+         this.doneFn = null;
+         this.swapped = false;
+         this.elapsed = 0;
+      },
+
+      /**
+       * Get the duration of the transition, in milliseconds.
+       * @return {Number}
+       */
+      getDuration: function() {
+         return this.duration;
+      },
+
+      /**
+       * Start the transition.  This is called by the scene manager.
+       *
+       * @param swapFn {Function} Called to change the scenes when the display is covered
+       * @param doneFn {Function} Called when the transition is complete
+       */
+      start: function(swapFn, doneFn) {
+         this.swapFn = swapFn;
+         this.doneFn = doneFn;
+         this.elapsed = 0;
+         this.swapped = false;
+         this.apply(0, false);
+         R.Engine.getDefaultContext().add(this);
+      },
+
+      /**
+       * Update the transition for the frame.
+       *
+       * @param renderContext {R.rendercontexts.AbstractRenderContext} The render context
+       * @param time {Number} The engine time in milliseconds
+       * @param dt {Number} The delta between the world time and the last time the world was updated
+       *          in milliseconds.
+       */
+      update: function(renderContext, time, dt) {
+         var half = this.duration * 0.5;
+         this.elapsed += dt;
+
+         if (!this.swapped) {
+            if (this.elapsed < half) {
+               this.apply(this.elapsed / half, false);
+               return;
+            }
+
+            // The display is covered, so change the scenes
+            this.apply(1, false);
+            this.swapped = true;
+            this.swapFn();
+         }
+
+         if (this.elapsed < this.duration) {
+            this.apply((this.elapsed - half) / half, true);
+         } else {
+            var doneFn = this.doneFn;
+            R.engine.Scene.disposeContext(this);
+            doneFn();
+         }
+      },
+
+      /**
+       * Update the overlay for the progress of the transition.  Override this method
+       * to create other transitions.
+       *
+       * @param amount {Number} The progress of the current half of the transition, from 0 to 1
+       * @param revealing {Boolean} <tt>false</tt> while covering the display, <tt>true</tt>
+       *    while revealing the new scene
+       */
+      apply: function(amount, revealing) {
+         if (!this.jQ()) {
+            return;
+         }
+
+         if (this.type == R.engine.SceneTransition.TYPE_FADE) {
+            this.jQ().css("opacity", revealing ? 1 - amount : amount);
+            return;
+         }
+
+         // Wipe across the display in the direction, covering then uncovering
+         var horizontal = (this.direction == "left" || this.direction == "right"),
+             forward = (this.direction == "right" || this.direction == "down"),
+             size = ((revealing ? 1 - amount : amount) * 100) + "%",
+             start = (forward == revealing) ? "auto" : 0, end = (forward == revealing) ? 0 : "auto";
+
+         this.jQ().css("opacity", 1);
+         if (horizontal) {
+            this.jQ().css({ "width": size, "height": "100%", "top": 0, "bottom": "auto", "left": start, "right": end });
+         } else {
+            this.jQ().css({ "height": size, "width": "100%", "left": 0, "right": "auto", "top": start, "bottom": end });
+         }
+      }
+
+   }, /** @scope R.engine.SceneTransition.prototype */{
+
+      /**
+       * Get the class name of this object
+       * @return {String} "R.engine.SceneTransition"
+       */
+      getClassName: function() {
+         return "R.engine.SceneTransition";
+      },
+
+      /**
+       * Create a transition which fades to a color, and then fades in the new scene.
+       *
+       * @param [duration=500] {Number} The duration of the transition, in milliseconds
+       * @param [color="black"] {String} The color to fade to
+       * @return {R.engine.SceneTransition}
+       */
+      fade: function(duration, color) {
+         return R.engine.SceneTransition.create(R.engine.SceneTransition.TYPE_FADE, duration, color);
+      },
+
+      /**
+       * Create a transition which wipes a color across the display, and then wipes it
+       * away to reveal the new scene.
+       *
+       * @param [duration=500] {Number} The duration of the transition, in milliseconds
+       * @param [direction="right"] {String} The direction of the wipe: "left", "right", "up", or "down"
+       * @param [color="black"] {String} The color of the wipe
+       * @return {R.engine.SceneTransition}
+       */
+      wipe: function(duration, direction, color) {
+         return R.engine.SceneTransition.create(R.engine.SceneTransition.TYPE_WIPE, duration, color, direction);
+      },
+
+      /**
+       * A transition which fades the display
+       * @type {Number}
+       */
+      TYPE_FADE: 1,
+
+      /**
+       * A transition which wipes across the display
+       * @type {Number}
+       */
+      TYPE_WIPE: 2
+   });
+};
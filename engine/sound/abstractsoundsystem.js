@@ -36,6 +36,7 @@ R.Engine.define({
 	"class": "R.sound.AbstractSoundSystem",
 	"requires": [
 		"R.lang.Timeout",
+		"R.lang.IntervalTimer",
 		"R.resources.types.Sound"
 	]
 });
@@ -44,6 +45,11 @@ R.Engine.define({
  * @class Sound system abstraction class for pluggable sound architecture.  The <tt>
  *			 R.sound.AbstractSoundSystem</tt> class is used to separate the sound manager from the resource
  *			 loader and sound objects.
+ *			 <p/>
+ *			 Sound systems may also support mixer buses, which group sounds so that their volume
+ *			 can be controlled together, and sounds which are positioned in the world and heard
+ *			 from a {@link R.sound.Listener}.  Sound systems which don't support these features
+ *			 ignore them.
  *
  * @constructor
  */
@@ -130,7 +136,7 @@ R.sound.AbstractSoundSystem = function(){
 			var sound = resourceLoader.get(name);
 			if (sound == null) {
 				// No, return an empty sound object
-				return R.sound.Sound.create(this, null);
+				return R.resources.types.Sound.create(this, null);
 			}
 			else {
 				// Yep, return the existing sound object
@@ -204,6 +210,105 @@ R.sound.AbstractSoundSystem = function(){
 		setSoundPan: function(sound, pan){
 		},
 		
+		/**
+		 * Fade the volume of the given sound object over a period of time.  Sound systems
+		 * which can schedule volume changes should override this method.
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @param fromVolume {Number} The volume to fade from, between 0 and 100
+		 * @param toVolume {Number} The volume to fade to, between 0 and 100
+		 * @param duration {Number} The length of the fade, in milliseconds
+		 * @param [callback] {Function} A function to call when the fade is complete
+		 */
+		fadeSound: function(sound, fromVolume, toVolume, duration, callback){
+			var self = this, start = R.now();
+			R.lang.IntervalTimer.create("soundFade", R.sound.AbstractSoundSystem.FADE_INTERVAL, function(){
+				var t = Math.min(1, (R.now() - start) / duration);
+				self.setSoundVolume(sound, fromVolume + (toVolume - fromVolume) * t);
+				if (t == 1) {
+					this.destroy();
+					if (callback) {
+						callback();
+					}
+				}
+			});
+		},
+
+		/**
+		 * [ABSTRACT] Set whether the given sound object repeats when it reaches its end
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @param loop {Boolean} <code>true</code> to repeat the sound
+		 */
+		setSoundLoop: function(sound, loop){
+		},
+
+		/**
+		 * [ABSTRACT] Route the given sound object through a mixer bus
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @param bus {String} The name of the bus
+		 */
+		setSoundBus: function(sound, bus){
+		},
+
+		/**
+		 * [ABSTRACT] Set the position of the given sound object in the world.  The volume
+		 * and pan of a positioned sound depend on where it is relative to the listener.
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @param point {R.math.Point2D} The position of the sound, or <code>null</code>
+		 * 		to play the sound without positioning it
+		 */
+		setSoundWorldPosition: function(sound, point){
+		},
+
+		/**
+		 * [ABSTRACT] Set the volume of a mixer bus
+		 * @param bus {String} The name of the bus
+		 * @param volume {Number} A value between 0 and 100
+		 */
+		setBusVolume: function(bus, volume){
+		},
+
+		/**
+		 * [ABSTRACT] Get the volume of a mixer bus
+		 * @param bus {String} The name of the bus
+		 * @return {Number} A value between 0 and 100
+		 */
+		getBusVolume: function(bus){
+			return 100;
+		},
+
+		/**
+		 * [ABSTRACT] Mute a mixer bus, and all of the sounds routed through it
+		 * @param bus {String} The name of the bus
+		 */
+		muteBus: function(bus){
+		},
+
+		/**
+		 * [ABSTRACT] Unmute a mixer bus
+		 * @param bus {String} The name of the bus
+		 */
+		unmuteBus: function(bus){
+		},
+
+		/**
+		 * [ABSTRACT] Determine if a mixer bus is muted
+		 * @param bus {String} The name of the bus
+		 * @return {Boolean}
+		 */
+		isBusMuted: function(bus){
+			return false;
+		},
+
+		/**
+		 * [ABSTRACT] Update the position which positioned sounds are heard from.  This is
+		 * called by the {@link R.sound.Listener} each frame.
+		 * @param point {R.math.Point2D} The position of the listener in the world
+		 * @param panWidth {Number} The distance to either side of the listener at which
+		 * 		a sound is panned fully left or right
+		 */
+		setListenerPosition: function(point, panWidth){
+		},
+
 		/**
 		 * [ABSTRACT] Set the position, within the sound's length, to play at
 		 * @param sound {R.resources.types.Sound} The sound object
@@ -249,5 +354,12 @@ R.sound.AbstractSoundSystem = function(){
 			return false;
 		}
 		
+	}, /** @scope R.sound.AbstractSoundSystem.prototype */{
+
+		/**
+		 * The interval, in milliseconds, at which volume is changed during a fade
+		 * @type {Number}
+		 */
+		FADE_INTERVAL: 25
 	});
 }
\ No newline at end of file
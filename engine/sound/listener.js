@@ -0,0 +1,159 @@
+/**
+ * The Render Engine
+ * Listener
+ *
+ * @fileoverview The position that positioned sounds are heard from.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+
+// The class this file defines and its required classes
+R.Engine.define({
+	"class": "R.sound.Listener",
+	"requires": [
+		"R.engine.BaseObject",
+		"R.math.Point2D"
+	]
+});
+
+/**
+ * @class The position in the world which sounds are heard from.  Sounds which have been
+ *        {@link R.resources.types.Sound#setWorldPosition positioned in the world} get quieter
+ *        as they get farther from the listener, and are panned to the side of the listener
+ *        they are on.  A sound at the edge of the view is panned fully to that side.
+ *        <p/>
+ *        The listener is added to a render context, and follows a target each frame.  The
+ *        target can be a {@link R.objects.Camera}, or any object with a <tt>getPosition()</tt>
+ *        method, such as the player.  Without a target, the listener is at the center of
+ *        the render context's view.
+ * <pre>
+ *    var soundSystem = new R.sound.WebAudio();
+ *    this.soundLoader = R.resources.loaders.SoundLoader.create(soundSystem);
+ *    renderContext.add(R.sound.Listener.create(soundSystem, camera));
+ *
+ *    // Sounds can then be positioned
+ *    explosion.setWorldPosition(ship.getPosition());
+ *    explosion.play();
+ * </pre>
+ *
+ * @param soundSystem {R.sound.AbstractSoundSystem} The sound system which plays the sounds
+ * @param [target] {Object} The object the listener follows
+ * @extends R.engine.BaseObject
+ * @constructor
+ * @description Create a sound listener
+ */
+R.sound.Listener = function() {
+	return R.engine.BaseObject.extend(/** @scope R.sound.Listener.prototype */{
+
+		soundSystem: null,
+		target: null,
+		position: null,
+
+		/** @private */
+		constructor: function(soundSystem, target) {
+			this.base("SoundListener");
+			this.soundSystem = soundSystem;
+			this.target = target || null;
+			this.position = R.math.Point2D.create(0, 0);
+		},
+
+		/**
+		 * Destroy the listener
+		 */
+		destroy: function() {
+			this.position.destroy();
+			this.base();
+		},
+
+		/**
+		 * Release the listener back into the pool for reuse
+		 */
+		release: function() {
+			this.base();
+			this.soundSystem = null;
+			this.target = null;
+			this.position = null;
+		},
+
+		/**
+		 * Set the object the listener follows.
+		 * @param target {Object} An object with a <tt>getPosition()</tt> method, or
+		 * 	<code>null</code> to listen from the center of the view
+		 */
+		setTarget: function(target) {
+			this.target = target;
+		},
+
+		/**
+		 * Get the object the listener follows.
+		 * @return {Object}
+		 */
+		getTarget: function() {
+			return this.target;
+		},
+
+		/**
+		 * Get the position of the listener in the world, as of the last frame.
+		 * @return {R.math.Point2D}
+		 */
+		getPosition: function() {
+			return this.position;
+		},
+
+		/**
+		 * Update the position of the listener, and the sounds heard from it.
+		 *
+		 * @param renderContext {R.rendercontexts.AbstractRenderContext} The render context
+		 * @param time {Number} The engine time in milliseconds
+		 * @param dt {Number} The delta between the world time and the last time the world was updated
+		 *          in milliseconds.
+		 */
+		update: function(renderContext, time, dt) {
+			// The viewport is already in world units, so it isn't scaled
+			var viewport = renderContext.getViewport(), halfWidth = viewport.w * 0.5;
+
+			if (this.target) {
+				this.position.set(this.target.getPosition());
+			} else {
+				var wp = renderContext.getWorldPosition();
+				this.position.set(wp.x + halfWidth, wp.y + viewport.h * 0.5);
+			}
+
+			this.soundSystem.setListenerPosition(this.position, halfWidth);
+		}
+
+	}, /** @scope R.sound.Listener.prototype */{
+
+		/**
+		 * Get the class name of this object
+		 * @return {String} "R.sound.Listener"
+		 */
+		getClassName: function() {
+			return "R.sound.Listener";
+		}
+	});
+};
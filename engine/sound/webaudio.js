@@ -0,0 +1,701 @@
+/**
+ * The Render Engine
+ * WebAudio
+ *
+ * @fileoverview The Web Audio sound system.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+
+// The class this file defines and its required classes
+R.Engine.define({
+	"class": "R.sound.WebAudio",
+	"requires": [
+		"R.sound.AbstractSoundSystem",
+		"R.lang.OneShotTimeout",
+		"R.math.Point2D"
+	]
+});
+
+/**
+ * @class Initializes the Web Audio sound system.  Sounds are decoded into memory when they
+ *    are loaded, so the same sound can be started, stopped, and repositioned without delay.
+ *    The formats which can be played are those the browser can decode.
+ *    <p/>
+ *    Each sound is routed through a mixer bus.  The buses "music", "sfx", and "ui" are
+ *    created with the sound system, and other buses are created when a sound is first
+ *    routed through them.  Sounds are routed through the "sfx" bus unless
+ *    {@link R.resources.types.Sound#setBus} is used.  All of the buses are routed through
+ *    the "master" bus, which controls the volume of every sound.
+ * <pre>
+ *    var soundSystem = new R.sound.WebAudio();
+ *    this.soundLoader = R.resources.loaders.SoundLoader.create(soundSystem);
+ *
+ *    // Turn the music down, and mute the menu sounds
+ *    soundSystem.setBusVolume("music", 40);
+ *    soundSystem.muteBus("ui");
+ * </pre>
+ *    Sounds which are {@link R.resources.types.Sound#setWorldPosition positioned in the world}
+ *    are attenuated and panned relative to a {@link R.sound.Listener}.  A sound is at full
+ *    volume within the reference distance of the listener, and fades out linearly until
+ *    it is silent at the maximum distance.
+ *
+ * @constructor
+ * @extends R.sound.AbstractSoundSystem
+ */
+R.sound.WebAudio = function(){
+	return R.sound.AbstractSoundSystem.extend(/** @scope R.sound.WebAudio.prototype */{
+
+		supported: false,
+		context: null,
+		buses: null,
+		spatialSounds: null,
+		listenerPosition: null,
+		hasListener: false,
+		panWidth: 0,
+		refDistance: 0,
+		maxDistance: 0,
+
+		/** @private */
+		constructor: function(){
+			this.base();
+			this.buses = {};
+			this.spatialSounds = [];
+			this.listenerPosition = R.math.Point2D.create(0, 0);
+			this.hasListener = false;
+			this.panWidth = 0;
+			this.refDistance = R.sound.WebAudio.REF_DISTANCE;
+			this.maxDistance = R.sound.WebAudio.MAX_DISTANCE;
+
+			var AudioContext = R.global.AudioContext || R.global.webkitAudioContext;
+			if (!AudioContext) {
+				// Sounds can still be "played", they just won't be heard
+				R.debug.Console.warn("WebAudio failed: Web Audio is not supported");
+				this.supported = false;
+				this.makeReady();
+				return;
+			}
+
+			this.context = new AudioContext();
+			this.supported = true;
+
+			// The master bus is the output of all the other buses
+			var master = this.context.createGain();
+			master.connect(this.context.destination);
+			this.buses.master = { node: master, volume: 100, muted: false };
+
+			for (var b = 0; b < R.sound.WebAudio.BUSES.length; b++) {
+				this.getBusNode(R.sound.WebAudio.BUSES[b]);
+			}
+
+			if (this.context.state == "suspended") {
+				// Browsers only allow audio to start once the player has interacted with the page
+				var self = this, resume = function() {
+					self.context.resume();
+					$(document).unbind("mousedown keydown touchstart", resume);
+				};
+				$(document).bind("mousedown keydown touchstart", resume);
+			}
+
+			this.makeReady();
+		},
+
+		/**
+		 * Shut down the sound system
+		 */
+		shutdown: function(){
+			if (this.supported && this.context.close) {
+				this.context.close();
+			}
+			this.listenerPosition.destroy();
+		},
+
+		/**
+		 * Retrieve the sound from the network, when the sound system is ready, and create the sound object.
+		 * @param resourceLoader {R.resources.loades.SoundLoader} The sound resource loader
+		 * @param name {String} The name of the sound object
+		 * @param url {String} The URL of the sound to load
+		 * @return {R.resources.types.Sound} The sound object
+		 * @private
+		 */
+		retrieveSound: function(resourceLoader, name, url){
+			var sound = this.base(resourceLoader, name, url);
+			if (!this.supported || sound.getSoundObject() != null) {
+				return sound;
+			}
+
+			// The sound object holds the sound's state and its nodes.  The sound's volume,
+			// its position in the world, and its pan are applied in that order.
+			var ctx = this.context, voice = {
+				url: url,
+				buffer: null,
+				size: 0,
+				failed: false,
+				source: null,
+				gain: ctx.createGain(),
+				spatial: ctx.createGain(),
+				panner: ctx.createStereoPanner ? ctx.createStereoPanner() : null,
+				output: null,
+				bus: null,
+				loop: false,
+				volume: 0.5,
+				muted: false,
+				pan: 0,
+				position: null,
+				spatialGain: 1,
+				spatialPan: 0,
+				offset: 0,
+				startedAt: 0,
+				playing: false
+			};
+
+			voice.gain.gain.value = voice.volume;
+			voice.gain.connect(voice.spatial);
+			if (voice.panner) {
+				voice.spatial.connect(voice.panner);
+				voice.output = voice.panner;
+			} else {
+				voice.output = voice.spatial;
+			}
+			this.setSoundBus(voice, R.sound.WebAudio.DEFAULT_BUS);
+
+			// Load and decode the sound
+			var xhr = new XMLHttpRequest(), failed = function() {
+				R.debug.Console.error("WebAudio: Unable to load sound at '" + url + "'");
+				voice.failed = true;
+				sound.setSupportedTypeFlag(false);
+			};
+			xhr.open("GET", url, true);
+			xhr.responseType = "arraybuffer";
+			xhr.onload = function() {
+				if (xhr.status >= 400 || !xhr.response) {
+					failed();
+					return;
+				}
+				voice.size = xhr.response.byteLength;
+				ctx.decodeAudioData(xhr.response, function(buffer) {
+					voice.buffer = buffer;
+				}, failed);
+			};
+			xhr.onerror = failed;
+			xhr.send();
+
+			sound.setSoundObject(voice);
+			return sound;
+		},
+
+		/**
+		 * Get the node for a mixer bus, creating the bus if it doesn't exist
+		 * @private
+		 */
+		getBusNode: function(bus){
+			if (!this.buses[bus]) {
+				var node = this.context.createGain();
+				node.connect(this.buses.master.node);
+				this.buses[bus] = { node: node, volume: 100, muted: false };
+			}
+			return this.buses[bus].node;
+		},
+
+		/**
+		 * Set an audio parameter to a value immediately, canceling any scheduled changes
+		 * @private
+		 */
+		setParam: function(param, value){
+			param.cancelScheduledValues(this.context.currentTime);
+			param.setValueAtTime(value, this.context.currentTime);
+		},
+
+		/**
+		 * Start playing the buffer of a sound object at an offset, in milliseconds
+		 * @private
+		 */
+		startSource: function(voice, offset){
+			this.stopSource(voice);
+
+			var source = this.context.createBufferSource(), duration = voice.buffer.duration;
+			source.buffer = voice.buffer;
+			source.loop = voice.loop;
+			source.connect(voice.gain);
+			source.onended = function() {
+				if (voice.source === source) {
+					// The sound played to its end
+					voice.source = null;
+					voice.playing = false;
+					voice.offset = 0;
+				}
+			};
+
+			offset = (offset / 1000) % duration;
+			source.start(0, offset);
+			voice.source = source;
+			voice.startedAt = this.context.currentTime - offset;
+			voice.playing = true;
+		},
+
+		/**
+		 * Stop the buffer of a sound object from playing
+		 * @private
+		 */
+		stopSource: function(voice){
+			if (voice.source) {
+				voice.source.onended = null;
+				voice.source.stop(0);
+				voice.source.disconnect();
+				voice.source = null;
+			}
+			voice.playing = false;
+		},
+
+		/**
+		 * Destroy the given sound object
+		 * @param sound {R.resources.types.Sound} The sound object
+		 */
+		destroySound: function(sound){
+			if (!this.supported || !sound) {
+				return;
+			}
+			this.stopSource(sound);
+			this.setSoundWorldPosition(sound, null);
+			sound.output.disconnect();
+		},
+
+		/**
+		 * Play the given sound object
+		 * @param sound {R.resources.types.Sound} The sound object
+		 */
+		playSound: function(sound){
+			if (!this.supported || !sound || !sound.buffer) {
+				return;
+			}
+			this.startSource(sound, sound.offset);
+		},
+
+		/**
+		 * Stop the given sound object
+		 * @param sound {R.resources.types.Sound} The sound object
+		 */
+		stopSound: function(sound){
+			if (!this.supported || !sound) {
+				return;
+			}
+			this.stopSource(sound);
+			sound.offset = 0;
+		},
+
+		/**
+		 * Pause the given sound object
+		 * @param sound {R.resources.types.Sound} The sound object
+		 */
+		pauseSound: function(sound){
+			if (!this.supported || !sound || !sound.playing) {
+				return;
+			}
+			sound.offset = this.getSoundPosition(sound);
+			this.stopSource(sound);
+		},
+
+		/**
+		 * Resume the given sound object
+		 * @param sound {R.resources.types.Sound} The sound object
+		 */
+		resumeSound: function(sound){
+			if (!this.supported || !sound || sound.playing || !sound.buffer) {
+				return;
+			}
+			this.startSource(sound, sound.offset);
+		},
+
+		/**
+		 * Mute the given sound object
+		 * @param sound {R.resources.types.Sound} The sound object
+		 */
+		muteSound: function(sound){
+			if (!this.supported || !sound) {
+				return;
+			}
+			sound.muted = true;
+			this.setParam(sound.gain.gain, 0);
+		},
+
+		/**
+		 * Unmute the given sound object
+		 * @param sound {R.resources.types.Sound} The sound object
+		 */
+		unmuteSound: function(sound){
+			if (!this.supported || !sound) {
+				return;
+			}
+			sound.muted = false;
+			this.setParam(sound.gain.gain, sound.volume);
+		},
+
+		/**
+		 * Set the volume of the given sound object
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @param volume {Number} A value between 0 and 100, with 0 being muted
+		 */
+		setSoundVolume: function(sound, volume){
+			if (!this.supported || !sound) {
+				return;
+			}
+			sound.volume = volume / 100;
+			this.setParam(sound.gain.gain, sound.muted ? 0 : sound.volume);
+		},
+
+		/**
+		 * Fade the volume of the given sound object over a period of time.
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @param fromVolume {Number} The volume to fade from, between 0 and 100
+		 * @param toVolume {Number} The volume to fade to, between 0 and 100
+		 * @param duration {Number} The length of the fade, in milliseconds
+		 * @param [callback] {Function} A function to call when the fade is complete
+		 */
+		fadeSound: function(sound, fromVolume, toVolume, duration, callback){
+			if (!this.supported || !sound) {
+				this.base(sound, fromVolume, toVolume, duration, callback);
+				return;
+			}
+
+			var param = sound.gain.gain, now = this.context.currentTime;
+			sound.volume = toVolume / 100;
+			param.cancelScheduledValues(now);
+			param.setValueAtTime(sound.muted ? 0 : fromVolume / 100, now);
+			param.linearRampToValueAtTime(sound.muted ? 0 : sound.volume, now + duration / 1000);
+
+			if (callback) {
+				R.lang.OneShotTimeout.create("soundFade", duration, callback);
+			}
+		},
+
+		/**
+		 * Pan the given sound object from left to right
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @param pan {Number} A value between -100 and 100, with -100 being full left
+		 * 		and zero being center
+		 */
+		setSoundPan: function(sound, pan){
+			if (!this.supported || !sound) {
+				return;
+			}
+			sound.pan = pan / 100;
+			this.applyPan(sound);
+		},
+
+		/**
+		 * Apply the pan of a sound object, and the pan from its position, to its panner
+		 * @private
+		 */
+		applyPan: function(sound){
+			if (sound.panner) {
+				this.setParam(sound.panner.pan, Math.max(-1, Math.min(1, sound.pan + sound.spatialPan)));
+			}
+		},
+
+		/**
+		 * Set whether the given sound object repeats when it reaches its end
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @param loop {Boolean} <code>true</code> to repeat the sound
+		 */
+		setSoundLoop: function(sound, loop){
+			if (!this.supported || !sound) {
+				return;
+			}
+			sound.loop = loop;
+			if (sound.source) {
+				sound.source.loop = loop;
+			}
+		},
+
+		/**
+		 * Route the given sound object through a mixer bus
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @param bus {String} The name of the bus
+		 */
+		setSoundBus: function(sound, bus){
+			if (!this.supported || !sound) {
+				return;
+			}
+			bus = bus || R.sound.WebAudio.DEFAULT_BUS;
+			if (sound.bus) {
+				sound.output.disconnect();
+			}
+			sound.output.connect(this.getBusNode(bus));
+			sound.bus = bus;
+		},
+
+		/**
+		 * Set the position of the given sound object in the world
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @param point {R.math.Point2D} The position of the sound, or <code>null</code>
+		 * 		to play the sound without positioning it
+		 */
+		setSoundWorldPosition: function(sound, point){
+			if (!this.supported || !sound) {
+				return;
+			}
+
+			sound.position = point;
+			if (point) {
+				if (R.engine.Support.indexOf(this.spatialSounds, sound) == -1) {
+					this.spatialSounds.push(sound);
+				}
+			} else {
+				R.engine.Support.arrayRemove(this.spatialSounds, sound);
+				sound.spatialGain = 1;
+				sound.spatialPan = 0;
+				this.setParam(sound.spatial.gain, 1);
+				this.applyPan(sound);
+				return;
+			}
+			this.updateSpatial(sound);
+		},
+
+		/**
+		 * Update the position which positioned sounds are heard from
+		 * @param point {R.math.Point2D} The position of the listener in the world
+		 * @param panWidth {Number} The distance to either side of the listener at which
+		 * 		a sound is panned fully left or right
+		 */
+		setListenerPosition: function(point, panWidth){
+			this.listenerPosition.set(point);
+			this.panWidth = panWidth;
+			this.hasListener = true;
+			for (var s = 0; s < this.spatialSounds.length; s++) {
+				this.updateSpatial(this.spatialSounds[s]);
+			}
+		},
+
+		/**
+		 * Set the distances which positioned sounds are attenuated over.  A sound is at
+		 * full volume within the reference distance of the listener, and fades out linearly
+		 * until it is silent at the maximum distance.
+		 *
+		 * @param refDistance {Number} The reference distance, in world units
+		 * @param maxDistance {Number} The maximum distance, in world units
+		 */
+		setAttenuation: function(refDistance, maxDistance){
+			this.refDistance = refDistance;
+			this.maxDistance = Math.max(refDistance, maxDistance);
+		},
+
+		/**
+		 * Compute the attenuation and pan of a positioned sound object
+		 * @private
+		 */
+		updateSpatial: function(sound){
+			if (!this.hasListener) {
+				return;
+			}
+
+			var dx = sound.position.x - this.listenerPosition.x, dy = sound.position.y - this.listenerPosition.y,
+				 dist = Math.sqrt(dx * dx + dy * dy), now = this.context.currentTime;
+
+			if (dist <= this.refDistance) {
+				sound.spatialGain = 1;
+			} else if (dist >= this.maxDistance) {
+				sound.spatialGain = 0;
+			} else {
+				sound.spatialGain = 1 - (dist - this.refDistance) / (this.maxDistance - this.refDistance);
+			}
+			sound.spatialPan = this.panWidth > 0 ? Math.max(-1, Math.min(1, dx / this.panWidth)) : 0;
+
+			// Glide to the new values so moving sounds don't click
+			sound.spatial.gain.setTargetAtTime(sound.spatialGain, now, R.sound.WebAudio.SMOOTHING);
+			if (sound.panner) {
+				sound.panner.pan.setTargetAtTime(Math.max(-1, Math.min(1, sound.pan + sound.spatialPan)), now,
+					R.sound.WebAudio.SMOOTHING);
+			}
+		},
+
+		/**
+		 * Set the volume of a mixer bus
+		 * @param bus {String} The name of the bus
+		 * @param volume {Number} A value between 0 and 100
+		 */
+		setBusVolume: function(bus, volume){
+			if (!this.supported) {
+				return;
+			}
+			this.getBusNode(bus);
+			this.buses[bus].volume = (volume < 0 ? 0 : volume > 100 ? 100 : volume);
+			this.applyBus(bus);
+		},
+
+		/**
+		 * Get the volume of a mixer bus
+		 * @param bus {String} The name of the bus
+		 * @return {Number} A value between 0 and 100
+		 */
+		getBusVolume: function(bus){
+			return this.buses[bus] ? this.buses[bus].volume : 100;
+		},
+
+		/**
+		 * Mute a mixer bus, and all of the sounds routed through it
+		 * @param bus {String} The name of the bus
+		 */
+		muteBus: function(bus){
+			if (!this.supported) {
+				return;
+			}
+			this.getBusNode(bus);
+			this.buses[bus].muted = true;
+			this.applyBus(bus);
+		},
+
+		/**
+		 * Unmute a mixer bus
+		 * @param bus {String} The name of the bus
+		 */
+		unmuteBus: function(bus){
+			if (!this.supported || !this.buses[bus]) {
+				return;
+			}
+			this.buses[bus].muted = false;
+			this.applyBus(bus);
+		},
+
+		/**
+		 * Determine if a mixer bus is muted
+		 * @param bus {String} The name of the bus
+		 * @return {Boolean}
+		 */
+		isBusMuted: function(bus){
+			return this.buses[bus] ? this.buses[bus].muted : false;
+		},
+
+		/**
+		 * Apply the volume and muting of a bus to its node
+		 * @private
+		 */
+		applyBus: function(bus){
+			var b = this.buses[bus];
+			this.setParam(b.node.gain, b.muted ? 0 : b.volume / 100);
+		},
+
+		/**
+		 * Set the position, within the sound's length, to play at
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @param millisecondOffset {Number} The millisecond offset from the start of
+		 * 		the sounds duration
+		 */
+		setSoundPosition: function(sound, millisecondOffset){
+			if (!this.supported || !sound) {
+				return;
+			}
+			sound.offset = millisecondOffset;
+			if (sound.playing) {
+				this.startSource(sound, millisecondOffset);
+			}
+		},
+
+		/**
+		 * Get the position, in milliseconds, within a playing or paused sound
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @return {Number}
+		 */
+		getSoundPosition: function(sound){
+			if (!this.supported || !sound) {
+				return 0;
+			}
+			if (!sound.playing) {
+				return sound.offset;
+			}
+
+			var position = (this.context.currentTime - sound.startedAt) * 1000, duration = this.getSoundDuration(sound);
+			return sound.loop ? position % duration : Math.min(position, duration);
+		},
+
+		/**
+		 * Get the size of the sound object, in bytes
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @return {Number}
+		 */
+		getSoundSize: function(sound){
+			return (this.supported && sound) ? sound.size : 0;
+		},
+
+		/**
+		 * Get the length (duration) of the sound object, in milliseconds
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @return {Number}
+		 */
+		getSoundDuration: function(sound){
+			return (this.supported && sound && sound.buffer) ? sound.buffer.duration * 1000 : 0;
+		},
+
+		/**
+		 * Determine if the sound object is ready to be used.  A sound which couldn't be
+		 * loaded or decoded is considered ready, so that loading can complete.
+		 * @param sound {R.resources.types.Sound} The sound object
+		 * @return {Boolean} <code>true</code> if the sound is ready
+		 */
+		getSoundReadyState: function(sound){
+			if (!this.supported) {
+				return true;
+			}
+			if (!sound) {
+				return false;
+			}
+			return (sound.buffer != null || sound.failed);
+		}
+
+	}, /** @scope R.sound.WebAudio.prototype */{
+
+		/**
+		 * The mixer buses which are created with the sound system
+		 * @type {Array}
+		 */
+		BUSES: ["music", "sfx", "ui"],
+
+		/**
+		 * The bus sounds are routed through by default
+		 * @type {String}
+		 */
+		DEFAULT_BUS: "sfx",
+
+		/**
+		 * The default distance from the listener within which positioned sounds are at full volume
+		 * @type {Number}
+		 */
+		REF_DISTANCE: 100,
+
+		/**
+		 * The default distance from the listener at which positioned sounds become silent
+		 * @type {Number}
+		 */
+		MAX_DISTANCE: 1000,
+
+		/**
+		 * The time constant, in seconds, of changes to the volume and pan of positioned sounds
+		 * @type {Number}
+		 */
+		SMOOTHING: 0.02
+	});
+
+};
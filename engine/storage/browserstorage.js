@@ -114,6 +114,14 @@ R.storage.BrowserStorage = function(){
          return value;
       },
 
+      /**
+       * Remove the value associated with the key from the browser storage object.
+       * @param key {String} The key to remove
+       */
+      remove: function(key) {
+         this.getStorageObject().removeItem(this.getTableUID(key) + ":" + key);
+      },
+
       /**
        * Get all of the keys associated with this storage object.
        * @return {Array} An array of key names
@@ -0,0 +1,363 @@
+/**
+ * The Render Engine
+ * SaveGame
+ *
+ * @fileoverview A save-game system which snapshots game objects and game state into
+ *               named slots of a storage object, with versioning and migrations.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori@gmail.com $
+ * @version: $Revision: 1567 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.storage.SaveGame",
+   "requires": [
+      "R.engine.PooledObject",
+      "R.util.RenderUtil"
+   ]
+});
+
+/**
+ * @class <tt>R.storage.SaveGame</tt> ties the serialization of game objects to a storage object
+ *    so a game can be saved to, and loaded from, named slots.  Each save contains a snapshot of
+ *    selected game objects (anything with a static <tt>serialize</tt> and <tt>deserialize</tt>,
+ *    such as {@link R.objects.Object2D}, {@link R.objects.SpriteActor} or
+ *    {@link R.resources.types.TileMap}), an object of custom game state, and metadata which
+ *    includes the time of the save, the play time, and an optional thumbnail.
+ *    <p/>
+ *    Every save records the schema version of the save-game when it was written.  When the
+ *    format of a game's saves changes, increase the version and register a migration which
+ *    upgrades a save from the previous version.  Old saves are upgraded, one version at a time,
+ *    as they are loaded.
+ * <pre>
+ *    var saves = R.storage.SaveGame.create("MyGame", R.storage.PersistentStorage.create("MyGame"), 2);
+ *    saves.addMigration(1, function(save) {
+ *       save.state.lives = save.state.lives || 3;
+ *       return save;
+ *    });
+ *
+ *    saves.save("slot1", { player: player, level1: tileMap }, { score: 100, lives: 2 },
+ *       { thumbnail: renderContext });
+ *
+ *    var game = saves.load("slot1", { targets: { player: player }, loaders: [tileLoader] });
+ * </pre>
+ *
+ * @param name {String} The name of the save-game, which prefixes every key written to storage
+ * @param storage {R.storage.AbstractStorage} The storage object which holds the saves.  Any storage
+ *    object with <tt>save(key, value)</tt>, <tt>load(key)</tt> and <tt>remove(key)</tt> methods can be used.
+ * @param [version=1] {Number} The current schema version of the save-game
+ * @extends R.engine.PooledObject
+ * @constructor
+ * @description Create a save-game which stores its slots in <tt>storage</tt>.
+ */
+R.storage.SaveGame = function() {
+   return R.engine.PooledObject.extend(/** @scope R.storage.SaveGame.prototype */{
+
+      storage: null,
+      version: 1,
+      migrations: null,
+      playTime: 0,
+      playStart: 0,
+
+      /** @private */
+      constructor: function(name, storage, version) {
+         this.base(name || "SaveGame");
+         this.storage = storage;
+         this.version = version || 1;
+         this.migrations = {};
+         this.resetPlayTime();
+      },
+
+      /**
+       * Release the object back into the object pool.
+       */
+      release: function() {
+         this.base();
+         this.storage = null;
+         this.version = 1;
+         this.migrations = null;
+         this.playTime = 0;
+         this.playStart = 0;
+      },
+
+      /**
+       * Get the storage object which holds the saves.
+       * @return {R.storage.AbstractStorage}
+       */
+      getStorage: function() {
+         return this.storage;
+      },
+
+      /**
+       * Get the current schema version of the save-game.
+       * @return {Number}
+       */
+      getVersion: function() {
+         return this.version;
+      },
+
+      /**
+       * Register a function which upgrades a save from <tt>fromVersion</tt> to the next version.
+       * The function is passed the save, an object with <tt>meta</tt>, <tt>state</tt>, and
+       * <tt>objects</tt> fields, and should return the upgraded save.  If nothing is returned,
+       * it is assumed the save was upgraded in place.  The objects are stored as the snapshots
+       * created by their class' <tt>serialize</tt> method, keyed by name.
+       *
+       * @param fromVersion {Number} The version of the saves the function upgrades
+       * @param fn {Function} The migration function
+       */
+      addMigration: function(fromVersion, fn) {
+         Assert(fromVersion < this.version, "A migration from version " + fromVersion +
+               " cannot upgrade to save-game version " + this.version);
+         this.migrations[fromVersion] = fn;
+      },
+
+      /**
+       * Get the amount of time, in milliseconds, the game has been played.  This includes the
+       * play time of the save which was last loaded.
+       * @return {Number}
+       */
+      getPlayTime: function() {
+         return this.playTime + (R.Engine.worldTime - this.playStart);
+      },
+
+      /**
+       * Restart the play time counter.  Call this when a new game is started.
+       * @param [playTime=0] {Number} The play time to start counting from
+       */
+      resetPlayTime: function(playTime) {
+         this.playTime = playTime || 0;
+         this.playStart = R.Engine.worldTime;
+      },
+
+      /**
+       * Save a snapshot of game objects and game state into a slot.  Any save already in the slot
+       * is replaced.  The <tt>options</tt> object can contain: <ul>
+       * <li><tt>thumbnail</tt> - A render context to take a screen shot of, for a thumbnail of the save</li>
+       * <li><tt>thumbnailRect</tt> - A {@link R.math.Rectangle2D} to crop the screen shot to</li>
+       * <li><tt>meta</tt> - An object of custom metadata, such as a description of the save</li></ul>
+       *
+       * @param slot {String} The name of the slot
+       * @param [objects] {Object} An object of game objects to snapshot, keyed by name
+       * @param [state] {Object} An object of custom game state.  It must be able to be converted to JSON.
+       * @param [options] {Object} Save options
+       * @return {Object} The metadata of the save
+       */
+      save: function(slot, objects, state, options) {
+         options = options || {};
+         var meta = $.extend({}, options.meta, {
+            slot: slot,
+            version: this.version,
+            timestamp: R.now(),
+            playTime: this.getPlayTime(),
+            thumbnail: options.thumbnail ?
+                  R.util.RenderUtil.screenShot(options.thumbnail, options.thumbnailRect) : null
+         });
+
+         var snapshots = {};
+         for (var o in objects) {
+            snapshots[o] = {
+               CLASSNAME: objects[o].constructor.getClassName(),
+               data: objects[o].constructor.serialize(objects[o])
+            };
+         }
+
+         this.storage.save(this.getSlotKey(slot), {
+            meta: meta,
+            state: state || {},
+            objects: snapshots
+         });
+
+         // Keep an index of the slots so they can be listed without loading every save
+         var index = this.getIndex();
+         index[slot] = meta;
+         this.storage.save(this.getIndexKey(), index);
+         return meta;
+      },
+
+      /**
+       * Load the save in a slot.  The save is upgraded to the current version first, if needed.
+       * Each object is restored with the <tt>deserialize</tt> method of its class.  The
+       * <tt>options</tt> object can contain: <ul>
+       * <li><tt>targets</tt> - An object of existing game objects, keyed by name, to restore the
+       *    snapshots into.  Objects without a target are created.</li>
+       * <li><tt>loaders</tt> - An array of resource loaders for classes which need them to
+       *    deserialize, such as the sprite loaders of {@link R.objects.SpriteActor}</li></ul>
+       * The play time continues from the play time of the save.
+       *
+       * @param slot {String} The name of the slot
+       * @param [options] {Object} Load options
+       * @return {Object} An object with the <tt>meta</tt>, <tt>state</tt>, and restored <tt>objects</tt>
+       *    of the save, or <code>null</code> if the slot is empty or the save cannot be loaded
+       */
+      load: function(slot, options) {
+         var save = this.loadSave(slot);
+         if (!save) {
+            return null;
+         }
+
+         options = options || {};
+         var targets = options.targets || {}, objects = {};
+         for (var o in save.objects) {
+            objects[o] = R.storage.SaveGame.restoreObject(save.objects[o], targets[o], options.loaders || []);
+         }
+
+         this.resetPlayTime(save.meta.playTime);
+         return {
+            meta: save.meta,
+            state: save.state,
+            objects: objects
+         };
+      },
+
+      /**
+       * Load the save in a slot, upgraded to the current version, without restoring its objects.
+       *
+       * @param slot {String} The name of the slot
+       * @return {Object} The save, or <code>null</code>
+       * @private
+       */
+      loadSave: function(slot) {
+         var save = this.storage.load(this.getSlotKey(slot)), version;
+         if (!save) {
+            return null;
+         }
+
+         version = save.meta.version || 1;
+         if (version > this.version) {
+            R.debug.Console.warn("SaveGame '" + slot + "' is version " + version + ", which is newer than " +
+                  this.version);
+            return null;
+         }
+
+         if (version < this.version) {
+            while (version < this.version) {
+               Assert(this.migrations[version], "No migration from save-game version " + version);
+               save = this.migrations[version](save) || save;
+               save.meta.version = ++version;
+            }
+
+            // Write back the upgraded save so it only needs to be migrated once
+            this.storage.save(this.getSlotKey(slot), save);
+            var index = this.getIndex();
+            index[slot] = save.meta;
+            this.storage.save(this.getIndexKey(), index);
+         }
+         return save;
+      },
+
+      /**
+       * Get the metadata of the save in a slot, without loading the save.
+       * @param slot {String} The name of the slot
+       * @return {Object} The metadata, or <code>null</code> if the slot is empty
+       */
+      getSlotInfo: function(slot) {
+         return this.getIndex()[slot] || null;
+      },
+
+      /**
+       * Get the metadata of every save, sorted from newest to oldest.
+       * @return {Array}
+       */
+      getSlots: function() {
+         var index = this.getIndex(), slots = [];
+         for (var s in index) {
+            slots.push(index[s]);
+         }
+         slots.sort(function(a, b) {
+            return b.timestamp - a.timestamp;
+         });
+         return slots;
+      },
+
+      /**
+       * Returns <code>true</code> if there is a save in the slot.
+       * @param slot {String} The name of the slot
+       * @return {Boolean}
+       */
+      hasSlot: function(slot) {
+         return !!this.getIndex()[slot];
+      },
+
+      /**
+       * Remove the save from a slot.
+       * @param slot {String} The name of the slot
+       */
+      deleteSlot: function(slot) {
+         var index = this.getIndex();
+         delete index[slot];
+         this.storage.save(this.getIndexKey(), index);
+         this.storage.remove(this.getSlotKey(slot));
+      },
+
+      /**
+       * @private
+       */
+      getIndex: function() {
+         return this.storage.load(this.getIndexKey()) || {};
+      },
+
+      /**
+       * @private
+       */
+      getIndexKey: function() {
+         return this.getName() + ".slots";
+      },
+
+      /**
+       * @private
+       */
+      getSlotKey: function(slot) {
+         return this.getName() + ".slot." + slot;
+      }
+
+   }, /** @scope R.storage.SaveGame.prototype */ {
+
+      /**
+       * Get the class name of this object
+       *
+       * @return {String} "R.storage.SaveGame"
+       */
+      getClassName: function() {
+         return "R.storage.SaveGame";
+      },
+
+      /**
+       * Restore an object from its snapshot.  Classes whose <tt>deserialize</tt> method takes
+       * resource loaders, like {@link R.objects.SpriteActor} and {@link R.resources.types.TileMap},
+       * are passed the loaders before the target.
+       * @private
+       */
+      restoreObject: function(snapshot, target, loaders) {
+         var clazz = R.getClassForName(snapshot.CLASSNAME),
+             data = $.extend(true, {}, snapshot.data);   // deserialize() consumes the data
+         Assert(clazz && clazz.deserialize, "Cannot deserialize objects of class " + snapshot.CLASSNAME);
+         return clazz.deserialize.length > 2 ? clazz.deserialize(data, loaders, target) :
+               clazz.deserialize(data, target);
+      }
+
+   });
+};
@@ -50,6 +50,8 @@ R.Engine.define({
  * @param i {R.math.Vector2D} Impulse vector to separate shapes
  * @param wt {Number} World time
  * @param dt {Number} Time since last frame redraw (delta time)
+ * @param [toi] {Number} The time of impact, as a fraction of the frame's movement.  Default: 1
+ * @param [cp] {R.math.Point2D} The contact point
  *
  * @extends R.engine.PooledObject
  * @constructor
@@ -100,8 +102,24 @@ R.struct.CollisionData = function() {
        */
       delta: 0,
 
+      /**
+       * The time of impact, as a fraction between 0 and 1 of the distance the first object
+       * moved during the frame.  Swept (continuous) tests report when the shapes first
+       * touched.  Tests of the shapes at their current positions report 1, the end of
+       * the movement.
+       * @type {Number}
+       */
+      timeOfImpact: 1,
+
+      /**
+       * The point where the shapes touched, or <code>null</code> if the test which
+       * produced the data doesn't determine it
+       * @type {R.math.Point2D}
+       */
+      contactPoint: null,
+
       /** @private */
-		constructor: function(o,u,s1,s2,i,wt,dt) {
+		constructor: function(o,u,s1,s2,i,wt,dt,toi,cp) {
 			this.overlap = o;
 			this.unitVector = u;
 			this.shape1 = s1;
@@ -109,6 +127,8 @@ R.struct.CollisionData = function() {
 			this.impulseVector = i;
          this.worldTime = wt;
          this.delta = dt;
+         this.timeOfImpact = toi === undefined ? 1 : toi;
+         this.contactPoint = cp || null;
 
          //if (Object.freeze) {
          //   Object.freeze(this);
@@ -126,6 +146,9 @@ R.struct.CollisionData = function() {
          }
          if (this.unitVector) {
 			   this.unitVector.destroy();
+         }
+         if (this.contactPoint) {
+            this.contactPoint.destroy();
          }
 			this.base();
 		},
@@ -142,6 +165,8 @@ R.struct.CollisionData = function() {
 			this.impulseVector = null;
          this.worldTime = 0;
          this.delta = 0;
+         this.timeOfImpact = 1;
+         this.contactPoint = null;
 		}
 	}, {
       getClassName: function() {
@@ -0,0 +1,217 @@
+/**
+ * The Render Engine
+ * ContactInfo
+ *
+ * @fileoverview Data object which holds physics contact relevant information.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ *
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.struct.ContactInfo",
+   "requires": [
+      "R.engine.PooledObject",
+      "R.math.Point2D",
+      "R.math.Vector2D"
+   ]
+});
+
+/**
+ * @class An object which contains information about a contact between two bodies in
+ *    a {@link R.physics.Simulation}, from the point of view of one of the bodies.  The values
+ *    of the contact info are read directly.  The simulation reuses its contact info objects,
+ *    so the values are only valid while the contact event is being handled.
+ *
+ * @extends R.engine.PooledObject
+ * @constructor
+ * @description Creates a contact info structure.
+ */
+R.struct.ContactInfo = function() {
+   return R.engine.PooledObject.extend(/** @scope R.struct.ContactInfo.prototype */{
+
+      /**
+       * The body component which the contact is reported to, or <code>null</code> if the
+       * Box2d body isn't owned by a component
+       * @type {R.components.physics.BaseBody}
+       */
+      body: null,
+
+      /**
+       * The body component which was contacted, or <code>null</code> if the Box2d body
+       * isn't owned by a component
+       * @type {R.components.physics.BaseBody}
+       */
+      other: null,
+
+      /**
+       * The game object which was contacted, or <code>null</code>
+       * @type {R.engine.GameObject}
+       */
+      otherObject: null,
+
+      /**
+       * The Box2d fixture of {@link #body} which is in contact
+       * @type {Box2D.Dynamics.b2Fixture}
+       */
+      fixture: null,
+
+      /**
+       * The Box2d fixture of {@link #other} which is in contact
+       * @type {Box2D.Dynamics.b2Fixture}
+       */
+      otherFixture: null,
+
+      /**
+       * The Box2d contact
+       * @type {Box2D.Dynamics.Contacts.b2Contact}
+       */
+      contact: null,
+
+      /**
+       * The contact normal, pointing from {@link #body} toward {@link #other}
+       * @type {R.math.Vector2D}
+       */
+      normal: null,
+
+      /**
+       * The points of contact, in world coordinates.  Only the first {@link #pointCount}
+       * points are valid.
+       * @type {Array}
+       */
+      points: null,
+
+      /**
+       * The number of contact points
+       * @type {Number}
+       */
+      pointCount: 0,
+
+      /**
+       * The total impulse along the normal which was applied to resolve the contact.  This
+       * is only set for the <code>postSolve</code> event, otherwise it is zero.
+       * @type {Number}
+       */
+      normalImpulse: 0,
+
+      /**
+       * The total friction impulse which was applied to resolve the contact.  This
+       * is only set for the <code>postSolve</code> event, otherwise it is zero.
+       * @type {Number}
+       */
+      tangentImpulse: 0,
+
+      /**
+       * <code>true</code> if either fixture is a sensor.  Sensors report the start and
+       * end of contacts, but are never solved.
+       * @type {Boolean}
+       */
+      sensor: false,
+
+      /** @private */
+      constructor: function() {
+         this.normal = R.math.Vector2D.create(0, 0);
+         this.points = [R.math.Point2D.create(0, 0), R.math.Point2D.create(0, 0)];
+         this.base("ContactInfo");
+      },
+
+      /**
+       * Destroy the contact info object.
+       */
+      destroy: function() {
+         this.normal.destroy();
+         this.points[0].destroy();
+         this.points[1].destroy();
+         this.base();
+      },
+
+      /**
+       * Release the contact info object back into the pool for reuse.
+       */
+      release: function() {
+         this.base();
+         this.body = null;
+         this.other = null;
+         this.otherObject = null;
+         this.fixture = null;
+         this.otherFixture = null;
+         this.contact = null;
+         this.normal = null;
+         this.points = null;
+         this.pointCount = 0;
+         this.normalImpulse = 0;
+         this.tangentImpulse = 0;
+         this.sensor = false;
+      },
+
+      /**
+       * Fill in the contact info from a Box2d contact.
+       *
+       * @param contact {Box2D.Dynamics.Contacts.b2Contact} The contact
+       * @param flip {Boolean} <code>true</code> to report the contact to the body of fixture B
+       * @param worldManifold {Box2D.Collision.b2WorldManifold} The world manifold of the contact
+       * @param [impulse] {Box2D.Dynamics.b2ContactImpulse} The impulse which resolved the contact
+       */
+      set: function(contact, flip, worldManifold, impulse) {
+         var fA = contact.GetFixtureA(), fB = contact.GetFixtureB(), sign = flip ? -1 : 1,
+             scale = R.physics.Simulation.WORLD_SIZE;
+
+         this.contact = contact;
+         this.fixture = flip ? fB : fA;
+         this.otherFixture = flip ? fA : fB;
+         this.body = this.fixture.GetBody().__$backRef$__ || null;
+         this.other = this.otherFixture.GetBody().__$backRef$__ || null;
+         this.otherObject = this.other ? this.other.getGameObject() : null;
+         this.sensor = fA.IsSensor() || fB.IsSensor();
+
+         this.pointCount = contact.GetManifold().m_pointCount;
+         this.normal.set(worldManifold.m_normal.x * sign, worldManifold.m_normal.y * sign);
+         this.normalImpulse = this.tangentImpulse = 0;
+         for (var p = 0; p < this.pointCount; p++) {
+            this.points[p].set(worldManifold.m_points[p].x * scale, worldManifold.m_points[p].y * scale);
+            if (impulse) {
+               this.normalImpulse += impulse.normalImpulses[p];
+               this.tangentImpulse += impulse.tangentImpulses[p];
+            }
+         }
+      },
+
+      /**
+       * Enable or disable the contact for the current step of the simulation.  This is only
+       * effective during the <code>preSolve</code> event.
+       * @param enabled {Boolean} <code>false</code> to ignore the contact
+       */
+      setEnabled: function(enabled) {
+         this.contact.SetEnabled(enabled);
+      }
+
+   }, /** @scope R.struct.ContactInfo.prototype */ {
+      getClassName: function() {
+         return "R.struct.ContactInfo";
+      }
+   });
+};
@@ -35,16 +35,22 @@
 R.Engine.define({
 	"class": "R.struct.RayInfo",
 	"requires": [
-		"R.engine.PooledObject"
+		"R.engine.PooledObject",
+		"R.math.Point2D",
+		"R.math.Vector2D"
 	]
 });
 
 /**
  * @class An object which contains information about a ray.  The values of the
  *    ray structure are read directly.
+ *    <p/>
+ *    When a ray is cast, the nearest impact is stored in the ray info.  If the ray info
+ *    was created to find all hits, every impact along the ray is also stored in {@link #hits}.
  *
  * @param start {R.math.Point2D} The start point of the ray
  * @param dir {R.math.Vector2D} The direction vector
+ * @param [all] {Boolean} <code>true</code> to collect every impact along the ray.  Default: <code>false</code>
  *
  * @extends R.engine.PooledObject
  * @constructor
@@ -60,11 +66,31 @@ R.struct.RayInfo = function() {
       overlap: 0,
 
       /**
-       * The collision normal
+       * The collision normal.  After an impact, this is the normal of the surface which was
+       * struck.  Otherwise, it points back along the ray.
        * @type {R.math.Vector2D}
        */
 		normal: null,
 
+      /**
+       * The distance from the start point to the impact point
+       * @type {Number}
+       */
+      distance: 0,
+
+      /**
+       * <code>true</code> if every impact along the ray is collected
+       * @type {Boolean}
+       */
+      findAll: false,
+
+      /**
+       * When finding all hits, a {@link R.struct.RayInfo} for each impact along the ray,
+       * ordered from nearest to farthest
+       * @type {Array}
+       */
+      hits: null,
+
       /**
        * The object that was collided with
        * @type {R.engine.GameObject}
@@ -108,12 +134,15 @@ R.struct.RayInfo = function() {
       data: null,
 
       /** @private */
-		constructor: function(start, dir) {
+		constructor: function(start, dir, all) {
 			this.startPoint = R.clone(start);
          this.direction = R.clone(dir);
 			this.normal = R.clone(dir).normalize().neg();
 			this.shape = null;
 			this.impactPoint = R.math.Point2D.create(0,0);
+         this.distance = 0;
+         this.findAll = !!all;
+         this.hits = [];
          this.worldTime = 0;
          this.delta = 0;
          this.data = {};
@@ -133,6 +162,9 @@ R.struct.RayInfo = function() {
          if (this.data && this.data.destroy) {
             this.data.destroy();
          }
+         while (this.hits.length > 0) {
+            this.hits.shift().destroy();
+         }
          this.startPoint.destroy();
          this.direction.destroy();
 			this.base();
@@ -149,6 +181,9 @@ R.struct.RayInfo = function() {
 			this.impactPoint = null;
          this.startPoint = null;
          this.direction = null;
+         this.distance = 0;
+         this.findAll = false;
+         this.hits = null;
          this.worldTime = 0;
          this.delta = 0;
 		},
@@ -158,16 +193,53 @@ R.struct.RayInfo = function() {
        * @param impact {R.math.Point2D} The impact point
        * @param shape {R.engine.PooledObject} The object that was impacted
        * @param [data] {Object} Optional data object
+       * @param [normal] {R.math.Vector2D} The normal of the surface at the impact point
        */
-      set: function(impact, shape, data) {
+      set: function(impact, shape, data, normal) {
          this.worldTime = R.Engine.worldTime;
          this.delta = R.Engine.lastTime;
          this.impactPoint.set(impact);
          this.shape = shape;
          var end = R.math.Vector2D.create(this.startPoint).add(this.direction);
          this.overlap = end.sub(impact).len();
+         this.distance = end.set(impact).sub(this.startPoint).len();
          end.destroy();
+         if (normal) {
+            this.normal.set(normal);
+         }
+         if (this.data && this.data !== data && this.data.destroy) {
+            this.data.destroy();
+         }
          this.data = data;
+      },
+
+      /**
+       * Record an impact along the ray.  The impact is kept if it is the nearest so far.
+       * When finding all hits, it is also added to {@link #hits}, with its own copy of
+       * the data object.
+       *
+       * @param impact {R.math.Point2D} The impact point
+       * @param shape {R.engine.PooledObject} The object that was impacted
+       * @param [data] {Object} Optional data object
+       * @param [normal] {R.math.Vector2D} The normal of the surface at the impact point
+       */
+      addHit: function(impact, shape, data, normal) {
+         var dx = impact.x - this.startPoint.x, dy = impact.y - this.startPoint.y,
+             dist = Math.sqrt(dx * dx + dy * dy);
+         if (this.findAll) {
+            var hit = R.struct.RayInfo.create(this.startPoint, this.direction), h = 0;
+            hit.set(impact, shape, data && data.destroy ? R.clone(data) : data, normal);
+            while (h < this.hits.length && this.hits[h].distance <= dist) {
+               h++;
+            }
+            this.hits.splice(h, 0, hit);
+         }
+
+         if (!this.shape || dist < this.distance) {
+            this.set(impact, shape, data, normal);
+         } else if (data && data.destroy) {
+            data.destroy();
+         }
       }
 
 	}, /** @scope R.struct.RayInfo.prototype */{
@@ -36,13 +36,22 @@
 R.Engine.define({
    "class": "R.text.AbstractTextRenderer",
    "requires": [
-      "R.components.Base"
+      "R.components.Base",
+      "R.math.Point2D",
+      "R.text.TextLayout"
    ]
 });
 
 /**
  * @class Abstract class that provides the basic interface for all
  *        text render objects used by the {@link R.text.TextRenderer}.
+ *        <p/>
+ *        When rich text is enabled with {@link #setRichText}, the text is laid out by a
+ *        {@link R.text.TextLayout}, which wraps it to the {@link #setMaxWidth maximum width},
+ *        justifies it, and applies inline markup for color, size, bold text and icons.  Rich
+ *        text can also be revealed a character at a time, like a typewriter, with {@link #setRevealRate}.
+ *        Renderers support rich text by implementing {@link #measureRun}, {@link #getRunHeight}
+ *        and {@link #drawRun}.
  *
  * @constructor
  * @param componentName {String} The name of the renderer
@@ -60,6 +69,14 @@ R.text.AbstractTextRenderer = function() {
       font: null,
       style: null,
       lineSpacing: 7,
+      richText: false,
+      maxWidth: 0,
+      icons: null,
+      layout: null,
+      layoutDirty: false,
+      revealRate: 0,
+      revealTime: 0,
+      revealed: 0,
 
       /** @private */
       constructor: function(componentName, priority) {
@@ -72,6 +89,24 @@ R.text.AbstractTextRenderer = function() {
          this.style = null;
          this.alignment = R.text.AbstractTextRenderer.ALIGN_LEFT;
          this.lineSpacing = 7;
+         this.richText = false;
+         this.maxWidth = 0;
+         this.icons = {};
+         this.layout = null;
+         this.layoutDirty = false;
+         this.revealRate = 0;
+         this.revealTime = 0;
+         this.revealed = 0;
+      },
+
+      /**
+       * Destroy the text renderer and its layout.
+       */
+      destroy: function() {
+         if (this.layout) {
+            this.layout.destroy();
+         }
+         this.base();
       },
 
       /**
@@ -88,6 +123,14 @@ R.text.AbstractTextRenderer = function() {
          this.style = null;
          this.alignment = null;
          this.lineSpacing = 7;
+         this.richText = false;
+         this.maxWidth = 0;
+         this.icons = null;
+         this.layout = null;
+         this.layoutDirty = false;
+         this.revealRate = 0;
+         this.revealTime = 0;
+         this.revealed = 0;
       },
 
       /**
@@ -113,6 +156,8 @@ R.text.AbstractTextRenderer = function() {
        */
       setText: function(text) {
          this.text = text;
+         this.layoutDirty = true;
+         this.restartReveal();
       },
 
       /**
@@ -121,6 +166,7 @@ R.text.AbstractTextRenderer = function() {
        */
       setTextFont: function(font) {
          this.font = font;
+         this.layoutDirty = true;
       },
 
       /**
@@ -139,6 +185,7 @@ R.text.AbstractTextRenderer = function() {
        */
       setTextWeight: function(weight) {
          this.weight = weight;
+         this.layoutDirty = true;
       },
 
       /**
@@ -155,6 +202,7 @@ R.text.AbstractTextRenderer = function() {
        */
       setTextStyle: function(style) {
          this.style = style;
+         this.layoutDirty = true;
       },
 
       /**
@@ -172,6 +220,7 @@ R.text.AbstractTextRenderer = function() {
        */
       setTextAlignment: function(alignment) {
          this.alignment = alignment;
+         this.layoutDirty = true;
       },
 
       /**
@@ -188,6 +237,7 @@ R.text.AbstractTextRenderer = function() {
        */
       setSize: function(size) {
          this.size = size;
+         this.layoutDirty = true;
       },
 
       /**
@@ -205,6 +255,7 @@ R.text.AbstractTextRenderer = function() {
        */
       setColor: function(color) {
          this.color = color;
+         this.layoutDirty = true;
       },
 
       /**
@@ -223,6 +274,7 @@ R.text.AbstractTextRenderer = function() {
        */
       setLineSpacing: function(lineSpacing) {
          this.lineSpacing = lineSpacing;
+         this.layoutDirty = true;
       },
 
       /**
@@ -231,6 +283,236 @@ R.text.AbstractTextRenderer = function() {
        */
       getLineSpacing: function() {
          return this.lineSpacing;
+      },
+
+      /**
+       * Enable or disable rich text.  Rich text is wrapped, aligned and justified by a
+       * {@link R.text.TextLayout}, and supports the markup described there.
+       *
+       * @param state {Boolean} <code>true</code> to enable rich text
+       */
+      setRichText: function(state) {
+         this.richText = state;
+         this.layoutDirty = true;
+      },
+
+      /**
+       * Determine if rich text is enabled.
+       * @return {Boolean}
+       */
+      isRichText: function() {
+         return this.richText;
+      },
+
+      /**
+       * Set the width, in pixels, that rich text is wrapped to.
+       *
+       * @param width {Number} The maximum width of a line, or zero to only break lines at line feeds
+       */
+      setMaxWidth: function(width) {
+         this.maxWidth = width || 0;
+         this.layoutDirty = true;
+      },
+
+      /**
+       * Get the width that rich text is wrapped to.
+       * @return {Number}
+       */
+      getMaxWidth: function() {
+         return this.maxWidth;
+      },
+
+      /**
+       * Register a sprite which can be embedded in rich text with the <tt>[icon=name]</tt> markup,
+       * such as a button glyph.  Icon names are not case sensitive.
+       *
+       * @param name {String} The name used in the markup
+       * @param sprite {R.resources.types.Sprite} The sprite to draw
+       */
+      setIcon: function(name, sprite) {
+         this.icons[name.toLowerCase()] = sprite;
+         this.layoutDirty = true;
+      },
+
+      /**
+       * Get an icon registered with {@link #setIcon}.
+       *
+       * @param name {String} The name of the icon
+       * @return {R.resources.types.Sprite}
+       */
+      getIcon: function(name) {
+         return this.icons[name.toLowerCase()];
+      },
+
+      /**
+       * Set the number of characters of rich text which are revealed each second.  When
+       * the whole text has been revealed, the <tt>revealComplete</tt> event is triggered on the
+       * host object.
+       *
+       * @param rate {Number} Characters per second, or zero to show all of the text at once
+       */
+      setRevealRate: function(rate) {
+         this.revealRate = rate;
+         this.restartReveal();
+      },
+
+      /**
+       * Get the number of characters revealed each second.
+       * @return {Number}
+       */
+      getRevealRate: function() {
+         return this.revealRate;
+      },
+
+      /**
+       * Start revealing the text again from the first character.
+       */
+      restartReveal: function() {
+         this.revealTime = 0;
+         this.revealed = 0;
+      },
+
+      /**
+       * Reveal the remaining text immediately, such as when the player skips the typewriter effect.
+       */
+      skipReveal: function() {
+         this.revealed = Number.MAX_VALUE;
+      },
+
+      /**
+       * Get the number of characters of rich text which have been revealed.
+       * @return {Number}
+       */
+      getRevealedCount: function() {
+         var count = this.layout ? this.layout.getCharCount() : 0;
+         return this.revealRate > 0 ? Math.min(this.revealed, count) : count;
+      },
+
+      /**
+       * Determine if the rich text is still being revealed.
+       * @return {Boolean}
+       */
+      isRevealing: function() {
+         return this.richText && this.revealRate > 0 && (this.layoutDirty || !this.layout || this.revealed < this.layout.getCharCount());
+      },
+
+      /**
+       * Advance the typewriter reveal of the text.
+       *
+       * @param dt {Number} The time, in milliseconds, since the last update
+       * @return {Boolean} <code>true</code> if more of the text was revealed
+       */
+      advanceReveal: function(dt) {
+         if (!this.isRevealing() || this.layoutDirty || !this.layout) {
+            return false;
+         }
+
+         var count = this.layout.getCharCount(), last = this.revealed;
+         this.revealTime += dt;
+         this.revealed = Math.min(count, Math.floor(this.revealTime * this.revealRate / 1000));
+         if (this.revealed == count && this.getGameObject()) {
+            this.getGameObject().triggerEvent("revealComplete", [this]);
+         }
+         return this.revealed != last;
+      },
+
+      /**
+       * Get the layout of the rich text, laying it out again if it has changed.
+       *
+       * @param [renderContext] {R.rendercontexts.AbstractRenderContext} The context used to measure the text
+       * @return {R.text.TextLayout} The layout, or <code>null</code> if rich text isn't enabled
+       */
+      getLayout: function(renderContext) {
+         if (this.richText && this.layoutDirty) {
+            this.updateLayout(renderContext);
+         }
+         return this.richText ? this.layout : null;
+      },
+
+      /**
+       * Lay out the rich text and size the host object's bounding box to fit it.
+       * @private
+       */
+      updateLayout: function(renderContext) {
+         if (!this.layout) {
+            this.layout = R.text.TextLayout.create();
+         }
+         this.layout.layout(this.getText(), this, renderContext);
+         this.layoutDirty = false;
+         if (this.getGameObject()) {
+            this.getGameObject().getBoundingBox().set(0, 0, this.layout.getWidth(), this.layout.getHeight());
+         }
+      },
+
+      /**
+       * Draw the revealed part of the rich text.
+       *
+       * @param renderContext {R.rendercontexts.AbstractRenderContext} The context to draw into
+       * @param time {Number} The engine time in milliseconds
+       * @param dt {Number} The delta between the world time and the last time the world was updated
+       * @private
+       */
+      drawLayout: function(renderContext, time, dt) {
+         var lines = this.getLayout(renderContext).getLines(), shown = this.getRevealedCount(),
+             pt = R.math.Point2D.create(0, 0), item, text;
+
+         for (var l = 0; l < lines.length; l++) {
+            for (var i = 0; i < lines[l].items.length; i++) {
+               item = lines[l].items[i];
+               if (item.start >= shown) {
+                  pt.destroy();
+                  return;
+               }
+
+               if (item.icon) {
+                  renderContext.pushTransform();
+                  renderContext.setPosition(pt.set(item.x, item.y));
+                  renderContext.drawSprite(item.icon, time, dt);
+                  renderContext.popTransform();
+               } else if (!item.space) {
+                  text = shown - item.start < item.text.length ? item.text.substring(0, shown - item.start) : item.text;
+                  this.drawRun(renderContext, text, item.style, item.x, item.y, item.height);
+               }
+            }
+         }
+         pt.destroy();
+      },
+
+      /**
+       * [ABSTRACT] Measure the width, in pixels, of a run of rich text.
+       *
+       * @param text {String} The text to measure
+       * @param style {Object} The <tt>color</tt>, <tt>size</tt> (relative to the size of the renderer)
+       *    and <tt>bold</tt> state of the text
+       * @param [renderContext] {R.rendercontexts.AbstractRenderContext} The context used to measure the text
+       * @return {Number}
+       */
+      measureRun: function(text, style, renderContext) {
+         return 0;
+      },
+
+      /**
+       * [ABSTRACT] Get the height, in pixels, of a line of rich text in the given style.
+       *
+       * @param style {Object} The style of the text.  See {@link #measureRun}.
+       * @param [renderContext] {R.rendercontexts.AbstractRenderContext} The context used to measure the text
+       * @return {Number}
+       */
+      getRunHeight: function(style, renderContext) {
+         return 0;
+      },
+
+      /**
+       * [ABSTRACT] Draw a run of rich text, in a single style.
+       *
+       * @param renderContext {R.rendercontexts.AbstractRenderContext} The context to draw into
+       * @param text {String} The text to draw
+       * @param style {Object} The style of the text.  See {@link #measureRun}.
+       * @param x {Number} The left edge of the run
+       * @param y {Number} The top edge of the run
+       * @param height {Number} The height of the run
+       */
+      drawRun: function(renderContext, text, style, x, y, height) {
       }
 
    }, /** @scope R.text.AbstractTextRenderer.prototype */{
@@ -259,7 +541,14 @@ R.text.AbstractTextRenderer = function() {
        * Align text with the center of the string at the point specified
        * @type Number
        */
-      ALIGN_CENTER: 2
+      ALIGN_CENTER: 2,
+
+      /**
+       * Spread the words of each line of rich text across the maximum width.  The last line
+       * of each paragraph is aligned to the left.  Only supported by rich text.
+       * @type Number
+       */
+      ALIGN_JUSTIFY: 3
 
    });
 
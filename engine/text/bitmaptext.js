@@ -79,6 +79,11 @@ R.text.BitmapText = function(){
 		 * @private
 		 */
 		calculateBoundingBox: function(){
+			if (this.isRichText()) {
+				this.getLayout();
+				return;
+			}
+
 			var text = this.getText(), lCount = text.length, align = this.getTextAlignment(),
 			    letter = (align == R.text.AbstractTextRenderer.ALIGN_RIGHT ? text.length - 1 : 0),
 			    kern = (align == R.text.AbstractTextRenderer.ALIGN_RIGHT ? -this.font.info.kerning : this.font.info.kerning),
@@ -158,6 +163,11 @@ R.text.BitmapText = function(){
 				return;
 			}
 
+			if (this.isRichText()) {
+				this.drawLayout(renderContext, time, dt);
+				return;
+			}
+
 			renderContext.pushTransform();
 			renderContext.setScale(this.getSize());
 
@@ -224,6 +234,91 @@ R.text.BitmapText = function(){
 			space.destroy();
 
 			renderContext.popTransform();
+		},
+
+		/**
+		 * Measure the width of a run of rich text from the widths of the font's glyphs.
+		 *
+		 * @param text {String} The text to measure
+		 * @param style {Object} The style of the text
+		 * @return {Number}
+		 */
+		measureRun: function(text, style){
+			var info = this.font.info, width = 0, glyph;
+			for (var c = 0; c < text.length; c++) {
+				glyph = text.charCodeAt(c) - 32;
+				if (glyph == 0) {
+					width += info.space;
+				}
+				else if (info.letters[glyph] != undefined) {
+					width += (info.letters[glyph] - info.letters[glyph - 1]) * info.kerning;
+				}
+			}
+			return width * this.getSize() * style.size;
+		},
+
+		/**
+		 * Get the height of a line of rich text in the given style.
+		 *
+		 * @param style {Object} The style of the text
+		 * @return {Number}
+		 */
+		getRunHeight: function(style){
+			return this.font.info.height * this.getSize() * style.size;
+		},
+
+		/**
+		 * Draw a run of rich text.  Bold text is drawn with an extra pass, like a heavier
+		 * text weight.
+		 *
+		 * @param renderContext {R.rendercontexts.AbstractRenderContext} The context to draw into
+		 * @param text {String} The text to draw
+		 * @param style {Object} The style of the text
+		 * @param x {Number} The left edge of the run
+		 * @param y {Number} The top edge of the run
+		 */
+		drawRun: function(renderContext, text, style, x, y){
+			var info = this.font.info, cH = info.height, passes = this.getTextWeight() + (style.bold ? 1 : 0),
+			    pc = R.math.Point2D.create(x, y), sRect = R.math.Rectangle2D.create(0, 0, 1, 1),
+			    rect = R.math.Rectangle2D.create(0, 0, 1, 1), glyph, cS, cW;
+
+			renderContext.pushTransform();
+			renderContext.setPosition(pc);
+			renderContext.setScale(this.getSize() * style.size);
+
+			if (renderContext.get2DContext) {
+				renderContext.get2DContext().globalCompositeOperation = "source-over";
+			}
+
+			// 1st pass: The text
+			for (var wT = 0; wT < passes; wT++) {
+				pc.set(wT * 0.5, 0);
+				for (var c = 0; c < text.length; c++) {
+					glyph = text.charCodeAt(c) - 32;
+					if (glyph == 0) {
+						pc.x += info.space;
+					}
+					else if (info.letters[glyph] != undefined) {
+						cS = info.letters[glyph - 1];
+						cW = info.letters[glyph] - cS;
+						renderContext.drawImage(rect.set(pc.x, 0, cW, cH), this.font.image, sRect.set(cS, 0, cW, cH), this.getGameObject());
+						pc.x += cW * info.kerning;
+					}
+				}
+			}
+
+			// 2nd pass: The color of the run
+			if (renderContext.get2DContext) {
+				renderContext.get2DContext().globalCompositeOperation = "source-atop";
+				renderContext.setFillStyle(style.color);
+				renderContext.drawFilledRectangle(rect.set(0, 0, pc.x, cH));
+				renderContext.get2DContext().globalCompositeOperation = "source-over";
+			}
+
+			renderContext.popTransform();
+			pc.destroy();
+			sRect.destroy();
+			rect.destroy();
 		}
 	}, /** @scope R.text.BitmapText.prototype */ {
 		/**
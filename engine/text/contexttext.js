@@ -96,6 +96,14 @@ R.text.ContextText = function(){
 		 * @private
 		 */
 		calculateBoundingBox: function(){
+         if (this.isRichText()) {
+            // The layout sizes the bounding box once the text can be measured
+            if (this.getGameObject().getRenderContext()) {
+               this.getLayout(this.getGameObject().getRenderContext());
+            }
+            return;
+         }
+
          if (this.getGameObject().getRenderContext()) {
             var ctx = this.getGameObject().getRenderContext();
             ctx.pushTransform();
@@ -118,6 +126,11 @@ R.text.ContextText = function(){
 			if (this.getText().length == 0) {
 				return;
 			}
+
+			if (this.isRichText()) {
+				this.drawLayout(renderContext, time, dt);
+				return;
+			}
 			
 			renderContext.setFontStyle(this.getTextStyle());
 			renderContext.setFontAlign(this.getTextAlignment());
@@ -127,6 +140,78 @@ R.text.ContextText = function(){
 			
 			renderContext.setFillStyle(this.getColor());
 			renderContext.drawText(R.math.Point2D.ZERO, this.getText(), this.getGameObject());
+		},
+
+		/**
+		 * Set the font of the context for a run of rich text.
+		 * @private
+		 */
+		setRunFont: function(renderContext, style){
+			renderContext.setFontStyle(this.getTextStyle());
+			renderContext.setFontWeight(style.bold ? R.rendercontexts.RenderContext2D.FONT_WEIGHT_BOLD : this.getTextWeight());
+			renderContext.setFont(this.getTextFont());
+			renderContext.setFontSize(this.getRunFontSize(style));
+		},
+
+		/**
+		 * Get the font size, in pixels, of a run of rich text.
+		 * @private
+		 */
+		getRunFontSize: function(style){
+			return Math.floor(this.getSize() * style.size * R.text.TextRenderer.BASE_TEXT_PIXELSIZE) || R.text.TextRenderer.BASE_TEXT_PIXELSIZE;
+		},
+
+		/**
+		 * Measure the width of a run of rich text with the context's text metrics.
+		 *
+		 * @param text {String} The text to measure
+		 * @param style {Object} The style of the text
+		 * @param [renderContext] {R.rendercontexts.AbstractRenderContext} The context used to measure the text
+		 * @return {Number}
+		 */
+		measureRun: function(text, style, renderContext){
+			var ctx = renderContext || this.getGameObject().getRenderContext();
+			if (!ctx) {
+				return 0;
+			}
+
+			ctx.pushTransform();
+			this.setRunFont(ctx, style);
+			var metrics = ctx.getTextMetrics(text), width = metrics.w;
+			metrics.destroy();
+			ctx.popTransform();
+			return width;
+		},
+
+		/**
+		 * Get the height of a line of rich text in the given style.
+		 *
+		 * @param style {Object} The style of the text
+		 * @return {Number}
+		 */
+		getRunHeight: function(style){
+			// Matches the height reported by the context's text metrics
+			return this.getRunFontSize(style) * 1.25;
+		},
+
+		/**
+		 * Draw a run of rich text.
+		 *
+		 * @param renderContext {R.rendercontexts.AbstractRenderContext} The context to draw into
+		 * @param text {String} The text to draw
+		 * @param style {Object} The style of the text
+		 * @param x {Number} The left edge of the run
+		 * @param y {Number} The top edge of the run
+		 */
+		drawRun: function(renderContext, text, style, x, y){
+			var baseline = renderContext.getFontBaseline(), pt = R.math.Point2D.create(x, y);
+			this.setRunFont(renderContext, style);
+			renderContext.setFontAlign(R.rendercontexts.RenderContext2D.FONT_ALIGN_LEFT);
+			renderContext.setFontBaseline(R.rendercontexts.RenderContext2D.FONT_BASELINE_TOP);
+			renderContext.setFillStyle(style.color);
+			renderContext.drawText(pt, text);
+			renderContext.setFontBaseline(baseline);
+			pt.destroy();
 		}
 		
 	}, /** @scope R.text.ContextText.prototype */ {
@@ -0,0 +1,448 @@
+/**
+ * The Render Engine
+ * TextLayout
+ *
+ * @fileoverview Lays out rich text into lines of styled runs and icons.
+ *
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ *
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.text.TextLayout",
+   "requires": [
+      "R.engine.PooledObject"
+   ]
+});
+
+/**
+ * @class The layout of a rich text string, used by the text renderers when rich text is
+ *        enabled with {@link R.text.AbstractTextRenderer#setRichText}.  The text is parsed for
+ *        markup, broken into lines at line feeds (0xA) and wrapped to the maximum width of the
+ *        renderer, then each line is aligned or justified.  The following markup is supported,
+ *        and tags can be nested:
+ *        <ul>
+ *        <li><tt>[color=#ff0000]</tt>...<tt>[/color]</tt> - Change the color of the text</li>
+ *        <li><tt>[size=2]</tt>...<tt>[/size]</tt> - Scale the size of the text</li>
+ *        <li><tt>[b]</tt>...<tt>[/b]</tt> - Bold text</li>
+ *        <li><tt>[icon=name]</tt> - An icon registered with {@link R.text.AbstractTextRenderer#setIcon}</li>
+ *        <li><tt>[[</tt> - A literal "["</li>
+ *        </ul>
+ *        Each line is an object with the <tt>items</tt> on the line, and its <tt>y</tt> position,
+ *        <tt>width</tt> and <tt>height</tt>.  Each item has a position (<tt>x</tt>, <tt>y</tt>), a
+ *        <tt>width</tt> and <tt>height</tt>, a <tt>style</tt>, and either the <tt>text</tt> of the run or
+ *        the <tt>icon</tt> sprite.  The <tt>start</tt> of an item is the index of its first character,
+ *        which is used to reveal text a character at a time.  An icon counts as one character.
+ *
+ * @constructor
+ * @extends R.engine.PooledObject
+ * @description Create an empty text layout
+ */
+R.text.TextLayout = function() {
+   return R.engine.PooledObject.extend(/** @scope R.text.TextLayout.prototype */{
+
+      lines: null,
+      width: 0,
+      height: 0,
+      charCount: 0,
+
+      /** @private */
+      constructor: function() {
+         this.base("TextLayout");
+         this.lines = [];
+         this.width = 0;
+         this.height = 0;
+         this.charCount = 0;
+      },
+
+      /**
+       * Release the object back into the pool.
+       */
+      release: function() {
+         this.base();
+         this.lines = null;
+         this.width = 0;
+         this.height = 0;
+         this.charCount = 0;
+      },
+
+      /**
+       * Lay out the text using the settings and measurements of a text renderer.
+       *
+       * @param text {String} The text, which may contain markup
+       * @param renderer {R.text.AbstractTextRenderer} The renderer which measures the text
+       * @param [renderContext] {R.rendercontexts.AbstractRenderContext} The context used to measure the text
+       */
+      layout: function(text, renderer, renderContext) {
+         var baseStyle = { color: renderer.getColor(), size: 1, bold: false },
+             tokens = R.text.TextLayout.parse(text, baseStyle),
+             maxWidth = renderer.getMaxWidth(), baseHeight = renderer.getRunHeight(baseStyle, renderContext),
+             self = this, line, t, p, pieces, item;
+
+         this.lines = [];
+         this.charCount = 0;
+
+         var newLine = function(wrapped) {
+            line = { items: [], width: 0, height: baseHeight, y: 0, wrapped: wrapped, paragraphEnd: false };
+         };
+
+         var finishLine = function(paragraphEnd) {
+            // Trailing spaces aren't drawn, and don't count toward the width
+            while (line.items.length > 0 && line.items[line.items.length - 1].space) {
+               line.items.pop();
+            }
+            line.width = 0;
+            for (var i = 0; i < line.items.length; i++) {
+               line.items[i].x = line.width;
+               line.width += line.items[i].width;
+               line.height = Math.max(line.height, line.items[i].height);
+            }
+            line.paragraphEnd = paragraphEnd;
+            self.lines.push(line);
+         };
+
+         var hasContent = function() {
+            for (var i = 0; i < line.items.length; i++) {
+               if (!line.items[i].space) {
+                  return true;
+               }
+            }
+            return false;
+         };
+
+         var addItem = function(item) {
+            if (item.space) {
+               // Spaces at the start of a wrapped line are dropped
+               if (line.wrapped && line.items.length == 0) {
+                  return;
+               }
+            } else if (maxWidth > 0 && line.width + item.width > maxWidth && hasContent()) {
+               // Words which change style part way through are kept together, unless
+               // the word is all that's on the line
+               var glued = [];
+               while (line.items.length > 0 && !line.items[line.items.length - 1].space) {
+                  glued.unshift(line.items.pop());
+               }
+               if (line.items.length == 0) {
+                  line.items = glued;
+                  glued = [];
+               }
+
+               finishLine(false);
+               newLine(true);
+               for (var g = 0; g < glued.length; g++) {
+                  line.items.push(glued[g]);
+                  line.width += glued[g].width;
+               }
+            }
+            item.start = self.charCount;
+            self.charCount += item.icon ? 1 : item.text.length;
+            line.items.push(item);
+            line.width += item.width;
+         };
+
+         var addWord = function(word, style) {
+            var width = renderer.measureRun(word, style, renderContext), height = renderer.getRunHeight(style, renderContext);
+            if (maxWidth > 0 && width > maxWidth) {
+               // Break a word which is wider than a whole line between its characters
+               var c = 1;
+               while (c < word.length && renderer.measureRun(word.substring(0, c + 1), style, renderContext) <= maxWidth) {
+                  c++;
+               }
+               addItem({ text: word.substring(0, c), style: style, width: renderer.measureRun(word.substring(0, c), style, renderContext), height: height });
+               if (c < word.length) {
+                  addWord(word.substring(c), style);
+               }
+            } else {
+               addItem({ text: word, style: style, width: width, height: height });
+            }
+         };
+
+         newLine(false);
+         for (t = 0; t < tokens.length; t++) {
+            if (tokens[t].lineBreak) {
+               finishLine(true);
+               newLine(false);
+            } else if (tokens[t].icon) {
+               item = renderer.getIcon(tokens[t].icon);
+               AssertWarn(item != null, "Text icon '" + tokens[t].icon + "' is not defined");
+               if (item) {
+                  var bbox = item.getBoundingBox();
+                  addItem({ icon: item, style: tokens[t].style, width: bbox.w, height: bbox.h });
+               }
+            } else {
+               pieces = tokens[t].text.match(R.text.TextLayout.WORDS);
+               for (p = 0; p < pieces.length; p++) {
+                  if (/^\s/.test(pieces[p])) {
+                     addItem({ text: pieces[p], style: tokens[t].style, space: true, height: 0,
+                        width: renderer.measureRun(pieces[p], tokens[t].style, renderContext) });
+                  } else {
+                     addWord(pieces[p], tokens[t].style);
+                  }
+               }
+            }
+         }
+         finishLine(true);
+
+         this.align(renderer.getTextAlignment(), maxWidth, renderer.getLineSpacing());
+      },
+
+      /**
+       * Position the lines vertically, and align each line horizontally.
+       * @private
+       */
+      align: function(alignment, maxWidth, lineSpacing) {
+         var l, i, line, item, offset, extra, spaces, y = 0;
+
+         this.width = maxWidth;
+         if (maxWidth <= 0) {
+            for (l = 0; l < this.lines.length; l++) {
+               this.width = Math.max(this.width, this.lines[l].width);
+            }
+         }
+
+         alignment = R.text.TextLayout.normalizeAlignment(alignment);
+         for (l = 0; l < this.lines.length; l++) {
+            line = this.lines[l];
+            line.y = y;
+            offset = 0;
+            extra = 0;
+
+            if (alignment == R.text.AbstractTextRenderer.ALIGN_RIGHT) {
+               offset = this.width - line.width;
+            } else if (alignment == R.text.AbstractTextRenderer.ALIGN_CENTER) {
+               offset = (this.width - line.width) / 2;
+            } else if (alignment == R.text.AbstractTextRenderer.ALIGN_JUSTIFY && !line.paragraphEnd) {
+               // Spread the remaining width across the spaces in the line.  The last
+               // line of a paragraph is left aligned.
+               spaces = 0;
+               for (i = 0; i < line.items.length; i++) {
+                  spaces += line.items[i].space ? 1 : 0;
+               }
+               extra = spaces > 0 ? (this.width - line.width) / spaces : 0;
+            }
+
+            for (i = 0; i < line.items.length; i++) {
+               item = line.items[i];
+               item.x += offset;
+               if (item.space) {
+                  offset += extra;
+               }
+
+               // Items sit on the bottom of the line
+               item.y = y + line.height - item.height;
+            }
+
+            y += line.height + (l < this.lines.length - 1 ? lineSpacing : 0);
+         }
+
+         this.height = y;
+      },
+
+      /**
+       * Get the lines of the layout.
+       * @return {Array}
+       */
+      getLines: function() {
+         return this.lines;
+      },
+
+      /**
+       * Get the width of the layout.  This is the maximum width of the renderer, if
+       * it has one, otherwise it is the width of the longest line.
+       * @return {Number}
+       */
+      getWidth: function() {
+         return this.width;
+      },
+
+      /**
+       * Get the height of the layout.
+       * @return {Number}
+       */
+      getHeight: function() {
+         return this.height;
+      },
+
+      /**
+       * Get the number of characters in the layout, not including markup.
+       * @return {Number}
+       */
+      getCharCount: function() {
+         return this.charCount;
+      }
+
+   }, /** @scope R.text.TextLayout.prototype */{
+
+      /**
+       * Get the class name of this object
+       * @return {String} The string "R.text.TextLayout"
+       */
+      getClassName: function() {
+         return "R.text.TextLayout";
+      },
+
+      /**
+       * Parse the markup of a rich text string into runs of styled text, icons, and
+       * line breaks.
+       *
+       * @param text {String} The text to parse
+       * @param baseStyle {Object} The style of text outside of any markup
+       * @return {Array} An array of tokens
+       * @static
+       */
+      parse: function(text, baseStyle) {
+         var tokens = [], stack = [], style = baseStyle, buf = "", pos = 0, chr, match, tag, i,
+             pattern = R.text.TextLayout.TAG;
+
+         var flush = function() {
+            if (buf.length > 0) {
+               tokens.push({ text: buf, style: style });
+               buf = "";
+            }
+         };
+
+         while (pos < text.length) {
+            chr = text.charAt(pos);
+            if (chr == "\n") {
+               flush();
+               tokens.push({ lineBreak: true });
+               pos++;
+               continue;
+            }
+
+            if (chr == "[") {
+               if (text.charAt(pos + 1) == "[") {
+                  // An escaped bracket
+                  buf += "[";
+                  pos += 2;
+                  continue;
+               }
+
+               pattern.lastIndex = pos;
+               match = pattern.exec(text);
+               tag = match && match.index == pos ? match[2].toLowerCase() : null;
+               if (tag && R.text.TextLayout.TAGS[tag]) {
+                  flush();
+                  if (tag == "icon") {
+                     tokens.push({ icon: match[3], style: style });
+                  } else if (match[1]) {
+                     // Close the most recently opened tag of the same kind
+                     for (i = stack.length - 1; i >= 0; i--) {
+                        if (stack[i].tag == tag) {
+                           stack.splice(i, 1);
+                           break;
+                        }
+                     }
+                     style = R.text.TextLayout.applyStyles(baseStyle, stack);
+                  } else {
+                     stack.push({ tag: tag, value: match[3] });
+                     style = R.text.TextLayout.applyStyles(baseStyle, stack);
+                  }
+                  pos += match[0].length;
+                  continue;
+               }
+            }
+
+            buf += chr;
+            pos++;
+         }
+
+         flush();
+         return tokens;
+      },
+
+      /**
+       * Apply the open markup tags to the base style.
+       * @private
+       */
+      applyStyles: function(baseStyle, stack) {
+         var style = { color: baseStyle.color, size: baseStyle.size, bold: baseStyle.bold };
+         for (var s = 0; s < stack.length; s++) {
+            switch (stack[s].tag) {
+               case "color":
+                  style.color = stack[s].value;
+                  break;
+               case "size":
+                  style.size = baseStyle.size * (parseFloat(stack[s].value) || 1);
+                  break;
+               case "b":
+                  style.bold = true;
+                  break;
+            }
+         }
+         return style;
+      },
+
+      /**
+       * Convert the alignment constants of the text renderers and the render context to
+       * one of the <tt>R.text.AbstractTextRenderer</tt> alignments.
+       * @private
+       */
+      normalizeAlignment: function(alignment) {
+         switch (alignment) {
+            case R.text.AbstractTextRenderer.ALIGN_RIGHT:
+            case "right":
+            case "end":
+               return R.text.AbstractTextRenderer.ALIGN_RIGHT;
+            case R.text.AbstractTextRenderer.ALIGN_CENTER:
+            case "center":
+               return R.text.AbstractTextRenderer.ALIGN_CENTER;
+            case R.text.AbstractTextRenderer.ALIGN_JUSTIFY:
+            case "justify":
+               return R.text.AbstractTextRenderer.ALIGN_JUSTIFY;
+            default:
+               return R.text.AbstractTextRenderer.ALIGN_LEFT;
+         }
+      },
+
+      /**
+       * The markup tags which are recognized
+       * @private
+       */
+      TAGS: {
+         "color": true,
+         "size": true,
+         "b": true,
+         "icon": true
+      },
+
+      /**
+       * Matches a markup tag
+       * @private
+       */
+      TAG: /\[(\/?)(\w+)(?:=([^\]]*))?\]/g,
+
+      /**
+       * Splits text into words and runs of spaces
+       * @private
+       */
+      WORDS: /\s+|\S+/g
+
+   });
+};
@@ -105,6 +105,11 @@ R.text.TextRenderer = function() {
     */
    update: function(renderContext, time, dt) {
 
+      // Reveal more of the text, redrawing the billboard when it changes
+      if (this.renderer.advanceReveal(dt)) {
+         this.regen();
+      }
+
       if (this.drawMode == R.text.TextRenderer.DRAW_TEXT)
       {
          renderContext.pushTransform();
@@ -278,6 +283,81 @@ R.text.TextRenderer = function() {
       return this.renderer.getColor();
    },
 
+   /**
+    * Enable or disable rich text, which supports word wrapping, justification, and
+    * inline markup for color, size, bold text and icons.  See {@link R.text.TextLayout}.
+    *
+    * @param state {Boolean} <code>true</code> to enable rich text
+    */
+   setRichText: function(state) {
+      this.renderer.setRichText(state);
+      this.regen();
+   },
+
+   /**
+    * Determine if rich text is enabled.
+    * @return {Boolean}
+    */
+   isRichText: function() {
+      return this.renderer.isRichText();
+   },
+
+   /**
+    * Set the width, in pixels, that rich text is wrapped to.
+    *
+    * @param width {Number} The maximum width of a line, or zero to only break lines at line feeds
+    */
+   setMaxWidth: function(width) {
+      this.renderer.setMaxWidth(width);
+      this.regen();
+   },
+
+   /**
+    * Get the width that rich text is wrapped to.
+    * @return {Number}
+    */
+   getMaxWidth: function() {
+      return this.renderer.getMaxWidth();
+   },
+
+   /**
+    * Register a sprite which can be embedded in rich text with the <tt>[icon=name]</tt> markup.
+    *
+    * @param name {String} The name used in the markup
+    * @param sprite {R.resources.types.Sprite} The sprite to draw
+    */
+   setIcon: function(name, sprite) {
+      this.renderer.setIcon(name, sprite);
+      this.regen();
+   },
+
+   /**
+    * Set the number of characters of rich text revealed each second, like a typewriter.
+    * The <tt>revealComplete</tt> event is triggered when all of the text is shown.
+    *
+    * @param rate {Number} Characters per second, or zero to show all of the text at once
+    */
+   setRevealRate: function(rate) {
+      this.renderer.setRevealRate(rate);
+      this.regen();
+   },
+
+   /**
+    * Show all of the text which hasn't been revealed yet.
+    */
+   skipReveal: function() {
+      this.renderer.skipReveal();
+      this.regen();
+   },
+
+   /**
+    * Determine if the rich text is still being revealed.
+    * @return {Boolean}
+    */
+   isRevealing: function() {
+      return this.renderer.isRevealing();
+   },
+
    /**
     * Set the text drawing mode to either {@link #DRAW_TEXT} or {@link #NO_DRAW}.
     *
@@ -80,6 +80,11 @@ R.text.VectorText = function(){
 		 * @private
 		 */
 		calculateBoundingBox: function(){
+			if (this.isRichText()) {
+				this.getLayout();
+				return;
+			}
+
 			var x1 = R.lang.Math2.MAX_INT;
 			var x2 = -R.lang.Math2.MAX_INT;
 			var y1 = R.lang.Math2.MAX_INT;
@@ -122,6 +127,12 @@ R.text.VectorText = function(){
 		 */
 		setTextAlignment: function(align){
 			this.base(align);
+
+			if (this.isRichText()) {
+				// Rich text is aligned within its layout
+				this.getGameObject().setOrigin(0, 0);
+				return;
+			}
 			
 			// Adjust the origin, based on the alignment
 			var b = this.getGameObject().getBoundingBox();
@@ -159,10 +170,10 @@ R.text.VectorText = function(){
 			}
 			
 			this.rText = [];
-			var spacing = 11.5;
+			var spacing = R.text.VectorText.CHAR_WIDTH;
 			
 			// Replace special chars
-			text = text.replace(/&COPY;/g, "a").replace(/&REG;/g, "b");
+			text = R.text.VectorText.replaceSpecialChars(text);
 			
 			var lCount = text.length;
 			var letter = 0;
@@ -210,6 +221,13 @@ R.text.VectorText = function(){
 		 * @private
 		 */
 		execute: function(renderContext, time, dt){
+
+			if (this.isRichText()) {
+				if (this.getText().length != 0) {
+					this.drawLayout(renderContext, time, dt);
+				}
+				return;
+			}
 		
 			if (this.rText.length == 0) {
 				return;
@@ -229,6 +247,75 @@ R.text.VectorText = function(){
 			renderContext.setLineWidth(this.getTextWeight());
 			renderContext.drawPolyline(this.rText);
 			renderContext.popTransform();
+		},
+
+		/**
+		 * Enable or disable rich text.
+		 * @param state {Boolean} <code>true</code> to enable rich text
+		 */
+		setRichText: function(state){
+			this.base(state);
+			if (this.getGameObject()) {
+				if (state) {
+					this.getGameObject().setOrigin(0, 0);
+				}
+				this.calculateBoundingBox();
+			}
+		},
+
+		/**
+		 * Measure the width of a run of rich text.  Every character of vector text
+		 * is the same width.
+		 *
+		 * @param text {String} The text to measure
+		 * @param style {Object} The style of the text
+		 * @return {Number}
+		 */
+		measureRun: function(text, style){
+			return R.text.VectorText.replaceSpecialChars(text).length * R.text.VectorText.CHAR_WIDTH * this.getSize() * style.size;
+		},
+
+		/**
+		 * Get the height of a line of rich text in the given style.
+		 *
+		 * @param style {Object} The style of the text
+		 * @return {Number}
+		 */
+		getRunHeight: function(style){
+			return R.text.VectorText.CHAR_HEIGHT * this.getSize() * style.size;
+		},
+
+		/**
+		 * Draw a run of rich text.  Bold text is drawn with a heavier line.
+		 *
+		 * @param renderContext {R.rendercontexts.AbstractRenderContext} The context to draw into
+		 * @param text {String} The text to draw
+		 * @param style {Object} The style of the text
+		 * @param x {Number} The left edge of the run
+		 * @param y {Number} The top edge of the run
+		 */
+		drawRun: function(renderContext, text, style, x, y){
+			var pc = R.math.Point2D.create(x, y), glyph;
+			text = R.text.VectorText.replaceSpecialChars(text);
+
+			renderContext.pushTransform();
+			renderContext.setPosition(pc);
+			renderContext.setScale(this.getSize() * style.size);
+			renderContext.setLineStyle(style.color);
+			renderContext.setLineWidth(this.getTextWeight() * (style.bold ? 2 : 1));
+
+			for (var c = 0; c < text.length; c++) {
+				glyph = R.text.VectorText.chars[text.charCodeAt(c) - 32];
+				if (glyph && glyph.length > 0) {
+					renderContext.pushTransform();
+					renderContext.setPosition(pc.set(c * R.text.VectorText.CHAR_WIDTH, 0));
+					renderContext.drawPolyline(glyph);
+					renderContext.popTransform();
+				}
+			}
+
+			renderContext.popTransform();
+			pc.destroy();
 		}
 		
 		
@@ -246,6 +333,26 @@ R.text.VectorText = function(){
 		 * @private
 		 */
 		chars: null,
+
+		/**
+		 * The width of each character, before it is scaled
+		 * @type {Number}
+		 */
+		CHAR_WIDTH: 11.5,
+
+		/**
+		 * The height of a line of text, before it is scaled
+		 * @type {Number}
+		 */
+		CHAR_HEIGHT: 11,
+
+		/**
+		 * Replace the special character entities with the characters that represent them
+		 * @private
+		 */
+		replaceSpecialChars: function(text){
+			return text.replace(/&COPY;/g, "a").replace(/&REG;/g, "b");
+		},
 		
 		/**
 		 * @private
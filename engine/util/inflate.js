@@ -0,0 +1,299 @@
+/**
+ * The Render Engine
+ * Inflate
+ *
+ * @fileoverview Decoders for base64 encoded and deflate compressed data.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE
+ */
+
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.util.Inflate",
+   "requires": []
+});
+
+/**
+ * @class A static class which decodes data which has been base64 encoded, and data
+ *        which has been compressed with the deflate algorithm, either raw or wrapped in
+ *        the zlib or gzip formats.  The decoding is done entirely in JavaScript, so
+ *        compressed resources can be read without any browser support:
+ * <pre>
+ *    var bytes = R.util.Inflate.zlib(R.util.Inflate.decodeBase64(encodedData));
+ * </pre>
+ *        Bytes are passed and returned as arrays of numbers.
+ *
+ * @static
+ */
+R.util.Inflate = Base.extend(/** @scope R.util.Inflate.prototype */{
+
+   /** @private */
+   constructor: null,
+
+   /**
+    * Decode a base64 encoded string into an array of bytes.  Whitespace in the
+    * string is ignored.
+    *
+    * @param str {String} The base64 encoded string
+    * @return {Array} The decoded bytes
+    * @memberOf R.util.Inflate
+    */
+   decodeBase64: function(str) {
+      var chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/",
+          bytes = [], buf = 0, bufBits = 0, c, v;
+
+      for (c = 0; c < str.length; c++) {
+         v = chars.indexOf(str.charAt(c));
+         if (v == -1) {
+            // Skip whitespace and padding
+            continue;
+         }
+
+         buf = (buf << 6) | v;
+         bufBits += 6;
+         if (bufBits >= 8) {
+            bufBits -= 8;
+            bytes.push((buf >> bufBits) & 0xff);
+         }
+      }
+      return bytes;
+   },
+
+   /**
+    * Decompress data in the zlib format.
+    *
+    * @param bytes {Array} The compressed bytes
+    * @return {Array} The decompressed bytes
+    * @memberOf R.util.Inflate
+    */
+   zlib: function(bytes) {
+      Assert((bytes[0] & 0x0f) == 8, "Inflate: zlib data must use the deflate method");
+      Assert((bytes[1] & 0x20) == 0, "Inflate: zlib preset dictionaries are not supported");
+      return R.util.Inflate.inflate(bytes, 2);
+   },
+
+   /**
+    * Decompress data in the gzip format.
+    *
+    * @param bytes {Array} The compressed bytes
+    * @return {Array} The decompressed bytes
+    * @memberOf R.util.Inflate
+    */
+   gunzip: function(bytes) {
+      Assert(bytes[0] == 0x1f && bytes[1] == 0x8b && bytes[2] == 8, "Inflate: not gzip data");
+      var flags = bytes[3], pos = 10;
+
+      if (flags & 4) {
+         // Extra field
+         pos += 2 + (bytes[pos] | (bytes[pos + 1] << 8));
+      }
+      if (flags & 8) {
+         // File name
+         while (bytes[pos++] != 0) {}
+      }
+      if (flags & 16) {
+         // Comment
+         while (bytes[pos++] != 0) {}
+      }
+      if (flags & 2) {
+         // Header CRC
+         pos += 2;
+      }
+      return R.util.Inflate.inflate(bytes, pos);
+   },
+
+   /**
+    * Decompress raw deflate data.
+    *
+    * @param bytes {Array} The compressed bytes
+    * @param [offset=0] {Number} The position of the compressed data within the bytes
+    * @return {Array} The decompressed bytes
+    * @memberOf R.util.Inflate
+    */
+   inflate: function(bytes, offset) {
+      var Inflate = R.util.Inflate, pos = offset || 0, bitBuf = 0, bitCount = 0,
+          out = [], last, type, len, i;
+
+      // Read a number of bits, least significant first
+      function bits(n) {
+         while (bitCount < n) {
+            Assert(pos < bytes.length, "Inflate: unexpected end of data");
+            bitBuf |= bytes[pos++] << bitCount;
+            bitCount += 8;
+         }
+         var v = bitBuf & ((1 << n) - 1);
+         bitBuf >>>= n;
+         bitCount -= n;
+         return v;
+      }
+
+      // Decode a symbol with a Huffman table
+      function decode(table) {
+         var code = 0, first = 0, index = 0, count;
+         for (var l = 1; l <= 15; l++) {
+            code |= bits(1);
+            count = table.counts[l];
+            if (code - count < first) {
+               return table.symbols[index + (code - first)];
+            }
+            index += count;
+            first += count;
+            first <<= 1;
+            code <<= 1;
+         }
+         Assert(false, "Inflate: invalid Huffman code");
+      }
+
+      // Decode the literals and distances of a compressed block
+      function codes(lengthTable, distTable) {
+         var sym, length, dist;
+         while ((sym = decode(lengthTable)) != 256) {
+            if (sym < 256) {
+               out.push(sym);
+            } else {
+               sym -= 257;
+               length = Inflate.LENGTH_BASE[sym] + bits(Inflate.LENGTH_EXTRA[sym]);
+               sym = decode(distTable);
+               dist = Inflate.DIST_BASE[sym] + bits(Inflate.DIST_EXTRA[sym]);
+               Assert(dist <= out.length, "Inflate: distance is too far back");
+               for (var c = out.length - dist; length > 0; length--) {
+                  out.push(out[c++]);
+               }
+            }
+         }
+      }
+
+      do {
+         last = bits(1);
+         type = bits(2);
+
+         if (type == 0) {
+            // Stored block, which starts on a byte boundary
+            bitBuf = 0;
+            bitCount = 0;
+            len = bytes[pos] | (bytes[pos + 1] << 8);
+            pos += 4;
+            for (i = 0; i < len; i++) {
+               out.push(bytes[pos++]);
+            }
+         } else if (type == 1) {
+            if (!Inflate.fixedTables) {
+               var lengths = [];
+               for (i = 0; i < 288; i++) {
+                  lengths[i] = i < 144 ? 8 : (i < 256 ? 9 : (i < 280 ? 7 : 8));
+               }
+               for (i = 0; i < 30; i++) {
+                  lengths[288 + i] = 5;
+               }
+               Inflate.fixedTables = [Inflate.buildTable(lengths, 0, 288), Inflate.buildTable(lengths, 288, 30)];
+            }
+            codes(Inflate.fixedTables[0], Inflate.fixedTables[1]);
+         } else if (type == 2) {
+            var nLen = bits(5) + 257, nDist = bits(5) + 1, nCode = bits(4) + 4,
+                codeLengths = [], all = [], sym, rep, prev;
+
+            for (i = 0; i < 19; i++) {
+               codeLengths[Inflate.CODE_ORDER[i]] = i < nCode ? bits(3) : 0;
+            }
+            var codeTable = Inflate.buildTable(codeLengths, 0, 19);
+
+            while (all.length < nLen + nDist) {
+               sym = decode(codeTable);
+               if (sym < 16) {
+                  all.push(sym);
+               } else {
+                  prev = 0;
+                  if (sym == 16) {
+                     Assert(all.length > 0, "Inflate: repeat with no previous length");
+                     prev = all[all.length - 1];
+                     rep = 3 + bits(2);
+                  } else if (sym == 17) {
+                     rep = 3 + bits(3);
+                  } else {
+                     rep = 11 + bits(7);
+                  }
+                  while (rep-- > 0) {
+                     all.push(prev);
+                  }
+               }
+            }
+            codes(Inflate.buildTable(all, 0, nLen), Inflate.buildTable(all, nLen, nDist));
+         } else {
+            Assert(false, "Inflate: invalid block type");
+         }
+      } while (!last);
+
+      return out;
+   },
+
+   /**
+    * Build a canonical Huffman table from code lengths.
+    * @private
+    * @memberOf R.util.Inflate
+    */
+   buildTable: function(lengths, start, n) {
+      var counts = [], offsets = [], symbols = [], i;
+      for (i = 0; i <= 15; i++) {
+         counts[i] = 0;
+      }
+      for (i = 0; i < n; i++) {
+         counts[lengths[start + i]]++;
+      }
+      counts[0] = 0;
+
+      offsets[1] = 0;
+      for (i = 1; i < 15; i++) {
+         offsets[i + 1] = offsets[i] + counts[i];
+      }
+      for (i = 0; i < n; i++) {
+         if (lengths[start + i] != 0) {
+            symbols[offsets[lengths[start + i]]++] = i;
+         }
+      }
+      return { counts: counts, symbols: symbols };
+   },
+
+   /** @private */
+   fixedTables: null,
+
+   /** @private */
+   CODE_ORDER: [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15],
+
+   /** @private */
+   LENGTH_BASE: [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115,
+                 131, 163, 195, 227, 258],
+
+   /** @private */
+   LENGTH_EXTRA: [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0],
+
+   /** @private */
+   DIST_BASE: [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537,
+               2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577],
+
+   /** @private */
+   DIST_EXTRA: [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13]
+
+});
@@ -0,0 +1,486 @@
+/**
+ * The Render Engine
+ * ReplicationClient
+ *
+ * @fileoverview Receives the world state of a networked game from its server,
+ *               and predicts the local player.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.util.ReplicationClient",
+   "requires": [
+      "R.util.Snapshot",
+      "R.util.ReplicationServer",
+      "R.components.logic.Replicated"
+   ]
+});
+
+/**
+ * @class The client side of a networked game, which receives snapshots of the world from a
+ *        {@link R.util.ReplicationServer}.  Snapshots are buffered, so that other objects can be
+ *        drawn between the two snapshots around a moment slightly in the past.  This keeps their
+ *        motion smooth, even though snapshots arrive at a low rate and at uneven times.
+ *        <p/>
+ *        The local player is predicted instead.  Its input is applied immediately, using the
+ *        same logic object as the server, and is sent to the server.  When a snapshot arrives,
+ *        the player is reset to the state the server calculated, and the input which the server
+ *        hasn't applied yet is applied again.
+ *        <p/>
+ *        The client sends messages through a connection, which is any object with a
+ *        <tt>send(message)</tt> method, and is given the messages which arrive with {@link #receive}.
+ *        A <tt>listener(type, id, state)</tt> method can be attached to the client to be told when the
+ *        client is connected, and when objects are added to, or removed from, the world.
+ * <pre>
+ *    var client = R.util.ReplicationClient.connect("ws://localhost:8090", GameLogic);
+ *    client.listener = function(type, id, state) {
+ *       if (type == R.util.ReplicationClient.ENTITY_ADDED) {
+ *          var ship = Ship.create();
+ *          ship.add(R.components.logic.Replicated.create("net", client, id));
+ *          this.getRenderContext().add(ship);
+ *       }
+ *    };
+ * </pre>
+ *        See {@link R.components.logic.Replicated} for a component which moves a game object
+ *        with the state of an object in the world.
+ *        <p/>
+ *        Game objects which the server {@link R.util.ReplicationServer#addObject replicates} are
+ *        created by the client when they arrive, with a <tt>Replicated</tt> component to keep them
+ *        up to date, and are destroyed when the server removes them.  They're added to the render
+ *        context set with {@link #setRenderContext}.  To create them differently, set a factory
+ *        with {@link #setFactory}.
+ *
+ * @param connection {Object} The connection to the server
+ * @param logic {Object} The game logic, the same as the server's
+ * @constructor
+ * @description Create a replication client
+ */
+R.util.ReplicationClient = function() {
+   return Base.extend(/** @scope R.util.ReplicationClient.prototype */{
+
+      connection: null,
+      logic: null,
+      id: null,
+      tickRate: 0,
+      ack: 0,
+      baselines: null,
+      buffer: null,
+      pending: null,
+      sequence: 0,
+      predicted: null,
+      interpolationDelay: 0,
+      sentInput: false,
+      objects: null,
+      renderContext: null,
+      factory: null,
+
+      /** @private */
+      constructor: function(connection, logic) {
+         this.connection = connection;
+         this.logic = logic;
+         this.id = null;
+         this.tickRate = R.util.ReplicationServer.DEFAULT_TICK_RATE;
+         this.ack = 0;
+         this.baselines = {};
+         this.buffer = [];
+         this.pending = [];
+         this.sequence = 0;
+         this.predicted = null;
+         this.interpolationDelay = R.util.ReplicationClient.INTERPOLATION_DELAY;
+         this.sentInput = false;
+         this.objects = {};
+         this.renderContext = null;
+         this.factory = null;
+      },
+
+      /**
+       * Get the identifier of the local player, or <code>null</code> until the server
+       * has welcomed the client.
+       * @return {String}
+       */
+      getLocalId: function() {
+         return this.id;
+      },
+
+      /**
+       * Returns <code>true</code> once the server has welcomed the client.
+       * @return {Boolean}
+       */
+      isConnected: function() {
+         return this.id != null;
+      },
+
+      /**
+       * Set how far in the past other objects are drawn, in milliseconds.  This should be
+       * at least two ticks, so there's a snapshot on either side of the moment being drawn.
+       *
+       * @param delay {Number} The delay in milliseconds
+       */
+      setInterpolationDelay: function(delay) {
+         this.interpolationDelay = delay;
+      },
+
+      /**
+       * Get how far in the past other objects are drawn, in milliseconds.
+       * @return {Number}
+       */
+      getInterpolationDelay: function() {
+         return this.interpolationDelay;
+      },
+
+      /**
+       * Set the render context that replicated game objects are added to when they're created.
+       * @param renderContext {R.rendercontexts.AbstractRenderContext} The render context
+       */
+      setRenderContext: function(renderContext) {
+         this.renderContext = renderContext;
+      },
+
+      /**
+       * Set the function which creates replicated game objects.  It is passed the class name,
+       * the network identifier, and the state of the object, and returns the object.  By default,
+       * objects are created with <tt>create()</tt> on their class.
+       *
+       * @param factory {Function} The factory function
+       */
+      setFactory: function(factory) {
+         this.factory = factory;
+      },
+
+      /**
+       * Get the replicated game object with a network identifier.
+       *
+       * @param id {String} The network identifier
+       * @return {R.engine.PooledObject} The object, or <code>null</code>
+       */
+      getObject: function(id) {
+         return this.objects[id] || null;
+      },
+
+      /**
+       * Create the copy of a game object which the server added to the world
+       * @private
+       */
+      spawnObject: function(id, state) {
+         var obj = this.factory ? this.factory(state.c, id, state) : R.getClassForName(state.c).create();
+         Assert(obj, "ReplicationClient could not create a " + state.c);
+
+         R.util.Snapshot.writeObject(obj, state);
+         obj.add(R.components.logic.Replicated.create("Replicated", this, id));
+         if (this.renderContext) {
+            this.renderContext.add(obj);
+         }
+         this.objects[id] = obj;
+      },
+
+      /**
+       * Handle a message which arrived from the server.
+       * @param message {Object} The message
+       */
+      receive: function(message) {
+         switch (message.t) {
+            case R.util.ReplicationServer.MSG_WELCOME:
+               this.id = message.id;
+               this.tickRate = message.rate;
+               this.notify(R.util.ReplicationClient.CONNECTED, this.id);
+               break;
+            case R.util.ReplicationServer.MSG_SNAPSHOT:
+               this.receiveSnapshot(message);
+               break;
+         }
+      },
+
+      /**
+       * Decode a snapshot, buffer it, and reconcile the local player with it
+       * @private
+       */
+      receiveSnapshot: function(message) {
+         if (message.k <= this.ack) {
+            // Arrived out of order
+            return;
+         }
+
+         var base = message.b ? this.baselines[message.b] : {};
+         if (!base) {
+            // The delta is based on a snapshot we no longer have.  Once the server sees
+            // our acknowledgement is too old, it sends the entire world.
+            return;
+         }
+
+         var objects = R.util.Snapshot.apply(base, message.d), last = this.getLatest(), id;
+         this.carryUnreliable(objects, message.d, last);
+         this.ack = message.k;
+         this.baselines[message.k] = objects;
+         for (var k in this.baselines) {
+            if (k < message.k - R.util.ReplicationServer.HISTORY) {
+               delete this.baselines[k];
+            }
+         }
+
+         this.buffer.push({ tick: message.k, time: R.now(), objects: objects });
+         if (this.buffer.length > R.util.ReplicationClient.BUFFER_SIZE) {
+            this.buffer.shift();
+         }
+
+         // Reapply the input the server hasn't seen yet to the state it calculated
+         this.pending = R.engine.Support.filter(this.pending, function(p) {
+            return p.s > message.a;
+         });
+         if (objects[this.id]) {
+            this.predicted = $.extend({}, objects[this.id]);
+            for (var p = 0; p < this.pending.length; p++) {
+               this.logic.simulate(this.predicted, this.pending[p].i, this.pending[p].dt);
+            }
+         }
+
+         for (id in objects) {
+            if (!last || !last[id]) {
+               if (objects[id].c) {
+                  this.spawnObject(id, objects[id]);
+               }
+               this.notify(R.util.ReplicationClient.ENTITY_ADDED, id, objects[id]);
+            }
+         }
+         for (id in last) {
+            if (!objects[id]) {
+               this.notify(R.util.ReplicationClient.ENTITY_REMOVED, id, last[id]);
+               if (this.objects[id]) {
+                  this.objects[id].destroy();
+                  delete this.objects[id];
+               }
+            }
+         }
+
+         // Acknowledge the snapshot, if there's no input to carry the acknowledgement
+         if (!this.sentInput) {
+            this.connection.send({ t: R.util.ReplicationServer.MSG_ACK, a: this.ack });
+         }
+         this.sentInput = false;
+      },
+
+      /**
+       * Unreliable properties are only sent when they change, so a delta from an older
+       * snapshot doesn't have changes which arrived since.  Keep the newest value received.
+       * @private
+       */
+      carryUnreliable: function(objects, delta, last) {
+         for (var id in this.objects) {
+            if (!objects[id] || !last || !last[id]) {
+               continue;
+            }
+
+            var unreliable = R.util.Snapshot.getUnreliable(this.objects[id]),
+                changed = delta.u && delta.u[id] ? delta.u[id] : {}, copy = null;
+            for (var p in unreliable) {
+               if (changed[p] === undefined && last[id][p] !== undefined) {
+                  copy = copy || $.extend({}, objects[id]);
+                  copy[p] = last[id][p];
+               }
+            }
+            if (copy) {
+               objects[id] = copy;
+            }
+         }
+      },
+
+      /**
+       * Apply input to the local player, and send it to the server.
+       *
+       * @param input {Object} The input, which is passed to the logic's <tt>simulate</tt> method
+       * @param dt {Number} The number of milliseconds the input covers
+       */
+      sendInput: function(input, dt) {
+         if (!this.isConnected()) {
+            return;
+         }
+
+         var message = { t: R.util.ReplicationServer.MSG_INPUT, s: ++this.sequence, i: input, dt: dt, a: this.ack };
+         this.pending.push(message);
+         if (this.predicted) {
+            this.logic.simulate(this.predicted, input, dt);
+         }
+         this.connection.send(message);
+         this.sentInput = true;
+      },
+
+      /**
+       * Get the world from the most recent snapshot.
+       * @return {Object} The objects in the world, by identifier, or <code>null</code>
+       */
+      getLatest: function() {
+         return this.buffer.length > 0 ? this.buffer[this.buffer.length - 1].objects : null;
+      },
+
+      /**
+       * Get the state of an object to draw.  The local player is predicted, and other
+       * objects are interpolated between the snapshots around the interpolation delay.
+       *
+       * @param id {String} The identifier of the object
+       * @param [time] {Number} The time to get the state for.  Defaults to now.
+       * @return {Object} The state of the object, or <code>null</code> if it isn't in the world
+       */
+      getState: function(id, time) {
+         if (id == this.id && this.predicted) {
+            return this.predicted;
+         }
+
+         var renderTime = (time || R.now()) - this.interpolationDelay, b = this.buffer, i;
+         if (b.length == 0 || !b[b.length - 1].objects[id]) {
+            return null;
+         }
+
+         for (i = b.length - 1; i > 0; i--) {
+            if (b[i - 1].time <= renderTime) {
+               break;
+            }
+         }
+
+         var from = b[i - 1] ? b[i - 1].objects[id] : null, to = b[i].objects[id];
+         if (!from || !to || renderTime >= b[i].time) {
+            return to || null;
+         }
+
+         return R.util.ReplicationClient.interpolate(from, to,
+               (renderTime - b[i - 1].time) / (b[i].time - b[i - 1].time));
+      },
+
+      /**
+       * Tell the listener that something happened
+       * @private
+       */
+      notify: function(type, id, state) {
+         if ($.isFunction(this.listener)) {
+            this.listener(type, id, state);
+         }
+      }
+
+   }, /** @scope R.util.ReplicationClient.prototype */{
+      /**
+       * Get the class name of this object
+       *
+       * @return {String} "R.util.ReplicationClient"
+       */
+      getClassName: function() {
+         return "R.util.ReplicationClient";
+      },
+
+      /**
+       * Connect to a server with a web socket.  Messages are sent as JSON.
+       *
+       * @param url {String} The URL of the server, such as "ws://localhost:8090"
+       * @param logic {Object} The game logic, the same as the server's
+       * @return {R.util.ReplicationClient}
+       */
+      connect: function(url, logic) {
+         var socket = new WebSocket(url), queued = [],
+             client = new R.util.ReplicationClient({
+                send: function(message) {
+                   if (socket.readyState === 1) {
+                      socket.send(JSON.stringify(message));
+                   } else {
+                      queued.push(message);
+                   }
+                }
+             }, logic);
+
+         socket.onopen = function() {
+            while (queued.length > 0) {
+               socket.send(JSON.stringify(queued.shift()));
+            }
+         };
+         socket.onmessage = function(evt) {
+            client.receive(JSON.parse(evt.data));
+         };
+         socket.onclose = function() {
+            client.notify(R.util.ReplicationClient.DISCONNECTED, client.id);
+         };
+         return client;
+      },
+
+      /**
+       * Interpolate between two states of an object.  Numbers, and arrays of numbers, are
+       * interpolated, and other values are taken from the newer state.
+       *
+       * @param from {Object} The older state
+       * @param to {Object} The newer state
+       * @param t {Number} The position between the states, from 0 to 1
+       * @return {Object} The interpolated state
+       */
+      interpolate: function(from, to, t) {
+         var state = {}, p, i;
+         for (p in to) {
+            if (R.isNumber(to[p]) && R.isNumber(from[p])) {
+               state[p] = from[p] + (to[p] - from[p]) * t;
+            } else if (R.isArray(to[p]) && R.isArray(from[p]) && to[p].length == from[p].length) {
+               state[p] = [];
+               for (i = 0; i < to[p].length; i++) {
+                  state[p][i] = R.isNumber(to[p][i]) ? from[p][i] + (to[p][i] - from[p][i]) * t : to[p][i];
+               }
+            } else {
+               state[p] = to[p];
+            }
+         }
+         return state;
+      },
+
+      /**
+       * The default interpolation delay, in milliseconds
+       * @type {Number}
+       */
+      INTERPOLATION_DELAY: 100,
+
+      /**
+       * The number of snapshots buffered for interpolation
+       * @type {Number}
+       */
+      BUFFER_SIZE: 30,
+
+      /**
+       * The listener type when the server has welcomed the client
+       * @type {Number}
+       */
+      CONNECTED: 1,
+
+      /**
+       * The listener type when the connection to the server is closed
+       * @type {Number}
+       */
+      DISCONNECTED: 2,
+
+      /**
+       * The listener type when an object is added to the world
+       * @type {Number}
+       */
+      ENTITY_ADDED: 3,
+
+      /**
+       * The listener type when an object is removed from the world
+       * @type {Number}
+       */
+      ENTITY_REMOVED: 4
+   });
+};
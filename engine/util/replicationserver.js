@@ -0,0 +1,454 @@
+/**
+ * The Render Engine
+ * ReplicationServer
+ *
+ * @fileoverview The authoritative world state of a networked game, which is
+ *               replicated to its clients.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.util.ReplicationServer",
+   "requires": [
+      "R.lang.IntervalTimer",
+      "R.util.Snapshot"
+   ]
+});
+
+/**
+ * @class The authoritative state of a networked game's world, which is run by the server and
+ *        replicated to each client.  The world is updated at a fixed tick rate.  Each tick, the
+ *        input the clients have sent is applied to their players, the game logic updates the
+ *        rest of the world, and a snapshot of the world is sent to every client.  Snapshots are
+ *        {@link R.util.Snapshot delta compressed} against the last snapshot the client has
+ *        acknowledged, so only what has changed is sent.
+ *        <p/>
+ *        The rules of the game are provided by a logic object, which is shared with the
+ *        {@link R.util.ReplicationClient} so that clients can predict the movement of their own
+ *        players exactly the way the server will.  The logic object can have these methods:
+ * <ul>
+ * <li><tt>spawn(clientId, server)</tt> - Return the initial state of a client's player</li>
+ * <li><tt>simulate(state, input, dt)</tt> - Apply a player's input to its state, over the
+ *     number of milliseconds.  This must only depend on its arguments.</li>
+ * <li><tt>update(server, dt)</tt> - Update the rest of the world for the tick (optional)</li>
+ * </ul>
+ *        The state of each object is a simple object of properties, such as <tt>{ x: 10, y: 20 }</tt>.
+ *        <p/>
+ *        Game objects can be replicated as well, with {@link #addObject}.  Their state is read
+ *        from the properties they declare (see {@link R.util.Snapshot}) each tick, and clients
+ *        create and destroy their own copies of the objects as they are added and removed.
+ *        <p/>
+ *        The <tt>tools/nodeserver/server.js</tt> script runs a server with the engine in headless mode.
+ * <pre>
+ *    var server = new R.util.ReplicationServer(GameLogic, 20);
+ *    server.connect(clientId, function(message) {
+ *       socket.send(JSON.stringify(message));
+ *    });
+ *    server.start();
+ *
+ *    // When a message arrives from the client
+ *    server.receive(clientId, JSON.parse(data));
+ * </pre>
+ *
+ * @param logic {Object} The game logic
+ * @param [tickRate=20] {Number} The number of ticks per second
+ * @constructor
+ * @description Create a replication server
+ */
+R.util.ReplicationServer = function() {
+   return Base.extend(/** @scope R.util.ReplicationServer.prototype */{
+
+      logic: null,
+      tickRate: 0,
+      tick: 0,
+      nextId: 1,
+      entities: null,
+      objects: null,
+      unreliable: null,
+      clients: null,
+      history: null,
+      timer: null,
+      lastTime: 0,
+      accumulator: 0,
+
+      /** @private */
+      constructor: function(logic, tickRate) {
+         this.logic = logic;
+         this.tickRate = tickRate || R.util.ReplicationServer.DEFAULT_TICK_RATE;
+         this.tick = 0;
+         this.nextId = 1;
+         this.entities = {};
+         this.objects = {};
+         this.unreliable = {};
+         this.clients = {};
+         this.history = {};
+         this.timer = null;
+      },
+
+      /**
+       * Start updating the world at the tick rate.
+       */
+      start: function() {
+         if (this.timer) {
+            return;
+         }
+
+         var self = this;
+         this.lastTime = R.now();
+         this.accumulator = 0;
+         this.timer = R.lang.IntervalTimer.create("ReplicationTick", this.getTickLength(), function() {
+            // Timers drift, so run as many ticks as the time which has passed calls for
+            var now = R.now();
+            self.accumulator = Math.min(self.accumulator + now - self.lastTime, self.getTickLength() * 10);
+            self.lastTime = now;
+            while (self.accumulator >= self.getTickLength()) {
+               self.accumulator -= self.getTickLength();
+               self.step();
+            }
+         });
+      },
+
+      /**
+       * Stop updating the world.
+       */
+      stop: function() {
+         if (this.timer) {
+            this.timer.destroy();
+            this.timer = null;
+         }
+      },
+
+      /**
+       * Get the length of a tick, in milliseconds.
+       * @return {Number}
+       */
+      getTickLength: function() {
+         return 1000 / this.tickRate;
+      },
+
+      /**
+       * Get the number of the last tick which was run.
+       * @return {Number}
+       */
+      getTick: function() {
+         return this.tick;
+      },
+
+      /**
+       * Add an object to the world.
+       *
+       * @param state {Object} The state of the object
+       * @return {String} The identifier of the object
+       */
+      addEntity: function(state) {
+         var id = String(this.nextId++);
+         this.entities[id] = state;
+         return id;
+      },
+
+      /**
+       * Remove an object from the world.
+       * @param id {String} The identifier of the object
+       */
+      removeEntity: function(id) {
+         delete this.entities[id];
+      },
+
+      /**
+       * Get the state of an object in the world.  Changes made to the state are sent
+       * to the clients with the next snapshot.
+       *
+       * @param id {String} The identifier of the object
+       * @return {Object} The state, or <code>undefined</code>
+       */
+      getEntity: function(id) {
+         return this.entities[id];
+      },
+
+      /**
+       * Get all of the objects in the world, by identifier.
+       * @return {Object}
+       */
+      getEntities: function() {
+         return this.entities;
+      },
+
+      /**
+       * Add a game object to the world.  The object must declare its replicated properties,
+       * and is removed from the world when it is destroyed.  Clients create a copy of the object,
+       * of the same class, and destroy it when the object is removed.
+       *
+       * @param obj {R.engine.PooledObject} The object
+       * @return {String} The network identifier of the object
+       */
+      addObject: function(obj) {
+         var id = String(this.nextId++);
+         this.objects[id] = { obj: obj, poolId: obj.getId() };
+         this.unreliable[id] = R.util.Snapshot.getUnreliable(obj);
+         return id;
+      },
+
+      /**
+       * Remove a game object from the world.
+       * @param obj {R.engine.PooledObject} The object
+       */
+      removeObject: function(obj) {
+         var id = this.getNetworkId(obj);
+         if (id) {
+            delete this.objects[id];
+            delete this.unreliable[id];
+         }
+      },
+
+      /**
+       * Get the network identifier of a game object which was added to the world.
+       *
+       * @param obj {R.engine.PooledObject} The object
+       * @return {String} The network identifier, or <code>null</code>
+       */
+      getNetworkId: function(obj) {
+         for (var id in this.objects) {
+            if (this.objects[id].poolId === obj.getId()) {
+               return id;
+            }
+         }
+         return null;
+      },
+
+      /**
+       * Get the game object with a network identifier.
+       *
+       * @param id {String} The network identifier
+       * @return {R.engine.PooledObject} The object, or <code>null</code>
+       */
+      getObject: function(id) {
+         return this.objects[id] ? this.objects[id].obj : null;
+      },
+
+      /**
+       * Connect a client.  A player is spawned for the client, and the client is told the
+       * identifier of its player and the tick rate.
+       *
+       * @param clientId {String} A unique identifier for the client
+       * @param send {Function} Called with each message to send to the client.  Messages are
+       *    simple objects, which should be sent as JSON.
+       * @return {String} The identifier of the client's player
+       */
+      connect: function(clientId, send) {
+         var state = this.logic.spawn ? this.logic.spawn(clientId, this) : {},
+             entityId = this.addEntity(state);
+
+         this.clients[clientId] = {
+            send: send,
+            entity: entityId,
+            inputs: [],
+            lastInput: 0,
+            ack: 0
+         };
+
+         send({ t: R.util.ReplicationServer.MSG_WELCOME, id: entityId, k: this.tick, rate: this.tickRate });
+         return entityId;
+      },
+
+      /**
+       * Disconnect a client, removing its player from the world.
+       * @param clientId {String} The identifier of the client
+       */
+      disconnect: function(clientId) {
+         var client = this.clients[clientId];
+         if (client) {
+            this.removeEntity(client.entity);
+            delete this.clients[clientId];
+         }
+      },
+
+      /**
+       * Get the identifier of the player which belongs to a client.
+       *
+       * @param clientId {String} The identifier of the client
+       * @return {String} The identifier of the player
+       */
+      getClientEntity: function(clientId) {
+         return this.clients[clientId] ? this.clients[clientId].entity : null;
+      },
+
+      /**
+       * Handle a message from a client.  Input is queued until the next tick, and
+       * acknowledged snapshots become the base for the client's next delta.
+       *
+       * @param clientId {String} The identifier of the client
+       * @param message {Object} The message
+       */
+      receive: function(clientId, message) {
+         var client = this.clients[clientId];
+         if (!client || !message) {
+            return;
+         }
+
+         if (message.a > client.ack && message.a <= this.tick) {
+            client.ack = message.a;
+         }
+
+         if (message.t === R.util.ReplicationServer.MSG_INPUT && message.s > client.lastInput) {
+            if (client.inputs.length < R.util.ReplicationServer.MAX_QUEUED_INPUTS) {
+               client.inputs.push(message);
+            }
+         }
+      },
+
+      /**
+       * Run one tick: apply the clients' input, update the world, and send each
+       * client a snapshot.  This is called at the tick rate once the server is started.
+       */
+      step: function() {
+         var id, client, input;
+
+         for (id in this.clients) {
+            client = this.clients[id];
+            while (client.inputs.length > 0) {
+               input = client.inputs.shift();
+               if (input.s <= client.lastInput) {
+                  continue;
+               }
+               client.lastInput = input.s;
+
+               // Clients choose how much time their input covers, so don't let them have too much
+               var dt = Math.max(0, Math.min(Number(input.dt) || 0, R.util.ReplicationServer.MAX_INPUT_DT));
+               if (this.entities[client.entity] && this.logic.simulate) {
+                  this.logic.simulate(this.entities[client.entity], input.i, dt);
+               }
+            }
+         }
+
+         if (this.logic.update) {
+            this.logic.update(this, this.getTickLength());
+         }
+
+         this.tick++;
+         this.snapshot();
+      },
+
+      /**
+       * Record a snapshot of the world and send each client its delta
+       * @private
+       */
+      snapshot: function() {
+         var objects = {}, id, entry;
+         for (id in this.entities) {
+            objects[id] = R.util.Snapshot.quantize(this.entities[id], this.logic.PRECISION);
+         }
+
+         for (id in this.objects) {
+            // Pooled objects are reused once destroyed, so check that it's still the same object
+            entry = this.objects[id];
+            if (entry.obj.isDestroyed() || entry.obj.getId() !== entry.poolId) {
+               delete this.objects[id];
+               delete this.unreliable[id];
+            } else {
+               objects[id] = R.util.Snapshot.readObject(entry.obj);
+            }
+         }
+
+         this.history[this.tick] = objects;
+         delete this.history[this.tick - R.util.ReplicationServer.HISTORY];
+
+         for (id in this.clients) {
+            var client = this.clients[id], base = this.history[client.ack];
+            client.send({
+               t: R.util.ReplicationServer.MSG_SNAPSHOT,
+               k: this.tick,
+               b: base ? client.ack : 0,
+               a: client.lastInput,
+               d: R.util.Snapshot.diff(base || {}, objects, this.history[this.tick - 1], this.unreliable)
+            });
+         }
+      }
+
+   }, /** @scope R.util.ReplicationServer.prototype */{
+      /**
+       * Get the class name of this object
+       *
+       * @return {String} "R.util.ReplicationServer"
+       */
+      getClassName: function() {
+         return "R.util.ReplicationServer";
+      },
+
+      /**
+       * The default number of ticks per second
+       * @type {Number}
+       */
+      DEFAULT_TICK_RATE: 20,
+
+      /**
+       * The number of snapshots kept to create deltas from.  Clients which haven't
+       * acknowledged a snapshot this recently are sent the entire world.
+       * @type {Number}
+       */
+      HISTORY: 32,
+
+      /**
+       * The most time a single input can cover, in milliseconds
+       * @type {Number}
+       */
+      MAX_INPUT_DT: 100,
+
+      /**
+       * The most input a client can have queued for the next tick
+       * @type {Number}
+       */
+      MAX_QUEUED_INPUTS: 30,
+
+      /**
+       * Sent to a client when it connects, with its player identifier as <tt>id</tt>,
+       * the current tick as <tt>k</tt>, and the tick rate as <tt>rate</tt>.
+       * @type {String}
+       */
+      MSG_WELCOME: "w",
+
+      /**
+       * Sent to each client every tick, with the tick as <tt>k</tt>, the tick the delta
+       * is based on as <tt>b</tt> (zero for the entire world), the last input applied
+       * as <tt>a</tt>, and the {@link R.util.Snapshot delta} as <tt>d</tt>.
+       * @type {String}
+       */
+      MSG_SNAPSHOT: "s",
+
+      /**
+       * Sent by a client with its input, with the input number as <tt>s</tt>, the input as
+       * <tt>i</tt>, the time it covers as <tt>dt</tt>, and the last snapshot it received as <tt>a</tt>.
+       * @type {String}
+       */
+      MSG_INPUT: "i",
+
+      /**
+       * Sent by a client which has no input to send, with the last snapshot it received as <tt>a</tt>.
+       * @type {String}
+       */
+      MSG_ACK: "a"
+   });
+};
@@ -0,0 +1,330 @@
+/**
+ * The Render Engine
+ * Snapshot
+ *
+ * @fileoverview Delta compression of replicated world state.
+ *
+ * @author: Brett Fattori (brettf@renderengine.com)
+ * @author: $Author: bfattori $
+ * @version: $Revision: 1555 $
+ *
+ * Copyright (c) 2011 Brett Fattori (brettf@renderengine.com)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE
+ */
+
+// The class this file defines and its required classes
+R.Engine.define({
+   "class": "R.util.Snapshot",
+   "requires": []
+});
+
+/**
+ * @class A static class which compresses the state of a networked world, so that only what
+ *        has changed is sent across the network.  The state of the world is an object whose
+ *        keys are the identifiers of the objects in the world, and whose values are simple
+ *        objects of each object's properties:
+ * <pre>
+ *    var base = { "1": { x: 10, y: 20 }, "2": { x: 0, y: 0 } },
+ *        current = { "1": { x: 12, y: 20 }, "3": { x: 5, y: 5 } };
+ *
+ *    var delta = R.util.Snapshot.diff(base, current);
+ *    // delta is { u: { "1": { x: 12 }, "3": { x: 5, y: 5 } }, r: ["2"] }
+ *
+ *    R.util.Snapshot.apply(base, delta);    // The same as current
+ * </pre>
+ *        Property values must be numbers, strings, booleans, or arrays and objects of them,
+ *        so that they can be sent as JSON.
+ *        <p/>
+ *        Game objects declare which of their {@link R.engine.PooledObject#getProperties properties}
+ *        are replicated by implementing <tt>getReplicatedProperties()</tt>.  It returns an array of
+ *        declarations, each with the <tt>name</tt> of the property, an optional <tt>precision</tt>
+ *        that numbers are rounded to (see {@link #quantize}), and whether the property is
+ *        <tt>reliable</tt>.  Reliable properties, the default, are sent until the receiver has
+ *        acknowledged them.  Unreliable properties are only sent when they change, which suits
+ *        properties like the position, which change often and are soon sent again anyway.
+ * <pre>
+ *    getReplicatedProperties: function() {
+ *       return [
+ *          { name: "Position", precision: 10, reliable: false },
+ *          { name: "Rotation", precision: 1, reliable: false },
+ *          { name: "Sprite" }
+ *       ];
+ *    }
+ * </pre>
+ *        The state of a game object is read with {@link #readObject}, and written with {@link #writeObject}.
+ *        The properties are keyed by their position in the declarations, to keep the state compact,
+ *        and the class of the object is kept as <tt>c</tt> so the receiver can create it.
+ *
+ * @static
+ */
+R.util.Snapshot = Base.extend(/** @scope R.util.Snapshot.prototype */{
+
+   /** @private */
+   constructor: null,
+
+   /**
+    * Get the changes between two world states.  Objects which are new in the current
+    * state are included in full, objects whose properties changed include only those
+    * properties, and objects which no longer exist are listed as removed.
+    *
+    * @param base {Object} The state the receiver already has.  An empty object sends
+    *    the entire current state.
+    * @param current {Object} The current state
+    * @param [recent] {Object} The state which was sent most recently.  Unreliable properties
+    *    are compared against it, rather than the base, so they are only sent when they change.
+    * @param [unreliable] {Object} The unreliable properties, as an object keyed by the identifiers
+    *    of objects, whose values are objects with a <code>true</code> value for each unreliable property
+    * @return {Object} The delta, with the updated objects as <tt>u</tt> and the identifiers
+    *    of the removed objects as <tt>r</tt>.  Either may be missing if there's nothing in it.
+    * @memberOf R.util.Snapshot
+    */
+   diff: function(base, current, recent, unreliable) {
+      var delta = {}, updated = null, removed = null, id, p, changes, from, to, skip, last;
+
+      for (id in current) {
+         from = base[id];
+         to = current[id];
+         if (!from) {
+            changes = to;
+         } else {
+            changes = null;
+            skip = unreliable && recent && recent[id] ? unreliable[id] : null;
+            last = skip ? recent[id] : null;
+            for (p in to) {
+               if (!R.util.Snapshot.equals(skip && skip[p] ? last[p] : from[p], to[p])) {
+                  changes = changes || {};
+                  changes[p] = to[p];
+               }
+            }
+         }
+
+         if (changes) {
+            updated = updated || {};
+            updated[id] = changes;
+         }
+      }
+
+      for (id in base) {
+         if (!current[id]) {
+            removed = removed || [];
+            removed.push(id);
+         }
+      }
+
+      if (updated) {
+         delta.u = updated;
+      }
+      if (removed) {
+         delta.r = removed;
+      }
+      return delta;
+   },
+
+   /**
+    * Apply a delta, created by {@link #diff}, to a world state.  The base state is
+    * not modified.
+    *
+    * @param base {Object} The state the delta was created from
+    * @param delta {Object} The delta
+    * @return {Object} The new state
+    * @memberOf R.util.Snapshot
+    */
+   apply: function(base, delta) {
+      var state = {}, id, p, r;
+
+      for (id in base) {
+         state[id] = base[id];
+      }
+
+      if (delta.r) {
+         for (r = 0; r < delta.r.length; r++) {
+            delete state[delta.r[r]];
+         }
+      }
+
+      if (delta.u) {
+         for (id in delta.u) {
+            // Copy the object before changing it, since the base state may still be needed
+            var obj = {}, from = state[id];
+            for (p in from) {
+               obj[p] = from[p];
+            }
+            for (p in delta.u[id]) {
+               obj[p] = delta.u[id][p];
+            }
+            state[id] = obj;
+         }
+      }
+
+      return state;
+   },
+
+   /**
+    * Copy the properties of an object, rounding numbers to the precision.  Rounding the
+    * state before it's sent keeps it small, and keeps tiny changes from being sent.
+    *
+    * @param obj {Object} The object to copy
+    * @param [precision=100] {Number} Numbers are rounded to <tt>1 / precision</tt>
+    * @return {Object} The copy
+    * @memberOf R.util.Snapshot
+    */
+   quantize: function(obj, precision) {
+      precision = precision || 100;
+      var copy = {};
+      for (var p in obj) {
+         copy[p] = R.isNumber(obj[p]) ? Math.round(obj[p] * precision) / precision : obj[p];
+      }
+      return copy;
+   },
+
+   /**
+    * Copy a world state, including the properties of each object.
+    *
+    * @param state {Object} The world state
+    * @return {Object}
+    * @memberOf R.util.Snapshot
+    */
+   copy: function(state) {
+      var copy = {};
+      for (var id in state) {
+         copy[id] = $.extend({}, state[id]);
+      }
+      return copy;
+   },
+
+   /**
+    * Get the replicated property declarations of a game object.  The declarations are
+    * read once for each class.
+    *
+    * @param obj {R.engine.PooledObject} The object
+    * @return {Array} The declarations
+    * @memberOf R.util.Snapshot
+    */
+   getDeclarations: function(obj) {
+      var className = obj.constructor.getClassName(), decls = R.util.Snapshot.declarations[className];
+      if (!decls) {
+         Assert(obj.getReplicatedProperties, className + " doesn't declare replicated properties");
+         decls = R.util.Snapshot.declarations[className] = obj.getReplicatedProperties();
+      }
+      return decls;
+   },
+
+   /**
+    * Get the keys of the unreliable properties in the state of a game object.
+    *
+    * @param obj {R.engine.PooledObject} The object
+    * @return {Object} An object with a <code>true</code> value for each unreliable key
+    * @memberOf R.util.Snapshot
+    */
+   getUnreliable: function(obj) {
+      var decls = R.util.Snapshot.getDeclarations(obj), unreliable = {};
+      for (var d = 0; d < decls.length; d++) {
+         if (decls[d].reliable === false) {
+            unreliable[d] = true;
+         }
+      }
+      return unreliable;
+   },
+
+   /**
+    * Read the replicated properties of a game object with the getters from its
+    * {@link R.engine.PooledObject#getProperties} table.  Numbers, and strings of numbers
+    * separated by commas such as positions, are rounded to the precision of the declaration.
+    * Strings of numbers are read as arrays.
+    *
+    * @param obj {R.engine.PooledObject} The object
+    * @return {Object} The state of the object
+    * @memberOf R.util.Snapshot
+    */
+   readObject: function(obj) {
+      var decls = R.util.Snapshot.getDeclarations(obj), props = obj.getProperties(),
+          state = { c: obj.constructor.getClassName() }, d, value, precision, i;
+
+      for (d = 0; d < decls.length; d++) {
+         Assert(props[decls[d].name], obj.constructor.getClassName() + " has no property named " + decls[d].name);
+         value = props[decls[d].name][0]();
+         precision = decls[d].precision || 100;
+
+         if (R.isString(value) && R.util.Snapshot.NUMBERS.test(value)) {
+            value = value.split(",");
+            for (i = 0; i < value.length; i++) {
+               value[i] = Math.round(parseFloat(value[i]) * precision) / precision;
+            }
+         } else if (R.isNumber(value)) {
+            value = Math.round(value * precision) / precision;
+         }
+         state[d] = value;
+      }
+      return state;
+   },
+
+   /**
+    * Write the replicated properties of a game object with the setters from its
+    * {@link R.engine.PooledObject#getProperties} table.  Arrays are joined back into strings
+    * separated by commas.  Properties are only set if they are different from the previous
+    * state which was written.
+    *
+    * @param obj {R.engine.PooledObject} The object
+    * @param state {Object} The state to write
+    * @param [previous] {Object} The state which was last written to the object
+    * @memberOf R.util.Snapshot
+    */
+   writeObject: function(obj, state, previous) {
+      var decls = R.util.Snapshot.getDeclarations(obj), props = obj.getProperties(), d, value;
+      for (d = 0; d < decls.length; d++) {
+         value = state[d];
+         if (value === undefined || !props[decls[d].name][1] ||
+             (previous && R.util.Snapshot.equals(previous[d], value))) {
+            continue;
+         }
+         props[decls[d].name][1](R.isArray(value) ? value.join(",") : value);
+      }
+   },
+
+   /**
+    * The declarations of each class, by class name
+    * @private
+    * @memberOf R.util.Snapshot
+    */
+   declarations: {},
+
+   /**
+    * Matches strings of numbers separated by commas
+    * @private
+    * @memberOf R.util.Snapshot
+    */
+   NUMBERS: /^\s*-?[\d.]+(\s*,\s*-?[\d.]+)*\s*$/,
+
+   /**
+    * Compare two property values
+    * @private
+    * @memberOf R.util.Snapshot
+    */
+   equals: function(a, b) {
+      if (a === b) {
+         return true;
+      }
+      if (a && b && typeof a === "object" && typeof b === "object") {
+         return JSON.stringify(a) === JSON.stringify(b);
+      }
+      return false;
+   }
+
+});
@@ -0,0 +1,32 @@
+/**
+ * Load classes through the Linker before the specs which use them run.  Call this
+ * from a <tt>beforeEach()</tt> block, with the names of the classes the specs need.
+ * The engine is started if it isn't running, since classes are only loaded while
+ * it is.
+ *
+ * @param classNames {Array} The names of the classes to load
+ */
+function requireClasses(classNames) {
+   var resolved = function() {
+      for (var c = 0; c < classNames.length; c++) {
+         if (!R.engine.Linker.resolvedClasses[classNames[c]]) {
+            return false;
+         }
+      }
+      return true;
+   };
+
+   runs(function() {
+      if (!R.Engine.started) {
+         R.Engine.startup();
+      }
+
+      for (var c = 0; c < classNames.length; c++) {
+         if (!R.engine.Linker.resolvedClasses[classNames[c]] && !R.engine.Linker.classDefinitions[classNames[c]]) {
+            R.engine.Linker._doLoad(classNames[c]);
+         }
+      }
+   });
+
+   waitsFor(resolved, "classes to load: " + classNames.join(", "), 5000);
+}
@@ -0,0 +1,173 @@
+describe("AStar", function() {
+   var grid, P;
+
+   beforeEach(function() {
+      requireClasses(["R.ai.NavGrid", "R.ai.AStar", "R.math.Point2D", "R.math.Rectangle2D"]);
+
+      runs(function() {
+         P = R.math.Point2D;
+
+         // A wall down column 5 with a gap in the bottom row
+         grid = R.ai.NavGrid.create(10, 10, 32, 32);
+         for (var y = 0; y < 9; y++) {
+            grid.setBlocked(5, y);
+         }
+      });
+   });
+
+   afterEach(function() {
+      grid.destroy();
+   });
+
+   var find = function(sx, sy, gx, gy, diagonal, smooth) {
+      var start = P.create(sx, sy), goal = P.create(gx, gy),
+          path = R.ai.AStar.findPath(grid, start, goal, diagonal, smooth);
+      start.destroy();
+      goal.destroy();
+      return path;
+   };
+
+   var contains = function(path, x, y) {
+      for (var i = 0; i < path.length; i++) {
+         if (path[i].x == x && path[i].y == y) {
+            return true;
+         }
+      }
+      return false;
+   };
+
+   it("should find a path around a wall", function() {
+      var path = find(0, 0, 9, 0);
+      expect(path[0].x).toBe(0);
+      expect(path[0].y).toBe(0);
+      expect(path[path.length - 1].x).toBe(9);
+      expect(path[path.length - 1].y).toBe(0);
+      expect(contains(path, 5, 9)).toBeTruthy();
+
+      for (var i = 0; i < path.length; i++) {
+         expect(grid.isWalkable(path[i].x, path[i].y)).toBeTruthy();
+         if (i > 0) {
+            expect(Math.abs(path[i].x - path[i - 1].x) <= 1 && Math.abs(path[i].y - path[i - 1].y) <= 1).toBeTruthy();
+         }
+      }
+      R.ai.AStar.destroyPath(path);
+   });
+
+   it("should only move along the axes when diagonals are off", function() {
+      var path = find(0, 0, 9, 0, false), diagonalPath = find(0, 0, 9, 0);
+      for (var i = 1; i < path.length; i++) {
+         expect(Math.abs(path[i].x - path[i - 1].x) + Math.abs(path[i].y - path[i - 1].y)).toBe(1);
+      }
+      expect(path.length).toBe(28);
+      expect(diagonalPath.length < path.length).toBeTruthy();
+      R.ai.AStar.destroyPath(path);
+      R.ai.AStar.destroyPath(diagonalPath);
+   });
+
+   it("should avoid costly cells", function() {
+      grid.setBlocked(5, 9, false);
+      grid.setCost(2, 9, 10);
+      var path = find(0, 9, 4, 9, false);
+      expect(path[path.length - 1].x).toBe(4);
+      expect(contains(path, 2, 9)).toBeFalsy();
+      R.ai.AStar.destroyPath(path);
+   });
+
+   it("should return null when the goal can't be reached", function() {
+      grid.setBlocked(5, 9);
+      expect(find(0, 0, 9, 0)).toBeNull();
+      expect(find(0, 0, 5, 0)).toBeNull();
+   });
+
+   it("should keep a line of sight between the points of a smoothed path", function() {
+      var path = find(0, 0, 9, 0, true, true), full = find(0, 0, 9, 0);
+      expect(path.length < full.length).toBeTruthy();
+      expect(path[path.length - 1].x).toBe(9);
+      for (var i = 1; i < path.length; i++) {
+         expect(grid.hasLineOfSight(path[i - 1].x, path[i - 1].y, path[i].x, path[i].y)).toBeTruthy();
+      }
+      R.ai.AStar.destroyPath(path);
+      R.ai.AStar.destroyPath(full);
+   });
+
+   it("should end a world path at the destination", function() {
+      var from = P.create(5, 5), to = P.create(300, 10),
+          path = R.ai.AStar.findWorldPath(grid, from, to);
+      expect(path[path.length - 1].equals(to)).toBeTruthy();
+      for (var i = 0; i < path.length - 1; i++) {
+         expect((path[i].x - 16) % 32).toBe(0);
+         expect((path[i].y - 16) % 32).toBe(0);
+      }
+      expect(path[0].x > 16 || path[0].y > 16).toBeTruthy();
+      R.ai.AStar.destroyPath(path);
+      from.destroy();
+      to.destroy();
+   });
+});
+
+describe("FlowField", function() {
+   var grid, field, P;
+
+   beforeEach(function() {
+      requireClasses(["R.ai.NavGrid", "R.ai.FlowField", "R.math.Point2D", "R.math.Rectangle2D"]);
+
+      runs(function() {
+         P = R.math.Point2D;
+         grid = R.ai.NavGrid.create(10, 10, 32, 32);
+         for (var y = 0; y < 9; y++) {
+            grid.setBlocked(5, y);
+         }
+
+         field = R.ai.FlowField.create(grid);
+         var goal = P.create(9, 0);
+         field.setGoal(goal);
+         goal.destroy();
+      });
+   });
+
+   afterEach(function() {
+      field.destroy();
+      grid.destroy();
+   });
+
+   it("should have no distance or direction at the goal", function() {
+      expect(field.isGoal(9, 0)).toBeTruthy();
+      expect(field.getDistance(9, 0)).toBe(0);
+      var dir = field.getDirection(9, 0);
+      expect(dir.x).toBe(0);
+      expect(dir.y).toBe(0);
+      dir.destroy();
+   });
+
+   it("should grow the distance away from the goal", function() {
+      expect(field.getDistance(9, 1)).toBe(1);
+      expect(field.getDistance(0, 0) > field.getDistance(4, 9)).toBeTruthy();
+      expect(field.getDistance(4, 9) > field.getDistance(6, 9)).toBeTruthy();
+   });
+
+   it("should point around the wall toward the goal", function() {
+      var dir = field.getDirection(4, 9);
+      expect(dir.x).toBe(1);
+      expect(dir.y).toBe(0);
+      dir.destroy();
+
+      dir = field.getDirection(9, 1);
+      expect(dir.x).toBe(0);
+      expect(dir.y).toBe(-1);
+      dir.destroy();
+   });
+
+   it("should not reach cells cut off from the goal", function() {
+      grid.setBlocked(5, 9);
+      var goal = P.create(9, 0);
+      field.setGoal(goal);
+      goal.destroy();
+
+      expect(field.isReachable(0, 0)).toBeFalsy();
+      expect(field.getDistance(0, 0)).toBe(Infinity);
+      var dir = field.getDirection(0, 0);
+      expect(dir.x).toBe(0);
+      expect(dir.y).toBe(0);
+      dir.destroy();
+   });
+});
@@ -2,4 +2,373 @@ describe("Collision Package", function() {
    it("should fail", function() {
       expects(false).toBeTruthy();
    });
-});
\ No newline at end of file
+});
+
+describe("SpatialGrid", function() {
+   var grid, near, far, point;
+
+   beforeEach(function() {
+      requireClasses(["R.collision.broadphase.SpatialGrid", "R.engine.BaseObject", "R.math.Point2D"]);
+
+      runs(function() {
+         grid = R.collision.broadphase.SpatialGrid.create(100, 100, 5);
+         point = R.math.Point2D.create(50, 50);
+
+         // Objects at a distance of 5 and 15 from the point
+         near = R.engine.BaseObject.create("near");
+         near.position = R.math.Point2D.create(55, 50);
+         far = R.engine.BaseObject.create("far");
+         far.position = R.math.Point2D.create(50, 65);
+
+         near.getPosition = far.getPosition = function() {
+            return this.position;
+         };
+
+         grid.addObject(near, near.getPosition());
+         grid.addObject(far, far.getPosition());
+      });
+   });
+
+   afterEach(function() {
+      near.position.destroy();
+      far.position.destroy();
+      near.destroy();
+      far.destroy();
+      point.destroy();
+      grid.destroy();
+   });
+
+   it("should find objects within the radius with queryNear()", function() {
+      var found = grid.queryNear(point, 10);
+      expect(found.size()).toBe(1);
+      expect(found.get(0)).toBe(near);
+      expect(grid.queryNear(point, 20).size()).toBe(2);
+   });
+
+   it("should not find objects outside the radius with queryNear()", function() {
+      expect(grid.queryNear(point, 4).size()).toBe(0);
+   });
+});
+
+describe("Convex sweep", function() {
+   var ctx, objects, P, V, Convex;
+
+   beforeEach(function() {
+      requireClasses(["R.objects.Object2D", "R.components.collision.Convex", "R.collision.CircleHull",
+         "R.collision.OBBHull", "R.collision.broadphase.SpatialGrid", "R.math.Rectangle2D"]);
+
+      runs(function() {
+         ctx = R.Engine.getDefaultContext();
+         P = R.math.Point2D;
+         V = R.math.Vector2D;
+         Convex = R.components.collision.Convex;
+         objects = [];
+      });
+   });
+
+   afterEach(function() {
+      for (var i = 0; i < objects.length; i++) {
+         objects[i].destroy();
+      }
+   });
+
+   var makeObject = function(name, x, y, w, h, circle) {
+      var obj = R.objects.Object2D.create(name);
+      obj.setBoundingBox(R.math.Rectangle2D.create(0, 0, w, h));
+      obj.setCollisionHull(circle ? R.collision.CircleHull.create(P.create(w / 2, h / 2), w / 2) :
+            R.collision.OBBHull.create(R.math.Rectangle2D.create(0, 0, w, h)));
+      obj.setPosition(P.create(x, y));
+      ctx.add(obj);
+      objects.push(obj);
+      return obj;
+   };
+
+   var sweep = function(obj, mx, my, target) {
+      var motion = V.create(mx, my), data = Convex.sweep(obj.getCollisionHull(), motion,
+            target.getCollisionHull(), 0, 16);
+      motion.destroy();
+      return data;
+   };
+
+   it("should catch a circle passing through a thin wall", function() {
+      var wall = makeObject("wall", 200, 0, 4, 400), ball = makeObject("ball", 400, 100, 10, 10, true),
+          data = sweep(ball, 400, 0, wall);
+
+      expect(data).not.toBeNull();
+      expect(data.timeOfImpact).toBeCloseTo(0.475, 3);
+      expect(data.unitVector.x).toBeCloseTo(1, 5);
+      expect(data.unitVector.y).toBeCloseTo(0, 5);
+      expect(data.contactPoint.x).toBeCloseTo(200, 3);
+      expect(data.contactPoint.y).toBeCloseTo(105, 3);
+      expect(data.impulseVector.x).toBeCloseTo(-210, 3);
+      data.destroy();
+   });
+
+   it("should catch a polygon passing through a thin wall", function() {
+      var wall = makeObject("wall", 200, 0, 4, 400), box = makeObject("box", 400, 200, 10, 10),
+          data = sweep(box, 400, 0, wall);
+
+      expect(data).not.toBeNull();
+      expect(data.timeOfImpact).toBeCloseTo(0.475, 3);
+      expect(data.unitVector.x).toBeCloseTo(1, 5);
+      expect(data.contactPoint.x).toBeCloseTo(200, 3);
+      data.destroy();
+   });
+
+   it("should find when two circles first touch", function() {
+      var ball = makeObject("ball", 300, 300, 10, 10, true), other = makeObject("other", 205, 300, 20, 20, true),
+          data = sweep(ball, 300, 0, other);
+
+      expect(data).not.toBeNull();
+      expect(data.timeOfImpact > 0 && data.timeOfImpact < 1).toBeTruthy();
+      expect(data.unitVector.x > 0).toBeTruthy();
+
+      // The centers are the sum of the radii apart at the time of impact
+      var back = 300 * (1 - data.timeOfImpact), dx = 305 - back - 215, dy = 305 - 310;
+      expect(Math.sqrt(dx * dx + dy * dy)).toBeCloseTo(15, 3);
+      data.destroy();
+   });
+
+   it("should return null when the path misses", function() {
+      var wall = makeObject("wall", 200, 0, 4, 400), ball = makeObject("ball", 400, -100, 10, 10, true),
+          box = makeObject("box", 400, 410, 10, 10);
+
+      expect(sweep(ball, 400, 0, wall)).toBeNull();
+      expect(sweep(box, 400, 0, wall)).toBeNull();
+   });
+
+   it("should stop a fast object at the time of impact in a collider", function() {
+      var model = R.collision.broadphase.SpatialGrid.create(1000, 1000, 10),
+          wall = makeObject("wall", 200, 0, 4, 400), bullet = makeObject("bullet", 0, 50, 6, 6, true),
+          hit = null;
+
+      bullet.onCollide = function(obj) {
+         hit = obj;
+         return R.components.Collider.STOP;
+      };
+
+      var collider = Convex.create("collider", model);
+      bullet.add(collider);
+      collider.setCollideSame(true);
+      collider.setContinuous(true);
+      collider.setResolveAtImpact(true);
+
+      var wallCollider = Convex.create("collider", model);
+      wall.add(wallCollider);
+      wallCollider.updateModel();
+
+      // The bullet moves 150 pixels a frame, so it passes the wall between frames
+      for (var frame = 0; frame < 4 && !hit; frame++) {
+         collider.execute(ctx, frame * 16, 16);
+         if (!hit) {
+            bullet.setPosition(P.create(bullet.getPosition().x + 150, 50));
+         }
+      }
+
+      expect(hit).toBe(wall);
+      expect(bullet.getPosition().x).toBeCloseTo(194, 3);
+      expect(collider.getCollisionData().timeOfImpact).toBeCloseTo(0.293, 3);
+
+      bullet.remove(collider);
+      wall.remove(wallCollider);
+      collider.destroy();
+      wallCollider.destroy();
+      model.destroy();
+   });
+});
+
+describe("Ray casting", function() {
+   var model, objects, P, V;
+
+   beforeEach(function() {
+      requireClasses(["R.objects.Object2D", "R.collision.CircleHull", "R.collision.OBBHull",
+         "R.collision.broadphase.SpatialGrid", "R.struct.RayInfo", "R.math.Rectangle2D"]);
+
+      runs(function() {
+         P = R.math.Point2D;
+         V = R.math.Vector2D;
+         model = R.collision.broadphase.SpatialGrid.create(1000, 1000, 10);
+         objects = [];
+
+         var make = function(name, x, y, w, h, circle) {
+            var obj = R.objects.Object2D.create(name);
+            obj.setBoundingBox(R.math.Rectangle2D.create(0, 0, w, h));
+            obj.setCollisionHull(circle ? R.collision.CircleHull.create(P.create(w / 2, h / 2), w / 2) :
+                  R.collision.OBBHull.create(R.math.Rectangle2D.create(0, 0, w, h)));
+            obj.setPosition(P.create(x, y));
+            R.Engine.getDefaultContext().add(obj);
+            model.addObject(obj, obj.getPosition());
+            objects.push(obj);
+         };
+
+         make("wall", 300, 0, 4, 400);
+         make("ball", 150, 90, 20, 20, true);
+         make("box", 500, 80, 40, 40);
+      });
+   });
+
+   afterEach(function() {
+      for (var i = 0; i < objects.length; i++) {
+         model.removeObject(objects[i]);
+         objects[i].destroy();
+      }
+      model.destroy();
+   });
+
+   var cast = function(all, filter) {
+      var rayInfo = R.struct.RayInfo.create(P.create(0, 100), V.create(1000, 0), all);
+      model.castRay(rayInfo, filter);
+      return rayInfo;
+   };
+
+   it("should report the nearest hit on the hull", function() {
+      var rayInfo = cast();
+      expect(rayInfo.shape.getName()).toBe("ball");
+      expect(rayInfo.impactPoint.x).toBeCloseTo(150, 5);
+      expect(rayInfo.distance).toBeCloseTo(150, 5);
+      expect(rayInfo.normal.x).toBeCloseTo(-1, 5);
+      rayInfo.destroy();
+   });
+
+   it("should collect every hit in order", function() {
+      var rayInfo = cast(true), names = [];
+      for (var i = 0; i < rayInfo.hits.length; i++) {
+         names.push(rayInfo.hits[i].shape.getName());
+      }
+      expect(names).toEqual(["ball", "wall", "box"]);
+      expect(rayInfo.shape.getName()).toBe("ball");
+      rayInfo.destroy();
+   });
+
+   it("should skip objects rejected by the filter", function() {
+      var rayInfo = cast(false, function(obj) {
+         return obj.getName() == "box";
+      });
+      expect(rayInfo.shape.getName()).toBe("box");
+      expect(rayInfo.impactPoint.x).toBeCloseTo(500, 5);
+      rayInfo.destroy();
+   });
+
+   it("should return null when nothing is hit", function() {
+      var start = P.create(0, 500), dir = V.create(200, 0);
+      expect(model.castRay(start, dir)).toBeNull();
+      start.destroy();
+      dir.destroy();
+   });
+});
+
+describe("CollisionLayers", function() {
+   var CL;
+
+   beforeEach(function() {
+      requireClasses(["R.collision.CollisionLayers", "R.objects.Object2D", "R.components.collision.Convex",
+         "R.collision.OBBHull", "R.collision.broadphase.SpatialGrid", "R.physics.Simulation", "R.math.Rectangle2D"]);
+
+      runs(function() {
+         CL = R.collision.CollisionLayers;
+         CL.reset();
+         CL.configure({
+            layers: ["player", "enemy", { name: "pickup", sensor: true }],
+            ignore: [["enemy", "enemy"]]
+         });
+      });
+   });
+
+   afterEach(function() {
+      CL.reset();
+   });
+
+   it("should give each layer its own bit after the default layer", function() {
+      expect(CL.getBit(CL.DEFAULT)).toBe(1);
+      expect(CL.getBit("player")).toBe(2);
+      expect(CL.getBit("enemy")).toBe(4);
+      expect(CL.getBit("pickup")).toBe(8);
+      expect(CL.isRegistered("pickup")).toBeTruthy();
+      expect(CL.isRegistered("boss")).toBeFalsy();
+   });
+
+   it("should remove ignored pairs from the masks", function() {
+      expect(CL.getMask("player")).toBe(15);
+      expect(CL.getMask("enemy")).toBe(11);
+      expect(CL.interacts("enemy", "enemy")).toBeFalsy();
+      expect(CL.interacts("enemy", "player")).toBeTruthy();
+
+      CL.setInteraction("enemy", "enemy", true);
+      expect(CL.interacts("enemy", "enemy")).toBeTruthy();
+      CL.setInteraction("player", "pickup", false);
+      expect(CL.interacts("pickup", "player")).toBeFalsy();
+   });
+
+   it("should report triggers for sensor layers", function() {
+      expect(CL.getInteraction("player", "enemy")).toBe(CL.SOLID);
+      expect(CL.getInteraction("enemy", "enemy")).toBe(CL.NONE);
+      expect(CL.getInteraction("player", "pickup")).toBe(CL.TRIGGER);
+      expect(CL.getInteraction("pickup", "player")).toBe(CL.TRIGGER);
+
+      CL.setSensor("pickup", false);
+      expect(CL.getInteraction("player", "pickup")).toBe(CL.SOLID);
+   });
+
+   it("should leave only the default layer after a reset", function() {
+      CL.reset();
+      expect(CL.isRegistered("player")).toBeFalsy();
+      expect(CL.getBit(CL.DEFAULT)).toBe(1);
+      expect(CL.register("boss")).toBe(2);
+   });
+
+   it("should set the filter of a Box2D fixture", function() {
+      var fixtureDef = new Box2D.Dynamics.b2FixtureDef();
+      CL.applyToFixture(fixtureDef, "pickup");
+      expect(fixtureDef.filter.categoryBits).toBe(8);
+      expect(fixtureDef.filter.maskBits).toBe(15);
+      expect(fixtureDef.isSensor).toBeTruthy();
+
+      CL.applyToFixture(fixtureDef);
+      expect(fixtureDef.filter.categoryBits).toBe(1);
+      expect(fixtureDef.filter.maskBits).toBe(0xFFFF);
+      expect(fixtureDef.isSensor).toBeFalsy();
+   });
+
+   it("should call onCollide or onTrigger from a collider by layer", function() {
+      var model = R.collision.broadphase.SpatialGrid.create(1000, 1000, 10), objects = [], log = [],
+          layers = { player: "player", enemy: "enemy", enemy2: "enemy", pickup: "pickup" };
+
+      var onCollide = function(obj) {
+         log.push(this.getName() + " collide " + obj.getName());
+         return R.components.Collider.CONTINUE;
+      };
+
+      // All four objects overlap each other
+      for (var name in layers) {
+         var obj = R.objects.Object2D.create(name);
+         obj.setBoundingBox(R.math.Rectangle2D.create(0, 0, 10, 10));
+         obj.setCollisionHull(R.collision.OBBHull.create(R.math.Rectangle2D.create(0, 0, 10, 10)));
+         obj.setPosition(R.math.Point2D.create(objects.length * 2, objects.length));
+         obj.onCollide = onCollide;
+         if (name == "player") {
+            obj.onTrigger = function(obj) {
+               log.push(this.getName() + " trigger " + obj.getName());
+               return R.components.Collider.CONTINUE;
+            };
+         }
+         R.Engine.getDefaultContext().add(obj);
+
+         var collider = R.components.collision.Convex.create("collider", model);
+         obj.add(collider);
+         collider.setCollisionLayer(layers[name]);
+         collider.updateModel();
+         objects.push(obj);
+      }
+
+      expect(objects[0].getComponent("collider").getCollisionLayer()).toBe("player");
+      objects[0].getComponent("collider").execute(R.Engine.getDefaultContext(), 0, 16);
+      objects[1].getComponent("collider").execute(R.Engine.getDefaultContext(), 0, 16);
+      expect(log.sort()).toEqual(["enemy collide pickup", "enemy collide player", "player collide enemy",
+         "player collide enemy2", "player trigger pickup"]);
+
+      for (var i = 0; i < objects.length; i++) {
+         objects[i].destroy();
+      }
+      model.destroy();
+   });
+});
@@ -2,4 +2,508 @@ describe("Components Package", function() {
    it("should fail", function() {
       expects(false).toBeTruthy();
    });
-});
\ No newline at end of file
+});
+
+describe("Gamepad", function() {
+   var source, host, gamepad, events;
+
+   beforeEach(function() {
+      requireClasses(["R.components.input.Gamepad", "R.components.input.FakeGamepadSource", "R.engine.GameObject"]);
+
+      runs(function() {
+         source = new R.components.input.FakeGamepadSource();
+         R.components.input.Gamepad.setSource(source);
+
+         events = [];
+         host = R.engine.GameObject.create("GamepadHost");
+         R.engine.Support.forEach(["connect", "disconnect", "buttondown", "buttonup", "axis"], function(type) {
+            host.addEvent(type, function(evt) {
+               events.push([type].concat(Array.prototype.slice.call(arguments, 1)));
+            });
+         });
+
+         gamepad = R.components.input.Gamepad.create("Gamepad");
+         host.add(gamepad);
+      });
+   });
+
+   afterEach(function() {
+      host.destroy();
+      R.components.input.Gamepad.setSource(null);
+   });
+
+   // Read the gamepads, as the component does each frame, and return the events triggered
+   var frame = function() {
+      events = [];
+      gamepad.execute(null, 0, 16);
+      return events;
+   };
+
+   it("should trigger an event when a gamepad is connected", function() {
+      expect(frame()).toEqual([]);
+
+      var pad = source.connect("Test Pad");
+      expect(frame()).toEqual([["connect", pad, "Test Pad"]]);
+      expect(gamepad.isConnected(pad)).toBeTruthy();
+      expect(gamepad.getId(pad)).toBe("Test Pad");
+   });
+
+   it("should trigger events when a button is pressed and released", function() {
+      var A = R.components.input.Gamepad.BUTTON_A, pad = source.connect();
+      frame();
+
+      source.press(pad, A);
+      expect(frame()).toEqual([["buttondown", pad, A, 1]]);
+      expect(gamepad.isButtonDown(pad, A)).toBeTruthy();
+
+      // Holding the button doesn't trigger it again
+      expect(frame()).toEqual([]);
+
+      source.release(pad, A);
+      expect(frame()).toEqual([["buttonup", pad, A, 0]]);
+      expect(gamepad.isButtonDown(pad, A)).toBeFalsy();
+   });
+
+   it("should only press an analog button past the threshold", function() {
+      var RT = R.components.input.Gamepad.BUTTON_RIGHT_TRIGGER, pad = source.connect();
+      frame();
+
+      source.press(pad, RT, 0.3);
+      expect(frame()).toEqual([]);
+      source.press(pad, RT, 0.7);
+      expect(frame()).toEqual([["buttondown", pad, RT, 0.7]]);
+   });
+
+   it("should ignore stick movement within the dead zone", function() {
+      var G = R.components.input.Gamepad, pad = source.connect();
+      frame();
+
+      source.setAxis(pad, G.AXIS_LEFT_X, 0.1);
+      source.setAxis(pad, G.AXIS_LEFT_Y, 0.1);
+      expect(frame()).toEqual([]);
+      expect(gamepad.getAxis(pad, G.AXIS_LEFT_X)).toBe(0);
+
+      // Outside the dead zone, the value is rescaled from the edge of the dead zone
+      source.setAxis(pad, G.AXIS_LEFT_Y, 0);
+      source.setAxis(pad, G.AXIS_LEFT_X, 0.6);
+      frame();
+      expect(gamepad.getAxis(pad, G.AXIS_LEFT_X)).toBeCloseTo(0.5, 5);
+
+      source.setAxis(pad, G.AXIS_LEFT_X, 1);
+      expect(frame()).toEqual([["axis", pad, G.AXIS_LEFT_X, 1]]);
+   });
+
+   it("should release held buttons when a gamepad is disconnected", function() {
+      var A = R.components.input.Gamepad.BUTTON_A, pad = source.connect();
+      source.press(pad, A);
+      frame();
+
+      source.disconnect(pad);
+      expect(frame()).toEqual([["buttonup", pad, A, 0], ["disconnect", pad]]);
+      expect(gamepad.isConnected(pad)).toBeFalsy();
+      expect(gamepad.getConnected()).toEqual([]);
+   });
+});
+
+
+describe("Tween", function() {
+   var host, tween, target;
+
+   beforeEach(function() {
+      requireClasses(["R.components.logic.Tween", "R.engine.GameObject"]);
+
+      runs(function() {
+         host = R.engine.GameObject.create("TweenHost");
+         tween = R.components.logic.Tween.create("Tween");
+         host.add(tween);
+
+         // A property is a getter and setter pair
+         target = {
+            value: 0,
+            getValue: function() { return this.value; },
+            setValue: function(value) { this.value = value; }
+         };
+      });
+   });
+
+   afterEach(function() {
+      host.destroy();
+   });
+
+   // Advance the tween by the given number of milliseconds
+   var advance = function(ms) {
+      tween.execute(null, 0, ms);
+   };
+
+   it("should animate a property over the duration", function() {
+      tween.to({ "Value": 100 }, 1000, "linear", target).play();
+      advance(250);
+      expect(target.value).toBeCloseTo(25, 5);
+      advance(500);
+      expect(target.value).toBeCloseTo(75, 5);
+      advance(500);
+      expect(target.value).toBe(100);
+      expect(tween.isPlaying()).toBeFalsy();
+   });
+
+   it("should apply the easing curve", function() {
+      tween.to({ "Value": 100 }, 1000, "quadIn", target).play();
+      advance(500);
+      expect(target.value).toBeCloseTo(25, 5);
+   });
+
+   it("should run the steps in order, starting each from where the last ended", function() {
+      tween.to({ "Value": 100 }, 100, "linear", target)
+           .wait(100)
+           .to({ "Value": 0 }, 100, "linear", target)
+           .play();
+      expect(tween.getDuration()).toBe(300);
+
+      advance(150);
+      expect(target.value).toBe(100);
+      advance(100);
+      expect(target.value).toBeCloseTo(50, 5);
+   });
+
+   it("should wait out the delay before starting", function() {
+      tween.to({ "Value": 100 }, 100, "linear", target).setDelay(100).play();
+      advance(50);
+      expect(target.value).toBe(0);
+      advance(100);
+      expect(target.value).toBeCloseTo(50, 5);
+   });
+
+   it("should play backward on alternate repeats when it yoyos", function() {
+      var repeats = 0, completed = 0;
+      host.addEvent("tweenrepeat", function() { repeats++; });
+      host.addEvent("tweencomplete", function() { completed++; });
+
+      tween.to({ "Value": 100 }, 100, "linear", target).setRepeat(1).setYoyo(true).play();
+      advance(125);
+      expect(repeats).toBe(1);
+      expect(target.value).toBeCloseTo(75, 5);
+      advance(100);
+      expect(target.value).toBe(0);
+      expect(completed).toBe(1);
+   });
+});
+
+
+describe("InputMap", function() {
+   var host, input, renderContext, mouse, events;
+
+   beforeEach(function() {
+      requireClasses(["R.components.input.InputMap", "R.engine.GameObject"]);
+
+      runs(function() {
+         events = [];
+         host = R.engine.GameObject.create("InputHost");
+         host.addEvent("actionpressed", function(evt, action) { events.push("+" + action); });
+         host.addEvent("actionreleased", function(evt, action) { events.push("-" + action); });
+
+         input = R.components.input.InputMap.create("input");
+         input.addAction("jump", ["key:SPACE", "key:W"]);
+         input.addAction("fire", ["key:X", "mouse:left"]);
+         input.addAxis("moveX", ["key:LEFT_ARROW"], ["key:RIGHT_ARROW"]);
+         host.add(input);
+
+         // The render context provides the state of the mouse and touches
+         mouse = { button: -1 };
+         renderContext = {
+            getMouseInfo: function() { return mouse; },
+            getTouchInfo: function() { return { button: -1, touches: [] }; }
+         };
+      });
+   });
+
+   afterEach(function() {
+      host.destroy();
+   });
+
+   var frame = function() {
+      input.execute(renderContext, 0, 16);
+   };
+
+   var key = function(type, keyCode) {
+      input.handleKeyEvent(type, keyCode);
+   };
+
+   it("should track when an action is pressed, held and released", function() {
+      key("keydown", R.engine.Events.KEYCODE_SPACE);
+      frame();
+      expect(input.isDown("jump")).toBeTruthy();
+      expect(input.wasPressed("jump")).toBeTruthy();
+
+      frame();
+      expect(input.isDown("jump")).toBeTruthy();
+      expect(input.wasPressed("jump")).toBeFalsy();
+
+      key("keyup", R.engine.Events.KEYCODE_SPACE);
+      frame();
+      expect(input.isDown("jump")).toBeFalsy();
+      expect(input.wasReleased("jump")).toBeTruthy();
+      expect(events).toEqual(["+jump", "-jump"]);
+   });
+
+   it("should report a key tapped between frames as pressed for one frame", function() {
+      key("keydown", 88);
+      key("keyup", 88);
+      frame();
+      expect(input.wasPressed("fire")).toBeTruthy();
+      frame();
+      expect(input.isDown("fire")).toBeFalsy();
+      expect(input.wasReleased("fire")).toBeTruthy();
+   });
+
+   it("should map mouse buttons to actions", function() {
+      mouse.button = R.engine.Events.MOUSE_LEFT_BUTTON;
+      frame();
+      expect(input.isDown("fire")).toBeTruthy();
+   });
+
+   it("should produce an axis value from a pair of actions", function() {
+      key("keydown", R.engine.Events.KEYCODE_RIGHT_ARROW);
+      frame();
+      expect(input.getAxis("moveX")).toBe(1);
+
+      key("keydown", R.engine.Events.KEYCODE_LEFT_ARROW);
+      frame();
+      expect(input.getAxis("moveX")).toBe(0);
+
+      key("keyup", R.engine.Events.KEYCODE_RIGHT_ARROW);
+      frame();
+      expect(input.getAxis("moveX")).toBe(-1);
+   });
+
+   it("should bind the next input when listening for a binding", function() {
+      var bound = null;
+      input.listenForBinding("jump", function(action, binding) {
+         bound = binding;
+      });
+      expect(input.isListening()).toBeTruthy();
+
+      key("keydown", 74);
+      frame();
+      expect(bound).toBe("key:74");
+      expect(input.getBindings("jump")).toEqual(["key:74"]);
+      expect(input.isListening()).toBeFalsy();
+   });
+
+   it("should save, reset and load the bindings", function() {
+      var stored = {}, storage = {
+         save: function(key, value) { stored[key] = JSON.stringify(value); },
+         load: function(key, defaultValue) { return stored[key] ? JSON.parse(stored[key]) : defaultValue; }
+      };
+
+      input.rebind("jump", ["key:J"]);
+      input.saveBindings(storage);
+      input.resetBindings();
+      expect(input.getBindings("jump")).toEqual(["key:SPACE", "key:W"]);
+
+      expect(input.loadBindings(storage)).toBeTruthy();
+      expect(input.getBindings("jump")).toEqual(["key:J"]);
+   });
+});
+
+describe("Fixed timestep", function() {
+   var ctx;
+
+   beforeEach(function() {
+      requireClasses(["R.components.Transform2D", "R.engine.GameObject", "R.rendercontexts.NullContext"]);
+
+      runs(function() {
+         // 20ms steps, with at most 5 steps each frame
+         R.Engine.setFixedTimestep(true, 50);
+         ctx = R.Engine.getDefaultContext();
+         spyOn(ctx, "simulate");
+         spyOn(ctx, "update");
+      });
+   });
+
+   afterEach(function() {
+      R.Engine.setFixedTimestep(false);
+   });
+
+   it("should run a simulation step for each whole step in the frame", function() {
+      var steps = R.Engine.totalSteps;
+      R.Engine.simulateFrame(30);
+      expect(ctx.simulate.callCount).toBe(1);
+      expect(ctx.simulate.mostRecentCall.args[2]).toBe(20);
+      expect(ctx.update.callCount).toBe(1);
+      expect(ctx.update.mostRecentCall.args[2]).toBe(30);
+
+      // The 10ms left over carries into the next frame
+      R.Engine.simulateFrame(30);
+      expect(ctx.simulate.callCount).toBe(3);
+      expect(ctx.update.callCount).toBe(2);
+      expect(R.Engine.totalSteps - steps).toBe(3);
+   });
+
+   it("should advance the simulation time by the step time", function() {
+      var simTime = R.Engine.simTime;
+      R.Engine.simulateFrame(45);
+      expect(ctx.simulate.calls[0].args[1]).toBe(simTime + 20);
+      expect(ctx.simulate.calls[1].args[1]).toBe(simTime + 40);
+   });
+
+   it("should clamp the number of steps in a frame", function() {
+      R.Engine.simulateFrame(1000);
+      expect(ctx.simulate.callCount).toBe(5);
+
+      R.Engine.setFixedTimestep(true, 50, 2);
+      ctx.simulate.reset();
+      R.Engine.simulateFrame(1000);
+      expect(ctx.simulate.callCount).toBe(2);
+      expect(R.Engine.stepAccumulator).toBe(0);
+   });
+
+   it("should set the interpolation alpha from the time left over", function() {
+      R.Engine.simulateFrame(25);
+      expect(R.Engine.getInterpolationAlpha()).toBeCloseTo(0.25);
+      R.Engine.simulateFrame(10);
+      expect(R.Engine.getInterpolationAlpha()).toBeCloseTo(0.75);
+      R.Engine.simulateFrame(5);
+      expect(R.Engine.getInterpolationAlpha()).toBe(0);
+
+      // Without a fixed timestep, the last state is always rendered
+      R.Engine.setFixedTimestep(false);
+      expect(R.Engine.getInterpolationAlpha()).toBe(1);
+   });
+
+   it("should blend the transform between the last two steps", function() {
+      var host = R.engine.GameObject.create("Stepped"), transform = R.components.Transform2D.create("move"),
+          nullCtx = R.rendercontexts.NullContext.create("Steps", 100, 100),
+          renderContext = jasmine.createSpyObj("renderContext", ["setPosition", "setRotation", "setScale"]);
+      host.add(transform);
+      nullCtx.add(host);
+
+      transform.setPosition(10, 20);
+      transform.setRotation(350);
+      transform.storeStepState();
+      transform.setPosition(20, 40);
+      transform.setRotation(10);
+
+      transform.interpolate(renderContext, 0.25);
+      var p = renderContext.setPosition.mostRecentCall.args[0];
+      expect(p.x).toBe(12.5);
+      expect(p.y).toBe(25);
+
+      // The rotation takes the short way around, across zero
+      expect(renderContext.setRotation.mostRecentCall.args[0]).toBe(355);
+
+      transform.interpolate(renderContext, 1);
+      p = renderContext.setPosition.mostRecentCall.args[0];
+      expect(p.x).toBe(20);
+      expect(p.y).toBe(40);
+      expect(renderContext.setRotation.mostRecentCall.args[0] % 360).toBe(10);
+
+      nullCtx.destroy();
+   });
+});
+
+describe("InputRecorder", function() {
+   var host, keyboard, delivered, frame, startFrame;
+
+   beforeEach(function() {
+      requireClasses(["R.engine.InputRecorder", "R.components.input.Keyboard", "R.engine.GameObject"]);
+
+      runs(function() {
+         delivered = [];
+         host = R.engine.GameObject.create("Player");
+         R.engine.Support.forEach(["keydown", "keyup"], function(type) {
+            host.addEvent(type, function(evt, which, keyCode) {
+               delivered.push([frame, type, keyCode]);
+            });
+         });
+
+         keyboard = R.components.input.Keyboard.create("keys");
+         host.add(keyboard);
+
+         // Frames are advanced by hand, so the engine's frame count is put back afterwards
+         startFrame = R.Engine.totalFrames;
+         frame = 0;
+      });
+   });
+
+   afterEach(function() {
+      R.engine.InputRecorder.stop();
+      R.Engine.totalFrames = startFrame;
+      host.destroy();
+   });
+
+   // Advance to a frame, delivering any recorded input as the engine would
+   var toFrame = function(f) {
+      frame = f;
+      R.Engine.totalFrames = startFrame + f;
+      R.Engine.playInput();
+   };
+
+   var key = function(type, keyCode) {
+      keyboard.handleKeyEvent(type, { which: keyCode, keyCode: keyCode, ctrlKey: false, altKey: false, shiftKey: false });
+   };
+
+   var record = function() {
+      R.engine.InputRecorder.startRecording({ level: 1 });
+      toFrame(2);
+      key("keydown", 65);
+      toFrame(5);
+      key("keyup", 65);
+      toFrame(8);
+      return R.engine.InputRecorder.stopRecording();
+   };
+
+   it("should record input with the frame it was delivered in", function() {
+      var replay = record();
+      expect(R.engine.InputRecorder.isRecording()).toBeFalsy();
+      expect(replay.frames).toBe(8);
+      expect(replay.meta.level).toBe(1);
+      expect(replay.events.length).toBe(2);
+      expect(replay.events[0].f).toBe(2);
+      expect(replay.events[0].k).toBe("Player:KEYS");
+      expect(replay.events[0].t).toBe("keydown");
+      expect(replay.events[1].f).toBe(5);
+
+      // Recording doesn't keep the input from the game object
+      expect(delivered).toEqual([[2, "keydown", 65], [5, "keyup", 65]]);
+   });
+
+   it("should play recorded input back on the same frames", function() {
+      var json = JSON.stringify(record()), done = null;
+      delivered = [];
+
+      // Playback is counted from the frame it starts in
+      toFrame(20);
+      R.engine.InputRecorder.play(json, function(replay) {
+         done = frame;
+      });
+      expect(R.engine.InputRecorder.isPlaying()).toBeTruthy();
+
+      for (var f = 21; f <= 30; f++) {
+         toFrame(f);
+      }
+      expect(delivered).toEqual([[22, "keydown", 65], [25, "keyup", 65]]);
+      expect(done).toBe(28);
+      expect(R.engine.InputRecorder.isPlaying()).toBeFalsy();
+   });
+
+   it("should ignore live input while playing back", function() {
+      var replay = record();
+      delivered = [];
+
+      toFrame(0);
+      R.engine.InputRecorder.play(replay);
+      toFrame(1);
+      key("keydown", 66);
+      toFrame(2);
+      key("keyup", 66);
+      expect(delivered).toEqual([[2, "keydown", 65]]);
+
+      // Once playback is done, live input is delivered again
+      for (var f = 3; f <= 8; f++) {
+         toFrame(f);
+      }
+      expect(R.engine.InputRecorder.isPlaying()).toBeFalsy();
+      key("keydown", 66);
+      expect(delivered).toEqual([[2, "keydown", 65], [5, "keyup", 65], [8, "keydown", 66]]);
+   });
+});
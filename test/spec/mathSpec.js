@@ -2,4 +2,215 @@ describe("Math Package", function() {
    it("should fail", function() {
       expects(false).toBeTruthy();
    });
-});
\ No newline at end of file
+});
+
+describe("Random", function() {
+   var rnd;
+
+   beforeEach(function() {
+      requireClasses(["R.math.Random", "R.math.Math2D", "R.math.Rectangle2D"]);
+
+      runs(function() {
+         rnd = R.math.Random.getDefault();
+      });
+   });
+
+   var sequence = function(count) {
+      var seq = [];
+      for (var i = 0; i < count; i++) {
+         seq.push(rnd.random());
+      }
+      return seq;
+   };
+
+   it("should provide an engine-wide generator", function() {
+      expect(rnd instanceof R.math.Random).toBeTruthy();
+      expect(R.math.Random.getDefault()).toBe(rnd);
+   });
+
+   it("should repeat the sequence when seeded twice with the same seed", function() {
+      rnd.seed(1234);
+      var first = sequence(10);
+      rnd.seed(1234);
+      expect(sequence(10)).toEqual(first);
+      expect(rnd.getSeed()).toBe(1234);
+   });
+
+   it("should produce a different sequence from a different seed", function() {
+      rnd.seed(1234);
+      var first = sequence(10);
+      rnd.seed(4321);
+      expect(sequence(10)).not.toEqual(first);
+   });
+
+   it("should continue the sequence from a restored state", function() {
+      rnd.seed(99);
+      sequence(5);
+      var state = rnd.getState(), rest = sequence(5);
+      rnd.setState(state);
+      expect(sequence(5)).toEqual(rest);
+   });
+
+   it("should return numbers within the range", function() {
+      rnd.seed(7);
+      for (var i = 0; i < 100; i++) {
+         var r = rnd.range(5, 10, true);
+         expect(r >= 5 && r < 10 && r == Math.floor(r)).toBeTruthy();
+      }
+   });
+
+   it("should make Math2D.randomPoint() repeatable", function() {
+      var rect = R.math.Rectangle2D.create(0, 0, 100, 100), p1, p2;
+      rnd.seed(42);
+      p1 = R.math.Math2D.randomPoint(rect);
+      rnd.seed(42);
+      p2 = R.math.Math2D.randomPoint(rect);
+      expect(p2.equals(p1)).toBeTruthy();
+      expect(rect.containsPoint(p1)).toBeTruthy();
+
+      p1.destroy();
+      p2.destroy();
+      rect.destroy();
+   });
+});
+
+
+describe("Easing", function() {
+   beforeEach(function() {
+      requireClasses(["R.math.Easing"]);
+   });
+
+   var names = ["linear", "quadIn", "quadOut", "quadInOut", "cubicIn", "cubicOut", "cubicInOut",
+      "quartIn", "quartOut", "quartInOut", "quintIn", "quintOut", "quintInOut", "sineIn", "sineOut",
+      "sineInOut", "expoIn", "expoOut", "expoInOut", "circIn", "circOut", "circInOut", "backIn",
+      "backOut", "backInOut", "elasticIn", "elasticOut", "elasticInOut", "bounceIn", "bounceOut",
+      "bounceInOut"];
+
+   it("should start at 0 and end at 1 for every curve", function() {
+      for (var n = 0; n < names.length; n++) {
+         var fn = R.math.Easing[names[n]];
+         expect(fn(0)).toBeCloseTo(0, 5);
+         expect(fn(1)).toBeCloseTo(1, 5);
+      }
+   });
+
+   it("should mirror the in and out forms", function() {
+      expect(R.math.Easing.quadIn(0.25)).toBeCloseTo(0.0625, 5);
+      expect(R.math.Easing.quadOut(0.75)).toBeCloseTo(1 - R.math.Easing.quadIn(0.25), 5);
+      expect(R.math.Easing.cubicInOut(0.5)).toBeCloseTo(0.5, 5);
+      expect(R.math.Easing.bounceIn(0.3)).toBeCloseTo(1 - R.math.Easing.bounceOut(0.7), 5);
+   });
+
+   it("should overshoot with the back curves", function() {
+      expect(R.math.Easing.backIn(0.2)).toBeLessThan(0);
+      expect(R.math.Easing.backOut(0.8)).toBeGreaterThan(1);
+   });
+
+   it("should look up easing functions by name", function() {
+      var fn = function(t) { return t; };
+      expect(R.math.Easing.get("cubicOut")).toBe(R.math.Easing.cubicOut);
+      expect(R.math.Easing.get(fn)).toBe(fn);
+      expect(R.math.Easing.get()).toBe(R.math.Easing.linear);
+   });
+});
+
+describe("Math2D rays", function() {
+   var P, V, M, start, dir, normal;
+
+   beforeEach(function() {
+      requireClasses(["R.math.Math2D", "R.math.Rectangle2D", "R.math.Point2D", "R.math.Vector2D"]);
+
+      runs(function() {
+         P = R.math.Point2D;
+         V = R.math.Vector2D;
+         M = R.math.Math2D;
+         start = P.create(0, 5);
+         dir = V.create(100, 0);
+         normal = V.create(0, 0);
+      });
+   });
+
+   afterEach(function() {
+      start.destroy();
+      dir.destroy();
+      normal.destroy();
+   });
+
+   it("should intersect a box from either side", function() {
+      var rect = R.math.Rectangle2D.create(50, 0, 10, 10);
+      expect(M.rayBox(start, dir, rect, normal)).toBeCloseTo(0.5, 5);
+      expect(normal.x).toBe(-1);
+      expect(normal.y).toBe(0);
+
+      start.set(100, 5);
+      dir.set(-100, 0);
+      expect(M.rayBox(start, dir, rect, normal)).toBeCloseTo(0.4, 5);
+      expect(normal.x).toBe(1);
+      rect.destroy();
+   });
+
+   it("should miss a box which is out of reach", function() {
+      var rect = R.math.Rectangle2D.create(50, 20, 10, 10);
+      expect(M.rayBox(start, dir, rect)).toBe(-1);
+
+      // Short of the box
+      rect.set(150, 0, 10, 10);
+      expect(M.rayBox(start, dir, rect)).toBe(-1);
+      rect.destroy();
+   });
+
+   it("should intersect a polygon in either winding order", function() {
+      var poly = [P.create(50, 40), P.create(60, 40), P.create(60, 80), P.create(50, 80)];
+      start.set(0, 0);
+      dir.set(100, 100);
+      expect(M.rayPoly(start, dir, poly, normal)).toBeCloseTo(0.5, 5);
+      expect(normal.x).toBe(-1);
+
+      poly.reverse();
+      expect(M.rayPoly(start, dir, poly)).toBeCloseTo(0.5, 5);
+
+      start.set(0, 100);
+      expect(M.rayPoly(start, dir, poly)).toBe(-1);
+      for (var i = 0; i < poly.length; i++) {
+         poly[i].destroy();
+      }
+   });
+
+   it("should intersect a circle with the normal at the surface", function() {
+      var center = P.create(50, 3);
+      start.set(0, 0);
+      expect(M.rayCircle(start, dir, center, 5, normal)).toBeCloseTo(0.46, 5);
+      expect(normal.x).toBeCloseTo(-0.8, 5);
+      expect(normal.y).toBeCloseTo(-0.6, 5);
+
+      // Starting within the circle
+      start.set(50, 4);
+      expect(M.rayCircle(start, dir, center, 5)).toBe(0);
+
+      // Pointing away
+      start.set(0, 0);
+      dir.set(-100, 0);
+      expect(M.rayCircle(start, dir, center, 5)).toBe(-1);
+      center.destroy();
+   });
+
+   it("should walk the grid cells along a line in order", function() {
+      var from = P.create(5, 5), to = P.create(35, 22), cells = [], last = -1;
+      M.gridTraversal(from, to, 10, 10, function(x, y, tEnter) {
+         expect(tEnter >= last).toBeTruthy();
+         last = tEnter;
+         cells.push(x + "," + y);
+      });
+      expect(cells).toEqual(["0,0", "1,0", "1,1", "2,1", "3,1", "3,2"]);
+
+      // Stop walking when the callback returns true
+      cells = [];
+      expect(M.gridTraversal(from, to, 10, 10, function(x, y) {
+         cells.push(x + "," + y);
+         return x == 1;
+      })).toBeTruthy();
+      expect(cells.length).toBe(2);
+      from.destroy();
+      to.destroy();
+   });
+});
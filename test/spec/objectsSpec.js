@@ -2,4 +2,196 @@ describe("Objects Package", function() {
    it("should fail", function() {
       expects(false).toBeTruthy();
    });
-});
\ No newline at end of file
+});
+
+describe("Object2D", function() {
+   var obj;
+
+   beforeEach(function() {
+      requireClasses(["R.objects.Object2D"]);
+
+      runs(function() {
+         obj = R.objects.Object2D.create("obj");
+         R.Engine.getDefaultContext().add(obj);
+         obj.setBoundingBox(10, 20);
+         obj.setPosition(100, 50);
+      });
+   });
+
+   afterEach(function() {
+      obj.destroy();
+   });
+
+   it("should place the AABB at the object's position", function() {
+      var aabb = obj.getAABB();
+      expect(aabb.x).toBe(100);
+      expect(aabb.y).toBe(50);
+      expect(aabb.w).toBe(10);
+      expect(aabb.h).toBe(20);
+   });
+
+   it("should enclose the rotated object in the AABB", function() {
+      obj.setOrigin(5, 10);
+      obj.setRotation(90);
+      var aabb = obj.getAABB();
+      expect(aabb.x).toBeCloseTo(90, 1);
+      expect(aabb.y).toBeCloseTo(45, 1);
+      expect(aabb.w).toBeCloseTo(20, 1);
+      expect(aabb.h).toBeCloseTo(10, 1);
+   });
+});
+
+
+describe("Camera", function() {
+   var ctx, camera;
+
+   beforeEach(function() {
+      requireClasses(["R.objects.Camera", "R.rendercontexts.NullContext"]);
+
+      runs(function() {
+         ctx = R.rendercontexts.NullContext.create("CameraContext", 200, 100);
+         camera = R.objects.Camera.create("Camera", ctx);
+      });
+   });
+
+   it("should attach itself to the render context", function() {
+      expect(ctx.getCamera()).toBe(camera);
+      camera.destroy();
+      expect(ctx.getCamera()).toBeNull();
+      ctx.destroy();
+   });
+
+   it("should not be destroyed by the render context", function() {
+      ctx.destroy();
+      expect(camera.getPosition()).not.toBeNull();
+      camera.destroy();
+   });
+});
+
+
+describe("PhysicsActor", function() {
+   var def = {
+      root: "torso",
+      parts: [
+         { name: "torso", type: "box", extents: [20, 40], position: [0, 0], rotation: 45, friction: 0.5 },
+         { name: "head", type: "circle", radius: 8, position: [0, -30], rotation: 30,
+            joint: { type: "revolute", linkTo: "torso", anchor: [0, -22], minAngle: -30, maxAngle: 30 } },
+         { name: "arm", type: "polygon", points: [[0, 0], [10, 0], [10, 5]], position: [15, -10], rotation: 12.5,
+            joint: { type: "prismatic", linkTo: "torso", anchor: [0, 0], axis: [1, 0], minLimit: -7, maxLimit: 13.3 } }
+      ]
+   };
+
+   var actors, simulation;
+
+   beforeEach(function() {
+      requireClasses(["R.objects.PhysicsActor", "R.physics.Simulation"]);
+
+      runs(function() {
+         actors = [];
+         simulation = null;
+      });
+   });
+
+   afterEach(function() {
+      for (var a = 0; a < actors.length; a++) {
+         actors[a].destroy();
+      }
+      if (simulation) {
+         simulation.destroy();
+      }
+   });
+
+   var roundTrip = function(definition, simulation) {
+      var actor = R.objects.PhysicsActor.build(definition, "Actor" + actors.length);
+      actors.push(actor);
+      if (simulation) {
+         actor.setSimulation(simulation);
+         actor.simulate();
+      }
+      return R.objects.PhysicsActor.serialize(actor);
+   };
+
+   it("should write the angles it was built with", function() {
+      var out = roundTrip(def);
+      expect(out.parts[0].rotation).toBe(45);
+      expect(out.parts[1].rotation).toBe(30);
+      expect(out.joints[0].minAngle).toBe(-30);
+      expect(out.joints[0].maxAngle).toBe(30);
+      expect(out.joints[1].minLimit).toBe(-7);
+      expect(out.joints[1].maxLimit).toBe(13.3);
+   });
+
+   it("should write the same definition when round-tripped twice", function() {
+      var first = roundTrip(def), second = roundTrip(first);
+      expect(second).toEqual(first);
+      expect(roundTrip(second)).toEqual(second);
+   });
+
+   it("should write the same definition while simulating", function() {
+      simulation = R.physics.Simulation.create("RoundTrip");
+      expect(roundTrip(def, simulation)).toEqual(roundTrip(def));
+   });
+});
+
+
+describe("SpriteActor", function() {
+   var empty, holder, actor;
+
+   beforeEach(function() {
+      requireClasses(["R.objects.SpriteActor", "R.resources.loaders.AbstractResourceLoader",
+         "R.resources.types.Sprite", "R.resources.types.TileMap", "R.collision.OBBHull"]);
+
+      runs(function() {
+         // A loader which doesn't hold a resource returns null for it
+         empty = R.resources.loaders.AbstractResourceLoader.create("EmptyLoader");
+
+         var resource = {
+            resourceName: "hero",
+            image: { src: "hero.png" },
+            info: { version: 2, sprites: { "stand": [0, 0, 32, 32] } }
+         };
+         holder = {
+            get: function(name) {
+               return name == "hero" ? resource : null;
+            },
+            getSprite: function(name, sprite) {
+               return R.resources.types.Sprite.create(sprite, resource.info.sprites[sprite], resource, 2, this);
+            }
+         };
+         actor = null;
+      });
+   });
+
+   afterEach(function() {
+      if (actor) {
+         actor.destroy();
+      }
+      empty.destroy();
+   });
+
+   it("should skip loaders which don't hold the sprite resource", function() {
+      expect(empty.get("hero")).toBeNull();
+
+      actor = R.objects.SpriteActor.deserialize({
+         Name: "Hero",
+         Position: "10,20",
+         Sprite: "hero:stand",
+         ACTOR_CONFIG: { actorId: "hero", bitMask: 0 }
+      }, [empty, holder]);
+
+      expect(actor.getSprite().getName()).toBe("stand");
+      expect(actor.getSprite().getSpriteResource().resourceName).toBe("hero");
+      expect(actor.getActorId()).toBe("hero");
+      expect(actor.getPosition().x).toBe(10);
+   });
+
+   it("should fail when no loader holds the sprite resource", function() {
+      expect(function() {
+         R.objects.SpriteActor.deserialize({
+            Name: "Ghost",
+            Sprite: "ghost:stand",
+            ACTOR_CONFIG: { actorId: "ghost", bitMask: 0 }
+         }, [empty, holder]);
+      }).toThrow();
+   });
+});
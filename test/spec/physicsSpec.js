@@ -2,4 +2,487 @@ describe("Physics Package", function() {
    it("should fail", function() {
       expects(false).toBeTruthy();
    });
-});
\ No newline at end of file
+});
+describe("Simulation contacts", function() {
+   var simulation, objects, log;
+
+   beforeEach(function() {
+      requireClasses(["R.physics.Simulation", "R.engine.GameObject", "R.components.physics.BoxBody"]);
+
+      runs(function() {
+         simulation = R.physics.Simulation.create("ContactWorld", R.math.Vector2D.create(0, 10));
+         objects = [];
+         log = [];
+      });
+   });
+
+   afterEach(function() {
+      for (var o = 0; o < objects.length; o++) {
+         objects[o].destroy();
+      }
+      simulation.destroy();
+   });
+
+   // A game object with a box body, positioned by its center
+   var box = function(name, x, y, w, h, isStatic) {
+      var obj = R.engine.GameObject.create(name), extents = R.math.Point2D.create(w, h),
+          pos = R.math.Point2D.create(x, y), body = R.components.physics.BoxBody.create("body", extents);
+
+      obj.getSimulation = function() {
+         return simulation;
+      };
+      obj.add(body);
+      body.setPosition(pos);
+      if (isStatic) {
+         body.setStatic(true);
+      }
+      extents.destroy();
+      pos.destroy();
+
+      objects.push(obj);
+      return body;
+   };
+
+   var record = function(body, eventName) {
+      var obj = body.getGameObject();
+      obj.addEvent(obj, eventName, function(evt, info) {
+         log.push({ object: obj.getName(), type: eventName, other: info.otherObject ? info.otherObject.getName() : null,
+            normal: R.clone(info.normal), sensor: info.sensor, impulse: info.normalImpulse });
+      });
+   };
+
+   var events = function(object, type) {
+      var found = [];
+      for (var l = 0; l < log.length; l++) {
+         if (log[l].object == object && log[l].type == type) {
+            found.push(log[l]);
+         }
+      }
+      return found;
+   };
+
+   var setVelocity = function(body, x, y) {
+      body.getBody().SetLinearVelocity(new Box2D.Common.Math.b2Vec2(x, y));
+   };
+
+   var run = function(steps) {
+      for (var s = 0; s < steps; s++) {
+         simulation.step();
+      }
+   };
+
+   it("should report contacts to both game objects with the normal flipped for each", function() {
+      var ground = box("ground", 100, 300, 400, 20, true), crate = box("crate", 100, 250, 20, 20);
+      record(ground, "beginContact");
+      record(crate, "beginContact");
+      record(crate, "endContact");
+      ground.startSimulation();
+      crate.startSimulation();
+      run(60);
+
+      var crateHit = events("crate", "beginContact")[0], groundHit = events("ground", "beginContact")[0];
+      expect(crateHit.other).toBe("ground");
+      expect(groundHit.other).toBe("crate");
+      expect(crateHit.sensor).toBe(false);
+
+      // The normal points away from the body the contact is reported to
+      expect(crateHit.normal.y).toBeCloseTo(1, 2);
+      expect(groundHit.normal.y).toBeCloseTo(-1, 2);
+      expect(crateHit.normal.x).toBeCloseTo(-groundHit.normal.x, 5);
+
+      // Lift the crate away from the ground
+      setVelocity(crate, 0, -20);
+      simulation.step();
+      simulation.step();
+      expect(events("crate", "endContact")[0].other).toBe("ground");
+   });
+
+   it("should report contacts with a sensor without solving them", function() {
+      var sensor = box("sensor", 300, 150, 40, 40, true), mover = box("mover", 250, 150, 10, 10);
+      sensor.setSensor(true);
+      record(sensor, "beginContact");
+      record(sensor, "endContact");
+      record(sensor, "postSolve");
+      sensor.startSimulation();
+      mover.startSimulation();
+
+      setVelocity(mover, 10, 0);
+      run(60);
+
+      expect(events("sensor", "beginContact").length).toBe(1);
+      expect(events("sensor", "beginContact")[0].sensor).toBe(true);
+      expect(events("sensor", "endContact").length).toBe(1);
+      expect(events("sensor", "postSolve").length).toBe(0);
+
+      // The mover passed straight through
+      expect(mover.getBody().GetLinearVelocity().x).toBeCloseTo(10, 5);
+      expect(mover.getPosition().x > 320).toBeTruthy();
+   });
+
+   it("should let a body through a one-way platform from below and hold it from above", function() {
+      var platform = box("platform", 400, 200, 100, 10, true), jumper = box("jumper", 400, 260, 20, 20),
+          lowest = 1000;
+      platform.setOneWay(R.math.Vector2D.UP);
+      platform.startSimulation();
+      jumper.startSimulation();
+
+      // Jump up through the platform, then fall back onto it
+      setVelocity(jumper, 0, -9);
+      for (var s = 0; s < 180; s++) {
+         simulation.step();
+         lowest = Math.min(lowest, jumper.getPosition().y);
+      }
+
+      expect(lowest < 190).toBeTruthy();
+      expect(jumper.getPosition().y).toBeCloseTo(185, 0);
+   });
+
+   it("should hold a body under a platform which is solid from all sides", function() {
+      var platform = box("platform", 400, 200, 100, 10, true), jumper = box("jumper", 400, 260, 20, 20);
+      platform.setOneWay(R.math.Vector2D.UP);
+      platform.setOneWay(null);
+      expect(platform.getOneWay()).toBeNull();
+      platform.startSimulation();
+      jumper.startSimulation();
+
+      setVelocity(jumper, 0, -9);
+      run(20);
+      expect(jumper.getPosition().y > 205).toBeTruthy();
+   });
+
+   it("should sum the impulses of each contact point", function() {
+      var ground = box("ground", 100, 300, 400, 20, true), crate = box("crate", 100, 280, 20, 20), sums = [];
+      ground.startSimulation();
+      crate.startSimulation();
+
+      spyOn(simulation, "dispatchContact").andCallThrough();
+      crate.getGameObject().addEvent(crate.getGameObject(), "postSolve", function(evt, info) {
+         var impulse = simulation.dispatchContact.mostRecentCall.args[2], sum = 0;
+         for (var p = 0; p < info.pointCount; p++) {
+            sum += impulse.normalImpulses[p];
+         }
+         sums.push([info.pointCount, info.normalImpulse, sum]);
+      });
+      run(30);
+
+      // Resting on its flat side, the crate touches the ground at two points
+      var last = sums[sums.length - 1];
+      expect(last[0]).toBe(2);
+      expect(last[1] > 0).toBeTruthy();
+      expect(last[1]).toBeCloseTo(last[2], 8);
+   });
+});
+
+describe("Simulation queries", function() {
+   var simulation, objects, wall, enemy, other, sensor, P;
+
+   beforeEach(function() {
+      requireClasses(["R.physics.Simulation", "R.engine.GameObject", "R.components.physics.BoxBody",
+         "R.collision.CollisionLayers", "R.struct.RayInfo", "R.math.Rectangle2D"]);
+
+      runs(function() {
+         P = R.math.Point2D;
+         R.collision.CollisionLayers.reset();
+         R.collision.CollisionLayers.configure({ layers: ["wall", "enemy"] });
+
+         simulation = R.physics.Simulation.create("QueryWorld", R.math.Vector2D.create(0, 0));
+         objects = [];
+
+         wall = box("wall", 200, 100, 20, 100, true, "wall");
+         enemy = box("enemy", 300, 100, 20, 20, false, "enemy");
+         other = box("other", 100, 300, 20, 20, false, "enemy");
+         sensor = box("sensor", 150, 100, 10, 10, true);
+         sensor.setSensor(true);
+
+         // A body without a component is never reported
+         var pos = P.create(250, 100), extents = P.create(10, 10);
+         simulation.addSimpleBoxBody(pos, extents);
+         pos.destroy();
+         extents.destroy();
+      });
+   });
+
+   afterEach(function() {
+      for (var o = 0; o < objects.length; o++) {
+         objects[o].destroy();
+      }
+      simulation.destroy();
+      R.collision.CollisionLayers.reset();
+   });
+
+   // A game object with a box body, positioned by its center
+   var box = function(name, x, y, w, h, isStatic, layer) {
+      var obj = R.engine.GameObject.create(name), extents = P.create(w, h), pos = P.create(x, y),
+          body = R.components.physics.BoxBody.create("body", extents);
+
+      obj.getSimulation = function() {
+         return simulation;
+      };
+      obj.add(body);
+      body.setPosition(pos);
+      if (isStatic) {
+         body.setStatic(true);
+      }
+      if (layer) {
+         body.setCollisionLayer(layer);
+      }
+      body.startSimulation();
+      extents.destroy();
+      pos.destroy();
+
+      objects.push(obj);
+      return body;
+   };
+
+   var names = function(bodies) {
+      var n = [];
+      for (var b = 0; b < bodies.length; b++) {
+         n.push(bodies[b].getGameObject().getName());
+      }
+      return n.sort();
+   };
+
+   var cast = function(x, y, dx, dy, all, category) {
+      var start = P.create(x, y), dir = R.math.Vector2D.create(dx, dy),
+          ray = simulation.raycast(R.struct.RayInfo.create(start, dir, all), category);
+      start.destroy();
+      dir.destroy();
+      return ray;
+   };
+
+   var rect = function(x, y, w, h) {
+      return R.math.Rectangle2D.create(x, y, w, h);
+   };
+
+   it("should find the dynamic bodies within an area", function() {
+      expect(names(simulation.getBodiesInArea(rect(0, 0, 400, 400)))).toEqual(["enemy", "other"]);
+
+      // The area ends at its right and bottom edges, not at its width and height
+      expect(names(simulation.getBodiesInArea(rect(250, 50, 100, 100)))).toEqual(["enemy"]);
+      expect(simulation.getBodiesInArea(rect(250, 50, 30, 30)).length).toBe(0);
+   });
+
+   it("should filter area queries by category", function() {
+      var enemyBit = R.collision.CollisionLayers.getBit("enemy");
+      expect(names(simulation.getBodiesInArea(rect(0, 0, 400, 400), "enemy"))).toEqual(["enemy", "other"]);
+      expect(names(simulation.getBodiesInArea(rect(0, 0, 400, 400), enemyBit))).toEqual(["enemy", "other"]);
+      expect(simulation.getBodiesInArea(rect(0, 0, 400, 400), ["wall"]).length).toBe(0);
+   });
+
+   it("should return the body components at a point", function() {
+      var pt = P.create(300, 100);
+      expect(simulation.getBodyAtPoint(pt)).toBe(enemy);
+
+      // Only dynamic bodies are found by getBodyAtPoint()
+      pt.set(200, 100);
+      expect(simulation.getBodyAtPoint(pt)).toBeNull();
+      expect(simulation.getBodiesAtPoint(pt)).toEqual([wall]);
+      expect(simulation.getBodiesAtPoint(pt, "enemy").length).toBe(0);
+      pt.destroy();
+   });
+
+   it("should report the nearest hit of a ray", function() {
+      var ray = cast(0, 100, 500, 0);
+      expect(ray.shape).toBe(wall.getGameObject());
+      expect(ray.data.body).toBe(wall);
+      expect(ray.impactPoint.x).toBeCloseTo(190, 3);
+      expect(ray.normal.x).toBeCloseTo(-1, 5);
+      expect(ray.data.fraction).toBeCloseTo(0.38, 3);
+      expect(ray.hits.length).toBe(0);
+      ray.destroy();
+   });
+
+   it("should report every hit of a ray, skipping sensors", function() {
+      var ray = cast(0, 100, 500, 0, true);
+      expect(ray.hits.length).toBe(2);
+      expect(ray.hits[0].shape).toBe(wall.getGameObject());
+      expect(ray.hits[1].shape).toBe(enemy.getGameObject());
+      expect(ray.hits[1].impactPoint.x).toBeCloseTo(290, 3);
+      expect(ray.shape).toBe(wall.getGameObject());
+      ray.destroy();
+   });
+
+   it("should end a ray at its length", function() {
+      var ray = cast(0, 100, 150, 0, true);
+      expect(ray.shape).toBeNull();
+      expect(ray.hits.length).toBe(0);
+      ray.destroy();
+   });
+
+   it("should filter ray hits by category", function() {
+      var ray = cast(0, 100, 500, 0, false, "enemy");
+      expect(ray.shape).toBe(enemy.getGameObject());
+      expect(ray.impactPoint.x).toBeCloseTo(290, 3);
+      ray.destroy();
+   });
+
+   it("should find the bodies overlapping a circle", function() {
+      var center = P.create(200, 100);
+      expect(names(simulation.overlapCircle(center, 60))).toEqual(["sensor", "wall"]);
+      expect(simulation.overlapCircle(center, 60, "enemy").length).toBe(0);
+      center.destroy();
+   });
+
+   it("should find the bodies overlapping a box, which may be rotated", function() {
+      expect(names(simulation.overlapBox(rect(90, 290, 30, 30)))).toEqual(["other"]);
+
+      // Turned on its end, the box reaches up to the enemy
+      expect(simulation.overlapBox(rect(260, 125, 80, 10)).length).toBe(0);
+      expect(names(simulation.overlapBox(rect(260, 125, 80, 10), 90))).toEqual(["enemy"]);
+      expect(simulation.overlapBox(rect(260, 125, 80, 10), 90, "wall").length).toBe(0);
+   });
+
+   it("should find the bodies overlapping a polygon in either winding order", function() {
+      var a = P.create(80, 280), b = P.create(120, 280), c = P.create(100, 320);
+      expect(names(simulation.overlapPolygon([a, b, c]))).toEqual(["other"]);
+      expect(names(simulation.overlapPolygon([c, b, a]))).toEqual(["other"]);
+      expect(simulation.overlapPolygon([a, b, c], "wall").length).toBe(0);
+      a.destroy();
+      b.destroy();
+      c.destroy();
+   });
+});
+
+describe("Simulation debug drawing", function() {
+   var S, simulation, objects, debugMode, draws, context;
+
+   beforeEach(function() {
+      requireClasses(["R.physics.Simulation", "R.engine.GameObject", "R.components.physics.BoxBody"]);
+
+      runs(function() {
+         S = R.physics.Simulation;
+         simulation = S.create("DebugWorld", R.math.Vector2D.create(0, 10));
+         objects = [];
+         debugMode = R.Engine.getDebugMode();
+
+         // Records each shape drawn, with the color it was drawn in
+         draws = [];
+         var style = null, record = function(method) {
+            return function() {
+               draws.push({ method: method, style: style });
+            };
+         };
+         context = {
+            pushTransform: function() {},
+            popTransform: function() {},
+            setLineWidth: function() {},
+            setLineStyle: function(s) {
+               style = s;
+            },
+            drawPolygon: record("drawPolygon"),
+            drawCircle: record("drawCircle"),
+            drawLine: record("drawLine"),
+            drawRectangle: record("drawRectangle")
+         };
+
+         // A crate resting on the ground, with a weight hanging from it
+         var ground = box("ground", 100, 300, 400, 20, true), crate = box("crate", 100, 280, 20, 20),
+             weight = box("weight", 100, 240, 10, 10), jointDef = new Box2D.Dynamics.Joints.b2DistanceJointDef();
+         jointDef.Initialize(crate.getBody(), weight.getBody(), crate.getBody().GetWorldCenter(),
+            weight.getBody().GetWorldCenter());
+         simulation.addJoint(jointDef);
+         for (var s = 0; s < 30; s++) {
+            simulation.step();
+         }
+      });
+   });
+
+   afterEach(function() {
+      R.Engine.setDebugMode(debugMode);
+      for (var o = 0; o < objects.length; o++) {
+         objects[o].destroy();
+      }
+      simulation.destroy();
+   });
+
+   var box = function(name, x, y, w, h, isStatic) {
+      var obj = R.engine.GameObject.create(name), extents = R.math.Point2D.create(w, h),
+          pos = R.math.Point2D.create(x, y), body = R.components.physics.BoxBody.create("body", extents);
+
+      obj.getSimulation = function() {
+         return simulation;
+      };
+      obj.add(body);
+      body.setPosition(pos);
+      if (isStatic) {
+         body.setStatic(true);
+      }
+      body.startSimulation();
+      extents.destroy();
+      pos.destroy();
+
+      objects.push(obj);
+      return body;
+   };
+
+   // Draw the world, returning the colors which were drawn with
+   var drawn = function(flags) {
+      draws = [];
+      simulation.setDebugDraw(flags);
+      simulation.update(context, 0, 16);
+
+      var styles = [];
+      for (var d = 0; d < draws.length; d++) {
+         if (R.engine.Support.indexOf(styles, draws[d].style) == -1) {
+            styles.push(draws[d].style);
+         }
+      }
+      return styles.sort();
+   };
+
+   var methods = function() {
+      var m = [];
+      for (var d = 0; d < draws.length; d++) {
+         if (R.engine.Support.indexOf(m, draws[d].method) == -1) {
+            m.push(draws[d].method);
+         }
+      }
+      return m.sort();
+   };
+
+   it("should draw nothing outside of debug mode", function() {
+      R.Engine.setDebugMode(false);
+      expect(drawn(S.DEBUG_ALL).length).toBe(0);
+   });
+
+   it("should draw nothing when no layers are enabled", function() {
+      R.Engine.setDebugMode(true);
+      expect(drawn(0).length).toBe(0);
+   });
+
+   it("should draw only the layer of each flag", function() {
+      var C = S.DEBUG_COLORS;
+      R.Engine.setDebugMode(true);
+
+      // Every body is drawn in the color of its type and state
+      var shapes = drawn(S.DEBUG_SHAPES);
+      expect(methods()).toEqual(["drawPolygon"]);
+      expect(draws.length).toBe(3);
+      expect(R.engine.Support.indexOf(shapes, C["static"])).not.toBe(-1);
+      expect(R.engine.Support.indexOf(shapes, C.joint)).toBe(-1);
+
+      expect(drawn(S.DEBUG_AABBS)).toEqual([C.aabb]);
+      expect(methods()).toEqual(["drawRectangle"]);
+      expect(draws.length).toBe(3);
+
+      expect(drawn(S.DEBUG_JOINTS)).toEqual([C.joint]);
+      expect(methods()).toEqual(["drawCircle", "drawLine"]);
+
+      expect(drawn(S.DEBUG_CONTACTS)).toEqual([C.contact]);
+      expect(methods()).toEqual(["drawCircle", "drawLine"]);
+   });
+
+   it("should turn single layers on and off", function() {
+      simulation.setDebugDraw(S.DEBUG_ALL);
+      simulation.setDebugDrawLayer(S.DEBUG_SHAPES, false);
+      simulation.setDebugDrawLayer(S.DEBUG_AABBS, false);
+      expect(simulation.getDebugDraw()).toBe(S.DEBUG_JOINTS | S.DEBUG_CONTACTS);
+
+      simulation.setDebugDrawLayer(S.DEBUG_AABBS, true);
+      simulation.setDebugDrawLayer(S.DEBUG_JOINTS, true);
+      expect(simulation.getDebugDraw()).toBe(S.DEBUG_JOINTS | S.DEBUG_CONTACTS | S.DEBUG_AABBS);
+
+      R.Engine.setDebugMode(true);
+      expect(drawn(simulation.getDebugDraw())).toEqual([S.DEBUG_COLORS.aabb, S.DEBUG_COLORS.joint, S.DEBUG_COLORS.contact].sort());
+   });
+});
@@ -2,4 +2,591 @@ describe("Resources Package", function() {
    it("should fail", function() {
       expects(false).toBeTruthy();
    });
-});
\ No newline at end of file
+});
+
+describe("Level", function() {
+   var level, music, fadeDone, stops;
+
+   beforeEach(function() {
+      requireClasses(["R.resources.types.Level"]);
+
+      runs(function() {
+         level = R.resources.types.Level.create("MusicLevel", 100, 100);
+         stops = 0;
+         fadeDone = null;
+
+         // Stands in for a sound resource, completing fades when the spec says so
+         music = {
+            volume: 80,
+            getVolume: function() { return this.volume; },
+            setVolume: function(volume) { this.volume = volume; },
+            fadeTo: function(volume, duration, callback) {
+               this.volume = volume;
+               fadeDone = callback || fadeDone;
+            },
+            play: function() {},
+            stop: function() { stops++; },
+            setBus: function() {},
+            setLoop: function() {},
+            destroy: function() {}
+         };
+
+         level.setBackgroundMusic(music);
+         level.playBackgroundMusic();
+      });
+   });
+
+   afterEach(function() {
+      level.destroy();
+   });
+
+   it("should stop the music and restore its volume after fading out", function() {
+      level.stopBackgroundMusic(500);
+      expect(music.getVolume()).toBe(0);
+      fadeDone();
+      expect(stops).toBe(1);
+      expect(music.getVolume()).toBe(80);
+   });
+
+   it("should keep playing music which is restarted while fading out", function() {
+      level.stopBackgroundMusic(500);
+      level.playBackgroundMusic(200);
+      expect(music.getVolume()).toBe(80);
+
+      // The fade out completes after the music was restarted
+      fadeDone();
+      expect(stops).toBe(0);
+      expect(music.getVolume()).toBe(80);
+   });
+});
+
+describe("TiledLoader", function() {
+   var Tiled;
+
+   beforeEach(function() {
+      requireClasses(["R.resources.loaders.TiledLoader"]);
+
+      runs(function() {
+         Tiled = R.resources.loaders.TiledLoader;
+      });
+   });
+
+   describe("TMX documents", function() {
+      var jq;
+
+      // A TMX element, shaped like the nodes of an XML document
+      var node = function(name, attrs, children, text) {
+         var attributes = [];
+         for (var a in attrs) {
+            attributes.push({ name: a, value: String(attrs[a]) });
+         }
+         return { nodeName: name, attributes: attributes, childNodes: children || [], textContent: text || "" };
+      };
+
+      // Just enough of jQuery to walk the nodes, since there is no XML parser in every host
+      var select = function(nodes) {
+         var set = {
+            length: nodes.length,
+            children: function(selector) {
+               var names = selector.split(","), found = [];
+               for (var n = 0; n < nodes.length; n++) {
+                  for (var c = 0; c < nodes[n].childNodes.length; c++) {
+                     if (R.engine.Support.indexOf(names, nodes[n].childNodes[c].nodeName) != -1) {
+                        found.push(nodes[n].childNodes[c]);
+                     }
+                  }
+               }
+               return select(found);
+            },
+            each: function(fn) {
+               for (var n = 0; n < nodes.length; n++) {
+                  fn.call(nodes[n], n, nodes[n]);
+               }
+               return set;
+            },
+            attr: function(name) {
+               var attributes = nodes.length > 0 ? nodes[0].attributes : [];
+               for (var a = 0; a < attributes.length; a++) {
+                  if (attributes[a].name == name) {
+                     return attributes[a].value;
+                  }
+               }
+               return undefined;
+            },
+            text: function() {
+               return nodes.length > 0 ? nodes[0].textContent : "";
+            },
+            get: function(idx) {
+               return nodes[idx];
+            }
+         };
+         return set;
+      };
+
+      beforeEach(function() {
+         runs(function() {
+            jq = window.$;
+            window.$ = function(el) {
+               return select(R.isArray(el) ? el : [el]);
+            };
+            jq.extend(window.$, jq);
+         });
+      });
+
+      afterEach(function() {
+         window.$ = jq;
+      });
+
+      var map = function() {
+         return node("map", { version: "1.10", orientation: "orthogonal", width: 4, height: 2,
+               tilewidth: 16, tileheight: 16, infinite: 0 }, [
+            node("properties", {}, [
+               node("property", { name: "gravity", type: "float", value: "0.5" }),
+               node("property", { name: "night", type: "bool", value: "true" }),
+               node("property", { name: "intro" }, [], "Line one\nLine two")
+            ]),
+            node("tileset", { firstgid: 1, name: "123", tilewidth: 16, tileheight: 16, tilecount: 8, columns: 4 }, [
+               node("image", { source: "ground.png", width: 64, height: 32 }),
+               node("tile", { id: 2 }, [
+                  node("animation", {}, [
+                     node("frame", { tileid: 2, duration: 120 }),
+                     node("frame", { tileid: 3, duration: 80 })
+                  ])
+               ])
+            ]),
+            node("tileset", { firstgid: 9, source: "trees.tsx" }),
+            node("layer", { id: 1, name: "playfield", width: 4, height: 2 }, [
+               node("data", { encoding: "csv" }, [], "1,2,0,0,\n0,0,3,4")
+            ]),
+            node("group", { id: 2, name: "far", parallaxx: 0.5 }, [
+               node("layer", { id: 3, name: "hills", width: 4, height: 2, visible: 0 }, [
+                  node("data", {}, [
+                     node("tile", { gid: 5 }), node("tile"), node("tile", { gid: 6 })
+                  ])
+               ])
+            ]),
+            node("objectgroup", { id: 4, name: "things" }, [
+               node("object", { id: 1, name: "door", type: "trigger", x: 10, y: 20, width: 30, height: 40 }),
+               node("object", { id: 2, x: 5, y: 5, width: 10, height: 10 }, [node("ellipse")]),
+               node("object", { id: 3, x: 50, y: 60 }, [node("polygon", { points: "0,0 20,-10 20,5" })]),
+               node("object", { id: 4, name: "spawn", x: 1, y: 2 }, [node("point")])
+            ])
+         ]);
+      };
+
+      it("should read the map and convert its numbers", function() {
+         var m = Tiled.fromTMX(map());
+         expect(m.orientation).toBe("orthogonal");
+         expect(m.width).toBe(4);
+         expect(m.tilewidth).toBe(16);
+         expect(m.infinite).toBe(0);
+
+         var props = Tiled.getProperties(m);
+         expect(props.gravity).toBe(0.5);
+         expect(props.night).toBe(true);
+         expect(props.intro).toBe("Line one\nLine two");
+      });
+
+      it("should read tilesets with their images and animations", function() {
+         var m = Tiled.fromTMX(map());
+         expect(m.tilesets.length).toBe(2);
+
+         // Names are never converted to numbers
+         expect(m.tilesets[0].name).toBe("123");
+         expect(m.tilesets[0].image).toBe("ground.png");
+         expect(m.tilesets[0].imagewidth).toBe(64);
+         expect(m.tilesets[0].tiles[0].id).toBe(2);
+         expect(m.tilesets[0].tiles[0].animation).toEqual([{ tileid: 2, duration: 120 }, { tileid: 3, duration: 80 }]);
+
+         // External tilesets are loaded with the map
+         expect(m.tilesets[1].firstgid).toBe(9);
+         expect(m.tilesets[1].source).toBe("trees.tsx");
+      });
+
+      it("should read tile layers, keeping encoded data as it is", function() {
+         var layers = Tiled.fromTMX(map()).layers;
+         expect(layers[0].type).toBe("tilelayer");
+         expect(layers[0].encoding).toBe("csv");
+         expect(layers[0].compression).toBeNull();
+         expect(Tiled.decodeLayerData(layers[0])).toEqual([1, 2, 0, 0, 0, 0, 3, 4]);
+
+         // Layers within groups, stored as a list of tiles
+         expect(layers[1].type).toBe("group");
+         expect(layers[1].parallaxx).toBe(0.5);
+         expect(layers[1].layers[0].name).toBe("hills");
+         expect(layers[1].layers[0].visible).toBe(0);
+         expect(layers[1].layers[0].data).toEqual([5, 0, 6]);
+      });
+
+      it("should read the shapes of objects", function() {
+         var objects = Tiled.fromTMX(map()).layers[2].objects;
+         expect(objects.length).toBe(4);
+         expect(objects[0].type).toBe("trigger");
+         expect(objects[0].width).toBe(30);
+         expect(objects[0].ellipse).toBe(false);
+         expect(objects[1].ellipse).toBe(true);
+         expect(objects[2].polygon).toEqual([{ x: 0, y: 0 }, { x: 20, y: -10 }, { x: 20, y: 5 }]);
+         expect(objects[3].point).toBe(true);
+      });
+   });
+
+   describe("layer data", function() {
+      // The ids 1, 0, 2 flipped horizontally, and 1 flipped vertically
+      var gids = [1, 0, 0x80000002, 0x40000001];
+
+      it("should return tiles stored as a list", function() {
+         expect(Tiled.decodeLayerData({ data: [1, 2, 3] })).toEqual([1, 2, 3]);
+      });
+
+      it("should decode CSV", function() {
+         expect(Tiled.decodeLayerData({ encoding: "csv", data: "\n1,0,\n2147483650,1073741825\n" })).toEqual(gids);
+      });
+
+      it("should decode base64", function() {
+         expect(Tiled.decodeLayerData({ encoding: "base64", data: "AQAAAAAAAAACAACAAQAAQA==" })).toEqual(gids);
+      });
+
+      it("should decode base64 compressed with zlib", function() {
+         expect(Tiled.decodeLayerData({ encoding: "base64", compression: "zlib",
+            data: "eJxjZIAAJgaGBkYGBgcAAvQAxQ==" })).toEqual(gids);
+      });
+
+      it("should decode base64 compressed with gzip", function() {
+         expect(Tiled.decodeLayerData({ encoding: "base64", compression: "gzip",
+            data: "H4sIAAAAAAAAA2NkgAAmBoYGRgYGBwDeS3B/EAAAAA==" })).toEqual(gids);
+      });
+
+      it("should keep the flip bits", function() {
+         var decoded = Tiled.decodeLayerData({ encoding: "base64", data: "AQAAAAAAAAACAACAAQAAQA==" });
+         expect(decoded[2] & Tiled.GID_MASK).toBe(2);
+         expect(decoded[2] > 0).toBeTruthy();
+         expect(decoded[3] & Tiled.GID_MASK).toBe(1);
+      });
+   });
+
+   describe("tilesets", function() {
+      var tileset = {
+         name: "ground", image: "ground.png", imagewidth: 100, imageheight: 50,
+         tilewidth: 16, tileheight: 16, margin: 2, spacing: 1,
+         properties: [{ name: "sparsity", type: "int", value: 4 }],
+         tiles: [{ id: 3, animation: [{ tileid: 3, duration: 150 }, { tileid: 4, duration: 50 }] }]
+      };
+
+      it("should create a tile for each tile in the image", function() {
+         var def = Tiled.toTileDefinition(tileset), count = 0;
+         for (var s in def.sprites) {
+            count++;
+         }
+
+         // Five columns and two rows fit between the margins
+         expect(count).toBe(10);
+         expect(def.version).toBe(3);
+         expect(def.bitmapImage).toBe("ground.png");
+         expect(def.bitmapSize).toEqual([100, 50]);
+         expect(def.sparsity).toBe(4);
+         expect(def.assumeOpaque).toBe(false);
+         expect(def.sprites["0"].frame).toEqual([2, 2, 16, 16]);
+         expect(def.sprites["6"].frame).toEqual([19, 19, 16, 16]);
+         expect(def.sprites["9"].frame).toEqual([70, 19, 16, 16]);
+      });
+
+      it("should animate at the speed of the first frame", function() {
+         var anim = Tiled.toTileDefinition(tileset).sprites["3"];
+         expect(anim.speed).toBe(150);
+         expect(anim.mode).toBe("loop");
+         expect(anim.frames).toEqual([{ frame: [53, 2, 16, 16] }, { frame: [70, 2, 16, 16] }]);
+      });
+   });
+
+   describe("levels", function() {
+      var level, loaded;
+
+      var map = {
+         orientation: "orthogonal", width: 3, height: 2, tilewidth: 16, tileheight: 16,
+         tilesets: [
+            { firstgid: 1, name: "ground", image: "ground.png", imagewidth: 32, imageheight: 32,
+               tilewidth: 16, tileheight: 16, columns: 2, tilecount: 4,
+               // There's no canvas to work out which pixels are solid
+               properties: [{ name: "assumeOpaque", type: "bool", value: "true" }] }
+         ],
+         layers: [
+            { type: "tilelayer", id: 1, name: "playfield", width: 3, height: 2, data: [1, 0, 0x80000002, 0, 4, 0] },
+            { type: "tilelayer", id: 2, name: "hills", width: 3, height: 2, parallaxx: 0.5, data: [3, 3, 3, 0, 0, 0] },
+            { type: "tilelayer", id: 3, name: "hidden", width: 3, height: 2, visible: false, data: [1, 1, 1, 1, 1, 1] },
+            { type: "objectgroup", id: 4, name: "things", objects: [
+               { id: 1, name: "door", type: "trigger", x: 10, y: 20, width: 30, height: 40,
+                  properties: [{ name: "action", type: "string", value: "openDoor();" }] },
+               { id: 2, name: "ramp", x: 50, y: 60, polygon: [{ x: 0, y: 0 }, { x: 20, y: -10 }, { x: 20, y: 5 }] },
+               { id: 3, name: "coin", gid: 4, x: 32, y: 32, width: 32, height: 32,
+                  properties: [{ name: "actorId", type: "string", value: "coin" }, { name: "value", type: "int", value: 10 },
+                     { name: "onInit", type: "string", value: "this.spin();" }] }
+            ]}
+         ]
+      };
+
+      beforeEach(function() {
+         runs(function() {
+            // Resource paths are made relative to the game
+            spyOn(R.Engine, "getGame").andReturn({
+               getGamePath: function() {
+                  return "http://localhost/game/";
+               }
+            });
+
+            loaded = false;
+            level = Tiled.toLevel("Map", map, "resources/map.json");
+            level.addEvent("loaded", function() {
+               loaded = true;
+            });
+
+            // There is no image to load here
+            level.resourceLoaders.tile[0].setReady("Map_ground", true);
+         });
+
+         waitsFor(function() {
+            return loaded;
+         }, "the level to be populated", 2000);
+      });
+
+      afterEach(function() {
+         level.destroy();
+      });
+
+      it("should load each tileset as a tile resource", function() {
+         var info = level.resourceLoaders.tile[0].get("Map_ground").info;
+         expect(info.bitmapImage).toBe("resources/ground.png");
+         expect(info.sprites["3"].frame).toEqual([16, 16, 16, 16]);
+      });
+
+      it("should fill the level's tile maps from the layers, ignoring flips", function() {
+         var playfield = level.getTileMap("playfield");
+         expect(playfield.getTile(0, 0).getName()).toBe("0");
+         expect(playfield.getTile(1, 0)).toBeFalsy();
+         expect(playfield.getTile(2, 0).getName()).toBe("1");
+         expect(playfield.getTile(1, 1).getName()).toBe("3");
+         expect(playfield.getZIndex()).toBe(0);
+      });
+
+      it("should add other layers as tile maps, with their parallax", function() {
+         var hills = level.getTileMap("hills");
+         expect(hills.getTile(2, 0).getName()).toBe("2");
+         expect(hills.getZIndex()).toBe(1);
+         expect(hills.getParallax().x).toBe(1.5);
+         expect(hills.getParallax().y).toBe(1);
+
+         // Hidden layers are skipped
+         expect(level.getTileMap("hidden")).toBeFalsy();
+      });
+
+      it("should turn shapes into fixtures", function() {
+         var triggers = level.getFixtures(R.objects.Fixture.TYPE_TRIGGER),
+             colliders = level.getFixtures(R.objects.Fixture.TYPE_COLLIDER);
+         expect(triggers.size()).toBe(1);
+         expect(colliders.size()).toBe(1);
+
+         var door = triggers.get(0), ramp = colliders.get(0);
+         expect(door.getName()).toBe("door");
+         expect(door.getPosition().x).toBe(10);
+         expect(door.getBoundingBox().h).toBe(40);
+         expect(door.getProperties()["Action"][0]()).toBe("openDoor();");
+
+         // A polygon is the size of its bounds
+         expect(ramp.getPosition().x).toBe(50);
+         expect(ramp.getPosition().y).toBe(50);
+         expect(ramp.getBoundingBox().w).toBe(20);
+         expect(ramp.getBoundingBox().h).toBe(15);
+      });
+
+      it("should turn tile objects into actors", function() {
+         expect(level.getActors().size()).toBe(1);
+
+         var coin = level.getActors().get(0);
+         expect(coin.getName()).toBe("coin");
+         expect(coin.getSprite().getName()).toBe("3");
+         expect(coin.getActorId()).toBe("coin");
+
+         // Tile objects are positioned by their bottom left corner
+         expect(coin.getPosition().x).toBe(32);
+         expect(coin.getPosition().y).toBe(0);
+
+         // The tile was doubled in size, and the object is on the fourth layer
+         expect(coin.getScaleX()).toBe(2);
+         expect(coin.getZIndex()).toBe(3);
+
+         // Properties become variables, or scripts when they're named for one
+         expect(coin.getVariable("value")).toBe(10);
+         expect(coin.getActorEvent("onInit").script).toBe("this.spin();");
+      });
+   });
+});
+
+describe("AtlasLoader", function() {
+   var Atlas, atlas;
+
+   beforeEach(function() {
+      requireClasses(["R.resources.loaders.AtlasLoader", "R.resources.types.Sprite"]);
+
+      runs(function() {
+         Atlas = R.resources.loaders.AtlasLoader;
+
+         // A TexturePacker hash, with a packed frame that was trimmed and rotated
+         atlas = {
+            frames: {
+               "walk_02.png": { frame: { x: 10, y: 0, w: 20, h: 30 }, rotated: true, trimmed: true,
+                  spriteSourceSize: { x: 2, y: 3, w: 20, h: 30 }, sourceSize: { w: 24, h: 36 }, pivot: { x: 0.5, y: 1 } },
+               "walk_01.png": { frame: { x: 0, y: 0, w: 10, h: 30 }, rotated: false, trimmed: false,
+                  spriteSourceSize: { x: 0, y: 0, w: 10, h: 30 }, sourceSize: { w: 10, h: 30 } },
+               "walk_10.png": { frame: { x: 30, y: 0, w: 10, h: 30 } },
+               "idle.png": { frame: { x: 40, y: 0, w: 8, h: 8 } }
+            },
+            meta: { image: "hero.png", size: { w: 64, h: 64 } }
+         };
+      });
+   });
+
+   it("should convert each frame of a JSON atlas to a sprite", function() {
+      var info = Atlas.fromJSON(atlas);
+      expect(info.version).toBe(3);
+      expect(info.bitmapImage).toBe("hero.png");
+      expect(info.bitmapSize).toEqual([64, 64]);
+      expect(info.sprites["idle.png"].frame).toEqual([40, 0, 8, 8]);
+      expect(info.sprites["idle.png"].rotated).toBe(false);
+      expect(info.sprites["idle.png"].size).toEqual([8, 8]);
+   });
+
+   it("should swap the size of rotated frames", function() {
+      var frame = Atlas.fromJSON(atlas).sprites["walk_02.png"];
+      expect(frame.rotated).toBe(true);
+      expect(frame.frame).toEqual([10, 0, 30, 20]);
+   });
+
+   it("should keep the offset and original size of trimmed frames", function() {
+      var frame = Atlas.fromJSON(atlas).sprites["walk_02.png"];
+      expect(frame.offset).toEqual([2, 3]);
+      expect(frame.size).toEqual([24, 36]);
+
+      // The sprite draws the packed frame where it was before trimming
+      var sprite = R.resources.types.Sprite.create("walk_02", frame, { image: {} }, 3, null),
+          f = sprite.getFrame(0, 0);
+      expect(sprite.isFrameRotated()).toBeTruthy();
+      expect(sprite.getFrameOffset().x).toBe(2);
+      expect(sprite.getFrameOffset().y).toBe(3);
+      expect(sprite.getBoundingBox().w).toBe(24);
+      f.destroy();
+      sprite.destroy();
+   });
+
+   it("should convert pivots from a fraction of the frame size", function() {
+      var sprites = Atlas.fromJSON(atlas).sprites;
+      expect(sprites["walk_02.png"].pivot).toEqual([12, 36]);
+      expect(sprites["walk_01.png"].pivot).toBeUndefined();
+   });
+
+   it("should collect numbered frames into an animation", function() {
+      var walk = Atlas.fromJSON(atlas, { speed: 80, mode: "toggle" }).sprites.walk;
+
+      // Ordered by their number, not their name
+      expect(walk.frames.length).toBe(3);
+      expect(walk.frames[0].frame).toEqual([0, 0, 10, 30]);
+      expect(walk.frames[1].frame).toEqual([10, 0, 30, 20]);
+      expect(walk.frames[2].frame).toEqual([30, 0, 10, 30]);
+      expect(walk.speed).toBe(80);
+      expect(walk.mode).toBe("toggle");
+   });
+
+   it("should not collect a single numbered frame, or frames named like another frame", function() {
+      atlas.frames["jump_1.png"] = { frame: { x: 0, y: 40, w: 8, h: 8 } };
+      atlas.frames["idle_1.png"] = { frame: { x: 8, y: 40, w: 8, h: 8 } };
+      atlas.frames["idle_2.png"] = { frame: { x: 16, y: 40, w: 8, h: 8 } };
+      atlas.frames["idle"] = atlas.frames["idle.png"];
+
+      var sprites = Atlas.fromJSON(atlas).sprites;
+      expect(sprites.jump).toBeUndefined();
+      expect(sprites.idle.frames).toBeUndefined();
+   });
+
+   it("should use the animations named in the atlas and the options", function() {
+      var sprites = Atlas.fromJSON({
+         frames: [
+            { filename: "a", frame: { x: 0, y: 0, w: 4, h: 4 } },
+            { filename: "b", frame: { x: 4, y: 0, w: 4, h: 4 } }
+         ],
+         animations: { spin: ["a", "b", "a"] },
+         meta: { image: "spin.png" }
+      }, { animations: { blink: ["b", "a"] } }).sprites;
+
+      expect(sprites.a.frame).toEqual([0, 0, 4, 4]);
+      expect(sprites.spin.frames.length).toBe(3);
+      expect(sprites.spin.frames[1].frame).toEqual([4, 0, 4, 4]);
+      expect(sprites.spin.speed).toBe(R.resources.types.Sprite.DEFAULT_SPEED);
+      expect(sprites.blink.frames[0].frame).toEqual([4, 0, 4, 4]);
+   });
+
+   describe("Sparrow documents", function() {
+      var jq;
+
+      // A SubTexture element, with just enough of jQuery to read it
+      var subTexture = function(attrs) {
+         return { attributes: attrs };
+      };
+
+      var select = function(nodes) {
+         return {
+            find: function(name) {
+               return select(name == "TextureAtlas" ? nodes : nodes[0].subTextures);
+            },
+            each: function(fn) {
+               for (var n = 0; n < nodes.length; n++) {
+                  fn.call(nodes[n], n, nodes[n]);
+               }
+            },
+            attr: function(name) {
+               var value = nodes[0].attributes[name];
+               return value === undefined ? undefined : String(value);
+            }
+         };
+      };
+
+      beforeEach(function() {
+         runs(function() {
+            jq = window.$;
+            window.$ = function(el) {
+               return select([el]);
+            };
+         });
+      });
+
+      afterEach(function() {
+         window.$ = jq;
+      });
+
+      it("should read trimmed, rotated frames and their pivots", function() {
+         var doc = {
+            attributes: { imagePath: "hero.png" },
+            subTextures: [
+               subTexture({ name: "run_0", x: 0, y: 0, width: 10, height: 20 }),
+               subTexture({ name: "run_1", x: 10, y: 0, width: 20, height: 10, rotated: "true",
+                  frameX: -2, frameY: -3, frameWidth: 14, frameHeight: 26, pivotX: 7, pivotY: 26 })
+            ]
+         };
+
+         var info = Atlas.fromSparrow(doc);
+         expect(info.bitmapImage).toBe("hero.png");
+         expect(info.bitmapSize).toBeNull();
+
+         var run0 = info.sprites.run_0, run1 = info.sprites.run_1;
+         expect(run0.frame).toEqual([0, 0, 10, 20]);
+         expect(run0.rotated).toBe(false);
+         expect(run0.offset).toBeUndefined();
+
+         // Sparrow sizes are already those of the packed frame
+         expect(run1.frame).toEqual([10, 0, 20, 10]);
+         expect(run1.rotated).toBe(true);
+         expect(run1.offset).toEqual([2, 3]);
+         expect(run1.size).toEqual([14, 26]);
+         expect(run1.pivot).toEqual([7, 26]);
+
+         expect(info.sprites.run.frames.length).toBe(2);
+      });
+   });
+});
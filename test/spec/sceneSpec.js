@@ -0,0 +1,145 @@
+describe("SceneManager", function() {
+   var SM, TestScene, log;
+
+   beforeEach(function() {
+      requireClasses(["R.engine.SceneManager", "R.rendercontexts.NullContext", "R.lang.Timeout"]);
+
+      runs(function() {
+         SM = R.engine.SceneManager;
+         log = [];
+
+         // Logs each call, with the data it was passed
+         TestScene = TestScene || R.engine.Scene.extend({
+            context: null,
+            timer: null,
+
+            enter: function(data) {
+               this.context = this.addRenderContext(R.rendercontexts.NullContext.create(this.getName(), 100, 100));
+               this.timer = this.addTimer(R.lang.Timeout.create(this.getName(), 100000, function() {}));
+               log.push("enter " + this.getName() + (data ? " " + data.level : ""));
+            },
+
+            exit: function() {
+               log.push("exit " + this.getName());
+            },
+
+            pause: function() {
+               log.push("pause " + this.getName());
+            },
+
+            resume: function(data) {
+               log.push("resume " + this.getName() + (data ? " " + data.level : ""));
+            }
+         }, {
+            getClassName: function() {
+               return "TestScene";
+            }
+         });
+      });
+   });
+
+   afterEach(function() {
+      SM.transition = null;
+      SM.clear();
+   });
+
+   var names = function() {
+      var n = [];
+      for (var s = 0; s < SM.scenes.length; s++) {
+         n.push(SM.scenes[s].getName());
+      }
+      return n;
+   };
+
+   it("should pause the active scene when a scene is pushed", function() {
+      var title = TestScene.create("title"), menu = TestScene.create("menu");
+      SM.push(title, { level: 1 });
+      SM.push(menu);
+
+      expect(names()).toEqual(["title", "menu"]);
+      expect(SM.getCurrent()).toBe(menu);
+      expect(log).toEqual(["enter title 1", "pause title", "enter menu"]);
+
+      // A paused scene's contexts stop updating, and its timers stop
+      expect(title.isPaused()).toBeTruthy();
+      expect(title.context.isStatic()).toBeTruthy();
+      expect(title.timer.isRunning()).toBeFalsy();
+      expect(menu.isPaused()).toBeFalsy();
+   });
+
+   it("should resume the scene below when a scene is popped", function() {
+      var title = TestScene.create("title"), menu = TestScene.create("menu");
+      SM.push(title);
+      SM.push(menu);
+      log = [];
+
+      SM.pop({ level: 2 });
+      expect(names()).toEqual(["title"]);
+      expect(log).toEqual(["exit menu", "resume title 2"]);
+      expect(menu.isDestroyed()).toBeTruthy();
+      expect(title.isPaused()).toBeFalsy();
+      expect(title.context.isStatic()).toBeFalsy();
+      expect(title.timer.isRunning()).toBeTruthy();
+   });
+
+   it("should dispose of a popped scene's render contexts and timers", function() {
+      var title = TestScene.create("title"), menu = TestScene.create("menu"), context, timer,
+          defaultCtx = R.Engine.getDefaultContext();
+      SM.push(title);
+      SM.push(menu);
+
+      context = menu.context;
+      timer = menu.timer;
+      expect(defaultCtx.contains(context)).toBeTruthy();
+
+      spyOn(defaultCtx, "postRender");
+      SM.pop();
+      expect(timer.isDestroyed()).toBeTruthy();
+
+      // The context may still be in use this frame, so it's removed once the frame is done
+      expect(context.isDestroyed()).toBeFalsy();
+      expect(defaultCtx.postRender).toHaveBeenCalled();
+
+      // Finish the frame the way the engine would
+      defaultCtx._safeRemove();
+      defaultCtx.postRender.mostRecentCall.args[0]();
+      expect(context.isDestroyed()).toBeTruthy();
+      expect(defaultCtx.contains(context)).toBeFalsy();
+      expect(defaultCtx.contains(title.context)).toBeTruthy();
+   });
+
+   it("should replace the active scene without resuming the one below", function() {
+      var title = TestScene.create("title"), menu = TestScene.create("menu"), play = TestScene.create("play");
+      SM.push(title);
+      SM.push(menu);
+      log = [];
+
+      SM.replace(play, { level: 3 });
+      expect(names()).toEqual(["title", "play"]);
+      expect(log).toEqual(["exit menu", "enter play 3"]);
+      expect(title.isPaused()).toBeTruthy();
+   });
+
+   it("should queue scene changes until a transition is done", function() {
+      var title = TestScene.create("title"), play = TestScene.create("play"), menu = TestScene.create("menu"),
+          fade = R.engine.SceneTransition.fade(100000);
+      SM.push(title);
+      log = [];
+
+      SM.replace(play, { level: 1 }, fade);
+      SM.push(menu);
+      expect(SM.isTransitioning()).toBeTruthy();
+      expect(log).toEqual([]);
+
+      // The scenes change when the display is covered, halfway through
+      fade.update(null, 0, 60000);
+      expect(names()).toEqual(["play"]);
+      expect(log).toEqual(["exit title", "enter play 1"]);
+
+      // The queued push happens once the transition completes
+      fade.update(null, 0, 60000);
+      expect(SM.isTransitioning()).toBeFalsy();
+      expect(names()).toEqual(["play", "menu"]);
+      expect(log).toEqual(["exit title", "enter play 1", "pause play", "enter menu"]);
+   });
+});
@@ -2,4 +2,285 @@ describe("Sounds Package", function() {
    it("should fail", function() {
       expects(false).toBeTruthy();
    });
-});
\ No newline at end of file
+});
+
+describe("WebAudio", function() {
+   var ws, loader, audioContext, xhr;
+
+   // Just enough of the Web Audio API to follow the values given to each node
+   var Param = function(value) {
+      this.value = value;
+      this.ramps = [];
+   };
+   Param.prototype = {
+      cancelScheduledValues: function() {},
+      setValueAtTime: function(value) { this.value = value; },
+      setTargetAtTime: function(value) { this.value = value; },
+      linearRampToValueAtTime: function(value, time) {
+         this.ramps.push([value, time]);
+         this.value = value;
+      }
+   };
+
+   var Node = function() {
+      this.outputs = [];
+   };
+   Node.prototype = {
+      connect: function(node) { this.outputs.push(node); },
+      disconnect: function() { this.outputs = []; }
+   };
+
+   var FakeAudioContext = function() {
+      this.currentTime = 0;
+      this.state = "running";
+      this.destination = new Node();
+   };
+   FakeAudioContext.prototype = {
+      createGain: function() {
+         var node = new Node();
+         node.gain = new Param(1);
+         return node;
+      },
+      createStereoPanner: function() {
+         var node = new Node();
+         node.pan = new Param(0);
+         return node;
+      },
+      createBufferSource: function() {
+         var node = new Node();
+         node.start = function() {};
+         node.stop = function() {};
+         return node;
+      },
+      decodeAudioData: function(data, success) {
+         success({ duration: 2 });
+      }
+   };
+
+   // Sounds are "downloaded" as soon as they're requested
+   var FakeXHR = function() {};
+   FakeXHR.prototype = {
+      open: function() {},
+      send: function() {
+         this.status = 200;
+         this.response = { byteLength: 1024 };
+         this.onload();
+      }
+   };
+
+   beforeEach(function() {
+      requireClasses(["R.sound.WebAudio", "R.sound.Listener", "R.resources.types.Sound"]);
+
+      runs(function() {
+         audioContext = window.AudioContext;
+         xhr = window.XMLHttpRequest;
+         window.AudioContext = FakeAudioContext;
+         window.XMLHttpRequest = FakeXHR;
+
+         ws = new R.sound.WebAudio();
+         loader = {
+            get: function() {
+               return R.resources.types.Sound.create(ws, null);
+            }
+         };
+      });
+   });
+
+   afterEach(function() {
+      ws.shutdown();
+      window.AudioContext = audioContext;
+      window.XMLHttpRequest = xhr;
+   });
+
+   var sound = function(name) {
+      return ws.retrieveSound(loader, name, name + ".ogg");
+   };
+
+   describe("buses", function() {
+      it("should route the buses through the master bus", function() {
+         expect(ws.buses.master.node.outputs[0]).toBe(ws.context.destination);
+         expect(ws.buses.music.node.outputs[0]).toBe(ws.buses.master.node);
+         expect(ws.buses.ui.node.outputs[0]).toBe(ws.buses.master.node);
+      });
+
+      it("should route a sound through the bus it is set to", function() {
+         var s = sound("boom"), voice = s.getSoundObject();
+         expect(voice.bus).toBe("sfx");
+         expect(voice.output.outputs).toEqual([ws.buses.sfx.node]);
+
+         s.setBus("music");
+         expect(voice.output.outputs).toEqual([ws.buses.music.node]);
+
+         // Buses are created when they're first used
+         s.setBus("voice");
+         expect(ws.buses.voice.node.outputs[0]).toBe(ws.buses.master.node);
+         expect(voice.output.outputs).toEqual([ws.buses.voice.node]);
+      });
+
+      it("should set the volume of a bus", function() {
+         ws.setBusVolume("music", 40);
+         expect(ws.getBusVolume("music")).toBe(40);
+         expect(ws.buses.music.node.gain.value).toBe(0.4);
+         expect(ws.buses.sfx.node.gain.value).toBe(1);
+
+         ws.setBusVolume("music", 150);
+         expect(ws.getBusVolume("music")).toBe(100);
+         expect(ws.getBusVolume("unknown")).toBe(100);
+      });
+
+      it("should mute a bus and restore its volume when unmuted", function() {
+         ws.setBusVolume("ui", 60);
+         ws.muteBus("ui");
+         expect(ws.isBusMuted("ui")).toBeTruthy();
+         expect(ws.buses.ui.node.gain.value).toBe(0);
+         expect(ws.getBusVolume("ui")).toBe(60);
+
+         ws.unmuteBus("ui");
+         expect(ws.isBusMuted("ui")).toBeFalsy();
+         expect(ws.buses.ui.node.gain.value).toBe(0.6);
+      });
+   });
+
+   describe("fading", function() {
+      it("should ramp the volume of a sound and call back when the fade is done", function() {
+         var s = sound("song"), done = false;
+         s.setVolume(80);
+         ws.context.currentTime = 1;
+         s.fadeTo(20, 50, function() {
+            done = true;
+         });
+
+         var gain = s.getSoundObject().gain.gain;
+         expect(gain.ramps).toEqual([[0.2, 1.05]]);
+         expect(s.getVolume()).toBe(20);
+         expect(done).toBeFalsy();
+
+         waitsFor(function() {
+            return done;
+         }, "the fade to complete", 1000);
+      });
+
+      it("should fade a muted sound without it being heard", function() {
+         var s = sound("song");
+         s.mute();
+         s.fadeTo(100, 50);
+         expect(s.getSoundObject().gain.gain.ramps).toEqual([[0, 0.05]]);
+      });
+
+      it("should call back when a fade is done without Web Audio", function() {
+         var done = false;
+         ws.supported = false;
+         ws.fadeSound(null, 100, 0, 50, function() {
+            done = true;
+         });
+
+         waitsFor(function() {
+            return done;
+         }, "the fade to complete", 1000);
+      });
+   });
+
+   describe("positioned sounds", function() {
+      var listener, renderContext;
+
+      beforeEach(function() {
+         runs(function() {
+            // A 400x300 view at the origin of the world
+            renderContext = {
+               getViewport: function() { return { w: 400, h: 300 }; },
+               getWorldPosition: function() { return { x: 0, y: 0 }; }
+            };
+            listener = R.sound.Listener.create(ws);
+         });
+      });
+
+      afterEach(function() {
+         listener.destroy();
+      });
+
+      var at = function(s, x, y) {
+         var p = R.math.Point2D.create(x, y);
+         s.setWorldPosition(p);
+         p.destroy();
+      };
+
+      it("should listen from the center of the view", function() {
+         listener.update(renderContext, 0, 16);
+         expect(listener.getPosition().x).toBe(200);
+         expect(listener.getPosition().y).toBe(150);
+         expect(ws.panWidth).toBe(200);
+      });
+
+      it("should listen from the position of its target", function() {
+         listener.setTarget({
+            getPosition: function() { return R.math.Point2D.ZERO; }
+         });
+         listener.update(renderContext, 0, 16);
+         expect(listener.getPosition().x).toBe(0);
+         expect(listener.getPosition().y).toBe(0);
+      });
+
+      it("should attenuate a sound by its distance from the listener", function() {
+         var s = sound("boom"), voice = s.getSoundObject();
+
+         // Without a listener, the sound isn't changed
+         at(s, 800, 150);
+         expect(voice.spatial.gain.value).toBe(1);
+
+         listener.update(renderContext, 0, 16);
+         expect(voice.spatial.gain.value).toBeCloseTo(1 - 500 / 900);
+
+         // Full volume within the reference distance, silent past the maximum distance
+         at(s, 250, 150);
+         expect(voice.spatial.gain.value).toBe(1);
+         at(s, 1300, 150);
+         expect(voice.spatial.gain.value).toBe(0);
+
+         ws.setAttenuation(200, 400);
+         at(s, 500, 150);
+         expect(voice.spatial.gain.value).toBeCloseTo(0.5);
+      });
+
+      it("should pan a sound to the side of the listener it is on", function() {
+         var s = sound("boom"), voice = s.getSoundObject();
+         listener.update(renderContext, 0, 16);
+
+         at(s, 100, 150);
+         expect(voice.panner.pan.value).toBe(-0.5);
+         at(s, 500, 150);
+         expect(voice.panner.pan.value).toBe(1);
+
+         // The sound's own pan is added to it
+         s.setPan(-30);
+         at(s, 300, 150);
+         expect(voice.panner.pan.value).toBeCloseTo(0.2);
+      });
+
+      it("should follow the listener as it moves", function() {
+         var s = sound("boom"), voice = s.getSoundObject(), target = R.math.Point2D.create(200, 150);
+         listener.setTarget({
+            getPosition: function() { return target; }
+         });
+         at(s, 200, 150);
+         listener.update(renderContext, 0, 16);
+         expect(voice.spatial.gain.value).toBe(1);
+
+         target.set(-900, 150);
+         listener.update(renderContext, 16, 16);
+         expect(voice.spatial.gain.value).toBe(0);
+         expect(voice.panner.pan.value).toBe(1);
+         target.destroy();
+      });
+
+      it("should stop positioning a sound when its position is cleared", function() {
+         var s = sound("boom"), voice = s.getSoundObject();
+         listener.update(renderContext, 0, 16);
+         at(s, 500, 150);
+
+         s.setWorldPosition(null);
+         expect(voice.spatial.gain.value).toBe(1);
+         expect(voice.panner.pan.value).toBe(0);
+         expect(ws.spatialSounds.length).toBe(0);
+      });
+   });
+});
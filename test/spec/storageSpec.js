@@ -2,4 +2,112 @@ describe("Storage Package", function() {
    it("should fail", function() {
       expects(false).toBeTruthy();
    });
-});
\ No newline at end of file
+});
+describe("SaveGame", function() {
+   var storage, saves, hero, written;
+
+   beforeEach(function() {
+      requireClasses(["R.storage.SaveGame", "R.objects.Object2D", "R.math.Point2D"]);
+
+      runs(function() {
+         // Holds values as JSON, like the browser storage does
+         written = {};
+         storage = {
+            save: function(key, value) {
+               written[key] = JSON.stringify(value);
+            },
+            load: function(key) {
+               return written[key] ? JSON.parse(written[key]) : null;
+            },
+            remove: function(key) {
+               delete written[key];
+            }
+         };
+
+         hero = R.objects.Object2D.create("hero");
+         hero.setPosition(R.math.Point2D.create(12, 34));
+         hero.setRotation(45);
+
+         saves = R.storage.SaveGame.create("Game", storage, 1);
+         saves.save("a", { hero: hero }, { score: 10 }, { meta: { description: "Level 1" } });
+      });
+   });
+
+   afterEach(function() {
+      hero.destroy();
+      saves.destroy();
+   });
+
+   it("should restore the state and objects of a save", function() {
+      var game = saves.load("a");
+      expect(game.state.score).toBe(10);
+      expect(game.meta.version).toBe(1);
+      expect(game.meta.description).toBe("Level 1");
+      expect(game.objects.hero).not.toBe(hero);
+      expect(game.objects.hero.getPosition().equals(hero.getPosition())).toBeTruthy();
+      expect(game.objects.hero.getRotation()).toBe(45);
+      game.objects.hero.destroy();
+   });
+
+   it("should restore objects into their targets", function() {
+      var target = R.objects.Object2D.create("target"),
+          game = saves.load("a", { targets: { hero: target } });
+      expect(game.objects.hero).toBe(target);
+      expect(target.getPosition().x).toBe(12);
+      expect(target.getPosition().y).toBe(34);
+      target.destroy();
+   });
+
+   it("should upgrade an old save one version at a time", function() {
+      var upgrades = R.storage.SaveGame.create("Game", storage, 3), order = [];
+      upgrades.addMigration(1, function(save) {
+         order.push(1);
+         save.state.lives = 3;
+         return save;
+      });
+      upgrades.addMigration(2, function(save) {
+         // Upgraded in place
+         order.push(2);
+         save.state.score *= 2;
+      });
+
+      var game = upgrades.load("a");
+      expect(order).toEqual([1, 2]);
+      expect(game.state).toEqual({ score: 20, lives: 3 });
+      expect(game.meta.version).toBe(3);
+      game.objects.hero.destroy();
+
+      // The upgraded save was written back, so it isn't migrated again
+      expect(upgrades.getSlotInfo("a").version).toBe(3);
+      game = upgrades.load("a");
+      expect(order).toEqual([1, 2]);
+      expect(game.state.score).toBe(20);
+      game.objects.hero.destroy();
+      upgrades.destroy();
+   });
+
+   it("should not load a save newer than its version", function() {
+      var upgrades = R.storage.SaveGame.create("Game", storage, 2);
+      upgrades.addMigration(1, function(save) {
+         return save;
+      });
+      upgrades.load("a").objects.hero.destroy();
+
+      expect(saves.load("a")).toBeNull();
+      upgrades.destroy();
+   });
+
+   it("should list, find and delete slots", function() {
+      saves.save("b", {}, {});
+      expect(saves.hasSlot("b")).toBeTruthy();
+      expect(saves.getSlots().length).toBe(2);
+      expect(saves.getSlotInfo("a").slot).toBe("a");
+
+      saves.deleteSlot("b");
+      expect(saves.hasSlot("b")).toBeFalsy();
+      expect(written.hasOwnProperty(saves.getSlotKey("b"))).toBeFalsy();
+      expect(written.hasOwnProperty(saves.getSlotKey("a"))).toBeTruthy();
+      expect(saves.load("b")).toBeNull();
+      expect(saves.load("missing")).toBeNull();
+   });
+});
@@ -2,4 +2,142 @@ describe("Text Package", function() {
    it("should fail", function() {
       expects(false).toBeTruthy();
    });
-});
\ No newline at end of file
+});
+describe("TextLayout", function() {
+   var layout, renderer;
+
+   beforeEach(function() {
+      requireClasses(["R.text.TextLayout", "R.text.AbstractTextRenderer"]);
+
+      runs(function() {
+         layout = R.text.TextLayout.create();
+
+         // Every character is 10 wide and 10 high, scaled by the size of the run
+         renderer = {
+            maxWidth: 0,
+            alignment: 0,
+            icons: {},
+            getColor: function() { return "#fff"; },
+            getMaxWidth: function() { return this.maxWidth; },
+            getTextAlignment: function() { return this.alignment; },
+            getLineSpacing: function() { return 2; },
+            getIcon: function(name) { return this.icons[name]; },
+            measureRun: function(text, style) { return text.length * 10 * style.size; },
+            getRunHeight: function(style) { return 10 * style.size; }
+         };
+      });
+   });
+
+   afterEach(function() {
+      layout.destroy();
+   });
+
+   var lineText = function(line) {
+      var text = "";
+      for (var i = 0; i < line.items.length; i++) {
+         text += line.items[i].icon ? "#" : line.items[i].text;
+      }
+      return text;
+   };
+
+   var allLines = function() {
+      var lines = layout.getLines(), out = [];
+      for (var l = 0; l < lines.length; l++) {
+         out.push(lineText(lines[l]));
+      }
+      return out;
+   };
+
+   it("should parse styles, icons, line breaks and escaped brackets", function() {
+      var base = { color: "#000", size: 1, bold: false },
+          tokens = R.text.TextLayout.parse("Hi [color=red]red [b]bold[/b][/color] [[x] [icon=A] [foo]\nnext", base);
+
+      expect(tokens[0]).toEqual({ text: "Hi ", style: base });
+      expect(tokens[1].style).toEqual({ color: "red", size: 1, bold: false });
+      expect(tokens[2]).toEqual({ text: "bold", style: { color: "red", size: 1, bold: true } });
+      expect(tokens[3].text).toBe(" [x] ");
+      expect(tokens[4].icon).toBe("A");
+
+      // Unknown tags are kept as text
+      expect(tokens[5].text).toBe(" [foo]");
+      expect(tokens[6].lineBreak).toBeTruthy();
+      expect(tokens[7].text).toBe("next");
+   });
+
+   it("should only break lines at line feeds without a maximum width", function() {
+      layout.layout("one two three\nfour", renderer);
+      expect(allLines()).toEqual(["one two three", "four"]);
+      expect(layout.getWidth()).toBe(130);
+      expect(layout.getHeight()).toBe(22);
+      expect(layout.getCharCount()).toBe(17);
+   });
+
+   it("should wrap words to the maximum width", function() {
+      renderer.maxWidth = 100;
+      layout.layout("the quick brown fox jumps", renderer);
+      expect(allLines()).toEqual(["the quick", "brown fox", "jumps"]);
+
+      // Spaces at the end of a line aren't counted, and aren't carried to the next
+      var lines = layout.getLines();
+      expect(lines[0].width).toBe(90);
+      expect(lines[1].items[0].text).toBe("brown");
+      expect(lines[1].y).toBe(12);
+   });
+
+   it("should break a word wider than a line", function() {
+      renderer.maxWidth = 40;
+      layout.layout("abcdefghij", renderer);
+      expect(allLines()).toEqual(["abcd", "efgh", "ij"]);
+   });
+
+   it("should keep a word together when its style changes part way", function() {
+      renderer.maxWidth = 100;
+      layout.layout("aaaa bb[b]cc[/b]dd", renderer);
+      expect(allLines()).toEqual(["aaaa", "bbccdd"]);
+   });
+
+   it("should sit smaller runs on the bottom of a taller line", function() {
+      layout.layout("small [size=2]BIG[/size]", renderer);
+      var items = layout.getLines()[0].items;
+      expect(layout.getLines()[0].height).toBe(20);
+      expect(items[0].y).toBe(10);
+      expect(items[2].y).toBe(0);
+      expect(items[2].width).toBe(60);
+   });
+
+   it("should lay out icons as a single character", function() {
+      renderer.icons.coin = {
+         getBoundingBox: function() {
+            return { w: 16, h: 16 };
+         }
+      };
+      layout.layout("get [icon=coin] now", renderer);
+      var items = layout.getLines()[0].items;
+      expect(items[2].icon).toBe(renderer.icons.coin);
+      expect(items[2].x).toBe(40);
+      expect(items[2].start).toBe(4);
+      expect(items[4].start).toBe(6);
+      expect(layout.getCharCount()).toBe(9);
+   });
+
+   it("should align and justify the lines", function() {
+      var A = R.text.AbstractTextRenderer, lines;
+      renderer.maxWidth = 100;
+
+      renderer.alignment = A.ALIGN_RIGHT;
+      layout.layout("the quick brown fox jumps", renderer);
+      lines = layout.getLines();
+      expect(lines[2].items[0].x).toBe(50);
+
+      renderer.alignment = A.ALIGN_CENTER;
+      layout.layout("the quick brown fox jumps", renderer);
+      expect(layout.getLines()[0].items[0].x).toBe(5);
+
+      // The spare width is spread across the spaces, except on the last line
+      renderer.alignment = A.ALIGN_JUSTIFY;
+      layout.layout("the quick brown fox jumps", renderer);
+      lines = layout.getLines();
+      expect(lines[0].items[2].x).toBe(50);
+      expect(lines[2].items[0].x).toBe(0);
+   });
+});
@@ -2,4 +2,356 @@ describe("Util Package", function() {
    it("should fail", function() {
       expects(false).toBeTruthy();
    });
-});
\ No newline at end of file
+});
+
+describe("Inflate", function() {
+   beforeEach(function() {
+      requireClasses(["R.util.Inflate"]);
+   });
+
+   var toText = function(bytes) {
+      var text = "";
+      for (var b = 0; b < bytes.length; b++) {
+         text += String.fromCharCode(bytes[b]);
+      }
+      return text;
+   };
+
+   var inflated = function(method, data) {
+      return toText(R.util.Inflate[method](R.util.Inflate.decodeBase64(data)));
+   };
+
+   it("should decode base64, ignoring whitespace", function() {
+      expect(toText(R.util.Inflate.decodeBase64("SGVs\n  bG8="))).toBe("Hello");
+      expect(R.util.Inflate.decodeBase64("AAEC/w==")).toEqual([0, 1, 2, 255]);
+   });
+
+   it("should inflate a stored block", function() {
+      expect(inflated("inflate", "AQYA+f9zdG9yZWQ=")).toBe("stored");
+   });
+
+   it("should inflate zlib data with fixed Huffman codes", function() {
+      expect(inflated("zlib", "eJzLSM3JyVfIQCcBaAMIsQ==")).toBe("hello hello hello hello");
+   });
+
+   it("should inflate gzip data", function() {
+      expect(inflated("gunzip", "H4sIAAAAAAAAA8tIzcnJV8hAJwHjUT2NFwAAAA==")).toBe("hello hello hello hello");
+   });
+
+   it("should inflate data with dynamic Huffman codes", function() {
+      var expected = "abcdefghijklmnopqrstuvwxyz abcdefghijklmnopqrstuvwxyz abcdefghijklmnopqrstuvwxyz " +
+         "the quick brown fox jumps over the lazy dog, the quick brown fox jumps over the lazy dog again and again";
+      expect(inflated("inflate", "ncrbDYAgEAXRVm4BNrUIIqC7AiKP6k20Av2b5AypWZvFrs6HbWc5YspnuWrrA/SLztUgFjcHqCSVsUiDL/uRIZdJD280OrTY6csMsuQYxPqtGw==")).toBe(expected);
+   });
+});
+
+describe("Snapshot", function() {
+   var S;
+
+   beforeEach(function() {
+      requireClasses(["R.util.Snapshot"]);
+
+      runs(function() {
+         S = R.util.Snapshot;
+      });
+   });
+
+   it("should create a delta which recreates the current state", function() {
+      var base = { "1": { x: 10, y: 20 }, "2": { x: 0, y: 0 } },
+          current = { "1": { x: 12, y: 20 }, "3": { x: 5, y: 5 } },
+          delta = S.diff(base, current);
+
+      // Only the changed properties of existing objects are sent
+      expect(delta.u).toEqual({ "1": { x: 12 }, "3": { x: 5, y: 5 } });
+      expect(delta.r).toEqual(["2"]);
+
+      expect(S.apply(base, delta)).toEqual(current);
+      expect(base["1"].x).toBe(10);
+      expect(base["2"]).toBeDefined();
+   });
+
+   it("should leave out what hasn't changed", function() {
+      var state = { "1": { p: [1, 2], n: "a" } };
+      expect(S.diff(state, { "1": { p: [1, 2], n: "a" } })).toEqual({});
+      expect(S.diff({}, {})).toEqual({});
+      expect(S.diff(state, {})).toEqual({ r: ["1"] });
+   });
+
+   it("should compare unreliable properties with the most recent state", function() {
+      var base = { "1": { 0: [0, 0], 1: 5 } },
+          recent = { "1": { 0: [10, 0], 1: 6 } },
+          unreliable = { "1": { 0: true } };
+
+      // The position was sent last time, but the reliable property keeps being sent until it's acknowledged
+      expect(S.diff(base, { "1": { 0: [10, 0], 1: 6 } }, recent, unreliable)).toEqual({ u: { "1": { 1: 6 } } });
+      expect(S.diff(base, { "1": { 0: [11, 0], 1: 5 } }, recent, unreliable)).toEqual({ u: { "1": { 0: [11, 0] } } });
+
+      // Objects the recent state doesn't have are compared with the base
+      expect(S.diff(base, { "1": { 0: [10, 0], 1: 5 } }, {}, unreliable)).toEqual({ u: { "1": { 0: [10, 0] } } });
+   });
+
+   it("should round the numbers of an object", function() {
+      var obj = { x: 1.23456, y: -0.004, name: "crate" };
+      expect(S.quantize(obj)).toEqual({ x: 1.23, y: -0, name: "crate" });
+      expect(S.quantize(obj, 10)).toEqual({ x: 1.2, y: -0, name: "crate" });
+      expect(obj.x).toBe(1.23456);
+   });
+});
+
+describe("ReplicationServer", function() {
+   var server, sent, inputs, logic, player, RS;
+
+   beforeEach(function() {
+      requireClasses(["R.util.ReplicationServer"]);
+
+      runs(function() {
+         RS = R.util.ReplicationServer;
+         inputs = [];
+         logic = {
+            spawn: function(clientId) {
+               return { x: 0, name: clientId };
+            },
+            simulate: function(state, input, dt) {
+               inputs.push({ input: input, dt: dt });
+               state.x += input.dx * dt;
+            }
+         };
+
+         server = new RS(logic, 20);
+         sent = [];
+         player = server.connect("c1", function(message) {
+            sent.push(message);
+         });
+      });
+   });
+
+   var input = function(seq, dx, dt, ack) {
+      server.receive("c1", { t: RS.MSG_INPUT, s: seq, i: { dx: dx }, dt: dt, a: ack || 0 });
+   };
+
+   var last = function() {
+      return sent[sent.length - 1];
+   };
+
+   it("should welcome a client with its player", function() {
+      expect(sent[0]).toEqual({ t: RS.MSG_WELCOME, id: player, k: 0, rate: 20 });
+      expect(server.getEntity(player)).toEqual({ x: 0, name: "c1" });
+   });
+
+   it("should apply input in order, once", function() {
+      input(1, 1, 10);
+      input(3, 1, 30);
+      input(2, 1, 20);
+      server.step();
+
+      // Input older than the last input applied is dropped
+      expect(inputs.length).toBe(2);
+      expect(inputs[0].dt).toBe(10);
+      expect(inputs[1].dt).toBe(30);
+      expect(server.getEntity(player).x).toBe(40);
+      expect(last().a).toBe(3);
+
+      input(3, 1, 30);
+      input(2, 1, 20);
+      server.step();
+      expect(inputs.length).toBe(2);
+   });
+
+   it("should limit the time an input covers", function() {
+      input(1, 1, 5000);
+      input(2, 1, -50);
+      input(3, 1, "lots");
+      server.step();
+      expect(inputs[0].dt).toBe(RS.MAX_INPUT_DT);
+      expect(inputs[1].dt).toBe(0);
+      expect(inputs[2].dt).toBe(0);
+      expect(server.getEntity(player).x).toBe(RS.MAX_INPUT_DT);
+   });
+
+   it("should send the world until a snapshot is acknowledged", function() {
+      var crate = server.addEntity({ x: 1.234 });
+      server.step();
+      expect(last().t).toBe(RS.MSG_SNAPSHOT);
+      expect(last().k).toBe(1);
+      expect(last().b).toBe(0);
+      expect(last().d.u[crate]).toEqual({ x: 1.23 });
+
+      // Acknowledgements of snapshots which haven't been sent are ignored
+      server.receive("c1", { t: RS.MSG_ACK, a: 5 });
+      server.step();
+      expect(last().b).toBe(0);
+
+      server.receive("c1", { t: RS.MSG_ACK, a: 2 });
+      server.getEntity(crate).x = 3;
+      server.step();
+      expect(last().b).toBe(2);
+
+      // Only the crate moved since the acknowledged snapshot
+      var changes = {};
+      changes[crate] = { x: 3 };
+      expect(last().d.u).toEqual(changes);
+      expect(last().d.r).toBeUndefined();
+   });
+
+   it("should send the objects which were removed", function() {
+      var crate = server.addEntity({ x: 1 });
+      server.step();
+      server.receive("c1", { t: RS.MSG_ACK, a: 1 });
+      server.removeEntity(crate);
+      server.step();
+      expect(last().d.r).toEqual([crate]);
+      expect(last().d.u).toBeUndefined();
+   });
+});
+
+describe("Replicated properties", function() {
+   var Ship, ship, S;
+
+   beforeEach(function() {
+      requireClasses(["R.util.Snapshot", "R.util.ReplicationServer", "R.components.logic.Replicated",
+         "R.objects.Object2D"]);
+
+      runs(function() {
+         S = R.util.Snapshot;
+
+         // A game object which replicates its position and rotation often, and its health reliably
+         Ship = Ship || R.objects.Object2D.extend({
+            hp: 0,
+            hpWrites: 0,
+
+            constructor: function(name) {
+               this.base(name || "Ship");
+               this.hp = 10;
+               this.hpWrites = 0;
+            },
+
+            getProperties: function() {
+               var self = this, props = this.base();
+               props.HP = [function() {
+                  return self.hp;
+               }, function(hp) {
+                  self.hp = hp;
+                  self.hpWrites++;
+               }, true];
+               return props;
+            },
+
+            getReplicatedProperties: function() {
+               return [
+                  { name: "Position", precision: 10, reliable: false },
+                  { name: "Rotation", precision: 1, reliable: false },
+                  { name: "HP" }
+               ];
+            }
+         }, {
+            getClassName: function() {
+               return "ReplicatedShip";
+            }
+         });
+
+         ship = Ship.create("ship");
+         ship.setPosition(10.123, 20.456);
+         ship.setRotation(45.4);
+      });
+   });
+
+   afterEach(function() {
+      ship.destroy();
+   });
+
+   it("should read the declared properties, rounded to their precision", function() {
+      ship.hp = 7.5555;
+      var state = S.readObject(ship);
+      expect(state.c).toBe("ReplicatedShip");
+
+      // Strings of numbers become arrays
+      expect(state[0]).toEqual([10.1, 20.5]);
+      expect(state[1]).toBe(45);
+      expect(state[2]).toBe(7.56);
+   });
+
+   it("should find the unreliable properties", function() {
+      expect(S.getUnreliable(ship)).toEqual({ 0: true, 1: true });
+   });
+
+   it("should write the properties which changed", function() {
+      S.writeObject(ship, { c: "ReplicatedShip", 0: [15, 25], 1: 90, 2: 3 });
+      expect(ship.getPosition().x).toBe(15);
+      expect(ship.getPosition().y).toBe(25);
+      expect(ship.getRotation()).toBe(90);
+      expect(ship.hp).toBe(3);
+      expect(ship.hpWrites).toBe(1);
+
+      // Properties which match the previous state, or are missing, are left alone
+      S.writeObject(ship, { 0: [16, 25], 2: 3 }, { 0: [15, 25], 2: 3 });
+      expect(ship.getPosition().x).toBe(16);
+      expect(ship.getRotation()).toBe(90);
+      expect(ship.hpWrites).toBe(1);
+   });
+
+   it("should resend reliable properties until they're acknowledged, and unreliable ones only when they change", function() {
+      var server = new R.util.ReplicationServer({}, 20), sent = [], id = server.addObject(ship), delta;
+      server.connect("c1", function(message) {
+         sent.push(message);
+      });
+
+      server.step();
+      expect(sent[1].d.u[id]).toEqual({ c: "ReplicatedShip", 0: [10.1, 20.5], 1: 45, 2: 10 });
+      server.receive("c1", { t: R.util.ReplicationServer.MSG_ACK, a: 1 });
+
+      // Changes too small for the precision aren't sent
+      ship.setPosition(10.12, 20.46);
+      server.step();
+      expect(sent[2].d.u).toBeUndefined();
+
+      // The client doesn't acknowledge these snapshots
+      ship.hp = 5;
+      ship.setPosition(16, 20.456);
+      server.step();
+      delta = sent[3].d.u[id];
+      expect(delta).toEqual({ 0: [16, 20.5], 2: 5 });
+
+      server.step();
+      delta = sent[4].d.u[id];
+      expect(delta).toEqual({ 2: 5 });
+      expect(sent[4].b).toBe(1);
+   });
+
+   it("should write the state from the client to the game object", function() {
+      var state = { c: "ReplicatedShip", 0: [30, 40], 1: 10, 2: 4 }, inputs = [],
+          client = {
+             getLocalId: function() {
+                return "2";
+             },
+             getState: function(id) {
+                return id == "1" ? state : null;
+             },
+             sendInput: function(input, dt) {
+                inputs.push(dt);
+             }
+          },
+          replicated = R.components.logic.Replicated.create("net", client, "1");
+
+      ship.add(replicated);
+      replicated.execute(null, 0, 16);
+      expect(ship.getPosition().x).toBe(30);
+      expect(ship.hp).toBe(4);
+
+      // Only what changed since the last state is written
+      state = { c: "ReplicatedShip", 0: [31, 40], 1: 10, 2: 4 };
+      replicated.execute(null, 16, 16);
+      expect(ship.getPosition().x).toBe(31);
+      expect(ship.hpWrites).toBe(1);
+
+      // Objects without declared properties are moved by the x, y, and r of the state
+      state = { x: 5, y: 6, r: 30 };
+      replicated.execute(null, 32, 16);
+      expect(ship.getPosition().x).toBe(5);
+      expect(ship.getPosition().y).toBe(6);
+      expect(ship.getRotation()).toBe(30);
+
+      // Only the local player sends input
+      expect(replicated.isLocal()).toBeFalsy();
+      expect(inputs.length).toBe(0);
+   });
+});
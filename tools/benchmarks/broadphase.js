@@ -0,0 +1,163 @@
+/*
+   The Render Engine Broad-phase Collision Benchmark
+   (c) 2011 Brett Fattori
+
+   The Render Engine Project
+
+   Permission is hereby granted, free of charge, to any person obtaining a copy
+   of this software and associated documentation files (the "Software"), to deal
+   in the Software without restriction, including without limitation the rights
+   to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+   copies of the Software, and to permit persons to whom the Software is
+   furnished to do so, subject to the following conditions:
+
+   The above copyright notice and this permission notice shall be included in
+   all copies or substantial portions of the Software.
+
+   THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+   IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+   FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+   AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+   LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+   OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+   THE SOFTWARE
+
+ */
+
+/*
+   Compares the broad-phase collision models with the engine booted headless.  A
+   world of moving objects, a few of them much larger than the rest, is simulated
+   for a number of frames.  Each frame, every object is updated in the model and its
+   PCL is built, the same way R.components.Collider uses the model.  For each model,
+   the benchmark reports the time per frame, the average size of a PCL, and how many
+   of the pairs of overlapping objects were missing from the PCLs.
+
+      node tools/benchmarks/broadphase.js [objects] [frames]
+ */
+
+var headless = require('../headless/headless');
+
+var OBJECTS = Number(process.argv[2]) || 500,
+    FRAMES = Number(process.argv[3]) || 100,
+    WORLD = 2000,
+    DIVISIONS = 10;
+
+// A repeatable random number generator, so each model sees the same world
+var seed = 1;
+function random() {
+   seed = (seed * 16807) % 2147483647;
+   return (seed - 1) / 2147483646;
+}
+
+headless.boot({ run: false }, function(R) {
+   headless.require(['R.collision.broadphase.SpatialGrid', 'R.collision.broadphase.Quadtree',
+                     'R.collision.broadphase.SweepAndPrune', 'R.objects.Object2D'], function(err) {
+      if (err) {
+         throw err;
+      }
+
+      var ctx = R.Engine.getDefaultContext(), objects = [], velocities = [], o;
+
+      // One in fifty objects is large enough to span several cells of the grid
+      for (o = 0; o < OBJECTS; o++) {
+         var obj = R.objects.Object2D.create('Object' + o), size = o % 50 == 0 ? 300 : 10 + random() * 20;
+         obj.setBoundingBox(R.math.Rectangle2D.create(0, 0, size, size));
+         obj.setPosition(R.math.Point2D.create(random() * (WORLD - size), random() * (WORLD - size)));
+         ctx.add(obj);
+         objects.push(obj);
+         velocities.push([random() * 4 - 2, random() * 4 - 2]);
+      }
+
+      var models = [
+         R.collision.broadphase.SpatialGrid.create(WORLD, WORLD, DIVISIONS),
+         R.collision.broadphase.Quadtree.create(WORLD, WORLD),
+         R.collision.broadphase.SweepAndPrune.create(WORLD, WORLD)
+      ];
+
+      console.log(OBJECTS + ' objects, ' + FRAMES + ' frames\n');
+      console.log(pad('Model', 16) + pad('ms/frame', 12) + pad('avg PCL', 12) + 'missed pairs');
+
+      var start = objects.map(function(obj) {
+         return R.math.Point2D.create(obj.getPosition());
+      });
+
+      models.forEach(function(model) {
+         // Start every model from the same positions
+         objects.forEach(function(obj, i) {
+            obj.setPosition(start[i]);
+         });
+
+         var time = 0, pclSize = 0, missed = 0, box = R.math.Rectangle2D.create(0, 0, 0, 0);
+
+         for (var frame = 0; frame < FRAMES; frame++) {
+            move(objects, velocities);
+
+            var t = Date.now(), pcls = [];
+            for (o = 0; o < objects.length; o++) {
+               model.addObject(objects[o], objects[o].getPosition());
+            }
+            for (o = 0; o < objects.length; o++) {
+               var found = [];
+               model.getPCL(objects[o].getPosition(), 0, 16, objects[o]).forEach(function(node) {
+                  found = found.concat(node.getObjects().getAll());
+               });
+               pcls.push(found);
+            }
+            time += Date.now() - t;
+
+            // Compare the PCLs to every pair which actually overlaps
+            var boxes = objects.map(function(obj) {
+               var b = model.getObjectBox(obj, box);
+               return [b.x, b.y, b.r, b.b];
+            });
+            for (o = 0; o < objects.length; o++) {
+               var a = boxes[o];
+               pclSize += pcls[o].length;
+               for (var p = 0; p < objects.length; p++) {
+                  var b = boxes[p];
+                  if (p != o && a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1] &&
+                      pcls[o].indexOf(objects[p]) == -1) {
+                     missed++;
+                  }
+               }
+            }
+         }
+
+         console.log(pad(model.getName(), 16) + pad((time / FRAMES).toFixed(2), 12) +
+                     pad((pclSize / (FRAMES * OBJECTS)).toFixed(1), 12) + missed);
+
+         // Objects can only be in one model at a time
+         for (o = 0; o < objects.length; o++) {
+            model.removeObject(objects[o]);
+         }
+
+         box.destroy();
+      });
+
+      process.exit(0);
+   });
+});
+
+/*
+   Move the objects, bouncing them off the edges of the world
+ */
+function move(objects, velocities) {
+   objects.forEach(function(obj, i) {
+      var pos = obj.getPosition(), v = velocities[i], size = obj.getBoundingBox().w;
+      if (pos.x + v[0] < 0 || pos.x + v[0] > WORLD - size) {
+         v[0] = -v[0];
+      }
+      if (pos.y + v[1] < 0 || pos.y + v[1] > WORLD - size) {
+         v[1] = -v[1];
+      }
+      obj.setPosition(pos.x + v[0], pos.y + v[1]);
+   });
+}
+
+function pad(str, len) {
+   str = String(str);
+   while (str.length < len) {
+      str += ' ';
+   }
+   return str;
+}
@@ -0,0 +1,195 @@
+/*
+   The Render Engine Headless Boot
+   (c) 2011 Brett Fattori
+
+   The Render Engine Project
+
+   Permission is hereby granted, free of charge, to any person obtaining a copy
+   of this software and associated documentation files (the "Software"), to deal
+   in the Software without restriction, including without limitation the rights
+   to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+   copies of the Software, and to permit persons to whom the Software is
+   furnished to do so, subject to the following conditions:
+
+   The above copyright notice and this permission notice shall be included in
+   all copies or substantial portions of the Software.
+
+   THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+   IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+   FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+   AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+   LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+   OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+   THE SOFTWARE
+
+ */
+
+/*
+   Boots the engine under Node, without a DOM.  The engine sources are loaded in the
+   same order the build concatenates them into runtime/engine.js, and classes are then
+   loaded through R.Engine.define and the Linker as they are in the browser.  The engine
+   runs in headless mode, where the default context is an R.rendercontexts.NullContext.
+
+      var headless = require('./tools/headless/headless');
+
+      headless.boot({ debug: true }, function(R) {
+         headless.require(['R.objects.Object2D'], function() {
+            // ... game logic
+         });
+      });
+ */
+
+var path = require('path'),
+    host = require('./host');
+
+var ENGINE_PATH = path.resolve(__dirname, '../../engine');
+
+// The engine sources, in the order the "engine.build" target in build.xml concatenates them.
+// The headless host provides the jQuery methods the engine uses, so jquery.js isn't loaded.
+var ENGINE_SOURCES = [
+   'libs/base.js',
+   'build/engine.intro.js',
+   'build/debug.console.js',
+   'build/lang.math2.js',
+   'build/engine.support.js',
+   'build/engine.linker.js',
+   'build/engine.main.js',
+   'build/engine.script.js',
+   'build/debug.metrics.stub.js',
+   'build/engine.init.js'
+];
+
+// How long to wait for classes to resolve before giving up
+var LINK_TIMEOUT = 10000;
+
+var booted = false;
+
+/*
+   Wait for the classes to be resolved by the Linker
+ */
+function waitFor(classNames, callback) {
+   var start = Date.now();
+
+   (function check() {
+      var unresolved = classNames.filter(function(className) {
+         return !R.engine.Linker.resolvedClasses[className];
+      });
+
+      if (unresolved.length == 0) {
+         callback(null);
+      } else if (Date.now() - start > LINK_TIMEOUT) {
+         callback(new Error('Classes failed to resolve: ' + unresolved.join(', ')));
+      } else {
+         setTimeout(check, 10);
+      }
+   })();
+}
+
+/*
+   Load classes through the Linker and call the callback when they have been
+   resolved.  The callback is passed an error if the classes could not be resolved.
+
+   @param classNames {Array} The names of the classes to load
+   @param callback {Function} Called when the classes are ready
+ */
+exports.require = function(classNames, callback) {
+   classNames.forEach(function(className) {
+      if (!R.engine.Linker.resolvedClasses[className] && !R.engine.Linker.classDefinitions[className]) {
+         R.engine.Linker._doLoad(className);
+      }
+   });
+   waitFor(classNames, callback);
+};
+
+/*
+   Load the engine sources and configure the engine to run headless
+ */
+function init(options) {
+   host.install(options.basePath);
+   ENGINE_SOURCES.forEach(function(source) {
+      host.runScript(path.join(ENGINE_PATH, source));
+   });
+
+   // Send console messages to Node's console
+   R.debug.Console.setConsoleRef(new (R.debug.ConsoleRef.extend({
+      constructor: function() {},
+      debug: function() { console.log.apply(console, arguments); },
+      info: function() { console.info.apply(console, arguments); },
+      warn: function() { console.warn.apply(console, arguments); },
+      error: function() { console.error.apply(console, arguments); },
+      trace: function() { console.trace(); }
+   }))());
+
+   R.Engine.options.headless = true;
+   R.Engine.engineLocation = ENGINE_PATH;
+   R.Engine.setDebugMode(!!options.debug);
+   if (options.debugLevel !== undefined) {
+      R.debug.Console.setDebugLevel(options.debugLevel);
+   }
+}
+
+/*
+   Load the engine without starting it, the same as including runtime/engine.js
+   in a page does.  Returns the R namespace.  The options are the same as for boot().
+ */
+exports.load = function(options) {
+   if (!booted) {
+      booted = true;
+      init(options || {});
+   }
+   return global.R;
+};
+
+/*
+   Boot the engine.  The callback is called once the classes the engine needs to
+   run have been loaded, and is passed the R namespace.
+
+   Options:
+      basePath   - The path relative scripts, and config files, are loaded from (default: cwd)
+      debug      - true to put the engine into debug mode
+      debugLevel - The R.debug.Console level for messages (default: errors only)
+      run        - true to start the engine's world timer once it has booted
+ */
+exports.boot = function(options, callback) {
+   if (typeof options === 'function') {
+      callback = options;
+      options = {};
+   }
+   options = options || {};
+
+   if (booted) {
+      callback(global.R);
+      return;
+   }
+   booted = true;
+
+   init(options);
+   R.Engine.startup();
+   waitFor(['R.engine.Game', 'R.rendercontexts.NullContext', 'R.lang.Timeout'], function(err) {
+      if (err) {
+         throw err;
+      }
+
+      if (options.run) {
+         R.Engine.run();
+      }
+      callback(R);
+   });
+};
+
+/*
+   Load the engine and start a game the same way R.engine.Script.loadGame does in
+   the browser.  The game's scripts and config files are loaded relative to the
+   base path.  The options are the same as for boot().
+ */
+exports.loadGame = function(options, gameSource, gameObjectName) {
+   if (booted) {
+      throw new Error('The engine has already been booted');
+   }
+   booted = true;
+
+   init(options || {});
+   R.engine.Script.loadGame(gameSource, gameObjectName);
+};
+
+exports.ENGINE_PATH = ENGINE_PATH;
@@ -0,0 +1,542 @@
+/*
+   The Render Engine Headless Host
+   (c) 2011 Brett Fattori
+
+   The Render Engine Project
+
+   Permission is hereby granted, free of charge, to any person obtaining a copy
+   of this software and associated documentation files (the "Software"), to deal
+   in the Software without restriction, including without limitation the rights
+   to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+   copies of the Software, and to permit persons to whom the Software is
+   furnished to do so, subject to the following conditions:
+
+   The above copyright notice and this permission notice shall be included in
+   all copies or substantial portions of the Software.
+
+   THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+   IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+   FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+   AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+   LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+   OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+   THE SOFTWARE
+
+ */
+
+/*
+   The browser objects the engine expects to find, backed by Node instead of a DOM:
+
+   - window is the global object
+   - document has no content, but scripts appended to its head are read from
+     the file system and run in the global context, firing onload/onerror like
+     a browser would.  This is how R.engine.Script and the Linker load classes.
+   - XMLHttpRequest reads files from the file system
+   - $ and jQuery provide the jQuery utility methods the engine uses.  Selecting
+     elements always results in an empty set whose methods do nothing.
+ */
+
+var fs = require('fs'),
+    path = require('path'),
+    vm = require('vm');
+
+var basePath = process.cwd();
+
+/*
+   Resolve a URL the engine requested to a file.  Absolute paths are used as they
+   are, anything else is relative to the base path.
+ */
+function resolve(url) {
+   var file = String(url).split('?')[0].replace(/^file:\/\//, '');
+   return path.isAbsolute(file) ? file : path.join(basePath, file);
+}
+
+/*
+   Run a script in the global context, the same way a script tag would
+ */
+function runScript(file) {
+   vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+}
+
+function defineGlobal(name, value) {
+   // Newer versions of Node define some of these (navigator) as getters
+   Object.defineProperty(global, name, {
+      value: value,
+      writable: true,
+      configurable: true,
+      enumerable: true
+   });
+}
+
+// ==================================================================================
+// DOCUMENT
+// ==================================================================================
+
+function HeadlessElement(tagName) {
+   this.tagName = String(tagName).toUpperCase();
+   this.nodeName = this.tagName;
+   this.nodeType = 1;
+   this.style = {};
+   this.attributes = {};
+   this.childNodes = [];
+   this.parentNode = null;
+}
+
+HeadlessElement.prototype = {
+   setAttribute: function(name, value) {
+      this.attributes[name] = String(value);
+   },
+
+   getAttribute: function(name) {
+      return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+   },
+
+   appendChild: function(node) {
+      this.childNodes.push(node);
+      node.parentNode = this;
+      if (node.tagName === 'SCRIPT' && node.src) {
+         loadScriptNode(node);
+      }
+      return node;
+   },
+
+   removeChild: function(node) {
+      var idx = this.childNodes.indexOf(node);
+      if (idx != -1) {
+         this.childNodes.splice(idx, 1);
+         node.parentNode = null;
+      }
+      return node;
+   },
+
+   getElementsByTagName: function(tagName) {
+      tagName = String(tagName).toUpperCase();
+      return this.childNodes.filter(function(node) {
+         return node.tagName === tagName;
+      });
+   },
+
+   addEventListener: function() {},
+   removeEventListener: function() {},
+   dispatchEvent: function() { return true; }
+};
+
+/*
+   Load the script for a script node on the next tick, like the browser would
+ */
+function loadScriptNode(node) {
+   setImmediate(function() {
+      var file = resolve(node.src);
+      if (!fs.existsSync(file)) {
+         if (node.onerror) {
+            node.onerror('File not found');
+         }
+         return;
+      }
+
+      try {
+         runScript(file);
+      } catch (ex) {
+         // A browser reports the error and still fires onload
+         console.error(ex && ex.stack ? ex.stack : ex);
+      }
+
+      if (node.onload) {
+         node.onload();
+      }
+   });
+}
+
+var head = new HeadlessElement('head'),
+    body = new HeadlessElement('body'),
+    documentElement = new HeadlessElement('html');
+
+documentElement.appendChild(head);
+documentElement.appendChild(body);
+
+var document = {
+   nodeType: 9,
+   documentElement: documentElement,
+   head: head,
+   body: body,
+   cookie: '',
+
+   createElement: function(tagName) {
+      return new HeadlessElement(tagName);
+   },
+
+   createEvent: function(type) {
+      return { type: null, initEvent: function(t) { this.type = t; } };
+   },
+
+   getElementById: function() {
+      return null;
+   },
+
+   getElementsByTagName: function(tagName) {
+      return documentElement.getElementsByTagName(tagName).concat(
+         tagName.toUpperCase() === 'HTML' ? [documentElement] : []);
+   },
+
+   addEventListener: function() {},
+   removeEventListener: function() {}
+};
+
+// ==================================================================================
+// XMLHttpRequest
+// ==================================================================================
+
+function XMLHttpRequest() {
+   this.readyState = 0;
+   this.status = 0;
+   this.responseText = '';
+   this.url = null;
+}
+
+XMLHttpRequest.prototype = {
+   open: function(method, url) {
+      this.url = url;
+      this.readyState = 1;
+   },
+
+   setRequestHeader: function() {},
+
+   send: function() {
+      var self = this;
+      setImmediate(function() {
+         var file = resolve(self.url);
+         try {
+            self.responseText = fs.readFileSync(file, 'utf8');
+            self.status = 200;
+         } catch (ex) {
+            self.responseText = '';
+            self.status = 404;
+         }
+         self.readyState = 4;
+         if (self.onreadystatechange) {
+            self.onreadystatechange();
+         }
+         if (self.onload) {
+            self.onload();
+         }
+      });
+   },
+
+   abort: function() {}
+};
+
+// ==================================================================================
+// jQuery
+// ==================================================================================
+
+var toString = Object.prototype.toString;
+
+/*
+   The result of selecting elements.  There is no DOM, so every selection is empty
+   and any method which isn't defined here does nothing and returns the set.
+ */
+function HeadlessQuery(selector) {
+   this.length = 0;
+   if (selector && typeof selector === 'object') {
+      // Wrap the object, so code which unwraps the element gets it back
+      this[0] = selector;
+      this.length = 1;
+   }
+}
+
+HeadlessQuery.prototype = {
+   ready: function(fn) {
+      setImmediate(fn);
+      return this;
+   },
+
+   each: function(fn) {
+      for (var i = 0; i < this.length; i++) {
+         if (fn.call(this[i], i, this[i]) === false) {
+            break;
+         }
+      }
+      return this;
+   },
+
+   css: function(name, value) {
+      return (typeof name === 'string' && arguments.length == 1) ? '' : this;
+   },
+
+   attr: function(name, value) {
+      return (typeof name === 'string' && arguments.length == 1) ? undefined : this;
+   },
+
+   text: function(value) {
+      return arguments.length == 0 ? '' : this;
+   },
+
+   html: function(value) {
+      return arguments.length == 0 ? '' : this;
+   },
+
+   width: function(value) {
+      return arguments.length == 0 ? 0 : this;
+   },
+
+   height: function(value) {
+      return arguments.length == 0 ? 0 : this;
+   },
+
+   offset: function() {
+      return { left: 0, top: 0 };
+   },
+
+   position: function() {
+      return { left: 0, top: 0 };
+   },
+
+   get: function(idx) {
+      return idx === undefined ? Array.prototype.slice.call(this) : this[idx];
+   },
+
+   is: function() {
+      return false;
+   }
+};
+
+var chain = function() { return this; };
+
+function $(selector) {
+   if (typeof selector === 'function') {
+      // $(fn) is shorthand for $(document).ready(fn)
+      return new HeadlessQuery().ready(selector);
+   }
+
+   var q = new HeadlessQuery(selector);
+   return new Proxy(q, {
+      get: function(target, name) {
+         return (name in target || typeof name !== 'string') ? target[name] : chain;
+      }
+   });
+}
+
+$.fn = HeadlessQuery.prototype;
+
+$.noop = function() {};
+
+$.now = function() {
+   return Date.now();
+};
+
+$.type = function(obj) {
+   return obj == null ? String(obj) : toString.call(obj).slice(8, -1).toLowerCase();
+};
+
+$.isFunction = function(obj) {
+   return $.type(obj) === 'function';
+};
+
+$.isArray = Array.isArray;
+
+$.isWindow = function(obj) {
+   return obj === global;
+};
+
+$.isNumeric = function(obj) {
+   return !isNaN(parseFloat(obj)) && isFinite(obj);
+};
+
+$.isPlainObject = function(obj) {
+   if ($.type(obj) !== 'object') {
+      return false;
+   }
+   var proto = Object.getPrototypeOf(obj);
+   return proto === null || proto === Object.prototype;
+};
+
+$.isEmptyObject = function(obj) {
+   for (var name in obj) {
+      return false;
+   }
+   return true;
+};
+
+$.trim = function(str) {
+   return str == null ? '' : String(str).trim();
+};
+
+$.inArray = function(elem, arr, i) {
+   return arr ? Array.prototype.indexOf.call(arr, elem, i) : -1;
+};
+
+$.makeArray = function(arr) {
+   return arr == null ? [] : Array.prototype.slice.call(arr);
+};
+
+$.merge = function(first, second) {
+   var l = first.length;
+   for (var i = 0; i < second.length; i++) {
+      first[l++] = second[i];
+   }
+   first.length = l;
+   return first;
+};
+
+$.each = function(obj, fn) {
+   var i;
+   if (obj == null) {
+      return obj;
+   }
+   if (typeof obj.length === 'number' && !$.isFunction(obj)) {
+      for (i = 0; i < obj.length; i++) {
+         if (fn.call(obj[i], i, obj[i]) === false) {
+            break;
+         }
+      }
+   } else {
+      for (i in obj) {
+         if (fn.call(obj[i], i, obj[i]) === false) {
+            break;
+         }
+      }
+   }
+   return obj;
+};
+
+$.map = function(obj, fn) {
+   var ret = [];
+   $.each(obj, function(i, value) {
+      var v = fn(value, i);
+      if (v != null) {
+         ret = ret.concat(v);
+      }
+   });
+   return ret;
+};
+
+$.grep = function(arr, fn, invert) {
+   return Array.prototype.filter.call(arr, function(value, i) {
+      return !invert !== !fn(value, i);
+   });
+};
+
+$.extend = function() {
+   var target = arguments[0] || {}, i = 1, deep = false;
+
+   if (typeof target === 'boolean') {
+      deep = target;
+      target = arguments[1] || {};
+      i = 2;
+   }
+
+   if (i === arguments.length) {
+      // Extend jQuery itself
+      target = $;
+      i--;
+   }
+
+   for (; i < arguments.length; i++) {
+      var options = arguments[i];
+      if (options == null) {
+         continue;
+      }
+      for (var name in options) {
+         var src = target[name], copy = options[name];
+         if (target === copy) {
+            continue;
+         }
+         if (deep && copy && ($.isPlainObject(copy) || $.isArray(copy))) {
+            var clone = $.isArray(copy) ? ($.isArray(src) ? src : []) :
+                  ($.isPlainObject(src) ? src : {});
+            target[name] = $.extend(deep, clone, copy);
+         } else if (copy !== undefined) {
+            target[name] = copy;
+         }
+      }
+   }
+   return target;
+};
+
+$.parseJSON = function(data) {
+   return JSON.parse(data);
+};
+
+$.Event = function(src, props) {
+   if (!(this instanceof $.Event)) {
+      return new $.Event(src, props);
+   }
+
+   if (src && src.type) {
+      this.originalEvent = src;
+      this.type = src.type;
+   } else {
+      this.type = src;
+   }
+
+   if (props) {
+      $.extend(this, props);
+   }
+
+   this.timeStamp = Date.now();
+};
+
+$.Event.prototype = {
+   isDefaultPrevented: function() { return !!this._defaultPrevented; },
+   isPropagationStopped: function() { return !!this._propagationStopped; },
+   preventDefault: function() { this._defaultPrevented = true; },
+   stopPropagation: function() { this._propagationStopped = true; },
+   stopImmediatePropagation: function() { this._propagationStopped = true; }
+};
+
+$.get = function(url, data, callback, type) {
+   if ($.isFunction(data)) {
+      type = callback;
+      callback = data;
+      data = null;
+   }
+
+   var xhr = new XMLHttpRequest();
+   xhr.open('GET', url);
+   xhr.onreadystatechange = function() {
+      if (xhr.status == 200 && callback) {
+         callback(type === 'json' ? JSON.parse(xhr.responseText) : xhr.responseText, 'success', xhr);
+      }
+   };
+   xhr.send();
+};
+
+$.support = {};
+
+// ==================================================================================
+// INSTALL
+// ==================================================================================
+
+/*
+   Install the host objects into the global context
+   @param [base] {String} The path which relative URLs are resolved from.  Defaults to
+                         the current working directory.
+ */
+exports.install = function(base) {
+   basePath = path.resolve(base || process.cwd());
+
+   defineGlobal('window', global);
+   defineGlobal('self', global);
+   defineGlobal('document', document);
+   defineGlobal('navigator', {
+      userAgent: 'Node.js/' + process.version + ' (headless; ' + process.platform + ')',
+      platform: process.platform,
+      language: 'en-US',
+      onLine: false,
+      cookieEnabled: false
+   });
+   defineGlobal('location', {
+      href: 'file://' + basePath + '/',
+      protocol: 'file:',
+      search: '',
+      toString: function() {
+         return this.href;
+      }
+   });
+   defineGlobal('XMLHttpRequest', XMLHttpRequest);
+   defineGlobal('$', $);
+   defineGlobal('jQuery', $);
+};
+
+exports.runScript = runScript;
+exports.resolve = resolve;
@@ -0,0 +1,150 @@
+/*
+   The Render Engine Headless Spec Runner
+   (c) 2011 Brett Fattori
+
+   The Render Engine Project
+
+   Permission is hereby granted, free of charge, to any person obtaining a copy
+   of this software and associated documentation files (the "Software"), to deal
+   in the Software without restriction, including without limitation the rights
+   to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+   copies of the Software, and to permit persons to whom the Software is
+   furnished to do so, subject to the following conditions:
+
+   The above copyright notice and this permission notice shall be included in
+   all copies or substantial portions of the Software.
+
+   THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+   IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+   FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+   AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+   LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+   OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+   THE SOFTWARE
+
+ */
+
+/*
+   Runs the Jasmine specs under Node, with the engine booted headless.  With no
+   arguments, the specs listed in test/SpecRunner.html are run.  Otherwise, the
+   spec files named on the command line are run:
+
+      node tools/headless/runspecs.js [test/spec/engineSpec.js ...]
+
+   When run from the spec runner page, each spec file is run in its own process,
+   along with the helpers (files ending in "Helper.js"), since the engine specs
+   shut the engine down.  The process exits with a non-zero status if any spec fails.
+ */
+
+var fs = require('fs'),
+    path = require('path'),
+    childProcess = require('child_process'),
+    headless = require('./headless'),
+    host = require('./host');
+
+var TEST_PATH = path.resolve(__dirname, '../../test');
+
+/*
+   Get the spec files from the command line, or from the spec runner page
+ */
+function getSpecFiles() {
+   var args = process.argv.slice(2);
+   if (args.length > 0) {
+      return args.map(function(file) {
+         return path.resolve(file);
+      });
+   }
+
+   var page = fs.readFileSync(path.join(TEST_PATH, 'SpecRunner.html'), 'utf8'),
+       re = /<script[^>]+src="(spec\/[^"]+)"/g, specs = [], m;
+   while ((m = re.exec(page)) !== null) {
+      specs.push(path.join(TEST_PATH, m[1]));
+   }
+   return specs;
+}
+
+/*
+   A Jasmine reporter which writes to the console
+ */
+function ConsoleReporter(done) {
+   this.done = done;
+   this.failures = 0;
+}
+
+ConsoleReporter.prototype.reportRunnerStarting = function(runner) {
+   this.start = Date.now();
+};
+
+ConsoleReporter.prototype.reportSpecResults = function(spec) {
+   var results = spec.results();
+   if (results.passed()) {
+      return;
+   }
+
+   this.failures++;
+   console.log('FAILED: ' + spec.getFullName());
+   results.getItems().forEach(function(item) {
+      if (item.passed && !item.passed()) {
+         console.log('   ' + (item.message || item.toString()));
+      }
+   });
+};
+
+ConsoleReporter.prototype.reportRunnerResults = function(runner) {
+   var specs = runner.specs().length;
+   console.log(specs + ' specs, ' + this.failures + ' failed (' + (Date.now() - this.start) + 'ms)');
+   this.done(this.failures);
+};
+
+/*
+   Run each spec file in its own process, adding up the results
+ */
+function runEach(files) {
+   var helpers = files.filter(function(file) {
+      return /Helper\.js$/.test(file);
+   });
+
+   var specs = 0, failures = 0, start = Date.now();
+   files.forEach(function(file) {
+      if (helpers.indexOf(file) != -1) {
+         return;
+      }
+
+      var result = childProcess.spawnSync(process.execPath, [__filename].concat(helpers, [file]),
+            { encoding: 'utf8' }),
+          output = (result.stdout || '') + (result.stderr || ''),
+          summary = /^(\d+) specs, (\d+) failed \(\d+ms\)$/m.exec(output);
+
+      if (summary) {
+         specs += parseInt(summary[1], 10);
+         failures += parseInt(summary[2], 10);
+         output = output.replace(summary[0] + '\n', '');
+      } else {
+         // The spec file didn't finish
+         failures++;
+         output += 'FAILED: ' + path.relative(TEST_PATH, file) + ' exited with status ' + result.status + '\n';
+      }
+      process.stdout.write(output);
+   });
+
+   console.log(specs + ' specs, ' + failures + ' failed (' + (Date.now() - start) + 'ms)');
+   process.exit(failures > 0 ? 1 : 0);
+}
+
+if (process.argv.length <= 2) {
+   runEach(getSpecFiles());
+}
+
+// The specs start the engine themselves
+headless.load({ basePath: TEST_PATH });
+host.runScript(path.join(TEST_PATH, 'lib/jasmine-1.3.1/jasmine.js'));
+
+getSpecFiles().forEach(function(file) {
+   host.runScript(file);
+});
+
+var env = jasmine.getEnv();
+env.addReporter(new ConsoleReporter(function(failures) {
+   process.exit(failures > 0 ? 1 : 0);
+}));
+env.execute();
@@ -1,4 +1,316 @@
-var net = require('net');
-var server = net.createServer(function(conn) {
-   
-});
\ No newline at end of file
+/*
+   NodeJS Game Server
+   (c) 2011 Brett Fattori
+
+   The Render Engine Project
+
+   Permission is hereby granted, free of charge, to any person obtaining a copy
+   of this software and associated documentation files (the "Software"), to deal
+   in the Software without restriction, including without limitation the rights
+   to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+   copies of the Software, and to permit persons to whom the Software is
+   furnished to do so, subject to the following conditions:
+
+   The above copyright notice and this permission notice shall be included in
+   all copies or substantial portions of the Software.
+
+   THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+   IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+   FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+   AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+   LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+   OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+   THE SOFTWARE
+
+ */
+
+/*
+   An authoritative game server.  The engine is booted in headless mode and an
+   R.util.ReplicationServer owns the state of the world, updating it at a fixed tick
+   rate and sending delta compressed snapshots to the clients.  Clients connect with
+   a web socket, using R.util.ReplicationClient.connect().
+
+   The rules of the game come from a logic script, which is shared with the game so
+   that clients can predict their own movement.  The script is run in the global
+   context, the same way a script tag would run it, and defines a global object with
+   the logic (see R.util.ReplicationServer).  Without a logic script, players are
+   moved by input of the form { x: -1..1, y: -1..1 }.
+
+   The server is configured by server_config.js, a JSON file:
+
+      {
+         "port": 8090,
+         "tickRate": 20,
+         "logic": "game/logic.js",
+         "logicObject": "GameLogic",
+         "basePath": "."
+      }
+
+   Run it with:  node server.js [configFile]
+ */
+
+var http = require('http'),
+    crypto = require('crypto'),
+    fs = require('fs'),
+    path = require('path'),
+    headless = require('../headless/headless'),
+    host = require('../headless/host'),
+    gConfig = null,
+    world = null,
+    nextClient = 1;
+
+// The GUID web socket handshakes are hashed with (RFC 6455)
+var WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Web socket frame opcodes
+var OP_CONTINUATION = 0x0, OP_TEXT = 0x1, OP_BINARY = 0x2, OP_CLOSE = 0x8, OP_PING = 0x9, OP_PONG = 0xA;
+
+// Messages larger than this close the connection
+var MAX_MESSAGE = 65536;
+
+/*
+   The logic used when no logic script is configured
+ */
+var DEFAULT_LOGIC = {
+   SPEED: 0.2,
+
+   spawn: function(clientId) {
+      return { x: Math.floor(Math.random() * 400), y: Math.floor(Math.random() * 400) };
+   },
+
+   simulate: function(state, input, dt) {
+      var x = Math.max(-1, Math.min(Number(input && input.x) || 0, 1)),
+          y = Math.max(-1, Math.min(Number(input && input.y) || 0, 1));
+      state.x += x * DEFAULT_LOGIC.SPEED * dt;
+      state.y += y * DEFAULT_LOGIC.SPEED * dt;
+   }
+};
+
+// Load the configuration file
+var configFile = process.argv[2] || 'server_config.js';
+fs.readFile(configFile, function(err, data) {
+   if (err) {
+      console.log('Configuration file not found');
+      gConfig = {
+         port: 8090,
+         tickRate: 20
+      };
+   } else {
+      // Parse the JSON configuration
+      gConfig = JSON.parse(String(data));
+   }
+
+   bootEngine();
+});
+
+/*
+   Boot the engine headless and create the world
+ */
+function bootEngine() {
+   var basePath = path.resolve(gConfig.basePath || '.');
+   headless.boot({ basePath: basePath, run: true }, function(R) {
+      headless.require(['R.util.ReplicationServer'], function(err) {
+         if (err) {
+            throw err;
+         }
+
+         var logic = DEFAULT_LOGIC;
+         if (gConfig.logic) {
+            host.runScript(path.resolve(basePath, gConfig.logic));
+            logic = global[gConfig.logicObject];
+            if (!logic) {
+               throw new Error('The logic script did not define "' + gConfig.logicObject + '"');
+            }
+         }
+
+         world = new R.util.ReplicationServer(logic, gConfig.tickRate);
+         world.start();
+         bootstrapServer();
+      });
+   });
+}
+
+/*
+   Start the server
+ */
+function bootstrapServer() {
+   var server = http.createServer(function(req, res) {
+      res.writeHead(426, { 'Content-Type': 'text/plain', 'Upgrade': 'websocket' });
+      res.end('The Render Engine game server only accepts web socket connections');
+   });
+
+   server.on('upgrade', function(req, socket) {
+      handleUpgrade(req, socket);
+   });
+
+   server.listen(gConfig.port, gConfig.serverIP);
+   console.log('The Render Engine game server running at ws://' + (gConfig.serverIP || 'localhost') + ':' + gConfig.port + '/');
+}
+
+/*
+   Complete the web socket handshake and connect the client to the world
+ */
+function handleUpgrade(req, socket) {
+   var key = req.headers['sec-websocket-key'];
+   if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+   }
+
+   var accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+   socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+                'Upgrade: websocket\r\n' +
+                'Connection: Upgrade\r\n' +
+                'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+   socket.setNoDelay(true);
+
+   var clientId = String(nextClient++), buffered = Buffer.alloc(0), fragments = [], fragmentLength = 0,
+       closed = false;
+
+   function close() {
+      if (!closed) {
+         closed = true;
+         world.disconnect(clientId);
+         console.log('Client ' + clientId + ' disconnected');
+      }
+   }
+
+   // Close the connection with the status "message too big" (1009)
+   function reject() {
+      socket.end(writeFrame(OP_CLOSE, Buffer.from([0x03, 0xF1])));
+      close();
+   }
+
+   socket.on('data', function(data) {
+      if (closed) {
+         return;
+      }
+      buffered = Buffer.concat([buffered, data]);
+
+      var frame;
+      while ((frame = readFrame(buffered)) !== null) {
+         buffered = buffered.slice(frame.length);
+         if (frame.error) {
+            reject();
+            return;
+         }
+
+         switch (frame.opcode) {
+            case OP_TEXT:
+            case OP_BINARY:
+            case OP_CONTINUATION:
+               // A message sent in fragments is limited to the same size as one sent in a single frame
+               fragmentLength += frame.payload.length;
+               if (fragmentLength > MAX_MESSAGE) {
+                  reject();
+                  return;
+               }
+
+               fragments.push(frame.payload);
+               if (frame.fin) {
+                  handleMessage(clientId, Buffer.concat(fragments).toString('utf8'));
+                  fragments = [];
+                  fragmentLength = 0;
+               }
+               break;
+            case OP_PING:
+               socket.write(writeFrame(OP_PONG, frame.payload));
+               break;
+            case OP_CLOSE:
+               socket.end(writeFrame(OP_CLOSE, Buffer.alloc(0)));
+               close();
+               return;
+         }
+      }
+   });
+
+   socket.on('close', close);
+   socket.on('error', close);
+
+   world.connect(clientId, function(message) {
+      if (!closed) {
+         socket.write(writeFrame(OP_TEXT, Buffer.from(JSON.stringify(message), 'utf8')));
+      }
+   });
+   console.log('Client ' + clientId + ' connected');
+}
+
+/*
+   Pass a message from a client to the world
+ */
+function handleMessage(clientId, text) {
+   var message;
+   try {
+      message = JSON.parse(text);
+   } catch (ex) {
+      console.log('Client ' + clientId + ' sent an invalid message');
+      return;
+   }
+   world.receive(clientId, message);
+}
+
+/*
+   Read a frame sent by a client from the buffer.  Returns null if the entire
+   frame hasn't arrived yet.
+ */
+function readFrame(buf) {
+   if (buf.length < 2) {
+      return null;
+   }
+
+   var fin = (buf[0] & 0x80) != 0, opcode = buf[0] & 0x0F, masked = (buf[1] & 0x80) != 0,
+       len = buf[1] & 0x7F, offset = 2;
+
+   if (len == 126) {
+      if (buf.length < 4) {
+         return null;
+      }
+      len = buf.readUInt16BE(2);
+      offset = 4;
+   } else if (len == 127) {
+      if (buf.length < 10) {
+         return null;
+      }
+      len = buf.readUInt32BE(2) * 0x100000000 + buf.readUInt32BE(6);
+      offset = 10;
+   }
+
+   // Clients must mask their frames
+   if (!masked || len > MAX_MESSAGE) {
+      return { error: true, length: buf.length };
+   }
+
+   if (buf.length < offset + 4 + len) {
+      return null;
+   }
+
+   var mask = buf.slice(offset, offset + 4), payload = Buffer.alloc(len);
+   offset += 4;
+   for (var i = 0; i < len; i++) {
+      payload[i] = buf[offset + i] ^ mask[i % 4];
+   }
+
+   return { fin: fin, opcode: opcode, payload: payload, length: offset + len };
+}
+
+/*
+   Create a frame to send to a client.  Frames from the server are not masked.
+ */
+function writeFrame(opcode, payload) {
+   var header;
+   if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+   } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+   } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeUInt32BE(0, 2);
+      header.writeUInt32BE(payload.length, 6);
+   }
+   return Buffer.concat([header, payload]);
+}